@@ -0,0 +1,113 @@
+/**
+ * Database functions for AIS API usage
+ * Daily per-tenant AIS provider call counts (UTC days), used to enforce the daily call budget
+ * Multi-tenant aware - all queries filter by tenant_id
+ */
+
+import { query } from './connection.js';
+
+// Usage days are counted in UTC so the budget resets at the same instant for every tenant
+const UTC_TODAY = "(NOW() AT TIME ZONE 'UTC')::date";
+
+// usage_date as 'YYYY-MM-DD' text - pg would otherwise parse DATE into a local-midnight Date
+const USAGE_COLUMNS = 'tenant_id, usage_date::text AS usage_date, call_count, poller_call_count, last_call_at';
+
+/**
+ * Validate tenant ID
+ */
+function validateTenantId(tenantId, functionName) {
+  if (!tenantId || typeof tenantId !== 'string') {
+    throw new Error(`${functionName}: tenantId is required and must be a string`);
+  }
+}
+
+/**
+ * Transform database row to API format
+ */
+function transformUsageRow(row) {
+  if (!row) return null;
+
+  return {
+    date: row.usage_date,
+    callCount: row.call_count,
+    pollerCallCount: row.poller_call_count,
+    lastCallAt: row.last_call_at,
+  };
+}
+
+/**
+ * Reserve one AIS API call against today's budget
+ * The check and increment are a single statement, so concurrent callers cannot overspend.
+ * @param {string} tenantId - Tenant ID
+ * @param {number} dailyBudget - Maximum calls per UTC day
+ * @param {Object} [options]
+ * @param {string} [options.source] - 'poller' or 'manual'
+ * @returns {Promise<{allowed: boolean, used: number|null}>} Whether the call may be made, and calls used today
+ */
+export async function reserveAisCall(tenantId, dailyBudget, { source = 'manual' } = {}) {
+  validateTenantId(tenantId, 'reserveAisCall');
+
+  if (!(dailyBudget > 0)) {
+    return { allowed: false, used: null };
+  }
+
+  const pollerIncrement = source === 'poller' ? 1 : 0;
+
+  const result = await query(
+    `INSERT INTO ais_api_usage (tenant_id, usage_date, call_count, poller_call_count, last_call_at)
+     VALUES ($1, ${UTC_TODAY}, 1, $3, CURRENT_TIMESTAMP)
+     ON CONFLICT (tenant_id, usage_date) DO UPDATE
+       SET call_count = ais_api_usage.call_count + 1,
+           poller_call_count = ais_api_usage.poller_call_count + EXCLUDED.poller_call_count,
+           last_call_at = CURRENT_TIMESTAMP
+       WHERE ais_api_usage.call_count < $2
+     RETURNING call_count`,
+    [tenantId, dailyBudget, pollerIncrement]
+  );
+
+  if (result.rows.length === 0) {
+    return { allowed: false, used: dailyBudget };
+  }
+
+  return { allowed: true, used: result.rows[0].call_count };
+}
+
+/**
+ * Get today's AIS API usage for a tenant
+ * @param {string} tenantId - Tenant ID
+ * @returns {Promise<Object>} Usage ({date, callCount, pollerCallCount, lastCallAt}), zeroed if no calls today
+ */
+export async function getTodayAisUsage(tenantId) {
+  validateTenantId(tenantId, 'getTodayAisUsage');
+
+  const result = await query(
+    `SELECT ${USAGE_COLUMNS} FROM ais_api_usage WHERE tenant_id = $1 AND usage_date = ${UTC_TODAY}`,
+    [tenantId]
+  );
+
+  return transformUsageRow(result.rows[0]) || {
+    date: new Date().toISOString().slice(0, 10),
+    callCount: 0,
+    pollerCallCount: 0,
+    lastCallAt: null,
+  };
+}
+
+/**
+ * Get daily AIS API usage for the last N days
+ * @param {string} tenantId - Tenant ID
+ * @param {number} [days] - Number of days (default 7)
+ * @returns {Promise<Array>} Usage rows, newest first
+ */
+export async function getAisUsageHistory(tenantId, days = 7) {
+  validateTenantId(tenantId, 'getAisUsageHistory');
+
+  const result = await query(
+    `SELECT ${USAGE_COLUMNS} FROM ais_api_usage
+     WHERE tenant_id = $1 AND usage_date > ${UTC_TODAY} - $2::int
+     ORDER BY usage_date DESC`,
+    [tenantId, days]
+  );
+
+  return result.rows.map(transformUsageRow);
+}
@@ -0,0 +1,312 @@
+/**
+ * Database functions for Port Call Approvals, Requirements and Impediments
+ * Multi-tenant aware - all queries filter by tenant_id
+ *
+ * Overdue and due-soon flags are derived from due_date for OPEN items. Validation is done by
+ * services/approvals.js.
+ */
+
+import crypto from 'crypto';
+import { query } from './connection.js';
+
+export const APPROVAL_TYPES = ['APPROVAL', 'REQUIREMENT', 'IMPEDIMENT'];
+
+export const APPROVAL_STATUSES = ['OPEN', 'CLEARED'];
+
+// OPEN items due within this many days (today included) are flagged as due soon
+export const DUE_SOON_DAYS = 2;
+
+// API field -> column for the editable fields
+const APPROVAL_COLUMNS = {
+  type: 'item_type',
+  authority: 'authority',
+  description: 'description',
+  dueDate: 'due_date',
+  travellerType: 'traveller_type',
+  travellerId: 'traveller_id',
+  notes: 'notes',
+};
+
+const SELECT_APPROVALS = `
+  SELECT a.*, a.due_date::text AS due_date_text, a.cleared_date::text AS cleared_date_text,
+    (a.status = 'OPEN' AND a.due_date < CURRENT_DATE) AS is_overdue,
+    CASE WHEN a.status = 'OPEN' AND a.due_date < CURRENT_DATE THEN CURRENT_DATE - a.due_date END AS days_overdue,
+    (a.status = 'OPEN' AND a.due_date BETWEEN CURRENT_DATE AND CURRENT_DATE + ${DUE_SOON_DAYS}) AS is_due_soon,
+    v.name AS vessel_name, p.name AS port_name, pc.status AS port_call_status,
+    COALESCE(
+      CASE a.traveller_type
+        WHEN 'CREW' THEN NULLIF(CONCAT_WS(' ', crew.given_names, crew.family_name), '')
+        WHEN 'PASSENGER' THEN NULLIF(CONCAT_WS(' ', pax.given_names, pax.family_name), '')
+      END
+    ) AS traveller_name,
+    u.name AS cleared_by_name
+  FROM port_call_approvals a
+  LEFT JOIN port_calls pc ON pc.id = a.port_call_id AND pc.tenant_id = a.tenant_id
+  LEFT JOIN vessels v ON v.id = pc.vessel_id AND v.tenant_id = a.tenant_id
+  LEFT JOIN ports p ON p.id = pc.port_id AND p.tenant_id = a.tenant_id
+  LEFT JOIN port_call_crew crew ON a.traveller_type = 'CREW' AND crew.id = a.traveller_id AND crew.tenant_id = a.tenant_id
+  LEFT JOIN port_call_passengers pax ON a.traveller_type = 'PASSENGER' AND pax.id = a.traveller_id AND pax.tenant_id = a.tenant_id
+  LEFT JOIN users u ON u.id = a.cleared_by AND u.tenant_id = a.tenant_id`;
+
+/**
+ * Validate tenant ID
+ */
+function validateTenantId(tenantId, functionName) {
+  if (!tenantId || typeof tenantId !== 'string') {
+    throw new Error(`${functionName}: tenantId is required and must be a string`);
+  }
+}
+
+/**
+ * Transform database row to API format
+ */
+function transformApprovalRow(row) {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    tenantId: row.tenant_id,
+    portCallId: row.port_call_id,
+    portCall: {
+      id: row.port_call_id,
+      vesselName: row.vessel_name || null,
+      portName: row.port_name || null,
+      status: row.port_call_status || null,
+    },
+    type: row.item_type,
+    authority: row.authority,
+    description: row.description,
+    status: row.status,
+    dueDate: row.due_date_text ?? null,
+    isOverdue: row.is_overdue === true,
+    daysOverdue: row.days_overdue != null ? parseInt(row.days_overdue, 10) : null,
+    isDueSoon: row.is_due_soon === true,
+    travellerType: row.traveller_type,
+    travellerId: row.traveller_id,
+    travellerName: row.traveller_name || null,
+    notes: row.notes,
+    clearedDate: row.cleared_date_text ?? null,
+    evidenceReference: row.evidence_reference,
+    evidenceNotes: row.evidence_notes,
+    clearedBy: row.cleared_by,
+    clearedByName: row.cleared_by_name || null,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Build the WHERE clause shared by the tracker list and its summary
+ * @param {Object} filters - { status, type, authority, portCallId, overdue, openPortCalls }
+ */
+function buildFilters(tenantId, filters) {
+  const conditions = ['a.tenant_id = $1'];
+  const values = [tenantId];
+  const columns = {
+    status: 'a.status',
+    type: 'a.item_type',
+    authority: 'a.authority',
+    portCallId: 'a.port_call_id',
+  };
+  for (const [key, column] of Object.entries(columns)) {
+    if (filters[key]) {
+      values.push(filters[key]);
+      conditions.push(`${column} = $${values.length}`);
+    }
+  }
+  if (filters.overdue) {
+    conditions.push(`a.status = 'OPEN' AND a.due_date < CURRENT_DATE`);
+  }
+  if (filters.openPortCalls) {
+    conditions.push(`a.port_call_id IN (SELECT id FROM port_calls
+      WHERE tenant_id = $1 AND status IN ('PLANNED', 'IN_PROGRESS'))`);
+  }
+  return { where: conditions.join(' AND '), values };
+}
+
+/**
+ * Get approval items (tracker list or a port call's items)
+ * @param {Object} [filters] - { status, type, authority, portCallId, overdue, openPortCalls }
+ * @returns {Promise<Array>} Open items first, by due date (undated last), then creation
+ */
+export async function getApprovals(tenantId, filters = {}) {
+  validateTenantId(tenantId, 'getApprovals');
+
+  const { where, values } = buildFilters(tenantId, filters);
+  const result = await query(
+    `${SELECT_APPROVALS}
+     WHERE ${where}
+     ORDER BY (a.status = 'OPEN') DESC, a.due_date ASC NULLS LAST, a.created_at ASC`,
+    values
+  );
+  return result.rows.map(transformApprovalRow);
+}
+
+/**
+ * Counts of the items matching the tracker filters, overall and per authority
+ * @returns {Promise<Object>} { open, overdue, dueSoon, cleared, byAuthority: [{ authority, open, overdue }] }
+ */
+export async function getApprovalSummary(tenantId, filters = {}) {
+  validateTenantId(tenantId, 'getApprovalSummary');
+
+  const { where, values } = buildFilters(tenantId, filters);
+  const result = await query(
+    `SELECT a.authority,
+       COUNT(*) FILTER (WHERE a.status = 'OPEN')::int AS open,
+       COUNT(*) FILTER (WHERE a.status = 'OPEN' AND a.due_date < CURRENT_DATE)::int AS overdue,
+       COUNT(*) FILTER (WHERE a.status = 'OPEN'
+         AND a.due_date BETWEEN CURRENT_DATE AND CURRENT_DATE + ${DUE_SOON_DAYS})::int AS due_soon,
+       COUNT(*) FILTER (WHERE a.status = 'CLEARED')::int AS cleared
+     FROM port_call_approvals a
+     WHERE ${where}
+     GROUP BY a.authority
+     ORDER BY a.authority`,
+    values
+  );
+
+  const sum = (key) => result.rows.reduce((total, row) => total + row[key], 0);
+  return {
+    open: sum('open'),
+    overdue: sum('overdue'),
+    dueSoon: sum('due_soon'),
+    cleared: sum('cleared'),
+    byAuthority: result.rows
+      .filter((row) => row.open > 0)
+      .map((row) => ({ authority: row.authority, open: row.open, overdue: row.overdue })),
+  };
+}
+
+/**
+ * Get an approval item
+ * SECURITY: Only returns the item if it belongs to the specified tenant
+ */
+export async function getApprovalById(approvalId, tenantId) {
+  validateTenantId(tenantId, 'getApprovalById');
+
+  const result = await query(
+    `${SELECT_APPROVALS} WHERE a.id = $1 AND a.tenant_id = $2`,
+    [approvalId, tenantId]
+  );
+  return transformApprovalRow(result.rows[0]);
+}
+
+/**
+ * Create an OPEN item for a port call
+ * @param {Object} data - { portCallId, type, authority, description, dueDate, travellerType,
+ *   travellerId, notes, createdBy }
+ */
+export async function createApproval(tenantId, data) {
+  validateTenantId(tenantId, 'createApproval');
+
+  const id = `approval-${crypto.randomUUID()}`;
+  const keys = Object.keys(APPROVAL_COLUMNS);
+  const columns = ['id', 'tenant_id', 'port_call_id', 'created_by', ...keys.map((key) => APPROVAL_COLUMNS[key])];
+  await query(
+    `INSERT INTO port_call_approvals (${columns.join(', ')})
+     VALUES (${columns.map((_, index) => `$${index + 1}`).join(', ')})`,
+    [id, tenantId, data.portCallId, data.createdBy || null, ...keys.map((key) => data[key] ?? null)]
+  );
+  return getApprovalById(id, tenantId);
+}
+
+/**
+ * Update the editable fields of an item
+ * @returns {Promise<Object|null>} Updated item or null if not found
+ */
+export async function updateApproval(approvalId, tenantId, updates) {
+  validateTenantId(tenantId, 'updateApproval');
+
+  const fields = [];
+  const values = [];
+  for (const [key, column] of Object.entries(APPROVAL_COLUMNS)) {
+    if (updates[key] !== undefined) {
+      values.push(updates[key]);
+      fields.push(`${column} = $${values.length}`);
+    }
+  }
+  if (fields.length === 0) {
+    return getApprovalById(approvalId, tenantId);
+  }
+
+  values.push(approvalId, tenantId);
+  const result = await query(
+    `UPDATE port_call_approvals SET ${[...fields, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+     WHERE id = $${values.length - 1} AND tenant_id = $${values.length}`,
+    values
+  );
+  return result.rowCount > 0 ? getApprovalById(approvalId, tenantId) : null;
+}
+
+/**
+ * Clear an OPEN item with its evidence
+ * @param {Object} clearance - { clearedDate, evidenceReference, evidenceNotes, clearedBy }
+ * @returns {Promise<Object|null>} Cleared item, or null if it was not OPEN (concurrent change)
+ */
+export async function clearApproval(approvalId, tenantId, clearance) {
+  validateTenantId(tenantId, 'clearApproval');
+
+  const result = await query(
+    `UPDATE port_call_approvals
+     SET status = 'CLEARED', cleared_date = $1, evidence_reference = $2, evidence_notes = $3,
+       cleared_by = $4, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $5 AND tenant_id = $6 AND status = 'OPEN'`,
+    [
+      clearance.clearedDate,
+      clearance.evidenceReference,
+      clearance.evidenceNotes || null,
+      clearance.clearedBy || null,
+      approvalId,
+      tenantId,
+    ]
+  );
+  return result.rowCount > 0 ? getApprovalById(approvalId, tenantId) : null;
+}
+
+/**
+ * Reopen a CLEARED item, dropping its clearance
+ * @returns {Promise<Object|null>} Reopened item, or null if it was not CLEARED
+ */
+export async function reopenApproval(approvalId, tenantId) {
+  validateTenantId(tenantId, 'reopenApproval');
+
+  const result = await query(
+    `UPDATE port_call_approvals
+     SET status = 'OPEN', cleared_date = NULL, evidence_reference = NULL, evidence_notes = NULL,
+       cleared_by = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND tenant_id = $2 AND status = 'CLEARED'`,
+    [approvalId, tenantId]
+  );
+  return result.rowCount > 0 ? getApprovalById(approvalId, tenantId) : null;
+}
+
+/**
+ * Delete an item
+ * @returns {Promise<boolean>} True if deleted
+ */
+export async function deleteApproval(approvalId, tenantId) {
+  validateTenantId(tenantId, 'deleteApproval');
+
+  const result = await query(
+    'DELETE FROM port_call_approvals WHERE id = $1 AND tenant_id = $2',
+    [approvalId, tenantId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Count OPEN items on the tenant's open (PLANNED or IN_PROGRESS) port calls (dashboard KPI)
+ * @returns {Promise<number>}
+ */
+export async function countOpenApprovals(tenantId) {
+  validateTenantId(tenantId, 'countOpenApprovals');
+
+  const result = await query(
+    `SELECT COUNT(*)::int AS count
+     FROM port_call_approvals a
+     JOIN port_calls pc ON pc.id = a.port_call_id AND pc.tenant_id = a.tenant_id
+     WHERE a.tenant_id = $1 AND a.status = 'OPEN' AND pc.status IN ('PLANNED', 'IN_PROGRESS')`,
+    [tenantId]
+  );
+  return result.rows[0].count;
+}
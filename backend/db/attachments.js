@@ -0,0 +1,179 @@
+/**
+ * Database functions for Port Call Attachments and Tenant Attachment Settings
+ * Multi-tenant aware - all queries filter by tenant_id
+ *
+ * Rows describe files held by a storage backend (services/storage); this module never touches
+ * the bytes. Type checks and storage are done by services/attachments.js.
+ */
+
+import { query } from './connection.js';
+
+/**
+ * Validate tenant ID
+ */
+function validateTenantId(tenantId, functionName) {
+  if (!tenantId || typeof tenantId !== 'string') {
+    throw new Error(`${functionName}: tenantId is required and must be a string`);
+  }
+}
+
+/**
+ * Transform database row to API format
+ */
+function transformAttachmentRow(row) {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    tenantId: row.tenant_id,
+    portCallId: row.port_call_id,
+    fileName: row.file_name,
+    fileType: row.file_type,
+    fileSize: row.file_size === null ? null : parseInt(row.file_size, 10),
+    checksumSha256: row.checksum_sha256,
+    storageBackend: row.storage_backend,
+    storagePath: row.storage_path,
+    thumbnailPath: row.thumbnail_path,
+    description: row.description,
+    uploadedBy: row.uploaded_by,
+    uploadedByName: row.uploaded_by_name || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function transformSettingsRow(row) {
+  if (!row) return null;
+
+  return {
+    tenantId: row.tenant_id,
+    allowedTypes: row.allowed_types,
+    maxFileSizeMb: row.max_file_size_mb,
+    updatedAt: row.updated_at,
+  };
+}
+
+const SELECT_ATTACHMENTS = `
+  SELECT a.*, u.name AS uploaded_by_name
+  FROM attachments a
+  LEFT JOIN users u ON u.id = a.uploaded_by AND u.tenant_id = a.tenant_id`;
+
+/**
+ * Get a port call's attachments
+ * @returns {Promise<Array>} Newest first
+ */
+export async function getAttachments(tenantId, portCallId) {
+  validateTenantId(tenantId, 'getAttachments');
+
+  const result = await query(
+    `${SELECT_ATTACHMENTS}
+     WHERE a.tenant_id = $1 AND a.port_call_id = $2
+     ORDER BY a.created_at DESC`,
+    [tenantId, portCallId]
+  );
+  return result.rows.map(transformAttachmentRow);
+}
+
+/**
+ * Get an attachment
+ * SECURITY: Only returns the attachment if it belongs to the specified tenant
+ */
+export async function getAttachmentById(attachmentId, tenantId) {
+  validateTenantId(tenantId, 'getAttachmentById');
+
+  const result = await query(
+    `${SELECT_ATTACHMENTS} WHERE a.id = $1 AND a.tenant_id = $2`,
+    [attachmentId, tenantId]
+  );
+  return transformAttachmentRow(result.rows[0]);
+}
+
+/**
+ * Record a stored file
+ * @param {Object} data - { id, portCallId, fileName, fileType, fileSize, checksumSha256,
+ *   storageBackend, storagePath, thumbnailPath, description, uploadedBy }
+ */
+export async function createAttachment(tenantId, data) {
+  validateTenantId(tenantId, 'createAttachment');
+
+  await query(
+    `INSERT INTO attachments (id, tenant_id, port_call_id, file_name, file_type, file_size, checksum_sha256,
+       storage_backend, storage_path, thumbnail_path, description, uploaded_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+    [
+      data.id,
+      tenantId,
+      data.portCallId,
+      data.fileName,
+      data.fileType,
+      data.fileSize,
+      data.checksumSha256,
+      data.storageBackend,
+      data.storagePath,
+      data.thumbnailPath || null,
+      data.description || null,
+      data.uploadedBy || null,
+    ]
+  );
+  return getAttachmentById(data.id, tenantId);
+}
+
+/**
+ * Update an attachment's description
+ * @returns {Promise<Object|null>} Updated attachment or null if not found
+ */
+export async function updateAttachmentDescription(attachmentId, tenantId, description) {
+  validateTenantId(tenantId, 'updateAttachmentDescription');
+
+  const result = await query(
+    `UPDATE attachments SET description = $1, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2 AND tenant_id = $3`,
+    [description, attachmentId, tenantId]
+  );
+  return result.rowCount > 0 ? getAttachmentById(attachmentId, tenantId) : null;
+}
+
+/**
+ * Delete an attachment row (the caller removes the stored file)
+ * @returns {Promise<boolean>} True if deleted
+ */
+export async function deleteAttachment(attachmentId, tenantId) {
+  validateTenantId(tenantId, 'deleteAttachment');
+
+  const result = await query(
+    'DELETE FROM attachments WHERE id = $1 AND tenant_id = $2',
+    [attachmentId, tenantId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Get a tenant's attachment settings
+ * @returns {Promise<Object|null>} { allowedTypes, maxFileSizeMb } or null (server defaults)
+ */
+export async function getAttachmentSettings(tenantId) {
+  validateTenantId(tenantId, 'getAttachmentSettings');
+
+  const result = await query('SELECT * FROM tenant_attachment_settings WHERE tenant_id = $1', [tenantId]);
+  return transformSettingsRow(result.rows[0]);
+}
+
+/**
+ * Create or replace a tenant's attachment settings
+ * @param {Object} settings - { allowedTypes (null = all supported), maxFileSizeMb (null = server maximum) }
+ */
+export async function upsertAttachmentSettings(tenantId, settings) {
+  validateTenantId(tenantId, 'upsertAttachmentSettings');
+
+  const result = await query(
+    `INSERT INTO tenant_attachment_settings (tenant_id, allowed_types, max_file_size_mb, created_at, updated_at)
+     VALUES ($1, $2, $3, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+     ON CONFLICT (tenant_id) DO UPDATE SET
+       allowed_types = EXCLUDED.allowed_types,
+       max_file_size_mb = EXCLUDED.max_file_size_mb,
+       updated_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    [tenantId, settings.allowedTypes ?? null, settings.maxFileSizeMb ?? null]
+  );
+  return transformSettingsRow(result.rows[0]);
+}
@@ -62,6 +62,26 @@ export async function getClient() {
   return client;
 }
 
+/**
+ * Run fn inside a transaction on a dedicated client (rolled back if fn throws)
+ * @param {function(Client): Promise<*>} fn - Receives the client; use client.query for every statement
+ * @returns {Promise<*>} fn's result
+ */
+export async function withTransaction(fn) {
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
 /**
  * Test database connection
  * @returns {Promise<boolean>} True if connection is successful
@@ -0,0 +1,281 @@
+/**
+ * Database functions for Disbursement Accounts (PDA/FDA) and their lines
+ * Multi-tenant aware - all queries filter by tenant_id
+ *
+ * One account per port call. Lines filled from tariffs, fees and purchase orders keep the link
+ * (tariff_id, fee_id, purchase_order_id) so filling again updates them instead of adding copies.
+ * Workflow and reconciliation rules are in services/disbursements.js.
+ */
+
+import crypto from 'crypto';
+import { query } from './connection.js';
+
+export const DISBURSEMENT_STATUSES = ['PDA_DRAFT', 'FUNDING_REQUESTED', 'FDA_DRAFT', 'FDA_ISSUED'];
+
+export const LINE_CATEGORIES = ['PORT_COSTS', 'SUPPLIERS', 'AGENCY', 'OTHER'];
+
+export const LINE_SOURCES = ['MANUAL', 'TARIFF', 'FEE', 'PURCHASE_ORDER'];
+
+// DATE columns are read as text so they do not shift with the server time zone
+const ACCOUNT_FIELDS = '*, funding_due_at::text AS funding_due_at_text';
+
+// API field -> column for the header fields set by the service
+const ACCOUNT_COLUMNS = {
+  status: 'status',
+  currency: 'currency',
+  customerId: 'customer_id',
+  billTo: 'bill_to',
+  fundingAmount: 'funding_amount',
+  fundingDueAt: 'funding_due_at',
+  fundingRequestedAt: 'funding_requested_at',
+  fundingRequestedBy: 'funding_requested_by',
+  fundsReceivedAmount: 'funds_received_amount',
+  fundsReceivedAt: 'funds_received_at',
+  fdaIssuedAt: 'fda_issued_at',
+  fdaIssuedBy: 'fda_issued_by',
+  notes: 'notes',
+};
+
+const LINE_COLUMNS = {
+  category: 'category',
+  description: 'description',
+  source: 'source',
+  tariffId: 'tariff_id',
+  feeId: 'fee_id',
+  purchaseOrderId: 'purchase_order_id',
+  estimatedAmount: 'estimated_amount',
+  actualAmount: 'actual_amount',
+  notes: 'notes',
+};
+
+/**
+ * Validate tenant ID
+ */
+function validateTenantId(tenantId, functionName) {
+  if (!tenantId || typeof tenantId !== 'string') {
+    throw new Error(`${functionName}: tenantId is required and must be a string`);
+  }
+}
+
+function parseDecimal(value) {
+  return value === null || value === undefined ? null : parseFloat(value);
+}
+
+/**
+ * Transform database row to API format
+ */
+function transformAccountRow(row) {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    tenantId: row.tenant_id,
+    portCallId: row.port_call_id,
+    status: row.status,
+    currency: row.currency,
+    customerId: row.customer_id,
+    billTo: row.bill_to,
+    fundingAmount: parseDecimal(row.funding_amount),
+    fundingDueAt: row.funding_due_at_text ?? null,
+    fundingRequestedAt: row.funding_requested_at,
+    fundingRequestedBy: row.funding_requested_by,
+    fundsReceivedAmount: parseDecimal(row.funds_received_amount),
+    fundsReceivedAt: row.funds_received_at,
+    fdaIssuedAt: row.fda_issued_at,
+    fdaIssuedBy: row.fda_issued_by,
+    notes: row.notes,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function transformLineRow(row) {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    tenantId: row.tenant_id,
+    accountId: row.account_id,
+    category: row.category,
+    description: row.description,
+    source: row.source,
+    tariffId: row.tariff_id,
+    feeId: row.fee_id,
+    purchaseOrderId: row.purchase_order_id,
+    estimatedAmount: parseDecimal(row.estimated_amount),
+    actualAmount: parseDecimal(row.actual_amount),
+    notes: row.notes,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Build "SET a = $1, b = $2" for the fields present in updates
+ */
+function buildUpdate(columns, updates) {
+  const fields = [];
+  const values = [];
+  for (const [key, column] of Object.entries(columns)) {
+    if (updates[key] !== undefined) {
+      values.push(key === 'billTo' && updates[key] !== null ? JSON.stringify(updates[key]) : updates[key]);
+      fields.push(`${column} = $${values.length}`);
+    }
+  }
+  return { fields, values };
+}
+
+/**
+ * Get a port call's disbursement account
+ * @returns {Promise<Object|null>} Account (without lines) or null if none was started
+ */
+export async function getDisbursementAccount(tenantId, portCallId) {
+  validateTenantId(tenantId, 'getDisbursementAccount');
+
+  const result = await query(
+    `SELECT ${ACCOUNT_FIELDS} FROM disbursement_accounts WHERE tenant_id = $1 AND port_call_id = $2`,
+    [tenantId, portCallId]
+  );
+  return transformAccountRow(result.rows[0]);
+}
+
+/**
+ * Start a port call's disbursement account (returns the existing one if already started)
+ * @param {Object} data - { portCallId, currency, createdBy? }
+ */
+export async function createDisbursementAccount(tenantId, { portCallId, currency, createdBy = null }) {
+  validateTenantId(tenantId, 'createDisbursementAccount');
+
+  await query(
+    `INSERT INTO disbursement_accounts (id, tenant_id, port_call_id, currency, created_by)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (tenant_id, port_call_id) DO NOTHING`,
+    [`da-${crypto.randomUUID()}`, tenantId, portCallId, currency, createdBy]
+  );
+  return getDisbursementAccount(tenantId, portCallId);
+}
+
+/**
+ * Update an account's header, optionally only while it is in one of the given statuses
+ * @param {string[]} [fromStatuses] - Guards workflow changes against concurrent ones
+ * @returns {Promise<Object|null>} Updated account, or null if not found or no longer in fromStatuses
+ */
+export async function updateDisbursementAccount(accountId, tenantId, updates, fromStatuses = null) {
+  validateTenantId(tenantId, 'updateDisbursementAccount');
+
+  const { fields, values } = buildUpdate(ACCOUNT_COLUMNS, updates);
+  values.push(accountId, tenantId);
+  let condition = `id = $${values.length - 1} AND tenant_id = $${values.length}`;
+  if (fromStatuses) {
+    values.push(fromStatuses);
+    condition += ` AND status = ANY($${values.length})`;
+  }
+
+  const result = await query(
+    `UPDATE disbursement_accounts SET ${[...fields, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+     WHERE ${condition}
+     RETURNING ${ACCOUNT_FIELDS}`,
+    values
+  );
+  return transformAccountRow(result.rows[0]);
+}
+
+/**
+ * Delete an account and its lines
+ * @returns {Promise<boolean>} True if deleted
+ */
+export async function deleteDisbursementAccount(accountId, tenantId) {
+  validateTenantId(tenantId, 'deleteDisbursementAccount');
+
+  const result = await query('DELETE FROM disbursement_accounts WHERE id = $1 AND tenant_id = $2', [accountId, tenantId]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Get the lines of an account
+ * @returns {Promise<Array>} By category, then in the order they were added
+ */
+export async function getDisbursementLines(tenantId, accountId) {
+  validateTenantId(tenantId, 'getDisbursementLines');
+
+  const result = await query(
+    `SELECT * FROM disbursement_account_lines
+     WHERE tenant_id = $1 AND account_id = $2
+     ORDER BY array_position($3::varchar[], category), created_at ASC, id ASC`,
+    [tenantId, accountId, LINE_CATEGORIES]
+  );
+  return result.rows.map(transformLineRow);
+}
+
+/**
+ * Get a line
+ * SECURITY: Only returns the line if it belongs to the specified tenant
+ */
+export async function getDisbursementLineById(lineId, tenantId) {
+  validateTenantId(tenantId, 'getDisbursementLineById');
+
+  const result = await query('SELECT * FROM disbursement_account_lines WHERE id = $1 AND tenant_id = $2', [lineId, tenantId]);
+  return transformLineRow(result.rows[0]);
+}
+
+/**
+ * Add a line
+ * @param {Object} data - { category, description, source?, tariffId?, feeId?, purchaseOrderId?,
+ *   estimatedAmount?, actualAmount?, notes? }
+ */
+export async function createDisbursementLine(tenantId, accountId, data) {
+  validateTenantId(tenantId, 'createDisbursementLine');
+
+  const keys = Object.keys(LINE_COLUMNS);
+  const columns = ['id', 'tenant_id', 'account_id', ...keys.map((key) => LINE_COLUMNS[key])];
+  const values = [
+    `da-line-${crypto.randomUUID()}`,
+    tenantId,
+    accountId,
+    ...keys.map((key) => data[key] ?? null),
+  ];
+  values[columns.indexOf('source')] = data.source || 'MANUAL';
+  values[columns.indexOf('estimated_amount')] = data.estimatedAmount ?? 0;
+
+  const result = await query(
+    `INSERT INTO disbursement_account_lines (${columns.join(', ')})
+     VALUES (${columns.map((_, index) => `$${index + 1}`).join(', ')})
+     RETURNING *`,
+    values
+  );
+  return transformLineRow(result.rows[0]);
+}
+
+/**
+ * Update a line
+ * @returns {Promise<Object|null>} Updated line or null if not found
+ */
+export async function updateDisbursementLine(lineId, tenantId, updates) {
+  validateTenantId(tenantId, 'updateDisbursementLine');
+
+  const { fields, values } = buildUpdate(LINE_COLUMNS, updates);
+  if (fields.length === 0) {
+    return getDisbursementLineById(lineId, tenantId);
+  }
+
+  values.push(lineId, tenantId);
+  const result = await query(
+    `UPDATE disbursement_account_lines SET ${[...fields, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+     WHERE id = $${values.length - 1} AND tenant_id = $${values.length}
+     RETURNING *`,
+    values
+  );
+  return transformLineRow(result.rows[0]);
+}
+
+/**
+ * Delete a line
+ * @returns {Promise<boolean>} True if deleted
+ */
+export async function deleteDisbursementLine(lineId, tenantId) {
+  validateTenantId(tenantId, 'deleteDisbursementLine');
+
+  const result = await query('DELETE FROM disbursement_account_lines WHERE id = $1 AND tenant_id = $2', [lineId, tenantId]);
+  return result.rowCount > 0;
+}
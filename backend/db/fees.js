@@ -0,0 +1,435 @@
+/**
+ * Database functions for Port Call Fees and Dues
+ * Multi-tenant aware - all queries filter by tenant_id
+ *
+ * amount_paid is the sum of the fee's rows in port_call_fee_payments and is kept in step
+ * with them in the same transaction. Validation is done by services/fees.js.
+ */
+
+import crypto from 'crypto';
+import { query, withTransaction } from './connection.js';
+
+export const FEE_TYPES = ['BR_FUNAPOL', 'PORT_DUES', 'PILOTAGE', 'TOWAGE', 'MOORING', 'OTHER'];
+
+export const FEE_STATUSES = ['DUE', 'PAID', 'WAIVED'];
+
+const SELECT_FEES = `
+  SELECT f.*, f.due_date::text AS due_date_text,
+    (f.status = 'DUE' AND f.due_date < CURRENT_DATE) AS is_overdue,
+    CASE WHEN f.status = 'DUE' AND f.due_date < CURRENT_DATE THEN CURRENT_DATE - f.due_date END AS days_overdue,
+    v.name AS vessel_name, p.name AS port_name, pc.eta AS port_call_eta
+  FROM port_call_fees f
+  LEFT JOIN port_calls pc ON pc.id = f.port_call_id AND pc.tenant_id = f.tenant_id
+  LEFT JOIN vessels v ON v.id = pc.vessel_id AND v.tenant_id = f.tenant_id
+  LEFT JOIN ports p ON p.id = pc.port_id AND p.tenant_id = f.tenant_id`;
+
+/**
+ * Validate tenant ID
+ */
+function validateTenantId(tenantId, functionName) {
+  if (!tenantId || typeof tenantId !== 'string') {
+    throw new Error(`${functionName}: tenantId is required and must be a string`);
+  }
+}
+
+function toNumber(value) {
+  return value === null || value === undefined ? null : parseFloat(value);
+}
+
+function toCents(amount) {
+  return Math.round(parseFloat(amount) * 100);
+}
+
+/**
+ * Transform database row to API format
+ */
+function transformFeeRow(row) {
+  if (!row) return null;
+
+  const amountDue = toNumber(row.amount_due);
+  const amountPaid = toNumber(row.amount_paid);
+  return {
+    id: row.id,
+    tenantId: row.tenant_id,
+    portCallId: row.port_call_id,
+    portCall: {
+      id: row.port_call_id,
+      vesselName: row.vessel_name || null,
+      portName: row.port_name || null,
+      eta: row.port_call_eta || null,
+    },
+    feeType: row.fee_type,
+    description: row.description,
+    calculationBase: row.calculation_base,
+    currency: row.currency,
+    amountDue,
+    amountPaid,
+    outstandingAmount: row.status === 'DUE' ? (toCents(amountDue) - toCents(amountPaid)) / 100 : 0,
+    dueDate: row.due_date_text ?? null,
+    paymentDate: row.payment_date,
+    status: row.status,
+    isOverdue: row.is_overdue === true,
+    daysOverdue: row.days_overdue != null ? parseInt(row.days_overdue, 10) : null,
+    referenceNumber: row.reference_number,
+    notes: row.notes,
+    source: row.source,
+    tariffId: row.tariff_id,
+    breakdown: row.breakdown || null,
+    waivedAt: row.waived_at,
+    waivedBy: row.waived_by,
+    waiveReason: row.waive_reason,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function transformPaymentRow(row) {
+  return {
+    id: row.id,
+    feeId: row.fee_id,
+    amount: toNumber(row.amount),
+    paidAt: row.paid_at,
+    referenceNumber: row.reference_number,
+    notes: row.notes,
+    recordedBy: row.recorded_by,
+    recordedByName: row.recorded_by_name || null,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Build the WHERE clause shared by the ledger and its summary
+ * @param {Object} filters - { status, feeType, portCallId, currency, overdue, dueFrom, dueTo }
+ */
+function buildFilters(tenantId, filters) {
+  const conditions = ['f.tenant_id = $1'];
+  const values = [tenantId];
+  const columns = {
+    status: 'f.status',
+    feeType: 'f.fee_type',
+    portCallId: 'f.port_call_id',
+    currency: 'f.currency',
+  };
+  for (const [key, column] of Object.entries(columns)) {
+    if (filters[key]) {
+      values.push(filters[key]);
+      conditions.push(`${column} = $${values.length}`);
+    }
+  }
+  if (filters.overdue) {
+    conditions.push(`f.status = 'DUE' AND f.due_date < CURRENT_DATE`);
+  }
+  if (filters.dueFrom) {
+    values.push(filters.dueFrom);
+    conditions.push(`f.due_date >= $${values.length}`);
+  }
+  if (filters.dueTo) {
+    values.push(filters.dueTo);
+    conditions.push(`f.due_date <= $${values.length}`);
+  }
+  return { where: conditions.join(' AND '), values };
+}
+
+/**
+ * Get fees for a tenant (the fees ledger), without payments
+ * @param {Object} [filters] - { status, feeType, portCallId, currency, overdue, dueFrom, dueTo }
+ * @returns {Promise<Array>} Ordered by due date (undated last), then creation
+ */
+export async function getFees(tenantId, filters = {}) {
+  validateTenantId(tenantId, 'getFees');
+
+  const { where, values } = buildFilters(tenantId, filters);
+  const result = await query(
+    `${SELECT_FEES}
+     WHERE ${where}
+     ORDER BY f.due_date ASC NULLS LAST, f.created_at ASC`,
+    values
+  );
+  return result.rows.map(transformFeeRow);
+}
+
+/**
+ * Totals of the fees matching the ledger filters, per currency
+ * Waived fees count towards `count` only.
+ * @returns {Promise<Array<Object>>} { currency, count, amountDue, amountPaid, outstanding, overdueCount, overdueAmount }
+ */
+export async function getFeeSummary(tenantId, filters = {}) {
+  validateTenantId(tenantId, 'getFeeSummary');
+
+  const { where, values } = buildFilters(tenantId, filters);
+  const result = await query(
+    `SELECT f.currency,
+       COUNT(*) AS count,
+       COALESCE(SUM(f.amount_due) FILTER (WHERE f.status <> 'WAIVED'), 0) AS amount_due,
+       COALESCE(SUM(f.amount_paid) FILTER (WHERE f.status <> 'WAIVED'), 0) AS amount_paid,
+       COALESCE(SUM(f.amount_due - f.amount_paid) FILTER (WHERE f.status = 'DUE'), 0) AS outstanding,
+       COUNT(*) FILTER (WHERE f.status = 'DUE' AND f.due_date < CURRENT_DATE) AS overdue_count,
+       COALESCE(SUM(f.amount_due - f.amount_paid)
+         FILTER (WHERE f.status = 'DUE' AND f.due_date < CURRENT_DATE), 0) AS overdue_amount
+     FROM port_call_fees f
+     WHERE ${where}
+     GROUP BY f.currency
+     ORDER BY f.currency`,
+    values
+  );
+  return result.rows.map((row) => ({
+    currency: row.currency,
+    count: parseInt(row.count, 10),
+    amountDue: toNumber(row.amount_due),
+    amountPaid: toNumber(row.amount_paid),
+    outstanding: toNumber(row.outstanding),
+    overdueCount: parseInt(row.overdue_count, 10),
+    overdueAmount: toNumber(row.overdue_amount),
+  }));
+}
+
+/**
+ * Get a fee with its payments
+ * SECURITY: Only returns the fee if it belongs to the specified tenant
+ */
+export async function getFeeById(feeId, tenantId) {
+  validateTenantId(tenantId, 'getFeeById');
+
+  const result = await query(
+    `${SELECT_FEES}
+     WHERE f.id = $1 AND f.tenant_id = $2`,
+    [feeId, tenantId]
+  );
+  const fee = transformFeeRow(result.rows[0]);
+  if (!fee) return null;
+
+  const payments = await query(
+    `SELECT fp.*, u.name AS recorded_by_name
+     FROM port_call_fee_payments fp
+     LEFT JOIN users u ON u.id = fp.recorded_by AND u.tenant_id = fp.tenant_id
+     WHERE fp.fee_id = $1 AND fp.tenant_id = $2
+     ORDER BY fp.paid_at ASC, fp.created_at ASC`,
+    [feeId, tenantId]
+  );
+  fee.payments = payments.rows.map(transformPaymentRow);
+
+  return fee;
+}
+
+/**
+ * Create a DUE fee for a port call
+ * @param {Object} data - { portCallId, feeType, description, calculationBase, currency, amountDue,
+ *   dueDate, referenceNumber, notes, createdBy } plus { tariffId, breakdown } for tariff estimates
+ */
+export async function createFee(tenantId, data) {
+  validateTenantId(tenantId, 'createFee');
+
+  const id = `fee-${crypto.randomUUID()}`;
+  await query(
+    `INSERT INTO port_call_fees (
+      id, tenant_id, port_call_id, fee_type, description, calculation_base, currency,
+      amount_due, due_date, reference_number, notes, status, created_by, tariff_id, breakdown, source
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 'DUE', $12, $13, $14, $15)`,
+    [
+      id,
+      tenantId,
+      data.portCallId,
+      data.feeType,
+      data.description || null,
+      data.calculationBase || null,
+      data.currency || 'BRL',
+      data.amountDue,
+      data.dueDate || null,
+      data.referenceNumber || null,
+      data.notes || null,
+      data.createdBy || null,
+      data.tariffId || null,
+      data.breakdown ? JSON.stringify(data.breakdown) : null,
+      data.tariffId ? 'TARIFF' : 'MANUAL',
+    ]
+  );
+
+  return getFeeById(id, tenantId);
+}
+
+/**
+ * Update a DUE fee
+ * The status follows the amounts: a fee whose new amount_due is covered by its payments becomes PAID.
+ * @param {Object} updates - { feeType, description, calculationBase, currency, amountDue, dueDate,
+ *   referenceNumber, notes, breakdown }
+ * @returns {Promise<Object|null>} Updated fee, or null if not found, no longer DUE or amountDue
+ *   is below what has been paid
+ */
+export async function updateDueFee(feeId, tenantId, updates) {
+  validateTenantId(tenantId, 'updateDueFee');
+
+  const fields = [];
+  const values = [];
+  const columns = {
+    feeType: 'fee_type',
+    description: 'description',
+    calculationBase: 'calculation_base',
+    currency: 'currency',
+    amountDue: 'amount_due',
+    dueDate: 'due_date',
+    referenceNumber: 'reference_number',
+    notes: 'notes',
+    breakdown: 'breakdown',
+  };
+  let amountDueParam = null;
+  for (const [key, column] of Object.entries(columns)) {
+    if (updates[key] !== undefined) {
+      values.push(key === 'breakdown' && updates[key] ? JSON.stringify(updates[key]) : updates[key]);
+      fields.push(`${column} = $${values.length}`);
+      if (key === 'amountDue') amountDueParam = `$${values.length}`;
+    }
+  }
+  if (amountDueParam) {
+    fields.push(`status = CASE WHEN amount_paid >= ${amountDueParam} THEN 'PAID' ELSE 'DUE' END`);
+    fields.push(`payment_date = CASE WHEN amount_paid >= ${amountDueParam}
+      THEN (SELECT MAX(paid_at) FROM port_call_fee_payments WHERE fee_id = port_call_fees.id) END`);
+  }
+  fields.push('updated_at = CURRENT_TIMESTAMP');
+
+  values.push(feeId, tenantId);
+  const result = await query(
+    `UPDATE port_call_fees SET ${fields.join(', ')}
+     WHERE id = $${values.length - 1} AND tenant_id = $${values.length} AND status = 'DUE'
+       ${amountDueParam ? `AND amount_paid <= ${amountDueParam}` : ''}`,
+    values
+  );
+
+  return result.rowCount > 0 ? getFeeById(feeId, tenantId) : null;
+}
+
+/**
+ * Whether a fee is billed on an invoice that has not been voided
+ */
+export async function isFeeInvoiced(feeId, tenantId) {
+  validateTenantId(tenantId, 'isFeeInvoiced');
+
+  const result = await query(
+    `SELECT 1 FROM invoice_lines il
+     JOIN invoices i ON i.id = il.invoice_id AND i.tenant_id = il.tenant_id
+     WHERE il.fee_id = $1 AND il.tenant_id = $2 AND i.status <> 'VOID'
+     LIMIT 1`,
+    [feeId, tenantId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Delete a fee that has no payments
+ * @returns {Promise<boolean>} True if deleted
+ */
+export async function deleteFee(feeId, tenantId) {
+  validateTenantId(tenantId, 'deleteFee');
+
+  const result = await query(
+    `DELETE FROM port_call_fees f
+     WHERE f.id = $1 AND f.tenant_id = $2
+       AND NOT EXISTS (SELECT 1 FROM port_call_fee_payments fp WHERE fp.fee_id = f.id)`,
+    [feeId, tenantId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Record a payment against a DUE fee; the fee becomes PAID once payments cover amount_due
+ * The fee row is locked so concurrent payments cannot overpay it.
+ * @param {Object} payment - { amount, paidAt, referenceNumber, notes, recordedBy }
+ * @returns {Promise<Object|null>} Updated fee, or null if not found, no longer DUE or the
+ *   amount exceeds what is outstanding
+ */
+export async function recordFeePayment(feeId, tenantId, payment) {
+  validateTenantId(tenantId, 'recordFeePayment');
+
+  const recorded = await withTransaction(async (client) => {
+    const locked = await client.query(
+      'SELECT amount_due, amount_paid, status FROM port_call_fees WHERE id = $1 AND tenant_id = $2 FOR UPDATE',
+      [feeId, tenantId]
+    );
+    const fee = locked.rows[0];
+    if (!fee || fee.status !== 'DUE') return false;
+
+    const outstandingCents = toCents(fee.amount_due) - toCents(fee.amount_paid);
+    const amountCents = toCents(payment.amount);
+    if (amountCents > outstandingCents) return false;
+
+    await client.query(
+      `INSERT INTO port_call_fee_payments (id, tenant_id, fee_id, amount, paid_at, reference_number, notes, recorded_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [
+        `feepay-${crypto.randomUUID()}`,
+        tenantId,
+        feeId,
+        payment.amount,
+        payment.paidAt,
+        payment.referenceNumber || null,
+        payment.notes || null,
+        payment.recordedBy || null,
+      ]
+    );
+
+    const settled = amountCents === outstandingCents;
+    await client.query(
+      `UPDATE port_call_fees
+       SET amount_paid = amount_paid + $1,
+           status = $2,
+           payment_date = $3,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $4 AND tenant_id = $5`,
+      [payment.amount, settled ? 'PAID' : 'DUE', settled ? payment.paidAt : null, feeId, tenantId]
+    );
+    return true;
+  });
+
+  return recorded ? getFeeById(feeId, tenantId) : null;
+}
+
+/**
+ * Remove a payment recorded by mistake; a PAID fee goes back to DUE
+ * @returns {Promise<Object|null>} Updated fee, or null if the payment was not found or the fee is WAIVED
+ */
+export async function deleteFeePayment(feeId, paymentId, tenantId) {
+  validateTenantId(tenantId, 'deleteFeePayment');
+
+  const deleted = await withTransaction(async (client) => {
+    const locked = await client.query(
+      'SELECT status FROM port_call_fees WHERE id = $1 AND tenant_id = $2 FOR UPDATE',
+      [feeId, tenantId]
+    );
+    if (!locked.rows[0] || locked.rows[0].status === 'WAIVED') return false;
+
+    const result = await client.query(
+      'DELETE FROM port_call_fee_payments WHERE id = $1 AND fee_id = $2 AND tenant_id = $3 RETURNING amount',
+      [paymentId, feeId, tenantId]
+    );
+    if (result.rowCount === 0) return false;
+
+    await client.query(
+      `UPDATE port_call_fees
+       SET amount_paid = amount_paid - $1, status = 'DUE', payment_date = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND tenant_id = $3`,
+      [result.rows[0].amount, feeId, tenantId]
+    );
+    return true;
+  });
+
+  return deleted ? getFeeById(feeId, tenantId) : null;
+}
+
+/**
+ * Waive a DUE fee (e.g. exemption granted by the authority)
+ * @param {Object} waiver - { waivedBy, reason }
+ * @returns {Promise<Object|null>} Updated fee, or null if not found or no longer DUE
+ */
+export async function waiveFee(feeId, tenantId, { waivedBy, reason }) {
+  validateTenantId(tenantId, 'waiveFee');
+
+  const result = await query(
+    `UPDATE port_call_fees
+     SET status = 'WAIVED', waived_at = CURRENT_TIMESTAMP, waived_by = $1, waive_reason = $2,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $3 AND tenant_id = $4 AND status = 'DUE'`,
+    [waivedBy || null, reason, feeId, tenantId]
+  );
+
+  return result.rowCount > 0 ? getFeeById(feeId, tenantId) : null;
+}
@@ -0,0 +1,385 @@
+/**
+ * Database functions for Invoices
+ * Multi-tenant aware - all queries filter by tenant_id
+ *
+ * Invoices and credit notes share the invoices table (document_type INVOICE / CREDIT_NOTE) and
+ * their line items live in invoice_lines. Amounts are computed by services/invoices.js; this
+ * module only persists them. Invoice numbers are assigned on issue from invoice_number_sequences
+ * (one gap-free series per tenant and document type).
+ */
+
+import crypto from 'crypto';
+import { query, withTransaction } from './connection.js';
+
+export const INVOICE_STATUSES = ['DRAFT', 'ISSUED', 'VOID'];
+export const INVOICE_DOCUMENT_TYPES = ['INVOICE', 'CREDIT_NOTE'];
+
+// Number series per document type: INV-000001, CN-000001
+const NUMBER_SERIES = {
+  INVOICE: 'INV',
+  CREDIT_NOTE: 'CN',
+};
+const NUMBER_DIGITS = 6;
+
+const SELECT_INVOICES = `
+  SELECT i.*, ci.invoice_number AS credited_invoice_number
+  FROM invoices i
+  LEFT JOIN invoices ci ON ci.id = i.credited_invoice_id AND ci.tenant_id = i.tenant_id`;
+
+/**
+ * Validate tenant ID
+ */
+function validateTenantId(tenantId, functionName) {
+  if (!tenantId || typeof tenantId !== 'string') {
+    throw new Error(`${functionName}: tenantId is required and must be a string`);
+  }
+}
+
+function toNumber(value) {
+  return value === null || value === undefined ? null : parseFloat(value);
+}
+
+/**
+ * Transform database row to API format
+ */
+function transformInvoiceRow(row) {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    tenantId: row.tenant_id,
+    portCallId: row.port_call_id,
+    customerId: row.customer_id,
+    invoiceNumber: row.invoice_number,
+    documentType: row.document_type,
+    creditedInvoiceId: row.credited_invoice_id,
+    creditedInvoiceNumber: row.credited_invoice_number || null,
+    subtotalAmount: toNumber(row.subtotal_amount),
+    taxAmount: toNumber(row.tax_amount),
+    totalAmount: toNumber(row.total_amount),
+    currency: row.currency,
+    status: row.status,
+    billTo: row.bill_to,
+    notes: row.notes,
+    issuedAt: row.issued_at,
+    dueAt: row.due_at,
+    voidedAt: row.voided_at,
+    voidReason: row.void_reason,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Transform invoice_lines row to API format
+ */
+function transformLineRow(row) {
+  return {
+    id: row.id,
+    lineNumber: row.line_number,
+    description: row.description,
+    quantity: toNumber(row.quantity),
+    unitPrice: toNumber(row.unit_price),
+    taxRate: toNumber(row.tax_rate),
+    subtotalAmount: toNumber(row.subtotal_amount),
+    taxAmount: toNumber(row.tax_amount),
+    totalAmount: toNumber(row.total_amount),
+    feeId: row.fee_id,
+    creditedLineId: row.credited_line_id,
+  };
+}
+
+/**
+ * Insert line items for an invoice (numbered in array order)
+ */
+async function insertLines(client, tenantId, invoiceId, lines) {
+  for (const [index, line] of lines.entries()) {
+    await client.query(
+      `INSERT INTO invoice_lines (
+        id, tenant_id, invoice_id, line_number, description, quantity, unit_price, tax_rate,
+        subtotal_amount, tax_amount, total_amount, fee_id, credited_line_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)`,
+      [
+        `invl-${crypto.randomUUID()}`,
+        tenantId,
+        invoiceId,
+        index + 1,
+        line.description,
+        line.quantity,
+        line.unitPrice,
+        line.taxRate,
+        line.subtotalAmount,
+        line.taxAmount,
+        line.totalAmount,
+        line.feeId || null,
+        line.creditedLineId || null,
+      ]
+    );
+  }
+}
+
+async function getLines(invoiceId, tenantId) {
+  const result = await query(
+    `SELECT * FROM invoice_lines WHERE invoice_id = $1 AND tenant_id = $2 ORDER BY line_number ASC`,
+    [invoiceId, tenantId]
+  );
+  return result.rows.map(transformLineRow);
+}
+
+/**
+ * Get invoices and credit notes for a tenant (without line items)
+ * @param {string} tenantId - Tenant ID
+ * @param {Object} [filters] - { status, portCallId, customerId, documentType }
+ * @returns {Promise<Array>} Newest first
+ */
+export async function getInvoices(tenantId, filters = {}) {
+  validateTenantId(tenantId, 'getInvoices');
+
+  const conditions = ['i.tenant_id = $1'];
+  const values = [tenantId];
+  const columns = {
+    status: 'i.status',
+    portCallId: 'i.port_call_id',
+    customerId: 'i.customer_id',
+    documentType: 'i.document_type',
+  };
+  for (const [key, column] of Object.entries(columns)) {
+    if (filters[key]) {
+      values.push(filters[key]);
+      conditions.push(`${column} = $${values.length}`);
+    }
+  }
+
+  const result = await query(
+    `${SELECT_INVOICES}
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY i.created_at DESC`,
+    values
+  );
+  return result.rows.map(transformInvoiceRow);
+}
+
+/**
+ * Get an invoice with its line items, and for invoices the credit notes raised against it
+ * SECURITY: Only returns the invoice if it belongs to the specified tenant
+ * @returns {Promise<Object|null>}
+ */
+export async function getInvoiceById(invoiceId, tenantId) {
+  validateTenantId(tenantId, 'getInvoiceById');
+
+  const result = await query(
+    `${SELECT_INVOICES}
+     WHERE i.id = $1 AND i.tenant_id = $2`,
+    [invoiceId, tenantId]
+  );
+  const invoice = transformInvoiceRow(result.rows[0]);
+  if (!invoice) return null;
+
+  invoice.lines = await getLines(invoiceId, tenantId);
+
+  if (invoice.documentType === 'INVOICE') {
+    const creditNotes = await query(
+      `SELECT id, invoice_number, status, total_amount, issued_at FROM invoices
+       WHERE credited_invoice_id = $1 AND tenant_id = $2
+       ORDER BY created_at ASC`,
+      [invoiceId, tenantId]
+    );
+    invoice.creditNotes = creditNotes.rows.map((row) => ({
+      id: row.id,
+      invoiceNumber: row.invoice_number,
+      status: row.status,
+      totalAmount: toNumber(row.total_amount),
+      issuedAt: row.issued_at,
+    }));
+  }
+
+  return invoice;
+}
+
+/**
+ * Create a DRAFT invoice or credit note with its line items
+ * @param {string} tenantId - Tenant ID (from authenticated session, never from input)
+ * @param {Object} invoiceData - { documentType, portCallId, customerId, creditedInvoiceId, currency,
+ *   billTo, notes, dueAt, subtotalAmount, taxAmount, totalAmount, createdBy }
+ * @param {Array<Object>} lines - Computed line items
+ * @returns {Promise<Object>} Created invoice with lines
+ */
+export async function createInvoice(tenantId, invoiceData, lines) {
+  validateTenantId(tenantId, 'createInvoice');
+
+  const id = `inv-${crypto.randomUUID()}`;
+  await withTransaction(async (client) => {
+    await client.query(
+      `INSERT INTO invoices (
+        id, tenant_id, port_call_id, customer_id, document_type, credited_invoice_id,
+        subtotal_amount, tax_amount, total_amount, currency, status, bill_to, notes, due_at, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'DRAFT', $11, $12, $13, $14)`,
+      [
+        id,
+        tenantId,
+        invoiceData.portCallId || null,
+        invoiceData.customerId || null,
+        invoiceData.documentType || 'INVOICE',
+        invoiceData.creditedInvoiceId || null,
+        invoiceData.subtotalAmount,
+        invoiceData.taxAmount,
+        invoiceData.totalAmount,
+        invoiceData.currency || 'BRL',
+        invoiceData.billTo ? JSON.stringify(invoiceData.billTo) : null,
+        invoiceData.notes || null,
+        invoiceData.dueAt || null,
+        invoiceData.createdBy || null,
+      ]
+    );
+    await insertLines(client, tenantId, id, lines);
+  });
+
+  return getInvoiceById(id, tenantId);
+}
+
+/**
+ * Update a DRAFT invoice; when lines are given they replace the existing line items
+ * @param {Object} updates - { portCallId, customerId, currency, billTo, notes, dueAt,
+ *   subtotalAmount, taxAmount, totalAmount } (omitted fields are unchanged)
+ * @param {Array<Object>} [lines] - Computed line items
+ * @returns {Promise<Object|null>} Updated invoice, or null if not found or no longer a draft
+ */
+export async function updateDraftInvoice(invoiceId, tenantId, updates, lines) {
+  validateTenantId(tenantId, 'updateDraftInvoice');
+
+  const fields = [];
+  const values = [];
+  const columns = {
+    portCallId: 'port_call_id',
+    customerId: 'customer_id',
+    currency: 'currency',
+    billTo: 'bill_to',
+    notes: 'notes',
+    dueAt: 'due_at',
+    subtotalAmount: 'subtotal_amount',
+    taxAmount: 'tax_amount',
+    totalAmount: 'total_amount',
+  };
+  for (const [key, column] of Object.entries(columns)) {
+    if (updates[key] !== undefined) {
+      values.push(key === 'billTo' && updates[key] ? JSON.stringify(updates[key]) : updates[key]);
+      fields.push(`${column} = $${values.length}`);
+    }
+  }
+
+  const updated = await withTransaction(async (client) => {
+    values.push(invoiceId, tenantId);
+    const result = await client.query(
+      `UPDATE invoices SET ${[...fields, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+       WHERE id = $${values.length - 1} AND tenant_id = $${values.length} AND status = 'DRAFT'`,
+      values
+    );
+    if (result.rowCount === 0) return false;
+
+    if (lines) {
+      await client.query('DELETE FROM invoice_lines WHERE invoice_id = $1 AND tenant_id = $2', [invoiceId, tenantId]);
+      await insertLines(client, tenantId, invoiceId, lines);
+    }
+    return true;
+  });
+
+  return updated ? getInvoiceById(invoiceId, tenantId) : null;
+}
+
+/**
+ * Delete a DRAFT invoice (issued invoices are voided instead, never deleted)
+ * @returns {Promise<boolean>} True if a draft was deleted
+ */
+export async function deleteDraftInvoice(invoiceId, tenantId) {
+  validateTenantId(tenantId, 'deleteDraftInvoice');
+
+  const result = await query(
+    `DELETE FROM invoices WHERE id = $1 AND tenant_id = $2 AND status = 'DRAFT'`,
+    [invoiceId, tenantId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Issue a DRAFT invoice: assign the next number in its series and stamp issue/due dates
+ * The draft row is locked and the sequence incremented in one transaction, so concurrent
+ * issues never share or skip a number.
+ * @param {Object} dates - { issuedAt, dueAt }
+ * @returns {Promise<Object|null>} Issued invoice, or null if not found or no longer a draft
+ */
+export async function issueInvoice(invoiceId, tenantId, { issuedAt, dueAt }) {
+  validateTenantId(tenantId, 'issueInvoice');
+
+  const issued = await withTransaction(async (client) => {
+    const current = await client.query(
+      `SELECT document_type FROM invoices
+       WHERE id = $1 AND tenant_id = $2 AND status = 'DRAFT'
+       FOR UPDATE`,
+      [invoiceId, tenantId]
+    );
+    if (current.rows.length === 0) return false;
+
+    const series = NUMBER_SERIES[current.rows[0].document_type] || NUMBER_SERIES.INVOICE;
+    const sequence = await client.query(
+      `INSERT INTO invoice_number_sequences (tenant_id, series, last_number)
+       VALUES ($1, $2, 1)
+       ON CONFLICT (tenant_id, series)
+       DO UPDATE SET last_number = invoice_number_sequences.last_number + 1
+       RETURNING last_number`,
+      [tenantId, series]
+    );
+    const invoiceNumber = `${series}-${String(sequence.rows[0].last_number).padStart(NUMBER_DIGITS, '0')}`;
+
+    await client.query(
+      `UPDATE invoices
+       SET status = 'ISSUED', invoice_number = $1, issued_at = $2, due_at = $3, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $4 AND tenant_id = $5`,
+      [invoiceNumber, issuedAt, dueAt, invoiceId, tenantId]
+    );
+    return true;
+  });
+
+  return issued ? getInvoiceById(invoiceId, tenantId) : null;
+}
+
+/**
+ * Void an ISSUED invoice or credit note (keeps its number; the series has no gaps)
+ * @returns {Promise<Object|null>} Voided invoice, or null if not found or not issued
+ */
+export async function voidInvoice(invoiceId, tenantId, reason) {
+  validateTenantId(tenantId, 'voidInvoice');
+
+  const result = await query(
+    `UPDATE invoices
+     SET status = 'VOID', voided_at = CURRENT_TIMESTAMP, void_reason = $1, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2 AND tenant_id = $3 AND status = 'ISSUED'`,
+    [reason, invoiceId, tenantId]
+  );
+  return result.rowCount > 0 ? getInvoiceById(invoiceId, tenantId) : null;
+}
+
+/**
+ * Quantities and amounts already credited per line of an invoice, by draft or issued
+ * (not void) credit notes
+ * @param {string} [excludeCreditNoteId] - Credit note to leave out (when re-checking it on issue)
+ * @returns {Promise<Map<string, {quantity: number, totalAmount: number}>>} Keyed by invoice line ID
+ */
+export async function getCreditedLineTotals(invoiceId, tenantId, excludeCreditNoteId = null) {
+  validateTenantId(tenantId, 'getCreditedLineTotals');
+
+  const result = await query(
+    `SELECT l.credited_line_id, SUM(l.quantity) AS quantity, SUM(l.total_amount) AS total_amount
+     FROM invoice_lines l
+     JOIN invoices cn ON cn.id = l.invoice_id AND cn.tenant_id = l.tenant_id
+     WHERE cn.credited_invoice_id = $1 AND cn.tenant_id = $2 AND cn.status <> 'VOID'
+       AND ($3::varchar IS NULL OR cn.id <> $3)
+       AND l.credited_line_id IS NOT NULL
+     GROUP BY l.credited_line_id`,
+    [invoiceId, tenantId, excludeCreditNoteId]
+  );
+  return new Map(result.rows.map((row) => [
+    row.credited_line_id,
+    { quantity: toNumber(row.quantity), totalAmount: toNumber(row.total_amount) },
+  ]));
+}
@@ -0,0 +1,427 @@
+/**
+ * Database functions for Port Call Itineraries (Escalas) and Berth Stays
+ * Multi-tenant aware - all queries filter by tenant_id
+ *
+ * Berth conflicts compare planned windows (start_time/end_time) of stays on the same berth,
+ * ignoring cancelled port calls. Validation is done by services/itinerary.js.
+ */
+
+import crypto from 'crypto';
+import { query } from './connection.js';
+
+export const ESCALA_STATUSES = ['PLANNED', 'ARRIVED', 'DEPARTED', 'SKIPPED'];
+
+export const OPERATION_TYPES = [
+  'LOADING',
+  'DISCHARGING',
+  'LOADING_DISCHARGING',
+  'BUNKERING',
+  'REPAIRS',
+  'LAY_BY',
+  'OTHER',
+];
+
+// API field -> column for the editable fields
+const ESCALA_COLUMNS = {
+  sequence: 'sequence',
+  portId: 'port_id',
+  terminal: 'terminal',
+  plannedEta: 'planned_eta',
+  plannedEtd: 'planned_etd',
+  actualEta: 'actual_eta',
+  actualEtd: 'actual_etd',
+  status: 'status',
+  notes: 'notes',
+};
+
+const BERTH_STAY_COLUMNS = {
+  escalaId: 'escala_id',
+  berthId: 'berth_id',
+  pier: 'pier',
+  operationType: 'operation_type',
+  startTime: 'start_time',
+  endTime: 'end_time',
+  actualStart: 'actual_start',
+  actualEnd: 'actual_end',
+  draftArrival: 'draft_arrival',
+  draftDeparture: 'draft_departure',
+  notes: 'notes',
+};
+
+const SELECT_ESCALAS = `
+  SELECT e.*, p.name AS port_name, p.code AS port_code, p.type AS port_type
+  FROM escalas e
+  LEFT JOIN ports p ON p.id = e.port_id AND p.tenant_id = e.tenant_id`;
+
+const SELECT_BERTH_STAYS = `
+  SELECT s.*, b.name AS berth_name, b.code AS berth_code, b.parent_code AS berth_parent_code,
+    pc.status AS port_call_status, pc.vessel_id, v.name AS vessel_name, e.sequence AS escala_sequence
+  FROM berth_stays s
+  LEFT JOIN ports b ON b.id = s.berth_id AND b.tenant_id = s.tenant_id
+  LEFT JOIN port_calls pc ON pc.id = s.port_call_id AND pc.tenant_id = s.tenant_id
+  LEFT JOIN vessels v ON v.id = pc.vessel_id AND v.tenant_id = s.tenant_id
+  LEFT JOIN escalas e ON e.id = s.escala_id AND e.tenant_id = s.tenant_id`;
+
+/**
+ * Validate tenant ID
+ */
+function validateTenantId(tenantId, functionName) {
+  if (!tenantId || typeof tenantId !== 'string') {
+    throw new Error(`${functionName}: tenantId is required and must be a string`);
+  }
+}
+
+function parseDecimal(value) {
+  return value === null || value === undefined ? null : parseFloat(value);
+}
+
+/**
+ * Transform database row to API format
+ */
+function transformEscalaRow(row) {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    tenantId: row.tenant_id,
+    portCallId: row.port_call_id,
+    sequence: row.sequence,
+    portId: row.port_id,
+    port: row.port_name ? { id: row.port_id, name: row.port_name, code: row.port_code, type: row.port_type } : null,
+    terminal: row.terminal,
+    plannedEta: row.planned_eta,
+    plannedEtd: row.planned_etd,
+    actualEta: row.actual_eta,
+    actualEtd: row.actual_etd,
+    status: row.status,
+    notes: row.notes,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function transformBerthStayRow(row) {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    tenantId: row.tenant_id,
+    portCallId: row.port_call_id,
+    portCall: {
+      id: row.port_call_id,
+      status: row.port_call_status || null,
+      vesselId: row.vessel_id || null,
+      vesselName: row.vessel_name || null,
+    },
+    escalaId: row.escala_id,
+    escalaSequence: row.escala_sequence ?? null,
+    berthId: row.berth_id,
+    berth: row.berth_name
+      ? { id: row.berth_id, name: row.berth_name, code: row.berth_code, parentCode: row.berth_parent_code }
+      : null,
+    pier: row.pier,
+    operationType: row.operation_type,
+    startTime: row.start_time,
+    endTime: row.end_time,
+    actualStart: row.actual_start,
+    actualEnd: row.actual_end,
+    draftArrival: parseDecimal(row.draft_arrival),
+    draftDeparture: parseDecimal(row.draft_departure),
+    notes: row.notes,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Build "SET a = $1, b = $2" for the fields present in updates
+ */
+function buildUpdate(columns, updates) {
+  const fields = [];
+  const values = [];
+  for (const [key, column] of Object.entries(columns)) {
+    if (updates[key] !== undefined) {
+      values.push(updates[key]);
+      fields.push(`${column} = $${values.length}`);
+    }
+  }
+  return { fields, values };
+}
+
+/**
+ * Get a port call's itinerary stops
+ * @returns {Promise<Array>} In rotation order
+ */
+export async function getEscalas(tenantId, portCallId) {
+  validateTenantId(tenantId, 'getEscalas');
+
+  const result = await query(
+    `${SELECT_ESCALAS}
+     WHERE e.tenant_id = $1 AND e.port_call_id = $2
+     ORDER BY e.sequence ASC, e.planned_eta ASC NULLS LAST`,
+    [tenantId, portCallId]
+  );
+  return result.rows.map(transformEscalaRow);
+}
+
+/**
+ * Get an itinerary stop
+ * SECURITY: Only returns the stop if it belongs to the specified tenant
+ */
+export async function getEscalaById(escalaId, tenantId) {
+  validateTenantId(tenantId, 'getEscalaById');
+
+  const result = await query(`${SELECT_ESCALAS} WHERE e.id = $1 AND e.tenant_id = $2`, [escalaId, tenantId]);
+  return transformEscalaRow(result.rows[0]);
+}
+
+/**
+ * Add a stop to a port call's itinerary (appended when no sequence is given)
+ * @param {Object} data - { portCallId, portId, sequence?, terminal?, plannedEta?, plannedEtd?, actualEta?, actualEtd?, status?, notes? }
+ */
+export async function createEscala(tenantId, data) {
+  validateTenantId(tenantId, 'createEscala');
+
+  const id = `escala-${crypto.randomUUID()}`;
+  const keys = Object.keys(ESCALA_COLUMNS).filter((key) => key !== 'sequence');
+  const columns = ['id', 'tenant_id', 'port_call_id', 'sequence', ...keys.map((key) => ESCALA_COLUMNS[key])];
+  const values = [id, tenantId, data.portCallId, data.sequence ?? null, ...keys.map((key) => data[key] ?? null)];
+  values[columns.indexOf('status')] = data.status || 'PLANNED';
+
+  await query(
+    `INSERT INTO escalas (${columns.join(', ')})
+     VALUES ($1, $2, $3,
+       COALESCE($4, (SELECT COALESCE(MAX(sequence), 0) + 1 FROM escalas WHERE tenant_id = $2 AND port_call_id = $3)),
+       ${columns.slice(4).map((_, index) => `$${index + 5}`).join(', ')})`,
+    values
+  );
+  return getEscalaById(id, tenantId);
+}
+
+/**
+ * Update the editable fields of a stop
+ * @returns {Promise<Object|null>} Updated stop or null if not found
+ */
+export async function updateEscala(escalaId, tenantId, updates) {
+  validateTenantId(tenantId, 'updateEscala');
+
+  const { fields, values } = buildUpdate(ESCALA_COLUMNS, updates);
+  if (fields.length === 0) {
+    return getEscalaById(escalaId, tenantId);
+  }
+
+  values.push(escalaId, tenantId);
+  const result = await query(
+    `UPDATE escalas SET ${[...fields, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+     WHERE id = $${values.length - 1} AND tenant_id = $${values.length}`,
+    values
+  );
+  return result.rowCount > 0 ? getEscalaById(escalaId, tenantId) : null;
+}
+
+/**
+ * Delete a stop (its berth stays stay on the port call, unlinked)
+ * @returns {Promise<boolean>} True if deleted
+ */
+export async function deleteEscala(escalaId, tenantId) {
+  validateTenantId(tenantId, 'deleteEscala');
+
+  const result = await query('DELETE FROM escalas WHERE id = $1 AND tenant_id = $2', [escalaId, tenantId]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Get berth stays
+ * @param {Object} [filters] - { portCallId, berthIds: string[], from, to } (from/to: stays overlapping the window)
+ * @returns {Promise<Array>} By planned start
+ */
+export async function getBerthStays(tenantId, filters = {}) {
+  validateTenantId(tenantId, 'getBerthStays');
+
+  const conditions = ['s.tenant_id = $1'];
+  const values = [tenantId];
+  if (filters.portCallId) {
+    values.push(filters.portCallId);
+    conditions.push(`s.port_call_id = $${values.length}`);
+  }
+  if (filters.berthIds) {
+    values.push(filters.berthIds);
+    conditions.push(`s.berth_id = ANY($${values.length})`);
+  }
+  if (filters.from) {
+    values.push(filters.from);
+    conditions.push(`s.end_time > $${values.length}`);
+  }
+  if (filters.to) {
+    values.push(filters.to);
+    conditions.push(`s.start_time < $${values.length}`);
+  }
+
+  const result = await query(
+    `${SELECT_BERTH_STAYS}
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY s.start_time ASC, s.created_at ASC`,
+    values
+  );
+  return result.rows.map(transformBerthStayRow);
+}
+
+/**
+ * Get a berth stay
+ * SECURITY: Only returns the stay if it belongs to the specified tenant
+ */
+export async function getBerthStayById(stayId, tenantId) {
+  validateTenantId(tenantId, 'getBerthStayById');
+
+  const result = await query(`${SELECT_BERTH_STAYS} WHERE s.id = $1 AND s.tenant_id = $2`, [stayId, tenantId]);
+  return transformBerthStayRow(result.rows[0]);
+}
+
+/**
+ * Allocate a berth to a port call
+ * @param {Object} data - { portCallId, berthId, startTime, endTime, escalaId?, pier?, operationType?,
+ *   actualStart?, actualEnd?, draftArrival?, draftDeparture?, notes? }
+ */
+export async function createBerthStay(tenantId, data) {
+  validateTenantId(tenantId, 'createBerthStay');
+
+  const id = `berth-stay-${crypto.randomUUID()}`;
+  const keys = Object.keys(BERTH_STAY_COLUMNS);
+  const columns = ['id', 'tenant_id', 'port_call_id', ...keys.map((key) => BERTH_STAY_COLUMNS[key])];
+  const values = [id, tenantId, data.portCallId, ...keys.map((key) => data[key] ?? null)];
+  values[columns.indexOf('operation_type')] = data.operationType || 'OTHER';
+
+  await query(
+    `INSERT INTO berth_stays (${columns.join(', ')})
+     VALUES (${columns.map((_, index) => `$${index + 1}`).join(', ')})`,
+    values
+  );
+  return getBerthStayById(id, tenantId);
+}
+
+/**
+ * Update the editable fields of a berth stay
+ * @returns {Promise<Object|null>} Updated stay or null if not found
+ */
+export async function updateBerthStay(stayId, tenantId, updates) {
+  validateTenantId(tenantId, 'updateBerthStay');
+
+  const { fields, values } = buildUpdate(BERTH_STAY_COLUMNS, updates);
+  if (fields.length === 0) {
+    return getBerthStayById(stayId, tenantId);
+  }
+
+  values.push(stayId, tenantId);
+  const result = await query(
+    `UPDATE berth_stays SET ${[...fields, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+     WHERE id = $${values.length - 1} AND tenant_id = $${values.length}`,
+    values
+  );
+  return result.rowCount > 0 ? getBerthStayById(stayId, tenantId) : null;
+}
+
+/**
+ * Delete a berth stay
+ * @returns {Promise<boolean>} True if deleted
+ */
+export async function deleteBerthStay(stayId, tenantId) {
+  validateTenantId(tenantId, 'deleteBerthStay');
+
+  const result = await query('DELETE FROM berth_stays WHERE id = $1 AND tenant_id = $2', [stayId, tenantId]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Find stays on a berth whose planned window overlaps [startTime, endTime)
+ * @param {Object} window - { berthId, startTime, endTime, excludeId?, excludePortCallId? }
+ *   (a port call's own stays, e.g. a shift along the berth, are not conflicts)
+ * @returns {Promise<Array>} Overlapping stays of port calls that are not cancelled
+ */
+export async function findOverlappingBerthStays(
+  tenantId,
+  { berthId, startTime, endTime, excludeId = null, excludePortCallId = null }
+) {
+  validateTenantId(tenantId, 'findOverlappingBerthStays');
+
+  const result = await query(
+    `${SELECT_BERTH_STAYS}
+     WHERE s.tenant_id = $1 AND s.berth_id = $2 AND s.start_time < $4 AND s.end_time > $3
+       AND ($5::varchar IS NULL OR s.id <> $5) AND ($6::varchar IS NULL OR s.port_call_id <> $6)
+       AND pc.status <> 'CANCELLED'
+     ORDER BY s.start_time ASC`,
+    [tenantId, berthId, startTime, endTime, excludeId, excludePortCallId]
+  );
+  return result.rows.map(transformBerthStayRow);
+}
+
+/**
+ * Find the conflicts of several stays at once (stays of other port calls only)
+ * @param {string[]} stayIds
+ * @returns {Promise<Map<string, Array>>} Stay ID -> [{ id, portCallId, vesselName, startTime, endTime }]
+ */
+export async function getBerthStayConflicts(tenantId, stayIds) {
+  validateTenantId(tenantId, 'getBerthStayConflicts');
+
+  const conflicts = new Map();
+  if (stayIds.length === 0) return conflicts;
+
+  const result = await query(
+    `SELECT a.id AS stay_id, b.id, b.port_call_id, b.start_time, b.end_time, v.name AS vessel_name
+     FROM berth_stays a
+     JOIN port_calls pa ON pa.id = a.port_call_id AND pa.tenant_id = a.tenant_id
+     JOIN berth_stays b ON b.tenant_id = a.tenant_id AND b.berth_id = a.berth_id AND b.id <> a.id
+       AND b.port_call_id <> a.port_call_id
+       AND b.start_time < a.end_time AND b.end_time > a.start_time
+     JOIN port_calls pb ON pb.id = b.port_call_id AND pb.tenant_id = b.tenant_id
+     LEFT JOIN vessels v ON v.id = pb.vessel_id AND v.tenant_id = b.tenant_id
+     WHERE a.tenant_id = $1 AND a.id = ANY($2) AND pa.status <> 'CANCELLED' AND pb.status <> 'CANCELLED'
+     ORDER BY b.start_time ASC`,
+    [tenantId, stayIds]
+  );
+  for (const row of result.rows) {
+    if (!conflicts.has(row.stay_id)) conflicts.set(row.stay_id, []);
+    conflicts.get(row.stay_id).push({
+      id: row.id,
+      portCallId: row.port_call_id,
+      vesselName: row.vessel_name || null,
+      startTime: row.start_time,
+      endTime: row.end_time,
+    });
+  }
+  return conflicts;
+}
+
+/**
+ * Get port calls at some ops sites with no berth allocated yet (berth planning backlog)
+ * @param {Object} filters - { siteIds: string[], from?, to? } (from/to: calls whose ETA..ETD overlaps the window)
+ * @returns {Promise<Array>} Non-cancelled calls by ETA: [{ id, status, vesselId, vesselName, portId, eta, etd }]
+ */
+export async function getPortCallsWithoutBerth(tenantId, { siteIds, from = null, to = null }) {
+  validateTenantId(tenantId, 'getPortCallsWithoutBerth');
+
+  if (!siteIds || siteIds.length === 0) return [];
+
+  const result = await query(
+    `SELECT pc.id, pc.status, pc.vessel_id, pc.port_id, pc.eta, pc.etd, v.name AS vessel_name
+     FROM port_calls pc
+     LEFT JOIN vessels v ON v.id = pc.vessel_id AND v.tenant_id = pc.tenant_id
+     WHERE pc.tenant_id = $1 AND pc.port_id = ANY($2) AND pc.status IN ('PLANNED', 'IN_PROGRESS')
+       AND pc.eta IS NOT NULL
+       AND ($3::timestamp IS NULL OR COALESCE(pc.etd, pc.eta) >= $3)
+       AND ($4::timestamp IS NULL OR pc.eta < $4)
+       AND NOT EXISTS (
+         SELECT 1 FROM berth_stays s WHERE s.port_call_id = pc.id AND s.tenant_id = pc.tenant_id
+       )
+     ORDER BY pc.eta ASC`,
+    [tenantId, siteIds, from, to]
+  );
+  return result.rows.map((row) => ({
+    id: row.id,
+    status: row.status,
+    vesselId: row.vessel_id,
+    vesselName: row.vessel_name || null,
+    portId: row.port_id,
+    eta: row.eta,
+    etd: row.etd,
+  }));
+}
@@ -0,0 +1,125 @@
+/**
+ * Database functions for Laytime Terms
+ * Multi-tenant aware - all queries filter by tenant_id
+ *
+ * One set of charter-party terms per port call. The calculation itself is in services/laytime.js.
+ */
+
+import crypto from 'crypto';
+import { query } from './connection.js';
+
+export const LAYTIME_TERMS = ['SHINC', 'SHEX'];
+
+// API field -> column; JSON columns are serialized on write
+const TERMS_COLUMNS = {
+  terms: 'terms',
+  allowedHours: 'allowed_hours',
+  cargoQuantity: 'cargo_quantity',
+  cargoRate: 'cargo_rate',
+  turnTimeHours: 'turn_time_hours',
+  reversible: 'reversible',
+  reversiblePortCallIds: 'reversible_port_call_ids',
+  weatherExcepted: 'weather_excepted',
+  stoppagesExcepted: 'stoppages_excepted',
+  holidays: 'holidays',
+  currency: 'currency',
+  demurrageRate: 'demurrage_rate',
+  despatchRate: 'despatch_rate',
+  notes: 'notes',
+};
+
+const JSON_FIELDS = ['reversiblePortCallIds', 'holidays'];
+
+/**
+ * Validate tenant ID
+ */
+function validateTenantId(tenantId, functionName) {
+  if (!tenantId || typeof tenantId !== 'string') {
+    throw new Error(`${functionName}: tenantId is required and must be a string`);
+  }
+}
+
+function parseDecimal(value) {
+  return value === null || value === undefined ? null : parseFloat(value);
+}
+
+/**
+ * Transform database row to API format
+ */
+function transformTermsRow(row) {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    tenantId: row.tenant_id,
+    portCallId: row.port_call_id,
+    terms: row.terms,
+    allowedHours: parseDecimal(row.allowed_hours),
+    cargoQuantity: parseDecimal(row.cargo_quantity),
+    cargoRate: parseDecimal(row.cargo_rate),
+    turnTimeHours: parseDecimal(row.turn_time_hours),
+    reversible: row.reversible,
+    reversiblePortCallIds: row.reversible_port_call_ids || [],
+    weatherExcepted: row.weather_excepted,
+    stoppagesExcepted: row.stoppages_excepted,
+    holidays: row.holidays || [],
+    currency: row.currency,
+    demurrageRate: parseDecimal(row.demurrage_rate),
+    despatchRate: parseDecimal(row.despatch_rate),
+    notes: row.notes,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Get a port call's laytime terms
+ * @returns {Promise<Object|null>} Terms or null if none were set
+ */
+export async function getLaytimeTerms(tenantId, portCallId) {
+  validateTenantId(tenantId, 'getLaytimeTerms');
+
+  const result = await query(
+    'SELECT * FROM laytime_terms WHERE tenant_id = $1 AND port_call_id = $2',
+    [tenantId, portCallId]
+  );
+  return transformTermsRow(result.rows[0]);
+}
+
+/**
+ * Create or replace a port call's laytime terms
+ * @param {Object} data - Every field of TERMS_COLUMNS (validated by the service)
+ * @returns {Promise<Object>} Saved terms
+ */
+export async function saveLaytimeTerms(tenantId, portCallId, data) {
+  validateTenantId(tenantId, 'saveLaytimeTerms');
+
+  const keys = Object.keys(TERMS_COLUMNS);
+  const columns = keys.map((key) => TERMS_COLUMNS[key]);
+  const values = keys.map((key) => (JSON_FIELDS.includes(key) ? JSON.stringify(data[key] || []) : data[key] ?? null));
+
+  const result = await query(
+    `INSERT INTO laytime_terms (id, tenant_id, port_call_id, ${columns.join(', ')})
+     VALUES ($1, $2, $3, ${columns.map((_, index) => `$${index + 4}`).join(', ')})
+     ON CONFLICT (tenant_id, port_call_id) DO UPDATE SET
+       ${columns.map((column) => `${column} = EXCLUDED.${column}`).join(', ')},
+       updated_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    [`laytime-${crypto.randomUUID()}`, tenantId, portCallId, ...values]
+  );
+  return transformTermsRow(result.rows[0]);
+}
+
+/**
+ * Delete a port call's laytime terms
+ * @returns {Promise<boolean>} True if deleted
+ */
+export async function deleteLaytimeTerms(tenantId, portCallId) {
+  validateTenantId(tenantId, 'deleteLaytimeTerms');
+
+  const result = await query(
+    'DELETE FROM laytime_terms WHERE tenant_id = $1 AND port_call_id = $2',
+    [tenantId, portCallId]
+  );
+  return result.rowCount > 0;
+}
@@ -0,0 +1,312 @@
+/**
+ * Database functions for Cargo Manifests and Bills of Lading
+ * Multi-tenant aware - all queries filter by tenant_id
+ *
+ * Bills of lading belong to a manifest, manifests to a port call. Validation is done by
+ * services/manifests.js.
+ */
+
+import crypto from 'crypto';
+import { query } from './connection.js';
+
+export const MANIFEST_TYPES = ['IMPORT', 'EXPORT', 'CABOTAGE'];
+
+// API field -> column
+const MANIFEST_COLUMNS = {
+  manifestNumber: 'manifest_number',
+  type: 'manifest_type',
+  cargoType: 'cargo_type',
+  portOfLoading: 'port_of_loading',
+  portOfDischarge: 'port_of_discharge',
+  notes: 'notes',
+};
+
+const BILL_OF_LADING_COLUMNS = {
+  blNumber: 'bl_number',
+  shipper: 'shipper',
+  consignee: 'consignee',
+  notifyParty: 'notify_party',
+  cargoDescription: 'cargo_description',
+  packageCount: 'package_count',
+  weight: 'weight',
+  volume: 'volume',
+  containerInfo: 'container_info',
+};
+
+const SELECT_MANIFESTS = `
+  SELECT m.*,
+    COUNT(b.id)::int AS bl_count,
+    COALESCE(SUM(b.weight), 0) AS total_weight,
+    COALESCE(SUM(b.volume), 0) AS total_volume
+  FROM manifests m
+  LEFT JOIN bills_of_lading b ON b.manifest_id = m.id AND b.tenant_id = m.tenant_id`;
+
+/**
+ * Validate tenant ID
+ */
+function validateTenantId(tenantId, functionName) {
+  if (!tenantId || typeof tenantId !== 'string') {
+    throw new Error(`${functionName}: tenantId is required and must be a string`);
+  }
+}
+
+function toNumber(value) {
+  return value === null || value === undefined ? null : parseFloat(value);
+}
+
+/**
+ * Transform database row to API format
+ */
+function transformManifestRow(row) {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    tenantId: row.tenant_id,
+    portCallId: row.port_call_id,
+    manifestNumber: row.manifest_number,
+    type: row.manifest_type,
+    cargoType: row.cargo_type,
+    portOfLoading: row.port_of_loading,
+    portOfDischarge: row.port_of_discharge,
+    notes: row.notes,
+    blCount: row.bl_count ?? 0,
+    totalWeight: toNumber(row.total_weight) ?? 0,
+    totalVolume: toNumber(row.total_volume) ?? 0,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function transformBillOfLadingRow(row) {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    tenantId: row.tenant_id,
+    manifestId: row.manifest_id,
+    blNumber: row.bl_number,
+    shipper: row.shipper,
+    consignee: row.consignee,
+    notifyParty: row.notify_party,
+    cargoDescription: row.cargo_description,
+    packageCount: row.package_count,
+    weight: toNumber(row.weight),
+    volume: toNumber(row.volume),
+    containerInfo: row.container_info,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Build "col = $n" assignments for the fields present in updates
+ */
+function buildAssignments(columns, updates) {
+  const fields = [];
+  const values = [];
+  for (const [key, column] of Object.entries(columns)) {
+    if (updates[key] !== undefined) {
+      values.push(updates[key]);
+      fields.push(`${column} = $${values.length}`);
+    }
+  }
+  return { fields, values };
+}
+
+/**
+ * Get a port call's manifests with their bills of lading
+ * @returns {Promise<Array>} Manifests ordered by type and number, each with billsOfLading
+ */
+export async function getManifests(tenantId, portCallId) {
+  validateTenantId(tenantId, 'getManifests');
+
+  const [manifests, bills] = await Promise.all([
+    query(
+      `${SELECT_MANIFESTS}
+       WHERE m.tenant_id = $1 AND m.port_call_id = $2
+       GROUP BY m.id
+       ORDER BY m.manifest_type ASC, m.manifest_number ASC`,
+      [tenantId, portCallId]
+    ),
+    query(
+      `SELECT b.* FROM bills_of_lading b
+       JOIN manifests m ON m.id = b.manifest_id AND m.tenant_id = b.tenant_id
+       WHERE b.tenant_id = $1 AND m.port_call_id = $2
+       ORDER BY b.bl_number ASC`,
+      [tenantId, portCallId]
+    ),
+  ]);
+
+  const billsByManifest = new Map();
+  for (const row of bills.rows) {
+    if (!billsByManifest.has(row.manifest_id)) billsByManifest.set(row.manifest_id, []);
+    billsByManifest.get(row.manifest_id).push(transformBillOfLadingRow(row));
+  }
+  return manifests.rows.map((row) => ({
+    ...transformManifestRow(row),
+    billsOfLading: billsByManifest.get(row.id) || [],
+  }));
+}
+
+/**
+ * Get a manifest (without its bills of lading)
+ * SECURITY: Only returns the manifest if it belongs to the specified tenant
+ */
+export async function getManifestById(manifestId, tenantId) {
+  validateTenantId(tenantId, 'getManifestById');
+
+  const result = await query(
+    `${SELECT_MANIFESTS} WHERE m.id = $1 AND m.tenant_id = $2 GROUP BY m.id`,
+    [manifestId, tenantId]
+  );
+  return transformManifestRow(result.rows[0]);
+}
+
+/**
+ * Create a manifest
+ * @param {Object} data - Validated fields plus portCallId
+ * @throws pg unique violation (code 23505) if the port call already has this manifest number
+ */
+export async function createManifest(tenantId, data) {
+  validateTenantId(tenantId, 'createManifest');
+
+  const id = `manifest-${crypto.randomUUID()}`;
+  const keys = Object.keys(MANIFEST_COLUMNS);
+  const columns = ['id', 'tenant_id', 'port_call_id', ...keys.map((key) => MANIFEST_COLUMNS[key])];
+  await query(
+    `INSERT INTO manifests (${columns.join(', ')})
+     VALUES (${columns.map((_, index) => `$${index + 1}`).join(', ')})`,
+    [id, tenantId, data.portCallId, ...keys.map((key) => data[key] ?? null)]
+  );
+  return getManifestById(id, tenantId);
+}
+
+/**
+ * Update a manifest
+ * @returns {Promise<Object|null>} Updated manifest or null if not found
+ * @throws pg unique violation (code 23505) if the new number is taken on the port call
+ */
+export async function updateManifest(manifestId, tenantId, updates) {
+  validateTenantId(tenantId, 'updateManifest');
+
+  const { fields, values } = buildAssignments(MANIFEST_COLUMNS, updates);
+  if (fields.length === 0) {
+    return getManifestById(manifestId, tenantId);
+  }
+
+  values.push(manifestId, tenantId);
+  const result = await query(
+    `UPDATE manifests SET ${[...fields, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+     WHERE id = $${values.length - 1} AND tenant_id = $${values.length}`,
+    values
+  );
+  return result.rowCount > 0 ? getManifestById(manifestId, tenantId) : null;
+}
+
+/**
+ * Delete a manifest and its bills of lading
+ * @returns {Promise<boolean>} True if deleted
+ */
+export async function deleteManifest(manifestId, tenantId) {
+  validateTenantId(tenantId, 'deleteManifest');
+
+  const result = await query(
+    'DELETE FROM manifests WHERE id = $1 AND tenant_id = $2',
+    [manifestId, tenantId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Get a bill of lading
+ * SECURITY: Only returns the bill of lading if it belongs to the specified tenant
+ */
+export async function getBillOfLadingById(billOfLadingId, tenantId) {
+  validateTenantId(tenantId, 'getBillOfLadingById');
+
+  const result = await query(
+    'SELECT * FROM bills_of_lading WHERE id = $1 AND tenant_id = $2',
+    [billOfLadingId, tenantId]
+  );
+  return transformBillOfLadingRow(result.rows[0]);
+}
+
+/**
+ * Add a bill of lading to a manifest
+ * @param {Object} data - Validated fields plus manifestId
+ * @throws pg unique violation (code 23505) if the manifest already lists this BL number
+ */
+export async function createBillOfLading(tenantId, data) {
+  validateTenantId(tenantId, 'createBillOfLading');
+
+  const id = `bl-${crypto.randomUUID()}`;
+  const keys = Object.keys(BILL_OF_LADING_COLUMNS);
+  const columns = ['id', 'tenant_id', 'manifest_id', ...keys.map((key) => BILL_OF_LADING_COLUMNS[key])];
+  await query(
+    `INSERT INTO bills_of_lading (${columns.join(', ')})
+     VALUES (${columns.map((_, index) => `$${index + 1}`).join(', ')})`,
+    [id, tenantId, data.manifestId, ...keys.map((key) => data[key] ?? null)]
+  );
+  return getBillOfLadingById(id, tenantId);
+}
+
+/**
+ * Update a bill of lading
+ * @returns {Promise<Object|null>} Updated bill of lading or null if not found
+ */
+export async function updateBillOfLading(billOfLadingId, tenantId, updates) {
+  validateTenantId(tenantId, 'updateBillOfLading');
+
+  const { fields, values } = buildAssignments(BILL_OF_LADING_COLUMNS, updates);
+  if (fields.length === 0) {
+    return getBillOfLadingById(billOfLadingId, tenantId);
+  }
+
+  values.push(billOfLadingId, tenantId);
+  const result = await query(
+    `UPDATE bills_of_lading SET ${[...fields, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+     WHERE id = $${values.length - 1} AND tenant_id = $${values.length}`,
+    values
+  );
+  return result.rowCount > 0 ? getBillOfLadingById(billOfLadingId, tenantId) : null;
+}
+
+/**
+ * Delete a bill of lading
+ * @returns {Promise<boolean>} True if deleted
+ */
+export async function deleteBillOfLading(billOfLadingId, tenantId) {
+  validateTenantId(tenantId, 'deleteBillOfLading');
+
+  const result = await query(
+    'DELETE FROM bills_of_lading WHERE id = $1 AND tenant_id = $2',
+    [billOfLadingId, tenantId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Count bills of lading on the tenant's port calls (dashboard total cargo)
+ * @param {Array<string>} [statuses] - Only port calls in these statuses
+ * @returns {Promise<number>}
+ */
+export async function countBillsOfLading(tenantId, statuses = []) {
+  validateTenantId(tenantId, 'countBillsOfLading');
+
+  const values = [tenantId];
+  let statusFilter = '';
+  if (statuses.length > 0) {
+    values.push(statuses);
+    statusFilter = 'AND pc.status = ANY($2)';
+  }
+  const result = await query(
+    `SELECT COUNT(b.id)::int AS count
+     FROM bills_of_lading b
+     JOIN manifests m ON m.id = b.manifest_id AND m.tenant_id = b.tenant_id
+     JOIN port_calls pc ON pc.id = m.port_call_id AND pc.tenant_id = m.tenant_id
+     WHERE b.tenant_id = $1 ${statusFilter}`,
+    values
+  );
+  return result.rows[0].count;
+}
@@ -0,0 +1,31 @@
+-- Migration: Add port call lifecycle fields
+-- Adds actual arrival/departure and cancellation reason to port_calls (set by status transitions)
+-- and links operation logs to the port call they describe
+
+DO $$ 
+BEGIN
+  -- Add actual_arrival column (required when moving to IN_PROGRESS)
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                 WHERE table_name='port_calls' AND column_name='actual_arrival') THEN
+    ALTER TABLE port_calls ADD COLUMN actual_arrival TIMESTAMP;
+  END IF;
+
+  -- Add actual_departure column (required when moving to COMPLETED)
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                 WHERE table_name='port_calls' AND column_name='actual_departure') THEN
+    ALTER TABLE port_calls ADD COLUMN actual_departure TIMESTAMP;
+  END IF;
+
+  -- Add cancellation_reason column (required when moving to CANCELLED)
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                 WHERE table_name='port_calls' AND column_name='cancellation_reason') THEN
+    ALTER TABLE port_calls ADD COLUMN cancellation_reason TEXT;
+  END IF;
+
+  -- Add port_call_id column to operation logs
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                 WHERE table_name='portcall_operation_logs' AND column_name='port_call_id') THEN
+    ALTER TABLE portcall_operation_logs ADD COLUMN port_call_id VARCHAR(255);
+    CREATE INDEX IF NOT EXISTS idx_operation_logs_port_call_id ON portcall_operation_logs(port_call_id);
+  END IF;
+END $$;
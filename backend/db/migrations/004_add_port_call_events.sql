@@ -0,0 +1,35 @@
+-- Migration: Add port call arrival/departure events
+-- Stores ARRIVAL / ANCHORAGE / ALONGSIDE / DEPARTURE events detected from AIS positions
+-- and marks which position history rows have been evaluated against ops site geofences
+
+CREATE TABLE IF NOT EXISTS port_call_events (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  port_call_id VARCHAR(255) NOT NULL REFERENCES port_calls(id) ON DELETE CASCADE,
+  vessel_id VARCHAR(255) REFERENCES vessels(id) ON DELETE SET NULL,
+  ops_site_id VARCHAR(255),
+  event_type VARCHAR(50) NOT NULL,
+  timestamp TIMESTAMP NOT NULL,
+  terminal VARCHAR(255),
+  remarks TEXT,
+  position_lat DECIMAL(10, 8),
+  position_lon DECIMAL(11, 8),
+  source VARCHAR(50) DEFAULT 'ais',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_port_call_events_tenant_id ON port_call_events(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_port_call_events_port_call_id ON port_call_events(port_call_id);
+
+DO $$ 
+BEGIN
+  -- Add geofence_evaluated_at column (NULL = not yet processed by the detection job)
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                 WHERE table_name='vessel_position_history' AND column_name='geofence_evaluated_at') THEN
+    ALTER TABLE vessel_position_history ADD COLUMN geofence_evaluated_at TIMESTAMP;
+    -- Existing history predates the job: mark it evaluated so it is not replayed
+    UPDATE vessel_position_history SET geofence_evaluated_at = CURRENT_TIMESTAMP;
+    CREATE INDEX IF NOT EXISTS idx_position_history_geofence_pending
+      ON vessel_position_history(timestamp) WHERE geofence_evaluated_at IS NULL;
+  END IF;
+END $$;
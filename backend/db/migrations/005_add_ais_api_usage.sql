@@ -0,0 +1,11 @@
+-- Migration: Add AIS API usage tracking
+-- Daily per-tenant count of AIS provider calls, used to enforce the tenant's daily call budget
+
+CREATE TABLE IF NOT EXISTS ais_api_usage (
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  usage_date DATE NOT NULL,
+  call_count INTEGER NOT NULL DEFAULT 0,
+  poller_call_count INTEGER NOT NULL DEFAULT 0,
+  last_call_at TIMESTAMP,
+  PRIMARY KEY (tenant_id, usage_date)
+);
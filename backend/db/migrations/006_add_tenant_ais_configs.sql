@@ -0,0 +1,16 @@
+-- Migration: Add tenant AIS configurations
+-- Per-tenant AIS provider selection, the tenant's own provider API keys (encrypted by the
+-- application, never stored in plain text) and scheduled polling settings.
+-- Replaces the data/aisConfig.json file (imported on first startup by services/aisConfig.js).
+
+CREATE TABLE IF NOT EXISTS tenant_ais_configs (
+  tenant_id VARCHAR(255) PRIMARY KEY REFERENCES tenants(id) ON DELETE CASCADE,
+  provider VARCHAR(50), -- datalastic, myshiptracking; NULL = server default provider
+  api_key_encrypted TEXT,
+  secret_key_encrypted TEXT, -- MyShipTracking secret key
+  key_rotated_at TIMESTAMP,
+  poll_frequency_minutes INTEGER,
+  daily_call_budget INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,31 @@
+-- Migration: Add user management fields
+-- Users can be deactivated by an admin (login and token refresh are refused) and record their
+-- last login. Roles are ADMIN / OPERATOR / VIEWER; the legacy USER role becomes OPERATOR.
+-- Refresh tokens are stored as a SHA-256 hash, keyed by the token's jti (refresh_tokens.id).
+
+DO $$ 
+BEGIN
+  -- Add is_active column (inactive users cannot log in)
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                 WHERE table_name='users' AND column_name='is_active') THEN
+    ALTER TABLE users ADD COLUMN is_active BOOLEAN NOT NULL DEFAULT TRUE;
+  END IF;
+
+  -- Add last_login_at column
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                 WHERE table_name='users' AND column_name='last_login_at') THEN
+    ALTER TABLE users ADD COLUMN last_login_at TIMESTAMP;
+  END IF;
+
+  -- Add invited_by column (admin who created the user)
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                 WHERE table_name='users' AND column_name='invited_by') THEN
+    ALTER TABLE users ADD COLUMN invited_by VARCHAR(255);
+  END IF;
+END $$;
+
+UPDATE users SET role = 'OPERATOR' WHERE role NOT IN ('ADMIN', 'OPERATOR', 'VIEWER');
+ALTER TABLE users ALTER COLUMN role SET DEFAULT 'OPERATOR';
+
+-- Existing refresh tokens were never persisted (in-memory store) - nothing to convert
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_tenant ON refresh_tokens(tenant_id);
@@ -0,0 +1,93 @@
+-- Migration: Add invoice details
+-- Invoice numbering, tax totals, void and credit note fields on invoices, invoice line items
+-- and per-tenant number sequences (one series per document type: INV, CN).
+-- Numbers are assigned when an invoice is issued, so drafts never consume one.
+
+DO $$ 
+BEGIN
+  -- Add invoice_number column (NULL while DRAFT)
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                 WHERE table_name='invoices' AND column_name='invoice_number') THEN
+    ALTER TABLE invoices ADD COLUMN invoice_number VARCHAR(50);
+  END IF;
+
+  -- Add document_type column (INVOICE or CREDIT_NOTE)
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                 WHERE table_name='invoices' AND column_name='document_type') THEN
+    ALTER TABLE invoices ADD COLUMN document_type VARCHAR(20) NOT NULL DEFAULT 'INVOICE';
+  END IF;
+
+  -- Add credited_invoice_id column (the invoice a credit note credits)
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                 WHERE table_name='invoices' AND column_name='credited_invoice_id') THEN
+    ALTER TABLE invoices ADD COLUMN credited_invoice_id VARCHAR(255) REFERENCES invoices(id) ON DELETE RESTRICT;
+  END IF;
+
+  -- Add subtotal_amount and tax_amount columns (total_amount = subtotal + tax)
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                 WHERE table_name='invoices' AND column_name='subtotal_amount') THEN
+    ALTER TABLE invoices ADD COLUMN subtotal_amount NUMERIC(14,2) NOT NULL DEFAULT 0;
+    ALTER TABLE invoices ADD COLUMN tax_amount NUMERIC(14,2) NOT NULL DEFAULT 0;
+    UPDATE invoices SET subtotal_amount = COALESCE(total_amount, 0);
+  END IF;
+
+  -- Add bill_to column (customer billing details, snapshotted so issued invoices never change)
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                 WHERE table_name='invoices' AND column_name='bill_to') THEN
+    ALTER TABLE invoices ADD COLUMN bill_to JSONB;
+  END IF;
+
+  -- Add notes, void and audit columns
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                 WHERE table_name='invoices' AND column_name='notes') THEN
+    ALTER TABLE invoices ADD COLUMN notes TEXT;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                 WHERE table_name='invoices' AND column_name='voided_at') THEN
+    ALTER TABLE invoices ADD COLUMN voided_at TIMESTAMP;
+    ALTER TABLE invoices ADD COLUMN void_reason TEXT;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                 WHERE table_name='invoices' AND column_name='created_by') THEN
+    ALTER TABLE invoices ADD COLUMN created_by VARCHAR(255);
+  END IF;
+
+  -- Customers are still kept in the application's mock store rather than the customers
+  -- table, so the foreign key would reject real customer IDs; bill_to carries the details
+  IF EXISTS (SELECT 1 FROM information_schema.table_constraints
+             WHERE table_name='invoices' AND constraint_name='invoices_customer_id_fkey') THEN
+    ALTER TABLE invoices DROP CONSTRAINT invoices_customer_id_fkey;
+  END IF;
+END $$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_tenant_number
+  ON invoices(tenant_id, invoice_number) WHERE invoice_number IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_invoices_port_call_id ON invoices(port_call_id);
+
+CREATE TABLE IF NOT EXISTS invoice_lines (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  invoice_id VARCHAR(255) NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+  line_number INTEGER NOT NULL,
+  description TEXT NOT NULL,
+  quantity NUMERIC(14,3) NOT NULL DEFAULT 1,
+  unit_price NUMERIC(14,2) NOT NULL DEFAULT 0,
+  tax_rate NUMERIC(6,3) NOT NULL DEFAULT 0, -- percent
+  subtotal_amount NUMERIC(14,2) NOT NULL DEFAULT 0,
+  tax_amount NUMERIC(14,2) NOT NULL DEFAULT 0,
+  total_amount NUMERIC(14,2) NOT NULL DEFAULT 0,
+  fee_id VARCHAR(255), -- Port call fee this line bills, if any
+  credited_line_id VARCHAR(255), -- Credit notes: the invoice line being credited
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoice_lines_tenant_id ON invoice_lines(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_invoice_lines_invoice_id ON invoice_lines(invoice_id);
+CREATE INDEX IF NOT EXISTS idx_invoice_lines_fee_id ON invoice_lines(fee_id) WHERE fee_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS invoice_number_sequences (
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  series VARCHAR(10) NOT NULL, -- INV, CN
+  last_number INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (tenant_id, series)
+);
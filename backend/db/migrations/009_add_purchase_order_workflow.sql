@@ -0,0 +1,81 @@
+-- Migration: Add purchase order workflow
+-- Supplier contact/tax details, purchase order line items tied to a port call, approval fields
+-- and a status history (DRAFT, SUBMITTED, APPROVED, REJECTED, RECEIVED, CLOSED).
+
+DO $$
+BEGIN
+  -- Supplier details
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                 WHERE table_name='suppliers' AND column_name='tax_id') THEN
+    ALTER TABLE suppliers ADD COLUMN tax_id VARCHAR(50);
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                 WHERE table_name='suppliers' AND column_name='address') THEN
+    ALTER TABLE suppliers ADD COLUMN address TEXT;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                 WHERE table_name='suppliers' AND column_name='category') THEN
+    ALTER TABLE suppliers ADD COLUMN category VARCHAR(100); -- e.g. Launch, Provisions, Bunkers
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                 WHERE table_name='suppliers' AND column_name='notes') THEN
+    ALTER TABLE suppliers ADD COLUMN notes TEXT;
+  END IF;
+  -- Suppliers referenced by purchase orders are deactivated rather than deleted
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                 WHERE table_name='suppliers' AND column_name='is_active') THEN
+    ALTER TABLE suppliers ADD COLUMN is_active BOOLEAN NOT NULL DEFAULT TRUE;
+  END IF;
+
+  -- Purchase order description and notes
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                 WHERE table_name='purchase_orders' AND column_name='description') THEN
+    ALTER TABLE purchase_orders ADD COLUMN description TEXT;
+    ALTER TABLE purchase_orders ADD COLUMN notes TEXT;
+  END IF;
+
+  -- Workflow stamps
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                 WHERE table_name='purchase_orders' AND column_name='submitted_at') THEN
+    ALTER TABLE purchase_orders ADD COLUMN created_by VARCHAR(255);
+    ALTER TABLE purchase_orders ADD COLUMN submitted_at TIMESTAMP;
+    ALTER TABLE purchase_orders ADD COLUMN submitted_by VARCHAR(255);
+    ALTER TABLE purchase_orders ADD COLUMN decided_at TIMESTAMP; -- approved or rejected
+    ALTER TABLE purchase_orders ADD COLUMN decided_by VARCHAR(255);
+    ALTER TABLE purchase_orders ADD COLUMN rejection_reason TEXT;
+    ALTER TABLE purchase_orders ADD COLUMN received_at TIMESTAMP;
+    ALTER TABLE purchase_orders ADD COLUMN closed_at TIMESTAMP;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_port_call_id ON purchase_orders(port_call_id);
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_supplier_id ON purchase_orders(supplier_id);
+
+CREATE TABLE IF NOT EXISTS purchase_order_lines (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  purchase_order_id VARCHAR(255) NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+  line_number INTEGER NOT NULL,
+  description TEXT NOT NULL,
+  quantity NUMERIC(14,3) NOT NULL DEFAULT 1,
+  unit_price NUMERIC(14,2) NOT NULL DEFAULT 0,
+  total_amount NUMERIC(14,2) NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_purchase_order_lines_tenant_id ON purchase_order_lines(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_purchase_order_lines_po_id ON purchase_order_lines(purchase_order_id);
+
+CREATE TABLE IF NOT EXISTS purchase_order_status_history (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  purchase_order_id VARCHAR(255) NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+  from_status VARCHAR(50),
+  to_status VARCHAR(50) NOT NULL,
+  changed_by VARCHAR(255),
+  comment TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_po_status_history_tenant_id ON purchase_order_status_history(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_po_status_history_po_id ON purchase_order_status_history(purchase_order_id);
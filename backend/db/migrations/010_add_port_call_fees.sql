@@ -0,0 +1,47 @@
+-- Migration: Add port call fees and dues
+-- Fees payable for a port call (BR_FUNAPOL, PORT_DUES, PILOTAGE, ...) with their payments.
+-- A fee is DUE until payments cover amount_due (PAID) or it is WAIVED; a DUE fee past its
+-- due_date is overdue.
+
+CREATE TABLE IF NOT EXISTS port_call_fees (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  port_call_id VARCHAR(255) NOT NULL REFERENCES port_calls(id) ON DELETE CASCADE,
+  fee_type VARCHAR(50) NOT NULL,
+  description TEXT,
+  calculation_base TEXT, -- How the amount was derived, e.g. "GT 32,500 x 0.42"
+  currency VARCHAR(10) DEFAULT 'BRL',
+  amount_due NUMERIC(14,2) NOT NULL DEFAULT 0,
+  amount_paid NUMERIC(14,2) NOT NULL DEFAULT 0,
+  due_date DATE,
+  payment_date TIMESTAMP, -- Date of the payment that settled the fee
+  status VARCHAR(20) NOT NULL DEFAULT 'DUE', -- DUE, PAID, WAIVED
+  reference_number VARCHAR(100), -- Collection document number (GRU, authority invoice)
+  notes TEXT,
+  waived_at TIMESTAMP,
+  waived_by VARCHAR(255),
+  waive_reason TEXT,
+  created_by VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_port_call_fees_tenant_id ON port_call_fees(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_port_call_fees_port_call_id ON port_call_fees(port_call_id);
+CREATE INDEX IF NOT EXISTS idx_port_call_fees_due
+  ON port_call_fees(tenant_id, due_date) WHERE status = 'DUE';
+
+CREATE TABLE IF NOT EXISTS port_call_fee_payments (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  fee_id VARCHAR(255) NOT NULL REFERENCES port_call_fees(id) ON DELETE CASCADE,
+  amount NUMERIC(14,2) NOT NULL,
+  paid_at TIMESTAMP NOT NULL,
+  reference_number VARCHAR(100), -- Bank transfer / receipt number
+  notes TEXT,
+  recorded_by VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_port_call_fee_payments_tenant_id ON port_call_fee_payments(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_port_call_fee_payments_fee_id ON port_call_fee_payments(fee_id);
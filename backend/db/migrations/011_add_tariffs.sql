@@ -0,0 +1,54 @@
+-- Migration: Add tariff tables
+-- Per ops site tariffs (one per fee type) made of rules computed from vessel particulars and
+-- stay duration: flat amounts, per-unit rates (GT, NT, LOA, draft), bands, optionally per
+-- hour/day of stay, with per-rule and per-tariff minimums. Fees estimated from a tariff keep
+-- the tariff and the computed breakdown.
+
+CREATE TABLE IF NOT EXISTS tariffs (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  ops_site_id VARCHAR(255) NOT NULL REFERENCES ports(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  fee_type VARCHAR(50) NOT NULL, -- Fee type the tariff produces (see port_call_fees.fee_type)
+  currency VARCHAR(10) NOT NULL DEFAULT 'BRL',
+  minimum_amount NUMERIC(14,2), -- Minimum charge for the whole tariff
+  valid_from DATE,
+  valid_to DATE,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_tariffs_tenant_id ON tariffs(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_tariffs_ops_site_id ON tariffs(ops_site_id);
+
+CREATE TABLE IF NOT EXISTS tariff_rules (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  tariff_id VARCHAR(255) NOT NULL REFERENCES tariffs(id) ON DELETE CASCADE,
+  line_number INTEGER NOT NULL,
+  description TEXT NOT NULL,
+  rule_type VARCHAR(20) NOT NULL, -- FLAT, PER_UNIT, BAND
+  basis VARCHAR(20), -- PER_UNIT and BAND: GT, NT, LOA, DRAFT
+  rate NUMERIC(14,4), -- FLAT: amount; PER_UNIT: amount per unit of basis
+  bands JSONB, -- BAND: [{ "min": 0, "max": 100, "amount": 500 }], max exclusive, null = open
+  time_unit VARCHAR(10), -- HOUR or DAY: charge per started unit of stay
+  free_hours NUMERIC(8,2) NOT NULL DEFAULT 0, -- Hours of stay not charged (time-based rules)
+  minimum_amount NUMERIC(14,2),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_tariff_rules_tenant_id ON tariff_rules(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_tariff_rules_tariff_id ON tariff_rules(tariff_id);
+
+DO $$
+BEGIN
+  -- Fees estimated from a tariff
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                 WHERE table_name='port_call_fees' AND column_name='tariff_id') THEN
+    ALTER TABLE port_call_fees ADD COLUMN tariff_id VARCHAR(255) REFERENCES tariffs(id) ON DELETE SET NULL;
+    ALTER TABLE port_call_fees ADD COLUMN breakdown JSONB; -- Computed lines (see services/tariffs.js)
+    ALTER TABLE port_call_fees ADD COLUMN source VARCHAR(20) NOT NULL DEFAULT 'MANUAL'; -- MANUAL, TARIFF
+  END IF;
+END $$;
@@ -0,0 +1,53 @@
+-- Migration: Add crew and passenger lists
+-- Per port call lists with the particulars required by IMO FAL Form 5 (crew list) and
+-- FAL Form 6 (passenger list). Nationality and issuing state are ISO 3166-1 alpha-3 codes
+-- as used on travel documents (ICAO 9303).
+
+CREATE TABLE IF NOT EXISTS port_call_crew (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  port_call_id VARCHAR(255) NOT NULL REFERENCES port_calls(id) ON DELETE CASCADE,
+  family_name VARCHAR(255) NOT NULL,
+  given_names VARCHAR(255),
+  rank VARCHAR(100), -- Rank or rating
+  nationality CHAR(3) NOT NULL,
+  date_of_birth DATE,
+  place_of_birth VARCHAR(255),
+  document_type VARCHAR(20) NOT NULL DEFAULT 'PASSPORT', -- PASSPORT, SEAFARER_ID, NATIONAL_ID, OTHER
+  document_number VARCHAR(50) NOT NULL,
+  document_issuing_state CHAR(3),
+  document_expiry DATE,
+  on_board_status VARCHAR(20) NOT NULL DEFAULT 'ON_BOARD', -- ON_BOARD, SIGN_ON, SIGN_OFF (at this port)
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_port_call_crew_tenant_id ON port_call_crew(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_port_call_crew_port_call_id ON port_call_crew(port_call_id);
+
+CREATE TABLE IF NOT EXISTS port_call_passengers (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  port_call_id VARCHAR(255) NOT NULL REFERENCES port_calls(id) ON DELETE CASCADE,
+  family_name VARCHAR(255) NOT NULL,
+  given_names VARCHAR(255),
+  nationality CHAR(3) NOT NULL,
+  date_of_birth DATE,
+  place_of_birth VARCHAR(255),
+  document_type VARCHAR(20) NOT NULL DEFAULT 'PASSPORT', -- PASSPORT, SEAFARER_ID, NATIONAL_ID, OTHER
+  document_number VARCHAR(50) NOT NULL,
+  document_issuing_state CHAR(3),
+  document_expiry DATE,
+  embark_port VARCHAR(255), -- Port of embarkation
+  disembark_port VARCHAR(255), -- Port of disembarkation
+  is_transit BOOLEAN NOT NULL DEFAULT FALSE, -- Transit passenger (stays on board)
+  cabin VARCHAR(50),
+  status VARCHAR(20) NOT NULL DEFAULT 'ON_BOARD', -- ON_BOARD, DISEMBARKED, CANCELLED
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_port_call_passengers_tenant_id ON port_call_passengers(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_port_call_passengers_port_call_id ON port_call_passengers(port_call_id);
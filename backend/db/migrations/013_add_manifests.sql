@@ -0,0 +1,42 @@
+-- Migration: Add cargo manifests and bills of lading
+-- Manifests per port call (import, export or cabotage) and the bills of lading listed on
+-- each. Weights are in kilograms and volumes in cubic metres.
+
+CREATE TABLE IF NOT EXISTS manifests (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  port_call_id VARCHAR(255) NOT NULL REFERENCES port_calls(id) ON DELETE CASCADE,
+  manifest_number VARCHAR(100) NOT NULL,
+  manifest_type VARCHAR(20) NOT NULL, -- IMPORT, EXPORT, CABOTAGE
+  cargo_type VARCHAR(100), -- e.g. Containers, Bulk, General cargo
+  port_of_loading VARCHAR(255),
+  port_of_discharge VARCHAR(255),
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(tenant_id, port_call_id, manifest_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_manifests_tenant_id ON manifests(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_manifests_port_call_id ON manifests(port_call_id);
+
+CREATE TABLE IF NOT EXISTS bills_of_lading (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  manifest_id VARCHAR(255) NOT NULL REFERENCES manifests(id) ON DELETE CASCADE,
+  bl_number VARCHAR(100) NOT NULL,
+  shipper TEXT,
+  consignee TEXT,
+  notify_party TEXT,
+  cargo_description TEXT,
+  package_count INTEGER,
+  weight NUMERIC(14,3), -- Gross weight, kg
+  volume NUMERIC(14,3), -- m3
+  container_info TEXT, -- Container numbers/seals, free text
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(tenant_id, manifest_id, bl_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bills_of_lading_tenant_id ON bills_of_lading(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_bills_of_lading_manifest_id ON bills_of_lading(manifest_id);
@@ -0,0 +1,31 @@
+-- Migration: Add port call approvals, requirements and impediments
+-- Items the authorities (health, customs, immigration, maritime, port) raise or must grant for
+-- a port call. An item is OPEN until cleared with evidence (protocol or document number); an
+-- OPEN item past its due_date is overdue. Items may concern a single crew member or passenger
+-- (traveller pendencies).
+
+CREATE TABLE IF NOT EXISTS port_call_approvals (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  port_call_id VARCHAR(255) NOT NULL REFERENCES port_calls(id) ON DELETE CASCADE,
+  item_type VARCHAR(20) NOT NULL, -- APPROVAL, REQUIREMENT, IMPEDIMENT
+  authority VARCHAR(100) NOT NULL, -- e.g. ANVISA, Receita Federal, Polícia Federal
+  description TEXT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'OPEN', -- OPEN, CLEARED
+  due_date DATE,
+  traveller_type VARCHAR(20), -- CREW or PASSENGER when the item concerns one traveller
+  traveller_id VARCHAR(255), -- port_call_crew.id or port_call_passengers.id
+  notes TEXT,
+  cleared_date DATE,
+  evidence_reference VARCHAR(255), -- Protocol, certificate or document number proving clearance
+  evidence_notes TEXT,
+  cleared_by VARCHAR(255),
+  created_by VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_port_call_approvals_tenant_id ON port_call_approvals(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_port_call_approvals_port_call_id ON port_call_approvals(port_call_id);
+CREATE INDEX IF NOT EXISTS idx_port_call_approvals_open
+  ON port_call_approvals(tenant_id, due_date) WHERE status = 'OPEN';
@@ -0,0 +1,33 @@
+-- Migration: Add port call attachments
+-- Files attached to a port call (authority documents, certificates, photos). The bytes live in
+-- the storage backend (local disk or S3-compatible, services/storage); the row records where.
+-- Image attachments may have a thumbnail stored next to the original.
+-- Each tenant may narrow the server's allowed file types and maximum size.
+
+CREATE TABLE IF NOT EXISTS attachments (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  port_call_id VARCHAR(255) NOT NULL REFERENCES port_calls(id) ON DELETE CASCADE,
+  file_name VARCHAR(255) NOT NULL, -- Original (sanitized) file name, used for downloads
+  file_type VARCHAR(100) NOT NULL, -- MIME type detected from the content
+  file_size BIGINT NOT NULL, -- Bytes
+  checksum_sha256 VARCHAR(64) NOT NULL,
+  storage_backend VARCHAR(20) NOT NULL, -- local, s3
+  storage_path VARCHAR(500) NOT NULL, -- Object key within the backend
+  thumbnail_path VARCHAR(500), -- PNG/JPEG thumbnail key for images
+  description TEXT,
+  uploaded_by VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_attachments_tenant_id ON attachments(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_attachments_port_call_id ON attachments(port_call_id);
+
+CREATE TABLE IF NOT EXISTS tenant_attachment_settings (
+  tenant_id VARCHAR(255) PRIMARY KEY REFERENCES tenants(id) ON DELETE CASCADE,
+  allowed_types TEXT[], -- MIME types; NULL = every type the server supports
+  max_file_size_mb INTEGER, -- NULL = server maximum (ATTACHMENT_MAX_SIZE_MB)
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,48 @@
+-- Migration: Add port call itinerary (escalas) and berth stays
+-- An escala is one stop of the port call's rotation (port or terminal ops site) with planned and
+-- actual times. A berth stay allocates a BERTH ops site to the port call for a time window; two
+-- stays on the same berth with overlapping windows are a conflict (detected by services/itinerary.js).
+
+CREATE TABLE IF NOT EXISTS escalas (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  port_call_id VARCHAR(255) NOT NULL REFERENCES port_calls(id) ON DELETE CASCADE,
+  sequence INTEGER NOT NULL, -- Order of the stop in the rotation (1 = first)
+  port_id VARCHAR(255) NOT NULL, -- ports.id (PORT or TERMINAL ops site)
+  terminal VARCHAR(255),
+  planned_eta TIMESTAMP,
+  planned_etd TIMESTAMP,
+  actual_eta TIMESTAMP,
+  actual_etd TIMESTAMP,
+  status VARCHAR(20) NOT NULL DEFAULT 'PLANNED', -- PLANNED, ARRIVED, DEPARTED, SKIPPED
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_escalas_tenant_id ON escalas(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_escalas_port_call_id ON escalas(port_call_id, sequence);
+
+CREATE TABLE IF NOT EXISTS berth_stays (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  port_call_id VARCHAR(255) NOT NULL REFERENCES port_calls(id) ON DELETE CASCADE,
+  escala_id VARCHAR(255) REFERENCES escalas(id) ON DELETE SET NULL,
+  berth_id VARCHAR(255) NOT NULL, -- ports.id of a BERTH ops site
+  pier VARCHAR(100),
+  operation_type VARCHAR(30) NOT NULL DEFAULT 'OTHER', -- LOADING, DISCHARGING, LOADING_DISCHARGING, BUNKERING, REPAIRS, LAY_BY, OTHER
+  start_time TIMESTAMP NOT NULL, -- Planned window
+  end_time TIMESTAMP NOT NULL,
+  actual_start TIMESTAMP,
+  actual_end TIMESTAMP,
+  draft_arrival DECIMAL(5, 2), -- Metres
+  draft_departure DECIMAL(5, 2),
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (end_time > start_time)
+);
+
+CREATE INDEX IF NOT EXISTS idx_berth_stays_tenant_id ON berth_stays(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_berth_stays_port_call_id ON berth_stays(port_call_id);
+CREATE INDEX IF NOT EXISTS idx_berth_stays_berth_window ON berth_stays(tenant_id, berth_id, start_time, end_time);
@@ -0,0 +1,44 @@
+-- Migration: Add statements of facts (SOF)
+-- One statement per port call, made of timestamped entries (NOR tendered, all fast, commenced
+-- cargo, ...) and stoppage periods. Entries pre-filled from port call events, berth stays and
+-- operation logs keep their origin in source/source_ref so re-filling does not duplicate them.
+-- A signed statement is locked; signature_hash is the SHA-256 of its content at signing time.
+
+CREATE TABLE IF NOT EXISTS statements_of_facts (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  port_call_id VARCHAR(255) NOT NULL REFERENCES port_calls(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'DRAFT', -- DRAFT, SIGNED
+  master_name VARCHAR(255),
+  remarks TEXT,
+  signed_by VARCHAR(255), -- users.id
+  signed_by_name VARCHAR(255), -- Signer's name at signing time
+  signed_at TIMESTAMP,
+  signature_hash VARCHAR(64),
+  created_by VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (tenant_id, port_call_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_statements_of_facts_tenant_id ON statements_of_facts(tenant_id);
+
+CREATE TABLE IF NOT EXISTS sof_entries (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  sof_id VARCHAR(255) NOT NULL REFERENCES statements_of_facts(id) ON DELETE CASCADE,
+  event_code VARCHAR(40) NOT NULL, -- NOR_TENDERED, ALL_FAST, COMMENCED_CARGO, WEATHER_STOPPAGE, OTHER, ...
+  description TEXT,
+  start_time TIMESTAMP NOT NULL,
+  end_time TIMESTAMP, -- Periods (stoppages); NULL for point events or an ongoing stoppage
+  remarks TEXT,
+  source VARCHAR(20) NOT NULL DEFAULT 'MANUAL', -- MANUAL, EVENT, PORT_CALL, BERTH_STAY, LOG
+  source_ref VARCHAR(255), -- Origin record of a pre-filled entry
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (end_time IS NULL OR end_time >= start_time),
+  UNIQUE (sof_id, source_ref)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sof_entries_tenant_id ON sof_entries(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_sof_entries_sof_id ON sof_entries(sof_id, start_time);
@@ -0,0 +1,30 @@
+-- Migration: Add laytime terms
+-- Charter-party laytime terms per port call, applied to the statement of facts to work out
+-- laytime used against laytime allowed and the resulting demurrage or despatch. Allowed laytime
+-- is either given in hours or derived from cargo quantity and rate; reversible terms pool the
+-- time of the port calls listed in reversible_port_call_ids against one allowance.
+
+CREATE TABLE IF NOT EXISTS laytime_terms (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  port_call_id VARCHAR(255) NOT NULL REFERENCES port_calls(id) ON DELETE CASCADE,
+  terms VARCHAR(10) NOT NULL DEFAULT 'SHINC', -- SHINC (Sundays/holidays included), SHEX (excepted)
+  allowed_hours NUMERIC(10,2), -- Laytime allowed; when NULL, cargo_quantity / cargo_rate days
+  cargo_quantity NUMERIC(14,3),
+  cargo_rate NUMERIC(14,3), -- Cargo units per day
+  turn_time_hours NUMERIC(6,2) NOT NULL DEFAULT 6, -- After NOR tendered, before laytime counts
+  reversible BOOLEAN NOT NULL DEFAULT FALSE,
+  reversible_port_call_ids JSONB NOT NULL DEFAULT '[]', -- Other calls sharing the allowance
+  weather_excepted BOOLEAN NOT NULL DEFAULT TRUE, -- Weather stoppages do not count
+  stoppages_excepted BOOLEAN NOT NULL DEFAULT TRUE, -- Other stoppages do not count
+  holidays JSONB NOT NULL DEFAULT '[]', -- SHEX: local holidays, ["2026-12-25", ...]
+  currency VARCHAR(10) NOT NULL DEFAULT 'USD',
+  demurrage_rate NUMERIC(14,2) NOT NULL DEFAULT 0, -- Per day, pro rata
+  despatch_rate NUMERIC(14,2), -- Per day of laytime saved; NULL = half the demurrage rate
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (tenant_id, port_call_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_laytime_terms_tenant_id ON laytime_terms(tenant_id);
@@ -0,0 +1,51 @@
+-- Migration: Add disbursement accounts
+-- One disbursement account per port call. It starts as the proforma (PDA): lines estimated from
+-- the tariff estimate, the call's fees and its purchase orders, plus manual lines such as the
+-- agency fee. The PDA backs a funding request to the customer. The final account (FDA) then
+-- fills each line's actual amount from the fees and purchase orders it links to, with
+-- unbudgeted costs added as new lines, so every line shows its variance against the PDA.
+
+CREATE TABLE IF NOT EXISTS disbursement_accounts (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  port_call_id VARCHAR(255) NOT NULL REFERENCES port_calls(id) ON DELETE CASCADE,
+  status VARCHAR(30) NOT NULL DEFAULT 'PDA_DRAFT', -- PDA_DRAFT, FUNDING_REQUESTED, FDA_DRAFT, FDA_ISSUED
+  currency VARCHAR(10) NOT NULL DEFAULT 'BRL',
+  customer_id VARCHAR(255), -- No FK: customers are not a table yet (see invoices.customer_id)
+  bill_to JSONB, -- Customer billing details, snapshotted with the funding request
+  funding_amount NUMERIC(14,2), -- Amount requested from the customer (defaults to the PDA total)
+  funding_due_at DATE,
+  funding_requested_at TIMESTAMP,
+  funding_requested_by VARCHAR(255),
+  funds_received_amount NUMERIC(14,2) NOT NULL DEFAULT 0,
+  funds_received_at TIMESTAMP,
+  fda_issued_at TIMESTAMP,
+  fda_issued_by VARCHAR(255),
+  notes TEXT,
+  created_by VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (tenant_id, port_call_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_disbursement_accounts_tenant_id ON disbursement_accounts(tenant_id);
+
+CREATE TABLE IF NOT EXISTS disbursement_account_lines (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  account_id VARCHAR(255) NOT NULL REFERENCES disbursement_accounts(id) ON DELETE CASCADE,
+  category VARCHAR(20) NOT NULL DEFAULT 'OTHER', -- PORT_COSTS, SUPPLIERS, AGENCY, OTHER
+  description TEXT NOT NULL,
+  source VARCHAR(20) NOT NULL DEFAULT 'MANUAL', -- MANUAL, TARIFF, FEE, PURCHASE_ORDER
+  tariff_id VARCHAR(255) REFERENCES tariffs(id) ON DELETE SET NULL,
+  fee_id VARCHAR(255) REFERENCES port_call_fees(id) ON DELETE SET NULL,
+  purchase_order_id VARCHAR(255) REFERENCES purchase_orders(id) ON DELETE SET NULL,
+  estimated_amount NUMERIC(14,2) NOT NULL DEFAULT 0, -- PDA; 0 for costs added on the FDA
+  actual_amount NUMERIC(14,2), -- FDA; NULL until known
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_disbursement_account_lines_tenant_id ON disbursement_account_lines(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_disbursement_account_lines_account_id ON disbursement_account_lines(account_id);
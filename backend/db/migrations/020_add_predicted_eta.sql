@@ -0,0 +1,36 @@
+-- Migration: Add predicted ETA fields
+-- Stores the ETA predicted from the vessel's AIS track and the sea-route distance to the port
+-- (see services/etaPrediction.js) next to the planned ETA
+
+DO $$ 
+BEGIN
+  -- Add predicted_eta column (null when no prediction is available)
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                 WHERE table_name='port_calls' AND column_name='predicted_eta') THEN
+    ALTER TABLE port_calls ADD COLUMN predicted_eta TIMESTAMP;
+  END IF;
+
+  -- Add predicted_eta_confidence column (0..1)
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                 WHERE table_name='port_calls' AND column_name='predicted_eta_confidence') THEN
+    ALTER TABLE port_calls ADD COLUMN predicted_eta_confidence NUMERIC(4, 3);
+  END IF;
+
+  -- Add predicted_eta_diverges column (prediction further from the planned ETA than the threshold)
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                 WHERE table_name='port_calls' AND column_name='predicted_eta_diverges') THEN
+    ALTER TABLE port_calls ADD COLUMN predicted_eta_diverges BOOLEAN NOT NULL DEFAULT FALSE;
+  END IF;
+
+  -- Add predicted_eta_details column (distance, speed, route and confidence factors)
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                 WHERE table_name='port_calls' AND column_name='predicted_eta_details') THEN
+    ALTER TABLE port_calls ADD COLUMN predicted_eta_details JSONB;
+  END IF;
+
+  -- Add predicted_eta_at column (when the prediction was computed)
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                 WHERE table_name='port_calls' AND column_name='predicted_eta_at') THEN
+    ALTER TABLE port_calls ADD COLUMN predicted_eta_at TIMESTAMP;
+  END IF;
+END $$;
@@ -7,6 +7,7 @@
  */
 
 import { query } from './connection.js';
+import { publishLiveEvent, LIVE_EVENT_TYPES } from '../services/liveEvents.js';
 
 /**
  * Validate tenant ID is provided (security check)
@@ -24,6 +25,7 @@ function validateTenantId(tenantId, operation = 'operation') {
 export async function createOperationLog({
   tenantId,
   vesselId = null,
+  portCallId = null,
   eventType,
   description,
   positionLat = null,
@@ -43,13 +45,14 @@ export async function createOperationLog({
 
     await query(
       `INSERT INTO portcall_operation_logs (
-        id, tenant_id, vessel_id, event_type, description, timestamp,
+        id, tenant_id, vessel_id, port_call_id, event_type, description, timestamp,
         position_lat, position_lon, previous_status, current_status
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
       [
         logId,
         tenantId, // SECURITY: Use tenantId from authenticated session, not from input
         vesselId,
+        portCallId,
         eventType,
         description,
         timestamp,
@@ -60,6 +63,19 @@ export async function createOperationLog({
       ]
     );
 
+    publishLiveEvent(tenantId, LIVE_EVENT_TYPES.OPERATION_LOG, {
+      id: logId,
+      vesselId,
+      portCallId,
+      eventType,
+      description,
+      timestamp,
+      positionLat,
+      positionLon,
+      previousStatus,
+      currentStatus,
+    });
+
     return { id: logId, timestamp };
   } catch (error) {
     // Handle foreign key constraint errors silently (expected for mock vessels)
@@ -80,15 +96,19 @@ export async function createOperationLog({
 }
 
 /**
- * Get operation logs for a tenant
+ * Get operation logs for a tenant, newest first
  * SECURITY: Only returns logs for the specified tenant
+ * @param {Object} [options] - { vesselId, portCallId, eventType, from, to (timestamp window), limit, offset }
  */
 export async function getOperationLogs(tenantId, options = {}) {
   validateTenantId(tenantId, 'getOperationLogs');
 
   const {
     vesselId = null,
+    portCallId = null,
     eventType = null,
+    from = null,
+    to = null,
     limit = 50,
     offset = 0,
   } = options;
@@ -103,11 +123,26 @@ export async function getOperationLogs(tenantId, options = {}) {
       params.push(vesselId);
     }
 
+    if (portCallId) {
+      sql += ` AND port_call_id = $${paramIndex++}`;
+      params.push(portCallId);
+    }
+
     if (eventType) {
       sql += ` AND event_type = $${paramIndex++}`;
       params.push(eventType);
     }
 
+    if (from) {
+      sql += ` AND timestamp >= $${paramIndex++}`;
+      params.push(from);
+    }
+
+    if (to) {
+      sql += ` AND timestamp <= $${paramIndex++}`;
+      params.push(to);
+    }
+
     sql += ` ORDER BY timestamp DESC LIMIT $${paramIndex++} OFFSET $${paramIndex++}`;
     params.push(limit, offset);
 
@@ -118,6 +153,7 @@ export async function getOperationLogs(tenantId, options = {}) {
       id: row.id,
       tenantId: row.tenant_id,
       vesselId: row.vessel_id,
+      portCallId: row.port_call_id,
       eventType: row.event_type,
       description: row.description,
       timestamp: row.timestamp,
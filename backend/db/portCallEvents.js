@@ -0,0 +1,111 @@
+/**
+ * Database functions for Port Call Events
+ * Arrival/departure milestones (ARRIVAL, ANCHORAGE, ALONGSIDE, DEPARTURE) of a port call
+ * Multi-tenant aware - all queries filter by tenant_id
+ */
+
+import crypto from 'crypto';
+import { query } from './connection.js';
+
+export const PORT_CALL_EVENT_TYPES = ['ARRIVAL', 'ANCHORAGE', 'ALONGSIDE', 'DEPARTURE'];
+
+/**
+ * Validate tenant ID
+ */
+function validateTenantId(tenantId, functionName) {
+  if (!tenantId || typeof tenantId !== 'string') {
+    throw new Error(`${functionName}: tenantId is required and must be a string`);
+  }
+}
+
+/**
+ * Transform database row to API format
+ */
+function transformEventRow(row) {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    tenantId: row.tenant_id,
+    portCallId: row.port_call_id,
+    vesselId: row.vessel_id,
+    opsSiteId: row.ops_site_id,
+    eventType: row.event_type,
+    timestamp: row.timestamp,
+    terminal: row.terminal,
+    remarks: row.remarks,
+    positionLat: row.position_lat != null ? parseFloat(row.position_lat) : null,
+    positionLon: row.position_lon != null ? parseFloat(row.position_lon) : null,
+    source: row.source,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Get events for a port call, oldest first
+ * @param {string} tenantId - Tenant ID
+ * @param {string} portCallId - Port call ID
+ * @returns {Promise<Array>} Events
+ */
+export async function getPortCallEvents(tenantId, portCallId) {
+  validateTenantId(tenantId, 'getPortCallEvents');
+
+  const result = await query(
+    `SELECT * FROM port_call_events
+     WHERE tenant_id = $1 AND port_call_id = $2
+     ORDER BY timestamp ASC, created_at ASC`,
+    [tenantId, portCallId]
+  );
+
+  return result.rows.map(transformEventRow);
+}
+
+/**
+ * Create a port call event
+ * @param {string} tenantId - Tenant ID
+ * @param {Object} eventData - Event data
+ * @param {string} eventData.portCallId - Port call ID
+ * @param {string} eventData.eventType - ARRIVAL, ANCHORAGE, ALONGSIDE or DEPARTURE
+ * @param {string} eventData.timestamp - When the event happened (position timestamp)
+ * @param {string} [eventData.vesselId] - Vessel ID
+ * @param {string} [eventData.opsSiteId] - Ops site the vessel entered/left
+ * @param {string} [eventData.terminal] - Terminal/berth name
+ * @param {string} [eventData.remarks] - Free text remarks
+ * @param {number} [eventData.positionLat] - Latitude at detection
+ * @param {number} [eventData.positionLon] - Longitude at detection
+ * @param {string} [eventData.source] - 'ais' (detected) or 'manual'
+ * @returns {Promise<Object>} Created event
+ */
+export async function createPortCallEvent(tenantId, eventData) {
+  validateTenantId(tenantId, 'createPortCallEvent');
+
+  if (!PORT_CALL_EVENT_TYPES.includes(eventData.eventType)) {
+    throw new Error(`createPortCallEvent: eventType must be one of ${PORT_CALL_EVENT_TYPES.join(', ')}`);
+  }
+
+  const eventId = `pcevent-${Date.now()}-${crypto.randomUUID().substring(0, 8)}`;
+
+  const result = await query(
+    `INSERT INTO port_call_events (
+      id, tenant_id, port_call_id, vessel_id, ops_site_id, event_type, timestamp,
+      terminal, remarks, position_lat, position_lon, source, created_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, CURRENT_TIMESTAMP)
+    RETURNING *`,
+    [
+      eventId,
+      tenantId,
+      eventData.portCallId,
+      eventData.vesselId || null,
+      eventData.opsSiteId || null,
+      eventData.eventType,
+      eventData.timestamp,
+      eventData.terminal || null,
+      eventData.remarks || null,
+      eventData.positionLat ?? null,
+      eventData.positionLon ?? null,
+      eventData.source || 'ais',
+    ]
+  );
+
+  return transformEventRow(result.rows[0]);
+}
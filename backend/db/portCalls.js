@@ -0,0 +1,426 @@
+/**
+ * Database functions for Port Calls
+ * Multi-tenant aware - all queries filter by tenant_id
+ */
+
+import crypto from 'crypto';
+import { query } from './connection.js';
+
+export const PORT_CALL_STATUSES = ['PLANNED', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'];
+
+// Fields a status transition may set alongside the new status (API name -> column)
+const TRANSITION_FIELDS = {
+  actualArrival: 'actual_arrival',
+  actualDeparture: 'actual_departure',
+  cancellationReason: 'cancellation_reason',
+};
+
+// Whitelist of sortable fields (API name -> column) to keep ORDER BY injection-safe
+const SORTABLE_FIELDS = {
+  eta: 'pc.eta',
+  etd: 'pc.etd',
+  status: 'pc.status',
+  createdAt: 'pc.created_at',
+  updatedAt: 'pc.updated_at',
+};
+
+// Updatable fields (API name -> column)
+// Status and actual times are owned by the lifecycle (see services/portCallLifecycle.js)
+const UPDATABLE_FIELDS = {
+  vesselId: 'vessel_id',
+  portId: 'port_id',
+  eta: 'eta',
+  etd: 'etd',
+  localReferenceType: 'local_reference_type',
+  localReferenceNumber: 'local_reference_number',
+};
+
+const SELECT_PORT_CALLS = `
+  SELECT pc.*,
+    v.name AS vessel_name, v.imo AS vessel_imo, v.mmsi AS vessel_mmsi,
+    v.call_sign AS vessel_call_sign, v.flag AS vessel_flag,
+    p.name AS port_name, p.unlocode AS port_unlocode, p.code AS port_code,
+    p.type AS port_type, p.country_code AS port_country_code, p.lat AS port_lat, p.lon AS port_lon,
+    (SELECT COUNT(*) FROM bills_of_lading b
+       JOIN manifests m ON m.id = b.manifest_id AND m.tenant_id = b.tenant_id
+       WHERE m.port_call_id = pc.id AND m.tenant_id = pc.tenant_id)::int AS bl_count
+  FROM port_calls pc
+  LEFT JOIN vessels v ON v.id = pc.vessel_id AND v.tenant_id = pc.tenant_id
+  LEFT JOIN ports p ON p.id = pc.port_id AND p.tenant_id = pc.tenant_id`;
+
+/**
+ * Validate tenant ID
+ */
+function validateTenantId(tenantId, functionName) {
+  if (!tenantId || typeof tenantId !== 'string') {
+    throw new Error(`${functionName}: tenantId is required and must be a string`);
+  }
+}
+
+/**
+ * Transform database row to API format (camelCase + populated vessel/port)
+ */
+function transformPortCallRow(row) {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    tenantId: row.tenant_id,
+    vesselId: row.vessel_id,
+    portId: row.port_id,
+    countryCode: row.port_country_code || null,
+    status: row.status,
+    eta: row.eta,
+    etd: row.etd,
+    actualArrival: row.actual_arrival,
+    actualDeparture: row.actual_departure,
+    cancellationReason: row.cancellation_reason,
+    localReferenceType: row.local_reference_type,
+    localReferenceNumber: row.local_reference_number,
+    blCount: row.bl_count ?? 0,
+    predictedEta: row.predicted_eta ? {
+      eta: row.predicted_eta,
+      confidence: parseFloat(row.predicted_eta_confidence),
+      diverges: row.predicted_eta_diverges,
+      computedAt: row.predicted_eta_at,
+      ...(row.predicted_eta_details || {}),
+    } : null,
+    vessel: row.vessel_id && row.vessel_name ? {
+      id: row.vessel_id,
+      name: row.vessel_name,
+      imo: row.vessel_imo,
+      mmsi: row.vessel_mmsi,
+      callSign: row.vessel_call_sign,
+      flag: row.vessel_flag,
+    } : null,
+    port: row.port_id && row.port_name ? {
+      id: row.port_id,
+      name: row.port_name,
+      unlocode: row.port_unlocode || row.port_code,
+      type: row.port_type,
+      countryCode: row.port_country_code,
+      coordinates: row.port_lat != null && row.port_lon != null
+        ? { lat: parseFloat(row.port_lat), lon: parseFloat(row.port_lon) }
+        : null,
+    } : null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Parse a "field:direction" sort string into a safe ORDER BY clause
+ * @param {string} sort - e.g. 'eta:desc'
+ * @returns {string} ORDER BY clause
+ */
+function buildOrderBy(sort) {
+  const [field, direction] = String(sort || 'eta:desc').split(':');
+  const column = SORTABLE_FIELDS[field] || SORTABLE_FIELDS.eta;
+  const dir = direction?.toLowerCase() === 'asc' ? 'ASC' : 'DESC';
+  return `ORDER BY ${column} ${dir} NULLS LAST, pc.id ASC`;
+}
+
+/**
+ * Get port calls for a tenant with filtering, sorting and pagination
+ * @param {string} tenantId - Tenant ID
+ * @param {Object} [options] - Query options
+ * @param {Array<string>} [options.statuses] - Filter by status (any of)
+ * @param {string} [options.vesselId] - Filter by vessel
+ * @param {string} [options.portId] - Filter by port/ops site
+ * @param {string} [options.from] - Only calls whose stay (ETA..ETD) ends on/after this date
+ * @param {string} [options.to] - Only calls whose ETA is on/before this date
+ * @param {string} [options.sort] - Sort as 'field:direction' (eta, etd, status, createdAt, updatedAt)
+ * @param {number} [options.limit] - Page size (default 50)
+ * @param {number} [options.offset] - Page offset (default 0)
+ * @returns {Promise<{portCalls: Array, total: number}>} Page of port calls and total match count
+ */
+export async function getPortCalls(tenantId, options = {}) {
+  validateTenantId(tenantId, 'getPortCalls');
+
+  const {
+    statuses = [],
+    vesselId = null,
+    portId = null,
+    from = null,
+    to = null,
+    sort = 'eta:desc',
+    limit = 50,
+    offset = 0,
+  } = options;
+
+  const conditions = ['pc.tenant_id = $1'];
+  const params = [tenantId];
+  let paramIndex = 2;
+
+  if (statuses.length > 0) {
+    conditions.push(`pc.status = ANY($${paramIndex++})`);
+    params.push(statuses);
+  }
+
+  if (vesselId) {
+    conditions.push(`pc.vessel_id = $${paramIndex++}`);
+    params.push(vesselId);
+  }
+
+  if (portId) {
+    conditions.push(`pc.port_id = $${paramIndex++}`);
+    params.push(portId);
+  }
+
+  if (from) {
+    conditions.push(`COALESCE(pc.etd, pc.eta) >= $${paramIndex++}`);
+    params.push(from);
+  }
+
+  if (to) {
+    conditions.push(`pc.eta <= $${paramIndex++}`);
+    params.push(to);
+  }
+
+  const where = `WHERE ${conditions.join(' AND ')}`;
+
+  const countResult = await query(
+    `SELECT COUNT(*)::int AS total FROM port_calls pc ${where}`,
+    params
+  );
+
+  const result = await query(
+    `${SELECT_PORT_CALLS}
+     ${where}
+     ${buildOrderBy(sort)}
+     LIMIT $${paramIndex++} OFFSET $${paramIndex++}`,
+    [...params, limit, offset]
+  );
+
+  return {
+    portCalls: result.rows.map(transformPortCallRow),
+    total: countResult.rows[0]?.total || 0,
+  };
+}
+
+/**
+ * Get port call by ID
+ * @param {string} portCallId - Port call ID
+ * @param {string} tenantId - Tenant ID
+ * @returns {Promise<Object|null>} Port call or null
+ */
+export async function getPortCallById(portCallId, tenantId) {
+  validateTenantId(tenantId, 'getPortCallById');
+
+  const result = await query(
+    `${SELECT_PORT_CALLS}
+     WHERE pc.id = $1 AND pc.tenant_id = $2`,
+    [portCallId, tenantId]
+  );
+
+  return transformPortCallRow(result.rows[0] || null);
+}
+
+/**
+ * Get a vessel's open (PLANNED or IN_PROGRESS) port calls
+ * IN_PROGRESS calls come first, then PLANNED calls by nearest ETA.
+ * @param {string} tenantId - Tenant ID
+ * @param {string} vesselId - Vessel ID
+ * @returns {Promise<Array>} Open port calls
+ */
+export async function getOpenPortCallsForVessel(tenantId, vesselId) {
+  validateTenantId(tenantId, 'getOpenPortCallsForVessel');
+
+  const result = await query(
+    `${SELECT_PORT_CALLS}
+     WHERE pc.tenant_id = $1 AND pc.vessel_id = $2 AND pc.status IN ('PLANNED', 'IN_PROGRESS')
+     ORDER BY (pc.status = 'IN_PROGRESS') DESC, pc.eta ASC NULLS LAST`,
+    [tenantId, vesselId]
+  );
+
+  return result.rows.map(transformPortCallRow);
+}
+
+/**
+ * Create a new port call
+ * @param {string} tenantId - Tenant ID (from authenticated session, never from input)
+ * @param {Object} portCallData - Port call data
+ * @param {string} portCallData.vesselId - Vessel ID
+ * @param {string} [portCallData.portId] - Port/Ops Site ID
+ * @param {string} [portCallData.status] - Status (default PLANNED)
+ * @param {string} [portCallData.eta] - Estimated time of arrival
+ * @param {string} [portCallData.etd] - Estimated time of departure
+ * @param {string} [portCallData.localReferenceType] - e.g. 'BR_DUV', 'GENERIC'
+ * @param {string} [portCallData.localReferenceNumber] - Local reference number
+ * @returns {Promise<Object>} Created port call
+ */
+export async function createPortCall(tenantId, portCallData) {
+  validateTenantId(tenantId, 'createPortCall');
+
+  const portCallId = `portcall-${Date.now()}-${crypto.randomUUID().substring(0, 8)}`;
+
+  await query(
+    `INSERT INTO port_calls (
+      id, tenant_id, vessel_id, port_id, status, eta, etd,
+      local_reference_type, local_reference_number, created_at, updated_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+    [
+      portCallId,
+      tenantId,
+      portCallData.vesselId,
+      portCallData.portId || null,
+      portCallData.status || 'PLANNED',
+      portCallData.eta || null,
+      portCallData.etd || null,
+      portCallData.localReferenceType || null,
+      portCallData.localReferenceNumber || null,
+    ]
+  );
+
+  return getPortCallById(portCallId, tenantId);
+}
+
+/**
+ * Update a port call
+ * @param {string} portCallId - Port call ID
+ * @param {string} tenantId - Tenant ID
+ * @param {Object} updates - Fields to update (camelCase API names)
+ * @returns {Promise<Object|null>} Updated port call or null if not found
+ */
+export async function updatePortCall(portCallId, tenantId, updates) {
+  validateTenantId(tenantId, 'updatePortCall');
+
+  const updateFields = [];
+  const updateValues = [];
+  let paramIndex = 1;
+
+  for (const [key, value] of Object.entries(updates)) {
+    const column = UPDATABLE_FIELDS[key];
+    if (column && value !== undefined) {
+      updateFields.push(`${column} = $${paramIndex++}`);
+      updateValues.push(value === '' ? null : value);
+    }
+  }
+
+  if (updateFields.length === 0) {
+    return getPortCallById(portCallId, tenantId);
+  }
+
+  updateFields.push('updated_at = CURRENT_TIMESTAMP');
+  updateValues.push(portCallId, tenantId);
+
+  const result = await query(
+    `UPDATE port_calls
+     SET ${updateFields.join(', ')}
+     WHERE id = $${paramIndex} AND tenant_id = $${paramIndex + 1}`,
+    updateValues
+  );
+
+  if (result.rowCount === 0) {
+    return null;
+  }
+
+  return getPortCallById(portCallId, tenantId);
+}
+
+/**
+ * Apply a status transition to a port call
+ * Only succeeds if the port call is still in fromStatus, so concurrent transitions cannot both apply.
+ * Callers must validate the transition first (see services/portCallLifecycle.js).
+ * @param {string} portCallId - Port call ID
+ * @param {string} tenantId - Tenant ID
+ * @param {string} fromStatus - Expected current status
+ * @param {string} toStatus - New status
+ * @param {Object} [fields] - Lifecycle fields to set (actualArrival, actualDeparture, cancellationReason)
+ * @returns {Promise<Object|null>} Updated port call or null if it no longer has fromStatus
+ */
+export async function applyStatusTransition(portCallId, tenantId, fromStatus, toStatus, fields = {}) {
+  validateTenantId(tenantId, 'applyStatusTransition');
+
+  const updateFields = ['status = $1'];
+  const updateValues = [toStatus];
+  let paramIndex = 2;
+
+  for (const [key, value] of Object.entries(fields)) {
+    const column = TRANSITION_FIELDS[key];
+    if (column && value !== undefined) {
+      updateFields.push(`${column} = $${paramIndex++}`);
+      updateValues.push(value);
+    }
+  }
+
+  updateFields.push('updated_at = CURRENT_TIMESTAMP');
+  updateValues.push(portCallId, tenantId, fromStatus);
+
+  const result = await query(
+    `UPDATE port_calls
+     SET ${updateFields.join(', ')}
+     WHERE id = $${paramIndex} AND tenant_id = $${paramIndex + 1} AND status = $${paramIndex + 2}`,
+    updateValues
+  );
+
+  if (result.rowCount === 0) {
+    return null;
+  }
+
+  return getPortCallById(portCallId, tenantId);
+}
+
+/**
+ * Store a port call's predicted ETA, or clear it when no prediction is available
+ * Written apart from the update and transition functions: the prediction is derived data and
+ * must not touch updated_at.
+ * @param {string} portCallId - Port call ID
+ * @param {string} tenantId - Tenant ID
+ * @param {Object|null} prediction - { eta, confidence, diverges, details } or null to clear
+ * @returns {Promise<boolean>} True if the port call exists
+ */
+export async function setPredictedEta(portCallId, tenantId, prediction) {
+  validateTenantId(tenantId, 'setPredictedEta');
+
+  const result = await query(
+    `UPDATE port_calls
+     SET predicted_eta = $1, predicted_eta_confidence = $2, predicted_eta_diverges = $3,
+         predicted_eta_details = $4, predicted_eta_at = CASE WHEN $1::timestamp IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END
+     WHERE id = $5 AND tenant_id = $6`,
+    [
+      prediction?.eta ?? null,
+      prediction?.confidence ?? null,
+      prediction?.diverges ?? false,
+      prediction ? JSON.stringify(prediction.details) : null,
+      portCallId,
+      tenantId,
+    ]
+  );
+
+  return result.rowCount > 0;
+}
+
+/**
+ * Get the PLANNED port calls whose ETA can be predicted: with a vessel and a port with coordinates
+ * SYSTEM: Spans all tenants - for background jobs only, never for request handlers.
+ * @returns {Promise<Array<{id: string, tenantId: string}>>}
+ */
+export async function getPortCallsForEtaPrediction() {
+  const result = await query(
+    `SELECT pc.id, pc.tenant_id FROM port_calls pc
+     JOIN ports p ON p.id = pc.port_id AND p.tenant_id = pc.tenant_id
+     WHERE pc.status = 'PLANNED' AND pc.vessel_id IS NOT NULL
+       AND p.lat IS NOT NULL AND p.lon IS NOT NULL
+     ORDER BY pc.tenant_id ASC, pc.eta ASC NULLS LAST`
+  );
+
+  return result.rows.map((row) => ({ id: row.id, tenantId: row.tenant_id }));
+}
+
+/**
+ * Delete a port call
+ * @param {string} portCallId - Port call ID
+ * @param {string} tenantId - Tenant ID
+ * @returns {Promise<boolean>} Success status
+ */
+export async function deletePortCall(portCallId, tenantId) {
+  validateTenantId(tenantId, 'deletePortCall');
+
+  const result = await query(
+    'DELETE FROM port_calls WHERE id = $1 AND tenant_id = $2',
+    [portCallId, tenantId]
+  );
+
+  return result.rowCount > 0;
+}
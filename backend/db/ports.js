@@ -289,3 +289,39 @@ export async function searchPorts(searchTerm, tenantId) {
   return result.rows.map(transformPortRow);
 }
 
+
+/**
+ * Get ops sites of all tenants (for the AISStream ingestion worker's bounding boxes)
+ * SYSTEM: Spans all tenants - for background jobs only, never for request handlers.
+ * @returns {Promise<Array>} Ops sites, each with its own tenantId
+ */
+export async function getAllOpsSites() {
+  const result = await query('SELECT * FROM ports ORDER BY tenant_id ASC, name ASC');
+  return result.rows.map(transformPortRow);
+}
+
+/**
+ * Get an ops site plus all of its descendants, from a list of the tenant's sites
+ * A child points at its parent through parentCode, which may hold the parent's code or UN/LOCODE.
+ * @param {Object} rootSite - Ops site (API format)
+ * @param {Array<Object>} sites - The tenant's ops sites (e.g. from getPorts)
+ * @returns {Array<Object>} rootSite first, then its descendants level by level
+ */
+export function getSiteFamily(rootSite, sites) {
+  const family = [rootSite];
+  const seen = new Set([rootSite.id]);
+
+  for (let i = 0; i < family.length; i++) {
+    const parentCodes = [family[i].code, family[i].unlocode].filter(Boolean);
+    if (parentCodes.length === 0) continue;
+
+    for (const site of sites) {
+      if (!seen.has(site.id) && site.parentCode && parentCodes.includes(site.parentCode)) {
+        seen.add(site.id);
+        family.push(site);
+      }
+    }
+  }
+
+  return family;
+}
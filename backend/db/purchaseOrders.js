@@ -0,0 +1,332 @@
+/**
+ * Database functions for Purchase Orders
+ * Multi-tenant aware - all queries filter by tenant_id
+ *
+ * Line items live in purchase_order_lines and every status change is appended to
+ * purchase_order_status_history in the same transaction. Workflow rules are enforced by
+ * services/purchaseOrderLifecycle.js.
+ */
+
+import crypto from 'crypto';
+import { query, withTransaction } from './connection.js';
+
+export const PURCHASE_ORDER_STATUSES = ['DRAFT', 'SUBMITTED', 'APPROVED', 'REJECTED', 'RECEIVED', 'CLOSED'];
+
+// Statuses in which the order (header and lines) may still be edited
+export const EDITABLE_STATUSES = ['DRAFT', 'REJECTED'];
+
+const SELECT_PURCHASE_ORDERS = `
+  SELECT po.*, s.name AS supplier_name,
+    v.name AS vessel_name, p.name AS port_name, pc.eta AS port_call_eta
+  FROM purchase_orders po
+  LEFT JOIN suppliers s ON s.id = po.supplier_id AND s.tenant_id = po.tenant_id
+  LEFT JOIN port_calls pc ON pc.id = po.port_call_id AND pc.tenant_id = po.tenant_id
+  LEFT JOIN vessels v ON v.id = pc.vessel_id AND v.tenant_id = po.tenant_id
+  LEFT JOIN ports p ON p.id = pc.port_id AND p.tenant_id = po.tenant_id`;
+
+// Workflow fields settable by a transition -> column
+const TRANSITION_FIELDS = {
+  submittedAt: 'submitted_at',
+  submittedBy: 'submitted_by',
+  decidedAt: 'decided_at',
+  decidedBy: 'decided_by',
+  rejectionReason: 'rejection_reason',
+  receivedAt: 'received_at',
+  closedAt: 'closed_at',
+};
+
+/**
+ * Validate tenant ID
+ */
+function validateTenantId(tenantId, functionName) {
+  if (!tenantId || typeof tenantId !== 'string') {
+    throw new Error(`${functionName}: tenantId is required and must be a string`);
+  }
+}
+
+function toNumber(value) {
+  return value === null || value === undefined ? null : parseFloat(value);
+}
+
+/**
+ * Transform database row to API format
+ */
+function transformPurchaseOrderRow(row) {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    tenantId: row.tenant_id,
+    supplierId: row.supplier_id,
+    supplierName: row.supplier_name || null,
+    portCallId: row.port_call_id,
+    portCall: row.port_call_id ? {
+      id: row.port_call_id,
+      vesselName: row.vessel_name || null,
+      portName: row.port_name || null,
+      eta: row.port_call_eta || null,
+    } : null,
+    description: row.description,
+    notes: row.notes,
+    totalAmount: toNumber(row.total_amount),
+    currency: row.currency,
+    status: row.status,
+    createdBy: row.created_by,
+    submittedAt: row.submitted_at,
+    submittedBy: row.submitted_by,
+    decidedAt: row.decided_at,
+    decidedBy: row.decided_by,
+    rejectionReason: row.rejection_reason,
+    receivedAt: row.received_at,
+    closedAt: row.closed_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function transformLineRow(row) {
+  return {
+    id: row.id,
+    lineNumber: row.line_number,
+    description: row.description,
+    quantity: toNumber(row.quantity),
+    unitPrice: toNumber(row.unit_price),
+    totalAmount: toNumber(row.total_amount),
+  };
+}
+
+function transformHistoryRow(row) {
+  return {
+    id: row.id,
+    fromStatus: row.from_status,
+    toStatus: row.to_status,
+    changedBy: row.changed_by,
+    changedByName: row.changed_by_name || null,
+    comment: row.comment,
+    createdAt: row.created_at,
+  };
+}
+
+async function insertLines(client, tenantId, purchaseOrderId, lines) {
+  for (const [index, line] of lines.entries()) {
+    await client.query(
+      `INSERT INTO purchase_order_lines (
+        id, tenant_id, purchase_order_id, line_number, description, quantity, unit_price, total_amount
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [
+        `pol-${crypto.randomUUID()}`,
+        tenantId,
+        purchaseOrderId,
+        index + 1,
+        line.description,
+        line.quantity,
+        line.unitPrice,
+        line.totalAmount,
+      ]
+    );
+  }
+}
+
+async function insertHistory(client, tenantId, purchaseOrderId, fromStatus, toStatus, { changedBy = null, comment = null } = {}) {
+  await client.query(
+    `INSERT INTO purchase_order_status_history (id, tenant_id, purchase_order_id, from_status, to_status, changed_by, comment)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [`posh-${crypto.randomUUID()}`, tenantId, purchaseOrderId, fromStatus, toStatus, changedBy, comment]
+  );
+}
+
+/**
+ * Get purchase orders for a tenant (without lines and history)
+ * @param {Object} [filters] - { status, portCallId, supplierId }
+ * @returns {Promise<Array>} Newest first
+ */
+export async function getPurchaseOrders(tenantId, filters = {}) {
+  validateTenantId(tenantId, 'getPurchaseOrders');
+
+  const conditions = ['po.tenant_id = $1'];
+  const values = [tenantId];
+  const columns = { status: 'po.status', portCallId: 'po.port_call_id', supplierId: 'po.supplier_id' };
+  for (const [key, column] of Object.entries(columns)) {
+    if (filters[key]) {
+      values.push(filters[key]);
+      conditions.push(`${column} = $${values.length}`);
+    }
+  }
+
+  const result = await query(
+    `${SELECT_PURCHASE_ORDERS}
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY po.created_at DESC`,
+    values
+  );
+  return result.rows.map(transformPurchaseOrderRow);
+}
+
+/**
+ * Get a purchase order with its lines and status history
+ * SECURITY: Only returns the purchase order if it belongs to the specified tenant
+ */
+export async function getPurchaseOrderById(purchaseOrderId, tenantId) {
+  validateTenantId(tenantId, 'getPurchaseOrderById');
+
+  const result = await query(
+    `${SELECT_PURCHASE_ORDERS}
+     WHERE po.id = $1 AND po.tenant_id = $2`,
+    [purchaseOrderId, tenantId]
+  );
+  const purchaseOrder = transformPurchaseOrderRow(result.rows[0]);
+  if (!purchaseOrder) return null;
+
+  const [lines, history] = await Promise.all([
+    query(
+      'SELECT * FROM purchase_order_lines WHERE purchase_order_id = $1 AND tenant_id = $2 ORDER BY line_number ASC',
+      [purchaseOrderId, tenantId]
+    ),
+    query(
+      `SELECT h.*, u.name AS changed_by_name
+       FROM purchase_order_status_history h
+       LEFT JOIN users u ON u.id = h.changed_by AND u.tenant_id = h.tenant_id
+       WHERE h.purchase_order_id = $1 AND h.tenant_id = $2
+       ORDER BY h.created_at ASC`,
+      [purchaseOrderId, tenantId]
+    ),
+  ]);
+  purchaseOrder.lines = lines.rows.map(transformLineRow);
+  purchaseOrder.history = history.rows.map(transformHistoryRow);
+
+  return purchaseOrder;
+}
+
+/**
+ * Create a DRAFT purchase order with its lines
+ * @param {Object} data - { supplierId, portCallId, description, notes, currency, totalAmount, createdBy }
+ * @param {Array<Object>} lines - Computed lines { description, quantity, unitPrice, totalAmount }
+ */
+export async function createPurchaseOrder(tenantId, data, lines) {
+  validateTenantId(tenantId, 'createPurchaseOrder');
+
+  const id = `po-${crypto.randomUUID()}`;
+  await withTransaction(async (client) => {
+    await client.query(
+      `INSERT INTO purchase_orders (
+        id, tenant_id, supplier_id, port_call_id, description, notes, total_amount, currency, status, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'DRAFT', $9)`,
+      [
+        id,
+        tenantId,
+        data.supplierId,
+        data.portCallId,
+        data.description || null,
+        data.notes || null,
+        data.totalAmount,
+        data.currency || 'BRL',
+        data.createdBy || null,
+      ]
+    );
+    await insertLines(client, tenantId, id, lines);
+    await insertHistory(client, tenantId, id, null, 'DRAFT', { changedBy: data.createdBy });
+  });
+
+  return getPurchaseOrderById(id, tenantId);
+}
+
+/**
+ * Update an editable (DRAFT or REJECTED) purchase order; lines, when given, replace existing lines
+ * @param {Object} updates - { supplierId, portCallId, description, notes, currency, totalAmount }
+ * @param {Array<Object>} [lines]
+ * @returns {Promise<Object|null>} Updated purchase order, or null if not found or no longer editable
+ */
+export async function updateEditablePurchaseOrder(purchaseOrderId, tenantId, updates, lines) {
+  validateTenantId(tenantId, 'updateEditablePurchaseOrder');
+
+  const fields = [];
+  const values = [];
+  const columns = {
+    supplierId: 'supplier_id',
+    portCallId: 'port_call_id',
+    description: 'description',
+    notes: 'notes',
+    currency: 'currency',
+    totalAmount: 'total_amount',
+  };
+  for (const [key, column] of Object.entries(columns)) {
+    if (updates[key] !== undefined) {
+      values.push(updates[key]);
+      fields.push(`${column} = $${values.length}`);
+    }
+  }
+
+  const updated = await withTransaction(async (client) => {
+    values.push(purchaseOrderId, tenantId, EDITABLE_STATUSES);
+    const result = await client.query(
+      `UPDATE purchase_orders SET ${[...fields, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+       WHERE id = $${values.length - 2} AND tenant_id = $${values.length - 1} AND status = ANY($${values.length})`,
+      values
+    );
+    if (result.rowCount === 0) return false;
+
+    if (lines) {
+      await client.query(
+        'DELETE FROM purchase_order_lines WHERE purchase_order_id = $1 AND tenant_id = $2',
+        [purchaseOrderId, tenantId]
+      );
+      await insertLines(client, tenantId, purchaseOrderId, lines);
+    }
+    return true;
+  });
+
+  return updated ? getPurchaseOrderById(purchaseOrderId, tenantId) : null;
+}
+
+/**
+ * Delete a DRAFT purchase order
+ * @returns {Promise<boolean>} True if a draft was deleted
+ */
+export async function deleteDraftPurchaseOrder(purchaseOrderId, tenantId) {
+  validateTenantId(tenantId, 'deleteDraftPurchaseOrder');
+
+  const result = await query(
+    `DELETE FROM purchase_orders WHERE id = $1 AND tenant_id = $2 AND status = 'DRAFT'`,
+    [purchaseOrderId, tenantId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Apply a status transition and record it in the status history
+ * Only succeeds if the order is still in fromStatus, so concurrent transitions cannot both apply.
+ * Callers must validate the transition first (see services/purchaseOrderLifecycle.js).
+ * @param {Object} [fields] - Workflow fields to set (submittedAt, decidedBy, rejectionReason, ...)
+ * @param {Object} [change] - { changedBy, comment } for the history entry
+ * @returns {Promise<Object|null>} Updated purchase order or null if it no longer has fromStatus
+ */
+export async function applyStatusTransition(purchaseOrderId, tenantId, fromStatus, toStatus, fields = {}, change = {}) {
+  validateTenantId(tenantId, 'applyStatusTransition');
+
+  const updateFields = ['status = $1'];
+  const updateValues = [toStatus];
+  for (const [key, value] of Object.entries(fields)) {
+    const column = TRANSITION_FIELDS[key];
+    if (column && value !== undefined) {
+      updateValues.push(value);
+      updateFields.push(`${column} = $${updateValues.length}`);
+    }
+  }
+  updateFields.push('updated_at = CURRENT_TIMESTAMP');
+  updateValues.push(purchaseOrderId, tenantId, fromStatus);
+
+  const applied = await withTransaction(async (client) => {
+    const result = await client.query(
+      `UPDATE purchase_orders
+       SET ${updateFields.join(', ')}
+       WHERE id = $${updateValues.length - 2} AND tenant_id = $${updateValues.length - 1} AND status = $${updateValues.length}`,
+      updateValues
+    );
+    if (result.rowCount === 0) return false;
+
+    await insertHistory(client, tenantId, purchaseOrderId, fromStatus, toStatus, change);
+    return true;
+  });
+
+  return applied ? getPurchaseOrderById(purchaseOrderId, tenantId) : null;
+}
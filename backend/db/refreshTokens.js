@@ -0,0 +1,136 @@
+/**
+ * Database functions for Refresh Tokens
+ * Tokens are stored as a SHA-256 hash keyed by their jti (refresh_tokens.id), so a database
+ * leak does not expose usable tokens. Without a configured database (local dev on mock data)
+ * tokens are kept in memory instead.
+ */
+
+import crypto from 'crypto';
+import { query } from './connection.js';
+
+// Store when no database is configured: jti -> row
+const memoryTokens = new Map();
+
+/**
+ * Validate tenant ID
+ */
+function validateTenantId(tenantId, functionName) {
+  if (!tenantId || typeof tenantId !== 'string') {
+    throw new Error(`${functionName}: tenantId is required and must be a string`);
+  }
+}
+
+/**
+ * True when no database is configured. SECURITY: Never decided by a runtime database error, so an
+ * outage cannot switch token checks to the (empty) memory store
+ */
+function useMemoryStore() {
+  return !process.env.DATABASE_URL;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Store an issued refresh token
+ * @param {Object} data - { id (jti), tenantId, userId, token, expiresAt }
+ */
+export async function createRefreshToken({ id, tenantId, userId, token, expiresAt }) {
+  validateTenantId(tenantId, 'createRefreshToken');
+
+  const tokenHash = hashToken(token);
+  if (useMemoryStore()) {
+    memoryTokens.set(id, { id, tenantId, userId, tokenHash, expiresAt, revokedAt: null });
+    return;
+  }
+
+  await query(
+    `INSERT INTO refresh_tokens (id, tenant_id, user_id, token, expires_at)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [id, tenantId, userId, tokenHash, expiresAt]
+  );
+}
+
+/**
+ * Check that a refresh token is stored, unrevoked and unexpired
+ * SECURITY: The token must match the stored hash for its jti in the tenant
+ * @returns {Promise<{id: string, userId: string}|null>} Stored token, or null if not valid
+ */
+export async function getValidRefreshToken(id, tenantId, token) {
+  validateTenantId(tenantId, 'getValidRefreshToken');
+
+  let row;
+  if (useMemoryStore()) {
+    const stored = memoryTokens.get(id);
+    row = stored && stored.tenantId === tenantId && !stored.revokedAt && new Date(stored.expiresAt) > new Date()
+      ? stored
+      : null;
+  } else {
+    const result = await query(
+      `SELECT id, user_id, token FROM refresh_tokens
+       WHERE id = $1 AND tenant_id = $2 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+      [id, tenantId]
+    );
+    row = result.rows[0] && { id: result.rows[0].id, userId: result.rows[0].user_id, tokenHash: result.rows[0].token };
+  }
+
+  if (!row) return null;
+  const expected = Buffer.from(row.tokenHash);
+  const actual = Buffer.from(hashToken(token));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  return { id: row.id, userId: row.userId };
+}
+
+/**
+ * Revoke a refresh token (logout / rotation)
+ * Atomic: of two concurrent calls for the same token only one gets true, so rotation can use it
+ * as the claim on the token
+ * @returns {Promise<boolean>} True if this call revoked the token (false if already revoked)
+ */
+export async function revokeRefreshToken(id, tenantId) {
+  validateTenantId(tenantId, 'revokeRefreshToken');
+
+  if (useMemoryStore()) {
+    const stored = memoryTokens.get(id);
+    if (!stored || stored.tenantId !== tenantId || stored.revokedAt) return false;
+    stored.revokedAt = new Date().toISOString();
+    return true;
+  }
+
+  const result = await query(
+    `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND tenant_id = $2 AND revoked_at IS NULL`,
+    [id, tenantId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Revoke all of a user's refresh tokens (deactivation, password reset, token reuse)
+ * @returns {Promise<number>} Number of tokens revoked
+ */
+export async function revokeUserRefreshTokens(userId, tenantId) {
+  validateTenantId(tenantId, 'revokeUserRefreshTokens');
+
+  if (useMemoryStore()) {
+    let count = 0;
+    for (const stored of memoryTokens.values()) {
+      if (stored.userId === userId && stored.tenantId === tenantId && !stored.revokedAt) {
+        stored.revokedAt = new Date().toISOString();
+        count++;
+      }
+    }
+    return count;
+  }
+
+  const result = await query(
+    `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND tenant_id = $2 AND revoked_at IS NULL`,
+    [userId, tenantId]
+  );
+  return result.rowCount;
+}
+
@@ -12,11 +12,36 @@ ALTER TABLE customers ENABLE ROW LEVEL SECURITY;
 ALTER TABLE suppliers ENABLE ROW LEVEL SECURITY;
 ALTER TABLE vessels ENABLE ROW LEVEL SECURITY;
 ALTER TABLE vessel_position_history ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ais_api_usage ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tenant_ais_configs ENABLE ROW LEVEL SECURITY;
 ALTER TABLE vessel_customer_associations ENABLE ROW LEVEL SECURITY;
 ALTER TABLE vessel_agent_associations ENABLE ROW LEVEL SECURITY;
 ALTER TABLE port_calls ENABLE ROW LEVEL SECURITY;
+ALTER TABLE port_call_events ENABLE ROW LEVEL SECURITY;
 ALTER TABLE invoices ENABLE ROW LEVEL SECURITY;
+ALTER TABLE invoice_lines ENABLE ROW LEVEL SECURITY;
+ALTER TABLE invoice_number_sequences ENABLE ROW LEVEL SECURITY;
 ALTER TABLE purchase_orders ENABLE ROW LEVEL SECURITY;
+ALTER TABLE purchase_order_lines ENABLE ROW LEVEL SECURITY;
+ALTER TABLE purchase_order_status_history ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tariffs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tariff_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE port_call_fees ENABLE ROW LEVEL SECURITY;
+ALTER TABLE port_call_fee_payments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE port_call_crew ENABLE ROW LEVEL SECURITY;
+ALTER TABLE port_call_passengers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE manifests ENABLE ROW LEVEL SECURITY;
+ALTER TABLE bills_of_lading ENABLE ROW LEVEL SECURITY;
+ALTER TABLE port_call_approvals ENABLE ROW LEVEL SECURITY;
+ALTER TABLE attachments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tenant_attachment_settings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE escalas ENABLE ROW LEVEL SECURITY;
+ALTER TABLE berth_stays ENABLE ROW LEVEL SECURITY;
+ALTER TABLE statements_of_facts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE sof_entries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE laytime_terms ENABLE ROW LEVEL SECURITY;
+ALTER TABLE disbursement_accounts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE disbursement_account_lines ENABLE ROW LEVEL SECURITY;
 ALTER TABLE audit_logs ENABLE ROW LEVEL SECURITY;
 
 -- Create a function to get the current tenant ID from the application context
@@ -78,24 +103,174 @@ CREATE POLICY vessel_agent_associations_tenant_isolation ON vessel_agent_associa
   USING (tenant_id = current_tenant_id())
   WITH CHECK (tenant_id = current_tenant_id());
 
+-- Policy: AIS API usage per tenant
+CREATE POLICY ais_api_usage_tenant_isolation ON ais_api_usage
+  FOR ALL
+  USING (tenant_id = current_tenant_id())
+  WITH CHECK (tenant_id = current_tenant_id());
+
+-- Policy: Tenant AIS configurations
+CREATE POLICY tenant_ais_configs_tenant_isolation ON tenant_ais_configs
+  FOR ALL
+  USING (tenant_id = current_tenant_id())
+  WITH CHECK (tenant_id = current_tenant_id());
+
 -- Policy: Port calls per tenant
 CREATE POLICY port_calls_tenant_isolation ON port_calls
   FOR ALL
   USING (tenant_id = current_tenant_id())
   WITH CHECK (tenant_id = current_tenant_id());
 
+-- Policy: Port call events per tenant
+CREATE POLICY port_call_events_tenant_isolation ON port_call_events
+  FOR ALL
+  USING (tenant_id = current_tenant_id())
+  WITH CHECK (tenant_id = current_tenant_id());
+
 -- Policy: Invoices per tenant
 CREATE POLICY invoices_tenant_isolation ON invoices
   FOR ALL
   USING (tenant_id = current_tenant_id())
   WITH CHECK (tenant_id = current_tenant_id());
 
+-- Policy: Invoice lines per tenant
+CREATE POLICY invoice_lines_tenant_isolation ON invoice_lines
+  FOR ALL
+  USING (tenant_id = current_tenant_id())
+  WITH CHECK (tenant_id = current_tenant_id());
+
+-- Policy: Invoice number sequences per tenant
+CREATE POLICY invoice_number_sequences_tenant_isolation ON invoice_number_sequences
+  FOR ALL
+  USING (tenant_id = current_tenant_id())
+  WITH CHECK (tenant_id = current_tenant_id());
+
 -- Policy: Purchase orders per tenant
 CREATE POLICY purchase_orders_tenant_isolation ON purchase_orders
   FOR ALL
   USING (tenant_id = current_tenant_id())
   WITH CHECK (tenant_id = current_tenant_id());
 
+-- Policy: Purchase order lines per tenant
+CREATE POLICY purchase_order_lines_tenant_isolation ON purchase_order_lines
+  FOR ALL
+  USING (tenant_id = current_tenant_id())
+  WITH CHECK (tenant_id = current_tenant_id());
+
+-- Policy: Purchase order status history per tenant
+CREATE POLICY purchase_order_status_history_tenant_isolation ON purchase_order_status_history
+  FOR ALL
+  USING (tenant_id = current_tenant_id())
+  WITH CHECK (tenant_id = current_tenant_id());
+
+-- Policy: Port call crew per tenant
+CREATE POLICY port_call_crew_tenant_isolation ON port_call_crew
+  FOR ALL
+  USING (tenant_id = current_tenant_id())
+  WITH CHECK (tenant_id = current_tenant_id());
+
+-- Policy: Port call passengers per tenant
+CREATE POLICY port_call_passengers_tenant_isolation ON port_call_passengers
+  FOR ALL
+  USING (tenant_id = current_tenant_id())
+  WITH CHECK (tenant_id = current_tenant_id());
+
+-- Policy: Manifests per tenant
+CREATE POLICY manifests_tenant_isolation ON manifests
+  FOR ALL
+  USING (tenant_id = current_tenant_id())
+  WITH CHECK (tenant_id = current_tenant_id());
+
+-- Policy: Bills of lading per tenant
+CREATE POLICY bills_of_lading_tenant_isolation ON bills_of_lading
+  FOR ALL
+  USING (tenant_id = current_tenant_id())
+  WITH CHECK (tenant_id = current_tenant_id());
+
+-- Policy: Port call approvals per tenant
+CREATE POLICY port_call_approvals_tenant_isolation ON port_call_approvals
+  FOR ALL
+  USING (tenant_id = current_tenant_id())
+  WITH CHECK (tenant_id = current_tenant_id());
+
+-- Policy: Attachments per tenant
+CREATE POLICY attachments_tenant_isolation ON attachments
+  FOR ALL
+  USING (tenant_id = current_tenant_id())
+  WITH CHECK (tenant_id = current_tenant_id());
+
+-- Policy: Attachment settings per tenant
+CREATE POLICY tenant_attachment_settings_tenant_isolation ON tenant_attachment_settings
+  FOR ALL
+  USING (tenant_id = current_tenant_id())
+  WITH CHECK (tenant_id = current_tenant_id());
+
+-- Policy: Escalas (itinerary stops) per tenant
+CREATE POLICY escalas_tenant_isolation ON escalas
+  FOR ALL
+  USING (tenant_id = current_tenant_id())
+  WITH CHECK (tenant_id = current_tenant_id());
+
+-- Policy: Berth stays per tenant
+CREATE POLICY berth_stays_tenant_isolation ON berth_stays
+  FOR ALL
+  USING (tenant_id = current_tenant_id())
+  WITH CHECK (tenant_id = current_tenant_id());
+
+-- Policy: Statements of facts per tenant
+CREATE POLICY statements_of_facts_tenant_isolation ON statements_of_facts
+  FOR ALL
+  USING (tenant_id = current_tenant_id())
+  WITH CHECK (tenant_id = current_tenant_id());
+
+-- Policy: SOF entries per tenant
+CREATE POLICY sof_entries_tenant_isolation ON sof_entries
+  FOR ALL
+  USING (tenant_id = current_tenant_id())
+  WITH CHECK (tenant_id = current_tenant_id());
+
+-- Policy: Laytime terms per tenant
+CREATE POLICY laytime_terms_tenant_isolation ON laytime_terms
+  FOR ALL
+  USING (tenant_id = current_tenant_id())
+  WITH CHECK (tenant_id = current_tenant_id());
+
+-- Policy: Disbursement accounts per tenant
+CREATE POLICY disbursement_accounts_tenant_isolation ON disbursement_accounts
+  FOR ALL
+  USING (tenant_id = current_tenant_id())
+  WITH CHECK (tenant_id = current_tenant_id());
+
+-- Policy: Disbursement account lines per tenant
+CREATE POLICY disbursement_account_lines_tenant_isolation ON disbursement_account_lines
+  FOR ALL
+  USING (tenant_id = current_tenant_id())
+  WITH CHECK (tenant_id = current_tenant_id());
+
+-- Policy: Tariffs per tenant
+CREATE POLICY tariffs_tenant_isolation ON tariffs
+  FOR ALL
+  USING (tenant_id = current_tenant_id())
+  WITH CHECK (tenant_id = current_tenant_id());
+
+-- Policy: Tariff rules per tenant
+CREATE POLICY tariff_rules_tenant_isolation ON tariff_rules
+  FOR ALL
+  USING (tenant_id = current_tenant_id())
+  WITH CHECK (tenant_id = current_tenant_id());
+
+-- Policy: Port call fees per tenant
+CREATE POLICY port_call_fees_tenant_isolation ON port_call_fees
+  FOR ALL
+  USING (tenant_id = current_tenant_id())
+  WITH CHECK (tenant_id = current_tenant_id());
+
+-- Policy: Port call fee payments per tenant
+CREATE POLICY port_call_fee_payments_tenant_isolation ON port_call_fee_payments
+  FOR ALL
+  USING (tenant_id = current_tenant_id())
+  WITH CHECK (tenant_id = current_tenant_id());
+
 -- Policy: Audit logs per tenant
 CREATE POLICY audit_logs_tenant_isolation ON audit_logs
   FOR ALL
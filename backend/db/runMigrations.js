@@ -173,11 +173,119 @@ async function runMigrations() {
     const migration1Path = join(__dirname, 'migrations', '001_add_ops_sites_fields_to_ports.sql');
     await executeSqlFile(migration1Path);
     
+    // Migration 3: Port call lifecycle fields (actual arrival/departure, cancellation reason)
+    console.log('\n📦 Migration 3: Adding port call lifecycle fields...');
+    const migration3Path = join(__dirname, 'migrations', '003_add_port_call_lifecycle_fields.sql');
+    await executeSqlFile(migration3Path);
+    
+    // Migration 4: Port call events (AIS arrival/departure detection)
+    console.log('\n📦 Migration 4: Creating port call events table...');
+    const migration4Path = join(__dirname, 'migrations', '004_add_port_call_events.sql');
+    await executeSqlFile(migration4Path);
+    
+    // Migration 5: AIS API usage (daily per-tenant call budget)
+    console.log('\n📦 Migration 5: Creating AIS API usage table...');
+    const migration5Path = join(__dirname, 'migrations', '005_add_ais_api_usage.sql');
+    await executeSqlFile(migration5Path);
+    
+    // Migration 6: Tenant AIS configurations (provider selection, encrypted API keys)
+    console.log('\n📦 Migration 6: Creating tenant AIS configurations table...');
+    const migration6Path = join(__dirname, 'migrations', '006_add_tenant_ais_configs.sql');
+    await executeSqlFile(migration6Path);
+    
+    // Migration 7: User management fields (active flag, last login, ADMIN/OPERATOR/VIEWER roles)
+    console.log('\n📦 Migration 7: Adding user management fields...');
+    const migration7Path = join(__dirname, 'migrations', '007_add_user_management_fields.sql');
+    await executeSqlFile(migration7Path);
+    
+    // Migration 8: Invoice numbering, taxes, void/credit notes and line items
+    console.log('\n📦 Migration 8: Adding invoice details and line items...');
+    const migration8Path = join(__dirname, 'migrations', '008_add_invoice_details.sql');
+    await executeSqlFile(migration8Path);
+    
+    // Migration 9: Purchase order workflow (supplier details, line items, status history)
+    console.log('\n📦 Migration 9: Adding purchase order workflow...');
+    const migration9Path = join(__dirname, 'migrations', '009_add_purchase_order_workflow.sql');
+    await executeSqlFile(migration9Path);
+    
+    // Migration 10: Port call fees and dues with payments
+    console.log('\n💰 Migration 10: Adding port call fees...');
+    const migration10Path = join(__dirname, 'migrations', '010_add_port_call_fees.sql');
+    await executeSqlFile(migration10Path);
+    
+    // Migration 11: Tariffs per ops site, tariff-estimated fees
+    console.log('\n🧮 Migration 11: Adding tariffs...');
+    const migration11Path = join(__dirname, 'migrations', '011_add_tariffs.sql');
+    await executeSqlFile(migration11Path);
+    
+    // Migration 12: Crew and passenger lists (IMO FAL Forms 5 and 6)
+    console.log('\n👥 Migration 12: Adding crew and passenger lists...');
+    const migration12Path = join(__dirname, 'migrations', '012_add_crew_and_passengers.sql');
+    await executeSqlFile(migration12Path);
+    
+    // Migration 13: Cargo manifests and bills of lading
+    console.log('\n📦 Migration 13: Adding manifests and bills of lading...');
+    const migration13Path = join(__dirname, 'migrations', '013_add_manifests.sql');
+    await executeSqlFile(migration13Path);
+    
+    // Migration 14: Approvals, requirements and impediments per authority
+    console.log('\n🛂 Migration 14: Adding port call approvals...');
+    const migration14Path = join(__dirname, 'migrations', '014_add_port_call_approvals.sql');
+    await executeSqlFile(migration14Path);
+    
+    // Migration 15: Port call attachments and per-tenant upload settings
+    console.log('\n📎 Migration 15: Adding attachments...');
+    const migration15Path = join(__dirname, 'migrations', '015_add_attachments.sql');
+    await executeSqlFile(migration15Path);
+    
+    // Migration 16: Itinerary stops and berth allocations per port call
+    console.log('\n⚓ Migration 16: Adding port call itinerary and berth stays...');
+    const migration16Path = join(__dirname, 'migrations', '016_add_port_call_itinerary.sql');
+    await executeSqlFile(migration16Path);
+    
+    // Migration 17: Statements of facts (SOF) per port call
+    console.log('\n📝 Migration 17: Adding statements of facts...');
+    const migration17Path = join(__dirname, 'migrations', '017_add_statements_of_facts.sql');
+    await executeSqlFile(migration17Path);
+    
+    // Migration 18: Add laytime terms (charter-party terms for demurrage/despatch)
+    console.log('\n⏱️ Migration 18: Adding laytime terms...');
+    const migration18Path = join(__dirname, 'migrations', '018_add_laytime_terms.sql');
+    await executeSqlFile(migration18Path);
+    
+    // Migration 19: Add disbursement accounts (PDA/FDA per port call)
+    console.log('\n🧾 Migration 19: Adding disbursement accounts...');
+    const migration19Path = join(__dirname, 'migrations', '019_add_disbursement_accounts.sql');
+    await executeSqlFile(migration19Path);
+    
+    // Migration 20: Add predicted ETA fields to port calls
+    console.log('\n🧭 Migration 20: Adding predicted ETA fields...');
+    const migration20Path = join(__dirname, 'migrations', '020_add_predicted_eta.sql');
+    await executeSqlFile(migration20Path);
+    
     console.log('\n✅ All migrations completed successfully!');
     console.log('\n📊 Summary:');
     console.log('  - Ports table created/updated with Ops Sites fields');
     console.log('  - Fleets table created');
     console.log('  - Fleet_vessels junction table created');
+    console.log('  - Port calls updated with lifecycle fields');
+    console.log('  - Port call events table created');
+    console.log('  - AIS API usage table created');
+    console.log('  - Tenant AIS configurations table created');
+    console.log('  - Users updated with management fields');
+    console.log('  - Invoices updated with numbering/tax fields, invoice lines table created');
+    console.log('  - Suppliers and purchase orders updated, PO lines and status history tables created');
+    console.log('  - Port call fees and fee payments tables created');
+    console.log('  - Tariffs and tariff rules tables created, fees linked to tariffs');
+    console.log('  - Port call crew and passenger tables created');
+    console.log('  - Manifests and bills of lading tables created');
+    console.log('  - Port call approvals table created');
+    console.log('  - Attachments and tenant attachment settings tables created');
+    console.log('  - Escalas (itinerary stops) and berth stays tables created');
+    console.log('  - Statements of facts and SOF entries tables created');
+    console.log('  - Laytime terms table created');
+    console.log('  - Disbursement accounts and lines tables created');
+    console.log('  - Port calls updated with predicted ETA fields');
     console.log('  - All indexes created');
     
   } catch (error) {
@@ -16,23 +16,27 @@ CREATE TABLE IF NOT EXISTS users (
   email TEXT NOT NULL UNIQUE,
   password_hash TEXT NOT NULL,
   name TEXT NOT NULL,
-  role VARCHAR(50) NOT NULL DEFAULT 'USER',
+  role VARCHAR(50) NOT NULL DEFAULT 'OPERATOR', -- ADMIN | OPERATOR | VIEWER
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  last_login_at TIMESTAMP,
+  invited_by VARCHAR(255),
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 CREATE INDEX IF NOT EXISTS idx_users_tenant_id ON users(tenant_id);
 
--- Refresh Tokens (server-issued)
+-- Refresh Tokens (server-issued; id is the token's jti)
 CREATE TABLE IF NOT EXISTS refresh_tokens (
   id VARCHAR(255) PRIMARY KEY,
   tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
   user_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-  token TEXT NOT NULL,
+  token TEXT NOT NULL, -- SHA-256 hash of the token, never the token itself
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   expires_at TIMESTAMP NOT NULL,
   revoked_at TIMESTAMP
 );
 CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_tenant ON refresh_tokens(tenant_id);
 
 -- Customers Table
 CREATE TABLE IF NOT EXISTS customers (
@@ -53,6 +57,11 @@ CREATE TABLE IF NOT EXISTS suppliers (
   name TEXT NOT NULL,
   contact_email TEXT,
   contact_phone TEXT,
+  tax_id VARCHAR(50),
+  address TEXT,
+  category VARCHAR(100), -- e.g. Launch, Provisions, Bunkers
+  notes TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE, -- Suppliers with purchase orders are deactivated, not deleted
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -99,6 +108,7 @@ CREATE TABLE IF NOT EXISTS vessel_position_history (
   heading DECIMAL(5, 2), -- Heading (degrees)
   nav_status VARCHAR(50),
   source VARCHAR(50) DEFAULT 'ais',
+  geofence_evaluated_at TIMESTAMP, -- Set by the port call event detection job
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   FOREIGN KEY (vessel_id) REFERENCES vessels(id) ON DELETE CASCADE
 );
@@ -107,6 +117,31 @@ CREATE TABLE IF NOT EXISTS vessel_position_history (
 CREATE INDEX IF NOT EXISTS idx_position_history_vessel_id ON vessel_position_history(vessel_id);
 CREATE INDEX IF NOT EXISTS idx_position_history_tenant_id ON vessel_position_history(tenant_id);
 CREATE INDEX IF NOT EXISTS idx_position_history_timestamp ON vessel_position_history(timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_position_history_geofence_pending
+  ON vessel_position_history(timestamp) WHERE geofence_evaluated_at IS NULL;
+
+-- AIS API Usage Table (daily per-tenant call count for the AIS call budget)
+CREATE TABLE IF NOT EXISTS ais_api_usage (
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  usage_date DATE NOT NULL,
+  call_count INTEGER NOT NULL DEFAULT 0,
+  poller_call_count INTEGER NOT NULL DEFAULT 0,
+  last_call_at TIMESTAMP,
+  PRIMARY KEY (tenant_id, usage_date)
+);
+
+-- Tenant AIS Configurations Table (provider selection, encrypted API keys, polling settings)
+CREATE TABLE IF NOT EXISTS tenant_ais_configs (
+  tenant_id VARCHAR(255) PRIMARY KEY REFERENCES tenants(id) ON DELETE CASCADE,
+  provider VARCHAR(50), -- datalastic, myshiptracking; NULL = server default provider
+  api_key_encrypted TEXT,
+  secret_key_encrypted TEXT, -- MyShipTracking secret key
+  key_rotated_at TIMESTAMP,
+  poll_frequency_minutes INTEGER,
+  daily_call_budget INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
 
 -- Vessel-Customer Associations Table
 CREATE TABLE IF NOT EXISTS vessel_customer_associations (
@@ -146,6 +181,7 @@ CREATE TABLE IF NOT EXISTS portcall_operation_logs (
   id VARCHAR(255) PRIMARY KEY,
   tenant_id VARCHAR(255) NOT NULL,
   vessel_id VARCHAR(255),
+  port_call_id VARCHAR(255),
   event_type VARCHAR(50) NOT NULL,
   description TEXT NOT NULL,
   timestamp TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
@@ -160,6 +196,7 @@ CREATE TABLE IF NOT EXISTS portcall_operation_logs (
 -- Create indexes for operation logs
 CREATE INDEX IF NOT EXISTS idx_operation_logs_tenant_id ON portcall_operation_logs(tenant_id);
 CREATE INDEX IF NOT EXISTS idx_operation_logs_vessel_id ON portcall_operation_logs(vessel_id);
+CREATE INDEX IF NOT EXISTS idx_operation_logs_port_call_id ON portcall_operation_logs(port_call_id);
 CREATE INDEX IF NOT EXISTS idx_operation_logs_event_type ON portcall_operation_logs(event_type);
 CREATE INDEX IF NOT EXISTS idx_operation_logs_timestamp ON portcall_operation_logs(timestamp DESC);
 
@@ -172,29 +209,100 @@ CREATE TABLE IF NOT EXISTS port_calls (
   status VARCHAR(50) NOT NULL,
   eta TIMESTAMP,
   etd TIMESTAMP,
+  actual_arrival TIMESTAMP,
+  actual_departure TIMESTAMP,
+  cancellation_reason TEXT,
   local_reference_type VARCHAR(50),
   local_reference_number VARCHAR(100),
+  predicted_eta TIMESTAMP,
+  predicted_eta_confidence NUMERIC(4, 3),
+  predicted_eta_diverges BOOLEAN NOT NULL DEFAULT FALSE,
+  predicted_eta_details JSONB,
+  predicted_eta_at TIMESTAMP,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 CREATE INDEX IF NOT EXISTS idx_port_calls_tenant_id ON port_calls(tenant_id);
 CREATE INDEX IF NOT EXISTS idx_port_calls_status ON port_calls(status);
+CREATE INDEX IF NOT EXISTS idx_port_calls_vessel_id ON port_calls(vessel_id);
+CREATE INDEX IF NOT EXISTS idx_port_calls_eta ON port_calls(eta);
+
+-- Port Call Events Table (ARRIVAL / ANCHORAGE / ALONGSIDE / DEPARTURE)
+CREATE TABLE IF NOT EXISTS port_call_events (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  port_call_id VARCHAR(255) NOT NULL REFERENCES port_calls(id) ON DELETE CASCADE,
+  vessel_id VARCHAR(255) REFERENCES vessels(id) ON DELETE SET NULL,
+  ops_site_id VARCHAR(255),
+  event_type VARCHAR(50) NOT NULL,
+  timestamp TIMESTAMP NOT NULL,
+  terminal VARCHAR(255),
+  remarks TEXT,
+  position_lat DECIMAL(10, 8),
+  position_lon DECIMAL(11, 8),
+  source VARCHAR(50) DEFAULT 'ais',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_port_call_events_tenant_id ON port_call_events(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_port_call_events_port_call_id ON port_call_events(port_call_id);
 
 -- Invoices Table
 CREATE TABLE IF NOT EXISTS invoices (
   id VARCHAR(255) PRIMARY KEY,
   tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
   port_call_id VARCHAR(255) REFERENCES port_calls(id) ON DELETE SET NULL,
-  customer_id VARCHAR(255) REFERENCES customers(id) ON DELETE SET NULL,
+  customer_id VARCHAR(255), -- Customers are not in the customers table yet; bill_to snapshots them
+  invoice_number VARCHAR(50), -- Assigned on issue (INV-000001, CN-000001)
+  document_type VARCHAR(20) NOT NULL DEFAULT 'INVOICE', -- INVOICE, CREDIT_NOTE
+  credited_invoice_id VARCHAR(255) REFERENCES invoices(id) ON DELETE RESTRICT,
+  subtotal_amount NUMERIC(14,2) NOT NULL DEFAULT 0,
+  tax_amount NUMERIC(14,2) NOT NULL DEFAULT 0,
   total_amount NUMERIC(14,2) DEFAULT 0,
   currency VARCHAR(10) DEFAULT 'BRL',
-  status VARCHAR(50) DEFAULT 'DRAFT',
+  status VARCHAR(50) DEFAULT 'DRAFT', -- DRAFT, ISSUED, VOID
+  bill_to JSONB,
+  notes TEXT,
   issued_at TIMESTAMP,
   due_at TIMESTAMP,
+  voided_at TIMESTAMP,
+  void_reason TEXT,
+  created_by VARCHAR(255),
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 CREATE INDEX IF NOT EXISTS idx_invoices_tenant_id ON invoices(tenant_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_tenant_number
+  ON invoices(tenant_id, invoice_number) WHERE invoice_number IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_invoices_port_call_id ON invoices(port_call_id);
+
+-- Invoice Line Items
+CREATE TABLE IF NOT EXISTS invoice_lines (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  invoice_id VARCHAR(255) NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+  line_number INTEGER NOT NULL,
+  description TEXT NOT NULL,
+  quantity NUMERIC(14,3) NOT NULL DEFAULT 1,
+  unit_price NUMERIC(14,2) NOT NULL DEFAULT 0,
+  tax_rate NUMERIC(6,3) NOT NULL DEFAULT 0, -- percent
+  subtotal_amount NUMERIC(14,2) NOT NULL DEFAULT 0,
+  tax_amount NUMERIC(14,2) NOT NULL DEFAULT 0,
+  total_amount NUMERIC(14,2) NOT NULL DEFAULT 0,
+  fee_id VARCHAR(255), -- Port call fee this line bills, if any
+  credited_line_id VARCHAR(255), -- Credit notes: the invoice line being credited
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_invoice_lines_tenant_id ON invoice_lines(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_invoice_lines_invoice_id ON invoice_lines(invoice_id);
+CREATE INDEX IF NOT EXISTS idx_invoice_lines_fee_id ON invoice_lines(fee_id) WHERE fee_id IS NOT NULL;
+
+-- Invoice Number Sequences (per tenant and series: INV, CN)
+CREATE TABLE IF NOT EXISTS invoice_number_sequences (
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  series VARCHAR(10) NOT NULL,
+  last_number INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (tenant_id, series)
+);
 
 -- Purchase Orders Table
 CREATE TABLE IF NOT EXISTS purchase_orders (
@@ -202,13 +310,435 @@ CREATE TABLE IF NOT EXISTS purchase_orders (
   tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
   supplier_id VARCHAR(255) REFERENCES suppliers(id) ON DELETE SET NULL,
   port_call_id VARCHAR(255) REFERENCES port_calls(id) ON DELETE SET NULL,
+  description TEXT,
+  notes TEXT,
   total_amount NUMERIC(14,2) DEFAULT 0,
   currency VARCHAR(10) DEFAULT 'BRL',
-  status VARCHAR(50) DEFAULT 'DRAFT',
+  status VARCHAR(50) DEFAULT 'DRAFT', -- DRAFT, SUBMITTED, APPROVED, REJECTED, RECEIVED, CLOSED
+  created_by VARCHAR(255),
+  submitted_at TIMESTAMP,
+  submitted_by VARCHAR(255),
+  decided_at TIMESTAMP, -- approved or rejected
+  decided_by VARCHAR(255),
+  rejection_reason TEXT,
+  received_at TIMESTAMP,
+  closed_at TIMESTAMP,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 CREATE INDEX IF NOT EXISTS idx_purchase_orders_tenant_id ON purchase_orders(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_port_call_id ON purchase_orders(port_call_id);
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_supplier_id ON purchase_orders(supplier_id);
+
+-- Purchase Order Line Items
+CREATE TABLE IF NOT EXISTS purchase_order_lines (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  purchase_order_id VARCHAR(255) NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+  line_number INTEGER NOT NULL,
+  description TEXT NOT NULL,
+  quantity NUMERIC(14,3) NOT NULL DEFAULT 1,
+  unit_price NUMERIC(14,2) NOT NULL DEFAULT 0,
+  total_amount NUMERIC(14,2) NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_purchase_order_lines_tenant_id ON purchase_order_lines(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_purchase_order_lines_po_id ON purchase_order_lines(purchase_order_id);
+
+-- Purchase Order Status History
+CREATE TABLE IF NOT EXISTS purchase_order_status_history (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  purchase_order_id VARCHAR(255) NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+  from_status VARCHAR(50),
+  to_status VARCHAR(50) NOT NULL,
+  changed_by VARCHAR(255),
+  comment TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_po_status_history_tenant_id ON purchase_order_status_history(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_po_status_history_po_id ON purchase_order_status_history(purchase_order_id);
+
+-- Tariffs (per ops site, one per fee type)
+CREATE TABLE IF NOT EXISTS tariffs (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  ops_site_id VARCHAR(255) NOT NULL, -- ports.id
+  name VARCHAR(255) NOT NULL,
+  fee_type VARCHAR(50) NOT NULL,
+  currency VARCHAR(10) NOT NULL DEFAULT 'BRL',
+  minimum_amount NUMERIC(14,2),
+  valid_from DATE,
+  valid_to DATE,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_tariffs_tenant_id ON tariffs(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_tariffs_ops_site_id ON tariffs(ops_site_id);
+
+-- Tariff Rules
+CREATE TABLE IF NOT EXISTS tariff_rules (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  tariff_id VARCHAR(255) NOT NULL REFERENCES tariffs(id) ON DELETE CASCADE,
+  line_number INTEGER NOT NULL,
+  description TEXT NOT NULL,
+  rule_type VARCHAR(20) NOT NULL, -- FLAT, PER_UNIT, BAND
+  basis VARCHAR(20), -- GT, NT, LOA, DRAFT
+  rate NUMERIC(14,4),
+  bands JSONB, -- [{ min, max, amount }]
+  time_unit VARCHAR(10), -- HOUR, DAY
+  free_hours NUMERIC(8,2) NOT NULL DEFAULT 0,
+  minimum_amount NUMERIC(14,2),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_tariff_rules_tenant_id ON tariff_rules(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_tariff_rules_tariff_id ON tariff_rules(tariff_id);
+
+-- Port Call Fees and Dues
+CREATE TABLE IF NOT EXISTS port_call_fees (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  port_call_id VARCHAR(255) NOT NULL REFERENCES port_calls(id) ON DELETE CASCADE,
+  fee_type VARCHAR(50) NOT NULL, -- BR_FUNAPOL, PORT_DUES, PILOTAGE, TOWAGE, MOORING, OTHER
+  description TEXT,
+  calculation_base TEXT,
+  currency VARCHAR(10) DEFAULT 'BRL',
+  amount_due NUMERIC(14,2) NOT NULL DEFAULT 0,
+  amount_paid NUMERIC(14,2) NOT NULL DEFAULT 0,
+  due_date DATE,
+  payment_date TIMESTAMP,
+  status VARCHAR(20) NOT NULL DEFAULT 'DUE', -- DUE, PAID, WAIVED
+  reference_number VARCHAR(100),
+  notes TEXT,
+  tariff_id VARCHAR(255), -- Tariff the fee was estimated from (source = TARIFF)
+  breakdown JSONB, -- Computed tariff lines
+  source VARCHAR(20) NOT NULL DEFAULT 'MANUAL', -- MANUAL, TARIFF
+  waived_at TIMESTAMP,
+  waived_by VARCHAR(255),
+  waive_reason TEXT,
+  created_by VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_port_call_fees_tenant_id ON port_call_fees(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_port_call_fees_port_call_id ON port_call_fees(port_call_id);
+CREATE INDEX IF NOT EXISTS idx_port_call_fees_due
+  ON port_call_fees(tenant_id, due_date) WHERE status = 'DUE';
+
+-- Port Call Fee Payments
+CREATE TABLE IF NOT EXISTS port_call_fee_payments (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  fee_id VARCHAR(255) NOT NULL REFERENCES port_call_fees(id) ON DELETE CASCADE,
+  amount NUMERIC(14,2) NOT NULL,
+  paid_at TIMESTAMP NOT NULL,
+  reference_number VARCHAR(100),
+  notes TEXT,
+  recorded_by VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_port_call_fee_payments_tenant_id ON port_call_fee_payments(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_port_call_fee_payments_fee_id ON port_call_fee_payments(fee_id);
+
+-- Port Call Crew List (IMO FAL Form 5)
+CREATE TABLE IF NOT EXISTS port_call_crew (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  port_call_id VARCHAR(255) NOT NULL REFERENCES port_calls(id) ON DELETE CASCADE,
+  family_name VARCHAR(255) NOT NULL,
+  given_names VARCHAR(255),
+  rank VARCHAR(100), -- Rank or rating
+  nationality CHAR(3) NOT NULL,
+  date_of_birth DATE,
+  place_of_birth VARCHAR(255),
+  document_type VARCHAR(20) NOT NULL DEFAULT 'PASSPORT', -- PASSPORT, SEAFARER_ID, NATIONAL_ID, OTHER
+  document_number VARCHAR(50) NOT NULL,
+  document_issuing_state CHAR(3),
+  document_expiry DATE,
+  on_board_status VARCHAR(20) NOT NULL DEFAULT 'ON_BOARD', -- ON_BOARD, SIGN_ON, SIGN_OFF (at this port)
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_port_call_crew_tenant_id ON port_call_crew(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_port_call_crew_port_call_id ON port_call_crew(port_call_id);
+
+-- Port Call Passenger List (IMO FAL Form 6)
+CREATE TABLE IF NOT EXISTS port_call_passengers (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  port_call_id VARCHAR(255) NOT NULL REFERENCES port_calls(id) ON DELETE CASCADE,
+  family_name VARCHAR(255) NOT NULL,
+  given_names VARCHAR(255),
+  nationality CHAR(3) NOT NULL,
+  date_of_birth DATE,
+  place_of_birth VARCHAR(255),
+  document_type VARCHAR(20) NOT NULL DEFAULT 'PASSPORT', -- PASSPORT, SEAFARER_ID, NATIONAL_ID, OTHER
+  document_number VARCHAR(50) NOT NULL,
+  document_issuing_state CHAR(3),
+  document_expiry DATE,
+  embark_port VARCHAR(255), -- Port of embarkation
+  disembark_port VARCHAR(255), -- Port of disembarkation
+  is_transit BOOLEAN NOT NULL DEFAULT FALSE, -- Transit passenger (stays on board)
+  cabin VARCHAR(50),
+  status VARCHAR(20) NOT NULL DEFAULT 'ON_BOARD', -- ON_BOARD, DISEMBARKED, CANCELLED
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_port_call_passengers_tenant_id ON port_call_passengers(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_port_call_passengers_port_call_id ON port_call_passengers(port_call_id);
+
+-- Cargo Manifests
+CREATE TABLE IF NOT EXISTS manifests (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  port_call_id VARCHAR(255) NOT NULL REFERENCES port_calls(id) ON DELETE CASCADE,
+  manifest_number VARCHAR(100) NOT NULL,
+  manifest_type VARCHAR(20) NOT NULL, -- IMPORT, EXPORT, CABOTAGE
+  cargo_type VARCHAR(100), -- e.g. Containers, Bulk, General cargo
+  port_of_loading VARCHAR(255),
+  port_of_discharge VARCHAR(255),
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(tenant_id, port_call_id, manifest_number)
+);
+CREATE INDEX IF NOT EXISTS idx_manifests_tenant_id ON manifests(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_manifests_port_call_id ON manifests(port_call_id);
+
+-- Bills of Lading (per manifest)
+CREATE TABLE IF NOT EXISTS bills_of_lading (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  manifest_id VARCHAR(255) NOT NULL REFERENCES manifests(id) ON DELETE CASCADE,
+  bl_number VARCHAR(100) NOT NULL,
+  shipper TEXT,
+  consignee TEXT,
+  notify_party TEXT,
+  cargo_description TEXT,
+  package_count INTEGER,
+  weight NUMERIC(14,3), -- Gross weight, kg
+  volume NUMERIC(14,3), -- m3
+  container_info TEXT, -- Container numbers/seals, free text
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(tenant_id, manifest_id, bl_number)
+);
+CREATE INDEX IF NOT EXISTS idx_bills_of_lading_tenant_id ON bills_of_lading(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_bills_of_lading_manifest_id ON bills_of_lading(manifest_id);
+
+-- Port Call Approvals, Requirements and Impediments (per authority)
+CREATE TABLE IF NOT EXISTS port_call_approvals (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  port_call_id VARCHAR(255) NOT NULL REFERENCES port_calls(id) ON DELETE CASCADE,
+  item_type VARCHAR(20) NOT NULL, -- APPROVAL, REQUIREMENT, IMPEDIMENT
+  authority VARCHAR(100) NOT NULL, -- e.g. ANVISA, Receita Federal, Polícia Federal
+  description TEXT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'OPEN', -- OPEN, CLEARED
+  due_date DATE,
+  traveller_type VARCHAR(20), -- CREW or PASSENGER when the item concerns one traveller
+  traveller_id VARCHAR(255), -- port_call_crew.id or port_call_passengers.id
+  notes TEXT,
+  cleared_date DATE,
+  evidence_reference VARCHAR(255), -- Protocol, certificate or document number proving clearance
+  evidence_notes TEXT,
+  cleared_by VARCHAR(255),
+  created_by VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_port_call_approvals_tenant_id ON port_call_approvals(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_port_call_approvals_port_call_id ON port_call_approvals(port_call_id);
+CREATE INDEX IF NOT EXISTS idx_port_call_approvals_open
+  ON port_call_approvals(tenant_id, due_date) WHERE status = 'OPEN';
+
+-- Port Call Attachments (files in the storage backend)
+CREATE TABLE IF NOT EXISTS attachments (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  port_call_id VARCHAR(255) NOT NULL REFERENCES port_calls(id) ON DELETE CASCADE,
+  file_name VARCHAR(255) NOT NULL, -- Original (sanitized) file name, used for downloads
+  file_type VARCHAR(100) NOT NULL, -- MIME type detected from the content
+  file_size BIGINT NOT NULL, -- Bytes
+  checksum_sha256 VARCHAR(64) NOT NULL,
+  storage_backend VARCHAR(20) NOT NULL, -- local, s3
+  storage_path VARCHAR(500) NOT NULL, -- Object key within the backend
+  thumbnail_path VARCHAR(500), -- PNG/JPEG thumbnail key for images
+  description TEXT,
+  uploaded_by VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_attachments_tenant_id ON attachments(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_attachments_port_call_id ON attachments(port_call_id);
+
+-- Tenant Attachment Settings (allowed types and size per tenant)
+CREATE TABLE IF NOT EXISTS tenant_attachment_settings (
+  tenant_id VARCHAR(255) PRIMARY KEY REFERENCES tenants(id) ON DELETE CASCADE,
+  allowed_types TEXT[], -- MIME types; NULL = every type the server supports
+  max_file_size_mb INTEGER, -- NULL = server maximum (ATTACHMENT_MAX_SIZE_MB)
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Escalas (port call itinerary stops)
+CREATE TABLE IF NOT EXISTS escalas (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  port_call_id VARCHAR(255) NOT NULL REFERENCES port_calls(id) ON DELETE CASCADE,
+  sequence INTEGER NOT NULL, -- Order of the stop in the rotation (1 = first)
+  port_id VARCHAR(255) NOT NULL, -- ports.id (PORT or TERMINAL ops site)
+  terminal VARCHAR(255),
+  planned_eta TIMESTAMP,
+  planned_etd TIMESTAMP,
+  actual_eta TIMESTAMP,
+  actual_etd TIMESTAMP,
+  status VARCHAR(20) NOT NULL DEFAULT 'PLANNED', -- PLANNED, ARRIVED, DEPARTED, SKIPPED
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_escalas_tenant_id ON escalas(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_escalas_port_call_id ON escalas(port_call_id, sequence);
+
+-- Berth Stays (berth allocations per port call; overlapping windows on a berth are conflicts)
+CREATE TABLE IF NOT EXISTS berth_stays (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  port_call_id VARCHAR(255) NOT NULL REFERENCES port_calls(id) ON DELETE CASCADE,
+  escala_id VARCHAR(255) REFERENCES escalas(id) ON DELETE SET NULL,
+  berth_id VARCHAR(255) NOT NULL, -- ports.id of a BERTH ops site
+  pier VARCHAR(100),
+  operation_type VARCHAR(30) NOT NULL DEFAULT 'OTHER', -- LOADING, DISCHARGING, LOADING_DISCHARGING, BUNKERING, REPAIRS, LAY_BY, OTHER
+  start_time TIMESTAMP NOT NULL, -- Planned window
+  end_time TIMESTAMP NOT NULL,
+  actual_start TIMESTAMP,
+  actual_end TIMESTAMP,
+  draft_arrival DECIMAL(5, 2), -- Metres
+  draft_departure DECIMAL(5, 2),
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (end_time > start_time)
+);
+CREATE INDEX IF NOT EXISTS idx_berth_stays_tenant_id ON berth_stays(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_berth_stays_port_call_id ON berth_stays(port_call_id);
+CREATE INDEX IF NOT EXISTS idx_berth_stays_berth_window ON berth_stays(tenant_id, berth_id, start_time, end_time);
+
+-- Statements of Facts (one per port call; locked once signed)
+CREATE TABLE IF NOT EXISTS statements_of_facts (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  port_call_id VARCHAR(255) NOT NULL REFERENCES port_calls(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'DRAFT', -- DRAFT, SIGNED
+  master_name VARCHAR(255),
+  remarks TEXT,
+  signed_by VARCHAR(255), -- users.id
+  signed_by_name VARCHAR(255), -- Signer's name at signing time
+  signed_at TIMESTAMP,
+  signature_hash VARCHAR(64),
+  created_by VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (tenant_id, port_call_id)
+);
+CREATE INDEX IF NOT EXISTS idx_statements_of_facts_tenant_id ON statements_of_facts(tenant_id);
+
+-- SOF Entries (timestamped events and stoppage periods of a statement of facts)
+CREATE TABLE IF NOT EXISTS sof_entries (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  sof_id VARCHAR(255) NOT NULL REFERENCES statements_of_facts(id) ON DELETE CASCADE,
+  event_code VARCHAR(40) NOT NULL, -- NOR_TENDERED, ALL_FAST, COMMENCED_CARGO, WEATHER_STOPPAGE, OTHER, ...
+  description TEXT,
+  start_time TIMESTAMP NOT NULL,
+  end_time TIMESTAMP, -- Periods (stoppages); NULL for point events or an ongoing stoppage
+  remarks TEXT,
+  source VARCHAR(20) NOT NULL DEFAULT 'MANUAL', -- MANUAL, EVENT, PORT_CALL, BERTH_STAY, LOG
+  source_ref VARCHAR(255), -- Origin record of a pre-filled entry
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (end_time IS NULL OR end_time >= start_time),
+  UNIQUE (sof_id, source_ref)
+);
+CREATE INDEX IF NOT EXISTS idx_sof_entries_tenant_id ON sof_entries(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_sof_entries_sof_id ON sof_entries(sof_id, start_time);
+
+-- Laytime Terms Table
+-- Charter-party terms per port call for laytime, demurrage and despatch
+CREATE TABLE IF NOT EXISTS laytime_terms (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  port_call_id VARCHAR(255) NOT NULL REFERENCES port_calls(id) ON DELETE CASCADE,
+  terms VARCHAR(10) NOT NULL DEFAULT 'SHINC', -- SHINC (Sundays/holidays included), SHEX (excepted)
+  allowed_hours NUMERIC(10,2), -- Laytime allowed; when NULL, cargo_quantity / cargo_rate days
+  cargo_quantity NUMERIC(14,3),
+  cargo_rate NUMERIC(14,3), -- Cargo units per day
+  turn_time_hours NUMERIC(6,2) NOT NULL DEFAULT 6, -- After NOR tendered, before laytime counts
+  reversible BOOLEAN NOT NULL DEFAULT FALSE,
+  reversible_port_call_ids JSONB NOT NULL DEFAULT '[]', -- Other calls sharing the allowance
+  weather_excepted BOOLEAN NOT NULL DEFAULT TRUE, -- Weather stoppages do not count
+  stoppages_excepted BOOLEAN NOT NULL DEFAULT TRUE, -- Other stoppages do not count
+  holidays JSONB NOT NULL DEFAULT '[]', -- SHEX: local holidays, ["2026-12-25", ...]
+  currency VARCHAR(10) NOT NULL DEFAULT 'USD',
+  demurrage_rate NUMERIC(14,2) NOT NULL DEFAULT 0, -- Per day, pro rata
+  despatch_rate NUMERIC(14,2), -- Per day of laytime saved; NULL = half the demurrage rate
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (tenant_id, port_call_id)
+);
+CREATE INDEX IF NOT EXISTS idx_laytime_terms_tenant_id ON laytime_terms(tenant_id);
+
+-- Disbursement Accounts (PDA/FDA, one per port call)
+CREATE TABLE IF NOT EXISTS disbursement_accounts (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  port_call_id VARCHAR(255) NOT NULL REFERENCES port_calls(id) ON DELETE CASCADE,
+  status VARCHAR(30) NOT NULL DEFAULT 'PDA_DRAFT', -- PDA_DRAFT, FUNDING_REQUESTED, FDA_DRAFT, FDA_ISSUED
+  currency VARCHAR(10) NOT NULL DEFAULT 'BRL',
+  customer_id VARCHAR(255), -- No FK: customers are not a table yet (see invoices.customer_id)
+  bill_to JSONB, -- Customer billing details, snapshotted with the funding request
+  funding_amount NUMERIC(14,2), -- Amount requested from the customer (defaults to the PDA total)
+  funding_due_at DATE,
+  funding_requested_at TIMESTAMP,
+  funding_requested_by VARCHAR(255),
+  funds_received_amount NUMERIC(14,2) NOT NULL DEFAULT 0,
+  funds_received_at TIMESTAMP,
+  fda_issued_at TIMESTAMP,
+  fda_issued_by VARCHAR(255),
+  notes TEXT,
+  created_by VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (tenant_id, port_call_id)
+);
+CREATE INDEX IF NOT EXISTS idx_disbursement_accounts_tenant_id ON disbursement_accounts(tenant_id);
+
+-- Disbursement Account Lines (estimated vs actual)
+CREATE TABLE IF NOT EXISTS disbursement_account_lines (
+  id VARCHAR(255) PRIMARY KEY,
+  tenant_id VARCHAR(255) NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  account_id VARCHAR(255) NOT NULL REFERENCES disbursement_accounts(id) ON DELETE CASCADE,
+  category VARCHAR(20) NOT NULL DEFAULT 'OTHER', -- PORT_COSTS, SUPPLIERS, AGENCY, OTHER
+  description TEXT NOT NULL,
+  source VARCHAR(20) NOT NULL DEFAULT 'MANUAL', -- MANUAL, TARIFF, FEE, PURCHASE_ORDER
+  tariff_id VARCHAR(255) REFERENCES tariffs(id) ON DELETE SET NULL,
+  fee_id VARCHAR(255) REFERENCES port_call_fees(id) ON DELETE SET NULL,
+  purchase_order_id VARCHAR(255) REFERENCES purchase_orders(id) ON DELETE SET NULL,
+  estimated_amount NUMERIC(14,2) NOT NULL DEFAULT 0, -- PDA; 0 for costs added on the FDA
+  actual_amount NUMERIC(14,2), -- FDA; NULL until known
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_disbursement_account_lines_tenant_id ON disbursement_account_lines(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_disbursement_account_lines_account_id ON disbursement_account_lines(account_id);
 
 -- Audit Logs
 CREATE TABLE IF NOT EXISTS audit_logs (
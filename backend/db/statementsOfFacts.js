@@ -0,0 +1,316 @@
+/**
+ * Database functions for Statements of Facts (SOF) and their entries
+ * Multi-tenant aware - all queries filter by tenant_id
+ *
+ * One statement per port call. Pre-filled entries carry source/source_ref, unique per statement,
+ * so filling again only adds what is new. Validation and signing rules are in services/statementOfFacts.js.
+ */
+
+import crypto from 'crypto';
+import { query } from './connection.js';
+
+export const SOF_STATUSES = ['DRAFT', 'SIGNED'];
+
+// Events in the usual order of a call; stoppages are periods (start and end)
+export const SOF_EVENT_CODES = [
+  'EOSP',
+  'ARRIVED',
+  'NOR_TENDERED',
+  'ANCHORED',
+  'ANCHOR_AWEIGH',
+  'PILOT_ON_BOARD',
+  'FIRST_LINE',
+  'ALL_FAST',
+  'FREE_PRATIQUE',
+  'NOR_ACCEPTED',
+  'HOSES_CONNECTED',
+  'COMMENCED_CARGO',
+  'COMPLETED_CARGO',
+  'HOSES_DISCONNECTED',
+  'DOCUMENTS_ON_BOARD',
+  'LAST_LINE',
+  'SAILED',
+  'WEATHER_STOPPAGE',
+  'STOPPAGE',
+  'OTHER',
+];
+
+export const STOPPAGE_CODES = ['WEATHER_STOPPAGE', 'STOPPAGE'];
+
+export const SOF_SOURCES = ['MANUAL', 'EVENT', 'PORT_CALL', 'BERTH_STAY', 'LOG'];
+
+// API field -> column for the editable fields
+const SOF_COLUMNS = {
+  masterName: 'master_name',
+  remarks: 'remarks',
+};
+
+const ENTRY_COLUMNS = {
+  eventCode: 'event_code',
+  description: 'description',
+  startTime: 'start_time',
+  endTime: 'end_time',
+  remarks: 'remarks',
+};
+
+/**
+ * Validate tenant ID
+ */
+function validateTenantId(tenantId, functionName) {
+  if (!tenantId || typeof tenantId !== 'string') {
+    throw new Error(`${functionName}: tenantId is required and must be a string`);
+  }
+}
+
+/**
+ * Transform database row to API format
+ */
+function transformSofRow(row) {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    tenantId: row.tenant_id,
+    portCallId: row.port_call_id,
+    status: row.status,
+    masterName: row.master_name,
+    remarks: row.remarks,
+    signedBy: row.signed_by,
+    signedByName: row.signed_by_name,
+    signedAt: row.signed_at,
+    signatureHash: row.signature_hash,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function transformEntryRow(row) {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    tenantId: row.tenant_id,
+    sofId: row.sof_id,
+    eventCode: row.event_code,
+    description: row.description,
+    startTime: row.start_time,
+    endTime: row.end_time,
+    remarks: row.remarks,
+    source: row.source,
+    sourceRef: row.source_ref,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Build "SET a = $1, b = $2" for the fields present in updates
+ */
+function buildUpdate(columns, updates) {
+  const fields = [];
+  const values = [];
+  for (const [key, column] of Object.entries(columns)) {
+    if (updates[key] !== undefined) {
+      values.push(updates[key]);
+      fields.push(`${column} = $${values.length}`);
+    }
+  }
+  return { fields, values };
+}
+
+/**
+ * Get a port call's statement of facts
+ * @returns {Promise<Object|null>} Statement (without entries) or null if none was started
+ */
+export async function getStatementOfFacts(tenantId, portCallId) {
+  validateTenantId(tenantId, 'getStatementOfFacts');
+
+  const result = await query(
+    'SELECT * FROM statements_of_facts WHERE tenant_id = $1 AND port_call_id = $2',
+    [tenantId, portCallId]
+  );
+  return transformSofRow(result.rows[0]);
+}
+
+/**
+ * Start a port call's statement of facts (returns the existing one if already started)
+ * @param {Object} data - { portCallId, createdBy? }
+ */
+export async function createStatementOfFacts(tenantId, { portCallId, createdBy = null }) {
+  validateTenantId(tenantId, 'createStatementOfFacts');
+
+  await query(
+    `INSERT INTO statements_of_facts (id, tenant_id, port_call_id, created_by)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (tenant_id, port_call_id) DO NOTHING`,
+    [`sof-${crypto.randomUUID()}`, tenantId, portCallId, createdBy]
+  );
+  return getStatementOfFacts(tenantId, portCallId);
+}
+
+/**
+ * Update the editable header fields of a draft statement
+ * @returns {Promise<Object|null>} Updated statement, or null if not found or not a draft
+ */
+export async function updateStatementOfFacts(sofId, tenantId, updates) {
+  validateTenantId(tenantId, 'updateStatementOfFacts');
+
+  const { fields, values } = buildUpdate(SOF_COLUMNS, updates);
+  values.push(sofId, tenantId);
+  const result = await query(
+    `UPDATE statements_of_facts SET ${[...fields, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+     WHERE id = $${values.length - 1} AND tenant_id = $${values.length} AND status = 'DRAFT'
+     RETURNING *`,
+    values
+  );
+  return transformSofRow(result.rows[0]);
+}
+
+/**
+ * Sign a draft statement
+ * @param {Object} signature - { signedBy, signedByName, signatureHash }
+ * @returns {Promise<Object|null>} Signed statement, or null if it was not a draft (signed concurrently)
+ */
+export async function signStatementOfFacts(sofId, tenantId, { signedBy, signedByName, signatureHash }) {
+  validateTenantId(tenantId, 'signStatementOfFacts');
+
+  const result = await query(
+    `UPDATE statements_of_facts
+     SET status = 'SIGNED', signed_by = $1, signed_by_name = $2, signature_hash = $3,
+       signed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $4 AND tenant_id = $5 AND status = 'DRAFT'
+     RETURNING *`,
+    [signedBy, signedByName, signatureHash, sofId, tenantId]
+  );
+  return transformSofRow(result.rows[0]);
+}
+
+/**
+ * Reopen a signed statement for editing (its signature is removed)
+ * @returns {Promise<Object|null>} Draft statement, or null if it was not signed
+ */
+export async function reopenStatementOfFacts(sofId, tenantId) {
+  validateTenantId(tenantId, 'reopenStatementOfFacts');
+
+  const result = await query(
+    `UPDATE statements_of_facts
+     SET status = 'DRAFT', signed_by = NULL, signed_by_name = NULL, signature_hash = NULL,
+       signed_at = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND tenant_id = $2 AND status = 'SIGNED'
+     RETURNING *`,
+    [sofId, tenantId]
+  );
+  return transformSofRow(result.rows[0]);
+}
+
+/**
+ * Get the entries of a statement
+ * @returns {Promise<Array>} In time order
+ */
+export async function getSofEntries(tenantId, sofId) {
+  validateTenantId(tenantId, 'getSofEntries');
+
+  const result = await query(
+    `SELECT * FROM sof_entries
+     WHERE tenant_id = $1 AND sof_id = $2
+     ORDER BY start_time ASC, created_at ASC`,
+    [tenantId, sofId]
+  );
+  return result.rows.map(transformEntryRow);
+}
+
+/**
+ * Get an entry
+ * SECURITY: Only returns the entry if it belongs to the specified tenant
+ */
+export async function getSofEntryById(entryId, tenantId) {
+  validateTenantId(tenantId, 'getSofEntryById');
+
+  const result = await query('SELECT * FROM sof_entries WHERE id = $1 AND tenant_id = $2', [entryId, tenantId]);
+  return transformEntryRow(result.rows[0]);
+}
+
+/**
+ * Add entries to a statement, skipping those whose sourceRef is already on it
+ * @param {Array<Object>} entries - [{ eventCode, startTime, endTime?, description?, remarks?, source?, sourceRef? }]
+ * @returns {Promise<number>} Number of entries added
+ */
+export async function createSofEntries(tenantId, sofId, entries) {
+  validateTenantId(tenantId, 'createSofEntries');
+
+  let added = 0;
+  for (const entry of entries) {
+    const result = await query(
+      `INSERT INTO sof_entries (id, tenant_id, sof_id, event_code, description, start_time, end_time, remarks, source, source_ref)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       ON CONFLICT (sof_id, source_ref) DO NOTHING`,
+      [
+        `sof-entry-${crypto.randomUUID()}`,
+        tenantId,
+        sofId,
+        entry.eventCode,
+        entry.description ?? null,
+        entry.startTime,
+        entry.endTime ?? null,
+        entry.remarks ?? null,
+        entry.source || 'MANUAL',
+        entry.sourceRef ?? null,
+      ]
+    );
+    added += result.rowCount;
+  }
+  return added;
+}
+
+/**
+ * Add one manual entry
+ * @param {Object} data - { eventCode, startTime, endTime?, description?, remarks? }
+ */
+export async function createSofEntry(tenantId, sofId, data) {
+  validateTenantId(tenantId, 'createSofEntry');
+
+  const id = `sof-entry-${crypto.randomUUID()}`;
+  const keys = Object.keys(ENTRY_COLUMNS);
+  const columns = ['id', 'tenant_id', 'sof_id', ...keys.map((key) => ENTRY_COLUMNS[key])];
+  const values = [id, tenantId, sofId, ...keys.map((key) => data[key] ?? null)];
+
+  await query(
+    `INSERT INTO sof_entries (${columns.join(', ')})
+     VALUES (${columns.map((_, index) => `$${index + 1}`).join(', ')})`,
+    values
+  );
+  return getSofEntryById(id, tenantId);
+}
+
+/**
+ * Update the editable fields of an entry
+ * @returns {Promise<Object|null>} Updated entry or null if not found
+ */
+export async function updateSofEntry(entryId, tenantId, updates) {
+  validateTenantId(tenantId, 'updateSofEntry');
+
+  const { fields, values } = buildUpdate(ENTRY_COLUMNS, updates);
+  if (fields.length === 0) {
+    return getSofEntryById(entryId, tenantId);
+  }
+
+  values.push(entryId, tenantId);
+  const result = await query(
+    `UPDATE sof_entries SET ${[...fields, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+     WHERE id = $${values.length - 1} AND tenant_id = $${values.length}`,
+    values
+  );
+  return result.rowCount > 0 ? getSofEntryById(entryId, tenantId) : null;
+}
+
+/**
+ * Delete an entry
+ * @returns {Promise<boolean>} True if deleted
+ */
+export async function deleteSofEntry(entryId, tenantId) {
+  validateTenantId(tenantId, 'deleteSofEntry');
+
+  const result = await query('DELETE FROM sof_entries WHERE id = $1 AND tenant_id = $2', [entryId, tenantId]);
+  return result.rowCount > 0;
+}
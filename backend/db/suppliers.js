@@ -0,0 +1,162 @@
+/**
+ * Database functions for Suppliers
+ * Multi-tenant aware - all queries filter by tenant_id
+ */
+
+import crypto from 'crypto';
+import { query } from './connection.js';
+
+/**
+ * Validate tenant ID
+ */
+function validateTenantId(tenantId, functionName) {
+  if (!tenantId || typeof tenantId !== 'string') {
+    throw new Error(`${functionName}: tenantId is required and must be a string`);
+  }
+}
+
+/**
+ * Transform database row to API format
+ */
+function transformSupplierRow(row) {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    tenantId: row.tenant_id,
+    name: row.name,
+    contactEmail: row.contact_email,
+    contactPhone: row.contact_phone,
+    taxId: row.tax_id,
+    address: row.address,
+    category: row.category,
+    notes: row.notes,
+    isActive: row.is_active !== false,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+// API field -> column for inserts and partial updates
+const SUPPLIER_COLUMNS = {
+  name: 'name',
+  contactEmail: 'contact_email',
+  contactPhone: 'contact_phone',
+  taxId: 'tax_id',
+  address: 'address',
+  category: 'category',
+  notes: 'notes',
+  isActive: 'is_active',
+};
+
+/**
+ * Get suppliers for a tenant
+ * @param {Object} [options] - { includeInactive }
+ */
+export async function getSuppliers(tenantId, { includeInactive = false } = {}) {
+  validateTenantId(tenantId, 'getSuppliers');
+
+  const result = await query(
+    `SELECT * FROM suppliers
+     WHERE tenant_id = $1 ${includeInactive ? '' : 'AND is_active = TRUE'}
+     ORDER BY name ASC`,
+    [tenantId]
+  );
+  return result.rows.map(transformSupplierRow);
+}
+
+/**
+ * Get a supplier by ID
+ * SECURITY: Only returns the supplier if it belongs to the specified tenant
+ */
+export async function getSupplierById(supplierId, tenantId) {
+  validateTenantId(tenantId, 'getSupplierById');
+
+  const result = await query(
+    'SELECT * FROM suppliers WHERE id = $1 AND tenant_id = $2',
+    [supplierId, tenantId]
+  );
+  return transformSupplierRow(result.rows[0]);
+}
+
+/**
+ * Create a supplier
+ * @param {Object} supplierData - { name, contactEmail, contactPhone, taxId, address, category, notes }
+ */
+export async function createSupplier(tenantId, supplierData) {
+  validateTenantId(tenantId, 'createSupplier');
+
+  const id = `supplier-${crypto.randomUUID()}`;
+  const columns = ['id', 'tenant_id'];
+  const values = [id, tenantId];
+  for (const [key, column] of Object.entries(SUPPLIER_COLUMNS)) {
+    if (supplierData[key] !== undefined) {
+      columns.push(column);
+      values.push(supplierData[key]);
+    }
+  }
+
+  const result = await query(
+    `INSERT INTO suppliers (${columns.join(', ')})
+     VALUES (${values.map((_, i) => `$${i + 1}`).join(', ')})
+     RETURNING *`,
+    values
+  );
+  return transformSupplierRow(result.rows[0]);
+}
+
+/**
+ * Update a supplier (omitted fields are unchanged)
+ * @returns {Promise<Object|null>} Updated supplier, or null if not found in the tenant
+ */
+export async function updateSupplier(supplierId, tenantId, updates) {
+  validateTenantId(tenantId, 'updateSupplier');
+
+  const fields = [];
+  const values = [];
+  for (const [key, column] of Object.entries(SUPPLIER_COLUMNS)) {
+    if (updates[key] !== undefined) {
+      values.push(updates[key]);
+      fields.push(`${column} = $${values.length}`);
+    }
+  }
+  if (fields.length === 0) {
+    return getSupplierById(supplierId, tenantId);
+  }
+
+  values.push(supplierId, tenantId);
+  const result = await query(
+    `UPDATE suppliers SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $${values.length - 1} AND tenant_id = $${values.length}
+     RETURNING *`,
+    values
+  );
+  return transformSupplierRow(result.rows[0]);
+}
+
+/**
+ * Count the purchase orders placed with a supplier
+ */
+export async function countSupplierPurchaseOrders(supplierId, tenantId) {
+  validateTenantId(tenantId, 'countSupplierPurchaseOrders');
+
+  const result = await query(
+    'SELECT COUNT(*)::int AS count FROM purchase_orders WHERE supplier_id = $1 AND tenant_id = $2',
+    [supplierId, tenantId]
+  );
+  return result.rows[0].count;
+}
+
+/**
+ * Delete a supplier
+ * @returns {Promise<boolean>} True if deleted
+ */
+export async function deleteSupplier(supplierId, tenantId) {
+  validateTenantId(tenantId, 'deleteSupplier');
+
+  const result = await query(
+    'DELETE FROM suppliers WHERE id = $1 AND tenant_id = $2',
+    [supplierId, tenantId]
+  );
+  return result.rowCount > 0;
+}
@@ -0,0 +1,280 @@
+/**
+ * Database functions for Tariffs
+ * Multi-tenant aware - all queries filter by tenant_id
+ *
+ * A tariff belongs to an ops site and produces one fee type; its rules live in tariff_rules
+ * and are replaced as a whole on update. Rules are evaluated by services/tariffs.js.
+ */
+
+import crypto from 'crypto';
+import { query, withTransaction } from './connection.js';
+
+export const TARIFF_RULE_TYPES = ['FLAT', 'PER_UNIT', 'BAND'];
+
+// Vessel particulars a rule can be based on
+export const TARIFF_BASES = ['GT', 'NT', 'LOA', 'DRAFT'];
+
+export const TARIFF_TIME_UNITS = ['HOUR', 'DAY'];
+
+const SELECT_TARIFFS = `
+  SELECT t.*, t.valid_from::text AS valid_from_text, t.valid_to::text AS valid_to_text,
+    p.name AS ops_site_name, p.code AS ops_site_code
+  FROM tariffs t
+  LEFT JOIN ports p ON p.id = t.ops_site_id AND p.tenant_id = t.tenant_id`;
+
+/**
+ * Validate tenant ID
+ */
+function validateTenantId(tenantId, functionName) {
+  if (!tenantId || typeof tenantId !== 'string') {
+    throw new Error(`${functionName}: tenantId is required and must be a string`);
+  }
+}
+
+function toNumber(value) {
+  return value === null || value === undefined ? null : parseFloat(value);
+}
+
+/**
+ * Transform database row to API format
+ */
+function transformTariffRow(row) {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    tenantId: row.tenant_id,
+    opsSiteId: row.ops_site_id,
+    opsSiteName: row.ops_site_name || null,
+    opsSiteCode: row.ops_site_code || null,
+    name: row.name,
+    feeType: row.fee_type,
+    currency: row.currency,
+    minimumAmount: toNumber(row.minimum_amount),
+    validFrom: row.valid_from_text ?? null,
+    validTo: row.valid_to_text ?? null,
+    isActive: row.is_active,
+    notes: row.notes,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function transformRuleRow(row) {
+  return {
+    id: row.id,
+    lineNumber: row.line_number,
+    description: row.description,
+    ruleType: row.rule_type,
+    basis: row.basis,
+    rate: toNumber(row.rate),
+    bands: row.bands || null,
+    timeUnit: row.time_unit,
+    freeHours: toNumber(row.free_hours),
+    minimumAmount: toNumber(row.minimum_amount),
+  };
+}
+
+/**
+ * Attach rules to tariffs with one query
+ */
+async function attachRules(tenantId, tariffs) {
+  if (tariffs.length === 0) return tariffs;
+
+  const result = await query(
+    `SELECT * FROM tariff_rules
+     WHERE tenant_id = $1 AND tariff_id = ANY($2)
+     ORDER BY line_number ASC`,
+    [tenantId, tariffs.map((tariff) => tariff.id)]
+  );
+  for (const tariff of tariffs) {
+    tariff.rules = result.rows.filter((row) => row.tariff_id === tariff.id).map(transformRuleRow);
+  }
+  return tariffs;
+}
+
+async function insertRules(client, tenantId, tariffId, rules) {
+  for (const [index, rule] of rules.entries()) {
+    await client.query(
+      `INSERT INTO tariff_rules (
+        id, tenant_id, tariff_id, line_number, description, rule_type, basis, rate, bands,
+        time_unit, free_hours, minimum_amount
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+      [
+        `tr-${crypto.randomUUID()}`,
+        tenantId,
+        tariffId,
+        index + 1,
+        rule.description,
+        rule.ruleType,
+        rule.basis || null,
+        rule.rate ?? null,
+        rule.bands ? JSON.stringify(rule.bands) : null,
+        rule.timeUnit || null,
+        rule.freeHours || 0,
+        rule.minimumAmount ?? null,
+      ]
+    );
+  }
+}
+
+/**
+ * Get tariffs for a tenant with their rules
+ * @param {Object} [filters] - { opsSiteId, feeType, includeInactive }
+ * @returns {Promise<Array>} Ordered by ops site, fee type and validity
+ */
+export async function getTariffs(tenantId, filters = {}) {
+  validateTenantId(tenantId, 'getTariffs');
+
+  const conditions = ['t.tenant_id = $1'];
+  const values = [tenantId];
+  const columns = { opsSiteId: 't.ops_site_id', feeType: 't.fee_type' };
+  for (const [key, column] of Object.entries(columns)) {
+    if (filters[key]) {
+      values.push(filters[key]);
+      conditions.push(`${column} = $${values.length}`);
+    }
+  }
+  if (!filters.includeInactive) {
+    conditions.push('t.is_active = TRUE');
+  }
+
+  const result = await query(
+    `${SELECT_TARIFFS}
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY p.name ASC, t.fee_type ASC, t.valid_from DESC NULLS LAST`,
+    values
+  );
+  return attachRules(tenantId, result.rows.map(transformTariffRow));
+}
+
+/**
+ * Get a tariff with its rules
+ * SECURITY: Only returns the tariff if it belongs to the specified tenant
+ */
+export async function getTariffById(tariffId, tenantId) {
+  validateTenantId(tenantId, 'getTariffById');
+
+  const result = await query(
+    `${SELECT_TARIFFS}
+     WHERE t.id = $1 AND t.tenant_id = $2`,
+    [tariffId, tenantId]
+  );
+  const tariff = transformTariffRow(result.rows[0]);
+  if (!tariff) return null;
+
+  const [withRules] = await attachRules(tenantId, [tariff]);
+  return withRules;
+}
+
+/**
+ * Get the active tariffs of some ops sites that are valid on a date
+ * @param {Array<string>} opsSiteIds - Ops site IDs (e.g. a berth and its parent port)
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<Array>} Tariffs with rules, most recent validity first
+ */
+export async function getApplicableTariffs(tenantId, opsSiteIds, date) {
+  validateTenantId(tenantId, 'getApplicableTariffs');
+
+  const result = await query(
+    `${SELECT_TARIFFS}
+     WHERE t.tenant_id = $1 AND t.ops_site_id = ANY($2) AND t.is_active = TRUE
+       AND (t.valid_from IS NULL OR t.valid_from <= $3)
+       AND (t.valid_to IS NULL OR t.valid_to >= $3)
+     ORDER BY t.valid_from DESC NULLS LAST, t.created_at DESC`,
+    [tenantId, opsSiteIds, date]
+  );
+  return attachRules(tenantId, result.rows.map(transformTariffRow));
+}
+
+/**
+ * Create a tariff with its rules
+ * @param {Object} data - { opsSiteId, name, feeType, currency, minimumAmount, validFrom, validTo, isActive, notes }
+ * @param {Array<Object>} rules - Validated rules (see services/tariffs.js)
+ */
+export async function createTariff(tenantId, data, rules) {
+  validateTenantId(tenantId, 'createTariff');
+
+  const id = `tariff-${crypto.randomUUID()}`;
+  await withTransaction(async (client) => {
+    await client.query(
+      `INSERT INTO tariffs (
+        id, tenant_id, ops_site_id, name, fee_type, currency, minimum_amount, valid_from, valid_to,
+        is_active, notes
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+      [
+        id,
+        tenantId,
+        data.opsSiteId,
+        data.name,
+        data.feeType,
+        data.currency || 'BRL',
+        data.minimumAmount ?? null,
+        data.validFrom || null,
+        data.validTo || null,
+        data.isActive !== false,
+        data.notes || null,
+      ]
+    );
+    await insertRules(client, tenantId, id, rules);
+  });
+
+  return getTariffById(id, tenantId);
+}
+
+/**
+ * Update a tariff; rules, when given, replace all existing rules
+ * @returns {Promise<Object|null>} Updated tariff or null if not found
+ */
+export async function updateTariff(tariffId, tenantId, updates, rules) {
+  validateTenantId(tenantId, 'updateTariff');
+
+  const fields = [];
+  const values = [];
+  const columns = {
+    opsSiteId: 'ops_site_id',
+    name: 'name',
+    feeType: 'fee_type',
+    currency: 'currency',
+    minimumAmount: 'minimum_amount',
+    validFrom: 'valid_from',
+    validTo: 'valid_to',
+    isActive: 'is_active',
+    notes: 'notes',
+  };
+  for (const [key, column] of Object.entries(columns)) {
+    if (updates[key] !== undefined) {
+      values.push(updates[key]);
+      fields.push(`${column} = $${values.length}`);
+    }
+  }
+
+  const updated = await withTransaction(async (client) => {
+    values.push(tariffId, tenantId);
+    const result = await client.query(
+      `UPDATE tariffs SET ${[...fields, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+       WHERE id = $${values.length - 1} AND tenant_id = $${values.length}`,
+      values
+    );
+    if (result.rowCount === 0) return false;
+
+    if (rules) {
+      await client.query('DELETE FROM tariff_rules WHERE tariff_id = $1 AND tenant_id = $2', [tariffId, tenantId]);
+      await insertRules(client, tenantId, tariffId, rules);
+    }
+    return true;
+  });
+
+  return updated ? getTariffById(tariffId, tenantId) : null;
+}
+
+/**
+ * Delete a tariff (fees estimated from it keep their breakdown)
+ * @returns {Promise<boolean>} True if deleted
+ */
+export async function deleteTariff(tariffId, tenantId) {
+  validateTenantId(tenantId, 'deleteTariff');
+
+  const result = await query('DELETE FROM tariffs WHERE id = $1 AND tenant_id = $2', [tariffId, tenantId]);
+  return result.rowCount > 0;
+}
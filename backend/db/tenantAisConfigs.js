@@ -0,0 +1,106 @@
+/**
+ * Database functions for Tenant AIS Configurations
+ * Provider selection, encrypted provider API keys and polling settings, one row per tenant.
+ * Keys are encrypted/decrypted by services/aisConfig.js - this module only stores ciphertext.
+ * Multi-tenant aware - all queries filter by tenant_id
+ */
+
+import { query } from './connection.js';
+
+// Column -> API field for values set through upsertTenantAisConfig
+const CONFIG_FIELDS = {
+  provider: 'provider',
+  api_key_encrypted: 'apiKeyEncrypted',
+  secret_key_encrypted: 'secretKeyEncrypted',
+  key_rotated_at: 'keyRotatedAt',
+  poll_frequency_minutes: 'pollFrequencyMinutes',
+  daily_call_budget: 'dailyCallBudget',
+};
+
+/**
+ * Validate tenant ID
+ */
+function validateTenantId(tenantId, functionName) {
+  if (!tenantId || typeof tenantId !== 'string') {
+    throw new Error(`${functionName}: tenantId is required and must be a string`);
+  }
+}
+
+/**
+ * Transform database row to API format
+ */
+function transformConfigRow(row) {
+  if (!row) return null;
+
+  return {
+    tenantId: row.tenant_id,
+    provider: row.provider,
+    apiKeyEncrypted: row.api_key_encrypted,
+    secretKeyEncrypted: row.secret_key_encrypted,
+    keyRotatedAt: row.key_rotated_at,
+    pollFrequencyMinutes: row.poll_frequency_minutes,
+    dailyCallBudget: row.daily_call_budget,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Get every tenant's AIS configuration
+ * SYSTEM: Spans all tenants - for loading the in-memory config cache at startup only.
+ * @returns {Promise<Array>} Configurations
+ */
+export async function getAllTenantAisConfigs() {
+  const result = await query('SELECT * FROM tenant_ais_configs ORDER BY tenant_id ASC');
+  return result.rows.map(transformConfigRow);
+}
+
+/**
+ * Get a tenant's AIS configuration
+ * @param {string} tenantId - Tenant ID
+ * @returns {Promise<Object|null>} Configuration or null
+ */
+export async function getTenantAisConfig(tenantId) {
+  validateTenantId(tenantId, 'getTenantAisConfig');
+
+  const result = await query('SELECT * FROM tenant_ais_configs WHERE tenant_id = $1', [tenantId]);
+  return transformConfigRow(result.rows[0]);
+}
+
+/**
+ * Create or replace a tenant's AIS configuration
+ * @param {string} tenantId - Tenant ID
+ * @param {Object} config - provider, apiKeyEncrypted, secretKeyEncrypted, keyRotatedAt,
+ *   pollFrequencyMinutes, dailyCallBudget (missing fields are stored as NULL)
+ * @returns {Promise<Object>} Stored configuration
+ */
+export async function upsertTenantAisConfig(tenantId, config) {
+  validateTenantId(tenantId, 'upsertTenantAisConfig');
+
+  const columns = Object.keys(CONFIG_FIELDS);
+  const values = columns.map((column) => config[CONFIG_FIELDS[column]] ?? null);
+
+  const result = await query(
+    `INSERT INTO tenant_ais_configs (tenant_id, ${columns.join(', ')}, created_at, updated_at)
+     VALUES ($1, ${columns.map((_, i) => `$${i + 2}`).join(', ')}, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+     ON CONFLICT (tenant_id) DO UPDATE SET
+       ${columns.map((column) => `${column} = EXCLUDED.${column}`).join(',\n       ')},
+       updated_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    [tenantId, ...values]
+  );
+
+  return transformConfigRow(result.rows[0]);
+}
+
+/**
+ * Delete a tenant's AIS configuration (back to server defaults)
+ * @param {string} tenantId - Tenant ID
+ * @returns {Promise<boolean>} True if deleted
+ */
+export async function deleteTenantAisConfig(tenantId) {
+  validateTenantId(tenantId, 'deleteTenantAisConfig');
+
+  const result = await query('DELETE FROM tenant_ais_configs WHERE tenant_id = $1', [tenantId]);
+  return result.rowCount > 0;
+}
@@ -0,0 +1,33 @@
+/**
+ * Database functions for Tenants
+ */
+
+import { query } from './connection.js';
+
+/**
+ * Get all tenant IDs
+ * SYSTEM: Spans all tenants - for background jobs only, never for request handlers.
+ * @returns {Promise<Array<string>>} Tenant IDs
+ */
+export async function getAllTenantIds() {
+  const result = await query('SELECT id FROM tenants ORDER BY id ASC');
+  return result.rows.map((row) => row.id);
+}
+
+/**
+ * Get a tenant by ID
+ * @returns {Promise<Object|null>} { id, name, slug, defaultLocale, defaultCountryCode }
+ */
+export async function getTenantById(tenantId) {
+  const result = await query('SELECT * FROM tenants WHERE id = $1', [tenantId]);
+  const row = result.rows[0];
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    name: row.name,
+    slug: row.slug,
+    defaultLocale: row.default_locale,
+    defaultCountryCode: row.default_country_code,
+  };
+}
@@ -0,0 +1,234 @@
+/**
+ * Database functions for port call crew and passenger lists
+ * Multi-tenant aware - all queries filter by tenant_id
+ *
+ * Crew (port_call_crew) and passengers (port_call_passengers) share the identity and travel
+ * document columns; each list adds its own (rank and sign on/off for crew, ports of
+ * embarkation/disembarkation and transit for passengers). Functions take the traveller type
+ * ('CREW' or 'PASSENGER') and pick the table and columns from TRAVELLER_TABLES.
+ */
+
+import crypto from 'crypto';
+import { query, withTransaction } from './connection.js';
+
+export const TRAVELLER_TYPES = ['CREW', 'PASSENGER'];
+
+export const DOCUMENT_TYPES = ['PASSPORT', 'SEAFARER_ID', 'NATIONAL_ID', 'OTHER'];
+
+// Crew status relative to this port call: joining here, leaving here, or staying on board
+export const CREW_STATUSES = ['ON_BOARD', 'SIGN_ON', 'SIGN_OFF'];
+
+export const PASSENGER_STATUSES = ['ON_BOARD', 'DISEMBARKED', 'CANCELLED'];
+
+// API field -> column, shared by both lists
+const COMMON_COLUMNS = {
+  familyName: 'family_name',
+  givenNames: 'given_names',
+  nationality: 'nationality',
+  dateOfBirth: 'date_of_birth',
+  placeOfBirth: 'place_of_birth',
+  documentType: 'document_type',
+  documentNumber: 'document_number',
+  documentIssuingState: 'document_issuing_state',
+  documentExpiry: 'document_expiry',
+  notes: 'notes',
+};
+
+const TRAVELLER_TABLES = {
+  CREW: {
+    table: 'port_call_crew',
+    idPrefix: 'crew',
+    columns: { ...COMMON_COLUMNS, rank: 'rank', onBoardStatus: 'on_board_status' },
+  },
+  PASSENGER: {
+    table: 'port_call_passengers',
+    idPrefix: 'pax',
+    columns: {
+      ...COMMON_COLUMNS,
+      embarkPort: 'embark_port',
+      disembarkPort: 'disembark_port',
+      isTransit: 'is_transit',
+      cabin: 'cabin',
+      status: 'status',
+    },
+  },
+};
+
+// DATE columns are read as text so a birth date never shifts with the server time zone
+const DATE_COLUMNS = ['date_of_birth', 'document_expiry'];
+
+/**
+ * Validate tenant ID
+ */
+function validateTenantId(tenantId, functionName) {
+  if (!tenantId || typeof tenantId !== 'string') {
+    throw new Error(`${functionName}: tenantId is required and must be a string`);
+  }
+}
+
+function getConfig(type) {
+  const config = TRAVELLER_TABLES[type];
+  if (!config) {
+    throw new Error(`Unknown traveller type: ${type}`);
+  }
+  return config;
+}
+
+function selectColumns(config) {
+  const dates = DATE_COLUMNS.map((column) => `${column}::text AS ${column}_text`).join(', ');
+  return `SELECT *, ${dates} FROM ${config.table}`;
+}
+
+/**
+ * Transform database row to API format
+ */
+function transformTravellerRow(row, config) {
+  if (!row) return null;
+
+  const traveller = {
+    id: row.id,
+    tenantId: row.tenant_id,
+    portCallId: row.port_call_id,
+  };
+  for (const [key, column] of Object.entries(config.columns)) {
+    traveller[key] = DATE_COLUMNS.includes(column) ? row[`${column}_text`] ?? null : row[column];
+  }
+  traveller.nationality = row.nationality?.trim() || null;
+  traveller.documentIssuingState = row.document_issuing_state?.trim() || null;
+  traveller.fullName = [row.given_names, row.family_name].filter(Boolean).join(' ');
+  traveller.createdAt = row.created_at;
+  traveller.updatedAt = row.updated_at;
+  return traveller;
+}
+
+/**
+ * Get a port call's crew or passenger list
+ * @param {string} type - 'CREW' or 'PASSENGER'
+ * @returns {Promise<Array>} Ordered by family name
+ */
+export async function getTravellers(tenantId, type, portCallId) {
+  validateTenantId(tenantId, 'getTravellers');
+  const config = getConfig(type);
+
+  const result = await query(
+    `${selectColumns(config)}
+     WHERE tenant_id = $1 AND port_call_id = $2
+     ORDER BY family_name ASC, given_names ASC NULLS FIRST, created_at ASC`,
+    [tenantId, portCallId]
+  );
+  return result.rows.map((row) => transformTravellerRow(row, config));
+}
+
+/**
+ * Get a crew member or passenger
+ * SECURITY: Only returns the traveller if it belongs to the specified tenant
+ */
+export async function getTravellerById(type, travellerId, tenantId) {
+  validateTenantId(tenantId, 'getTravellerById');
+  const config = getConfig(type);
+
+  const result = await query(
+    `${selectColumns(config)} WHERE id = $1 AND tenant_id = $2`,
+    [travellerId, tenantId]
+  );
+  return transformTravellerRow(result.rows[0], config);
+}
+
+/**
+ * Insert travellers with one statement per row inside the caller's transaction
+ */
+async function insertTravellers(client, config, tenantId, portCallId, travellers) {
+  const keys = Object.keys(config.columns);
+  const columns = ['id', 'tenant_id', 'port_call_id', ...keys.map((key) => config.columns[key])];
+  const placeholders = columns.map((_, index) => `$${index + 1}`).join(', ');
+
+  const ids = [];
+  for (const traveller of travellers) {
+    const id = `${config.idPrefix}-${crypto.randomUUID()}`;
+    await client.query(
+      `INSERT INTO ${config.table} (${columns.join(', ')}) VALUES (${placeholders})`,
+      [id, tenantId, portCallId, ...keys.map((key) => traveller[key] ?? null)]
+    );
+    ids.push(id);
+  }
+  return ids;
+}
+
+/**
+ * Add a crew member or passenger to a port call
+ * @param {Object} data - Validated fields (see services/travellers.js)
+ */
+export async function createTraveller(type, tenantId, portCallId, data) {
+  validateTenantId(tenantId, 'createTraveller');
+  const config = getConfig(type);
+
+  const [id] = await withTransaction((client) => insertTravellers(client, config, tenantId, portCallId, [data]));
+  return getTravellerById(type, id, tenantId);
+}
+
+/**
+ * Add several travellers at once, optionally replacing the current list (imports)
+ * @param {Array<Object>} travellers - Validated rows
+ * @param {Object} [options]
+ * @param {boolean} [options.replace] - Delete the existing list first
+ * @returns {Promise<number>} Number of rows inserted
+ */
+export async function importTravellers(type, tenantId, portCallId, travellers, { replace = false } = {}) {
+  validateTenantId(tenantId, 'importTravellers');
+  const config = getConfig(type);
+
+  const ids = await withTransaction(async (client) => {
+    if (replace) {
+      await client.query(
+        `DELETE FROM ${config.table} WHERE tenant_id = $1 AND port_call_id = $2`,
+        [tenantId, portCallId]
+      );
+    }
+    return insertTravellers(client, config, tenantId, portCallId, travellers);
+  });
+  return ids.length;
+}
+
+/**
+ * Update a crew member or passenger
+ * @returns {Promise<Object|null>} Updated traveller or null if not found
+ */
+export async function updateTraveller(type, travellerId, tenantId, updates) {
+  validateTenantId(tenantId, 'updateTraveller');
+  const config = getConfig(type);
+
+  const fields = [];
+  const values = [];
+  for (const [key, column] of Object.entries(config.columns)) {
+    if (updates[key] !== undefined) {
+      values.push(updates[key]);
+      fields.push(`${column} = $${values.length}`);
+    }
+  }
+  if (fields.length === 0) {
+    return getTravellerById(type, travellerId, tenantId);
+  }
+
+  values.push(travellerId, tenantId);
+  const result = await query(
+    `UPDATE ${config.table} SET ${[...fields, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+     WHERE id = $${values.length - 1} AND tenant_id = $${values.length}`,
+    values
+  );
+  return result.rowCount > 0 ? getTravellerById(type, travellerId, tenantId) : null;
+}
+
+/**
+ * Remove a crew member or passenger
+ * @returns {Promise<boolean>} True if deleted
+ */
+export async function deleteTraveller(type, travellerId, tenantId) {
+  validateTenantId(tenantId, 'deleteTraveller');
+  const config = getConfig(type);
+
+  const result = await query(
+    `DELETE FROM ${config.table} WHERE id = $1 AND tenant_id = $2`,
+    [travellerId, tenantId]
+  );
+  return result.rowCount > 0;
+}
@@ -0,0 +1,226 @@
+/**
+ * Database functions for Users
+ * Multi-tenant aware - all queries filter by tenant_id, except the login lookup by email
+ * (emails are unique across tenants).
+ *
+ * Password hashes never leave this module: user objects returned to callers omit them, except
+ * getUserForLogin which returns passwordHash for bcrypt comparison.
+ */
+
+import { query } from './connection.js';
+
+export const USER_ROLES = ['ADMIN', 'OPERATOR', 'VIEWER'];
+
+/**
+ * Validate tenant ID
+ */
+function validateTenantId(tenantId, functionName) {
+  if (!tenantId || typeof tenantId !== 'string') {
+    throw new Error(`${functionName}: tenantId is required and must be a string`);
+  }
+}
+
+/**
+ * True when no database is configured (local dev on mock data) - callers then use the mock users.
+ * SECURITY: Decided by configuration only, never by a runtime database error, so an outage cannot
+ * turn the demo accounts on
+ */
+function useMockUsers() {
+  return !process.env.DATABASE_URL;
+}
+
+/**
+ * Transform database row to API format
+ */
+function transformUserRow(row) {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    tenantId: row.tenant_id,
+    email: row.email,
+    name: row.name,
+    role: row.role,
+    isActive: row.is_active !== false,
+    lastLoginAt: row.last_login_at,
+    invitedBy: row.invited_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Mock users in the same shape
+ */
+async function getMockUserRows() {
+  const { getMockUsers } = await import('../data/mockData.js');
+  return getMockUsers().map((user) => ({ isActive: true, ...user }));
+}
+
+/**
+ * Get a user with password hash and tenant by email, for login
+ * SYSTEM: Spans all tenants (email is globally unique) - for the login route only.
+ * @returns {Promise<Object|null>} User with passwordHash and tenant, or null
+ */
+export async function getUserForLogin(email) {
+  if (useMockUsers()) {
+    const users = await getMockUserRows();
+    return users.find((user) => user.email.toLowerCase() === String(email).toLowerCase()) || null;
+  }
+
+  const result = await query(
+      `SELECT u.*, t.name AS tenant_name, t.slug AS tenant_slug,
+              t.default_country_code AS tenant_default_country_code, t.default_locale AS tenant_default_locale
+       FROM users u
+       JOIN tenants t ON t.id = u.tenant_id
+       WHERE LOWER(u.email) = LOWER($1)`,
+      [email]
+    );
+  const row = result.rows[0];
+  if (!row) return null;
+
+  return {
+    ...transformUserRow(row),
+    passwordHash: row.password_hash,
+    tenant: {
+      id: row.tenant_id,
+      name: row.tenant_name,
+      slug: row.tenant_slug,
+      defaultCountryCode: row.tenant_default_country_code,
+      defaultLocale: row.tenant_default_locale,
+    },
+  };
+}
+
+/**
+ * Get all users for a tenant
+ */
+export async function getUsers(tenantId) {
+  validateTenantId(tenantId, 'getUsers');
+
+  if (useMockUsers()) {
+    const users = await getMockUserRows();
+    return users
+      .filter((user) => user.tenantId === tenantId)
+      .map(({ passwordHash, password, tenant, ...user }) => user);
+  }
+
+  const result = await query(
+    'SELECT * FROM users WHERE tenant_id = $1 ORDER BY is_active DESC, name ASC',
+    [tenantId]
+  );
+  return result.rows.map(transformUserRow);
+}
+
+/**
+ * Get a user by ID
+ * SECURITY: Only returns the user if it belongs to the specified tenant
+ */
+export async function getUserById(userId, tenantId) {
+  validateTenantId(tenantId, 'getUserById');
+
+  if (useMockUsers()) {
+    const user = (await getMockUserRows()).find((u) => u.id === userId && u.tenantId === tenantId);
+    if (!user) return null;
+    const { passwordHash, password, tenant, ...rest } = user;
+    return rest;
+  }
+
+  const result = await query(
+    'SELECT * FROM users WHERE id = $1 AND tenant_id = $2',
+    [userId, tenantId]
+  );
+  return transformUserRow(result.rows[0]);
+}
+
+/**
+ * Create a user
+ * @param {string} tenantId
+ * @param {Object} userData - { email, name, role, passwordHash, invitedBy }
+ * @throws pg unique violation (code 23505) if the email is already registered
+ */
+export async function createUser(tenantId, { email, name, role, passwordHash, invitedBy = null }) {
+  validateTenantId(tenantId, 'createUser');
+
+  const id = `user-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  const result = await query(
+    `INSERT INTO users (id, tenant_id, email, password_hash, name, role, invited_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [id, tenantId, email.trim().toLowerCase(), passwordHash, name.trim(), role, invitedBy]
+  );
+  return transformUserRow(result.rows[0]);
+}
+
+/**
+ * Update a user's name, role or active flag
+ * @param {Object} updates - { name, role, isActive } (omitted fields are unchanged)
+ * @returns {Promise<Object|null>} Updated user, or null if not found in the tenant
+ */
+export async function updateUser(userId, tenantId, updates) {
+  validateTenantId(tenantId, 'updateUser');
+
+  const fields = [];
+  const values = [];
+  const columns = { name: 'name', role: 'role', isActive: 'is_active' };
+  for (const [key, column] of Object.entries(columns)) {
+    if (updates[key] !== undefined) {
+      values.push(updates[key]);
+      fields.push(`${column} = $${values.length}`);
+    }
+  }
+  if (fields.length === 0) {
+    return getUserById(userId, tenantId);
+  }
+
+  values.push(userId, tenantId);
+  const result = await query(
+    `UPDATE users SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $${values.length - 1} AND tenant_id = $${values.length}
+     RETURNING *`,
+    values
+  );
+  return transformUserRow(result.rows[0]);
+}
+
+/**
+ * Set a user's password hash
+ * @returns {Promise<boolean>} True if the user was found in the tenant
+ */
+export async function setUserPasswordHash(userId, tenantId, passwordHash) {
+  validateTenantId(tenantId, 'setUserPasswordHash');
+
+  const result = await query(
+    `UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2 AND tenant_id = $3`,
+    [passwordHash, userId, tenantId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Record a successful login
+ */
+export async function recordUserLogin(userId, tenantId) {
+  validateTenantId(tenantId, 'recordUserLogin');
+
+  if (useMockUsers()) return;
+
+  await query(
+    'UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1 AND tenant_id = $2',
+    [userId, tenantId]
+  );
+}
+
+/**
+ * Count active admins in a tenant (a tenant must keep at least one)
+ */
+export async function countActiveAdmins(tenantId) {
+  validateTenantId(tenantId, 'countActiveAdmins');
+
+  const result = await query(
+    "SELECT COUNT(*)::int AS count FROM users WHERE tenant_id = $1 AND role = 'ADMIN' AND is_active = TRUE",
+    [tenantId]
+  );
+  return result.rows[0].count;
+}
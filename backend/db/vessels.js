@@ -7,6 +7,7 @@
  */
 
 import { query, getClient } from './connection.js';
+import { publishLiveEvent, LIVE_EVENT_TYPES } from '../services/liveEvents.js';
 
 /**
  * Validate tenant ID is provided (security check)
@@ -401,6 +402,16 @@ export async function storePositionHistory(vesselId, tenantId, positionData) {
   
   try {
     const positionId = `pos-${vesselId}-${Date.now()}`;
+    const position = {
+      lat: positionData.lat || positionData.Lat || positionData.latitude,
+      lon: positionData.lon || positionData.Lon || positionData.longitude,
+      timestamp: positionData.timestamp || new Date().toISOString(),
+      sog: positionData.sog || positionData.speed || null,
+      cog: positionData.cog || positionData.course || null,
+      heading: positionData.heading || null,
+      navStatus: positionData.navStatus || positionData.status || null,
+      source: positionData.source || 'ais',
+    };
     
     await query(
       `INSERT INTO vessel_position_history (
@@ -411,17 +422,25 @@ export async function storePositionHistory(vesselId, tenantId, positionData) {
         positionId,
         vesselId,
         tenantId,
-        positionData.lat || positionData.Lat || positionData.latitude,
-        positionData.lon || positionData.Lon || positionData.longitude,
-        positionData.timestamp || new Date().toISOString(),
-        positionData.sog || positionData.speed || null,
-        positionData.cog || positionData.course || null,
-        positionData.heading || null,
-        positionData.navStatus || positionData.status || null,
-        positionData.source || 'ais',
+        position.lat,
+        position.lon,
+        position.timestamp,
+        position.sog,
+        position.cog,
+        position.heading,
+        position.navStatus,
+        position.source,
       ]
     );
     
+    publishLiveEvent(tenantId, LIVE_EVENT_TYPES.POSITION, {
+      id: positionId,
+      vesselId,
+      ...position,
+      lat: Number(position.lat),
+      lon: Number(position.lon),
+    });
+    
     // Keep only last 1000 records per vessel (cleanup old records)
     await query(
       `DELETE FROM vessel_position_history 
@@ -444,6 +463,26 @@ export async function storePositionHistory(vesselId, tenantId, positionData) {
   }
 }
 
+/**
+ * Transform a vessel_position_history row to camelCase
+ */
+function transformPositionRow(row) {
+  return {
+    id: row.id,
+    vesselId: row.vessel_id,
+    tenantId: row.tenant_id,
+    lat: parseFloat(row.lat),
+    lon: parseFloat(row.lon),
+    timestamp: row.timestamp,
+    sog: row.sog ? parseFloat(row.sog) : null,
+    cog: row.cog ? parseFloat(row.cog) : null,
+    heading: row.heading ? parseFloat(row.heading) : null,
+    navStatus: row.nav_status,
+    source: row.source,
+    createdAt: row.created_at,
+  };
+}
+
 /**
  * Get vessel position history
  * SECURITY: Only returns position history for the specified tenant
@@ -465,20 +504,7 @@ export async function getPositionHistory(vesselId, tenantId, limit = 100) {
       [vesselId, tenantId, limit]
     );
     // Transform database column names to camelCase
-    return result.rows.map(row => ({
-      id: row.id,
-      vesselId: row.vessel_id,
-      tenantId: row.tenant_id,
-      lat: parseFloat(row.lat),
-      lon: parseFloat(row.lon),
-      timestamp: row.timestamp,
-      sog: row.sog ? parseFloat(row.sog) : null,
-      cog: row.cog ? parseFloat(row.cog) : null,
-      heading: row.heading ? parseFloat(row.heading) : null,
-      navStatus: row.nav_status,
-      source: row.source,
-      createdAt: row.created_at,
-    }));
+    return result.rows.map(transformPositionRow);
   } catch (error) {
     console.error('Error fetching position history from database:', error);
     // Fallback to mock data
@@ -530,3 +556,76 @@ export async function getLatestPosition(vesselId, tenantId) {
   }
 }
 
+/**
+ * Get the position recorded for a vessel just before a given timestamp
+ * SECURITY: Only returns position for the specified tenant
+ */
+export async function getPreviousPosition(vesselId, tenantId, beforeTimestamp) {
+  validateTenantId(tenantId, 'getPreviousPosition');
+
+  const result = await query(
+    `SELECT * FROM vessel_position_history 
+     WHERE vessel_id = $1 AND tenant_id = $2 AND timestamp < $3
+     ORDER BY timestamp DESC 
+     LIMIT 1`,
+    [vesselId, tenantId, beforeTimestamp]
+  );
+
+  return result.rows.length > 0 ? transformPositionRow(result.rows[0]) : null;
+}
+
+/**
+ * Get position history rows not yet evaluated against ops site geofences, oldest first
+ * SYSTEM: Spans all tenants - for the port call event detection job only, never for request handlers.
+ * Each returned row carries its own tenantId, which must be used for all follow-up queries.
+ */
+export async function getPendingGeofencePositions(limit = 500) {
+  const result = await query(
+    `SELECT * FROM vessel_position_history 
+     WHERE geofence_evaluated_at IS NULL 
+     ORDER BY timestamp ASC 
+     LIMIT $1`,
+    [limit]
+  );
+
+  return result.rows.map(transformPositionRow);
+}
+
+/**
+ * Mark position history rows as evaluated by the geofence detection job
+ * SYSTEM: Rows are addressed by primary key, as returned by getPendingGeofencePositions
+ */
+export async function markPositionsGeofenceEvaluated(positionIds) {
+  if (!positionIds || positionIds.length === 0) {
+    return 0;
+  }
+
+  const result = await query(
+    `UPDATE vessel_position_history 
+     SET geofence_evaluated_at = CURRENT_TIMESTAMP 
+     WHERE id = ANY($1)`,
+    [positionIds]
+  );
+
+  return result.rowCount;
+}
+
+/**
+ * Get every vessel with an MMSI, across tenants (for the AISStream ingestion worker)
+ * SYSTEM: Spans all tenants - for background jobs only, never for request handlers.
+ * The same MMSI may be tracked by several tenants; each row carries its own tenantId.
+ * @returns {Promise<Array<{id: string, tenantId: string, mmsi: string}>>}
+ */
+export async function getAisTrackedVessels() {
+  const result = await query(
+    `SELECT id, tenant_id, mmsi FROM vessels 
+     WHERE mmsi IS NOT NULL AND mmsi <> '' 
+     ORDER BY tenant_id ASC, id ASC`
+  );
+
+  return result.rows.map((row) => ({
+    id: row.id,
+    tenantId: row.tenant_id,
+    mmsi: String(row.mmsi).trim(),
+  }));
+}
@@ -0,0 +1,229 @@
+/**
+ * AIS Position Poller (background job)
+ * Polls fetchLatestPosition for each tenant's vessels at the tenant's pollFrequencyMinutes
+ * (TenantAisConfig) and stores results via storePositionHistory, where the port call
+ * event detector picks them up.
+ *
+ * Every provider call is reserved against the tenant's daily call budget first
+ * (db/aisUsage.js); once the budget is spent the tenant is skipped until the next UTC day.
+ * Vessels with open port calls are polled first so the budget goes where it matters.
+ * Each tenant is polled through its own provider (getProvider(tenantId)).
+ */
+
+import * as tenantsDb from '../db/tenants.js';
+import * as vesselDb from '../db/vessels.js';
+import * as portCallsDb from '../db/portCalls.js';
+import * as aisUsageDb from '../db/aisUsage.js';
+import { fetchLatestPosition, getProvider, getProviderName } from '../services/ais/index.js';
+import { getAisConfig, getAisPollingSettings } from '../services/aisConfig.js';
+
+// How often the scheduler checks whether any tenant is due
+const TICK_INTERVAL_MS = 60 * 1000;
+
+// Provider errors that will fail for every vessel - stop the run instead of burning budget
+const FATAL_ERROR_CODES = ['ERR_NO_KEY', 'ERR_INVALID_KEY', 'ERR_NO_CREDITS', 'ERR_RATE_LIMIT'];
+
+let timer = null;
+let running = false;
+
+// Per-tenant poller state: { lastPollAt, lastPolledCount, lastError, budgetExhaustedOn }
+const tenantState = new Map();
+
+/**
+ * Get the AIS identifier for a vessel (MMSI preferred, IMO without prefix otherwise)
+ */
+function getAisIdentifier(vessel) {
+  if (vessel.mmsi) {
+    return { identifier: String(vessel.mmsi), type: 'mmsi' };
+  }
+  if (vessel.imo) {
+    return { identifier: String(vessel.imo).replace(/^IMO/i, '').trim(), type: 'imo' };
+  }
+  return null;
+}
+
+/**
+ * Order a tenant's vessels for polling: vessels with open port calls first
+ */
+async function getVesselsToPoll(tenantId) {
+  const vessels = (await vesselDb.getVessels(tenantId)).filter((v) => getAisIdentifier(v));
+
+  const { portCalls } = await portCallsDb.getPortCalls(tenantId, {
+    statuses: ['PLANNED', 'IN_PROGRESS'],
+    limit: 200,
+  });
+  const activeVesselIds = new Set(portCalls.map((pc) => pc.vesselId));
+
+  return [
+    ...vessels.filter((v) => activeVesselIds.has(v.id)),
+    ...vessels.filter((v) => !activeVesselIds.has(v.id)),
+  ];
+}
+
+/**
+ * Poll all vessels of one tenant, within its daily budget
+ * @returns {Promise<{polled: number, stored: number, budgetExhausted: boolean}>}
+ */
+async function pollTenant(tenantId, { dailyCallBudget }) {
+  const state = tenantState.get(tenantId) || {};
+  const vessels = await getVesselsToPoll(tenantId);
+  const source = getProviderName(tenantId).toLowerCase();
+
+  let polled = 0;
+  let stored = 0;
+  let budgetExhausted = false;
+
+  for (const vessel of vessels) {
+    const reservation = await aisUsageDb.reserveAisCall(tenantId, dailyCallBudget, { source: 'poller' });
+    if (!reservation.allowed) {
+      budgetExhausted = true;
+      break;
+    }
+
+    const { identifier, type } = getAisIdentifier(vessel);
+    polled++;
+
+    try {
+      const position = await fetchLatestPosition(identifier, { type, tenantId });
+      if (position && position.lat !== undefined && position.lon !== undefined) {
+        await vesselDb.storePositionHistory(vessel.id, tenantId, {
+          lat: position.lat,
+          lon: position.lon,
+          timestamp: position.timestamp || new Date().toISOString(),
+          sog: position.sog,
+          cog: position.cog,
+          heading: position.heading,
+          navStatus: position.navStatus,
+          source: position.source || source,
+        });
+        stored++;
+      }
+    } catch (error) {
+      state.lastError = { message: error.message, code: error.code || null, at: new Date().toISOString() };
+      if (FATAL_ERROR_CODES.includes(error.code)) {
+        const fatal = new Error(error.message);
+        fatal.code = error.code;
+        throw fatal;
+      }
+      console.warn(`[AIS Poller] Failed to poll vessel ${vessel.id} (${type} ${identifier}): ${error.message}`);
+    }
+  }
+
+  if (budgetExhausted) {
+    const today = new Date().toISOString().slice(0, 10);
+    if (state.budgetExhaustedOn !== today) {
+      console.warn(`[AIS Poller] Tenant ${tenantId} reached its daily AIS call budget (${dailyCallBudget})`);
+    }
+    state.budgetExhaustedOn = today;
+  }
+
+  tenantState.set(tenantId, { ...state, lastPolledCount: polled });
+  return { polled, stored, budgetExhausted };
+}
+
+/**
+ * Poll every tenant that is due according to its pollFrequencyMinutes
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Current time (for scheduling decisions)
+ * @returns {Promise<{tenants: number, polled: number, stored: number}>}
+ */
+export async function runAisPollerTick({ now = new Date() } = {}) {
+  const tenantIds = await tenantsDb.getAllTenantIds();
+  const today = now.toISOString().slice(0, 10);
+  const totals = { tenants: 0, polled: 0, stored: 0 };
+  // A fatal error with the server default provider affects every tenant without its own provider
+  let defaultProviderFailed = false;
+
+  for (const tenantId of tenantIds) {
+    const settings = getAisPollingSettings(tenantId);
+    if (settings.pollFrequencyMinutes <= 0) continue;
+
+    const ownProvider = !!getAisConfig(tenantId)?.provider;
+    if (!ownProvider && defaultProviderFailed) continue;
+    if (!getProvider(tenantId).isConfigured()) continue;
+
+    const state = tenantState.get(tenantId) || {};
+    if (state.budgetExhaustedOn === today) continue;
+
+    const dueAt = state.lastPollAt
+      ? new Date(state.lastPollAt).getTime() + settings.pollFrequencyMinutes * 60 * 1000
+      : 0;
+    if (now.getTime() < dueAt) continue;
+
+    tenantState.set(tenantId, { ...state, lastPollAt: now.toISOString() });
+
+    try {
+      const result = await pollTenant(tenantId, settings);
+      totals.tenants++;
+      totals.polled += result.polled;
+      totals.stored += result.stored;
+    } catch (error) {
+      console.error(`[AIS Poller] Stopping run for tenant ${tenantId} after provider error (${error.code}): ${error.message}`);
+      if (!ownProvider) defaultProviderFailed = true;
+    }
+  }
+
+  if (totals.polled > 0) {
+    console.log(`[AIS Poller] Polled ${totals.polled} vessels across ${totals.tenants} tenants, stored ${totals.stored} positions`);
+  }
+
+  return totals;
+}
+
+/**
+ * Get the poller's schedule state for a tenant (for /api/settings/ais)
+ * @returns {{running: boolean, lastPollAt: string|null, nextPollAt: string|null, lastPolledCount: number, lastError: Object|null}}
+ */
+export function getAisPollerStatus(tenantId) {
+  const state = tenantState.get(tenantId) || {};
+  const { pollFrequencyMinutes } = getAisPollingSettings(tenantId);
+
+  let nextPollAt = null;
+  if (timer && pollFrequencyMinutes > 0) {
+    nextPollAt = state.lastPollAt
+      ? new Date(new Date(state.lastPollAt).getTime() + pollFrequencyMinutes * 60 * 1000).toISOString()
+      : new Date().toISOString();
+  }
+
+  return {
+    running: !!timer,
+    lastPollAt: state.lastPollAt || null,
+    nextPollAt,
+    lastPolledCount: state.lastPolledCount || 0,
+    lastError: state.lastError || null,
+  };
+}
+
+/**
+ * Start the poller (no-op if already started)
+ */
+export function startAisPositionPoller() {
+  if (timer) return;
+
+  const tick = async () => {
+    // Skip a tick rather than overlap a slow run
+    if (running) return;
+    running = true;
+    try {
+      await runAisPollerTick();
+    } catch (error) {
+      console.error('[AIS Poller] Poll run failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  timer = setInterval(tick, TICK_INTERVAL_MS);
+  timer.unref?.();
+  console.log('[AIS Poller] Started');
+}
+
+/**
+ * Stop the poller
+ */
+export function stopAisPositionPoller() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
@@ -0,0 +1,318 @@
+/**
+ * AISStream Ingestion Worker (background job)
+ * Holds one long-lived AISStream WebSocket subscription covering every tracked MMSI across
+ * tenants and writes normalized positions into vessel_position_history for each tenant that
+ * tracks the vessel (the port call event detector picks them up from there).
+ *
+ * Subscription scope:
+ * - up to MAX_MMSI_FILTER tracked MMSIs: worldwide, filtered to those MMSIs
+ * - more than that (AISStream's MMSI filter limit): ops site bounding boxes, filtered here
+ *
+ * The tracked vessel / ops site set is reloaded every REFRESH_INTERVAL_MS; the socket is
+ * re-subscribed only when it changed. Dropped connections reconnect with exponential backoff.
+ */
+
+import WebSocket from 'ws';
+import * as vesselDb from '../db/vessels.js';
+import * as portsDb from '../db/ports.js';
+import {
+  isAisStreamConfigured,
+  getAisStreamUrl,
+  buildSubscription,
+  normalizePosition,
+} from '../services/aisstream.js';
+import { getOpsSiteBoundingBox } from '../services/geofence.js';
+
+const REFRESH_INTERVAL_MS = 5 * 60 * 1000;
+const MAX_MMSI_FILTER = 50;
+const WORLD_BOUNDING_BOX = [[-90, -180], [90, 180]];
+const SITE_BOX_PADDING_METERS = 20000;
+
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 5 * 60 * 1000;
+
+// A vessel's position is stored at most once per interval (AIS reports every few seconds)
+const DEFAULT_MIN_STORE_INTERVAL_SECONDS = 60;
+
+let started = false;
+let ws = null;
+let refreshTimer = null;
+let reconnectTimer = null;
+let reconnectDelayMs = RECONNECT_BASE_MS;
+
+let subscription = null; // { key, boundingBoxes, shipMMSI }
+let trackedByMmsi = new Map(); // mmsi -> [{ id, tenantId }]
+const lastStoredByMmsi = new Map(); // mmsi -> timestamp (ms) of the last stored position
+
+const stats = {
+  connected: false,
+  connectedAt: null,
+  lastMessageAt: null,
+  trackedMmsis: 0,
+  messagesReceived: 0,
+  positionsStored: 0,
+  duplicatesSkipped: 0,
+  reconnects: 0,
+  lastError: null,
+};
+
+function getMinStoreIntervalMs() {
+  const seconds = parseInt(process.env.AISSTREAM_MIN_STORE_INTERVAL_SECONDS, 10);
+  return (Number.isFinite(seconds) && seconds >= 0 ? seconds : DEFAULT_MIN_STORE_INTERVAL_SECONDS) * 1000;
+}
+
+function recordError(message) {
+  stats.lastError = { message, at: new Date().toISOString() };
+}
+
+/**
+ * Build the subscription for the current tracked vessels and ops sites
+ * @returns {Promise<{key: string, boundingBoxes: Array, shipMMSI: Array<string>|null}|null>} null if nothing to track
+ */
+async function loadSubscription() {
+  const vessels = await vesselDb.getAisTrackedVessels();
+
+  const byMmsi = new Map();
+  for (const vessel of vessels) {
+    if (!/^\d{9}$/.test(vessel.mmsi)) continue;
+    if (!byMmsi.has(vessel.mmsi)) byMmsi.set(vessel.mmsi, []);
+    byMmsi.get(vessel.mmsi).push({ id: vessel.id, tenantId: vessel.tenantId });
+  }
+  trackedByMmsi = byMmsi;
+  stats.trackedMmsis = byMmsi.size;
+
+  if (byMmsi.size === 0) {
+    return null;
+  }
+
+  const mmsis = [...byMmsi.keys()].sort();
+  let boundingBoxes = [WORLD_BOUNDING_BOX];
+  let shipMMSI = mmsis;
+
+  if (mmsis.length > MAX_MMSI_FILTER) {
+    // Child sites (terminals, berths, anchorages) lie inside their parent's box
+    const sites = (await portsDb.getAllOpsSites()).filter((site) => !site.parentCode);
+    const boxes = sites
+      .map((site) => getOpsSiteBoundingBox(site, SITE_BOX_PADDING_METERS))
+      .filter(Boolean);
+
+    shipMMSI = null;
+    if (boxes.length > 0) {
+      boundingBoxes = boxes;
+    } else {
+      console.warn(`[AISStream Ingestor] ${mmsis.length} tracked MMSIs and no ops sites - subscribing to the worldwide feed`);
+    }
+  }
+
+  return {
+    key: JSON.stringify({ boundingBoxes, shipMMSI }),
+    boundingBoxes,
+    shipMMSI,
+  };
+}
+
+/**
+ * Store a position for every tenant tracking the MMSI, skipping duplicates
+ */
+async function ingestPosition(position) {
+  const targets = trackedByMmsi.get(position.mmsi);
+  if (!targets) return;
+
+  const parsed = Date.parse(position.timestamp);
+  const timestampMs = Number.isFinite(parsed) ? parsed : Date.now();
+  const lastStored = lastStoredByMmsi.get(position.mmsi);
+
+  if (lastStored !== undefined && timestampMs - lastStored < getMinStoreIntervalMs()) {
+    stats.duplicatesSkipped++;
+    return;
+  }
+  // Claim the slot before the async writes so concurrent messages for the vessel are skipped
+  lastStoredByMmsi.set(position.mmsi, timestampMs);
+
+  const timestamp = new Date(timestampMs).toISOString();
+  for (const vessel of targets) {
+    try {
+      await vesselDb.storePositionHistory(vessel.id, vessel.tenantId, {
+        lat: position.lat,
+        lon: position.lon,
+        timestamp,
+        sog: position.sog,
+        cog: position.cog,
+        heading: position.heading,
+        navStatus: position.navStatus,
+        source: 'aisstream',
+      });
+      stats.positionsStored++;
+    } catch (error) {
+      console.error(`[AISStream Ingestor] Failed to store position for vessel ${vessel.id}:`, error.message);
+    }
+  }
+}
+
+function handleMessage(data) {
+  let parsed;
+  try {
+    parsed = JSON.parse(data.toString());
+  } catch (error) {
+    console.warn('[AISStream Ingestor] Ignoring unparseable message:', error.message);
+    return;
+  }
+
+  if (parsed.error) {
+    console.error('[AISStream Ingestor] Error message received:', parsed.error);
+    recordError(String(parsed.error));
+    return;
+  }
+
+  stats.messagesReceived++;
+  stats.lastMessageAt = new Date().toISOString();
+  // The subscription was accepted - a later drop starts backing off from scratch
+  reconnectDelayMs = RECONNECT_BASE_MS;
+
+  const position = normalizePosition(parsed);
+  if (position && Number.isFinite(position.lat) && Number.isFinite(position.lon)) {
+    ingestPosition(position).catch((error) => {
+      console.error('[AISStream Ingestor] Ingestion failed:', error.message);
+    });
+  }
+}
+
+function scheduleReconnect() {
+  if (!started || reconnectTimer) return;
+
+  // Jitter so several instances do not reconnect in lockstep
+  const delay = Math.round(reconnectDelayMs * (0.8 + Math.random() * 0.4));
+  reconnectDelayMs = Math.min(reconnectDelayMs * 2, RECONNECT_MAX_MS);
+  stats.reconnects++;
+
+  console.log(`[AISStream Ingestor] Reconnecting in ${Math.round(delay / 1000)}s`);
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    connect();
+  }, delay);
+  reconnectTimer.unref?.();
+}
+
+function connect() {
+  if (!started || ws || !subscription) return;
+
+  const socket = new WebSocket(getAisStreamUrl());
+  ws = socket;
+
+  socket.on('open', () => {
+    // AISStream closes connections that do not subscribe within a few seconds
+    socket.send(JSON.stringify(buildSubscription(subscription)));
+    stats.connected = true;
+    stats.connectedAt = new Date().toISOString();
+    console.log('[AISStream Ingestor] Subscribed:', {
+      boundingBoxes: subscription.boundingBoxes.length,
+      shipMMSI: subscription.shipMMSI?.length || 'all',
+    });
+  });
+
+  socket.on('message', handleMessage);
+
+  socket.on('error', (error) => {
+    console.error('[AISStream Ingestor] WebSocket error:', error.message);
+    recordError(error.message);
+  });
+
+  socket.on('close', (code, reason) => {
+    if (ws === socket) {
+      ws = null;
+    }
+    stats.connected = false;
+    console.warn('[AISStream Ingestor] WebSocket closed:', { code, reason: reason?.toString() || '' });
+    scheduleReconnect();
+  });
+}
+
+function disconnect() {
+  if (ws) {
+    const socket = ws;
+    ws = null;
+    socket.removeAllListeners('close');
+    socket.on('error', () => {});
+    socket.terminate();
+  }
+  stats.connected = false;
+}
+
+/**
+ * Reload tracked vessels / ops sites and (re)subscribe if the subscription changed
+ */
+export async function refreshAisStreamSubscription() {
+  const next = await loadSubscription();
+
+  if (!next) {
+    if (subscription) {
+      console.log('[AISStream Ingestor] No vessels with an MMSI - closing subscription');
+    }
+    subscription = null;
+    disconnect();
+    return;
+  }
+
+  if (subscription?.key === next.key && (ws || reconnectTimer)) {
+    return;
+  }
+
+  subscription = next;
+  disconnect();
+  if (reconnectTimer) {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+  }
+  connect();
+}
+
+/**
+ * Get the worker's connection state and counters
+ */
+export function getAisStreamIngestorStatus() {
+  return {
+    running: started,
+    ...stats,
+  };
+}
+
+/**
+ * Start the worker (no-op if already started or AISSTREAM_API_KEY is not set)
+ */
+export function startAisStreamIngestor() {
+  if (started) return;
+  if (!isAisStreamConfigured()) {
+    console.warn('[AISStream Ingestor] AISSTREAM_API_KEY is not set - not starting');
+    return;
+  }
+  started = true;
+
+  const refresh = () => {
+    refreshAisStreamSubscription().catch((error) => {
+      console.error('[AISStream Ingestor] Subscription refresh failed:', error.message);
+      recordError(error.message);
+    });
+  };
+
+  refresh();
+  refreshTimer = setInterval(refresh, REFRESH_INTERVAL_MS);
+  refreshTimer.unref?.();
+  console.log('[AISStream Ingestor] Started');
+}
+
+/**
+ * Stop the worker and close the subscription
+ */
+export function stopAisStreamIngestor() {
+  started = false;
+  if (refreshTimer) {
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+  }
+  if (reconnectTimer) {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+  }
+  disconnect();
+  subscription = null;
+}
@@ -0,0 +1,79 @@
+/**
+ * ETA Predictor (background job)
+ * Recomputes the predicted ETA of every PLANNED port call with a vessel and a located ops site
+ * (see services/etaPrediction.js), so predictions follow the vessels' latest AIS positions.
+ */
+
+import * as portCallsDb from '../db/portCalls.js';
+import { predictPortCallEta } from '../services/etaPrediction.js';
+
+const DEFAULT_INTERVAL_MS = 15 * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+/**
+ * Predict the ETA of all eligible port calls, across tenants
+ * @returns {Promise<{predicted: number, unavailable: number, failed: number}>}
+ */
+export async function runEtaPrediction() {
+  const portCalls = await portCallsDb.getPortCallsForEtaPrediction();
+  const counts = { predicted: 0, unavailable: 0, failed: 0 };
+
+  for (const { id, tenantId } of portCalls) {
+    try {
+      const { predictedEta } = await predictPortCallEta(tenantId, id);
+      counts[predictedEta ? 'predicted' : 'unavailable'] += 1;
+    } catch (error) {
+      // e.g. the call moved out of PLANNED since it was listed
+      counts.failed += 1;
+      console.error(`[ETA Predictor] Error predicting port call ${id}:`, error.message);
+    }
+  }
+
+  if (portCalls.length > 0) {
+    console.log(`[ETA Predictor] Predicted ${counts.predicted} of ${portCalls.length} port calls`);
+  }
+
+  return counts;
+}
+
+/**
+ * Start the predictor on an interval (no-op if already started)
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs] - Interval (default ETA_PREDICTION_INTERVAL_MS or 15 min)
+ */
+export function startEtaPredictor({ intervalMs } = {}) {
+  if (timer) return;
+
+  const interval = intervalMs
+    || parseInt(process.env.ETA_PREDICTION_INTERVAL_MS, 10)
+    || DEFAULT_INTERVAL_MS;
+
+  const tick = async () => {
+    // Skip a tick rather than overlap a slow run
+    if (running) return;
+    running = true;
+    try {
+      await runEtaPrediction();
+    } catch (error) {
+      console.error('[ETA Predictor] Prediction run failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  timer = setInterval(tick, interval);
+  timer.unref?.();
+  console.log(`[ETA Predictor] Started (every ${Math.round(interval / 1000)}s)`);
+}
+
+/**
+ * Stop the predictor
+ */
+export function stopEtaPredictor() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
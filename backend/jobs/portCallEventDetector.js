@@ -0,0 +1,273 @@
+/**
+ * Port Call Event Detector (background job)
+ * Evaluates each new vessel_position_history row against the tenant's ops site geofences and:
+ * - records ARRIVAL / ANCHORAGE / ALONGSIDE / DEPARTURE events on the vessel's open port call
+ * - auto-advances the port call (PLANNED -> IN_PROGRESS on arrival, IN_PROGRESS -> COMPLETED on departure)
+ *   through the lifecycle, setting the actual arrival/departure from the position timestamp
+ *
+ * A port call's geofence is its ops site plus all child sites (terminals, berths, anchored zones)
+ * linked through parent_code.
+ */
+
+import * as vesselDb from '../db/vessels.js';
+import * as portsDb from '../db/ports.js';
+import * as portCallsDb from '../db/portCalls.js';
+import * as portCallEventsDb from '../db/portCallEvents.js';
+import * as operationLogsDb from '../db/operationLogs.js';
+import { transitionPortCall } from '../services/portCallLifecycle.js';
+import { isPointInOpsSite } from '../services/geofence.js';
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+const BATCH_SIZE = 500;
+
+// Speed thresholds (knots) below which a vessel counts as anchored / alongside
+const ANCHORED_MAX_SOG = 1;
+const ALONGSIDE_MAX_SOG = 0.5;
+
+// A PLANNED call only matches positions within this window around its ETA,
+// so a vessel lingering in port does not trigger a call planned for weeks later
+const ARRIVAL_MATCH_WINDOW_MS = 72 * 60 * 60 * 1000;
+
+// Most specific site first when picking where an event happened
+const SITE_SPECIFICITY = ['BERTH', 'TERMINAL', 'ANCHORED_ZONE', 'PORT'];
+
+const EVENT_VERBS = {
+  ARRIVAL: 'arrived at',
+  ANCHORAGE: 'anchored at',
+  ALONGSIDE: 'berthed alongside',
+  DEPARTURE: 'departed from',
+};
+
+let timer = null;
+let running = false;
+
+function mostSpecificSite(sites) {
+  return [...sites].sort(
+    (a, b) => SITE_SPECIFICITY.indexOf(a.type) - SITE_SPECIFICITY.indexOf(b.type)
+  )[0];
+}
+
+function isSlowerThan(position, maxSog) {
+  return position.sog === null || position.sog === undefined || position.sog < maxSog;
+}
+
+function isStoppedIn(position, insideSites, types, maxSog) {
+  return !!position && insideSites.some((site) => types.includes(site.type)) && isSlowerThan(position, maxSog);
+}
+
+/**
+ * Decide which events a position produces for one port call
+ * @returns {Array<{eventType: string, site: Object}>}
+ */
+function detectEvents({ portCall, position, previous, family, history }) {
+  const point = { lat: position.lat, lon: position.lon };
+  const nowInside = family.filter((site) => isPointInOpsSite(point, site));
+  const wasInside = previous
+    ? family.filter((site) => isPointInOpsSite({ lat: previous.lat, lon: previous.lon }, site))
+    : [];
+
+  const hasEvent = (type) => history.some((e) => e.eventType === type);
+  const lastEvent = history[history.length - 1];
+  const events = [];
+
+  if (nowInside.length > 0) {
+    if (!hasEvent('ARRIVAL') && (wasInside.length === 0 || portCall.status === 'PLANNED')) {
+      events.push({ eventType: 'ARRIVAL', site: mostSpecificSite(nowInside) });
+    }
+
+    const anchoredSites = nowInside.filter((site) => site.type === 'ANCHORED_ZONE');
+    if (
+      isStoppedIn(position, nowInside, ['ANCHORED_ZONE'], ANCHORED_MAX_SOG) &&
+      !isStoppedIn(previous, wasInside, ['ANCHORED_ZONE'], ANCHORED_MAX_SOG) &&
+      !(lastEvent?.eventType === 'ANCHORAGE' && lastEvent.opsSiteId === anchoredSites[0].id)
+    ) {
+      events.push({ eventType: 'ANCHORAGE', site: anchoredSites[0] });
+    }
+
+    const berthSites = nowInside.filter((site) => site.type === 'BERTH' || site.type === 'TERMINAL');
+    if (
+      isStoppedIn(position, nowInside, ['BERTH', 'TERMINAL'], ALONGSIDE_MAX_SOG) &&
+      !isStoppedIn(previous, wasInside, ['BERTH', 'TERMINAL'], ALONGSIDE_MAX_SOG)
+    ) {
+      const site = mostSpecificSite(berthSites);
+      if (!(lastEvent?.eventType === 'ALONGSIDE' && lastEvent.opsSiteId === site.id)) {
+        events.push({ eventType: 'ALONGSIDE', site });
+      }
+    }
+  } else if (wasInside.length > 0 && portCall.status === 'IN_PROGRESS' && !hasEvent('DEPARTURE')) {
+    events.push({ eventType: 'DEPARTURE', site: family[0] });
+  }
+
+  return events;
+}
+
+/**
+ * Check a PLANNED port call's ETA is close enough to the position to be the call being made
+ */
+function isWithinArrivalWindow(portCall, position) {
+  if (portCall.status !== 'PLANNED' || !portCall.eta) {
+    return true;
+  }
+  const delta = Math.abs(new Date(position.timestamp) - new Date(portCall.eta));
+  return delta <= ARRIVAL_MATCH_WINDOW_MS;
+}
+
+/**
+ * Record an event, log it to the operations feed, and advance the port call if needed
+ */
+async function applyEvent(portCall, position, { eventType, site }) {
+  const { tenantId } = position;
+  const timestamp = new Date(position.timestamp).toISOString();
+
+  await portCallEventsDb.createPortCallEvent(tenantId, {
+    portCallId: portCall.id,
+    vesselId: portCall.vesselId,
+    opsSiteId: site.id,
+    eventType,
+    timestamp,
+    terminal: site.type === 'PORT' ? null : site.name,
+    remarks: `Detected from AIS position${position.sog != null ? ` (SOG ${position.sog} kn)` : ''}`,
+    positionLat: position.lat,
+    positionLon: position.lon,
+    source: 'ais',
+  });
+
+  const vesselName = portCall.vessel?.name || portCall.vesselId;
+  await operationLogsDb.createOperationLog({
+    tenantId,
+    vesselId: portCall.vesselId,
+    portCallId: portCall.id,
+    eventType,
+    description: `${vesselName} ${EVENT_VERBS[eventType]} ${site.name}`,
+    positionLat: position.lat,
+    positionLon: position.lon,
+  });
+
+  try {
+    if (eventType === 'DEPARTURE' && portCall.status === 'IN_PROGRESS') {
+      return await transitionPortCall(tenantId, portCall.id, 'COMPLETED', { actualDeparture: timestamp }, { source: 'ais' });
+    }
+    if (eventType !== 'DEPARTURE' && portCall.status === 'PLANNED') {
+      return await transitionPortCall(tenantId, portCall.id, 'IN_PROGRESS', { actualArrival: timestamp }, { source: 'ais' });
+    }
+  } catch (error) {
+    // The event stays recorded; the status can still be advanced manually
+    console.warn(`[Port Call Detector] Could not advance port call ${portCall.id} on ${eventType}: ${error.message}`);
+  }
+
+  return portCall;
+}
+
+/**
+ * Evaluate one stored position against the vessel's open port calls
+ * @returns {Promise<number>} Number of events recorded
+ */
+async function evaluatePosition(position, sitesCache) {
+  const { tenantId, vesselId } = position;
+
+  const openPortCalls = await portCallsDb.getOpenPortCallsForVessel(tenantId, vesselId);
+  if (openPortCalls.length === 0) {
+    return 0;
+  }
+
+  if (!sitesCache.has(tenantId)) {
+    sitesCache.set(tenantId, await portsDb.getPorts(tenantId));
+  }
+  const sites = sitesCache.get(tenantId);
+  const previous = await vesselDb.getPreviousPosition(vesselId, tenantId, position.timestamp);
+
+  const handledSites = new Set();
+  let recorded = 0;
+
+  for (let portCall of openPortCalls) {
+    // Only the first open call per ops site (IN_PROGRESS before PLANNED) is matched
+    if (!portCall.portId || handledSites.has(portCall.portId)) continue;
+    if (!isWithinArrivalWindow(portCall, position)) continue;
+
+    const rootSite = sites.find((site) => site.id === portCall.portId);
+    if (!rootSite) continue;
+    handledSites.add(portCall.portId);
+
+    const family = portsDb.getSiteFamily(rootSite, sites);
+    const history = await portCallEventsDb.getPortCallEvents(tenantId, portCall.id);
+    const events = detectEvents({ portCall, position, previous, family, history });
+
+    for (const event of events) {
+      portCall = await applyEvent(portCall, position, event);
+      history.push({ eventType: event.eventType, opsSiteId: event.site.id });
+      recorded++;
+    }
+  }
+
+  return recorded;
+}
+
+/**
+ * Process one batch of unevaluated positions
+ * @returns {Promise<{evaluated: number, events: number}>}
+ */
+export async function runPortCallEventDetection({ batchSize = BATCH_SIZE } = {}) {
+  const positions = await vesselDb.getPendingGeofencePositions(batchSize);
+  if (positions.length === 0) {
+    return { evaluated: 0, events: 0 };
+  }
+
+  const sitesCache = new Map();
+  let events = 0;
+
+  for (const position of positions) {
+    try {
+      events += await evaluatePosition(position, sitesCache);
+    } catch (error) {
+      console.error(`[Port Call Detector] Error evaluating position ${position.id}:`, error.message);
+    }
+  }
+
+  await vesselDb.markPositionsGeofenceEvaluated(positions.map((p) => p.id));
+
+  if (events > 0) {
+    console.log(`[Port Call Detector] Evaluated ${positions.length} positions, recorded ${events} events`);
+  }
+
+  return { evaluated: positions.length, events };
+}
+
+/**
+ * Start the detector on an interval (no-op if already started)
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs] - Polling interval (default PORT_CALL_DETECTION_INTERVAL_MS or 60s)
+ */
+export function startPortCallEventDetector({ intervalMs } = {}) {
+  if (timer) return;
+
+  const interval = intervalMs
+    || parseInt(process.env.PORT_CALL_DETECTION_INTERVAL_MS, 10)
+    || DEFAULT_INTERVAL_MS;
+
+  const tick = async () => {
+    // Skip a tick rather than overlap a slow batch
+    if (running) return;
+    running = true;
+    try {
+      await runPortCallEventDetection();
+    } catch (error) {
+      console.error('[Port Call Detector] Detection run failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  timer = setInterval(tick, interval);
+  timer.unref?.();
+  console.log(`[Port Call Detector] Started (every ${Math.round(interval / 1000)}s)`);
+}
+
+/**
+ * Stop the detector
+ */
+export function stopPortCallEventDetector() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
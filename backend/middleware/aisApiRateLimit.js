@@ -5,17 +5,19 @@
  * Rate limits:
  * - MyShipTracking: 80 calls/minute (conservative, below 90/min trial limit)
  * - Datalastic: 600 calls/minute
+ * - Composite / AISStream: the MyShipTracking limit (the most conservative)
  */
 
 import rateLimit from 'express-rate-limit';
-import { getProviderName } from '../services/ais/providerFactory.js';
+import { getProvider, getProviderName } from '../services/ais/providerFactory.js';
 
 /**
- * Get rate limit configuration based on active provider
+ * Get rate limit configuration based on the tenant's provider
+ * @param {string} [tenantId] - Tenant ID (omit for the server default provider)
  * @returns {object} Rate limit configuration
  */
-function getRateLimitConfig() {
-  const providerName = getProviderName().toLowerCase();
+function getRateLimitConfig(tenantId) {
+  const providerName = getProviderName(tenantId).toLowerCase();
   
   switch (providerName) {
     case 'datalastic':
@@ -41,20 +43,12 @@ function getRateLimitConfig() {
 }
 
 /**
- * Check if API is configured for the active provider
+ * Check if API is configured for the tenant's provider
+ * @param {string} [tenantId] - Tenant ID (omit for the server default provider)
  * @returns {boolean} True if API is configured
  */
-function isApiConfigured() {
-  const providerName = getProviderName().toLowerCase();
-  
-  switch (providerName) {
-    case 'datalastic':
-      return !!process.env.DATALASTIC_API_KEY;
-    case 'myshiptracking':
-      return !!(process.env.MYSHIPTRACKING_API_KEY && process.env.MYSHIPTRACKING_SECRET_KEY);
-    default:
-      return false;
-  }
+function isApiConfigured(tenantId) {
+  return getProvider(tenantId).isConfigured();
 }
 
 /**
@@ -63,26 +57,26 @@ function isApiConfigured() {
  */
 export const aisApiLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute window
-  max: () => {
-    const config = getRateLimitConfig();
+  max: (req) => {
+    const config = getRateLimitConfig(req.tenantId);
     return config.max;
   },
   standardHeaders: true, // Return rate limit info in `RateLimit-*` headers
   legacyHeaders: false, // Disable `X-RateLimit-*` headers
   message: (req) => {
-    const config = getRateLimitConfig();
+    const config = getRateLimitConfig(req.tenantId);
     return config.message;
   },
   // Use tenant ID in key generator to allow per-tenant rate limiting
   keyGenerator: (req) => {
     const tenantId = req.tenantId || 'anonymous';
-    const providerName = getProviderName().toLowerCase();
+    const providerName = getProviderName(req.tenantId).toLowerCase();
     return `ais:${providerName}:${tenantId}`;
   },
   // Custom handler for rate limit exceeded
   handler: (req, res) => {
-    const providerName = getProviderName();
-    const config = getRateLimitConfig();
+    const providerName = getProviderName(req.tenantId);
+    const config = getRateLimitConfig(req.tenantId);
     console.warn(`[RateLimit] ${providerName} API rate limit exceeded for tenant ${req.tenantId || 'anonymous'}`);
     res.status(429).json({
       error: 'Rate limit exceeded',
@@ -92,7 +86,7 @@ export const aisApiLimiter = rateLimit({
   },
   // Skip rate limiting if API keys are not configured (will fail anyway)
   skip: (req) => {
-    if (!isApiConfigured()) {
+    if (!isApiConfigured(req.tenantId)) {
       console.log('[RateLimit] Skipping rate limit check - API keys not configured');
       return true;
     }
@@ -63,3 +63,10 @@ export function requireRole(...roles) {
   };
 }
 
+// Roles allowed to change operational data (VIEWER is read-only)
+export const EDITOR_ROLES = ['ADMIN', 'OPERATOR'];
+
+/**
+ * Authorization middleware for the write routes of operational data (EDITOR_ROLES)
+ */
+export const requireEditor = requireRole(...EDITOR_ROLES);
@@ -15,8 +15,8 @@ import { validateVesselIdentifier, validateZoneBoundsParam } from '../middleware
 const router = express.Router();
 
 // Helper function to get AIS configuration
-function getAisConfig() {
-  const providerName = getProviderName();
+function getAisConfig(tenantId) {
+  const providerName = getProviderName(tenantId);
   return {
     provider: providerName.toLowerCase(),
     supportedIdentifiers: ['MMSI', 'IMO'],
@@ -28,7 +28,7 @@ router.get('/vessel/last-position', aisApiLimiter, validateVesselIdentifier, asy
   try {
     const { tenantId } = req;
     const { mmsi, imo } = req.query;
-    const aisConfig = getAisConfig();
+    const aisConfig = getAisConfig(tenantId);
     
     if (!mmsi && !imo) {
       return res.status(400).json({ 
@@ -46,7 +46,7 @@ router.get('/vessel/last-position', aisApiLimiter, validateVesselIdentifier, asy
       type = 'imo';
     }
     
-    const position = await fetchLatestPosition(identifier, { type });
+    const position = await fetchLatestPosition(identifier, { type, tenantId });
     if (!position) {
       return res.status(404).json({ message: 'Vessel not found' });
     }
@@ -72,7 +72,7 @@ router.get('/vessel/last-position', aisApiLimiter, validateVesselIdentifier, asy
           cog: position.cog,
           heading: position.heading,
           navStatus: position.navStatus,
-          source: getProviderName().toLowerCase(),
+          source: position.source || getProviderName(tenantId).toLowerCase(),
         };
         await vesselDb.storePositionHistory(vessel.id, tenantId, positionData);
         console.log(`[AIS] Stored position history for vessel ${vessel.id} (${type.toUpperCase()}: ${identifier})`);
@@ -99,8 +99,9 @@ router.get('/vessel/last-position', aisApiLimiter, validateVesselIdentifier, asy
 // GET /api/ais/vessel/track?mmsi=123&hours=72 or ?imo=1234567&hours=72
 router.get('/vessel/track', aisApiLimiter, async (req, res) => {
   try {
+    const { tenantId } = req;
     const { mmsi, imo, hours } = req.query;
-    const aisConfig = getAisConfig();
+    const aisConfig = getAisConfig(tenantId);
     
     if (!mmsi && !imo) {
       return res.status(400).json({ 
@@ -126,7 +127,7 @@ router.get('/vessel/track', aisApiLimiter, async (req, res) => {
       type = 'imo';
     }
     
-    const track = await fetchTrack(identifier, { type, hours: hoursNum });
+    const track = await fetchTrack(identifier, { type, hours: hoursNum, tenantId });
     res.json(track);
   } catch (error) {
     console.error('AIS track error:', error);
@@ -196,7 +197,7 @@ router.get('/zone', aisApiLimiter, validateZoneBoundsParam, async (req, res) =>
     });
     
     // Fetch vessels in zone from AIS API
-    const allVesselsInZone = await fetchVesselsInZone(parsed);
+    const allVesselsInZone = await fetchVesselsInZone(parsed, { tenantId });
     
     // CRITICAL: Filter to only return vessels that match tenant's registered vessels
     const filteredResults = allVesselsInZone.filter(vessel => {
@@ -216,11 +217,11 @@ router.get('/zone', aisApiLimiter, validateZoneBoundsParam, async (req, res) =>
     console.error('[AIS Zone] Error fetching vessels in zone:', {
       error: error.message,
       errorType: error.constructor.name,
-      provider: getProviderName(),
+      provider: getProviderName(tenantId),
     });
     
     // Provide more helpful error messages
-    const providerName = getProviderName();
+    const providerName = getProviderName(tenantId);
     if (error.message.includes('not configured') || error.message.includes('must be set')) {
       const envVar = providerName.toLowerCase() === 'datalastic' 
         ? 'DATALASTIC_API_KEY' 
@@ -253,7 +254,7 @@ router.get('/vessels/:vesselId/last-position', aisApiLimiter, async (req, res) =
       return res.status(404).json({ message: 'Vessel not found' });
     }
     
-    const aisConfig = getAisConfig();
+    const aisConfig = getAisConfig(tenantId);
     
     // Check if vessel has a supported identifier (prefer MMSI, fallback to IMO)
     let identifier, type;
@@ -270,7 +271,7 @@ router.get('/vessels/:vesselId/last-position', aisApiLimiter, async (req, res) =
       });
     }
     
-    const position = await fetchLatestPosition(identifier, { type });
+    const position = await fetchLatestPosition(identifier, { type, tenantId });
     if (!position) {
       return res.status(404).json({ message: 'Vessel position not found in AIS data' });
     }
@@ -285,7 +286,7 @@ router.get('/vessels/:vesselId/last-position', aisApiLimiter, async (req, res) =
         cog: position.cog,
         heading: position.heading,
         navStatus: position.navStatus,
-        source: getProviderName().toLowerCase(),
+        source: position.source || getProviderName(tenantId).toLowerCase(),
       };
       await vesselDb.storePositionHistory(vesselId, tenantId, positionData);
       console.log(`[AIS] Stored position history for vessel ${vesselId} (${type.toUpperCase()}: ${identifier})`);
@@ -329,7 +330,7 @@ router.get('/vessels/:vesselId/track', aisApiLimiter, async (req, res) => {
       return res.status(404).json({ message: 'Vessel not found' });
     }
     
-    const aisConfig = getAisConfig();
+    const aisConfig = getAisConfig(tenantId);
     
     // Check if vessel has a supported identifier (prefer MMSI, fallback to IMO)
     let identifier, type;
@@ -346,7 +347,7 @@ router.get('/vessels/:vesselId/track', aisApiLimiter, async (req, res) => {
       });
     }
     
-    const track = await fetchTrack(identifier, { type, hours });
+    const track = await fetchTrack(identifier, { type, hours, tenantId });
     
     res.json(track);
   } catch (error) {
@@ -0,0 +1,125 @@
+import express from 'express';
+import * as approvalsDb from '../db/approvals.js';
+import * as approvalService from '../services/approvals.js';
+import { requireEditor } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * Respond with a service error's status (4xx), or 500 for unexpected errors
+ */
+function sendError(res, error, action) {
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(`[Approvals] Error ${action}:`, error);
+  res.status(500).json({ message: `Failed ${action}`, error: error.message });
+}
+
+/**
+ * Read and validate the tracker filters from the query string
+ * @returns {{filters: Object}|{error: string}}
+ */
+function parseTrackerFilters(queryParams) {
+  const { status, type, authority, portCallId, overdue, openPortCalls } = queryParams;
+
+  if (status && !approvalsDb.APPROVAL_STATUSES.includes(status)) {
+    return { error: `status must be one of: ${approvalsDb.APPROVAL_STATUSES.join(', ')}` };
+  }
+  if (type && !approvalsDb.APPROVAL_TYPES.includes(type)) {
+    return { error: `type must be one of: ${approvalsDb.APPROVAL_TYPES.join(', ')}` };
+  }
+
+  return {
+    filters: {
+      status,
+      type,
+      authority,
+      portCallId,
+      overdue: overdue === 'true',
+      openPortCalls: openPortCalls === 'true',
+    },
+  };
+}
+
+// GET /api/approvals - Tracker (?status=&type=&authority=&portCallId=&overdue=true&openPortCalls=true)
+router.get('/', async (req, res) => {
+  const { filters, error: validationError } = parseTrackerFilters(req.query);
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  try {
+    res.json(await approvalsDb.getApprovals(req.tenantId, filters));
+  } catch (error) {
+    sendError(res, error, 'fetching approval items');
+  }
+});
+
+// GET /api/approvals/summary - Open, overdue and due-soon counts, per authority (same filters as GET /api/approvals)
+router.get('/summary', async (req, res) => {
+  const { filters, error: validationError } = parseTrackerFilters(req.query);
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  try {
+    res.json(await approvalsDb.getApprovalSummary(req.tenantId, filters));
+  } catch (error) {
+    sendError(res, error, 'fetching approval summary');
+  }
+});
+
+// GET /api/approvals/:id - Get an item
+router.get('/:id', async (req, res) => {
+  try {
+    const approval = await approvalsDb.getApprovalById(req.params.id, req.tenantId);
+    if (!approval) {
+      return res.status(404).json({ message: 'Approval item not found' });
+    }
+    res.json(approval);
+  } catch (error) {
+    sendError(res, error, 'fetching approval item');
+  }
+});
+
+// PUT /api/approvals/:id - Update an OPEN item
+router.put('/:id', requireEditor, async (req, res) => {
+  try {
+    res.json(await approvalService.updateApproval(req.tenantId, req.params.id, req.body || {}));
+  } catch (error) {
+    sendError(res, error, 'updating approval item');
+  }
+});
+
+// DELETE /api/approvals/:id - Delete an item
+router.delete('/:id', requireEditor, async (req, res) => {
+  try {
+    await approvalService.deleteApproval(req.tenantId, req.params.id);
+    res.status(204).send();
+  } catch (error) {
+    sendError(res, error, 'deleting approval item');
+  }
+});
+
+// POST /api/approvals/:id/clear - Clear an OPEN item
+// Body: { evidenceReference, clearedDate?, evidenceNotes? }
+router.post('/:id/clear', requireEditor, async (req, res) => {
+  try {
+    const approval = await approvalService.clearApproval(req.tenantId, req.params.id, req.body || {}, req.user?.userId);
+    res.json(approval);
+  } catch (error) {
+    sendError(res, error, 'clearing approval item');
+  }
+});
+
+// POST /api/approvals/:id/reopen - Reopen a CLEARED item
+router.post('/:id/reopen', requireEditor, async (req, res) => {
+  try {
+    res.json(await approvalService.reopenApproval(req.tenantId, req.params.id));
+  } catch (error) {
+    sendError(res, error, 'reopening approval item');
+  }
+});
+
+export default router;
@@ -0,0 +1,79 @@
+import express from 'express';
+import * as attachmentService from '../services/attachments.js';
+import { parseMultipart } from '../services/multipart.js';
+import { requireEditor } from '../middleware/auth.js';
+
+// Mounted under /api/port-calls/:id/attachments
+const router = express.Router({ mergeParams: true });
+
+// Buffer the multipart body up to the server cap (plus room for the form's headers and fields);
+// the tenant's own limit is checked by the service
+const rawMultipart = express.raw({
+  type: 'multipart/form-data',
+  limit: `${attachmentService.SERVER_MAX_FILE_SIZE_MB + 1}mb`,
+});
+
+/**
+ * Respond with a service error's status (4xx), or 500 for unexpected errors
+ */
+function sendError(res, error, action) {
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({ message: `File is larger than ${attachmentService.SERVER_MAX_FILE_SIZE_MB} MB` });
+  }
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(`[Attachments] Error ${action}:`, error);
+  res.status(500).json({ message: `Failed ${action}`, error: error.message });
+}
+
+// GET /api/port-calls/:id/attachments - Attachments of the port call with signed download links
+router.get('/', async (req, res) => {
+  try {
+    res.json(await attachmentService.getAttachments(req.tenantId, req.params.id));
+  } catch (error) {
+    sendError(res, error, 'fetching attachments');
+  }
+});
+
+// POST /api/port-calls/:id/attachments - Upload a file
+// Body: multipart/form-data with a "file" part and an optional "description" field
+router.post('/', requireEditor, (req, res, next) => {
+  rawMultipart(req, res, (error) => (error ? sendError(res, error, 'uploading attachment') : next()));
+}, async (req, res) => {
+  try {
+    const { fields, files } = parseMultipart(req.body, req.headers['content-type']);
+    const attachment = await attachmentService.uploadAttachment(
+      req.tenantId,
+      req.params.id,
+      files.find((file) => file.fieldName === 'file'),
+      { description: fields.description, uploadedBy: req.user?.userId }
+    );
+    res.status(201).json(attachment);
+  } catch (error) {
+    sendError(res, error, 'uploading attachment');
+  }
+});
+
+// PUT /api/port-calls/:id/attachments/:attachmentId - Update the description
+// Body: { description }
+router.put('/:attachmentId', requireEditor, async (req, res) => {
+  try {
+    const { id, attachmentId } = req.params;
+    res.json(await attachmentService.updateAttachment(req.tenantId, id, attachmentId, req.body || {}));
+  } catch (error) {
+    sendError(res, error, 'updating attachment');
+  }
+});
+
+// DELETE /api/port-calls/:id/attachments/:attachmentId - Delete an attachment and its stored file
+router.delete('/:attachmentId', requireEditor, async (req, res) => {
+  try {
+    await attachmentService.deleteAttachment(req.tenantId, req.params.id, req.params.attachmentId);
+    res.status(204).send();
+  } catch (error) {
+    sendError(res, error, 'deleting attachment');
+  }
+});
+
+export default router;
@@ -2,7 +2,8 @@ import express from 'express';
 import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
 import crypto from 'crypto';
-import { getMockUsers } from '../data/mockData.js';
+import * as usersDb from '../db/users.js';
+import * as refreshTokensDb from '../db/refreshTokens.js';
 
 const router = express.Router();
 const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret-key-change-in-production';
@@ -10,21 +11,30 @@ const REFRESH_TOKEN_SECRET = process.env.REFRESH_TOKEN_SECRET || `${JWT_SECRET}-
 const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '1h';
 const REFRESH_TOKEN_TTL = process.env.REFRESH_TOKEN_TTL || '7d';
 
-// In-memory refresh token store (replace with DB table in production)
-const refreshTokens = new Map(); // token -> { userId, tenantId, role, jti }
-
 const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
 function issueAccessToken(payload) {
   return jwt.sign(payload, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
 }
 
-function issueRefreshToken(payload, jti) {
-  return jwt.sign({ ...payload, jti }, REFRESH_TOKEN_SECRET, { expiresIn: REFRESH_TOKEN_TTL });
+/**
+ * Issue a refresh token and store it (hashed) in refresh_tokens
+ */
+async function issueRefreshToken(payload) {
+  const jti = crypto.randomUUID();
+  const token = jwt.sign({ ...payload, jti }, REFRESH_TOKEN_SECRET, { expiresIn: REFRESH_TOKEN_TTL });
+  await refreshTokensDb.createRefreshToken({
+    id: jti,
+    tenantId: payload.tenantId,
+    userId: payload.userId,
+    token,
+    expiresAt: new Date(jwt.decode(token).exp * 1000).toISOString(),
+  });
+  return token;
 }
 
 function sanitizeUser(user) {
-  const { password, passwordHash, ...rest } = user;
+  const { password, passwordHash, tenant, ...rest } = user;
   return rest;
 }
 
@@ -43,10 +53,13 @@ router.post('/login', async (req, res) => {
     return res.status(400).json({ message: 'Email is invalid' });
   }
 
-  const users = getMockUsers();
-  console.log('[Auth] Available users:', users.map(u => ({ email: u.email, hasPasswordHash: !!u.passwordHash })));
-  
-  const user = users.find((u) => u.email.toLowerCase() === email.toLowerCase());
+  let user;
+  try {
+    user = await usersDb.getUserForLogin(email);
+  } catch (error) {
+    console.error('[Auth] User lookup failed:', error.message);
+    return res.status(500).json({ message: 'Login failed' });
+  }
   console.log('[Auth] Found user:', user ? { id: user.id, email: user.email, hasPasswordHash: !!user.passwordHash } : null);
 
   if (!user) {
@@ -79,6 +92,12 @@ router.post('/login', async (req, res) => {
     return res.status(401).json({ message: 'Invalid credentials' });
   }
 
+  // Checked after the password so inactive accounts are only revealed to their owner
+  if (user.isActive === false) {
+    console.log('[Auth] User is deactivated:', user.id);
+    return res.status(403).json({ message: 'This account has been deactivated. Contact your administrator.' });
+  }
+
   console.log('[Auth] Login successful for user:', user.id);
 
   const basePayload = {
@@ -88,9 +107,14 @@ router.post('/login', async (req, res) => {
   };
 
   const accessToken = issueAccessToken(basePayload);
-  const refreshJti = crypto.randomUUID();
-  const refreshToken = issueRefreshToken(basePayload, refreshJti);
-  refreshTokens.set(refreshToken, { ...basePayload, jti: refreshJti });
+  let refreshToken;
+  try {
+    refreshToken = await issueRefreshToken(basePayload);
+    await usersDb.recordUserLogin(user.id, user.tenantId);
+  } catch (error) {
+    console.error('[Auth] Failed to store refresh token:', error.message);
+    return res.status(500).json({ message: 'Login failed' });
+  }
 
   res.json({
     accessToken,
@@ -101,51 +125,72 @@ router.post('/login', async (req, res) => {
   });
 });
 
-router.post('/refresh', (req, res) => {
+router.post('/refresh', async (req, res) => {
   const { refreshToken } = req.body || {};
 
   if (!refreshToken) {
     return res.status(400).json({ message: 'Refresh token is required' });
   }
 
-  if (!refreshTokens.has(refreshToken)) {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, REFRESH_TOKEN_SECRET);
+  } catch (err) {
+    return res.status(401).json({ message: 'Invalid or expired refresh token' });
+  }
+
+  if (!decoded.jti || typeof decoded.tenantId !== 'string') {
     return res.status(401).json({ message: 'Invalid refresh token' });
   }
 
   try {
-    const decoded = jwt.verify(refreshToken, REFRESH_TOKEN_SECRET);
+    const stored = await refreshTokensDb.getValidRefreshToken(decoded.jti, decoded.tenantId, refreshToken);
+    if (!stored || stored.userId !== decoded.userId) {
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
 
-    const stored = refreshTokens.get(refreshToken);
-    if (!stored || stored.jti !== decoded.jti) {
-      refreshTokens.delete(refreshToken);
+    // Role and active flag are re-read so admin changes apply at the next refresh
+    const user = await usersDb.getUserById(decoded.userId, decoded.tenantId);
+    if (!user || user.isActive === false) {
+      await refreshTokensDb.revokeRefreshToken(decoded.jti, decoded.tenantId);
       return res.status(401).json({ message: 'Invalid refresh token' });
     }
 
     const basePayload = {
-      userId: decoded.userId,
-      tenantId: decoded.tenantId,
-      role: decoded.role,
+      userId: user.id,
+      tenantId: user.tenantId,
+      role: user.role,
     };
 
-    // Rotate refresh token
-    refreshTokens.delete(refreshToken);
-    const newRefreshJti = crypto.randomUUID();
-    const newRefreshToken = issueRefreshToken(basePayload, newRefreshJti);
-    refreshTokens.set(newRefreshToken, { ...basePayload, jti: newRefreshJti });
-
+    // Rotate refresh token. Only the request that revokes it gets a new one: losing the race means
+    // the token was presented twice (replayed or stolen), so all of the user's sessions are ended
+    const rotated = await refreshTokensDb.revokeRefreshToken(decoded.jti, decoded.tenantId);
+    if (!rotated) {
+      await refreshTokensDb.revokeUserRefreshTokens(user.id, user.tenantId);
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+    const newRefreshToken = await issueRefreshToken(basePayload);
     const accessToken = issueAccessToken(basePayload);
 
-    res.json({ accessToken, token: accessToken, refreshToken: newRefreshToken });
-  } catch (err) {
-    refreshTokens.delete(refreshToken);
-    return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    res.json({ accessToken, token: accessToken, refreshToken: newRefreshToken, user: sanitizeUser(user) });
+  } catch (error) {
+    console.error('[Auth] Refresh failed:', error.message);
+    res.status(500).json({ message: 'Failed to refresh session' });
   }
 });
 
-router.post('/logout', (req, res) => {
+router.post('/logout', async (req, res) => {
   const { refreshToken } = req.body || {};
-  if (refreshToken && refreshTokens.has(refreshToken)) {
-    refreshTokens.delete(refreshToken);
+  if (refreshToken) {
+    // Signature checked only - an expired token can still be revoked
+    try {
+      const decoded = jwt.verify(refreshToken, REFRESH_TOKEN_SECRET, { ignoreExpiration: true });
+      if (decoded.jti && typeof decoded.tenantId === 'string') {
+        await refreshTokensDb.revokeRefreshToken(decoded.jti, decoded.tenantId);
+      }
+    } catch (error) {
+      console.warn('[Auth] Logout with invalid refresh token:', error.message);
+    }
   }
   res.status(200).json({ message: 'Logged out' });
 });
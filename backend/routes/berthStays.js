@@ -0,0 +1,26 @@
+import express from 'express';
+import * as itineraryService from '../services/itinerary.js';
+
+const router = express.Router();
+
+// GET /api/berth-stays - Berth stays across port calls, with conflicts
+// Query: berthId (comma-separated), from, to (stays overlapping the window), conflicts=true (conflicting only)
+router.get('/', async (req, res) => {
+  try {
+    const { berthId, from, to, conflicts } = req.query;
+    res.json(await itineraryService.getBerthStays(req.tenantId, {
+      berthIds: berthId ? String(berthId).split(',').filter(Boolean) : undefined,
+      from,
+      to,
+      conflictsOnly: conflicts === 'true',
+    }));
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('[BerthStays] Error fetching berth stays:', error);
+    res.status(500).json({ message: 'Failed fetching berth stays', error: error.message });
+  }
+});
+
+export default router;
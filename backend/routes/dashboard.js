@@ -2,41 +2,13 @@ import express from 'express';
 import { getMockPortCalls, getMockVessels, getMockAisPosition, getMockOpsSites } from '../data/mockData.js';
 import * as vesselDb from '../db/vessels.js';
 import * as operationLogsDb from '../db/operationLogs.js';
-import { getProviderName, fetchLatestPosition } from '../services/ais/index.js';
+import * as manifestsDb from '../db/manifests.js';
+import * as approvalsDb from '../db/approvals.js';
+import { getProvider, getProviderName, fetchLatestPosition } from '../services/ais/index.js';
+import { checkPointInPolygon, checkPointInCircle, getDefaultGeofenceRadius } from '../services/geofence.js';
 
 const router = express.Router();
 
-// Helper function to check if point is inside polygon (ray casting algorithm)
-function checkPointInPolygon(point, polygon) {
-  if (!polygon || polygon.length < 3) return false;
-  
-  let inside = false;
-  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
-    const xi = polygon[i].lon, yi = polygon[i].lat;
-    const xj = polygon[j].lon, yj = polygon[j].lat;
-    
-    const intersect = ((yi > point.lat) !== (yj > point.lat)) &&
-      (point.lon < (xj - xi) * (point.lat - yi) / (yj - yi) + xi);
-    
-    if (intersect) inside = !inside;
-  }
-  return inside;
-}
-
-// Helper function to check if point is inside circle
-function checkPointInCircle(point, center, radius) {
-  const R = 6371000; // Earth radius in meters
-  const dLat = (point.lat - center.lat) * Math.PI / 180;
-  const dLon = (point.lon - center.lon) * Math.PI / 180;
-  const a = 
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(center.lat * Math.PI / 180) * Math.cos(point.lat * Math.PI / 180) *
-    Math.sin(dLon / 2) * Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  const distance = R * c;
-  return distance <= radius;
-}
-
 router.get('/stats', async (req, res) => {
   const { tenantId } = req;
   const portCalls = getMockPortCalls(tenantId);
@@ -55,8 +27,22 @@ router.get('/stats', async (req, res) => {
   
   const activePortCalls = portCalls.filter((pc) => pc.status === 'IN_PROGRESS').length;
   const shipsAtSea = portCalls.filter((pc) => pc.status === 'PLANNED').length;
-  const pendingIssues = portCalls.reduce((sum, pc) => sum + (pc.pendingIssues || 0), 0);
-  const totalCargo = portCalls.reduce((sum, pc) => sum + (pc.blCount || 0), 0);
+
+  // Open approvals, requirements and impediments on open port calls
+  let pendingIssues = 0;
+  try {
+    pendingIssues = await approvalsDb.countOpenApprovals(tenantId);
+  } catch (error) {
+    console.error('Error counting open approval items:', error);
+  }
+
+  // Bills of lading on the manifests of open port calls
+  let totalCargo = 0;
+  try {
+    totalCargo = await manifestsDb.countBillsOfLading(tenantId, ['PLANNED', 'IN_PROGRESS']);
+  } catch (error) {
+    console.error('Error counting bills of lading:', error);
+  }
   
   // Enhanced tactical stats
   const now = new Date();
@@ -143,15 +129,13 @@ router.get('/active-vessels', async (req, res) => {
   // Log AIS configuration status (always log, not just in dev)
   let providerName = 'unknown';
   try {
-    providerName = getProviderName();
+    providerName = getProviderName(tenantId);
   } catch (error) {
     console.error('[dashboard/active-vessels] Error getting provider name:', error.message);
     providerName = 'unknown';
   }
   
-  const hasAisApiKey = providerName.toLowerCase() === 'datalastic' 
-    ? !!process.env.DATALASTIC_API_KEY
-    : !!(process.env.MYSHIPTRACKING_API_KEY && process.env.MYSHIPTRACKING_SECRET_KEY);
+  const hasAisApiKey = providerName !== 'unknown' && getProvider(tenantId).isConfigured();
   console.log('[dashboard/active-vessels] AIS Configuration:', {
     tenantId,
     provider: providerName,
@@ -198,15 +182,13 @@ router.get('/active-vessels', async (req, res) => {
     // 4. Check if AIS API is configured
     let providerName = 'unknown';
     try {
-      providerName = getProviderName();
+      providerName = getProviderName(tenantId);
     } catch (error) {
       console.error(`[getVesselPosition] Error getting provider name:`, error.message);
       return null;
     }
     
-    const isConfigured = providerName.toLowerCase() === 'datalastic'
-      ? !!process.env.DATALASTIC_API_KEY
-      : !!(process.env.MYSHIPTRACKING_API_KEY && process.env.MYSHIPTRACKING_SECRET_KEY);
+    const isConfigured = getProvider(tenantId).isConfigured();
     
     if (!isConfigured) {
       console.log(`[getVesselPosition] ⚠️ AIS API not configured - cannot fetch position for vessel ${vessel.id} (${vessel.name})`);
@@ -239,7 +221,7 @@ router.get('/active-vessels', async (req, res) => {
       aisApiCallCount++;
       
       // Add timeout to prevent hanging requests (10 seconds)
-      const fetchPromise = fetchLatestPosition(identifier, { type });
+      const fetchPromise = fetchLatestPosition(identifier, { type, tenantId });
       const timeoutPromise = new Promise((_, reject) => 
         setTimeout(() => reject(new Error('AIS API fetch timeout after 10 seconds')), 10000)
       );
@@ -268,7 +250,7 @@ router.get('/active-vessels', async (req, res) => {
             cog: freshPosition.cog,
             heading: freshPosition.heading,
             navStatus: freshPosition.navStatus,
-            source: providerName.toLowerCase(),
+            source: freshPosition.source || providerName.toLowerCase(),
           });
           console.log(`[getVesselPosition] ✅ Position fetched and stored for vessel ${vessel.id} (${vessel.name})`);
         } catch (storeError) {
@@ -284,7 +266,7 @@ router.get('/active-vessels', async (req, res) => {
           cog: freshPosition.cog,
           heading: freshPosition.heading,
           navStatus: freshPosition.navStatus,
-          source: providerName.toLowerCase(),
+          source: freshPosition.source || providerName.toLowerCase(),
         };
       } else {
         console.warn(`[getVesselPosition] ⚠️ AIS API returned no position data for vessel ${vessel.id} (${vessel.name})`);
@@ -451,9 +433,7 @@ router.get('/active-vessels', async (req, res) => {
       } 
       // Check circular geofence
       else if (site.latitude && site.longitude) {
-        const radius = site.type === 'PORT' ? 5000 : 
-                      site.type === 'TERMINAL' ? 2000 : 
-                      site.type === 'BERTH' ? 500 : 10000;
+        const radius = getDefaultGeofenceRadius(site.type);
         isInside = checkPointInCircle(
           vesselPoint,
           { lat: site.latitude, lon: site.longitude },
@@ -544,7 +524,13 @@ router.get('/events', async (req, res) => {
           'VESSEL_CREATED': 'info',
           'POSITION_UPDATE': 'info',
           'STATUS_CHANGE': 'warning',
+          'PORT_CALL_STATUS_CHANGE': 'warning',
+          'PORT_CALL_ETA_DIVERGENCE': 'warning',
           'GEOFENCE_ENTRY': 'warning',
+          'ARRIVAL': 'info',
+          'ANCHORAGE': 'info',
+          'ALONGSIDE': 'info',
+          'DEPARTURE': 'info',
         };
         
         return {
@@ -553,6 +539,7 @@ router.get('/events', async (req, res) => {
           severity: severityMap[log.eventType] || 'info',
           timestamp: log.timestamp,
           vesselId: log.vesselId,
+          portCallId: log.portCallId,
           message: log.description,
           data: {
             positionLat: log.positionLat,
@@ -682,9 +669,7 @@ router.get('/events', async (req, res) => {
       } 
       // Check circular geofence
       else if (site.latitude && site.longitude) {
-        const radius = site.type === 'PORT' ? 5000 : 
-                      site.type === 'TERMINAL' ? 2000 : 
-                      site.type === 'BERTH' ? 500 : 10000;
+        const radius = getDefaultGeofenceRadius(site.type);
         isInside = checkPointInCircle(
           vesselPoint,
           { lat: site.latitude, lon: site.longitude },
@@ -744,9 +729,7 @@ router.get('/geofences', async (req, res) => {
           lat: port.lat || port.latitude,
           lon: port.lon || port.longitude,
         };
-        geofence.radius = port.type === 'PORT' ? 5000 : 
-                          port.type === 'TERMINAL' ? 2000 : 
-                          port.type === 'BERTH' ? 500 : 10000;
+        geofence.radius = getDefaultGeofenceRadius(port.type);
       }
       
       return geofence;
@@ -769,9 +752,7 @@ router.get('/geofences', async (req, res) => {
             lat: site.latitude,
             lon: site.longitude,
           };
-          geofence.radius = site.type === 'PORT' ? 5000 : 
-                            site.type === 'TERMINAL' ? 2000 : 
-                            site.type === 'BERTH' ? 500 : 10000;
+          geofence.radius = getDefaultGeofenceRadius(site.type);
         }
         
         return geofence;
@@ -800,9 +781,7 @@ router.get('/geofences', async (req, res) => {
             lat: site.latitude,
             lon: site.longitude,
           };
-          geofence.radius = site.type === 'PORT' ? 5000 : 
-                            site.type === 'TERMINAL' ? 2000 : 
-                            site.type === 'BERTH' ? 500 : 10000;
+          geofence.radius = getDefaultGeofenceRadius(site.type);
         }
         
         return geofence;
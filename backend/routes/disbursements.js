@@ -0,0 +1,163 @@
+import express from 'express';
+import * as disbursementService from '../services/disbursements.js';
+import { requireEditor } from '../middleware/auth.js';
+
+// Mounted under /api/port-calls/:id/disbursement-account
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Respond with a service error's status (4xx), or 500 for unexpected errors
+ */
+function sendError(res, error, action) {
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(`[Disbursements] Error ${action}:`, error);
+  res.status(500).json({ message: `Failed ${action}`, error: error.message });
+}
+
+// GET /api/port-calls/:id/disbursement-account - The account with lines, variance and totals (null if not started)
+router.get('/', async (req, res) => {
+  try {
+    res.json(await disbursementService.getDisbursementAccount(req.tenantId, req.params.id));
+  } catch (error) {
+    sendError(res, error, 'fetching disbursement account');
+  }
+});
+
+// POST /api/port-calls/:id/disbursement-account - Start the PDA, filled from the expected costs. Body: { currency? }
+router.post('/', requireEditor, async (req, res) => {
+  try {
+    const result = await disbursementService.startDisbursementAccount(
+      req.tenantId, req.params.id, req.body || {}, req.user?.userId
+    );
+    res.status(201).json(result);
+  } catch (error) {
+    sendError(res, error, 'starting disbursement account');
+  }
+});
+
+// PUT /api/port-calls/:id/disbursement-account - Update the header. Body: { currency?, customerId?, notes? }
+router.put('/', requireEditor, async (req, res) => {
+  try {
+    res.json(await disbursementService.updateDisbursementAccount(req.tenantId, req.params.id, req.body || {}));
+  } catch (error) {
+    sendError(res, error, 'updating disbursement account');
+  }
+});
+
+// DELETE /api/port-calls/:id/disbursement-account - Delete the account and its lines
+router.delete('/', requireEditor, async (req, res) => {
+  try {
+    await disbursementService.deleteDisbursementAccount(req.tenantId, req.params.id);
+    res.status(204).send();
+  } catch (error) {
+    sendError(res, error, 'deleting disbursement account');
+  }
+});
+
+// GET /api/port-calls/:id/disbursement-account/export?format=pdf|csv - Download the PDA or FDA
+router.get('/export', async (req, res) => {
+  try {
+    const { filename, contentType, body } = await disbursementService.exportDisbursementAccount(
+      req.tenantId, req.params.id, { format: req.query.format || undefined }
+    );
+    const content = Buffer.isBuffer(body) ? body : Buffer.from(body, 'utf8');
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Length', content.length);
+    res.send(content);
+  } catch (error) {
+    sendError(res, error, 'exporting disbursement account');
+  }
+});
+
+// POST /api/port-calls/:id/disbursement-account/prefill - Fill the PDA again from the expected costs
+router.post('/prefill', requireEditor, async (req, res) => {
+  try {
+    res.json(await disbursementService.prefillDisbursementAccount(req.tenantId, req.params.id));
+  } catch (error) {
+    sendError(res, error, 'filling disbursement account');
+  }
+});
+
+// POST /api/port-calls/:id/disbursement-account/funding-request - Request funding for the PDA
+// Body: { customerId?, amount?, dueAt? }
+router.post('/funding-request', requireEditor, async (req, res) => {
+  try {
+    res.json(await disbursementService.requestFunding(req.tenantId, req.params.id, req.body || {}, req.user?.userId));
+  } catch (error) {
+    sendError(res, error, 'requesting funding');
+  }
+});
+
+// POST /api/port-calls/:id/disbursement-account/funds-received - Record the funds received so far
+// Body: { amount, receivedAt? }
+router.post('/funds-received', requireEditor, async (req, res) => {
+  try {
+    res.json(await disbursementService.recordFundsReceived(req.tenantId, req.params.id, req.body || {}));
+  } catch (error) {
+    sendError(res, error, 'recording funds received');
+  }
+});
+
+// POST /api/port-calls/:id/disbursement-account/reconcile - Start or refresh the FDA from actual fees and purchase orders
+router.post('/reconcile', requireEditor, async (req, res) => {
+  try {
+    res.json(await disbursementService.reconcileDisbursementAccount(req.tenantId, req.params.id));
+  } catch (error) {
+    sendError(res, error, 'reconciling disbursement account');
+  }
+});
+
+// POST /api/port-calls/:id/disbursement-account/issue - Issue the FDA
+router.post('/issue', requireEditor, async (req, res) => {
+  try {
+    res.json(await disbursementService.issueFinalAccount(req.tenantId, req.params.id, req.user?.userId));
+  } catch (error) {
+    sendError(res, error, 'issuing FDA');
+  }
+});
+
+// POST /api/port-calls/:id/disbursement-account/reopen - Withdraw the funding request or reopen the FDA
+router.post('/reopen', requireEditor, async (req, res) => {
+  try {
+    res.json(await disbursementService.reopenDisbursementAccount(req.tenantId, req.params.id));
+  } catch (error) {
+    sendError(res, error, 'reopening disbursement account');
+  }
+});
+
+// POST /api/port-calls/:id/disbursement-account/lines - Add a line
+// Body: { category, description, estimatedAmount (PDA) | actualAmount (FDA), notes? }
+router.post('/lines', requireEditor, async (req, res) => {
+  try {
+    const line = await disbursementService.createDisbursementLine(req.tenantId, req.params.id, req.body || {});
+    res.status(201).json(line);
+  } catch (error) {
+    sendError(res, error, 'adding disbursement line');
+  }
+});
+
+// PUT /api/port-calls/:id/disbursement-account/lines/:lineId - Update a line
+router.put('/lines/:lineId', requireEditor, async (req, res) => {
+  try {
+    res.json(await disbursementService.updateDisbursementLine(
+      req.tenantId, req.params.id, req.params.lineId, req.body || {}
+    ));
+  } catch (error) {
+    sendError(res, error, 'updating disbursement line');
+  }
+});
+
+// DELETE /api/port-calls/:id/disbursement-account/lines/:lineId - Delete a line
+router.delete('/lines/:lineId', requireEditor, async (req, res) => {
+  try {
+    await disbursementService.deleteDisbursementLine(req.tenantId, req.params.id, req.params.lineId);
+    res.status(204).send();
+  } catch (error) {
+    sendError(res, error, 'deleting disbursement line');
+  }
+});
+
+export default router;
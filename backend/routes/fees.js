@@ -0,0 +1,155 @@
+import express from 'express';
+import * as feesDb from '../db/fees.js';
+import * as feeService from '../services/fees.js';
+import { requireRole, requireEditor } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const requireWaiver = requireRole(...feeService.WAIVER_ROLES);
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Respond with a service error's status (4xx), or 500 for unexpected errors
+ */
+function sendError(res, error, action) {
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(`[Fees] Error ${action}:`, error);
+  res.status(500).json({ message: `Failed ${action}`, error: error.message });
+}
+
+/**
+ * Read and validate the ledger filters from the query string
+ * @returns {{filters: Object}|{error: string}}
+ */
+function parseLedgerFilters(queryParams) {
+  const { status, feeType, portCallId, currency, overdue, dueFrom, dueTo } = queryParams;
+
+  if (status && !feesDb.FEE_STATUSES.includes(status)) {
+    return { error: `status must be one of: ${feesDb.FEE_STATUSES.join(', ')}` };
+  }
+  if (feeType && !feesDb.FEE_TYPES.includes(feeType)) {
+    return { error: `feeType must be one of: ${feesDb.FEE_TYPES.join(', ')}` };
+  }
+  for (const [field, value] of Object.entries({ dueFrom, dueTo })) {
+    if (value && !DATE_PATTERN.test(value)) {
+      return { error: `${field} must be a date (YYYY-MM-DD)` };
+    }
+  }
+
+  return {
+    filters: { status, feeType, portCallId, currency, overdue: overdue === 'true', dueFrom, dueTo },
+  };
+}
+
+// GET /api/fees - Fees ledger (?status=&feeType=&portCallId=&currency=&overdue=true&dueFrom=&dueTo=)
+router.get('/', async (req, res) => {
+  const { filters, error: validationError } = parseLedgerFilters(req.query);
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  try {
+    const fees = await feesDb.getFees(req.tenantId, filters);
+    res.json(fees);
+  } catch (error) {
+    sendError(res, error, 'fetching fees');
+  }
+});
+
+// GET /api/fees/summary - Ledger totals per currency (same filters as GET /api/fees)
+router.get('/summary', async (req, res) => {
+  const { filters, error: validationError } = parseLedgerFilters(req.query);
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  try {
+    const summary = await feesDb.getFeeSummary(req.tenantId, filters);
+    res.json(summary);
+  } catch (error) {
+    sendError(res, error, 'fetching fee summary');
+  }
+});
+
+// GET /api/fees/:id - Get a fee with its payments
+router.get('/:id', async (req, res) => {
+  try {
+    const fee = await feesDb.getFeeById(req.params.id, req.tenantId);
+    if (!fee) {
+      return res.status(404).json({ message: 'Fee not found' });
+    }
+    res.json(fee);
+  } catch (error) {
+    sendError(res, error, 'fetching fee');
+  }
+});
+
+// GET /api/fees/:id/invoice-lines - Draft invoice lines for the fee (one per breakdown line)
+router.get('/:id/invoice-lines', async (req, res) => {
+  try {
+    const fee = await feesDb.getFeeById(req.params.id, req.tenantId);
+    if (!fee) {
+      return res.status(404).json({ message: 'Fee not found' });
+    }
+    res.json(feeService.toInvoiceLines(fee));
+  } catch (error) {
+    sendError(res, error, 'building fee invoice lines');
+  }
+});
+
+// PUT /api/fees/:id - Update a DUE fee
+router.put('/:id', requireEditor, async (req, res) => {
+  try {
+    const fee = await feeService.updateFee(req.tenantId, req.params.id, req.body || {});
+    res.json(fee);
+  } catch (error) {
+    sendError(res, error, 'updating fee');
+  }
+});
+
+// DELETE /api/fees/:id - Delete a fee without payments
+router.delete('/:id', requireEditor, async (req, res) => {
+  try {
+    await feeService.deleteFee(req.tenantId, req.params.id);
+    res.status(204).send();
+  } catch (error) {
+    sendError(res, error, 'deleting fee');
+  }
+});
+
+// POST /api/fees/:id/payments - Record a payment
+// Body: { amount, paidAt?, referenceNumber?, notes? }
+router.post('/:id/payments', requireEditor, async (req, res) => {
+  try {
+    const fee = await feeService.recordPayment(req.tenantId, req.params.id, req.body || {}, req.user?.userId);
+    res.status(201).json(fee);
+  } catch (error) {
+    sendError(res, error, 'recording fee payment');
+  }
+});
+
+// DELETE /api/fees/:id/payments/:paymentId - Remove a payment recorded by mistake
+router.delete('/:id/payments/:paymentId', requireEditor, async (req, res) => {
+  try {
+    const fee = await feeService.deletePayment(req.tenantId, req.params.id, req.params.paymentId);
+    res.json(fee);
+  } catch (error) {
+    sendError(res, error, 'deleting fee payment');
+  }
+});
+
+// POST /api/fees/:id/waive - Waive a DUE fee
+// Body: { reason }
+router.post('/:id/waive', requireWaiver, async (req, res) => {
+  try {
+    const fee = await feeService.waiveFee(req.tenantId, req.params.id, req.body || {}, req.user?.userId);
+    res.json(fee);
+  } catch (error) {
+    sendError(res, error, 'waiving fee');
+  }
+});
+
+export default router;
@@ -0,0 +1,41 @@
+import express from 'express';
+import * as attachmentService from '../services/attachments.js';
+
+// Mounted under /api/files without authenticateToken: links are signed per tenant and expire
+// (services/attachments.js), so they work in <img> and <a> tags
+const router = express.Router();
+
+/**
+ * Content-Disposition with an ASCII fallback and the UTF-8 name (RFC 6266)
+ */
+function contentDisposition(type, fileName) {
+  const fallback = fileName.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+}
+
+// GET /api/files/:attachmentId?tenant=&variant=file|thumbnail&expires=&signature= - Download an attachment
+router.get('/:attachmentId', async (req, res) => {
+  try {
+    const file = await attachmentService.readSignedFile(req.params.attachmentId, req.query);
+    const isThumbnail = file.variant === 'thumbnail';
+
+    res.set({
+      'Content-Type': file.fileType,
+      'Content-Length': String(file.data.length),
+      // Files are always downloaded, never rendered by the browser; thumbnails are our own PNG/JPEG
+      'Content-Disposition': contentDisposition(isThumbnail ? 'inline' : 'attachment', file.fileName),
+      'X-Content-Type-Options': 'nosniff',
+      'Content-Security-Policy': "default-src 'none'; sandbox",
+      'Cache-Control': 'private, max-age=300',
+    });
+    res.send(file.data);
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('[Files] Error downloading attachment:', error);
+    res.status(500).json({ message: 'Failed downloading attachment', error: error.message });
+  }
+});
+
+export default router;
@@ -1,51 +1,161 @@
 import express from 'express';
-import crypto from 'crypto';
+import * as invoicesDb from '../db/invoices.js';
+import * as portCallsDb from '../db/portCalls.js';
+import * as tenantsDb from '../db/tenants.js';
+import * as invoiceService from '../services/invoices.js';
+import { renderInvoicePdf } from '../services/invoicePdf.js';
+import { requireRole, requireEditor } from '../middleware/auth.js';
 
 const router = express.Router();
-const invoices = [];
 
-router.get('/', (req, res) => {
+const requireCorrector = requireRole(...invoiceService.CORRECTION_ROLES);
+
+/**
+ * Respond with a service error's status (4xx), or 500 for unexpected errors
+ */
+function sendError(res, error, action) {
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(`[Invoices] Error ${action}:`, error);
+  res.status(500).json({ message: `Failed ${action}`, error: error.message });
+}
+
+// GET /api/invoices - List invoices and credit notes (?status=&portCallId=&customerId=&documentType=)
+router.get('/', async (req, res) => {
   const { tenantId } = req;
-  const { status } = req.query;
-  let results = invoices.filter((inv) => inv.tenantId === tenantId);
-  if (status) {
-    results = results.filter((inv) => inv.status === status);
-  }
-  res.json(results);
-});
-
-router.post('/', (req, res) => {
-  const { tenantId, user } = req;
-  const { portCallId, customerId, totalAmount = 0, currency = 'BRL' } = req.body || {};
-  const invoice = {
-    id: `inv-${crypto.randomUUID()}`,
-    tenantId,
-    portCallId: portCallId || null,
-    customerId: customerId || null,
-    totalAmount,
-    currency,
-    status: 'DRAFT',
-    issuedAt: null,
-    createdAt: new Date().toISOString(),
-    createdBy: user?.userId,
-  };
-  invoices.push(invoice);
-  res.status(201).json(invoice);
-});
-
-router.post('/:id/issue', (req, res) => {
+  const { status, portCallId, customerId, documentType } = req.query;
+
+  if (status && !invoicesDb.INVOICE_STATUSES.includes(status)) {
+    return res.status(400).json({ message: `status must be one of: ${invoicesDb.INVOICE_STATUSES.join(', ')}` });
+  }
+  if (documentType && !invoicesDb.INVOICE_DOCUMENT_TYPES.includes(documentType)) {
+    return res.status(400).json({
+      message: `documentType must be one of: ${invoicesDb.INVOICE_DOCUMENT_TYPES.join(', ')}`,
+    });
+  }
+
+  try {
+    const invoices = await invoicesDb.getInvoices(tenantId, { status, portCallId, customerId, documentType });
+    res.json(invoices);
+  } catch (error) {
+    sendError(res, error, 'fetching invoices');
+  }
+});
+
+// GET /api/invoices/:id - Get an invoice with its lines (and credit notes)
+router.get('/:id', async (req, res) => {
+  try {
+    const invoice = await invoicesDb.getInvoiceById(req.params.id, req.tenantId);
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+    res.json(invoice);
+  } catch (error) {
+    sendError(res, error, 'fetching invoice');
+  }
+});
+
+// GET /api/invoices/:id/pdf - Download the invoice as PDF
+router.get('/:id/pdf', async (req, res) => {
   const { tenantId } = req;
-  const { id } = req.params;
-  const invoice = invoices.find((inv) => inv.id === id && inv.tenantId === tenantId);
-  if (!invoice) {
-    return res.status(404).json({ message: 'Invoice not found' });
+
+  try {
+    const invoice = await invoicesDb.getInvoiceById(req.params.id, tenantId);
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    const [tenant, portCall] = await Promise.all([
+      tenantsDb.getTenantById(tenantId),
+      invoice.portCallId ? portCallsDb.getPortCallById(invoice.portCallId, tenantId) : null,
+    ]);
+    const pdf = renderInvoicePdf(invoice, { tenant, portCall, locale: tenant?.defaultLocale || 'en-US' });
+
+    const filename = `${invoice.invoiceNumber || `draft-${invoice.id}`}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Length', pdf.length);
+    res.send(pdf);
+  } catch (error) {
+    sendError(res, error, 'rendering invoice PDF');
   }
-  invoice.status = 'ISSUED';
-  invoice.issuedAt = new Date().toISOString();
-  // PDF generation would be offloaded to a worker in production
-  invoice.pdfJob = { status: 'QUEUED' };
-  res.json(invoice);
 });
 
-export default router;
+// POST /api/invoices - Create a draft invoice
+router.post('/', requireEditor, async (req, res) => {
+  try {
+    const invoice = await invoiceService.createDraftInvoice(req.tenantId, req.body || {}, req.user?.userId);
+    res.status(201).json(invoice);
+  } catch (error) {
+    sendError(res, error, 'creating invoice');
+  }
+});
 
+// POST /api/invoices/laytime - Draft an invoice for a port call's demurrage (despatch is not invoiced)
+// Body: { portCallId, customerId | billTo, dueAt?, taxRate?, notes? }
+router.post('/laytime', requireEditor, async (req, res) => {
+  try {
+    const invoice = await invoiceService.createLaytimeInvoice(req.tenantId, req.body || {}, req.user?.userId);
+    res.status(201).json(invoice);
+  } catch (error) {
+    sendError(res, error, 'creating laytime invoice');
+  }
+});
+
+// PUT /api/invoices/:id - Update a draft invoice
+router.put('/:id', requireEditor, async (req, res) => {
+  try {
+    const invoice = await invoiceService.updateDraftInvoice(req.tenantId, req.params.id, req.body || {});
+    res.json(invoice);
+  } catch (error) {
+    sendError(res, error, 'updating invoice');
+  }
+});
+
+// DELETE /api/invoices/:id - Delete a draft invoice or credit note
+router.delete('/:id', requireEditor, async (req, res) => {
+  try {
+    await invoiceService.deleteDraftInvoice(req.tenantId, req.params.id);
+    res.status(204).send();
+  } catch (error) {
+    sendError(res, error, 'deleting invoice');
+  }
+});
+
+// POST /api/invoices/:id/issue - Issue a draft (assigns the invoice number)
+router.post('/:id/issue', requireEditor, async (req, res) => {
+  try {
+    const invoice = await invoiceService.issueInvoice(req.tenantId, req.params.id, req.body || {});
+    res.json(invoice);
+  } catch (error) {
+    sendError(res, error, 'issuing invoice');
+  }
+});
+
+// POST /api/invoices/:id/void - Void an issued invoice or credit note ({ reason })
+router.post('/:id/void', requireCorrector, async (req, res) => {
+  try {
+    const invoice = await invoiceService.voidInvoice(req.tenantId, req.params.id, req.body || {});
+    res.json(invoice);
+  } catch (error) {
+    sendError(res, error, 'voiding invoice');
+  }
+});
+
+// POST /api/invoices/:id/credit-notes - Draft a credit note against an issued invoice
+router.post('/:id/credit-notes', requireCorrector, async (req, res) => {
+  try {
+    const creditNote = await invoiceService.createCreditNote(
+      req.tenantId,
+      req.params.id,
+      req.body || {},
+      req.user?.userId
+    );
+    res.status(201).json(creditNote);
+  } catch (error) {
+    sendError(res, error, 'creating credit note');
+  }
+});
+
+export default router;
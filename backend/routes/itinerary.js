@@ -0,0 +1,94 @@
+import express from 'express';
+import * as itineraryService from '../services/itinerary.js';
+import { requireEditor } from '../middleware/auth.js';
+
+// Mounted under /api/port-calls/:id/itinerary
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Respond with a service error's status (4xx, with berth conflicts on 409), or 500 for unexpected errors
+ */
+function sendError(res, error, action) {
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({
+      message: error.message,
+      ...(error.conflicts && { conflicts: error.conflicts }),
+    });
+  }
+  console.error(`[Itinerary] Error ${action}:`, error);
+  res.status(500).json({ message: `Failed ${action}`, error: error.message });
+}
+
+// GET /api/port-calls/:id/itinerary - Itinerary stops and berth stays (with berth conflicts)
+router.get('/', async (req, res) => {
+  try {
+    res.json(await itineraryService.getItinerary(req.tenantId, req.params.id));
+  } catch (error) {
+    sendError(res, error, 'fetching itinerary');
+  }
+});
+
+// POST /api/port-calls/:id/itinerary/escalas - Add an itinerary stop
+// Body: { portId, sequence?, terminal?, plannedEta?, plannedEtd?, actualEta?, actualEtd?, status?, notes? }
+router.post('/escalas', requireEditor, async (req, res) => {
+  try {
+    const escala = await itineraryService.createEscala(req.tenantId, req.params.id, req.body || {});
+    res.status(201).json(escala);
+  } catch (error) {
+    sendError(res, error, 'creating itinerary stop');
+  }
+});
+
+// PUT /api/port-calls/:id/itinerary/escalas/:escalaId - Update an itinerary stop
+router.put('/escalas/:escalaId', requireEditor, async (req, res) => {
+  try {
+    const { id, escalaId } = req.params;
+    res.json(await itineraryService.updateEscala(req.tenantId, id, escalaId, req.body || {}));
+  } catch (error) {
+    sendError(res, error, 'updating itinerary stop');
+  }
+});
+
+// DELETE /api/port-calls/:id/itinerary/escalas/:escalaId - Remove an itinerary stop
+router.delete('/escalas/:escalaId', requireEditor, async (req, res) => {
+  try {
+    await itineraryService.deleteEscala(req.tenantId, req.params.id, req.params.escalaId);
+    res.status(204).send();
+  } catch (error) {
+    sendError(res, error, 'deleting itinerary stop');
+  }
+});
+
+// POST /api/port-calls/:id/itinerary/berth-stays - Allocate a berth
+// Body: { berthId, startTime, endTime, escalaId?, pier?, operationType?, actualStart?, actualEnd?,
+//   draftArrival?, draftDeparture?, notes?, allowConflict? } - 409 with conflicts when the berth is taken
+router.post('/berth-stays', requireEditor, async (req, res) => {
+  try {
+    const stay = await itineraryService.createBerthStay(req.tenantId, req.params.id, req.body || {});
+    res.status(201).json(stay);
+  } catch (error) {
+    sendError(res, error, 'creating berth stay');
+  }
+});
+
+// PUT /api/port-calls/:id/itinerary/berth-stays/:stayId - Update a berth stay
+router.put('/berth-stays/:stayId', requireEditor, async (req, res) => {
+  try {
+    const { id, stayId } = req.params;
+    res.json(await itineraryService.updateBerthStay(req.tenantId, id, stayId, req.body || {}));
+  } catch (error) {
+    sendError(res, error, 'updating berth stay');
+  }
+});
+
+// DELETE /api/port-calls/:id/itinerary/berth-stays/:stayId - Remove a berth stay
+router.delete('/berth-stays/:stayId', requireEditor, async (req, res) => {
+  try {
+    await itineraryService.deleteBerthStay(req.tenantId, req.params.id, req.params.stayId);
+    res.status(204).send();
+  } catch (error) {
+    sendError(res, error, 'deleting berth stay');
+  }
+});
+
+export default router;
@@ -0,0 +1,50 @@
+import express from 'express';
+import * as laytimeService from '../services/laytime.js';
+import { requireEditor } from '../middleware/auth.js';
+
+// Mounted under /api/port-calls/:id/laytime
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Respond with a service error's status (4xx), or 500 for unexpected errors
+ */
+function sendError(res, error, action) {
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(`[Laytime] Error ${action}:`, error);
+  res.status(500).json({ message: `Failed ${action}`, error: error.message });
+}
+
+// GET /api/port-calls/:id/laytime - Laytime terms and the calculation from the statement of facts
+router.get('/', async (req, res) => {
+  try {
+    res.json(await laytimeService.getLaytime(req.tenantId, req.params.id));
+  } catch (error) {
+    sendError(res, error, 'calculating laytime');
+  }
+});
+
+// PUT /api/port-calls/:id/laytime - Set the laytime terms
+// Body: { terms: SHINC|SHEX, allowedHours | cargoQuantity + cargoRate, turnTimeHours?, reversible?,
+//   reversiblePortCallIds?, weatherExcepted?, stoppagesExcepted?, holidays?, currency, demurrageRate,
+//   despatchRate?, notes? }
+router.put('/', requireEditor, async (req, res) => {
+  try {
+    res.json(await laytimeService.saveLaytimeTerms(req.tenantId, req.params.id, req.body || {}));
+  } catch (error) {
+    sendError(res, error, 'saving laytime terms');
+  }
+});
+
+// DELETE /api/port-calls/:id/laytime - Remove the laytime terms
+router.delete('/', requireEditor, async (req, res) => {
+  try {
+    await laytimeService.deleteLaytimeTerms(req.tenantId, req.params.id);
+    res.status(204).send();
+  } catch (error) {
+    sendError(res, error, 'deleting laytime terms');
+  }
+});
+
+export default router;
@@ -0,0 +1,92 @@
+import express from 'express';
+import * as manifestService from '../services/manifests.js';
+import { requireEditor } from '../middleware/auth.js';
+
+// Mounted under /api/port-calls/:id/manifests
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Respond with a service error's status (4xx), or 500 for unexpected errors
+ */
+function sendError(res, error, action) {
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(`[Manifests] Error ${action}:`, error);
+  res.status(500).json({ message: `Failed ${action}`, error: error.message });
+}
+
+// GET /api/port-calls/:id/manifests - Manifests of the port call, each with its bills of lading
+router.get('/', async (req, res) => {
+  try {
+    res.json(await manifestService.getManifests(req.tenantId, req.params.id));
+  } catch (error) {
+    sendError(res, error, 'fetching manifests');
+  }
+});
+
+// POST /api/port-calls/:id/manifests - Create a manifest
+// Body: { manifestNumber, type, cargoType?, portOfLoading?, portOfDischarge?, notes? }
+router.post('/', requireEditor, async (req, res) => {
+  try {
+    const manifest = await manifestService.createManifest(req.tenantId, req.params.id, req.body || {});
+    res.status(201).json(manifest);
+  } catch (error) {
+    sendError(res, error, 'creating manifest');
+  }
+});
+
+// PUT /api/port-calls/:id/manifests/:manifestId - Update a manifest
+router.put('/:manifestId', requireEditor, async (req, res) => {
+  try {
+    const { id, manifestId } = req.params;
+    res.json(await manifestService.updateManifest(req.tenantId, id, manifestId, req.body || {}));
+  } catch (error) {
+    sendError(res, error, 'updating manifest');
+  }
+});
+
+// DELETE /api/port-calls/:id/manifests/:manifestId - Delete a manifest and its bills of lading
+router.delete('/:manifestId', requireEditor, async (req, res) => {
+  try {
+    await manifestService.deleteManifest(req.tenantId, req.params.id, req.params.manifestId);
+    res.status(204).send();
+  } catch (error) {
+    sendError(res, error, 'deleting manifest');
+  }
+});
+
+// POST /api/port-calls/:id/manifests/:manifestId/bills-of-lading - Add a bill of lading
+// Body: { blNumber, shipper?, consignee?, notifyParty?, cargoDescription?, packageCount?, weight?, volume?, containerInfo? }
+router.post('/:manifestId/bills-of-lading', requireEditor, async (req, res) => {
+  try {
+    const { id, manifestId } = req.params;
+    const billOfLading = await manifestService.createBillOfLading(req.tenantId, id, manifestId, req.body || {});
+    res.status(201).json(billOfLading);
+  } catch (error) {
+    sendError(res, error, 'creating bill of lading');
+  }
+});
+
+// PUT /api/port-calls/:id/manifests/:manifestId/bills-of-lading/:blId - Update a bill of lading
+router.put('/:manifestId/bills-of-lading/:blId', requireEditor, async (req, res) => {
+  try {
+    const { id, manifestId, blId } = req.params;
+    res.json(await manifestService.updateBillOfLading(req.tenantId, id, manifestId, blId, req.body || {}));
+  } catch (error) {
+    sendError(res, error, 'updating bill of lading');
+  }
+});
+
+// DELETE /api/port-calls/:id/manifests/:manifestId/bills-of-lading/:blId - Remove a bill of lading
+router.delete('/:manifestId/bills-of-lading/:blId', requireEditor, async (req, res) => {
+  try {
+    const { id, manifestId, blId } = req.params;
+    await manifestService.deleteBillOfLading(req.tenantId, id, manifestId, blId);
+    res.status(204).send();
+  } catch (error) {
+    sendError(res, error, 'deleting bill of lading');
+  }
+});
+
+export default router;
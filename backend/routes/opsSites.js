@@ -2,8 +2,11 @@ import express from 'express';
 import { getMockOpsSites, createMockOpsSite, updateMockOpsSite, deleteMockOpsSite } from '../data/mockData.js';
 import * as portsDb from '../db/ports.js';
 import * as vesselsDb from '../db/vessels.js';
+import * as itineraryService from '../services/itinerary.js';
+import * as aisReconcileService from '../services/aisReconcile.js';
 import { fetchPortEstimates, fetchPortCalls, fetchVesselsInPort } from '../services/ais/index.js';
 import { aisApiLimiter } from '../middleware/aisApiRateLimit.js';
+import { requireEditor } from '../middleware/auth.js';
 import crypto from 'crypto';
 
 const router = express.Router();
@@ -88,7 +91,7 @@ router.get('/:id/port-estimates', aisApiLimiter, async (req, res) => {
     }
     
     // Fetch port estimates from AIS API
-    const estimates = await fetchPortEstimates(portId, { useUnloco });
+    const estimates = await fetchPortEstimates(portId, { useUnloco, tenantId });
     
     // Filter to only show tenant vessels
     const filteredEstimates = estimates.filter(est => 
@@ -149,7 +152,7 @@ router.get('/:id/port-calls-ais', aisApiLimiter, async (req, res) => {
     if (type !== undefined) params.type = Number(type);
     
     // Fetch port calls from AIS API
-    const calls = await fetchPortCalls(params);
+    const calls = await fetchPortCalls(params, { tenantId });
     
     // Filter to only show tenant vessels
     const filteredCalls = calls.filter(call => 
@@ -202,7 +205,7 @@ router.get('/:id/vessels-in-port', aisApiLimiter, async (req, res) => {
     }
     
     // Fetch vessels in port from AIS API
-    const vessels = await fetchVesselsInPort(portId, { useUnloco });
+    const vessels = await fetchVesselsInPort(portId, { useUnloco, tenantId });
     
     // Filter to only show tenant vessels
     const filteredVessels = vessels.filter(vessel => 
@@ -220,6 +223,49 @@ router.get('/:id/vessels-in-port', aisApiLimiter, async (req, res) => {
   }
 });
 
+// GET /api/ops-sites/:id/ais-reconcile - AIS arrivals/departures matched to the site's port calls, with proposed changes
+// Query: days (reported port calls to look back, default 7)
+router.get('/:id/ais-reconcile', aisApiLimiter, async (req, res) => {
+  try {
+    res.json(await aisReconcileService.getReconciliation(req.tenantId, req.params.id, { days: req.query.days }));
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('[Ops Sites] Error reconciling AIS port calls:', error);
+    res.status(error.status || 500).json({ message: 'Failed to reconcile AIS port calls', error: error.message });
+  }
+});
+
+// POST /api/ops-sites/:id/ais-reconcile/apply - Create missing port calls and apply AIS times to matched ones
+// Body: { items: [{ key?, portCallId | vesselId, changes: { eta?, etd?, actualArrival?, actualDeparture? } }] }
+router.post('/:id/ais-reconcile/apply', requireEditor, async (req, res) => {
+  try {
+    res.json(await aisReconcileService.applyReconciliation(req.tenantId, req.params.id, req.body?.items));
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('[Ops Sites] Error applying AIS reconciliation:', error);
+    res.status(500).json({ message: 'Failed to apply AIS reconciliation', error: error.message });
+  }
+});
+
+// GET /api/ops-sites/:id/berth-plan - Berths under the ops site with their stays and unallocated port calls
+// Query: from, to (ISO; defaults to the next 14 days)
+router.get('/:id/berth-plan', async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    res.json(await itineraryService.getBerthPlan(req.tenantId, req.params.id, { from, to }));
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('[Ops Sites] Error fetching berth plan:', error);
+    res.status(500).json({ message: 'Failed to fetch berth plan', error: error.message });
+  }
+});
+
 // GET /api/ops-sites/:id/portcalls - Get port calls for an ops site (legacy endpoint, kept for compatibility)
 // This must come before /:id route to avoid route conflicts
 router.get('/:id/portcalls', async (req, res) => {
@@ -1,117 +1,478 @@
 import express from 'express';
-import { getMockPortCalls, getMockPorts, getMockVessels } from '../data/mockData.js';
+import * as portCallsDb from '../db/portCalls.js';
+import * as vesselsDb from '../db/vessels.js';
+import * as portsDb from '../db/ports.js';
+import * as operationLogsDb from '../db/operationLogs.js';
+import * as portCallEventsDb from '../db/portCallEvents.js';
+import * as portCallLifecycle from '../services/portCallLifecycle.js';
+import * as feesDb from '../db/fees.js';
+import * as feeService from '../services/fees.js';
+import * as tariffService from '../services/tariffs.js';
+import * as approvalsDb from '../db/approvals.js';
+import * as approvalService from '../services/approvals.js';
+import * as etaPrediction from '../services/etaPrediction.js';
+import * as attachmentService from '../services/attachments.js';
+import { requireEditor } from '../middleware/auth.js';
+import { createTravellerRouter } from './travellers.js';
+import manifestRoutes from './manifests.js';
+import attachmentRoutes from './attachments.js';
+import itineraryRoutes from './itinerary.js';
+import statementOfFactsRoutes from './statementOfFacts.js';
+import laytimeRoutes from './laytime.js';
+import disbursementRoutes from './disbursements.js';
 
 const router = express.Router();
 
-router.get('/', (req, res) => {
+/**
+ * Parse an optional date query/body value
+ * @returns {{ value: string|null, invalid: boolean }}
+ */
+function parseDate(value) {
+  if (value === undefined || value === null || value === '') {
+    return { value: null, invalid: false };
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return { value: null, invalid: true };
+  }
+  return { value: date.toISOString(), invalid: false };
+}
+
+/**
+ * Validate the ETA/ETD of a port call payload
+ * @returns {string|null} Error message or null if valid
+ */
+function validatePortCallPayload(body) {
+  for (const field of ['eta', 'etd']) {
+    if (parseDate(body[field]).invalid) {
+      return `${field} must be a valid date`;
+    }
+  }
+  const eta = parseDate(body.eta).value;
+  const etd = parseDate(body.etd).value;
+  if (eta && etd && new Date(etd) < new Date(eta)) {
+    return 'etd must be after eta';
+  }
+  return null;
+}
+
+/**
+ * Check the vessel and port a port call references belong to the tenant
+ * @returns {Promise<string|null>} Error message or null if valid
+ */
+async function validatePortCallReferences(tenantId, { vesselId, portId }) {
+  if (vesselId && !(await vesselsDb.getVesselById(vesselId, tenantId))) {
+    return 'vesselId does not match a vessel of this tenant';
+  }
+  if (portId && !(await portsDb.getPortById(portId, tenantId))) {
+    return 'portId does not match an ops site of this tenant';
+  }
+  return null;
+}
+
+// GET /api/port-calls - List port calls (filters: status, vesselId, portId, from, to; sort; limit/offset)
+router.get('/', async (req, res) => {
   const { tenantId } = req;
-  const { limit, sort, status, vesselId } = req.query;
-  
-  let portCalls = getMockPortCalls(tenantId);
+  const { limit, offset, sort, status, vesselId, portId, from, to } = req.query;
+
   const limitNumber = parseInt(limit, 10);
   // Validate limit is a positive integer, default to 50 if invalid or negative
-  const parsedLimit = Number.isFinite(limitNumber) && limitNumber > 0 
-    ? Math.min(limitNumber, 200) 
+  const parsedLimit = Number.isFinite(limitNumber) && limitNumber > 0
+    ? Math.min(limitNumber, 200)
     : 50;
-  
-  // Filter by status
-  if (status) {
-    const statuses = status.split(',');
-    portCalls = portCalls.filter((pc) => statuses.includes(pc.status));
-  }
-  
-  // Filter by vesselId
-  if (vesselId) {
-    portCalls = portCalls.filter((pc) => pc.vesselId === vesselId);
-  }
-  
-  // Simple sorting
-  if (sort === 'eta:desc') {
-    portCalls.sort((a, b) => new Date(b.eta) - new Date(a.eta));
-  }
-  
-  portCalls = portCalls.slice(0, parsedLimit);
-  
-  res.json(portCalls);
+  const offsetNumber = parseInt(offset, 10);
+  const parsedOffset = Number.isFinite(offsetNumber) && offsetNumber > 0 ? offsetNumber : 0;
+
+  const statuses = status ? status.split(',').map((s) => s.trim()).filter(Boolean) : [];
+  const invalidStatus = statuses.find((s) => !portCallsDb.PORT_CALL_STATUSES.includes(s));
+  if (invalidStatus) {
+    return res.status(400).json({ message: `Invalid status: ${invalidStatus}` });
+  }
+
+  const fromDate = parseDate(from);
+  const toDate = parseDate(to);
+  if (fromDate.invalid || toDate.invalid) {
+    return res.status(400).json({ message: 'from/to must be valid dates' });
+  }
+
+  try {
+    const { portCalls, total } = await portCallsDb.getPortCalls(tenantId, {
+      statuses,
+      vesselId: vesselId || null,
+      portId: portId || null,
+      from: fromDate.value,
+      to: toDate.value,
+      sort,
+      limit: parsedLimit,
+      offset: parsedOffset,
+    });
+
+    const rangeEnd = portCalls.length > 0 ? parsedOffset + portCalls.length - 1 : parsedOffset;
+    res.set('Content-Range', `port-calls ${parsedOffset}-${rangeEnd}/${total}`);
+    res.json(portCalls);
+  } catch (error) {
+    console.error('[Port Calls] Error fetching port calls:', error);
+    res.status(500).json({ message: 'Failed to fetch port calls', error: error.message });
+  }
 });
 
-router.get('/:id', (req, res) => {
+// GET /api/port-calls/:id - Get single port call
+router.get('/:id', async (req, res) => {
   const { tenantId } = req;
   const { id } = req.params;
-  
-  const portCalls = getMockPortCalls(tenantId);
-  const portCall = portCalls.find((pc) => pc.id === id && pc.tenantId === tenantId);
-  
-  if (!portCall) {
-    return res.status(404).json({ message: 'Port call not found' });
-  }
-  
-  res.json(portCall);
+
+  try {
+    const portCall = await portCallsDb.getPortCallById(id, tenantId);
+
+    if (!portCall) {
+      return res.status(404).json({ message: 'Port call not found' });
+    }
+
+    res.json({
+      ...portCall,
+      allowedTransitions: portCallLifecycle.getAllowedTransitions(portCall.status),
+    });
+  } catch (error) {
+    console.error('[Port Calls] Error fetching port call:', error);
+    res.status(500).json({ message: 'Failed to fetch port call', error: error.message });
+  }
 });
 
-router.post('/', async (req, res) => {
+// POST /api/port-calls - Create port call
+router.post('/', requireEditor, async (req, res) => {
   const { tenantId } = req;
   const { vesselId, portId, eta, etd, status = 'PLANNED', localReferenceType, localReferenceNumber } = req.body;
-  
+
+  // Validate required fields
+  if (!vesselId) {
+    return res.status(400).json({ message: 'vesselId is required' });
+  }
+
+  // New port calls always start at the beginning of the lifecycle
+  if (status !== 'PLANNED') {
+    return res.status(400).json({ message: 'New port calls must have status PLANNED' });
+  }
+
+  const validationError = validatePortCallPayload({ eta, etd });
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
   try {
-    // Validate required fields
-    if (!vesselId) {
-      return res.status(400).json({ message: 'vesselId is required' });
-    }
-    
-    // Generate port call ID
-    const portCallId = `portcall-${Date.now()}-${crypto.randomUUID().substring(0, 8)}`;
-    
-    // Insert into database
-    const { query } = await import('../db/connection.js');
-    await query(
-      `INSERT INTO port_calls (
-        id, tenant_id, vessel_id, port_id, status, eta, etd,
-        local_reference_type, local_reference_number, created_at, updated_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
-      [portCallId, tenantId, vesselId, portId || null, status, eta || null, etd || null, localReferenceType || null, localReferenceNumber || null]
-    );
-    
-    // Fetch the created port call
-    const result = await query(
-      'SELECT * FROM port_calls WHERE id = $1 AND tenant_id = $2',
-      [portCallId, tenantId]
-    );
-    
-    const portCall = result.rows[0];
-    
-    res.status(201).json({
-      id: portCall.id,
-      tenantId: portCall.tenant_id,
-      vesselId: portCall.vessel_id,
-      portId: portCall.port_id,
-      status: portCall.status,
-      eta: portCall.eta,
-      etd: portCall.etd,
-      localReferenceType: portCall.local_reference_type,
-      localReferenceNumber: portCall.local_reference_number,
-      createdAt: portCall.created_at,
-      updatedAt: portCall.updated_at,
+    const referenceError = await validatePortCallReferences(tenantId, { vesselId, portId });
+    if (referenceError) {
+      return res.status(400).json({ message: referenceError });
+    }
+
+    const portCall = await portCallsDb.createPortCall(tenantId, {
+      vesselId,
+      portId,
+      status,
+      eta: parseDate(eta).value,
+      etd: parseDate(etd).value,
+      localReferenceType,
+      localReferenceNumber,
     });
+
+    res.status(201).json(portCall);
   } catch (error) {
     console.error('[Port Calls] Error creating port call:', error);
     res.status(500).json({ message: 'Failed to create port call', error: error.message });
   }
 });
 
-router.put('/:id', (req, res) => {
+// PUT /api/port-calls/:id - Update port call
+router.put('/:id', requireEditor, async (req, res) => {
   const { tenantId } = req;
   const { id } = req.params;
-  // In production, update port call in DB
-  res.json({ message: 'Port call updated', id });
+  const { vesselId, portId, eta, etd, status, localReferenceType, localReferenceNumber } = req.body;
+
+  if (status !== undefined) {
+    return res.status(400).json({
+      message: 'Status cannot be changed directly, use POST /api/port-calls/:id/transitions',
+    });
+  }
+
+  if (vesselId !== undefined && !vesselId) {
+    return res.status(400).json({ message: 'vesselId cannot be empty' });
+  }
+
+  try {
+    const existing = await portCallsDb.getPortCallById(id, tenantId);
+    if (!existing) {
+      return res.status(404).json({ message: 'Port call not found' });
+    }
+
+    // Validate against the merged result so a partial update cannot leave ETD before ETA
+    const validationError = validatePortCallPayload({
+      eta: eta !== undefined ? eta : existing.eta,
+      etd: etd !== undefined ? etd : existing.etd,
+    });
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const referenceError = await validatePortCallReferences(tenantId, { vesselId, portId });
+    if (referenceError) {
+      return res.status(400).json({ message: referenceError });
+    }
+
+    const portCall = await portCallsDb.updatePortCall(id, tenantId, {
+      vesselId,
+      portId,
+      eta: eta !== undefined ? parseDate(eta).value : undefined,
+      etd: etd !== undefined ? parseDate(etd).value : undefined,
+      localReferenceType,
+      localReferenceNumber,
+    });
+
+    if (!portCall) {
+      return res.status(404).json({ message: 'Port call not found' });
+    }
+
+    res.json(portCall);
+  } catch (error) {
+    console.error('[Port Calls] Error updating port call:', error);
+    res.status(500).json({ message: 'Failed to update port call', error: error.message });
+  }
+});
+
+// GET /api/port-calls/:id/events - Arrival/departure events (ARRIVAL, ANCHORAGE, ALONGSIDE, DEPARTURE)
+router.get('/:id/events', async (req, res) => {
+  const { tenantId } = req;
+  const { id } = req.params;
+
+  try {
+    const portCall = await portCallsDb.getPortCallById(id, tenantId);
+    if (!portCall) {
+      return res.status(404).json({ message: 'Port call not found' });
+    }
+
+    const events = await portCallEventsDb.getPortCallEvents(tenantId, id);
+    res.json(events);
+  } catch (error) {
+    console.error('[Port Calls] Error fetching events:', error);
+    res.status(500).json({ message: 'Failed to fetch port call events', error: error.message });
+  }
 });
 
-router.delete('/:id', (req, res) => {
+// GET /api/port-calls/:id/transitions - Status transition history
+router.get('/:id/transitions', async (req, res) => {
   const { tenantId } = req;
   const { id } = req.params;
-  // In production, delete port call in DB
-  res.json({ message: 'Port call deleted', id });
+
+  try {
+    const portCall = await portCallsDb.getPortCallById(id, tenantId);
+    if (!portCall) {
+      return res.status(404).json({ message: 'Port call not found' });
+    }
+
+    const logs = await operationLogsDb.getOperationLogs(tenantId, {
+      portCallId: id,
+      eventType: portCallLifecycle.PORT_CALL_STATUS_EVENT,
+      limit: 100,
+    });
+
+    res.json(logs);
+  } catch (error) {
+    console.error('[Port Calls] Error fetching transitions:', error);
+    res.status(500).json({ message: 'Failed to fetch transitions', error: error.message });
+  }
 });
 
-export default router;
+// POST /api/port-calls/:id/transitions - Move port call to a new status
+// Body: { status, actualArrival? (IN_PROGRESS), actualDeparture? (COMPLETED), reason? (CANCELLED) }
+router.post('/:id/transitions', requireEditor, async (req, res) => {
+  const { tenantId } = req;
+  const { id } = req.params;
+  const { status, ...payload } = req.body;
+
+  if (!status) {
+    return res.status(400).json({ message: 'status is required' });
+  }
+
+  try {
+    const portCall = await portCallLifecycle.transitionPortCall(tenantId, id, status, payload);
+
+    res.json({
+      ...portCall,
+      allowedTransitions: portCallLifecycle.getAllowedTransitions(portCall.status),
+    });
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('[Port Calls] Error transitioning port call:', error);
+    res.status(500).json({ message: 'Failed to transition port call', error: error.message });
+  }
+});
+
+// POST /api/port-calls/:id/predicted-eta - Recompute the predicted ETA now (the job refreshes it periodically)
+// Returns { predictedEta, reason? }; predictedEta is null with a reason when no prediction is available
+router.post('/:id/predicted-eta', requireEditor, async (req, res) => {
+  try {
+    const result = await etaPrediction.predictPortCallEta(req.tenantId, req.params.id);
+    res.json(result);
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('[Port Calls] Error predicting ETA:', error);
+    res.status(500).json({ message: 'Failed to predict ETA', error: error.message });
+  }
+});
+
+// GET /api/port-calls/:id/fees - Fees and dues of the port call, with totals per currency
+router.get('/:id/fees', async (req, res) => {
+  const { tenantId } = req;
+  const { id } = req.params;
+
+  try {
+    const portCall = await portCallsDb.getPortCallById(id, tenantId);
+    if (!portCall) {
+      return res.status(404).json({ message: 'Port call not found' });
+    }
 
+    const [fees, summary] = await Promise.all([
+      feesDb.getFees(tenantId, { portCallId: id }),
+      feesDb.getFeeSummary(tenantId, { portCallId: id }),
+    ]);
+    res.json({ fees, summary });
+  } catch (error) {
+    console.error('[Port Calls] Error fetching fees:', error);
+    res.status(500).json({ message: 'Failed to fetch port call fees', error: error.message });
+  }
+});
+
+// POST /api/port-calls/:id/fees - Add a fee to the port call
+// Body: { feeType, amountDue, currency?, dueDate?, description?, calculationBase?, referenceNumber?, notes? }
+router.post('/:id/fees', requireEditor, async (req, res) => {
+  try {
+    const fee = await feeService.createFee(req.tenantId, req.params.id, req.body || {}, req.user?.userId);
+    res.status(201).json(fee);
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('[Port Calls] Error creating fee:', error);
+    res.status(500).json({ message: 'Failed to create fee', error: error.message });
+  }
+});
+
+// GET /api/port-calls/:id/fees/estimate - Fees computed from the ops site tariffs, with breakdowns
+router.get('/:id/fees/estimate', async (req, res) => {
+  try {
+    const estimate = await tariffService.estimatePortCallFees(req.tenantId, req.params.id);
+    res.json(estimate);
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('[Port Calls] Error estimating fees:', error);
+    res.status(500).json({ message: 'Failed to estimate fees', error: error.message });
+  }
+});
+
+// POST /api/port-calls/:id/fees/apply-tariffs - Create or refresh the port call's fees from the estimate
+router.post('/:id/fees/apply-tariffs', requireEditor, async (req, res) => {
+  try {
+    const result = await tariffService.applyTariffEstimate(req.tenantId, req.params.id, req.user?.userId);
+    res.json(result);
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('[Port Calls] Error applying tariffs:', error);
+    res.status(500).json({ message: 'Failed to apply tariffs', error: error.message });
+  }
+});
+
+// GET /api/port-calls/:id/approvals - Approvals, requirements and impediments of the port call, with counts
+router.get('/:id/approvals', async (req, res) => {
+  const { tenantId } = req;
+  const { id } = req.params;
+
+  try {
+    const portCall = await portCallsDb.getPortCallById(id, tenantId);
+    if (!portCall) {
+      return res.status(404).json({ message: 'Port call not found' });
+    }
+
+    const [items, summary] = await Promise.all([
+      approvalsDb.getApprovals(tenantId, { portCallId: id }),
+      approvalsDb.getApprovalSummary(tenantId, { portCallId: id }),
+    ]);
+    res.json({ items, summary });
+  } catch (error) {
+    console.error('[Port Calls] Error fetching approval items:', error);
+    res.status(500).json({ message: 'Failed to fetch port call approval items', error: error.message });
+  }
+});
+
+// POST /api/port-calls/:id/approvals - Raise an approval, requirement or impediment on the port call
+// Body: { type, authority, description, dueDate?, travellerType?, travellerId?, notes? }
+router.post('/:id/approvals', requireEditor, async (req, res) => {
+  try {
+    const approval = await approvalService.createApproval(req.tenantId, req.params.id, req.body || {}, req.user?.userId);
+    res.status(201).json(approval);
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('[Port Calls] Error creating approval item:', error);
+    res.status(500).json({ message: 'Failed to create approval item', error: error.message });
+  }
+});
+
+// /api/port-calls/:id/crew and /passengers - Crew and passenger lists (FAL Forms 5 and 6)
+router.use('/:id/crew', createTravellerRouter('CREW'));
+router.use('/:id/passengers', createTravellerRouter('PASSENGER'));
+
+// /api/port-calls/:id/manifests - Cargo manifests and bills of lading
+router.use('/:id/manifests', manifestRoutes);
+
+// /api/port-calls/:id/attachments - Uploaded documents and photos
+router.use('/:id/attachments', attachmentRoutes);
+
+// /api/port-calls/:id/itinerary - Itinerary stops (escalas) and berth stays
+router.use('/:id/itinerary', itineraryRoutes);
+
+// /api/port-calls/:id/sof - Statement of facts
+router.use('/:id/sof', statementOfFactsRoutes);
+
+// /api/port-calls/:id/laytime - Laytime terms, demurrage and despatch
+router.use('/:id/laytime', laytimeRoutes);
+
+// /api/port-calls/:id/disbursement-account - Proforma and final disbursement accounts (PDA/FDA)
+router.use('/:id/disbursement-account', disbursementRoutes);
+
+// DELETE /api/port-calls/:id - Delete a PLANNED port call (later ones are cancelled instead)
+router.delete('/:id', requireEditor, async (req, res) => {
+  const { tenantId } = req;
+  const { id } = req.params;
+
+  try {
+    const portCall = await portCallsDb.getPortCallById(id, tenantId);
+    if (!portCall) {
+      return res.status(404).json({ message: 'Port call not found' });
+    }
+    if (portCall.status !== 'PLANNED') {
+      return res.status(409).json({
+        message: `Only PLANNED port calls can be deleted (this one is ${portCall.status}); cancel it instead`,
+      });
+    }
+
+    const deleted = await attachmentService.deletePortCallWithFiles(tenantId, id);
+
+    if (!deleted) {
+      return res.status(404).json({ message: 'Port call not found' });
+    }
+
+    res.json({ message: 'Port call deleted', id });
+  } catch (error) {
+    console.error('[Port Calls] Error deleting port call:', error);
+    res.status(500).json({ message: 'Failed to delete port call', error: error.message });
+  }
+});
+
+export default router;
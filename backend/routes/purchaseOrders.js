@@ -1,41 +1,116 @@
 import express from 'express';
-import crypto from 'crypto';
+import * as purchaseOrdersDb from '../db/purchaseOrders.js';
+import * as purchaseOrderLifecycle from '../services/purchaseOrderLifecycle.js';
+import { requireRole, requireEditor } from '../middleware/auth.js';
 
 const router = express.Router();
-const purchaseOrders = [];
 
-router.get('/', (req, res) => {
-  const { tenantId } = req;
-  res.json(purchaseOrders.filter((po) => po.tenantId === tenantId));
-});
+const requireApprover = requireRole(...purchaseOrderLifecycle.APPROVER_ROLES);
+
+/**
+ * Respond with a lifecycle error's status (4xx), or 500 for unexpected errors
+ */
+function sendError(res, error, action) {
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(`[Purchase Orders] Error ${action}:`, error);
+  res.status(500).json({ message: `Failed ${action}`, error: error.message });
+}
 
-router.post('/', (req, res) => {
-  const { tenantId } = req;
-  const { supplierId, portCallId, totalAmount = 0, currency = 'BRL' } = req.body || {};
-  const po = {
-    id: `po-${crypto.randomUUID()}`,
-    tenantId,
-    supplierId: supplierId || null,
-    portCallId: portCallId || null,
-    totalAmount,
-    currency,
-    status: 'DRAFT',
-    createdAt: new Date().toISOString(),
+function withAllowedTransitions(purchaseOrder, user) {
+  return {
+    ...purchaseOrder,
+    allowedTransitions: purchaseOrderLifecycle.getAllowedTransitions(purchaseOrder.status, user?.role),
   };
-  purchaseOrders.push(po);
-  res.status(201).json(po);
+}
+
+// GET /api/purchase-orders - List purchase orders (?status=&portCallId=&supplierId=)
+router.get('/', async (req, res) => {
+  const { status, portCallId, supplierId } = req.query;
+
+  if (status && !purchaseOrdersDb.PURCHASE_ORDER_STATUSES.includes(status)) {
+    return res.status(400).json({
+      message: `status must be one of: ${purchaseOrdersDb.PURCHASE_ORDER_STATUSES.join(', ')}`,
+    });
+  }
+
+  try {
+    const purchaseOrders = await purchaseOrdersDb.getPurchaseOrders(req.tenantId, { status, portCallId, supplierId });
+    res.json(purchaseOrders.map((po) => withAllowedTransitions(po, req.user)));
+  } catch (error) {
+    sendError(res, error, 'fetching purchase orders');
+  }
 });
 
-router.post('/:id/submit', (req, res) => {
-  const { tenantId } = req;
-  const { id } = req.params;
-  const po = purchaseOrders.find((p) => p.id === id && p.tenantId === tenantId);
-  if (!po) {
-    return res.status(404).json({ message: 'Purchase order not found' });
+// GET /api/purchase-orders/:id - Get a purchase order with lines and status history
+router.get('/:id', async (req, res) => {
+  try {
+    const purchaseOrder = await purchaseOrdersDb.getPurchaseOrderById(req.params.id, req.tenantId);
+    if (!purchaseOrder) {
+      return res.status(404).json({ message: 'Purchase order not found' });
+    }
+    res.json(withAllowedTransitions(purchaseOrder, req.user));
+  } catch (error) {
+    sendError(res, error, 'fetching purchase order');
   }
-  po.status = 'SUBMITTED';
-  res.json(po);
 });
 
-export default router;
+// POST /api/purchase-orders - Create a draft purchase order
+router.post('/', requireEditor, async (req, res) => {
+  try {
+    const purchaseOrder = await purchaseOrderLifecycle.createPurchaseOrder(req.tenantId, req.body || {}, req.user?.userId);
+    res.status(201).json(withAllowedTransitions(purchaseOrder, req.user));
+  } catch (error) {
+    sendError(res, error, 'creating purchase order');
+  }
+});
+
+// PUT /api/purchase-orders/:id - Update a draft or rejected purchase order
+router.put('/:id', requireEditor, async (req, res) => {
+  try {
+    const purchaseOrder = await purchaseOrderLifecycle.updatePurchaseOrder(req.tenantId, req.params.id, req.body || {});
+    res.json(withAllowedTransitions(purchaseOrder, req.user));
+  } catch (error) {
+    sendError(res, error, 'updating purchase order');
+  }
+});
+
+// DELETE /api/purchase-orders/:id - Delete a draft purchase order
+router.delete('/:id', requireEditor, async (req, res) => {
+  try {
+    await purchaseOrderLifecycle.deletePurchaseOrder(req.tenantId, req.params.id);
+    res.status(204).send();
+  } catch (error) {
+    sendError(res, error, 'deleting purchase order');
+  }
+});
+
+// Workflow actions: POST /api/purchase-orders/:id/{submit|approve|reject|receive|close}
+// Body: { comment } ({ reason } for reject)
+const ACTIONS = [
+  { path: 'submit', toStatus: 'SUBMITTED', guard: requireEditor },
+  { path: 'approve', toStatus: 'APPROVED', guard: requireApprover },
+  { path: 'reject', toStatus: 'REJECTED', guard: requireApprover },
+  { path: 'receive', toStatus: 'RECEIVED', guard: requireEditor },
+  { path: 'close', toStatus: 'CLOSED', guard: requireEditor },
+];
 
+for (const { path, toStatus, guard } of ACTIONS) {
+  router.post(`/:id/${path}`, guard, async (req, res) => {
+    try {
+      const purchaseOrder = await purchaseOrderLifecycle.transitionPurchaseOrder(
+        req.tenantId,
+        req.params.id,
+        toStatus,
+        req.body || {},
+        req.user
+      );
+      res.json(withAllowedTransitions(purchaseOrder, req.user));
+    } catch (error) {
+      sendError(res, error, `moving purchase order to ${toStatus}`);
+    }
+  });
+}
+
+export default router;
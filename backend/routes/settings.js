@@ -1,6 +1,21 @@
 import express from 'express';
-import { getAisConfig, setAisConfig } from '../services/aisConfig.js';
+import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import {
+  getAisConfig,
+  setAisConfig,
+  getAisPollingSettings,
+  getPublicAisConfig,
+  TENANT_AIS_PROVIDERS,
+} from '../services/aisConfig.js';
+import * as aisUsageDb from '../db/aisUsage.js';
+import * as vesselDb from '../db/vessels.js';
+import * as usersDb from '../db/users.js';
+import * as refreshTokensDb from '../db/refreshTokens.js';
+import * as attachmentService from '../services/attachments.js';
+import { getAisPollerStatus } from '../jobs/aisPositionPoller.js';
 import { getProviderName, getProvider } from '../services/ais/index.js';
+import { createProvider } from '../services/ais/providerFactory.js';
 import { requireRole } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -34,79 +49,395 @@ router.put('/tenant', requireRole('ADMIN'), (req, res) => {
   res.json(updated);
 });
 
-router.get('/users', requireRole('ADMIN'), (req, res) => {
+const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Random temporary password, shown once to the admin who set it
+ */
+function generateTemporaryPassword() {
+  return crypto.randomBytes(9).toString('base64url');
+}
+
+/**
+ * Validate an admin-supplied password, or generate one if none was given
+ * @returns {{password: string, generated: boolean}|{error: string}}
+ */
+function resolvePassword(password) {
+  if (password === undefined || password === null || password === '') {
+    return { password: generateTemporaryPassword(), generated: true };
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return { error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+  }
+  return { password, generated: false };
+}
+
+router.get('/users', requireRole('ADMIN'), async (req, res) => {
   const { tenantId } = req;
-  // In production, fetch from DB
-  res.json([
-    {
-      id: 'user-1',
-      email: 'demo@marines.app',
-      name: 'Demo User',
-      role: 'ADMIN',
-    },
-  ]);
+  try {
+    res.json(await usersDb.getUsers(tenantId));
+  } catch (error) {
+    console.error('[settings/users] Error fetching users:', error);
+    res.status(500).json({ message: 'Failed to fetch users', error: error.message });
+  }
+});
+
+// Invite a user: created active with the given or a generated temporary password
+router.post('/users', requireRole('ADMIN'), async (req, res) => {
+  const { tenantId } = req;
+  const { email, name, role = 'OPERATOR', password } = req.body || {};
+
+  if (!email || !emailRegex.test(email)) {
+    return res.status(400).json({ message: 'A valid email is required' });
+  }
+  if (!name || !String(name).trim()) {
+    return res.status(400).json({ message: 'Name is required' });
+  }
+  if (!usersDb.USER_ROLES.includes(role)) {
+    return res.status(400).json({ message: `Role must be one of: ${usersDb.USER_ROLES.join(', ')}` });
+  }
+  const resolved = resolvePassword(password);
+  if (resolved.error) {
+    return res.status(400).json({ message: resolved.error });
+  }
+
+  try {
+    const user = await usersDb.createUser(tenantId, {
+      email,
+      name: String(name),
+      role,
+      passwordHash: await bcrypt.hash(resolved.password, 10),
+      invitedBy: req.user.userId,
+    });
+    res.status(201).json({
+      user,
+      ...(resolved.generated && { temporaryPassword: resolved.password }),
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ message: 'A user with this email already exists' });
+    }
+    console.error('[settings/users] Error creating user:', error);
+    res.status(500).json({ message: 'Failed to create user', error: error.message });
+  }
+});
+
+// Change name, role or active flag
+router.put('/users/:id', requireRole('ADMIN'), async (req, res) => {
+  const { tenantId } = req;
+  const { id } = req.params;
+  const { name, role, isActive } = req.body || {};
+
+  if (role !== undefined && !usersDb.USER_ROLES.includes(role)) {
+    return res.status(400).json({ message: `Role must be one of: ${usersDb.USER_ROLES.join(', ')}` });
+  }
+  if (isActive !== undefined && typeof isActive !== 'boolean') {
+    return res.status(400).json({ message: 'isActive must be a boolean' });
+  }
+  if (name !== undefined && !String(name).trim()) {
+    return res.status(400).json({ message: 'Name cannot be empty' });
+  }
+
+  try {
+    const existing = await usersDb.getUserById(id, tenantId);
+    if (!existing) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const losesAdmin = existing.role === 'ADMIN' && existing.isActive
+      && ((role !== undefined && role !== 'ADMIN') || isActive === false);
+    if (losesAdmin) {
+      if (id === req.user.userId) {
+        return res.status(400).json({ message: 'You cannot remove your own admin access or deactivate yourself' });
+      }
+      if (await usersDb.countActiveAdmins(tenantId) <= 1) {
+        return res.status(400).json({ message: 'The tenant must keep at least one active admin' });
+      }
+    }
+
+    const user = await usersDb.updateUser(id, tenantId, {
+      name: name !== undefined ? String(name).trim() : undefined,
+      role,
+      isActive,
+    });
+
+    // Access tokens expire on their own (ACCESS_TOKEN_TTL); refresh is refused from now on
+    if (isActive === false) {
+      await refreshTokensDb.revokeUserRefreshTokens(id, tenantId);
+    }
+
+    res.json(user);
+  } catch (error) {
+    console.error('[settings/users] Error updating user:', error);
+    res.status(500).json({ message: 'Failed to update user', error: error.message });
+  }
 });
 
-router.get('/ais', (req, res) => {
-  const providerName = getProviderName().toLowerCase();
-  const provider = getProvider();
+// Reset a user's password (given, or generated and returned once); signs the user out everywhere
+router.post('/users/:id/reset-password', requireRole('ADMIN'), async (req, res) => {
+  const { tenantId } = req;
+  const { id } = req.params;
+
+  const resolved = resolvePassword(req.body?.password);
+  if (resolved.error) {
+    return res.status(400).json({ message: resolved.error });
+  }
+
+  try {
+    const updated = await usersDb.setUserPasswordHash(id, tenantId, await bcrypt.hash(resolved.password, 10));
+    if (!updated) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    await refreshTokensDb.revokeUserRefreshTokens(id, tenantId);
+
+    res.json({
+      message: 'Password reset',
+      ...(resolved.generated && { temporaryPassword: resolved.password }),
+    });
+  } catch (error) {
+    console.error('[settings/users] Error resetting password:', error);
+    res.status(500).json({ message: 'Failed to reset password', error: error.message });
+  }
+});
+
+/**
+ * Build the scheduled polling + daily budget usage section of the AIS settings response
+ */
+async function getAisPollingReport(tenantId) {
+  const settings = getAisPollingSettings(tenantId);
+  let usage = null;
+  try {
+    const today = await aisUsageDb.getTodayAisUsage(tenantId);
+    usage = {
+      date: today.date,
+      callsToday: today.callCount,
+      pollerCallsToday: today.pollerCallCount,
+      remainingToday: Math.max(0, settings.dailyCallBudget - today.callCount),
+      lastCallAt: today.lastCallAt,
+      history: await aisUsageDb.getAisUsageHistory(tenantId, 7),
+    };
+  } catch (error) {
+    console.warn('[settings/ais] Could not load AIS usage:', error.message);
+  }
+
+  return {
+    polling: {
+      ...settings,
+      ...getAisPollerStatus(tenantId),
+    },
+    usage,
+  };
+}
+
+router.get('/ais', async (req, res) => {
+  const { tenantId } = req;
+  const tenantConfig = getPublicAisConfig(tenantId);
+  const providerName = getProviderName(tenantId).toLowerCase();
+  const provider = getProvider(tenantId);
   const isConfigured = provider.isConfigured();
   
   // Get provider-specific configuration
-  let apiKeyPresent = false;
   let apiUrl = '';
   
   if (providerName === 'datalastic') {
-    const apiKeyValue = process.env.DATALASTIC_API_KEY;
-    apiKeyPresent = !!apiKeyValue;
     apiUrl = process.env.DATALASTIC_API_URL || 'https://api.datalastic.com';
-    
-    console.log('[settings/ais] Datalastic API Key Check:', {
-      apiKeyPresent,
-      apiKeyLength: apiKeyValue?.length || 0,
-      apiKeyType: typeof apiKeyValue,
-      apiKeyFirstChars: apiKeyValue ? `${apiKeyValue.substring(0, 5)}...` : 'null/undefined',
-    });
   } else if (providerName === 'myshiptracking') {
-    const apiKeyValue = process.env.MYSHIPTRACKING_API_KEY;
-    const secretKeyValue = process.env.MYSHIPTRACKING_SECRET_KEY;
-    apiKeyPresent = !!apiKeyValue && !!secretKeyValue;
     apiUrl = process.env.MYSHIPTRACKING_API_URL || 'https://api.myshiptracking.com';
-    
-    console.log('[settings/ais] MyShipTracking API Key Check:', {
-      apiKeyPresent,
-      apiKeyLength: apiKeyValue?.length || 0,
-      secretKeyLength: secretKeyValue?.length || 0,
-      apiKeyType: typeof apiKeyValue,
-      apiKeyFirstChars: apiKeyValue ? `${apiKeyValue.substring(0, 5)}...` : 'null/undefined',
-    });
   }
   
+  // Composite provider: wrapped providers in priority order
+  const providers = provider.providers?.map((p) => ({
+    name: p.getName(),
+    configured: p.isConfigured(),
+  }));
+  
   // Both providers support MMSI and IMO
   res.json({
     provider: providerName,
     apiKeyPresent: isConfigured,
     apiUrl,
     supportedIdentifiers: ['MMSI', 'IMO'],
+    ...(providers && { providers }),
+    // Tenant's own provider selection (null provider = server default); keys are masked
+    tenantConfig,
+    availableProviders: Object.entries(TENANT_AIS_PROVIDERS).map(([id, info]) => ({ id, ...info })),
+    ...(await getAisPollingReport(tenantId)),
   });
 });
 
+/**
+ * Validate provider/key fields of an AIS settings request
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateProviderKeys({ provider, apiKey, secretKey }) {
+  if (provider && !TENANT_AIS_PROVIDERS[provider]) {
+    return `provider must be one of: ${Object.keys(TENANT_AIS_PROVIDERS).join(', ')} (or null for the server default)`;
+  }
+  if (provider && !apiKey) {
+    return `An API key is required to use ${TENANT_AIS_PROVIDERS[provider].name}`;
+  }
+  if (provider && TENANT_AIS_PROVIDERS[provider].requiresSecretKey && !secretKey) {
+    return `${TENANT_AIS_PROVIDERS[provider].name} requires both an API key and a secret key`;
+  }
+  return null;
+}
+
 router.put('/ais', requireRole('ADMIN'), async (req, res) => {
-  const providerName = getProviderName().toLowerCase();
+  const { tenantId } = req;
+  const { provider, apiKey, secretKey, clearKeys, pollFrequencyMinutes, dailyCallBudget } = req.body;
+  const existing = getAisConfig(tenantId) || {};
   
-  let message = '';
-  if (providerName === 'datalastic') {
-    message = 'Datalastic is managed via server environment variables (DATALASTIC_API_KEY). No tenant-level configuration is required.';
-  } else if (providerName === 'myshiptracking') {
-    message = 'MyShipTracking is managed via server environment variables (MYSHIPTRACKING_API_KEY, MYSHIPTRACKING_SECRET_KEY). No tenant-level configuration is required.';
-  } else {
-    message = `AIS provider "${providerName}" is managed via server environment variables. No tenant-level configuration is required.`;
+  const updates = {};
+  if (pollFrequencyMinutes !== undefined) {
+    const value = Number(pollFrequencyMinutes);
+    if (!Number.isInteger(value) || value < 0 || value > 1440) {
+      return res.status(400).json({ message: 'pollFrequencyMinutes must be an integer between 0 (disabled) and 1440' });
+    }
+    updates.pollFrequencyMinutes = value;
+  }
+  if (dailyCallBudget !== undefined) {
+    const value = Number(dailyCallBudget);
+    if (!Number.isInteger(value) || value < 0 || value > 100000) {
+      return res.status(400).json({ message: 'dailyCallBudget must be an integer between 0 and 100000' });
+    }
+    updates.dailyCallBudget = value;
   }
   
+  // Provider and keys: omitted fields keep their current value, blank key fields keep the stored key.
+  // Stored keys belong to the stored provider: switching providers drops them, so one vendor's key
+  // is never sent to another
+  if (provider !== undefined) {
+    updates.provider = provider || null;
+  }
+  if (clearKeys || (updates.provider !== undefined && updates.provider !== (existing.provider || null))) {
+    updates.apiKey = null;
+    updates.secretKey = null;
+  }
+  if (typeof apiKey === 'string' && apiKey.trim()) {
+    updates.apiKey = apiKey.trim();
+  }
+  if (typeof secretKey === 'string' && secretKey.trim()) {
+    updates.secretKey = secretKey.trim();
+  }
+  
+  const next = { ...existing, ...updates };
+  const validationError = validateProviderKeys(next);
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+  
+  if (Object.keys(updates).length > 0) {
+    try {
+      await setAisConfig(tenantId, next);
+    } catch (error) {
+      console.error('[settings/ais] Error saving AIS settings:', error);
+      return res.status(500).json({ message: 'Failed to save AIS settings', error: error.message });
+    }
+  }
+  
+  const providerName = getProviderName(tenantId);
+  const message = next.provider
+    ? `AIS data for this tenant now uses ${providerName} with the tenant's own API key.`
+    : `AIS data for this tenant uses the server default provider (${providerName}), configured via server environment variables.`;
+  
   res.status(200).json({
     message,
+    tenantConfig: getPublicAisConfig(tenantId),
+    ...(await getAisPollingReport(tenantId)),
   });
 });
 
+/**
+ * Test AIS provider credentials with a single latest-position lookup
+ * Body: { provider, apiKey, secretKey, mmsi } to test unsaved keys, or {} to test the saved config.
+ * Blank keys for the saved provider fall back to the stored keys.
+ */
+router.post('/ais/test', requireRole('ADMIN'), async (req, res) => {
+  const { tenantId } = req;
+  const existing = getAisConfig(tenantId) || {};
+  const providerId = req.body.provider === undefined ? existing.provider : req.body.provider;
+  
+  let provider;
+  if (providerId) {
+    const sameProvider = providerId === existing.provider;
+    const candidate = {
+      provider: providerId,
+      apiKey: req.body.apiKey?.trim() || (sameProvider ? existing.apiKey : null),
+      secretKey: req.body.secretKey?.trim() || (sameProvider ? existing.secretKey : null),
+    };
+    const validationError = validateProviderKeys(candidate);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+    provider = createProvider(providerId, { apiKey: candidate.apiKey, secretKey: candidate.secretKey });
+  } else {
+    provider = getProvider();
+  }
+  
+  if (!provider.isConfigured()) {
+    return res.json({ ok: false, provider: provider.getName(), message: `${provider.getName()} has no API key configured` });
+  }
+  
+  // Any vessel will do - a tracked one is most likely to have a recent position
+  let mmsi = req.body.mmsi ? String(req.body.mmsi).trim() : null;
+  if (!mmsi) {
+    try {
+      mmsi = (await vesselDb.getVessels(tenantId)).find((vessel) => /^\d{9}$/.test(vessel.mmsi || ''))?.mmsi || null;
+    } catch (error) {
+      console.warn('[settings/ais/test] Could not load vessels:', error.message);
+    }
+  }
+  if (!/^\d{9}$/.test(mmsi || '')) {
+    return res.status(400).json({ message: 'Provide a 9-digit MMSI to test with (no tenant vessel has one)' });
+  }
+  
+  try {
+    const position = await provider.fetchLatestPosition(mmsi, { type: 'mmsi' });
+    res.json({
+      ok: true,
+      provider: provider.getName(),
+      message: position
+        ? `${provider.getName()} returned a position for MMSI ${mmsi} (${position.timestamp || 'no timestamp'})`
+        : `${provider.getName()} accepted the credentials (no position for MMSI ${mmsi})`,
+    });
+  } catch (error) {
+    // A not-found answer still proves the credentials work
+    if (error.code === 'ERR_NOT_FOUND') {
+      return res.json({
+        ok: true,
+        provider: provider.getName(),
+        message: `${provider.getName()} accepted the credentials (no position for MMSI ${mmsi})`,
+      });
+    }
+    console.warn(`[settings/ais/test] ${provider.getName()} test failed (${error.code}):`, error.message);
+    res.json({ ok: false, provider: provider.getName(), message: error.message, code: error.code || null });
+  }
+});
+
+// GET /api/settings/attachments - File types and size accepted for attachments (upload forms show them)
+router.get('/attachments', async (req, res) => {
+  try {
+    res.json(await attachmentService.getAttachmentSettings(req.tenantId));
+  } catch (error) {
+    console.error('[Settings] Error fetching attachment settings:', error);
+    res.status(500).json({ message: 'Failed to fetch attachment settings', error: error.message });
+  }
+});
+
+// PUT /api/settings/attachments - Restrict attachment types and size for the tenant
+// Body: { allowedTypes: string[], maxFileSizeMb }
+router.put('/attachments', requireRole('ADMIN'), async (req, res) => {
+  try {
+    res.json(await attachmentService.updateAttachmentSettings(req.tenantId, req.body || {}));
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('[Settings] Error updating attachment settings:', error);
+    res.status(500).json({ message: 'Failed to update attachment settings', error: error.message });
+  }
+});
+
 export default router;
 
@@ -0,0 +1,120 @@
+import express from 'express';
+import * as sofService from '../services/statementOfFacts.js';
+import { requireEditor } from '../middleware/auth.js';
+
+// Mounted under /api/port-calls/:id/sof
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Respond with a service error's status (4xx), or 500 for unexpected errors
+ */
+function sendError(res, error, action) {
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(`[Statement of Facts] Error ${action}:`, error);
+  res.status(500).json({ message: `Failed ${action}`, error: error.message });
+}
+
+// GET /api/port-calls/:id/sof - The statement with its entries (null if not started)
+router.get('/', async (req, res) => {
+  try {
+    res.json(await sofService.getStatementOfFacts(req.tenantId, req.params.id));
+  } catch (error) {
+    sendError(res, error, 'fetching statement of facts');
+  }
+});
+
+// POST /api/port-calls/:id/sof - Start the statement, pre-filled from the port call's logged events
+router.post('/', requireEditor, async (req, res) => {
+  try {
+    const result = await sofService.startStatementOfFacts(req.tenantId, req.params.id, req.user?.userId);
+    res.status(201).json(result);
+  } catch (error) {
+    sendError(res, error, 'starting statement of facts');
+  }
+});
+
+// PUT /api/port-calls/:id/sof - Update the header. Body: { masterName?, remarks? }
+router.put('/', requireEditor, async (req, res) => {
+  try {
+    res.json(await sofService.updateStatementOfFacts(req.tenantId, req.params.id, req.body || {}));
+  } catch (error) {
+    sendError(res, error, 'updating statement of facts');
+  }
+});
+
+// POST /api/port-calls/:id/sof/prefill - Add logged events not yet on the statement
+router.post('/prefill', requireEditor, async (req, res) => {
+  try {
+    res.json(await sofService.prefillStatementOfFacts(req.tenantId, req.params.id));
+  } catch (error) {
+    sendError(res, error, 'pre-filling statement of facts');
+  }
+});
+
+// GET /api/port-calls/:id/sof/export - Download the statement (?format=pdf|docx|csv)
+router.get('/export', async (req, res) => {
+  try {
+    const { filename, contentType, body } = await sofService.exportStatementOfFacts(req.tenantId, req.params.id, {
+      format: req.query.format || undefined,
+    });
+    const content = Buffer.isBuffer(body) ? body : Buffer.from(body, 'utf8');
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Length', content.length);
+    res.send(content);
+  } catch (error) {
+    sendError(res, error, 'exporting statement of facts');
+  }
+});
+
+// POST /api/port-calls/:id/sof/sign - Sign the statement. Body: { masterName? }
+router.post('/sign', requireEditor, async (req, res) => {
+  try {
+    res.json(await sofService.signStatementOfFacts(req.tenantId, req.params.id, req.user?.userId, req.body || {}));
+  } catch (error) {
+    sendError(res, error, 'signing statement of facts');
+  }
+});
+
+// POST /api/port-calls/:id/sof/reopen - Remove the signature so the statement can be edited
+router.post('/reopen', requireEditor, async (req, res) => {
+  try {
+    res.json(await sofService.reopenStatementOfFacts(req.tenantId, req.params.id));
+  } catch (error) {
+    sendError(res, error, 'reopening statement of facts');
+  }
+});
+
+// POST /api/port-calls/:id/sof/entries - Add an entry
+// Body: { eventCode, startTime, endTime? (required for stoppages), description?, remarks? }
+router.post('/entries', requireEditor, async (req, res) => {
+  try {
+    const entry = await sofService.createSofEntry(req.tenantId, req.params.id, req.body || {});
+    res.status(201).json(entry);
+  } catch (error) {
+    sendError(res, error, 'adding statement of facts entry');
+  }
+});
+
+// PUT /api/port-calls/:id/sof/entries/:entryId - Update an entry
+router.put('/entries/:entryId', requireEditor, async (req, res) => {
+  try {
+    res.json(await sofService.updateSofEntry(req.tenantId, req.params.id, req.params.entryId, req.body || {}));
+  } catch (error) {
+    sendError(res, error, 'updating statement of facts entry');
+  }
+});
+
+// DELETE /api/port-calls/:id/sof/entries/:entryId - Delete an entry
+router.delete('/entries/:entryId', requireEditor, async (req, res) => {
+  try {
+    await sofService.deleteSofEntry(req.tenantId, req.params.id, req.params.entryId);
+    res.status(204).send();
+  } catch (error) {
+    sendError(res, error, 'deleting statement of facts entry');
+  }
+});
+
+export default router;
@@ -0,0 +1,45 @@
+import express from 'express';
+import { subscribeLiveEvents } from '../services/liveEvents.js';
+
+const router = express.Router();
+
+// Keeps proxies/load balancers from closing an idle stream
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// GET /api/stream/positions - Server-Sent Events stream of the tenant's stored positions and operation logs
+// Events: `position` (vessel_position_history row), `operation-log` (portcall_operation_logs row)
+// and `port-call-eta` (predicted ETA of a port call, see services/etaPrediction.js)
+router.get('/positions', (req, res) => {
+  const { tenantId } = req;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Disable nginx response buffering
+  });
+  res.flushHeaders();
+
+  // Ask EventSource-style clients to wait 5s before reconnecting
+  res.write('retry: 5000\n\n');
+  res.write(`event: ready\ndata: ${JSON.stringify({ tenantId, connectedAt: new Date().toISOString() })}\n\n`);
+
+  const unsubscribe = subscribeLiveEvents(tenantId, ({ type, data }) => {
+    try {
+      res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    } catch (error) {
+      console.error('[Stream] Error writing event:', error.message);
+    }
+  });
+
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+export default router;
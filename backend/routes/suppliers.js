@@ -0,0 +1,127 @@
+import express from 'express';
+import * as suppliersDb from '../db/suppliers.js';
+import { requireEditor } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Pick and validate supplier fields from the request body
+ * @param {boolean} partial - Only validate fields present (updates)
+ * @returns {{data: Object}|{error: string}}
+ */
+function parseSupplierPayload(body = {}, partial) {
+  const data = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) return { error: 'name is required' };
+    data.name = name;
+  }
+  if (body.contactEmail !== undefined) {
+    const email = body.contactEmail ? String(body.contactEmail).trim() : null;
+    if (email && !EMAIL_PATTERN.test(email)) return { error: 'contactEmail must be a valid email address' };
+    data.contactEmail = email;
+  }
+  for (const key of ['contactPhone', 'taxId', 'address', 'category', 'notes']) {
+    if (body[key] !== undefined) {
+      data[key] = body[key] ? String(body[key]).trim() : null;
+    }
+  }
+  if (body.isActive !== undefined) {
+    if (typeof body.isActive !== 'boolean') return { error: 'isActive must be a boolean' };
+    data.isActive = body.isActive;
+  }
+
+  return { data };
+}
+
+// GET /api/suppliers - List suppliers (?includeInactive=true)
+router.get('/', async (req, res) => {
+  try {
+    const suppliers = await suppliersDb.getSuppliers(req.tenantId, {
+      includeInactive: req.query.includeInactive === 'true',
+    });
+    res.json(suppliers);
+  } catch (error) {
+    console.error('[Suppliers] Error fetching suppliers:', error);
+    res.status(500).json({ message: 'Failed to fetch suppliers', error: error.message });
+  }
+});
+
+// GET /api/suppliers/:id - Get a supplier
+router.get('/:id', async (req, res) => {
+  try {
+    const supplier = await suppliersDb.getSupplierById(req.params.id, req.tenantId);
+    if (!supplier) {
+      return res.status(404).json({ message: 'Supplier not found' });
+    }
+    res.json(supplier);
+  } catch (error) {
+    console.error('[Suppliers] Error fetching supplier:', error);
+    res.status(500).json({ message: 'Failed to fetch supplier', error: error.message });
+  }
+});
+
+// POST /api/suppliers - Create a supplier
+router.post('/', requireEditor, async (req, res) => {
+  const { data, error: validationError } = parseSupplierPayload(req.body, false);
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  try {
+    const supplier = await suppliersDb.createSupplier(req.tenantId, data);
+    res.status(201).json(supplier);
+  } catch (error) {
+    console.error('[Suppliers] Error creating supplier:', error);
+    res.status(500).json({ message: 'Failed to create supplier', error: error.message });
+  }
+});
+
+// PUT /api/suppliers/:id - Update a supplier
+router.put('/:id', requireEditor, async (req, res) => {
+  const { data, error: validationError } = parseSupplierPayload(req.body, true);
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  try {
+    const supplier = await suppliersDb.updateSupplier(req.params.id, req.tenantId, data);
+    if (!supplier) {
+      return res.status(404).json({ message: 'Supplier not found' });
+    }
+    res.json(supplier);
+  } catch (error) {
+    console.error('[Suppliers] Error updating supplier:', error);
+    res.status(500).json({ message: 'Failed to update supplier', error: error.message });
+  }
+});
+
+// DELETE /api/suppliers/:id - Delete a supplier, or deactivate it if it has purchase orders
+router.delete('/:id', requireEditor, async (req, res) => {
+  const { tenantId } = req;
+  const { id } = req.params;
+
+  try {
+    const supplier = await suppliersDb.getSupplierById(id, tenantId);
+    if (!supplier) {
+      return res.status(404).json({ message: 'Supplier not found' });
+    }
+
+    // Keep suppliers referenced by purchase orders so order history stays readable
+    if (await suppliersDb.countSupplierPurchaseOrders(id, tenantId) > 0) {
+      const deactivated = await suppliersDb.updateSupplier(id, tenantId, { isActive: false });
+      return res.json({ ...deactivated, deactivated: true });
+    }
+
+    await suppliersDb.deleteSupplier(id, tenantId);
+    res.status(204).send();
+  } catch (error) {
+    console.error('[Suppliers] Error deleting supplier:', error);
+    res.status(500).json({ message: 'Failed to delete supplier', error: error.message });
+  }
+});
+
+export default router;
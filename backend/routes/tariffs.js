@@ -0,0 +1,91 @@
+import express from 'express';
+import * as tariffsDb from '../db/tariffs.js';
+import * as feesDb from '../db/fees.js';
+import * as tariffService from '../services/tariffs.js';
+import { requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const requireAdmin = requireRole(...tariffService.ADMIN_ROLES);
+
+/**
+ * Respond with a service error's status (4xx), or 500 for unexpected errors
+ */
+function sendError(res, error, action) {
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(`[Tariffs] Error ${action}:`, error);
+  res.status(500).json({ message: `Failed ${action}`, error: error.message });
+}
+
+// GET /api/tariffs - List tariffs with their rules (?opsSiteId=&feeType=&includeInactive=true)
+router.get('/', async (req, res) => {
+  const { opsSiteId, feeType, includeInactive } = req.query;
+  if (feeType && !feesDb.FEE_TYPES.includes(feeType)) {
+    return res.status(400).json({ message: `feeType must be one of: ${feesDb.FEE_TYPES.join(', ')}` });
+  }
+
+  try {
+    const tariffs = await tariffsDb.getTariffs(req.tenantId, {
+      opsSiteId,
+      feeType,
+      includeInactive: includeInactive === 'true',
+    });
+    res.json(tariffs);
+  } catch (error) {
+    sendError(res, error, 'fetching tariffs');
+  }
+});
+
+// GET /api/tariffs/:id - Get a tariff with its rules
+router.get('/:id', async (req, res) => {
+  try {
+    const tariff = await tariffsDb.getTariffById(req.params.id, req.tenantId);
+    if (!tariff) {
+      return res.status(404).json({ message: 'Tariff not found' });
+    }
+    res.json(tariff);
+  } catch (error) {
+    sendError(res, error, 'fetching tariff');
+  }
+});
+
+// POST /api/tariffs - Create a tariff
+// Body: { opsSiteId, name, feeType, currency?, minimumAmount?, validFrom?, validTo?, isActive?, notes?, rules }
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    const tariff = await tariffService.createTariff(req.tenantId, req.body || {});
+    res.status(201).json(tariff);
+  } catch (error) {
+    sendError(res, error, 'creating tariff');
+  }
+});
+
+// PUT /api/tariffs/:id - Update a tariff (rules, when given, replace the existing ones)
+router.put('/:id', requireAdmin, async (req, res) => {
+  try {
+    const tariff = await tariffService.updateTariff(req.tenantId, req.params.id, req.body || {});
+    if (!tariff) {
+      return res.status(404).json({ message: 'Tariff not found' });
+    }
+    res.json(tariff);
+  } catch (error) {
+    sendError(res, error, 'updating tariff');
+  }
+});
+
+// DELETE /api/tariffs/:id - Delete a tariff (fees estimated from it are kept)
+router.delete('/:id', requireAdmin, async (req, res) => {
+  try {
+    const deleted = await tariffsDb.deleteTariff(req.params.id, req.tenantId);
+    if (!deleted) {
+      return res.status(404).json({ message: 'Tariff not found' });
+    }
+    res.status(204).send();
+  } catch (error) {
+    sendError(res, error, 'deleting tariff');
+  }
+});
+
+export default router;
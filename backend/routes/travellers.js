@@ -0,0 +1,98 @@
+import express from 'express';
+import * as travellerService from '../services/travellers.js';
+import { requireEditor } from '../middleware/auth.js';
+
+/**
+ * Respond with a service error's status (4xx), or 500 for unexpected errors
+ */
+function sendError(res, error, action) {
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(`[Travellers] Error ${action}:`, error);
+  res.status(500).json({ message: `Failed ${action}`, error: error.message });
+}
+
+/**
+ * Router for a port call's crew or passenger list, mounted under /api/port-calls/:id
+ * @param {string} type - 'CREW' (mounted at /crew) or 'PASSENGER' (mounted at /passengers)
+ */
+export function createTravellerRouter(type) {
+  const router = express.Router({ mergeParams: true });
+  const noun = type === 'CREW' ? 'crew member' : 'passenger';
+  const list = type === 'CREW' ? 'crew list' : 'passenger list';
+
+  // GET /api/port-calls/:id/crew - The list, with documentExpired flags
+  router.get('/', async (req, res) => {
+    try {
+      res.json(await travellerService.getTravellers(req.tenantId, type, req.params.id));
+    } catch (error) {
+      sendError(res, error, `fetching ${list}`);
+    }
+  });
+
+  // POST /api/port-calls/:id/crew - Add a crew member or passenger
+  router.post('/', requireEditor, async (req, res) => {
+    try {
+      const traveller = await travellerService.createTraveller(req.tenantId, type, req.params.id, req.body || {});
+      res.status(201).json(traveller);
+    } catch (error) {
+      sendError(res, error, `adding ${noun}`);
+    }
+  });
+
+  // POST /api/port-calls/:id/crew/import - Import a CSV/XLSX list
+  // Body: { fileName, content (base64), mode?: 'append' | 'replace', dryRun? }
+  router.post('/import', requireEditor, async (req, res) => {
+    try {
+      res.json(await travellerService.importTravellers(req.tenantId, type, req.params.id, req.body || {}));
+    } catch (error) {
+      sendError(res, error, `importing ${list}`);
+    }
+  });
+
+  // GET /api/port-calls/:id/crew/export - FAL Form 5/6 (?format=pdf|csv&direction=arrival|departure)
+  router.get('/export', async (req, res) => {
+    try {
+      const { filename, contentType, body } = await travellerService.exportTravellers(req.tenantId, type, req.params.id, {
+        format: req.query.format || undefined,
+        direction: req.query.direction || undefined,
+      });
+      const content = Buffer.isBuffer(body) ? body : Buffer.from(body, 'utf8');
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.setHeader('Content-Length', content.length);
+      res.send(content);
+    } catch (error) {
+      sendError(res, error, `exporting ${list}`);
+    }
+  });
+
+  // PUT /api/port-calls/:id/crew/:travellerId - Update a crew member or passenger
+  router.put('/:travellerId', requireEditor, async (req, res) => {
+    try {
+      const traveller = await travellerService.updateTraveller(
+        req.tenantId,
+        type,
+        req.params.id,
+        req.params.travellerId,
+        req.body || {}
+      );
+      res.json(traveller);
+    } catch (error) {
+      sendError(res, error, `updating ${noun}`);
+    }
+  });
+
+  // DELETE /api/port-calls/:id/crew/:travellerId - Remove a crew member or passenger
+  router.delete('/:travellerId', requireEditor, async (req, res) => {
+    try {
+      await travellerService.deleteTraveller(req.tenantId, type, req.params.id, req.params.travellerId);
+      res.status(204).send();
+    } catch (error) {
+      sendError(res, error, `removing ${noun}`);
+    }
+  });
+
+  return router;
+}
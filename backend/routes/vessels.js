@@ -6,6 +6,8 @@ import {
 } from '../data/mockData.js';
 import * as vesselDb from '../db/vessels.js';
 import * as operationLogsDb from '../db/operationLogs.js';
+import * as aisUsageDb from '../db/aisUsage.js';
+import { getAisPollingSettings } from '../services/aisConfig.js';
 import { fetchLatestPosition, fetchLatestPositionByMmsi, fetchLatestPositionByImo, getProviderName } from '../services/ais/index.js';
 import { aisApiLimiter } from '../middleware/aisApiRateLimit.js';
 import { validateVesselIdentifier } from '../middleware/validateAis.js';
@@ -52,7 +54,7 @@ router.get('/preview-position', aisApiLimiter, validateVesselIdentifier, async (
   
   // Fetch position from AIS API
   try {
-    const position = await fetchLatestPosition(identifier, { type });
+    const position = await fetchLatestPosition(identifier, { type, tenantId });
     
     if (position && position.lat !== undefined && position.lon !== undefined) {
       const positionData = {
@@ -63,7 +65,7 @@ router.get('/preview-position', aisApiLimiter, validateVesselIdentifier, async (
         cog: position.cog,
         heading: position.heading,
         navStatus: position.navStatus,
-        source: getProviderName().toLowerCase(),
+        source: position.source || getProviderName(tenantId).toLowerCase(),
       };
       res.json(positionData);
       return;
@@ -79,7 +81,7 @@ router.get('/preview-position', aisApiLimiter, validateVesselIdentifier, async (
       type,
       error: error.message,
       errorType: error.constructor.name,
-      provider: getProviderName(),
+      provider: getProviderName(tenantId),
     });
     
     // Return appropriate error based on error type
@@ -136,7 +138,7 @@ router.post('/', async (req, res) => {
         
         console.log(`[Vessel Creation] Fetching initial position for vessel ${newVessel.id} (${newVessel.name}) - ${type.toUpperCase()}: ${identifier}`);
         
-        const position = await fetchLatestPosition(identifier, { type });
+        const position = await fetchLatestPosition(identifier, { type, tenantId });
         
         if (position && position.lat && position.lon) {
           // Store the position in database so vessel appears on dashboard map
@@ -149,7 +151,7 @@ router.post('/', async (req, res) => {
               cog: position.cog,
               heading: position.heading,
               navStatus: position.navStatus,
-              source: getProviderName().toLowerCase(),
+              source: position.source || getProviderName(tenantId).toLowerCase(),
             });
             console.log(`[Vessel Creation] ✅ Position stored for vessel ${newVessel.id} (${newVessel.name}): ${position.lat.toFixed(4)}, ${position.lon.toFixed(4)}`);
           } catch (storeError) {
@@ -283,8 +285,25 @@ router.get('/:id/position', aisApiLimiter, async (req, res) => {
       type = 'imo';
     }
     
+    // Enforce the tenant's daily AIS call budget (shared with the scheduled poller)
+    let withinBudget = true;
     if (identifier) {
-      const providerName = getProviderName();
+      try {
+        const { dailyCallBudget } = getAisPollingSettings(tenantId);
+        ({ allowed: withinBudget } = await aisUsageDb.reserveAisCall(tenantId, dailyCallBudget));
+      } catch (error) {
+        console.warn('[Vessel Position] Could not check AIS call budget, allowing call:', error.message);
+      }
+      if (!withinBudget) {
+        console.warn('[Vessel Position] Daily AIS call budget reached, skipping AIS API:', {
+          vesselId: id,
+          tenantId,
+        });
+      }
+    }
+    
+    if (identifier && withinBudget) {
+      const providerName = getProviderName(tenantId);
       console.log('[Vessel Position] Attempting to fetch from AIS API:', {
         vesselId: id,
         vesselName: vessel.name,
@@ -294,7 +313,7 @@ router.get('/:id/position', aisApiLimiter, async (req, res) => {
       });
       
       try {
-        const position = await fetchLatestPosition(identifier, { type });
+        const position = await fetchLatestPosition(identifier, { type, tenantId });
         
         if (position && position.lat !== undefined && position.lon !== undefined) {
           console.log('[Vessel Position] Successfully fetched from AIS API:', {
@@ -314,7 +333,7 @@ router.get('/:id/position', aisApiLimiter, async (req, res) => {
             cog: position.cog,
             heading: position.heading,
             navStatus: position.navStatus,
-            source: providerName.toLowerCase(),
+            source: position.source || providerName.toLowerCase(),
           };
           
           // Store position in history
@@ -343,7 +362,7 @@ router.get('/:id/position', aisApiLimiter, async (req, res) => {
             identifier,
             type,
             position: position,
-            provider: getProviderName(),
+            provider: getProviderName(tenantId),
           });
         }
       } catch (error) {
@@ -354,7 +373,7 @@ router.get('/:id/position', aisApiLimiter, async (req, res) => {
           error: error.message,
           errorStack: error.stack,
           errorType: error.constructor.name,
-          provider: getProviderName(),
+          provider: getProviderName(tenantId),
         });
         // Fall through to fallback options
       }
@@ -16,10 +16,22 @@ import agentsRoutes from './routes/agents.js';
 import teamsRoutes from './routes/teams.js';
 import invoiceRoutes from './routes/invoices.js';
 import purchaseOrderRoutes from './routes/purchaseOrders.js';
+import supplierRoutes from './routes/suppliers.js';
+import feeRoutes from './routes/fees.js';
+import tariffRoutes from './routes/tariffs.js';
+import approvalRoutes from './routes/approvals.js';
+import fileRoutes from './routes/files.js';
+import berthStayRoutes from './routes/berthStays.js';
+import streamRoutes from './routes/stream.js';
 import { authenticateToken } from './middleware/auth.js';
 import { testConnection } from './db/connection.js';
 import { idempotencyMiddleware } from './middleware/idempotency.js';
 import { attachTenantFromHost } from './middleware/tenantRouting.js';
+import { startPortCallEventDetector } from './jobs/portCallEventDetector.js';
+import { startAisPositionPoller } from './jobs/aisPositionPoller.js';
+import { startAisStreamIngestor } from './jobs/aisStreamIngestor.js';
+import { startEtaPredictor } from './jobs/etaPredictor.js';
+import { loadAisConfigs } from './services/aisConfig.js';
 
 dotenv.config();
 
@@ -158,6 +170,8 @@ app.get('/health', (req, res) => {
 // Public routes
 app.use('/api', apiLimiter);
 app.use('/api/auth', authLimiter, authRoutes);
+// Attachment downloads authorise through signed links
+app.use('/api/files', fileRoutes);
 
 // Protected routes
 app.use('/api/port-calls', authenticateToken, idempotencyMiddleware, portCallRoutes);
@@ -172,6 +186,12 @@ app.use('/api/agents', authenticateToken, agentsRoutes);
 app.use('/api/teams', authenticateToken, teamsRoutes);
 app.use('/api/invoices', authenticateToken, idempotencyMiddleware, invoiceRoutes);
 app.use('/api/purchase-orders', authenticateToken, idempotencyMiddleware, purchaseOrderRoutes);
+app.use('/api/suppliers', authenticateToken, supplierRoutes);
+app.use('/api/fees', authenticateToken, idempotencyMiddleware, feeRoutes);
+app.use('/api/tariffs', authenticateToken, tariffRoutes);
+app.use('/api/approvals', authenticateToken, approvalRoutes);
+app.use('/api/berth-stays', authenticateToken, berthStayRoutes);
+app.use('/api/stream', authenticateToken, streamRoutes);
 
 // Standardized error handler
 app.use((err, req, res, next) => {
@@ -187,6 +207,24 @@ if (process.env.DATABASE_URL) {
   testConnection().then((connected) => {
     if (connected) {
       console.log('✅ Database connection established');
+      // Tenant AIS providers/keys must be loaded before jobs poll with them
+      loadAisConfigs().catch((error) => {
+        console.error('❌ Failed to load tenant AIS configurations:', error.message);
+      }).then(() => {
+        // Background jobs need the database
+        if (process.env.PORT_CALL_DETECTION_ENABLED !== 'false') {
+          startPortCallEventDetector();
+        }
+        if (process.env.AIS_POLLER_ENABLED !== 'false') {
+          startAisPositionPoller();
+        }
+        if (process.env.AISSTREAM_INGEST_ENABLED !== 'false') {
+          startAisStreamIngestor();
+        }
+        if (process.env.ETA_PREDICTION_ENABLED !== 'false') {
+          startEtaPredictor();
+        }
+      });
     } else {
       console.warn('⚠️  Database connection failed - continuing with mock data');
     }
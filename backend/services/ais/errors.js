@@ -231,6 +231,33 @@ export function formatErrorResponse(error, includeDetails = false) {
   return response;
 }
 
+/**
+ * Error codes after which the composite provider moves on to the next provider.
+ * Credential, credit, rate-limit and upstream failures are provider-specific; so is
+ * "not found" (another provider's coverage may include the vessel).
+ * ERR_VALIDATOR / ERR_INVALID_IDENTIFIER are not here - the same request fails everywhere.
+ */
+export const FAILOVER_ERROR_CODES = [
+  'ERR_NO_KEY',
+  'ERR_INVALID_KEY',
+  'ERR_NO_CREDITS',
+  'ERR_RATE_LIMIT',
+  'ERR_INVALID_ROUTE',
+  'ERR_INTERNAL',
+  'ERR_NOT_FOUND',
+  'ERR_UNSUPPORTED',
+];
+
+/**
+ * Check if an error from one provider should fail over to the next
+ * Errors without a code (network failures, timeouts) also fail over.
+ * @param {Error} error - Error thrown by a provider
+ * @returns {boolean} True if the next provider should be tried
+ */
+export function shouldFailover(error) {
+  return !error?.code || FAILOVER_ERROR_CODES.includes(error.code);
+}
+
 // Export error code maps for reference
 export { MYSHIPTRACKING_ERROR_MAP, DATALASTIC_ERROR_MAP, HTTP_STATUS_TO_ERROR_CODE };
 
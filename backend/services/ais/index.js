@@ -13,29 +13,32 @@ import { getProvider } from './providerFactory.js';
  * @param {string} identifier - MMSI or IMO number
  * @param {object} options - Options object
  * @param {string} options.type - 'mmsi' or 'imo'
+ * @param {string} [options.tenantId] - Tenant whose provider/keys to use (default: server provider)
  * @returns {Promise<object|null>} Normalized position data or null if not found
  */
-export async function fetchLatestPosition(identifier, { type = 'mmsi' } = {}) {
-  const provider = getProvider();
+export async function fetchLatestPosition(identifier, { type = 'mmsi', tenantId } = {}) {
+  const provider = getProvider(tenantId);
   return provider.fetchLatestPosition(identifier, { type });
 }
 
 /**
  * Fetch latest vessel position by MMSI (backward compatibility)
  * @param {string} mmsi - MMSI number
+ * @param {object} [options] - { tenantId }
  * @returns {Promise<object|null>} Normalized position data or null if not found
  */
-export async function fetchLatestPositionByMmsi(mmsi) {
-  return fetchLatestPosition(mmsi, { type: 'mmsi' });
+export async function fetchLatestPositionByMmsi(mmsi, { tenantId } = {}) {
+  return fetchLatestPosition(mmsi, { type: 'mmsi', tenantId });
 }
 
 /**
  * Fetch latest vessel position by IMO
  * @param {string} imo - IMO number
+ * @param {object} [options] - { tenantId }
  * @returns {Promise<object|null>} Normalized position data or null if not found
  */
-export async function fetchLatestPositionByImo(imo) {
-  return fetchLatestPosition(imo, { type: 'imo' });
+export async function fetchLatestPositionByImo(imo, { tenantId } = {}) {
+  return fetchLatestPosition(imo, { type: 'imo', tenantId });
 }
 
 /**
@@ -44,10 +47,11 @@ export async function fetchLatestPositionByImo(imo) {
  * @param {object} options - Options object
  * @param {string} options.type - 'mmsi' or 'imo'
  * @param {number} options.hours - Number of hours of history (default: 24)
+ * @param {string} [options.tenantId] - Tenant whose provider/keys to use (default: server provider)
  * @returns {Promise<Array>} Array of position points
  */
-export async function fetchTrack(identifier, { type = 'mmsi', hours = 24 } = {}) {
-  const provider = getProvider();
+export async function fetchTrack(identifier, { type = 'mmsi', hours = 24, tenantId } = {}) {
+  const provider = getProvider(tenantId);
   return provider.fetchTrack(identifier, { type, hours });
 }
 
@@ -56,10 +60,11 @@ export async function fetchTrack(identifier, { type = 'mmsi', hours = 24 } = {})
  * @param {string} mmsi - MMSI number
  * @param {object} options - Options object
  * @param {number} options.hours - Number of hours of history (default: 24)
+ * @param {string} [options.tenantId] - Tenant whose provider/keys to use (default: server provider)
  * @returns {Promise<Array>} Array of position points
  */
-export async function fetchTrackByMmsi(mmsi, { hours = 24 } = {}) {
-  return fetchTrack(mmsi, { type: 'mmsi', hours });
+export async function fetchTrackByMmsi(mmsi, { hours = 24, tenantId } = {}) {
+  return fetchTrack(mmsi, { type: 'mmsi', hours, tenantId });
 }
 
 /**
@@ -71,10 +76,11 @@ export async function fetchTrackByMmsi(mmsi, { hours = 24 } = {}) {
  * @param {number} bounds.maxlon - Maximum longitude
  * @param {object} options - Options object
  * @param {number} options.max - Maximum number of vessels to return (default: 150)
+ * @param {string} [options.tenantId] - Tenant whose provider/keys to use (default: server provider)
  * @returns {Promise<Array>} Array of vessel positions
  */
-export async function fetchVesselsInZone(bounds, { max = 150 } = {}) {
-  const provider = getProvider();
+export async function fetchVesselsInZone(bounds, { max = 150, tenantId } = {}) {
+  const provider = getProvider(tenantId);
   return provider.fetchVesselsInZone(bounds, { max });
 }
 
@@ -83,10 +89,11 @@ export async function fetchVesselsInZone(bounds, { max = 150 } = {}) {
  * @param {string|number} portId - Port ID or UN/LOCODE
  * @param {object} options - Options object
  * @param {boolean} options.useUnloco - If true, use unloco parameter instead of port_id
+ * @param {string} [options.tenantId] - Tenant whose provider/keys to use (default: server provider)
  * @returns {Promise<Array>} Array of port estimate objects
  */
-export async function fetchPortEstimates(portId, { useUnloco = false } = {}) {
-  const provider = getProvider();
+export async function fetchPortEstimates(portId, { useUnloco = false, tenantId } = {}) {
+  const provider = getProvider(tenantId);
   return provider.fetchPortEstimates(portId, { useUnloco });
 }
 
@@ -100,10 +107,12 @@ export async function fetchPortEstimates(portId, { useUnloco = false } = {}) {
  * @param {string} params.todate - End date (ISO 8601, optional)
  * @param {number} params.days - Number of days back (optional, default 30)
  * @param {number} params.type - Event type: 0=all, 1=arrivals, 2=departures (optional)
+ * @param {object} [options] - Options object
+ * @param {string} [options.tenantId] - Tenant whose provider/keys to use (default: server provider)
  * @returns {Promise<Array>} Array of port call objects
  */
-export async function fetchPortCalls(params) {
-  const provider = getProvider();
+export async function fetchPortCalls(params, { tenantId } = {}) {
+  const provider = getProvider(tenantId);
   return provider.fetchPortCalls(params);
 }
 
@@ -112,10 +121,11 @@ export async function fetchPortCalls(params) {
  * @param {string|number} portId - Port ID or UN/LOCODE
  * @param {object} options - Options object
  * @param {boolean} options.useUnloco - If true, use unloco parameter instead of port_id
+ * @param {string} [options.tenantId] - Tenant whose provider/keys to use (default: server provider)
  * @returns {Promise<Array>} Array of vessel objects
  */
-export async function fetchVesselsInPort(portId, { useUnloco = false } = {}) {
-  const provider = getProvider();
+export async function fetchVesselsInPort(portId, { useUnloco = false, tenantId } = {}) {
+  const provider = getProvider(tenantId);
   return provider.fetchVesselsInPort(portId, { useUnloco });
 }
 
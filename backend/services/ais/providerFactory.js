@@ -1,18 +1,106 @@
 /**
  * AIS Provider Factory
- * Creates and manages the active AIS provider instance
+ * Creates and manages the active AIS provider instances: the server default (AIS_PROVIDER)
+ * and tenant-specific instances for tenants that selected their own provider or keys
+ * (TenantAisConfig, services/aisConfig.js).
  */
 
 import { MyShipTrackingProvider } from './providers/myshiptracking.js';
 import { DatalasticProvider } from './providers/datalastic.js';
+import { AisStreamProvider } from './providers/aisstream.js';
+import { CompositeAisProvider } from './providers/composite.js';
+import { SimulatedAisProvider } from './providers/simulated.js';
+import { getAisConfig } from '../aisConfig.js';
+
+const DEFAULT_PROVIDER_PRIORITY = 'datalastic,myshiptracking,aisstream';
 
 let activeProvider = null;
 
+// Tenant-specific instances: tenantId -> { updatedAt, provider } (rebuilt when the config changes)
+const tenantProviders = new Map();
+
+/**
+ * Create a single (non-composite) provider by name
+ * @param {string} providerName - 'datalastic', 'myshiptracking', 'aisstream' or 'simulated'
+ * @param {Object} [config] - Provider config (apiKey/secretKey override the env keys)
+ * @returns {BaseAisProvider|null} Provider instance, or null for an unknown name
+ */
+export function createProvider(providerName, config = {}) {
+  switch (providerName) {
+    case 'datalastic':
+      return new DatalasticProvider(config);
+    case 'myshiptracking':
+      return new MyShipTrackingProvider(config);
+    case 'aisstream':
+      return new AisStreamProvider(config);
+    case 'simulated':
+      return new SimulatedAisProvider(config);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Create the composite provider from AIS_PROVIDER_PRIORITY (comma-separated, highest priority first)
+ * @returns {CompositeAisProvider}
+ */
+function createCompositeProvider() {
+  const names = (process.env.AIS_PROVIDER_PRIORITY || DEFAULT_PROVIDER_PRIORITY)
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const providers = [];
+  for (const name of new Set(names)) {
+    const provider = createProvider(name);
+    if (provider) {
+      providers.push(provider);
+    } else {
+      console.warn(`[AIS Provider] Unknown provider "${name}" in AIS_PROVIDER_PRIORITY, ignoring`);
+    }
+  }
+
+  const composite = new CompositeAisProvider(providers);
+  console.log(`[AIS Provider] Composite priority: ${composite.getProviderNames().join(' > ')}`);
+  return composite;
+}
+
 /**
- * Get the active AIS provider
+ * Get the AIS provider for a tenant
+ * Tenants without their own provider selection use the server default provider.
+ * @param {string} [tenantId] - Tenant ID (omit for the server default)
+ * @returns {BaseAisProvider} Provider instance
+ */
+export function getProvider(tenantId) {
+  const config = tenantId ? getAisConfig(tenantId) : null;
+  if (!config?.provider) {
+    return getDefaultProvider();
+  }
+
+  const cached = tenantProviders.get(tenantId);
+  if (cached && cached.updatedAt === String(config.updatedAt)) {
+    return cached.provider;
+  }
+
+  const provider = createProvider(config.provider, {
+    apiKey: config.apiKey || undefined,
+    secretKey: config.secretKey || undefined,
+  });
+  if (!provider) {
+    console.warn(`[AIS Provider] Tenant ${tenantId} has unknown provider "${config.provider}", using server default`);
+    return getDefaultProvider();
+  }
+
+  console.log(`[AIS Provider] Tenant ${tenantId} uses ${provider.getName()}${config.apiKey ? ' with its own API key' : ''}`);
+  tenantProviders.set(tenantId, { updatedAt: String(config.updatedAt), provider });
+  return provider;
+}
+
+/**
+ * Get the server default AIS provider (AIS_PROVIDER)
  * @returns {BaseAisProvider} Active provider instance
  */
-export function getProvider() {
+function getDefaultProvider() {
   if (activeProvider) {
     return activeProvider;
   }
@@ -22,16 +110,14 @@ export function getProvider() {
   
   console.log(`[AIS Provider] Initializing provider: ${providerName}`);
   
-  switch (providerName) {
-    case 'datalastic':
-      activeProvider = new DatalasticProvider();
-      break;
-    case 'myshiptracking':
-      activeProvider = new MyShipTrackingProvider();
-      break;
-    default:
+  if (providerName === 'composite') {
+    activeProvider = createCompositeProvider();
+  } else {
+    activeProvider = createProvider(providerName);
+    if (!activeProvider) {
       console.warn(`[AIS Provider] Unknown provider "${providerName}", defaulting to datalastic`);
       activeProvider = new DatalasticProvider();
+    }
   }
   
   // Check if provider is configured
@@ -49,14 +135,16 @@ export function getProvider() {
  */
 export function resetProvider() {
   activeProvider = null;
+  tenantProviders.clear();
 }
 
 /**
  * Get provider name
+ * @param {string} [tenantId] - Tenant ID (omit for the server default)
  * @returns {string} Provider name
  */
-export function getProviderName() {
-  const provider = getProvider();
+export function getProviderName(tenantId) {
+  const provider = getProvider(tenantId);
   return provider.getName();
 }
 
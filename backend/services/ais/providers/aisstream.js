@@ -0,0 +1,102 @@
+/**
+ * AISStream Provider
+ * Documentation: https://aisstream.io/documentation
+ *
+ * Adapts the AISStream WebSocket service (services/aisstream.js) to the provider interface.
+ * AISStream is a live feed: a "latest position" is the first report received within a short
+ * window, so it only answers for vessels transmitting right now. MMSI only - IMO lookups and
+ * port endpoints are not available.
+ */
+
+import { BaseAisProvider } from './base.js';
+import {
+  isAisStreamConfigured,
+  fetchLatestPositionByMmsi,
+  fetchTrackByMmsi,
+  fetchVesselsInZone,
+} from '../../aisstream.js';
+
+function unsupported(message) {
+  const error = new Error(message);
+  error.code = 'ERR_UNSUPPORTED';
+  error.status = 400;
+  return error;
+}
+
+export class AisStreamProvider extends BaseAisProvider {
+  constructor(config = {}) {
+    super(config);
+    this.providerName = 'AISStream';
+    this.positionTimeoutMs = config.positionTimeoutMs || 5000;
+  }
+
+  /**
+   * Check if provider is properly configured
+   */
+  isConfigured() {
+    return isAisStreamConfigured();
+  }
+
+  /**
+   * Fetch latest vessel position (MMSI only)
+   */
+  async fetchLatestPosition(identifier, { type = 'mmsi' } = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('AISSTREAM_API_KEY must be set');
+    }
+    if (type !== 'mmsi') {
+      throw unsupported('AISStream only supports MMSI lookups');
+    }
+
+    return fetchLatestPositionByMmsi(String(identifier), { timeoutMs: this.positionTimeoutMs });
+  }
+
+  /**
+   * Fetch vessel track - a short burst of live reports, not historical data
+   */
+  async fetchTrack(identifier, { type = 'mmsi', hours = 24 } = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('AISSTREAM_API_KEY must be set');
+    }
+    if (type !== 'mmsi') {
+      throw unsupported('AISStream only supports MMSI lookups');
+    }
+
+    return fetchTrackByMmsi(String(identifier));
+  }
+
+  /**
+   * Fetch vessels in a geographic zone
+   */
+  async fetchVesselsInZone(bounds, { max = 150 } = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('AISSTREAM_API_KEY must be set');
+    }
+
+    return fetchVesselsInZone(bounds, { max });
+  }
+
+  /**
+   * Fetch port estimates - not available from a live position feed
+   */
+  async fetchPortEstimates(portId, { useUnloco = false } = {}) {
+    console.warn('[AISStream] Port estimates endpoint not available. Returning empty array.');
+    return [];
+  }
+
+  /**
+   * Fetch port calls - not available from a live position feed
+   */
+  async fetchPortCalls(params) {
+    console.warn('[AISStream] Port calls endpoint not available. Returning empty array.');
+    return [];
+  }
+
+  /**
+   * Fetch vessels currently in port - not available from a live position feed
+   */
+  async fetchVesselsInPort(portId, { useUnloco = false } = {}) {
+    console.warn('[AISStream] Vessels in port endpoint not available. Returning empty array.');
+    return [];
+  }
+}
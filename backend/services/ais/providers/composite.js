@@ -0,0 +1,187 @@
+/**
+ * Composite AIS Provider
+ * Wraps several providers and tries them in priority order (AIS_PROVIDER_PRIORITY).
+ *
+ * - Failover: a provider is skipped when not configured, cooling down, or when it fails with
+ *   an error classified as provider-specific (shouldFailover in ../errors.js)
+ * - Latest position: the first position fresher than AIS_POSITION_STALE_MINUTES wins; if a
+ *   provider only has a stale one, the next is asked and the freshest answer wins
+ * - Other queries: the first provider with a non-empty answer wins
+ *
+ * Each position returned is tagged with `source` (the winning provider, lowercase) so it can be
+ * stored in vessel_position_history.source.
+ */
+
+import { BaseAisProvider } from './base.js';
+import { shouldFailover } from '../errors.js';
+
+const DEFAULT_STALE_MINUTES = 60;
+
+// How long a provider is skipped after failing with one of these codes
+const COOLDOWN_MS_BY_CODE = {
+  ERR_NO_KEY: 15 * 60 * 1000,
+  ERR_INVALID_KEY: 15 * 60 * 1000,
+  ERR_NO_CREDITS: 15 * 60 * 1000,
+  ERR_RATE_LIMIT: 60 * 1000,
+};
+
+function isEmpty(result) {
+  return result === null || result === undefined || (Array.isArray(result) && result.length === 0);
+}
+
+function getTime(position) {
+  const time = position?.timestamp ? new Date(position.timestamp).getTime() : NaN;
+  return Number.isFinite(time) ? time : 0;
+}
+
+export class CompositeAisProvider extends BaseAisProvider {
+  /**
+   * @param {Array<BaseAisProvider>} providers - Providers in priority order
+   * @param {Object} [config]
+   * @param {number} [config.staleMinutes] - Age after which a position is worth a second opinion
+   */
+  constructor(providers, config = {}) {
+    super(config);
+    this.providerName = 'Composite';
+    this.providers = providers;
+    this.staleMs = (config.staleMinutes
+      || parseInt(process.env.AIS_POSITION_STALE_MINUTES, 10)
+      || DEFAULT_STALE_MINUTES) * 60 * 1000;
+    this.cooldownUntil = new Map(); // provider name -> timestamp (ms)
+  }
+
+  /**
+   * Configured if any wrapped provider is
+   */
+  isConfigured() {
+    return this.providers.some((provider) => provider.isConfigured());
+  }
+
+  /**
+   * Names of the wrapped providers, in priority order
+   * @returns {Array<string>}
+   */
+  getProviderNames() {
+    return this.providers.map((provider) => provider.getName());
+  }
+
+  /**
+   * Providers to try right now: configured and not cooling down
+   */
+  getAvailableProviders() {
+    const now = Date.now();
+    return this.providers.filter(
+      (provider) => provider.isConfigured() && !(this.cooldownUntil.get(provider.getName()) > now)
+    );
+  }
+
+  /**
+   * Record a provider failure, starting a cooldown where the code warrants one
+   */
+  recordFailure(provider, error) {
+    const cooldownMs = error.code === 'ERR_RATE_LIMIT' && error.retryAfter
+      ? error.retryAfter * 1000
+      : COOLDOWN_MS_BY_CODE[error.code];
+
+    if (cooldownMs) {
+      this.cooldownUntil.set(provider.getName(), Date.now() + cooldownMs);
+    }
+    console.warn(`[Composite AIS] ${provider.getName()} failed (${error.code || 'no code'}): ${error.message}${cooldownMs ? ` - skipping it for ${Math.round(cooldownMs / 1000)}s` : ''}`);
+  }
+
+  /**
+   * Call a method on each available provider in turn until one answers
+   * @param {string} method - Provider method name
+   * @param {Array} args - Method arguments
+   * @param {Function} [isGoodEnough] - Stop at an answer only if this returns true (default: any non-empty answer)
+   * @returns {Promise<Array<{provider: BaseAisProvider, result: any}>>} Answers collected (non-empty)
+   */
+  async collect(method, args, isGoodEnough = () => true) {
+    const providers = this.getAvailableProviders();
+    if (providers.length === 0) {
+      const error = new Error('No AIS provider is configured or available');
+      error.code = 'ERR_NO_KEY';
+      error.status = 401;
+      throw error;
+    }
+
+    const answers = [];
+    let lastError = null;
+
+    for (const provider of providers) {
+      try {
+        const result = await provider[method](...args);
+        if (isEmpty(result)) continue;
+
+        answers.push({ provider, result });
+        if (isGoodEnough(result)) break;
+      } catch (error) {
+        if (!shouldFailover(error)) {
+          throw error;
+        }
+        this.recordFailure(provider, error);
+        lastError = error;
+      }
+    }
+
+    // Every provider failed - surface the last failure (callers rely on its code)
+    if (answers.length === 0 && lastError) {
+      throw lastError;
+    }
+
+    return answers;
+  }
+
+  /**
+   * Fetch latest position, preferring the freshest answer
+   */
+  async fetchLatestPosition(identifier, { type = 'mmsi' } = {}) {
+    const isFresh = (position) => Date.now() - getTime(position) <= this.staleMs;
+    const answers = await this.collect('fetchLatestPosition', [identifier, { type }], isFresh);
+    if (answers.length === 0) {
+      return null;
+    }
+
+    const winner = answers.reduce((best, answer) => (getTime(answer.result) > getTime(best.result) ? answer : best));
+    if (answers.length > 1) {
+      console.log(`[Composite AIS] ${answers.length} providers answered for ${type.toUpperCase()} ${identifier}; freshest from ${winner.provider.getName()}`);
+    }
+
+    return { ...winner.result, source: winner.provider.getName().toLowerCase() };
+  }
+
+  /**
+   * Fetch vessel track from the first provider that has one
+   */
+  async fetchTrack(identifier, { type = 'mmsi', hours = 24 } = {}) {
+    const [answer] = await this.collect('fetchTrack', [identifier, { type, hours }]);
+    return answer ? answer.result : [];
+  }
+
+  /**
+   * Fetch vessels in a zone from the first provider that has any
+   */
+  async fetchVesselsInZone(bounds, { max = 150 } = {}) {
+    const [answer] = await this.collect('fetchVesselsInZone', [bounds, { max }]);
+    if (!answer) {
+      return [];
+    }
+    const source = answer.provider.getName().toLowerCase();
+    return answer.result.map((vessel) => ({ ...vessel, source }));
+  }
+
+  async fetchPortEstimates(portId, { useUnloco = false } = {}) {
+    const [answer] = await this.collect('fetchPortEstimates', [portId, { useUnloco }]);
+    return answer ? answer.result : [];
+  }
+
+  async fetchPortCalls(params) {
+    const [answer] = await this.collect('fetchPortCalls', [params]);
+    return answer ? answer.result : [];
+  }
+
+  async fetchVesselsInPort(portId, { useUnloco = false } = {}) {
+    const [answer] = await this.collect('fetchVesselsInPort', [portId, { useUnloco }]);
+    return answer ? answer.result : [];
+  }
+}
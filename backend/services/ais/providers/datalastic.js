@@ -64,10 +64,10 @@ export class DatalasticProvider extends BaseAisProvider {
   }
 
   /**
-   * Get API key from environment variables
+   * Get API key (tenant key from config, otherwise environment variable)
    */
   getApiKey() {
-    return process.env.DATALASTIC_API_KEY;
+    return this.config.apiKey || process.env.DATALASTIC_API_KEY;
   }
 
   /**
@@ -31,17 +31,17 @@ export class MyShipTrackingProvider extends BaseAisProvider {
   }
 
   /**
-   * Get API key from environment variables
+   * Get API key (tenant key from config, otherwise environment variable)
    */
   getApiKey() {
-    return process.env.MYSHIPTRACKING_API_KEY;
+    return this.config.apiKey || process.env.MYSHIPTRACKING_API_KEY;
   }
 
   /**
-   * Get Secret key from environment variables
+   * Get Secret key (tenant key from config, otherwise environment variable)
    */
   getSecretKey() {
-    return process.env.MYSHIPTRACKING_SECRET_KEY;
+    return this.config.secretKey || process.env.MYSHIPTRACKING_SECRET_KEY;
   }
 
   /**
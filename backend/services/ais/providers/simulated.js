@@ -0,0 +1,434 @@
+/**
+ * Simulated AIS Provider (AIS_PROVIDER=simulated)
+ * Offline provider for local development and automated tests - no network, no credentials.
+ *
+ * - Fixture vessels: tracks replayed from JSON fixtures (AIS_SIMULATION_FIXTURES, a file or a
+ *   directory of .json files; default data/aisSimulation/). Track points are minute offsets from
+ *   the simulation start; positions between points are interpolated and tracks loop if `loop`.
+ * - Any other MMSI/IMO: simulated on a route between two ops sites picked from a hash of the
+ *   identifier - moored at one site, sail, anchor outside the other, berth, and back. Routes are
+ *   straight lines, so they may cross land.
+ *
+ * Positions are a pure function of the identifier and the simulation clock (minute resolution),
+ * starting at AIS_SIMULATION_START (ISO timestamp) or when the provider is created.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { BaseAisProvider } from './base.js';
+import { distanceMeters, getDefaultGeofenceRadius, isPointInOpsSite } from '../../geofence.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DEFAULT_FIXTURES_PATH = path.join(__dirname, '../../../data/aisSimulation');
+
+const MINUTE_MS = 60 * 1000;
+const OPS_SITES_TTL_MS = 5 * 60 * 1000;
+const METERS_PER_KNOT_HOUR = 1852;
+
+// Route simulation: speeds (knots) and dwell times (minutes)
+const TRANSIT_SPEED_KNOTS = 12;
+const APPROACH_SPEED_KNOTS = 6;
+const BERTH_DWELL_MINUTES = 360;
+const ANCHOR_DWELL_MINUTES = 180;
+const ANCHORAGE_OFFSET_METERS = 3000; // Anchorage distance outside the site's geofence
+
+// Used when no ops site has a location (Rio de Janeiro, as in data/mockData.js)
+const FALLBACK_SITE = { id: 'simulated', code: 'SIM', type: 'PORT', lat: -22.9068, lon: -43.1729 };
+
+/**
+ * FNV-1a hash - stable across runs, unlike Math.random()
+ */
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (const char of String(value)) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function normalizeImo(imo) {
+  return imo ? String(imo).replace(/\D/g, '') : '';
+}
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function bearingDegrees(a, b) {
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLon = toRad(b.lon - a.lon);
+  const y = Math.sin(dLon) * Math.cos(toRad(b.lat));
+  const x = Math.cos(toRad(a.lat)) * Math.sin(toRad(b.lat))
+    - Math.sin(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.cos(dLon);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+/**
+ * Point `meters` from `from` towards `to` (flat approximation, fine at port scale)
+ */
+function pointTowards(from, to, meters) {
+  const distance = distanceMeters(from, to);
+  if (distance < 1) {
+    // Same location - step south
+    return { lat: from.lat - meters / 111320, lon: from.lon };
+  }
+  const fraction = Math.min(meters / distance, 1);
+  return {
+    lat: from.lat + (to.lat - from.lat) * fraction,
+    lon: from.lon + (to.lon - from.lon) * fraction,
+  };
+}
+
+/**
+ * Ops site center, from lat/lon or the polygon vertices
+ * @returns {{lat: number, lon: number}|null}
+ */
+function getSiteCenter(site) {
+  const lat = parseFloat(site.lat ?? site.latitude);
+  const lon = parseFloat(site.lon ?? site.longitude);
+  if (Number.isFinite(lat) && Number.isFinite(lon)) {
+    return { lat, lon };
+  }
+  if (Array.isArray(site.polygon) && site.polygon.length >= 3) {
+    return {
+      lat: site.polygon.reduce((sum, p) => sum + Number(p.lat), 0) / site.polygon.length,
+      lon: site.polygon.reduce((sum, p) => sum + Number(p.lon), 0) / site.polygon.length,
+    };
+  }
+  return null;
+}
+
+/**
+ * Position on a track at a simulation minute
+ * Each segment takes the navStatus of its first point, or one derived from movement.
+ * @param {Array<{minute: number, lat: number, lon: number, navStatus?: string}>} track - Sorted by minute
+ * @param {number} minute - Minutes since the simulation start
+ * @param {boolean} loop - Repeat the track; otherwise hold the first/last point outside it
+ */
+function positionOnTrack(track, minute, loop) {
+  const first = track[0];
+  const last = track[track.length - 1];
+  const cycle = last.minute - first.minute;
+
+  let m = minute;
+  if (loop && cycle > 0) {
+    m = first.minute + (((minute - first.minute) % cycle) + cycle) % cycle;
+  } else {
+    m = Math.min(Math.max(minute, first.minute), last.minute);
+  }
+
+  let index = track.findIndex((point, i) => i < track.length - 1 && m < track[i + 1].minute);
+  if (index === -1) index = Math.max(track.length - 2, 0);
+
+  const a = track[index];
+  const b = track[index + 1] || a;
+  const duration = b.minute - a.minute;
+  const fraction = duration > 0 ? Math.min(Math.max((m - a.minute) / duration, 0), 1) : 0;
+
+  const distance = distanceMeters(a, b);
+  const moving = duration > 0 && distance >= 50;
+  const cog = moving ? round(bearingDegrees(a, b), 1) : null;
+
+  return {
+    lat: round(a.lat + (b.lat - a.lat) * fraction, 6),
+    lon: round(a.lon + (b.lon - a.lon) * fraction, 6),
+    sog: moving ? round(distance / METERS_PER_KNOT_HOUR / (duration / 60), 1) : 0,
+    cog,
+    heading: cog !== null ? Math.round(cog) : null,
+    navStatus: a.navStatus || (moving ? 'under way using engine' : 'at anchor'),
+  };
+}
+
+/**
+ * Load fixture vessels from a JSON file or a directory of JSON files
+ * @returns {Array<Object>} Vessels with a sorted track of at least two points
+ */
+function loadFixtures(fixturesPath) {
+  let files = [];
+  try {
+    const stat = fs.statSync(fixturesPath);
+    files = stat.isDirectory()
+      ? fs.readdirSync(fixturesPath).filter((file) => file.endsWith('.json')).sort().map((file) => path.join(fixturesPath, file))
+      : [fixturesPath];
+  } catch (error) {
+    console.warn(`[Simulated AIS] No fixtures at ${fixturesPath} - all vessels use simulated routes`);
+    return [];
+  }
+
+  const vessels = [];
+  for (const file of files) {
+    try {
+      const fixture = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      for (const vessel of fixture.vessels || []) {
+        const track = (vessel.track || [])
+          .filter((point) => Number.isFinite(point.minute) && Number.isFinite(point.lat) && Number.isFinite(point.lon))
+          .sort((a, b) => a.minute - b.minute);
+        if (!vessel.mmsi || track.length < 2) {
+          console.warn(`[Simulated AIS] Skipping fixture vessel without an MMSI or a 2-point track in ${file}`);
+          continue;
+        }
+        vessels.push({ ...vessel, mmsi: String(vessel.mmsi), imo: normalizeImo(vessel.imo), loop: vessel.loop !== false, track });
+      }
+    } catch (error) {
+      console.error(`[Simulated AIS] Could not load fixture ${file}:`, error.message);
+    }
+  }
+
+  console.log(`[Simulated AIS] Loaded ${vessels.length} fixture vessel(s) from ${fixturesPath}`);
+  return vessels;
+}
+
+export class SimulatedAisProvider extends BaseAisProvider {
+  /**
+   * @param {Object} [config]
+   * @param {string} [config.fixturesPath] - Fixture file or directory (default AIS_SIMULATION_FIXTURES or data/aisSimulation)
+   * @param {string|number} [config.start] - Simulation start (default AIS_SIMULATION_START or now)
+   * @param {Function} [config.now] - Clock returning epoch ms (default Date.now)
+   * @param {Array<Object>} [config.opsSites] - Ops sites for simulated routes (default: loaded from the database)
+   */
+  constructor(config = {}) {
+    super(config);
+    this.providerName = 'Simulated';
+    this.now = config.now || Date.now;
+
+    const start = config.start ?? process.env.AIS_SIMULATION_START;
+    const startMs = typeof start === 'number' ? start : Date.parse(start);
+    this.startMs = Number.isFinite(startMs) ? startMs : this.now();
+
+    this.fixtures = loadFixtures(config.fixturesPath || process.env.AIS_SIMULATION_FIXTURES || DEFAULT_FIXTURES_PATH);
+    this.opsSites = config.opsSites || null;
+    this.opsSitesLoadedAt = config.opsSites ? Infinity : 0;
+    this.routeVessels = new Map(); // identifier -> simulated route vessel, for zone/port queries
+
+    if (process.env.NODE_ENV === 'production') {
+      console.warn('[Simulated AIS] Simulated provider selected in production - positions are not real');
+    }
+  }
+
+  /**
+   * Always configured - needs no credentials
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Current simulation minute and its timestamp
+   */
+  getClock() {
+    const minute = Math.floor((this.now() - this.startMs) / MINUTE_MS);
+    return { minute, timestamp: new Date(this.startMs + minute * MINUTE_MS).toISOString() };
+  }
+
+  /**
+   * Ops sites for simulated routes: ports with a location (any root site if there are none),
+   * across all tenants
+   */
+  async getRouteSites() {
+    if (!this.opsSites || this.now() - this.opsSitesLoadedAt > OPS_SITES_TTL_MS) {
+      let sites = [];
+      try {
+        if (process.env.DATABASE_URL) {
+          const portsDb = await import('../../../db/ports.js');
+          sites = await portsDb.getAllOpsSites();
+        } else {
+          const { getMockOpsSites } = await import('../../../data/mockData.js');
+          sites = getMockOpsSites('tenant-1');
+        }
+      } catch (error) {
+        console.warn('[Simulated AIS] Could not load ops sites for simulated routes:', error.message);
+      }
+      this.opsSites = sites;
+      this.opsSitesLoadedAt = this.now();
+    }
+
+    const rootSites = this.opsSites
+      .filter((site) => !site.parentCode && getSiteCenter(site))
+      .sort((a, b) => String(a.id).localeCompare(String(b.id)));
+    const ports = rootSites.filter((site) => site.type === 'PORT');
+    return ports.length > 0 ? ports : rootSites;
+  }
+
+  /**
+   * Build the looping route track for a non-fixture vessel
+   */
+  async buildRouteVessel(identifier, type) {
+    const hash = hashString(identifier);
+    const sites = await this.getRouteSites();
+    const origin = sites.length > 0 ? sites[hash % sites.length] : FALLBACK_SITE;
+    const others = sites.filter((site) => site !== origin);
+    const destination = others.length > 0 ? others[(hash >>> 8) % others.length] : null;
+
+    const originCenter = getSiteCenter(origin);
+    // Single site: sail out to a point 50km away and back
+    const destinationCenter = destination
+      ? getSiteCenter(destination)
+      : pointTowards(originCenter, originCenter, 50000);
+
+    const outerOrigin = pointTowards(originCenter, destinationCenter, getDefaultGeofenceRadius(origin.type) + ANCHORAGE_OFFSET_METERS);
+    const outerDestination = destination
+      ? pointTowards(destinationCenter, originCenter, getDefaultGeofenceRadius(destination.type) + ANCHORAGE_OFFSET_METERS)
+      : destinationCenter;
+
+    // Legs: [point, speed to reach it (knots) or dwell (minutes), navStatus]
+    const track = [{ minute: 0, ...originCenter, navStatus: 'moored' }];
+    const dwell = (minutes, navStatus) => {
+      const last = track[track.length - 1];
+      last.navStatus = navStatus;
+      track.push({ minute: last.minute + minutes, lat: last.lat, lon: last.lon });
+    };
+    const sail = (point, knots) => {
+      const last = track[track.length - 1];
+      const minutes = Math.max(Math.round(distanceMeters(last, point) / (knots * METERS_PER_KNOT_HOUR) * 60), 10);
+      track.push({ minute: last.minute + minutes, ...point });
+    };
+
+    dwell(BERTH_DWELL_MINUTES, 'moored');
+    sail(outerOrigin, APPROACH_SPEED_KNOTS);
+    sail(outerDestination, TRANSIT_SPEED_KNOTS);
+    if (destination) {
+      dwell(ANCHOR_DWELL_MINUTES, 'at anchor');
+      sail(destinationCenter, APPROACH_SPEED_KNOTS);
+      dwell(BERTH_DWELL_MINUTES, 'moored');
+      sail(outerDestination, APPROACH_SPEED_KNOTS);
+    }
+    sail(outerOrigin, TRANSIT_SPEED_KNOTS);
+    sail(originCenter, APPROACH_SPEED_KNOTS);
+
+    // Spread vessels along their cycle so they are not all moored at once
+    const cycle = track[track.length - 1].minute;
+    const phase = hash % cycle;
+
+    return {
+      mmsi: type === 'imo' ? '' : String(identifier),
+      imo: type === 'imo' ? normalizeImo(identifier) : undefined,
+      name: `SIM ${identifier}`,
+      destination: destination?.code || origin.code,
+      loop: true,
+      track: track.map((point) => ({ ...point, minute: point.minute - phase })),
+    };
+  }
+
+  /**
+   * Find a fixture vessel, or build (and remember) a simulated route vessel
+   */
+  async getVessel(identifier, type) {
+    const id = String(identifier).trim();
+    const fixture = type === 'imo'
+      ? this.fixtures.find((vessel) => vessel.imo && vessel.imo === normalizeImo(id))
+      : this.fixtures.find((vessel) => vessel.mmsi === id);
+    if (fixture) {
+      return fixture;
+    }
+
+    const key = `${type}:${type === 'imo' ? normalizeImo(id) : id}`;
+    if (!this.routeVessels.has(key)) {
+      this.routeVessels.set(key, await this.buildRouteVessel(type === 'imo' ? normalizeImo(id) : id, type));
+    }
+    return this.routeVessels.get(key);
+  }
+
+  /**
+   * Normalized position of a vessel at a simulation minute
+   */
+  positionAt(vessel, minute, timestamp) {
+    return {
+      mmsi: vessel.mmsi,
+      imo: vessel.imo || undefined,
+      name: vessel.name,
+      callSign: vessel.callSign,
+      ...positionOnTrack(vessel.track, minute, vessel.loop),
+      timestamp,
+      destination: vessel.destination,
+      vesselType: vessel.vesselType,
+      flag: vessel.flag,
+    };
+  }
+
+  /**
+   * Vessels known to the simulation right now (fixtures and route vessels already asked about)
+   */
+  getCurrentPositions() {
+    const { minute, timestamp } = this.getClock();
+    return [...this.fixtures, ...this.routeVessels.values()].map((vessel) => this.positionAt(vessel, minute, timestamp));
+  }
+
+  /**
+   * Fetch latest vessel position by MMSI or IMO
+   */
+  async fetchLatestPosition(identifier, { type = 'mmsi' } = {}) {
+    if (!identifier) {
+      return null;
+    }
+    const vessel = await this.getVessel(identifier, type);
+    const { minute, timestamp } = this.getClock();
+    return this.positionAt(vessel, minute, timestamp);
+  }
+
+  /**
+   * Fetch vessel track - one point every 10 minutes over the last `hours`
+   */
+  async fetchTrack(identifier, { type = 'mmsi', hours = 24 } = {}) {
+    if (!identifier) {
+      return [];
+    }
+    const vessel = await this.getVessel(identifier, type);
+    const { minute } = this.getClock();
+
+    const points = [];
+    for (let m = minute - Math.round(hours * 60); m <= minute; m += 10) {
+      const { lat, lon, sog, cog, heading } = positionOnTrack(vessel.track, m, vessel.loop);
+      points.push({
+        mmsi: vessel.mmsi,
+        lat,
+        lon,
+        timestamp: new Date(this.startMs + m * MINUTE_MS).toISOString(),
+        cog: cog ?? undefined,
+        sog,
+        heading: heading ?? undefined,
+      });
+    }
+    return points;
+  }
+
+  /**
+   * Fetch simulated vessels inside a bounding box
+   */
+  async fetchVesselsInZone(bounds, { max = 150 } = {}) {
+    const { minlat, maxlat, minlon, maxlon } = bounds;
+    return this.getCurrentPositions()
+      .filter((vessel) => vessel.lat >= minlat && vessel.lat <= maxlat && vessel.lon >= minlon && vessel.lon <= maxlon)
+      .slice(0, max)
+      .map((vessel) => ({ ...vessel, lng: vessel.lon }));
+  }
+
+  /**
+   * Fetch port estimates - not simulated
+   */
+  async fetchPortEstimates(portId, { useUnloco = false } = {}) {
+    return [];
+  }
+
+  /**
+   * Fetch port calls - not simulated (use the geofence port call detection on stored positions)
+   */
+  async fetchPortCalls(params) {
+    return [];
+  }
+
+  /**
+   * Fetch simulated vessels currently inside an ops site's geofence (matched by id or code)
+   */
+  async fetchVesselsInPort(portId, { useUnloco = false } = {}) {
+    await this.getRouteSites(); // Loads this.opsSites (including child sites)
+    const site = this.opsSites.find((s) => String(s.code) === String(portId) || (!useUnloco && String(s.id) === String(portId)));
+    if (!site) {
+      return [];
+    }
+    return this.getCurrentPositions().filter((vessel) => isPointInOpsSite(vessel, site));
+  }
+}
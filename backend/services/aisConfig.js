@@ -1,71 +1,177 @@
 /**
  * Shared AIS Configuration Service
- * Persists data to a JSON file for persistence across server restarts
+ * Per-tenant AIS settings: provider selection, the tenant's own provider API keys and
+ * scheduled polling settings (TenantAisConfig), persisted in tenant_ais_configs.
+ *
+ * API keys are stored encrypted (services/secretCrypto.js) and only held decrypted in memory.
+ * All configs are cached in memory - loaded by loadAisConfigs() at startup and updated on
+ * every write - so provider lookups (getProvider(tenantId)) stay synchronous.
  */
 
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import * as tenantAisConfigsDb from '../db/tenantAisConfigs.js';
+import { encryptSecret, decryptSecret, maskSecret } from './secretCrypto.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const CONFIG_FILE = path.join(__dirname, '../data/aisConfig.json');
+// Pre-database config file, imported once by loadAisConfigs
+const LEGACY_CONFIG_FILE = path.join(__dirname, '../data/aisConfig.json');
+
+// Providers a tenant can select and bring its own keys for
+export const TENANT_AIS_PROVIDERS = {
+  datalastic: { name: 'Datalastic', requiresSecretKey: false },
+  myshiptracking: { name: 'MyShipTracking', requiresSecretKey: true },
+};
 
 const aisConfigs = new Map();
 
-// Load configurations from file on startup
-async function loadConfigs() {
-  try {
-    const data = await fs.readFile(CONFIG_FILE, 'utf-8');
-    const configs = JSON.parse(data);
-    Object.entries(configs).forEach(([tenantId, config]) => {
-      aisConfigs.set(tenantId, config);
-    });
-    console.log(`Loaded ${aisConfigs.size} AIS configuration(s) from file`);
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      // File doesn't exist yet, that's okay
-      console.log('No existing AIS configuration file found, starting fresh');
-    } else {
-      console.error('Error loading AIS configurations:', error);
+/**
+ * Decrypt a stored row into the in-memory config
+ */
+function toConfig(row) {
+  const decrypt = (value, field) => {
+    if (!value) return null;
+    try {
+      return decryptSecret(value);
+    } catch (error) {
+      // Wrong APP_ENCRYPTION_KEY or corrupted value - treat as not set rather than failing every lookup
+      console.error(`[AIS Config] Could not decrypt ${field} for tenant ${row.tenantId}:`, error.message);
+      return null;
     }
-  }
+  };
+
+  return {
+    tenantId: row.tenantId,
+    provider: row.provider,
+    apiKey: decrypt(row.apiKeyEncrypted, 'apiKey'),
+    secretKey: decrypt(row.secretKeyEncrypted, 'secretKey'),
+    keyRotatedAt: row.keyRotatedAt,
+    pollFrequencyMinutes: row.pollFrequencyMinutes,
+    dailyCallBudget: row.dailyCallBudget,
+    updatedAt: row.updatedAt,
+  };
 }
 
-// Save configurations to file
-async function saveConfigs() {
+/**
+ * Import configs from the legacy JSON file for tenants without a database config
+ */
+async function importLegacyConfigs() {
+  let configs;
   try {
-    const configs = Object.fromEntries(aisConfigs);
-    await fs.writeFile(CONFIG_FILE, JSON.stringify(configs, null, 2), 'utf-8');
+    configs = JSON.parse(await fs.readFile(LEGACY_CONFIG_FILE, 'utf-8'));
   } catch (error) {
-    console.error('Error saving AIS configurations:', error);
-    throw error;
+    if (error.code !== 'ENOENT') {
+      console.error('[AIS Config] Error reading legacy AIS configuration file:', error.message);
+    }
+    return;
   }
+
+  let imported = 0;
+  for (const [tenantId, config] of Object.entries(configs)) {
+    if (aisConfigs.has(tenantId)) continue;
+    try {
+      await setAisConfig(tenantId, {
+        provider: TENANT_AIS_PROVIDERS[config.provider] ? config.provider : null,
+        apiKey: config.apiKey || null,
+        secretKey: config.secretKey || null,
+        pollFrequencyMinutes: config.pollFrequencyMinutes,
+        dailyCallBudget: config.dailyCallBudget,
+      });
+      imported++;
+    } catch (error) {
+      console.error(`[AIS Config] Could not import legacy config for tenant ${tenantId}:`, error.message);
+    }
+  }
+
+  // Renamed (not deleted) so it is not imported again; remove it once the import is verified
+  await fs.rename(LEGACY_CONFIG_FILE, `${LEGACY_CONFIG_FILE}.imported`);
+  console.log(`[AIS Config] Imported ${imported} AIS configuration(s) from legacy file`);
 }
 
-// Initialize on module load
-loadConfigs().catch(console.error);
+/**
+ * Load all tenant configs into memory (call once the database is reachable)
+ */
+export async function loadAisConfigs() {
+  const rows = await tenantAisConfigsDb.getAllTenantAisConfigs();
+  aisConfigs.clear();
+  rows.forEach((row) => aisConfigs.set(row.tenantId, toConfig(row)));
+  console.log(`[AIS Config] Loaded ${aisConfigs.size} tenant AIS configuration(s)`);
+
+  await importLegacyConfigs();
+}
 
 /**
- * Get AIS configuration for a tenant
+ * Get AIS configuration for a tenant (includes decrypted keys - server-side use only)
  */
 export function getAisConfig(tenantId) {
   return aisConfigs.get(tenantId);
 }
 
 /**
- * Set AIS configuration for a tenant
+ * Set AIS configuration for a tenant (replaces the whole config)
+ * keyRotatedAt is stamped whenever the API key or secret key changes.
  */
 export async function setAisConfig(tenantId, config) {
-  aisConfigs.set(tenantId, config);
-  await saveConfigs();
+  const existing = aisConfigs.get(tenantId);
+  const apiKey = config.apiKey || null;
+  const secretKey = config.secretKey || null;
+  const keysChanged = apiKey !== (existing?.apiKey || null) || secretKey !== (existing?.secretKey || null);
+
+  const row = await tenantAisConfigsDb.upsertTenantAisConfig(tenantId, {
+    provider: config.provider || null,
+    apiKeyEncrypted: apiKey ? encryptSecret(apiKey) : null,
+    secretKeyEncrypted: secretKey ? encryptSecret(secretKey) : null,
+    keyRotatedAt: keysChanged && (apiKey || secretKey) ? new Date().toISOString() : existing?.keyRotatedAt,
+    pollFrequencyMinutes: config.pollFrequencyMinutes,
+    dailyCallBudget: config.dailyCallBudget,
+  });
+
+  const stored = toConfig(row);
+  aisConfigs.set(tenantId, stored);
+  return stored;
 }
 
 /**
  * Delete AIS configuration for a tenant
  */
 export async function deleteAisConfig(tenantId) {
+  await tenantAisConfigsDb.deleteTenantAisConfig(tenantId);
   aisConfigs.delete(tenantId);
-  await saveConfigs();
 }
 
+/**
+ * Get a tenant's AIS configuration safe to return to the browser (keys masked)
+ * @returns {{provider: string|null, apiKeyMasked: string|null, secretKeyMasked: string|null, keyRotatedAt: string|null}}
+ */
+export function getPublicAisConfig(tenantId) {
+  const config = aisConfigs.get(tenantId) || {};
+  return {
+    provider: config.provider || null,
+    apiKeyMasked: maskSecret(config.apiKey),
+    secretKeyMasked: maskSecret(config.secretKey),
+    keyRotatedAt: config.keyRotatedAt || null,
+  };
+}
+
+// Polling defaults when a tenant has not configured its own (overridable via env)
+const DEFAULT_POLL_FREQUENCY_MINUTES = parseInt(process.env.AIS_POLL_FREQUENCY_MINUTES, 10) || 30;
+const DEFAULT_DAILY_CALL_BUDGET = parseInt(process.env.AIS_DAILY_CALL_BUDGET, 10) || 500;
+
+/**
+ * Get the scheduled polling settings for a tenant (TenantAisConfig with defaults applied)
+ * @returns {{pollFrequencyMinutes: number, dailyCallBudget: number}}
+ *   pollFrequencyMinutes of 0 disables scheduled polling for the tenant
+ */
+export function getAisPollingSettings(tenantId) {
+  const config = aisConfigs.get(tenantId) || {};
+  return {
+    pollFrequencyMinutes: Number.isInteger(config.pollFrequencyMinutes)
+      ? config.pollFrequencyMinutes
+      : DEFAULT_POLL_FREQUENCY_MINUTES,
+    dailyCallBudget: Number.isInteger(config.dailyCallBudget)
+      ? config.dailyCallBudget
+      : DEFAULT_DAILY_CALL_BUDGET,
+  };
+}
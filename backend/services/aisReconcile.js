@@ -0,0 +1,443 @@
+/**
+ * AIS Port Call Reconciliation
+ * Matches the arrivals, departures and expected arrivals an AIS provider reports for an ops site
+ * against the tenant's port calls there, and applies the changes the planner confirms.
+ *
+ * - Only tenant vessels are kept (matched by MMSI, or IMO without the "IMO" prefix)
+ * - A record matches the vessel's port call at the site whose arrival (actual, else ETA) is closest,
+ *   within MATCH_WINDOW_MS; departure-only records compare with the departure (actual, else ETD),
+ *   and expected arrivals only match PLANNED calls
+ * - Expected arrivals propose a new ETA for PLANNED calls. Reported arrivals/departures propose the
+ *   actual times: the first ones move the call through the lifecycle (PLANNED -> IN_PROGRESS ->
+ *   COMPLETED), later ones correct the recorded times
+ * - Records without a match propose a new port call
+ */
+
+import * as portCallsDb from '../db/portCalls.js';
+import * as portsDb from '../db/ports.js';
+import * as vesselsDb from '../db/vessels.js';
+import { fetchPortEstimates, fetchPortCalls } from './ais/index.js';
+import { transitionPortCall, correctActualTimes, validateTransition, validateCorrection } from './portCallLifecycle.js';
+import { createHttpError } from './httpError.js';
+
+// Same window the AIS event detector uses to tie a position to a planned call
+const MATCH_WINDOW_MS = 72 * 60 * 60 * 1000;
+
+// Times closer than this count as equal (providers round to the minute)
+const TIME_TOLERANCE_MS = 5 * 60 * 1000;
+
+// Reported port calls look back this many days by default, and at most MAX_DAYS
+const DEFAULT_DAYS = 7;
+const MAX_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MAX_APPLY_ITEMS = 100;
+
+const CHANGE_FIELDS = ['eta', 'etd', 'actualArrival', 'actualDeparture'];
+
+function cleanImo(imo) {
+  return imo ? String(imo).replace(/^IMO/i, '').trim() : null;
+}
+
+/**
+ * Parse a provider time to ISO; times without an offset are UTC ("2026-03-01 08:00:00")
+ */
+function parseAisTime(value) {
+  if (!value) return null;
+  let text = String(value).trim();
+  if (!/[zZ]$|[+-]\d{2}:?\d{2}$/.test(text)) {
+    text = `${text.replace(' ', 'T')}Z`;
+  }
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function parseTimestamp(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw createHttpError(`${field} must be a valid date`);
+  }
+  return date.toISOString();
+}
+
+function isPast(time) {
+  return new Date(time).getTime() <= Date.now();
+}
+
+function sameTime(a, b) {
+  return !!a && !!b && Math.abs(new Date(a) - new Date(b)) <= TIME_TOLERANCE_MS;
+}
+
+/**
+ * Provider identifier of an ops site: its provider port id, else its UN/LOCODE
+ */
+function getProviderPort(site) {
+  if (site.portId) {
+    return { portId: site.portId, useUnloco: false };
+  }
+  if (site.unlocode || site.code) {
+    return { portId: site.unlocode || site.code, useUnloco: true };
+  }
+  throw createHttpError('Ops site must have port_id or UN/LOCODE to reconcile AIS port calls');
+}
+
+/**
+ * Index tenant vessels so AIS records can be tied to them
+ */
+function buildVesselLookup(vessels) {
+  const byMmsi = new Map();
+  const byImo = new Map();
+  for (const vessel of vessels) {
+    if (vessel.mmsi) byMmsi.set(String(vessel.mmsi), vessel);
+    if (cleanImo(vessel.imo)) byImo.set(cleanImo(vessel.imo), vessel);
+  }
+  return (record) => (record.mmsi && byMmsi.get(String(record.mmsi))) || byImo.get(cleanImo(record.imo)) || null;
+}
+
+/**
+ * Turn reported port call records into visits { vessel, arrival, departure }. Providers may report
+ * arrival and departure as separate records; a departure-only record joins the vessel's previous
+ * arrival-only record when it comes after it.
+ */
+function buildVisits(records, findVessel) {
+  const visits = records
+    .map((record) => ({
+      vessel: findVessel(record),
+      aisVesselName: record.vesselName || null,
+      arrival: record.type === 2 ? null : parseAisTime(record.arrival),
+      departure: record.type === 1 ? null : parseAisTime(record.departure),
+    }))
+    .filter((visit) => visit.vessel && (visit.arrival || visit.departure))
+    .sort((a, b) => new Date(a.arrival || a.departure) - new Date(b.arrival || b.departure));
+
+  const merged = [];
+  const openArrivals = new Map();
+  for (const visit of visits) {
+    const open = openArrivals.get(visit.vessel.id);
+    if (!visit.arrival && open && new Date(visit.departure) >= new Date(open.arrival)) {
+      open.departure = visit.departure;
+      openArrivals.delete(visit.vessel.id);
+      continue;
+    }
+    merged.push(visit);
+    if (visit.arrival && !visit.departure) {
+      openArrivals.set(visit.vessel.id, visit);
+    } else {
+      openArrivals.delete(visit.vessel.id);
+    }
+  }
+  return merged;
+}
+
+/**
+ * The vessel's port call closest in time to the visit, within MATCH_WINDOW_MS
+ */
+function findMatch(portCalls, visit) {
+  const time = visit.arrival || visit.eta || visit.departure;
+  const useDeparture = !visit.arrival && !visit.eta;
+  let best = null;
+  let bestDelta = Infinity;
+  for (const portCall of portCalls) {
+    if (portCall.vesselId !== visit.vessel.id) continue;
+    // An expected arrival is for a call that has not started yet
+    if (visit.eta && portCall.status !== 'PLANNED') continue;
+    const reference = useDeparture
+      ? portCall.actualDeparture || portCall.etd || portCall.eta
+      : portCall.actualArrival || portCall.eta;
+    if (!reference) continue;
+    const delta = Math.abs(new Date(reference) - new Date(time));
+    if (delta <= MATCH_WINDOW_MS && delta < bestDelta) {
+      best = portCall;
+      bestDelta = delta;
+    }
+  }
+  return best;
+}
+
+/**
+ * Changes a visit proposes for its matched port call: [{ field, current, proposed }]
+ */
+function proposeChanges(portCall, visit) {
+  const changes = [];
+  if (visit.eta) {
+    if (!sameTime(portCall.eta, visit.eta)) {
+      changes.push({ field: 'eta', current: portCall.eta, proposed: visit.eta });
+    }
+    return changes;
+  }
+
+  let arrives = !!portCall.actualArrival;
+  if (visit.arrival && isPast(visit.arrival) && !sameTime(portCall.actualArrival, visit.arrival)) {
+    changes.push({ field: 'actualArrival', current: portCall.actualArrival, proposed: visit.arrival });
+    arrives = true;
+  }
+  if (visit.departure && isPast(visit.departure) && arrives
+    && !sameTime(portCall.actualDeparture, visit.departure)) {
+    changes.push({ field: 'actualDeparture', current: portCall.actualDeparture, proposed: visit.departure });
+  }
+  return changes;
+}
+
+/**
+ * Port call fields to create for an unmatched visit
+ */
+function proposeCreate(visit) {
+  if (visit.eta) {
+    return { eta: visit.eta, etd: null, actualArrival: null, actualDeparture: null };
+  }
+  const arrived = visit.arrival && isPast(visit.arrival);
+  return {
+    // Departure-only records still need a planned time for the new call
+    eta: visit.arrival || visit.departure,
+    etd: visit.departure,
+    actualArrival: arrived ? visit.arrival : null,
+    actualDeparture: arrived && visit.departure && isPast(visit.departure) ? visit.departure : null,
+  };
+}
+
+function summarizePortCall(portCall) {
+  const { id, status, eta, etd, actualArrival, actualDeparture } = portCall;
+  return { id, status, eta, etd, actualArrival, actualDeparture };
+}
+
+/**
+ * Compare AIS port calls at an ops site with the tenant's port calls there
+ * @param {Object} [options] - { days? } Days of reported port calls to look back (default 7, max 30)
+ * @returns {Promise<{site, from, rows, warnings}>} One row per AIS visit or expected arrival:
+ *   { key, kind: 'REPORTED'|'EXPECTED', vessel, aisVesselName, eta, arrival, departure,
+ *     status: 'IN_SYNC'|'CHANGED'|'MISSING', portCall, changes, create }
+ */
+export async function getReconciliation(tenantId, siteId, { days } = {}) {
+  const site = await portsDb.getPortById(siteId, tenantId);
+  if (!site) {
+    throw createHttpError('Ops site not found', 404);
+  }
+
+  const lookBack = days === undefined || days === '' ? DEFAULT_DAYS : Number(days);
+  if (!Number.isInteger(lookBack) || lookBack < 1 || lookBack > MAX_DAYS) {
+    throw createHttpError(`days must be a whole number from 1 to ${MAX_DAYS}`);
+  }
+
+  const { portId, useUnloco } = getProviderPort(site);
+  const from = new Date(Date.now() - lookBack * DAY_MS).toISOString();
+  const params = useUnloco ? { unloco: portId } : { portId: Number(portId) };
+
+  const [reported, expected] = await Promise.allSettled([
+    fetchPortCalls({ ...params, fromdate: from, days: lookBack }, { tenantId }),
+    fetchPortEstimates(portId, { useUnloco, tenantId }),
+  ]);
+  const warnings = [];
+  if (reported.status === 'rejected') {
+    warnings.push(`Reported port calls unavailable: ${reported.reason.message}`);
+  }
+  if (expected.status === 'rejected') {
+    warnings.push(`Expected arrivals unavailable: ${expected.reason.message}`);
+  }
+  if (reported.status === 'rejected' && expected.status === 'rejected') {
+    throw createHttpError(`AIS provider unavailable: ${reported.reason.message}`, 502);
+  }
+
+  const findVessel = buildVesselLookup(await vesselsDb.getVessels(tenantId));
+  const visits = reported.status === 'fulfilled' ? buildVisits(reported.value || [], findVessel) : [];
+
+  // An expected arrival the vessel has already made is shown by its reported visit
+  const arrivals = visits.filter((visit) => visit.arrival);
+  const estimates = (expected.status === 'fulfilled' ? expected.value || [] : [])
+    .map((estimate) => ({
+      vessel: findVessel(estimate),
+      aisVesselName: estimate.vesselName || null,
+      eta: parseAisTime(estimate.etaUtc || estimate.eta),
+    }))
+    .filter((estimate) => estimate.vessel && estimate.eta)
+    .filter((estimate) => !arrivals.some((visit) => visit.vessel.id === estimate.vessel.id
+      && Math.abs(new Date(visit.arrival) - new Date(estimate.eta)) <= MATCH_WINDOW_MS));
+
+  const entries = [
+    ...visits.map((visit) => ({ kind: 'REPORTED', ...visit })),
+    ...estimates.map((estimate) => ({ kind: 'EXPECTED', ...estimate })),
+  ];
+  if (entries.length === 0) {
+    return { site: { id: site.id, name: site.name }, from, rows: [], warnings };
+  }
+
+  // Port calls that can match: any stay within the match window of the AIS times
+  const times = entries.map((entry) => new Date(entry.arrival || entry.eta || entry.departure).getTime());
+  const { portCalls } = await portCallsDb.getPortCalls(tenantId, {
+    portId: siteId,
+    statuses: ['PLANNED', 'IN_PROGRESS', 'COMPLETED'],
+    from: new Date(Math.min(...times) - MATCH_WINDOW_MS).toISOString(),
+    to: new Date(Math.max(...times) + MATCH_WINDOW_MS).toISOString(),
+    sort: 'eta:asc',
+    limit: 500,
+  });
+
+  const rows = entries.map((entry) => {
+    const portCall = findMatch(portCalls, entry);
+    const changes = portCall ? proposeChanges(portCall, entry) : [];
+    let status = 'MISSING';
+    if (portCall) status = changes.length > 0 ? 'CHANGED' : 'IN_SYNC';
+    return {
+      key: `${entry.kind}:${entry.vessel.id}:${entry.arrival || entry.eta || entry.departure}`,
+      kind: entry.kind,
+      vessel: { id: entry.vessel.id, name: entry.vessel.name, imo: entry.vessel.imo, mmsi: entry.vessel.mmsi },
+      aisVesselName: entry.aisVesselName,
+      eta: entry.eta || null,
+      arrival: entry.arrival || null,
+      departure: entry.departure || null,
+      status,
+      portCall: portCall ? summarizePortCall(portCall) : null,
+      changes,
+      create: portCall ? null : proposeCreate(entry),
+    };
+  });
+  rows.sort((a, b) => new Date(a.arrival || a.eta || a.departure) - new Date(b.arrival || b.eta || b.departure));
+
+  return { site: { id: site.id, name: site.name }, from, rows, warnings };
+}
+
+/**
+ * Parse the changes of an apply item (only the known fields, as ISO)
+ */
+function parseChanges(changes = {}) {
+  const parsed = {};
+  for (const field of CHANGE_FIELDS) {
+    const value = parseTimestamp(changes[field], field);
+    if (value) parsed[field] = value;
+  }
+  return parsed;
+}
+
+/**
+ * Check all of a port call's changes against the lifecycle rules before anything is written, so a
+ * rejected change never leaves the call half-updated (or a new call half-created)
+ * @throws {Error} With `status` 400/409, as applying would
+ */
+function checkChanges(portCall, changes) {
+  if (portCall.status === 'CANCELLED') {
+    throw createHttpError('Port call is cancelled', 409);
+  }
+
+  const eta = changes.eta || portCall.eta;
+  const etd = changes.etd || portCall.etd;
+  if (eta && etd && new Date(etd) < new Date(eta)) {
+    throw createHttpError('etd must be after eta');
+  }
+
+  // Walk the same steps as applyChanges on a copy of the call
+  let state = portCall;
+  if (changes.actualArrival) {
+    const fields = state.status === 'PLANNED'
+      ? validateTransition(state, 'IN_PROGRESS', { actualArrival: changes.actualArrival })
+      : validateCorrection(state, { actualArrival: changes.actualArrival });
+    state = { ...state, ...fields, status: state.status === 'PLANNED' ? 'IN_PROGRESS' : state.status };
+  }
+  if (changes.actualDeparture) {
+    if (state.status === 'PLANNED') {
+      throw createHttpError('Port call has not arrived yet, apply the actual arrival first', 409);
+    }
+    if (state.status === 'IN_PROGRESS') {
+      validateTransition(state, 'COMPLETED', { actualDeparture: changes.actualDeparture });
+    } else {
+      validateCorrection(state, { actualDeparture: changes.actualDeparture });
+    }
+  }
+}
+
+/**
+ * Apply checked changes to a port call: actual times through the lifecycle, then planned times
+ */
+async function applyChanges(tenantId, portCall, changes) {
+  let current = portCall;
+  if (changes.actualArrival) {
+    current = current.status === 'PLANNED'
+      ? await transitionPortCall(tenantId, current.id, 'IN_PROGRESS', { actualArrival: changes.actualArrival }, { source: 'ais' })
+      : await correctActualTimes(tenantId, current.id, { actualArrival: changes.actualArrival }, { source: 'ais' });
+  }
+
+  if (changes.actualDeparture) {
+    current = current.status === 'IN_PROGRESS'
+      ? await transitionPortCall(tenantId, current.id, 'COMPLETED', { actualDeparture: changes.actualDeparture }, { source: 'ais' })
+      : await correctActualTimes(tenantId, current.id, { actualDeparture: changes.actualDeparture }, { source: 'ais' });
+  }
+
+  if (changes.eta || changes.etd) {
+    current = await portCallsDb.updatePortCall(current.id, tenantId, { eta: changes.eta, etd: changes.etd });
+    if (!current) {
+      throw createHttpError('Port call not found', 404);
+    }
+  }
+
+  return current;
+}
+
+/**
+ * Apply reconciliation rows the planner confirmed. Items are applied one by one, each checked in
+ * full before its first write; a failing item does not stop the others.
+ * @param {Array<Object>} items - { key?, portCallId, changes } to update a port call, or
+ *   { key?, vesselId, changes } to create one at the site; changes: { eta?, etd?, actualArrival?, actualDeparture? }
+ * @returns {Promise<{results: Array<{key, ok, portCall?, error?}>}>}
+ */
+export async function applyReconciliation(tenantId, siteId, items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw createHttpError('items must be a non-empty array');
+  }
+  if (items.length > MAX_APPLY_ITEMS) {
+    throw createHttpError(`At most ${MAX_APPLY_ITEMS} items can be applied at once`);
+  }
+
+  const site = await portsDb.getPortById(siteId, tenantId);
+  if (!site) {
+    throw createHttpError('Ops site not found', 404);
+  }
+
+  const results = [];
+  for (const item of items) {
+    const key = item?.key ?? null;
+    try {
+      const changes = parseChanges(item?.changes);
+      let portCall;
+      if (item?.portCallId) {
+        const existing = await portCallsDb.getPortCallById(item.portCallId, tenantId);
+        if (!existing) {
+          throw createHttpError('Port call not found', 404);
+        }
+        if (existing.portId !== siteId) {
+          throw createHttpError('Port call is not at this ops site');
+        }
+        checkChanges(existing, changes);
+        portCall = await applyChanges(tenantId, existing, changes);
+      } else {
+        const vessel = item?.vesselId ? await vesselsDb.getVesselById(item.vesselId, tenantId) : null;
+        if (!vessel) {
+          throw createHttpError('vesselId must be a vessel of this tenant');
+        }
+        const { actualArrival, actualDeparture } = changes;
+        const planned = {
+          status: 'PLANNED',
+          eta: changes.eta || actualArrival || actualDeparture || null,
+          etd: changes.etd || null,
+          actualArrival: null,
+          actualDeparture: null,
+        };
+        checkChanges(planned, { actualArrival, actualDeparture });
+        const created = await portCallsDb.createPortCall(tenantId, {
+          vesselId: vessel.id,
+          portId: siteId,
+          status: planned.status,
+          eta: planned.eta,
+          etd: planned.etd,
+        });
+        portCall = await applyChanges(tenantId, created, { actualArrival, actualDeparture });
+      }
+      results.push({ key, ok: true, portCall });
+    } catch (error) {
+      if (!error.status || error.status >= 500) {
+        console.error('[AIS Reconcile] Error applying item:', error);
+      }
+      results.push({ key, ok: false, error: error.message });
+    }
+  }
+
+  return { results };
+}
@@ -8,6 +8,20 @@ function getApiKey() {
   return process.env.AISSTREAM_API_KEY;
 }
 
+/**
+ * Check whether an AISStream API key is configured
+ */
+export function isAisStreamConfigured() {
+  return !!getApiKey();
+}
+
+/**
+ * AISStream WebSocket URL (AISSTREAM_WS_URL or the public endpoint)
+ */
+export function getAisStreamUrl() {
+  return WS_URL;
+}
+
 function requireApiKey() {
   const apiKey = getApiKey();
   if (!apiKey) {
@@ -16,7 +30,7 @@ function requireApiKey() {
   return apiKey;
 }
 
-function normalizePosition(msg) {
+export function normalizePosition(msg) {
   // AISStream can send messages in different formats
   // Try multiple possible structures
   
@@ -93,11 +107,16 @@ function normalizePosition(msg) {
   };
 }
 
-async function streamPositions({ boundingBoxes, shipMMSI, timeoutMs = 2000, maxMessages = 200 }) {
-  const apiKey = requireApiKey(); // Get API key at runtime
-
+/**
+ * Build an AISStream subscription message
+ * @param {Object} options
+ * @param {Array} options.boundingBoxes - [[[minLat, minLon], [maxLat, maxLon]], ...]
+ * @param {Array<string>} [options.shipMMSI] - Only receive these MMSIs
+ * @returns {Object} Subscription payload (send as JSON right after the socket opens)
+ */
+export function buildSubscription({ boundingBoxes, shipMMSI }) {
   const payload = {
-    APIKey: apiKey,
+    APIKey: requireApiKey(), // Get API key at runtime
     BoundingBoxes: boundingBoxes,
     // AISStream only supports: PositionReport
     // ClassAPositionReport and StandardClassBCSPositionReport are NOT supported (return errors)
@@ -108,6 +127,13 @@ async function streamPositions({ boundingBoxes, shipMMSI, timeoutMs = 2000, maxM
     payload.FiltersShipMMSI = shipMMSI;
   }
 
+  return payload;
+}
+
+async function streamPositions({ boundingBoxes, shipMMSI, timeoutMs = 2000, maxMessages = 200 }) {
+  const payload = buildSubscription({ boundingBoxes, shipMMSI });
+  const apiKey = payload.APIKey;
+
   return new Promise((resolve, reject) => {
     const ws = new WebSocket(WS_URL);
     const results = new Map();
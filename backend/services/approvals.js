@@ -0,0 +1,180 @@
+/**
+ * Port Call Approvals, Requirements and Impediments
+ * Validation and clearance rules for the items authorities raise on a port call; db/approvals.js
+ * persists them.
+ *
+ *   OPEN ──► CLEARED   (with evidence: protocol, certificate or document number)
+ *     ▲          │
+ *     └──────────┘      reopen drops the evidence
+ *
+ * - An OPEN item past its due date is overdue; overdue is derived, not a status
+ * - CLEARED items cannot be edited; reopen them first
+ * - An item may concern one crew member or passenger of the same port call
+ */
+
+import * as approvalsDb from '../db/approvals.js';
+import * as portCallsDb from '../db/portCalls.js';
+import * as travellersDb from '../db/travellers.js';
+import { createHttpError } from './httpError.js';
+
+function optionalText(value) {
+  return value === null || value === undefined ? null : String(value).trim() || null;
+}
+
+function requiredText(value, field, maxLength) {
+  const text = optionalText(value);
+  if (!text) {
+    throw createHttpError(`${field} is required`);
+  }
+  if (maxLength && text.length > maxLength) {
+    throw createHttpError(`${field} must be at most ${maxLength} characters`);
+  }
+  return text;
+}
+
+/**
+ * Parse an optional YYYY-MM-DD date (items are due and cleared on a day, not at a time)
+ */
+function parseDate(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  const match = typeof value === 'string' && /^(\d{4}-\d{2}-\d{2})/.exec(value);
+  if (!match || Number.isNaN(new Date(`${match[1]}T00:00:00Z`).getTime())) {
+    throw createHttpError(`${field} must be a date (YYYY-MM-DD)`);
+  }
+  return match[1];
+}
+
+/**
+ * Validate item fields present in the payload
+ * @param {boolean} partial - Only validate fields present in the payload (updates)
+ */
+function prepareApproval(payload, partial) {
+  const data = {};
+
+  if (payload.type !== undefined || !partial) {
+    if (!approvalsDb.APPROVAL_TYPES.includes(payload.type)) {
+      throw createHttpError(`type must be one of: ${approvalsDb.APPROVAL_TYPES.join(', ')}`);
+    }
+    data.type = payload.type;
+  }
+  if (payload.authority !== undefined || !partial) {
+    data.authority = requiredText(payload.authority, 'authority', 100);
+  }
+  if (payload.description !== undefined || !partial) {
+    data.description = requiredText(payload.description, 'description');
+  }
+  if (payload.dueDate !== undefined) {
+    data.dueDate = parseDate(payload.dueDate, 'dueDate');
+  }
+  if (payload.notes !== undefined) {
+    data.notes = optionalText(payload.notes);
+  }
+  if (payload.travellerType !== undefined || payload.travellerId !== undefined) {
+    const travellerId = optionalText(payload.travellerId);
+    if (travellerId && !travellersDb.TRAVELLER_TYPES.includes(payload.travellerType)) {
+      throw createHttpError(`travellerType must be one of: ${travellersDb.TRAVELLER_TYPES.join(', ')}`);
+    }
+    data.travellerType = travellerId ? payload.travellerType : null;
+    data.travellerId = travellerId;
+  }
+
+  return data;
+}
+
+/**
+ * Check that a linked traveller is on the same port call
+ */
+async function assertTravellerOnPortCall(tenantId, portCallId, data) {
+  if (!data.travellerId) return;
+  const traveller = await travellersDb.getTravellerById(data.travellerType, data.travellerId, tenantId);
+  if (!traveller || traveller.portCallId !== portCallId) {
+    throw createHttpError(`${data.travellerType === 'CREW' ? 'Crew member' : 'Passenger'} not found on this port call`);
+  }
+}
+
+/**
+ * Load an item or throw 404
+ */
+async function getApprovalOrThrow(tenantId, approvalId) {
+  const approval = await approvalsDb.getApprovalById(approvalId, tenantId);
+  if (!approval) {
+    throw createHttpError('Approval item not found', 404);
+  }
+  return approval;
+}
+
+/**
+ * Create an OPEN item for a port call
+ * @param {Object} payload - { type, authority, description, dueDate?, travellerType?, travellerId?, notes? }
+ */
+export async function createApproval(tenantId, portCallId, payload, userId) {
+  const portCall = await portCallsDb.getPortCallById(portCallId, tenantId);
+  if (!portCall) {
+    throw createHttpError('Port call not found', 404);
+  }
+
+  const data = prepareApproval(payload, false);
+  await assertTravellerOnPortCall(tenantId, portCallId, data);
+  return approvalsDb.createApproval(tenantId, { ...data, portCallId, createdBy: userId });
+}
+
+/**
+ * Update an OPEN item
+ */
+export async function updateApproval(tenantId, approvalId, payload) {
+  const approval = await getApprovalOrThrow(tenantId, approvalId);
+  if (approval.status !== 'OPEN') {
+    throw createHttpError('Cleared items cannot be edited; reopen the item first', 409);
+  }
+
+  const updates = prepareApproval(payload, true);
+  await assertTravellerOnPortCall(tenantId, approval.portCallId, updates);
+  return approvalsDb.updateApproval(approvalId, tenantId, updates);
+}
+
+/**
+ * Clear an OPEN item
+ * @param {Object} payload - { evidenceReference, clearedDate? (defaults to today), evidenceNotes? }
+ */
+export async function clearApproval(tenantId, approvalId, payload, userId) {
+  const approval = await getApprovalOrThrow(tenantId, approvalId);
+  if (approval.status !== 'OPEN') {
+    throw createHttpError('Item is already cleared', 409);
+  }
+
+  const clearance = {
+    evidenceReference: requiredText(payload.evidenceReference, 'evidenceReference', 255),
+    clearedDate: parseDate(payload.clearedDate, 'clearedDate') || new Date().toISOString().slice(0, 10),
+    evidenceNotes: optionalText(payload.evidenceNotes),
+    clearedBy: userId,
+  };
+  const cleared = await approvalsDb.clearApproval(approvalId, tenantId, clearance);
+  if (!cleared) {
+    throw createHttpError('Item changed concurrently, please retry', 409);
+  }
+  return cleared;
+}
+
+/**
+ * Reopen a CLEARED item (evidence turned out insufficient, authority raised it again)
+ */
+export async function reopenApproval(tenantId, approvalId) {
+  const approval = await getApprovalOrThrow(tenantId, approvalId);
+  if (approval.status !== 'CLEARED') {
+    throw createHttpError('Item is already open', 409);
+  }
+
+  const reopened = await approvalsDb.reopenApproval(approvalId, tenantId);
+  if (!reopened) {
+    throw createHttpError('Item changed concurrently, please retry', 409);
+  }
+  return reopened;
+}
+
+/**
+ * Delete an item entered by mistake
+ */
+export async function deleteApproval(tenantId, approvalId) {
+  await getApprovalOrThrow(tenantId, approvalId);
+  await approvalsDb.deleteApproval(approvalId, tenantId);
+}
@@ -0,0 +1,330 @@
+/**
+ * Port Call Attachments
+ * Upload, listing and download of files attached to a port call; db/attachments.js records them
+ * and services/storage holds the bytes.
+ *
+ * - Every file is identified from its content (services/fileTypes.js) and checked against the
+ *   tenant's allow-list and size limit (tenant_attachment_settings, server defaults otherwise)
+ * - Images get a thumbnail where one can be made (services/imageThumbnails.js)
+ * - Downloads go through short-lived links signed for the tenant, so <img> and <a> tags work
+ *   without an Authorization header and a link never opens another tenant's file
+ */
+
+import crypto from 'crypto';
+import * as attachmentsDb from '../db/attachments.js';
+import * as portCallsDb from '../db/portCalls.js';
+import { SUPPORTED_FILE_TYPES, detectFileType } from './fileTypes.js';
+import { createThumbnail } from './imageThumbnails.js';
+import { getDefaultStorage, getStorage } from './storage/index.js';
+import { createHttpError } from './httpError.js';
+
+// Server-wide upload cap; tenants can only lower it
+export const SERVER_MAX_FILE_SIZE_MB = parseInt(process.env.ATTACHMENT_MAX_SIZE_MB || '25', 10);
+
+const LINK_TTL_SECONDS = parseInt(process.env.ATTACHMENT_LINK_TTL_SECONDS || '900', 10);
+const LINK_VARIANTS = ['file', 'thumbnail'];
+const MAX_DESCRIPTION_LENGTH = 500;
+
+let warnedAboutFallback = false;
+
+/**
+ * Key for download link signatures (ATTACHMENT_SIGNING_SECRET, derived from JWT_SECRET in development)
+ */
+function getSigningKey() {
+  if (process.env.ATTACHMENT_SIGNING_SECRET) {
+    return process.env.ATTACHMENT_SIGNING_SECRET;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('ATTACHMENT_SIGNING_SECRET must be set to sign attachment links');
+  }
+  if (!warnedAboutFallback) {
+    console.warn('[Attachments] ATTACHMENT_SIGNING_SECRET not set - deriving the link key from JWT_SECRET (development only)');
+    warnedAboutFallback = true;
+  }
+  const secret = process.env.JWT_SECRET || 'dev-secret-key-change-in-production';
+  return crypto.createHash('sha256').update(`attachments:${secret}`).digest();
+}
+
+function sign(tenantId, attachmentId, variant, expires) {
+  return crypto
+    .createHmac('sha256', getSigningKey())
+    .update(`${tenantId}:${attachmentId}:${variant}:${expires}`)
+    .digest('base64url');
+}
+
+/**
+ * Signed download path of an attachment, relative to the API base (/api)
+ * @param {'file'|'thumbnail'} variant
+ */
+function signedPath(tenantId, attachmentId, variant) {
+  const expires = Math.floor(Date.now() / 1000) + LINK_TTL_SECONDS;
+  const params = new URLSearchParams({
+    tenant: tenantId,
+    variant,
+    expires: String(expires),
+    signature: sign(tenantId, attachmentId, variant, expires),
+  });
+  return `/files/${encodeURIComponent(attachmentId)}?${params}`;
+}
+
+/**
+ * Add signed download links to an attachment; storage locations stay server-side
+ */
+function withLinks(attachment) {
+  const { storagePath, thumbnailPath, storageBackend, ...rest } = attachment;
+  return {
+    ...rest,
+    hasThumbnail: Boolean(thumbnailPath),
+    downloadUrl: signedPath(attachment.tenantId, attachment.id, 'file'),
+    thumbnailUrl: thumbnailPath ? signedPath(attachment.tenantId, attachment.id, 'thumbnail') : null,
+  };
+}
+
+/**
+ * Keep a client file name displayable and safe in a Content-Disposition header
+ */
+function sanitizeFileName(fileName) {
+  const base = String(fileName || '').split(/[/\\]/).pop();
+  const cleaned = base.replace(/[\u0000-\u001f\u007f"<>|*?:]/g, '_').trim();
+  if (!cleaned || /^\.+$/.test(cleaned)) {
+    throw createHttpError('File name is required');
+  }
+  return cleaned.length > 200 ? cleaned.slice(cleaned.length - 200) : cleaned;
+}
+
+function optionalDescription(value) {
+  const text = value === null || value === undefined ? null : String(value).trim() || null;
+  if (text && text.length > MAX_DESCRIPTION_LENGTH) {
+    throw createHttpError(`description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+  }
+  return text;
+}
+
+/**
+ * Load a port call or throw 404
+ */
+async function getPortCallOrThrow(tenantId, portCallId) {
+  const portCall = await portCallsDb.getPortCallById(portCallId, tenantId);
+  if (!portCall) {
+    throw createHttpError('Port call not found', 404);
+  }
+  return portCall;
+}
+
+/**
+ * Load an attachment of the port call or throw 404
+ */
+async function getAttachmentOrThrow(tenantId, portCallId, attachmentId) {
+  const attachment = await attachmentsDb.getAttachmentById(attachmentId, tenantId);
+  if (!attachment || attachment.portCallId !== portCallId) {
+    throw createHttpError('Attachment not found', 404);
+  }
+  return attachment;
+}
+
+/**
+ * Get a tenant's effective attachment settings
+ * @returns {Promise<Object>} { allowedTypes, allowedExtensions, maxFileSizeMb, supportedTypes, serverMaxFileSizeMb }
+ */
+export async function getAttachmentSettings(tenantId) {
+  const settings = await attachmentsDb.getAttachmentSettings(tenantId);
+  const supportedTypes = Object.keys(SUPPORTED_FILE_TYPES);
+  const allowedTypes = settings?.allowedTypes
+    ? settings.allowedTypes.filter((type) => supportedTypes.includes(type))
+    : supportedTypes;
+
+  return {
+    allowedTypes,
+    allowedExtensions: allowedTypes.flatMap((type) => SUPPORTED_FILE_TYPES[type]),
+    maxFileSizeMb: Math.min(settings?.maxFileSizeMb || SERVER_MAX_FILE_SIZE_MB, SERVER_MAX_FILE_SIZE_MB),
+    supportedTypes,
+    serverMaxFileSizeMb: SERVER_MAX_FILE_SIZE_MB,
+  };
+}
+
+/**
+ * Replace a tenant's attachment settings
+ * @param {Object} payload - { allowedTypes: string[], maxFileSizeMb: number }
+ */
+export async function updateAttachmentSettings(tenantId, payload) {
+  const { allowedTypes, maxFileSizeMb } = payload;
+
+  if (!Array.isArray(allowedTypes) || allowedTypes.length === 0) {
+    throw createHttpError('allowedTypes must be a non-empty list of file types');
+  }
+  const unsupported = allowedTypes.filter((type) => !SUPPORTED_FILE_TYPES[type]);
+  if (unsupported.length > 0) {
+    throw createHttpError(`Unsupported file types: ${unsupported.join(', ')}`);
+  }
+  const size = Number(maxFileSizeMb);
+  if (!Number.isInteger(size) || size < 1 || size > SERVER_MAX_FILE_SIZE_MB) {
+    throw createHttpError(`maxFileSizeMb must be a whole number between 1 and ${SERVER_MAX_FILE_SIZE_MB}`);
+  }
+
+  await attachmentsDb.upsertAttachmentSettings(tenantId, {
+    allowedTypes: [...new Set(allowedTypes)],
+    maxFileSizeMb: size,
+  });
+  return getAttachmentSettings(tenantId);
+}
+
+/**
+ * Get a port call's attachments with signed download links
+ */
+export async function getAttachments(tenantId, portCallId) {
+  await getPortCallOrThrow(tenantId, portCallId);
+  const attachments = await attachmentsDb.getAttachments(tenantId, portCallId);
+  return attachments.map(withLinks);
+}
+
+/**
+ * Check, store and record an uploaded file
+ * @param {Object} file - { fileName, data } from services/multipart.js
+ * @param {Object} options - { description?, uploadedBy? }
+ */
+export async function uploadAttachment(tenantId, portCallId, file, { description, uploadedBy } = {}) {
+  await getPortCallOrThrow(tenantId, portCallId);
+  if (!file) {
+    throw createHttpError('A file is required (form field "file")');
+  }
+
+  const settings = await getAttachmentSettings(tenantId);
+  if (file.data.length > settings.maxFileSizeMb * 1024 * 1024) {
+    throw createHttpError(`File is larger than ${settings.maxFileSizeMb} MB`, 413);
+  }
+
+  const fileName = sanitizeFileName(file.fileName);
+  const { mimeType, extension } = detectFileType(file.data, fileName);
+  if (!settings.allowedTypes.includes(mimeType)) {
+    throw createHttpError(`${extension} files are not allowed for this tenant`, 415);
+  }
+  const notes = optionalDescription(description);
+
+  const id = `att-${crypto.randomUUID()}`;
+  const storage = getDefaultStorage();
+  const storagePath = `${tenantId}/${portCallId}/${id}${extension}`;
+  const thumbnail = mimeType.startsWith('image/') ? createThumbnail(file.data, mimeType) : null;
+  const thumbnailPath = thumbnail
+    ? `${tenantId}/${portCallId}/${id}-thumb${thumbnail.mimeType === 'image/png' ? '.png' : '.jpg'}`
+    : null;
+
+  await storage.put(storagePath, file.data, mimeType);
+  try {
+    if (thumbnail) {
+      await storage.put(thumbnailPath, thumbnail.data, thumbnail.mimeType);
+    }
+    const attachment = await attachmentsDb.createAttachment(tenantId, {
+      id,
+      portCallId,
+      fileName,
+      fileType: mimeType,
+      fileSize: file.data.length,
+      checksumSha256: crypto.createHash('sha256').update(file.data).digest('hex'),
+      storageBackend: storage.name,
+      storagePath,
+      thumbnailPath,
+      description: notes,
+      uploadedBy,
+    });
+    return withLinks(attachment);
+  } catch (error) {
+    // Don't leave unreferenced files behind
+    await Promise.allSettled([storage.delete(storagePath), thumbnailPath && storage.delete(thumbnailPath)]);
+    throw error;
+  }
+}
+
+/**
+ * Update an attachment's description
+ */
+export async function updateAttachment(tenantId, portCallId, attachmentId, payload) {
+  await getAttachmentOrThrow(tenantId, portCallId, attachmentId);
+  const attachment = await attachmentsDb.updateAttachmentDescription(
+    attachmentId,
+    tenantId,
+    optionalDescription(payload.description)
+  );
+  if (!attachment) {
+    throw createHttpError('Attachment not found', 404);
+  }
+  return withLinks(attachment);
+}
+
+/**
+ * Remove the stored files of attachments whose rows are already deleted
+ */
+async function removeStoredFiles(attachments) {
+  for (const attachment of attachments) {
+    try {
+      const storage = getStorage(attachment.storageBackend);
+      await storage.delete(attachment.storagePath);
+      if (attachment.thumbnailPath) {
+        await storage.delete(attachment.thumbnailPath);
+      }
+    } catch (error) {
+      // The row is gone, so the attachment is deleted for users; an orphaned file only costs space
+      console.warn(`[Attachments] Could not remove stored file of ${attachment.id}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Delete an attachment and its stored files
+ */
+export async function deleteAttachment(tenantId, portCallId, attachmentId) {
+  const attachment = await getAttachmentOrThrow(tenantId, portCallId, attachmentId);
+  await attachmentsDb.deleteAttachment(attachmentId, tenantId);
+  await removeStoredFiles([attachment]);
+}
+
+/**
+ * Delete a port call together with its attachments' stored files (its rows cascade)
+ * @returns {Promise<boolean>} True if deleted
+ */
+export async function deletePortCallWithFiles(tenantId, portCallId) {
+  const attachments = await attachmentsDb.getAttachments(tenantId, portCallId);
+  const deleted = await portCallsDb.deletePortCall(portCallId, tenantId);
+  if (deleted) {
+    await removeStoredFiles(attachments);
+  }
+  return deleted;
+}
+
+/**
+ * Resolve a signed download link to the file's bytes
+ * @param {string} attachmentId
+ * @param {Object} params - { tenant, variant, expires, signature } from the link's query string
+ * @returns {Promise<{data: Buffer, fileName: string, fileType: string, variant: string}>}
+ */
+export async function readSignedFile(attachmentId, { tenant, variant, expires, signature } = {}) {
+  const expiresAt = parseInt(expires, 10);
+  if (!tenant || !LINK_VARIANTS.includes(variant) || !Number.isInteger(expiresAt) || typeof signature !== 'string') {
+    throw createHttpError('Invalid download link', 403);
+  }
+
+  const expected = Buffer.from(sign(tenant, attachmentId, variant, expiresAt));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    throw createHttpError('Invalid download link', 403);
+  }
+  if (expiresAt < Math.floor(Date.now() / 1000)) {
+    throw createHttpError('Download link has expired', 403);
+  }
+
+  const attachment = await attachmentsDb.getAttachmentById(attachmentId, tenant);
+  const key = variant === 'thumbnail' ? attachment?.thumbnailPath : attachment?.storagePath;
+  if (!key) {
+    throw createHttpError('Attachment not found', 404);
+  }
+
+  const data = await getStorage(attachment.storageBackend).get(key);
+  if (!data) {
+    throw createHttpError('Stored file is missing', 404);
+  }
+  return {
+    data,
+    fileName: attachment.fileName,
+    fileType: variant === 'thumbnail' ? (key.endsWith('.png') ? 'image/png' : 'image/jpeg') : attachment.fileType,
+    variant,
+  };
+}
@@ -0,0 +1,243 @@
+/**
+ * Disbursement account documents
+ * Renders a port call's PDA or FDA as PDF or CSV. The PDA prints the estimates with the funding
+ * requested from the customer; the FDA adds the actual amount and variance of every line and
+ * ends with the balance after the funds received. Drafts are marked as such.
+ */
+
+import { PdfDocument } from './pdfDocument.js';
+import { toCsv } from './spreadsheet.js';
+
+const MARGIN = 48;
+const FOOTER_SPACE = 60;
+const ROW_LINE_HEIGHT = 12;
+const MUTED = '#666666';
+const DRAFT_COLOR = '#b91c1c';
+
+export const CATEGORY_LABELS = {
+  PORT_COSTS: 'Port costs',
+  SUPPLIERS: 'Suppliers',
+  AGENCY: 'Agency',
+  OTHER: 'Other',
+};
+
+const TITLES = {
+  PDA: 'PROFORMA DISBURSEMENT ACCOUNT',
+  FDA: 'FINAL DISBURSEMENT ACCOUNT',
+};
+
+function getStage(account) {
+  return account.status.startsWith('FDA') ? 'FDA' : 'PDA';
+}
+
+function isDraft(account) {
+  return account.status === 'PDA_DRAFT' || account.status === 'FDA_DRAFT';
+}
+
+function formatDate(value, locale) {
+  return value ? new Date(value).toLocaleDateString(locale, { timeZone: 'UTC' }) : '-';
+}
+
+/**
+ * Line table columns for the stage: x is the left edge, or the right edge for amounts
+ */
+function getColumns(stage) {
+  const right = 547;
+  if (stage === 'PDA') {
+    return [
+      { key: 'description', label: 'Description', x: MARGIN, width: 380 },
+      { key: 'estimatedAmount', label: 'Estimated', x: right, align: 'right' },
+    ];
+  }
+  return [
+    { key: 'description', label: 'Description', x: MARGIN, width: 230 },
+    { key: 'estimatedAmount', label: 'PDA', x: 355, align: 'right' },
+    { key: 'actualAmount', label: 'Actual', x: 420, align: 'right' },
+    { key: 'variance', label: 'Variance', x: 485, align: 'right' },
+    { key: 'variancePercent', label: '%', x: right, align: 'right' },
+  ];
+}
+
+/**
+ * Render a disbursement account as PDF
+ * @param {Object} context
+ * @param {Object} [context.tenant] - Agency { name, defaultLocale }
+ * @param {Object} context.portCall - Port call with vessel and port (db/portCalls.getPortCallById)
+ * @param {Object} context.account - The account (db/disbursements)
+ * @param {Array<Object>} context.lines - Lines with variance, by category
+ * @param {Object} context.totals - Totals (services/disbursements.js)
+ * @returns {Buffer} PDF file contents
+ */
+export function renderDisbursementPdf({ tenant, portCall, account, lines, totals }) {
+  const locale = tenant?.defaultLocale || 'en-US';
+  const money = new Intl.NumberFormat(locale, { style: 'currency', currency: account.currency });
+  const plain = new Intl.NumberFormat(locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  const stage = getStage(account);
+  const columns = getColumns(stage);
+
+  const doc = new PdfDocument({ title: `${stage} - ${portCall.vessel?.name || ''}` });
+  const right = doc.width - MARGIN;
+
+  // Header: agency left, document title right
+  let y = MARGIN + 16;
+  doc.text(tenant?.name || '', MARGIN, y, { size: 16, font: 'bold' });
+  doc.text(TITLES[stage], right, y, { size: 12, font: 'bold', align: 'right' });
+  if (isDraft(account)) {
+    y += 16;
+    doc.text('DRAFT', right, y, { size: 12, font: 'bold', color: DRAFT_COLOR, align: 'right' });
+  }
+  y += 26;
+
+  // Customer and port call
+  const billTo = account.billTo || {};
+  const customer = [billTo.name, billTo.taxId ? `Tax ID: ${billTo.taxId}` : null, billTo.address, billTo.city, billTo.email]
+    .filter(Boolean);
+  const call = [
+    [portCall.vessel?.name, portCall.vessel?.imo ? `IMO ${portCall.vessel.imo}` : null].filter(Boolean).join(' - '),
+    portCall.port?.name,
+    `Arrival: ${formatDate(portCall.actualArrival || portCall.eta, locale)}`,
+    `Departure: ${formatDate(portCall.actualDeparture || portCall.etd, locale)}`,
+  ].filter(Boolean);
+  doc.text('CUSTOMER', MARGIN, y, { size: 8, font: 'bold', color: MUTED });
+  doc.text('PORT CALL', 320, y, { size: 8, font: 'bold', color: MUTED });
+  y += 14;
+  for (let index = 0; index < Math.max(customer.length, call.length, 1); index++) {
+    const font = index === 0 ? 'bold' : 'regular';
+    if (customer[index]) doc.text(customer[index], MARGIN, y, { size: 9, font });
+    if (call[index]) doc.text(call[index], 320, y, { size: 9, font });
+    y += 12;
+  }
+  if (customer.length === 0) {
+    doc.text('No customer set', MARGIN, y - 12, { size: 9, color: MUTED });
+  }
+
+  // Lines grouped by category, continuing on new pages as needed
+  const drawTableHeader = () => {
+    doc.rect(MARGIN, y - 12, doc.width - MARGIN * 2, 18, { fill: '#eeeeee' });
+    for (const column of columns) {
+      doc.text(column.label, column.x, y, { size: 9, font: 'bold', align: column.align });
+    }
+    y += 18;
+  };
+  const ensureSpace = (height) => {
+    if (y + height > doc.height - FOOTER_SPACE) {
+      doc.addPage();
+      y = MARGIN + 12;
+      drawTableHeader();
+    }
+  };
+  const formatCell = (line, key) => {
+    if (key === 'variancePercent') return line.variancePercent === null ? '' : `${line.variancePercent}%`;
+    return line[key] === null ? '-' : plain.format(line[key]);
+  };
+
+  y += 24;
+  drawTableHeader();
+  let category = null;
+  for (const line of lines) {
+    if (line.category !== category) {
+      category = line.category;
+      ensureSpace(30);
+      y += 4;
+      doc.text(CATEGORY_LABELS[category] || category, MARGIN, y, { size: 9, font: 'bold', color: MUTED });
+      y += 14;
+    }
+    const descriptionLines = doc.wrapText(line.description, columns[0].width, { size: 9 });
+    const rowHeight = descriptionLines.length * ROW_LINE_HEIGHT + 4;
+    ensureSpace(rowHeight);
+    descriptionLines.forEach((text, index) => {
+      doc.text(text, MARGIN, y + index * ROW_LINE_HEIGHT, { size: 9 });
+    });
+    for (const column of columns.slice(1)) {
+      doc.text(formatCell(line, column.key), column.x, y, { size: 9, align: 'right' });
+    }
+    y += rowHeight;
+    doc.line(MARGIN, y - 9, doc.width - MARGIN, y - 9, { width: 0.25, color: '#cccccc' });
+  }
+  if (lines.length === 0) {
+    doc.text('No lines.', MARGIN, y, { size: 9, color: MUTED });
+    y += 14;
+  }
+
+  // Totals and the funding request or balance (kept together on one page)
+  const summary = stage === 'PDA'
+    ? [
+      ['Total estimated', money.format(totals.estimated), true],
+      ...(account.fundingAmount !== null ? [
+        ['Funding requested', money.format(account.fundingAmount)],
+        ['Due by', formatDate(account.fundingDueAt, locale)],
+        ['Funds received', money.format(totals.fundsReceived)],
+        ['Outstanding', money.format(totals.fundingOutstanding), true],
+      ] : []),
+    ]
+    : [
+      ['Total PDA', money.format(totals.estimated)],
+      ['Total actual', money.format(totals.actual), true],
+      ['Variance', money.format(totals.variance)],
+      ['Funds received', money.format(totals.fundsReceived)],
+      [totals.balance < 0 ? 'Balance to refund' : 'Balance due', money.format(Math.abs(totals.balance)), true],
+    ];
+  const notesLines = account.notes ? doc.wrapText(account.notes, doc.width - MARGIN * 2, { size: 9 }) : [];
+  if (y + 20 + summary.length * 16 + (notesLines.length + 2) * 12 > doc.height - FOOTER_SPACE) {
+    doc.addPage();
+    y = MARGIN + 12;
+  }
+  y += 12;
+  for (const [label, value, bold] of summary) {
+    const font = bold ? 'bold' : 'regular';
+    doc.text(label, right - 130, y, { size: bold ? 10 : 9, font, color: bold ? undefined : MUTED, align: 'right' });
+    doc.text(value, right, y, { size: bold ? 10 : 9, font, align: 'right' });
+    y += 16;
+  }
+  if (stage === 'FDA' && totals.pendingLines > 0) {
+    doc.text(`${totals.pendingLines} line(s) without an actual amount are not in the totals.`, MARGIN, y, {
+      size: 9,
+      color: DRAFT_COLOR,
+    });
+    y += 14;
+  }
+  if (notesLines.length > 0) {
+    y += 8;
+    doc.text('NOTES', MARGIN, y, { size: 8, font: 'bold', color: MUTED });
+    y += 13;
+    for (const text of notesLines) {
+      doc.text(text, MARGIN, y, { size: 9 });
+      y += 12;
+    }
+  }
+
+  // Footer on every page
+  const pageCount = doc.pages.length;
+  for (let index = 0; index < pageCount; index++) {
+    doc.setPage(index);
+    doc.text(`${stage} - ${portCall.vessel?.name || portCall.id}`, MARGIN, doc.height - 30, { size: 8, color: MUTED });
+    doc.text(`Page ${index + 1} of ${pageCount}`, doc.width - MARGIN, doc.height - 30, { size: 8, color: MUTED, align: 'right' });
+  }
+
+  return doc.toBuffer();
+}
+
+/**
+ * Render a disbursement account as CSV: one row per line, then the totals
+ * @returns {string} CSV text
+ */
+export function renderDisbursementCsv({ account, lines, totals }) {
+  const amount = (value) => (value === null || value === undefined ? '' : value.toFixed(2));
+  return toCsv([
+    ['Category', 'Description', 'Source', `Estimated (${account.currency})`, `Actual (${account.currency})`, 'Variance', 'Variance %', 'Notes'],
+    ...lines.map((line) => [
+      CATEGORY_LABELS[line.category] || line.category,
+      line.description,
+      line.source,
+      amount(line.estimatedAmount),
+      amount(line.actualAmount),
+      amount(line.variance),
+      line.variancePercent ?? '',
+      line.notes || '',
+    ]),
+    [],
+    ['Total', '', '', amount(totals.estimated), amount(totals.actual), amount(totals.variance), '', ''],
+    ['Funds received', '', '', '', amount(totals.fundsReceived), '', '', ''],
+    ...(totals.balance !== null ? [['Balance', '', '', '', amount(totals.balance), '', '', '']] : []),
+  ]);
+}
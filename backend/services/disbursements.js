@@ -0,0 +1,638 @@
+/**
+ * Disbursement Accounts (PDA/FDA)
+ * A port call's proforma and final disbursement account; db/disbursements.js persists it and
+ * disbursementDocuments.js renders it.
+ *
+ *   PDA_DRAFT ──► FUNDING_REQUESTED ──► FDA_DRAFT ──► FDA_ISSUED
+ *       ▲               │    ▲                │            │
+ *       └── reopen ─────┘    └─ (reconcile) ◄─┘◄─ reopen ──┘
+ *
+ * - The PDA is filled from what the call is expected to cost: the tariff estimate of its ops
+ *   site, fees not covered by a tariff and its purchase orders. Manual lines (agency fee, ...)
+ *   are added by hand. Filling again updates the linked lines and adds new sources
+ * - Requesting funding freezes the estimates and snapshots the customer's billing details
+ * - Reconciling starts (or refreshes) the FDA: linked lines take the actual amount of their fee
+ *   or approved purchase order, tariff lines the fee raised from the same tariff, and costs that
+ *   were not on the PDA are added with no estimate. Manual lines keep the actual typed in
+ * - Variance per line is actual - estimated; the balance is the FDA total less funds received
+ *   (positive: due from the customer, negative: to refund)
+ * - Amounts are summed in cents and only sources in the account currency are taken; others are
+ *   reported as warnings
+ */
+
+import * as disbursementsDb from '../db/disbursements.js';
+import * as portCallsDb from '../db/portCalls.js';
+import * as feesDb from '../db/fees.js';
+import * as purchaseOrdersDb from '../db/purchaseOrders.js';
+import * as tenantsDb from '../db/tenants.js';
+import { estimatePortCallFees } from './tariffs.js';
+import { FEE_TYPE_LABELS } from './fees.js';
+import { buildBillTo } from './invoices.js';
+import { renderDisbursementPdf, renderDisbursementCsv } from './disbursementDocuments.js';
+import { createHttpError } from './httpError.js';
+
+export const EXPORT_FORMATS = ['pdf', 'csv'];
+
+// Purchase orders whose amount is a committed cost
+const COMMITTED_PO_STATUSES = ['APPROVED', 'RECEIVED', 'CLOSED'];
+
+const MAX_AMOUNT = 1e11;
+
+function toCents(amount) {
+  return Math.round((amount || 0) * 100);
+}
+
+function parseAmount(value, field, { required = false } = {}) {
+  if (value === undefined || value === null || value === '') {
+    if (required) throw createHttpError(`${field} is required`);
+    return null;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0 || number > MAX_AMOUNT) {
+    throw createHttpError(`${field} must be a number >= 0`);
+  }
+  return toCents(number) / 100;
+}
+
+function optionalText(value, field, maxLength = 500) {
+  const text = value === null || value === undefined ? null : String(value).trim() || null;
+  if (text && text.length > maxLength) {
+    throw createHttpError(`${field} must be at most ${maxLength} characters`);
+  }
+  return text;
+}
+
+function parseCurrency(value) {
+  const currency = String(value || '').toUpperCase();
+  if (!/^[A-Z]{3}$/.test(currency)) {
+    throw createHttpError('currency must be a 3-letter ISO code');
+  }
+  return currency;
+}
+
+function parseOptionalDay(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  const match = typeof value === 'string' && /^(\d{4}-\d{2}-\d{2})/.exec(value);
+  if (!match || Number.isNaN(new Date(`${match[1]}T00:00:00Z`).getTime())) {
+    throw createHttpError(`${field} must be a date (YYYY-MM-DD)`);
+  }
+  return match[1];
+}
+
+function parseOptionalDate(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw createHttpError(`${field} must be a valid date`);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Validate a line payload; on update only the fields present are checked
+ * @param {string} stage - 'PDA' (estimates are edited) or 'FDA' (actuals are edited)
+ */
+function prepareLine(payload, stage, existing = null) {
+  const line = {};
+  if (payload.category !== undefined || !existing) {
+    const category = payload.category || 'OTHER';
+    if (!disbursementsDb.LINE_CATEGORIES.includes(category)) {
+      throw createHttpError(`category must be one of ${disbursementsDb.LINE_CATEGORIES.join(', ')}`);
+    }
+    line.category = category;
+  }
+  if (payload.description !== undefined || !existing) {
+    line.description = optionalText(payload.description, 'description');
+    if (!line.description) {
+      throw createHttpError('description is required');
+    }
+  }
+  if (payload.notes !== undefined) {
+    line.notes = optionalText(payload.notes, 'notes', 2000);
+  }
+
+  if (stage === 'PDA' && (payload.estimatedAmount !== undefined || !existing)) {
+    line.estimatedAmount = parseAmount(payload.estimatedAmount, 'estimatedAmount', { required: true });
+  }
+  if (stage === 'FDA' && (payload.actualAmount !== undefined || !existing)) {
+    line.actualAmount = parseAmount(payload.actualAmount, 'actualAmount', { required: !existing });
+  }
+  return line;
+}
+
+/**
+ * Add variance to the lines and work out the account totals
+ */
+function summarize(account, lines) {
+  let estimatedCents = 0;
+  let actualCents = 0;
+  let pendingLines = 0;
+  const withVariance = lines.map((line) => {
+    estimatedCents += toCents(line.estimatedAmount);
+    if (line.actualAmount === null) {
+      pendingLines += 1;
+      return { ...line, variance: null, variancePercent: null };
+    }
+    actualCents += toCents(line.actualAmount);
+    const varianceCents = toCents(line.actualAmount) - toCents(line.estimatedAmount);
+    return {
+      ...line,
+      variance: varianceCents / 100,
+      variancePercent: line.estimatedAmount > 0
+        ? Math.round((varianceCents / toCents(line.estimatedAmount)) * 1000) / 10
+        : null,
+    };
+  });
+
+  const isFinal = account.status === 'FDA_DRAFT' || account.status === 'FDA_ISSUED';
+  const receivedCents = toCents(account.fundsReceivedAmount);
+  return {
+    lines: withVariance,
+    totals: {
+      estimated: estimatedCents / 100,
+      actual: isFinal ? actualCents / 100 : null,
+      variance: isFinal ? (actualCents - estimatedCents) / 100 : null,
+      pendingLines: isFinal ? pendingLines : null,
+      fundsReceived: receivedCents / 100,
+      fundingOutstanding: account.fundingAmount !== null
+        ? Math.max(toCents(account.fundingAmount) - receivedCents, 0) / 100
+        : null,
+      // Positive: due from the customer; negative: to refund
+      balance: isFinal ? (actualCents - receivedCents) / 100 : null,
+    },
+  };
+}
+
+/**
+ * Load a port call or throw 404
+ */
+async function getPortCallOrThrow(tenantId, portCallId) {
+  const portCall = await portCallsDb.getPortCallById(portCallId, tenantId);
+  if (!portCall) {
+    throw createHttpError('Port call not found', 404);
+  }
+  return portCall;
+}
+
+/**
+ * Load a port call's account or throw 404 (not started)
+ */
+async function getAccountOrThrow(tenantId, portCallId) {
+  await getPortCallOrThrow(tenantId, portCallId);
+  const account = await disbursementsDb.getDisbursementAccount(tenantId, portCallId);
+  if (!account) {
+    throw createHttpError('Disbursement account not started', 404);
+  }
+  return account;
+}
+
+/**
+ * Load a port call's account and refuse the change unless it is in one of the statuses (409)
+ */
+async function getAccountInStatusOrThrow(tenantId, portCallId, statuses, action) {
+  const account = await getAccountOrThrow(tenantId, portCallId);
+  if (!statuses.includes(account.status)) {
+    throw createHttpError(`Cannot ${action} while the account is ${account.status}`, 409);
+  }
+  return account;
+}
+
+/**
+ * Load a line of the account or throw 404
+ */
+async function getLineOrThrow(tenantId, account, lineId) {
+  const line = await disbursementsDb.getDisbursementLineById(lineId, tenantId);
+  if (!line || line.accountId !== account.id) {
+    throw createHttpError('Line not found', 404);
+  }
+  return line;
+}
+
+async function withLines(tenantId, account, extra = {}) {
+  const lines = await disbursementsDb.getDisbursementLines(tenantId, account.id);
+  return { account, ...summarize(account, lines), ...extra };
+}
+
+function purchaseOrderLabel(order) {
+  return [order.supplierName, order.description].filter(Boolean).join(': ') || `Purchase order ${order.id}`;
+}
+
+/**
+ * Work out the PDA lines the port call's tariff estimate, fees and purchase orders give
+ * @returns {Promise<{lines: Array<Object>, warnings: string[]}>} Lines with their link
+ */
+async function collectEstimates(tenantId, portCallId, currency) {
+  const [estimate, fees, orders] = await Promise.all([
+    estimatePortCallFees(tenantId, portCallId),
+    feesDb.getFees(tenantId, { portCallId }),
+    purchaseOrdersDb.getPurchaseOrders(tenantId, { portCallId }),
+  ]);
+  const warnings = [...estimate.warnings];
+  const lines = [];
+  const otherCurrency = (label, itemCurrency) => {
+    if (itemCurrency === currency) return false;
+    warnings.push(`${label} is in ${itemCurrency}, not ${currency}; not included`);
+    return true;
+  };
+
+  const estimatedTariffs = new Set();
+  for (const fee of estimate.fees) {
+    if (!fee.complete) {
+      warnings.push(`${fee.tariffName}: ${fee.warnings.join('; ')}; not included`);
+      continue;
+    }
+    if (otherCurrency(fee.tariffName, fee.currency)) continue;
+    estimatedTariffs.add(fee.tariffId);
+    lines.push({
+      category: 'PORT_COSTS',
+      description: fee.tariffName,
+      source: 'TARIFF',
+      tariffId: fee.tariffId,
+      estimatedAmount: fee.amount,
+    });
+  }
+
+  // Fees the tariff estimate does not already cover
+  for (const fee of fees) {
+    if (fee.status === 'WAIVED' || (fee.tariffId && estimatedTariffs.has(fee.tariffId))) continue;
+    const label = fee.description || FEE_TYPE_LABELS[fee.feeType] || fee.feeType;
+    if (otherCurrency(label, fee.currency)) continue;
+    lines.push({
+      category: 'PORT_COSTS',
+      description: label,
+      source: 'FEE',
+      feeId: fee.id,
+      estimatedAmount: fee.amountDue,
+    });
+  }
+
+  for (const order of orders) {
+    if (order.status === 'REJECTED') continue;
+    if (otherCurrency(purchaseOrderLabel(order), order.currency)) continue;
+    lines.push({
+      category: 'SUPPLIERS',
+      description: purchaseOrderLabel(order),
+      source: 'PURCHASE_ORDER',
+      purchaseOrderId: order.id,
+      estimatedAmount: order.totalAmount,
+    });
+  }
+
+  return { lines, warnings };
+}
+
+/**
+ * The existing line a collected line updates (same tariff, fee or purchase order)
+ */
+function findLinkedLine(lines, { tariffId, feeId, purchaseOrderId }) {
+  return lines.find((line) => (tariffId && line.tariffId === tariffId && line.source === 'TARIFF')
+    || (feeId && line.feeId === feeId)
+    || (purchaseOrderId && line.purchaseOrderId === purchaseOrderId));
+}
+
+/**
+ * Get a port call's disbursement account with its lines, variance and totals
+ * @returns {Promise<{account: Object, lines: Array, totals: Object}|null>} Null if not started
+ */
+export async function getDisbursementAccount(tenantId, portCallId) {
+  await getPortCallOrThrow(tenantId, portCallId);
+  const account = await disbursementsDb.getDisbursementAccount(tenantId, portCallId);
+  return account ? withLines(tenantId, account) : null;
+}
+
+/**
+ * Start a port call's PDA and fill it from the expected costs
+ * @param {Object} payload - { currency? } (default BRL)
+ * @returns {Promise<Object>} As getDisbursementAccount, plus added, updated and warnings
+ */
+export async function startDisbursementAccount(tenantId, portCallId, payload, userId) {
+  await getPortCallOrThrow(tenantId, portCallId);
+  const currency = parseCurrency(payload.currency || 'BRL');
+  const account = await disbursementsDb.createDisbursementAccount(tenantId, {
+    portCallId,
+    currency,
+    createdBy: userId || null,
+  });
+  if (account.status !== 'PDA_DRAFT') {
+    return withLines(tenantId, account, { added: 0, updated: 0, warnings: [] });
+  }
+  return prefillDisbursementAccount(tenantId, portCallId);
+}
+
+/**
+ * Fill a PDA again from the expected costs: linked lines are updated, new sources added and
+ * manual lines left alone
+ * @returns {Promise<Object>} As getDisbursementAccount, plus added, updated and warnings
+ */
+export async function prefillDisbursementAccount(tenantId, portCallId) {
+  const account = await getAccountInStatusOrThrow(tenantId, portCallId, ['PDA_DRAFT'], 'fill the PDA');
+  const { lines: collected, warnings } = await collectEstimates(tenantId, portCallId, account.currency);
+  const existing = await disbursementsDb.getDisbursementLines(tenantId, account.id);
+
+  let added = 0;
+  let updated = 0;
+  for (const line of collected) {
+    const match = findLinkedLine(existing, line);
+    if (!match) {
+      await disbursementsDb.createDisbursementLine(tenantId, account.id, line);
+      added += 1;
+    } else if (toCents(match.estimatedAmount) !== toCents(line.estimatedAmount) || match.description !== line.description) {
+      await disbursementsDb.updateDisbursementLine(match.id, tenantId, {
+        description: line.description,
+        estimatedAmount: line.estimatedAmount,
+      });
+      updated += 1;
+    }
+  }
+  return withLines(tenantId, account, { added, updated, warnings });
+}
+
+/**
+ * Update the header of an account (currency only while the PDA has no lines)
+ * @param {Object} payload - { currency?, customerId?, notes? }
+ */
+export async function updateDisbursementAccount(tenantId, portCallId, payload) {
+  const account = await getAccountOrThrow(tenantId, portCallId);
+  if (account.status === 'FDA_ISSUED') {
+    throw createHttpError('The FDA is issued; reopen it to make changes', 409);
+  }
+
+  const updates = {};
+  if (payload.notes !== undefined) updates.notes = optionalText(payload.notes, 'notes', 4000);
+  if (payload.customerId !== undefined) {
+    updates.customerId = payload.customerId || null;
+    updates.billTo = payload.customerId ? buildBillTo(tenantId, payload.customerId) : null;
+  }
+  if (payload.currency !== undefined && parseCurrency(payload.currency) !== account.currency) {
+    const lines = await disbursementsDb.getDisbursementLines(tenantId, account.id);
+    if (account.status !== 'PDA_DRAFT' || lines.length > 0) {
+      throw createHttpError('The currency can only be changed on a PDA without lines', 409);
+    }
+    updates.currency = parseCurrency(payload.currency);
+  }
+
+  const updated = await disbursementsDb.updateDisbursementAccount(account.id, tenantId, updates);
+  return withLines(tenantId, updated);
+}
+
+/**
+ * Delete an account (not once the FDA is issued)
+ */
+export async function deleteDisbursementAccount(tenantId, portCallId) {
+  const account = await getAccountOrThrow(tenantId, portCallId);
+  if (account.status === 'FDA_ISSUED') {
+    throw createHttpError('An issued FDA cannot be deleted; reopen it first', 409);
+  }
+  await disbursementsDb.deleteDisbursementAccount(account.id, tenantId);
+}
+
+/**
+ * Add a line: an estimate on the PDA, or a cost with its actual amount on the FDA
+ */
+export async function createDisbursementLine(tenantId, portCallId, payload) {
+  const account = await getAccountInStatusOrThrow(tenantId, portCallId, ['PDA_DRAFT', 'FDA_DRAFT'], 'add lines');
+  const stage = account.status === 'PDA_DRAFT' ? 'PDA' : 'FDA';
+  return disbursementsDb.createDisbursementLine(tenantId, account.id, prepareLine(payload, stage));
+}
+
+/**
+ * Update a line: its estimate on the PDA, its actual amount on the FDA
+ */
+export async function updateDisbursementLine(tenantId, portCallId, lineId, payload) {
+  const account = await getAccountInStatusOrThrow(tenantId, portCallId, ['PDA_DRAFT', 'FDA_DRAFT'], 'edit lines');
+  const line = await getLineOrThrow(tenantId, account, lineId);
+  const stage = account.status === 'PDA_DRAFT' ? 'PDA' : 'FDA';
+  return disbursementsDb.updateDisbursementLine(lineId, tenantId, prepareLine(payload, stage, line));
+}
+
+/**
+ * Delete a line; on the FDA only lines that were not on the PDA (set a PDA line's actual to 0 instead)
+ */
+export async function deleteDisbursementLine(tenantId, portCallId, lineId) {
+  const account = await getAccountInStatusOrThrow(tenantId, portCallId, ['PDA_DRAFT', 'FDA_DRAFT'], 'delete lines');
+  const line = await getLineOrThrow(tenantId, account, lineId);
+  if (account.status === 'FDA_DRAFT' && line.estimatedAmount > 0) {
+    throw createHttpError('Lines estimated on the PDA stay on the FDA; set their actual amount to 0', 409);
+  }
+  await disbursementsDb.deleteDisbursementLine(lineId, tenantId);
+}
+
+/**
+ * Request funding from the customer for the PDA (again, to change the amount or due date)
+ * @param {Object} payload - { customerId?, amount? (default: PDA total), dueAt? }
+ */
+export async function requestFunding(tenantId, portCallId, payload, userId) {
+  const account = await getAccountInStatusOrThrow(
+    tenantId, portCallId, ['PDA_DRAFT', 'FUNDING_REQUESTED'], 'request funding'
+  );
+  const lines = await disbursementsDb.getDisbursementLines(tenantId, account.id);
+  if (lines.length === 0) {
+    throw createHttpError('Add at least one line to the PDA before requesting funding');
+  }
+
+  const customerId = payload.customerId || account.customerId;
+  if (!customerId) {
+    throw createHttpError('customerId is required');
+  }
+  const { totals } = summarize(account, lines);
+  const updated = await disbursementsDb.updateDisbursementAccount(account.id, tenantId, {
+    status: 'FUNDING_REQUESTED',
+    customerId,
+    billTo: buildBillTo(tenantId, customerId),
+    fundingAmount: parseAmount(payload.amount, 'amount') ?? totals.estimated,
+    fundingDueAt: parseOptionalDay(payload.dueAt, 'dueAt'),
+    fundingRequestedAt: new Date().toISOString(),
+    fundingRequestedBy: userId || null,
+  }, ['PDA_DRAFT', 'FUNDING_REQUESTED']);
+  if (!updated) {
+    throw createHttpError('Account changed concurrently; reload and try again', 409);
+  }
+  return withLines(tenantId, updated);
+}
+
+/**
+ * Record the funds received from the customer so far (replaces the previous figure)
+ * @param {Object} payload - { amount, receivedAt? }
+ */
+export async function recordFundsReceived(tenantId, portCallId, payload) {
+  const account = await getAccountOrThrow(tenantId, portCallId);
+  const amount = parseAmount(payload.amount, 'amount', { required: true });
+  const updated = await disbursementsDb.updateDisbursementAccount(account.id, tenantId, {
+    fundsReceivedAmount: amount,
+    fundsReceivedAt: amount > 0 ? parseOptionalDate(payload.receivedAt, 'receivedAt') || new Date().toISOString() : null,
+  });
+  return withLines(tenantId, updated);
+}
+
+/**
+ * Start or refresh the FDA: fill actual amounts from the call's fees and purchase orders and
+ * add the costs that were not on the PDA
+ * @returns {Promise<Object>} As getDisbursementAccount, plus added, updated and warnings
+ */
+export async function reconcileDisbursementAccount(tenantId, portCallId) {
+  let account = await getAccountInStatusOrThrow(
+    tenantId, portCallId, ['PDA_DRAFT', 'FUNDING_REQUESTED', 'FDA_DRAFT'], 'reconcile'
+  );
+  const [lines, fees, orders] = await Promise.all([
+    disbursementsDb.getDisbursementLines(tenantId, account.id),
+    feesDb.getFees(tenantId, { portCallId }),
+    purchaseOrdersDb.getPurchaseOrders(tenantId, { portCallId }),
+  ]);
+  const warnings = [];
+  const matched = new Set();
+  let added = 0;
+  let updated = 0;
+
+  const apply = async (collected, match) => {
+    if (!match) {
+      await disbursementsDb.createDisbursementLine(tenantId, account.id, { ...collected, estimatedAmount: 0 });
+      added += 1;
+      return;
+    }
+    matched.add(match.id);
+    const changes = {};
+    if (collected.feeId && match.feeId !== collected.feeId) changes.feeId = collected.feeId;
+    if (collected.actualAmount !== undefined
+      && (match.actualAmount === null || toCents(match.actualAmount) !== toCents(collected.actualAmount))) {
+      changes.actualAmount = collected.actualAmount;
+    }
+    if (Object.keys(changes).length > 0) {
+      await disbursementsDb.updateDisbursementLine(match.id, tenantId, changes);
+      updated += 1;
+    }
+  };
+
+  for (const fee of fees) {
+    const label = fee.description || FEE_TYPE_LABELS[fee.feeType] || fee.feeType;
+    const match = lines.find((line) => line.feeId === fee.id)
+      || lines.find((line) => line.source === 'TARIFF' && !line.feeId && fee.tariffId && line.tariffId === fee.tariffId
+        && !matched.has(line.id));
+    if (fee.currency !== account.currency) {
+      warnings.push(`${label} is in ${fee.currency}, not ${account.currency}; not included`);
+      if (match) matched.add(match.id);
+      continue;
+    }
+    await apply({
+      category: 'PORT_COSTS',
+      description: label,
+      source: 'FEE',
+      feeId: fee.id,
+      actualAmount: fee.status === 'WAIVED' ? 0 : fee.amountDue,
+    }, match);
+  }
+
+  for (const order of orders) {
+    const label = purchaseOrderLabel(order);
+    const match = lines.find((line) => line.purchaseOrderId === order.id);
+    if (order.currency !== account.currency) {
+      warnings.push(`${label} is in ${order.currency}, not ${account.currency}; not included`);
+      if (match) matched.add(match.id);
+      continue;
+    }
+    if (order.status === 'REJECTED') {
+      if (match) await apply({ actualAmount: 0 }, match);
+      continue;
+    }
+    if (!COMMITTED_PO_STATUSES.includes(order.status)) {
+      warnings.push(`${label} is ${order.status}, not approved yet; not included`);
+      if (match) matched.add(match.id);
+      continue;
+    }
+    await apply({
+      category: 'SUPPLIERS',
+      description: label,
+      source: 'PURCHASE_ORDER',
+      purchaseOrderId: order.id,
+      actualAmount: order.totalAmount,
+    }, match);
+  }
+
+  for (const line of lines) {
+    if (line.source === 'MANUAL' || matched.has(line.id)) continue;
+    warnings.push(line.source === 'TARIFF'
+      ? `No fee raised for ${line.description}; enter its actual amount`
+      : `${line.description} no longer exists; enter its actual amount`);
+  }
+
+  if (account.status !== 'FDA_DRAFT') {
+    account = await disbursementsDb.updateDisbursementAccount(account.id, tenantId, { status: 'FDA_DRAFT' }, [account.status])
+      || await getAccountOrThrow(tenantId, portCallId);
+  }
+  return withLines(tenantId, account, { added, updated, warnings });
+}
+
+/**
+ * Issue the FDA; every line needs an actual amount
+ */
+export async function issueFinalAccount(tenantId, portCallId, userId) {
+  const account = await getAccountInStatusOrThrow(tenantId, portCallId, ['FDA_DRAFT'], 'issue the FDA');
+  const lines = await disbursementsDb.getDisbursementLines(tenantId, account.id);
+  const pending = lines.filter((line) => line.actualAmount === null).length;
+  if (lines.length === 0) {
+    throw createHttpError('The FDA has no lines');
+  }
+  if (pending > 0) {
+    throw createHttpError(`${pending} line(s) have no actual amount yet`, 409);
+  }
+
+  const issued = await disbursementsDb.updateDisbursementAccount(account.id, tenantId, {
+    status: 'FDA_ISSUED',
+    fdaIssuedAt: new Date().toISOString(),
+    fdaIssuedBy: userId || null,
+  }, ['FDA_DRAFT']);
+  if (!issued) {
+    throw createHttpError('The FDA is already issued', 409);
+  }
+  return withLines(tenantId, issued);
+}
+
+/**
+ * Step back one stage: withdraw a funding request (back to PDA_DRAFT) or reopen an issued FDA
+ */
+export async function reopenDisbursementAccount(tenantId, portCallId) {
+  const account = await getAccountInStatusOrThrow(
+    tenantId, portCallId, ['FUNDING_REQUESTED', 'FDA_ISSUED'], 'reopen'
+  );
+  const updates = account.status === 'FDA_ISSUED'
+    ? { status: 'FDA_DRAFT', fdaIssuedAt: null, fdaIssuedBy: null }
+    : { status: 'PDA_DRAFT', fundingRequestedAt: null, fundingRequestedBy: null };
+  const reopened = await disbursementsDb.updateDisbursementAccount(account.id, tenantId, updates, [account.status]);
+  if (!reopened) {
+    throw createHttpError('Account changed concurrently; reload and try again', 409);
+  }
+  return withLines(tenantId, reopened);
+}
+
+/**
+ * Export the account as PDF (PDA with funding request, or FDA with variance) or CSV
+ * @param {Object} options - { format: 'pdf' | 'csv' }
+ * @returns {Promise<{filename: string, contentType: string, body: Buffer|string}>}
+ */
+export async function exportDisbursementAccount(tenantId, portCallId, { format = 'pdf' } = {}) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw createHttpError(`format must be one of ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  const portCall = await getPortCallOrThrow(tenantId, portCallId);
+  const account = await getAccountOrThrow(tenantId, portCallId);
+  const { lines, totals } = summarize(account, await disbursementsDb.getDisbursementLines(tenantId, account.id));
+  const stage = account.status.startsWith('FDA') ? 'FDA' : 'PDA';
+
+  const vesselName = (portCall.vessel?.name || 'vessel').replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const draft = account.status === 'PDA_DRAFT' || account.status === 'FDA_DRAFT';
+  const baseName = `${stage}-${vesselName}${draft ? '-draft' : ''}`;
+
+  if (format === 'csv') {
+    return {
+      filename: `${baseName}.csv`,
+      contentType: 'text/csv; charset=utf-8',
+      body: renderDisbursementCsv({ account, lines, totals }),
+    };
+  }
+  const tenant = await tenantsDb.getTenantById(tenantId);
+  return {
+    filename: `${baseName}.pdf`,
+    contentType: 'application/pdf',
+    body: renderDisbursementPdf({ tenant, portCall, account, lines, totals }),
+  };
+}
@@ -0,0 +1,161 @@
+/**
+ * Minimal DOCX writer
+ * Builds Word documents (Office Open XML) from headings, paragraphs and tables, without a Word
+ * library: the parts are written as XML and zipped by zipArchive.js. Pages are A4 portrait.
+ * Formatting is applied per run (bold, size, color), so the document needs no style definitions.
+ */
+
+import { createZipArchive } from './zipArchive.js';
+
+const NAMESPACE = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+// A4 and margins in twentieths of a point (twips)
+const PAGE = { width: 11906, height: 16838, margin: 1134 };
+export const CONTENT_WIDTH = (PAGE.width - 2 * PAGE.margin) / 20; // points
+
+const GRID_COLOR = '999999';
+const HEADER_FILL = 'EEEEEE';
+
+/**
+ * Escape text for XML, dropping control characters XML 1.0 cannot contain
+ */
+function escapeXml(value) {
+  return String(value ?? '')
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * A run of text; newlines become line breaks
+ */
+function run(text, { bold = false, size = 10, color } = {}) {
+  const properties = [
+    bold ? '<w:b/>' : '',
+    color ? `<w:color w:val="${color.replace('#', '')}"/>` : '',
+    `<w:sz w:val="${Math.round(size * 2)}"/>`,
+  ].join('');
+  const content = String(text ?? '')
+    .split('\n')
+    .map((line) => `<w:t xml:space="preserve">${escapeXml(line)}</w:t>`)
+    .join('<w:br/>');
+  return `<w:r><w:rPr>${properties}</w:rPr>${content}</w:r>`;
+}
+
+/**
+ * A paragraph of one run
+ */
+function paragraph(text, { align = 'left', spacingAfter = 6, ...runOptions } = {}) {
+  const justification = { left: 'left', right: 'right', center: 'center' }[align] || 'left';
+  return `<w:p><w:pPr><w:spacing w:before="0" w:after="${spacingAfter * 20}"/><w:jc w:val="${justification}"/></w:pPr>${run(text, runOptions)}</w:p>`;
+}
+
+export class DocxDocument {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.title] - Document title (core properties)
+   */
+  constructor({ title = '' } = {}) {
+    this.title = title;
+    this.blocks = [];
+  }
+
+  /**
+   * Add a heading (bold, larger text)
+   * @param {number} [level=1] - 1 (title) or 2 (section)
+   */
+  heading(text, level = 1) {
+    this.blocks.push(paragraph(text, { bold: true, size: level === 1 ? 16 : 12, spacingAfter: level === 1 ? 10 : 6 }));
+  }
+
+  /**
+   * Add a paragraph
+   * @param {Object} [options] - { bold, size (points), color ('#rrggbb'), align ('left', 'right', 'center') }
+   */
+  paragraph(text, options = {}) {
+    this.blocks.push(paragraph(text, options));
+  }
+
+  /**
+   * Add a table with a header row that repeats on every page
+   * @param {Array<{label: string, width: number}>} columns - Widths in points
+   * @param {Array<Array<string>>} rows - Cell texts per row
+   * @param {Object} [options] - { size (points) }
+   */
+  table(columns, rows, { size = 9 } = {}) {
+    const border = `w:val="single" w:sz="4" w:space="0" w:color="${GRID_COLOR}"`;
+    const cell = (text, width, { bold = false, fill } = {}) => (
+      `<w:tc><w:tcPr><w:tcW w:w="${Math.round(width * 20)}" w:type="dxa"/>`
+      + `${fill ? `<w:shd w:val="clear" w:color="auto" w:fill="${fill}"/>` : ''}</w:tcPr>`
+      + `${paragraph(text, { size, bold, spacingAfter: 0 })}</w:tc>`
+    );
+
+    const header = `<w:tr><w:trPr><w:tblHeader/></w:trPr>${columns
+      .map((column) => cell(column.label, column.width, { bold: true, fill: HEADER_FILL }))
+      .join('')}</w:tr>`;
+    const body = rows
+      .map((row) => `<w:tr><w:trPr><w:cantSplit/></w:trPr>${columns
+        .map((column, index) => cell(row[index], column.width))
+        .join('')}</w:tr>`)
+      .join('');
+    const totalWidth = columns.reduce((sum, column) => sum + column.width, 0);
+
+    this.blocks.push(
+      `<w:tbl><w:tblPr><w:tblW w:w="${Math.round(totalWidth * 20)}" w:type="dxa"/><w:tblLayout w:type="fixed"/>`
+      + `<w:tblBorders><w:top ${border}/><w:left ${border}/><w:bottom ${border}/><w:right ${border}/>`
+      + `<w:insideH ${border}/><w:insideV ${border}/></w:tblBorders>`
+      + '<w:tblCellMar><w:left w:w="60" w:type="dxa"/><w:right w:w="60" w:type="dxa"/></w:tblCellMar></w:tblPr>'
+      + `<w:tblGrid>${columns.map((column) => `<w:gridCol w:w="${Math.round(column.width * 20)}"/>`).join('')}</w:tblGrid>`
+      + `${header}${body}</w:tbl>`,
+      // Word needs a paragraph between consecutive tables and before the section end
+      paragraph('', { spacingAfter: 6 })
+    );
+  }
+
+  /**
+   * Serialize the document
+   * @returns {Buffer} DOCX file contents
+   */
+  toBuffer() {
+    const document = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + `<w:document xmlns:w="${NAMESPACE}"><w:body>${this.blocks.join('')}`
+      + `<w:sectPr><w:pgSz w:w="${PAGE.width}" w:h="${PAGE.height}"/>`
+      + `<w:pgMar w:top="${PAGE.margin}" w:right="${PAGE.margin}" w:bottom="${PAGE.margin}" w:left="${PAGE.margin}"`
+      + ' w:header="567" w:footer="567" w:gutter="0"/></w:sectPr></w:body></w:document>';
+
+    return createZipArchive([
+      {
+        name: '[Content_Types].xml',
+        data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+          + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+          + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+          + '<Default Extension="xml" ContentType="application/xml"/>'
+          + '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>'
+          + '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>'
+          + '</Types>',
+      },
+      {
+        name: '_rels/.rels',
+        data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+          + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+          + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>'
+          + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>'
+          + '</Relationships>',
+      },
+      {
+        name: 'docProps/core.xml',
+        data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+          + '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties"'
+          + ' xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/"'
+          + ' xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">'
+          + `<dc:title>${escapeXml(this.title)}</dc:title>`
+          + `<dcterms:created xsi:type="dcterms:W3CDTF">${new Date().toISOString().replace(/\.\d{3}Z$/, 'Z')}</dcterms:created>`
+          + '</cp:coreProperties>',
+      },
+      { name: 'word/document.xml', data: document },
+    ]);
+  }
+}
@@ -0,0 +1,267 @@
+/**
+ * Predicted ETA
+ * Predicts when a PLANNED port call's vessel reaches the port from its latest AIS positions
+ * (vessel_position_history) and the sea-route distance to the ops site (services/seaRouting.js):
+ *
+ * - Speed: median SOG of the underway samples in the hours before the latest position, else the
+ *   speed along the track itself, else FALLBACK_SPEED_KN
+ * - ETA: latest position time + route distance / speed (the position time if already inside the
+ *   site's geofence)
+ * - Confidence (0..1): product of factors for position age, speed source and spread, COG against
+ *   the route's first leg, time to go and how well the route fits the waypoint graph (the longer
+ *   the straight connector legs joining it, the lower; none beyond MAX_CONNECTOR_NM, where a
+ *   connector likely crosses land)
+ * - Diverges: the prediction is more than ETA_DIVERGENCE_HOURS away from the planned ETA
+ *
+ * Only the vessel's next call is predicted (no IN_PROGRESS call and no earlier PLANNED one), since
+ * the track says nothing about stops in between. The prediction is stored on the port call and
+ * published as a live event. A prediction that starts to diverge is also logged to the operation
+ * log so it shows up in the dashboard event feed.
+ */
+
+import * as portCallsDb from '../db/portCalls.js';
+import * as portsDb from '../db/ports.js';
+import * as vesselsDb from '../db/vessels.js';
+import * as operationLogsDb from '../db/operationLogs.js';
+import { publishLiveEvent, LIVE_EVENT_TYPES } from './liveEvents.js';
+import { isPointInOpsSite } from './geofence.js';
+import { findSeaRoute, distanceNm, bearingDegrees } from './seaRouting.js';
+import { createHttpError } from './httpError.js';
+
+export const ETA_DIVERGENCE_EVENT = 'PORT_CALL_ETA_DIVERGENCE';
+
+// Why no prediction is available (returned as `reason`)
+export const NO_PREDICTION_REASONS = {
+  NO_VESSEL: 'NO_VESSEL',
+  NO_PORT_LOCATION: 'NO_PORT_LOCATION',
+  NO_RECENT_POSITION: 'NO_RECENT_POSITION',
+  NOT_NEXT_CALL: 'NOT_NEXT_CALL',
+  NO_SEA_ROUTE: 'NO_SEA_ROUTE',
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const POSITION_LIMIT = 20;
+const MAX_POSITION_AGE_HOURS = 48;
+
+// SOG samples within this many hours of the latest position set the transit speed;
+// slower ones (manoeuvring, drifting, at anchor) are not transit speed
+const SPEED_WINDOW_HOURS = 6;
+const UNDERWAY_MIN_KN = 3;
+const FALLBACK_SPEED_KN = 12;
+
+const DEFAULT_DIVERGENCE_HOURS = 6;
+
+// Connector legs (see services/seaRouting.js) up to this long keep full route confidence, which
+// then falls linearly to MIN_ROUTE_FACTOR at MAX_CONNECTOR_NM; longer ones give no prediction
+const TRUSTED_CONNECTOR_NM = 100;
+const MAX_CONNECTOR_NM = 1200;
+const MIN_ROUTE_FACTOR = 0.4;
+
+/**
+ * Divergence threshold in hours (ETA_DIVERGENCE_HOURS, default 6)
+ */
+export function getDivergenceThresholdHours() {
+  const hours = parseFloat(process.env.ETA_DIVERGENCE_HOURS);
+  return hours > 0 ? hours : DEFAULT_DIVERGENCE_HOURS;
+}
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Transit speed from the latest positions (newest first)
+ * @returns {{speedKn: number, source: 'SOG'|'TRACK'|'DEFAULT', spread: number}} `spread` is the
+ *   SOG range relative to the speed
+ */
+function estimateSpeed(positions) {
+  const latestAt = new Date(positions[0].timestamp).getTime();
+  const recent = positions.filter(
+    (position) => latestAt - new Date(position.timestamp).getTime() <= SPEED_WINDOW_HOURS * HOUR_MS
+  );
+
+  const sogs = recent.map((position) => position.sog).filter((sog) => sog !== null && sog >= UNDERWAY_MIN_KN);
+  if (sogs.length > 0) {
+    const speedKn = median(sogs);
+    return { speedKn, source: 'SOG', spread: (Math.max(...sogs) - Math.min(...sogs)) / speedKn };
+  }
+
+  // No SOG reported (some providers): distance made good along the track
+  if (recent.length >= 2) {
+    let trackNm = 0;
+    for (let i = 0; i < recent.length - 1; i++) {
+      trackNm += distanceNm(recent[i], recent[i + 1]);
+    }
+    const hours = (latestAt - new Date(recent[recent.length - 1].timestamp).getTime()) / HOUR_MS;
+    if (hours > 0 && trackNm / hours >= UNDERWAY_MIN_KN) {
+      return { speedKn: trackNm / hours, source: 'TRACK', spread: 0 };
+    }
+  }
+
+  return { speedKn: FALLBACK_SPEED_KN, source: 'DEFAULT', spread: 0 };
+}
+
+/**
+ * Smallest angle between two bearings, in degrees (0-180)
+ */
+function angleBetween(a, b) {
+  const diff = Math.abs(a - b) % 360;
+  return diff > 180 ? 360 - diff : diff;
+}
+
+/**
+ * Confidence factors (each 0..1) for a prediction
+ */
+function confidenceFactors({ ageHours, speed, cog, legBearing, hoursToGo, route }) {
+  let heading = 0.9; // Unknown COG
+  if (cog !== null && speed.source !== 'DEFAULT') {
+    const off = angleBetween(cog, legBearing);
+    heading = off <= 30 ? 1 : off <= 90 ? 0.8 : 0.6;
+  }
+
+  return {
+    positionAge: ageHours <= 1 ? 1 : Math.max(0.4, 1 - (0.6 * (ageHours - 1)) / (MAX_POSITION_AGE_HOURS - 1)),
+    speed: speed.source === 'SOG' ? Math.max(0.6, 1 - speed.spread / 2) : speed.source === 'TRACK' ? 0.8 : 0.5,
+    heading,
+    timeToGo: hoursToGo <= 24 ? 1 : hoursToGo <= 72 ? 0.9 : hoursToGo <= 168 ? 0.8 : 0.7,
+    route: route.connectorNm <= TRUSTED_CONNECTOR_NM
+      ? 1
+      : 1 - ((1 - MIN_ROUTE_FACTOR) * (route.connectorNm - TRUSTED_CONNECTOR_NM)) / (MAX_CONNECTOR_NM - TRUSTED_CONNECTOR_NM),
+  };
+}
+
+function confidenceLevel(confidence) {
+  if (confidence >= 0.75) return 'HIGH';
+  if (confidence >= 0.5) return 'MEDIUM';
+  return 'LOW';
+}
+
+/**
+ * Compute (without storing) the predicted ETA of a PLANNED port call
+ * @param {string} tenantId - Tenant ID
+ * @param {Object} portCall - Port call (db/portCalls.js format)
+ * @param {Date} [now]
+ * @returns {Promise<{prediction: Object|null, reason?: string}>} `prediction` is
+ *   { eta, confidence, diverges, details }, or null with one of NO_PREDICTION_REASONS
+ */
+export async function computePredictedEta(tenantId, portCall, now = new Date()) {
+  if (!portCall.vesselId) {
+    return { prediction: null, reason: NO_PREDICTION_REASONS.NO_VESSEL };
+  }
+
+  const site = portCall.portId ? await portsDb.getPortById(portCall.portId, tenantId) : null;
+  const destination = portCall.port?.coordinates;
+  if (!site || !destination) {
+    return { prediction: null, reason: NO_PREDICTION_REASONS.NO_PORT_LOCATION };
+  }
+
+  const openCalls = await portCallsDb.getOpenPortCallsForVessel(tenantId, portCall.vesselId);
+  if (openCalls[0] && openCalls[0].id !== portCall.id) {
+    return { prediction: null, reason: NO_PREDICTION_REASONS.NOT_NEXT_CALL };
+  }
+
+  const positions = await vesselsDb.getPositionHistory(portCall.vesselId, tenantId, POSITION_LIMIT);
+  const latest = positions[0];
+  const positionAt = latest ? new Date(latest.timestamp) : null;
+  const ageHours = positionAt ? (now - positionAt) / HOUR_MS : Infinity;
+  if (!latest || ageHours > MAX_POSITION_AGE_HOURS) {
+    return { prediction: null, reason: NO_PREDICTION_REASONS.NO_RECENT_POSITION };
+  }
+
+  const inside = isPointInOpsSite(latest, site);
+  const route = inside
+    ? { distanceNm: 0, waypoints: [], direct: true, connectorNm: 0 }
+    : findSeaRoute(latest, destination);
+  if (route.connectorNm > MAX_CONNECTOR_NM) {
+    return { prediction: null, reason: NO_PREDICTION_REASONS.NO_SEA_ROUTE };
+  }
+  const speed = estimateSpeed(positions);
+  const hoursToGo = route.distanceNm / speed.speedKn;
+  const eta = new Date(positionAt.getTime() + hoursToGo * HOUR_MS);
+
+  const factors = confidenceFactors({
+    ageHours: Math.max(0, ageHours),
+    speed,
+    cog: latest.cog,
+    legBearing: bearingDegrees(latest, route.waypoints[0] || destination),
+    hoursToGo,
+    route,
+  });
+  const confidence = Object.values(factors).reduce((product, factor) => product * factor, 1);
+
+  const thresholdHours = getDivergenceThresholdHours();
+  const divergenceHours = portCall.eta ? (eta - new Date(portCall.eta)) / HOUR_MS : null;
+
+  return {
+    prediction: {
+      eta: eta.toISOString(),
+      confidence: round(confidence, 3),
+      diverges: divergenceHours !== null && Math.abs(divergenceHours) > thresholdHours,
+      details: {
+        level: confidenceLevel(confidence),
+        divergenceHours: divergenceHours === null ? null : round(divergenceHours, 1),
+        thresholdHours,
+        distanceNm: round(route.distanceNm, 1),
+        speedKn: round(speed.speedKn, 1),
+        speedSource: speed.source,
+        positionAt: positionAt.toISOString(),
+        position: { lat: latest.lat, lon: latest.lon },
+        route: { direct: route.direct, waypoints: route.waypoints.map((waypoint) => waypoint.id) },
+        factors: Object.fromEntries(Object.entries(factors).map(([key, value]) => [key, round(value, 2)])),
+      },
+    },
+  };
+}
+
+/**
+ * Recompute, store and publish a port call's predicted ETA (cleared when none is available)
+ * @param {string} tenantId - Tenant ID
+ * @param {string} portCallId - Port call ID
+ * @returns {Promise<{predictedEta: Object|null, reason?: string}>} Stored prediction (port call format)
+ * @throws {Error} With `status` 404 (not found) or 409 (not PLANNED)
+ */
+export async function predictPortCallEta(tenantId, portCallId) {
+  const portCall = await portCallsDb.getPortCallById(portCallId, tenantId);
+  if (!portCall) {
+    throw createHttpError('Port call not found', 404);
+  }
+  if (portCall.status !== 'PLANNED') {
+    throw createHttpError(`ETA is only predicted for PLANNED port calls (this one is ${portCall.status})`, 409);
+  }
+
+  const { prediction, reason } = await computePredictedEta(tenantId, portCall);
+  await portCallsDb.setPredictedEta(portCallId, tenantId, prediction);
+
+  if (prediction?.diverges && !portCall.predictedEta?.diverges) {
+    const hours = prediction.details.divergenceHours;
+    const vesselName = portCall.vessel?.name || portCall.vesselId;
+    await operationLogsDb.createOperationLog({
+      tenantId,
+      vesselId: portCall.vesselId,
+      portCallId,
+      eventType: ETA_DIVERGENCE_EVENT,
+      description: `Predicted ETA for ${vesselName} at ${portCall.port.name} is ${Math.abs(hours)}h `
+        + `${hours > 0 ? 'later' : 'earlier'} than planned (${prediction.details.level.toLowerCase()} confidence)`,
+      positionLat: prediction.details.position.lat,
+      positionLon: prediction.details.position.lon,
+    });
+  }
+
+  const updated = await portCallsDb.getPortCallById(portCallId, tenantId);
+  const predictedEta = updated?.predictedEta ?? null;
+  publishLiveEvent(tenantId, LIVE_EVENT_TYPES.PORT_CALL_ETA, {
+    portCallId,
+    vesselId: portCall.vesselId,
+    predictedEta,
+    reason: reason || null,
+  });
+
+  return reason ? { predictedEta, reason } : { predictedEta };
+}
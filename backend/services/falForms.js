@@ -0,0 +1,212 @@
+/**
+ * IMO FAL Forms 5 and 6
+ * Renders a port call's crew list (FAL Form 5) and passenger list (FAL Form 6) in the layout
+ * of the IMO Convention on Facilitation of International Maritime Traffic, as PDF (landscape
+ * A4, ship particulars repeated on every page) or as CSV with the form's column headings.
+ */
+
+import { PdfDocument, A4 } from './pdfDocument.js';
+import { toCsv } from './spreadsheet.js';
+import { toAlpha3 } from './countryCodes.js';
+
+const MARGIN = 36;
+const FOOTER_SPACE = 54;
+const ROW_LINE_HEIGHT = 10;
+const MUTED = '#666666';
+const GRID = '#999999';
+
+const DOCUMENT_TYPE_LABELS = {
+  PASSPORT: 'Passport',
+  SEAFARER_ID: "Seafarer's ID",
+  NATIONAL_ID: 'National ID',
+  OTHER: 'Other',
+};
+
+const fullName = (traveller) => [traveller.familyName?.toUpperCase(), traveller.givenNames].filter(Boolean).join(', ');
+
+// Columns in form order: numbered headings as printed on the forms, widths in points
+const FAL_FORMS = {
+  CREW: {
+    number: 5,
+    title: 'CREW LIST',
+    columns: [
+      { label: '6. No.', width: 26, value: (t, index) => index + 1 },
+      { label: '7. Family name, given names', width: 180, value: fullName },
+      { label: '8. Rank or rating', width: 100, value: (t) => t.rank },
+      { label: '9. Nationality', width: 55, value: (t) => t.nationality },
+      { label: '10. Date and place of birth', width: 140, value: (t) => [t.dateOfBirth, t.placeOfBirth].filter(Boolean).join(', ') },
+      {
+        label: '11. Nature and No. of identity document',
+        width: 150,
+        value: (t) => `${DOCUMENT_TYPE_LABELS[t.documentType] || t.documentType} ${t.documentNumber}`,
+      },
+      { label: 'Issuing State', width: 50, value: (t) => t.documentIssuingState },
+      { label: 'Expiry date', width: 68, value: (t) => t.documentExpiry },
+    ],
+  },
+  PASSENGER: {
+    number: 6,
+    title: 'PASSENGER LIST',
+    columns: [
+      { label: 'No.', width: 22, value: (t, index) => index + 1 },
+      { label: '5. Family name, given names', width: 140, value: fullName },
+      { label: '6. Nationality', width: 45, value: (t) => t.nationality },
+      { label: '7. Date of birth', width: 60, value: (t) => t.dateOfBirth },
+      { label: '8. Place of birth', width: 70, value: (t) => t.placeOfBirth },
+      { label: '9. Type of identity document', width: 65, value: (t) => DOCUMENT_TYPE_LABELS[t.documentType] || t.documentType },
+      { label: '10. Serial number of identity document', width: 75, value: (t) => t.documentNumber },
+      { label: '11. Issuing State', width: 45, value: (t) => t.documentIssuingState },
+      { label: '12. Expiry date', width: 60, value: (t) => t.documentExpiry },
+      { label: '13. Port of embarkation', width: 70, value: (t) => t.embarkPort },
+      { label: '14. Port of disembarkation', width: 70, value: (t) => t.disembarkPort },
+      { label: '15. Transit passenger', width: 40, value: (t) => (t.isTransit ? 'Yes' : 'No') },
+    ],
+  },
+};
+
+function formatDate(value) {
+  return value ? new Date(value).toISOString().slice(0, 10) : '';
+}
+
+/**
+ * Draw a labelled box of the ship particulars block
+ */
+function drawField(doc, x, y, width, label, value) {
+  const height = 28;
+  doc.line(x, y, x + width, y, { color: GRID });
+  doc.line(x, y + height, x + width, y + height, { color: GRID });
+  doc.line(x, y, x, y + height, { color: GRID });
+  doc.line(x + width, y, x + width, y + height, { color: GRID });
+  doc.text(label, x + 4, y + 9, { size: 7, color: MUTED });
+  doc.text(doc.wrapText(value || '', width - 8, { size: 10 })[0], x + 4, y + 22, { size: 10 });
+}
+
+/**
+ * Title, arrival/departure marks and ship particulars; returns the y where the table starts
+ */
+function drawPageHeader(doc, form, { portCall, direction }) {
+  const right = doc.width - MARGIN;
+  let y = MARGIN + 10;
+  doc.text(`IMO FAL Form ${form.number}`, MARGIN, y, { size: 9, color: MUTED });
+  doc.text(form.title, doc.width / 2, y + 4, { size: 14, font: 'bold', align: 'center' });
+  doc.text(
+    `Arrival [${direction === 'arrival' ? 'X' : ' '}]    Departure [${direction === 'departure' ? 'X' : ' '}]`,
+    right,
+    y,
+    { size: 9, align: 'right' }
+  );
+
+  const vessel = portCall.vessel || {};
+  const date = direction === 'arrival'
+    ? portCall.actualArrival || portCall.eta
+    : portCall.actualDeparture || portCall.etd;
+  const usable = right - MARGIN;
+
+  y += 16;
+  const firstRow = [
+    ['1.1 Name of ship', vessel.name, 0.3],
+    ['1.2 IMO number', vessel.imo, 0.14],
+    ['1.3 Call sign', vessel.callSign, 0.14],
+    ['1.4 Voyage number', '', 0.14],
+    ['2. Port of arrival/departure', portCall.port?.name, 0.28],
+  ];
+  const secondRow = [
+    ['3. Date of arrival/departure', formatDate(date), 0.3],
+    ['4. Flag State of ship', toAlpha3(vessel.flag) || vessel.flag, 0.28],
+    [form.number === 5 ? '5. Last port of call' : '', '', 0.42],
+  ];
+  for (const row of [firstRow, secondRow]) {
+    let x = MARGIN;
+    for (const [label, value, share] of row) {
+      drawField(doc, x, y, usable * share, label, value);
+      x += usable * share;
+    }
+    y += 28;
+  }
+
+  return y + 14;
+}
+
+function drawTableHeader(doc, form, y) {
+  const lines = form.columns.map((column) => doc.wrapText(column.label, column.width - 6, { size: 7, font: 'bold' }));
+  const height = Math.max(...lines.map((l) => l.length)) * 9 + 6;
+  doc.rect(MARGIN, y, doc.width - MARGIN * 2, height, { fill: '#eeeeee' });
+
+  let x = MARGIN;
+  form.columns.forEach((column, index) => {
+    lines[index].forEach((line, lineIndex) => {
+      doc.text(line, x + 3, y + 9 + lineIndex * 9, { size: 7, font: 'bold' });
+    });
+    x += column.width;
+  });
+  return y + height;
+}
+
+/**
+ * Render a crew or passenger list as a FAL form PDF
+ * @param {string} type - 'CREW' or 'PASSENGER'
+ * @param {Object} context
+ * @param {Object} context.portCall - Port call with vessel and port (db/portCalls.getPortCallById)
+ * @param {Array<Object>} context.travellers - Travellers on the list, in order
+ * @param {string} context.direction - 'arrival' or 'departure'
+ * @returns {Buffer} PDF file contents
+ */
+export function renderFalFormPdf(type, { portCall, travellers, direction }) {
+  const form = FAL_FORMS[type];
+  const doc = new PdfDocument({
+    width: A4.height,
+    height: A4.width,
+    title: `IMO FAL Form ${form.number} - ${form.title} - ${portCall.vessel?.name || ''}`,
+  });
+  const tableWidth = form.columns.reduce((sum, column) => sum + column.width, 0);
+
+  const startPage = () => drawTableHeader(doc, form, drawPageHeader(doc, form, { portCall, direction }));
+  let y = startPage();
+
+  travellers.forEach((traveller, index) => {
+    const cells = form.columns.map((column) => doc.wrapText(String(column.value(traveller, index) ?? ''), column.width - 6, { size: 8 }));
+    const rowHeight = Math.max(...cells.map((lines) => lines.length)) * ROW_LINE_HEIGHT + 5;
+    if (y + rowHeight > doc.height - FOOTER_SPACE) {
+      doc.addPage();
+      y = startPage();
+    }
+
+    let x = MARGIN;
+    form.columns.forEach((column, columnIndex) => {
+      cells[columnIndex].forEach((line, lineIndex) => {
+        doc.text(line, x + 3, y + 10 + lineIndex * ROW_LINE_HEIGHT, { size: 8 });
+      });
+      x += column.width;
+    });
+    y += rowHeight;
+    doc.line(MARGIN, y, MARGIN + tableWidth, y, { color: GRID });
+  });
+
+  if (travellers.length === 0) {
+    doc.text(type === 'CREW' ? 'No crew on this list.' : 'No passengers on this list.', MARGIN, y + 14, { size: 9, color: MUTED });
+  }
+
+  // Signature on the last page, page numbers on all
+  const bottom = doc.height - MARGIN;
+  doc.text('Date and signature by master, authorized agent or officer:', MARGIN, bottom - 16, { size: 8 });
+  doc.line(MARGIN + 230, bottom - 16, MARGIN + 480, bottom - 16, { color: GRID });
+  const pageCount = doc.pages.length;
+  for (let page = 0; page < pageCount; page++) {
+    doc.setPage(page);
+    doc.text(`Page ${page + 1} of ${pageCount}`, doc.width - MARGIN, bottom, { size: 8, color: MUTED, align: 'right' });
+  }
+
+  return doc.toBuffer();
+}
+
+/**
+ * Render a crew or passenger list as CSV with the FAL form column headings
+ * @returns {string} CSV text
+ */
+export function renderFalFormCsv(type, travellers) {
+  const { columns } = FAL_FORMS[type];
+  return toCsv([
+    columns.map((column) => column.label),
+    ...travellers.map((traveller, index) => columns.map((column) => column.value(traveller, index))),
+  ]);
+}
@@ -0,0 +1,259 @@
+/**
+ * Port Call Fees
+ * Validation and payment rules for fees and dues; db/fees.js persists the result.
+ *
+ *   DUE ──► PAID      (payments cover amount_due; removing a payment reopens it)
+ *    │
+ *    └──► WAIVED     (exemption, approvers only)
+ *
+ * - A DUE fee past its due date is overdue; overdue is derived, not a status
+ * - Fees with payments, or billed on a live invoice, cannot be deleted
+ * - Amounts are compared in cents so partial payments add up exactly
+ */
+
+import * as feesDb from '../db/fees.js';
+import * as portCallsDb from '../db/portCalls.js';
+import { createHttpError } from './httpError.js';
+
+// Roles allowed to waive fees
+export const WAIVER_ROLES = ['ADMIN'];
+
+// Default invoice wording per fee type
+export const FEE_TYPE_LABELS = {
+  BR_FUNAPOL: 'FUNAPOL',
+  PORT_DUES: 'Port dues',
+  PILOTAGE: 'Pilotage',
+  TOWAGE: 'Towage',
+  MOORING: 'Mooring',
+  OTHER: 'Other charges',
+};
+
+function toCents(amount) {
+  return Math.round(amount * 100);
+}
+
+function parseAmount(value, field, allowZero = true) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number) || number < 0 || (!allowZero && number === 0)) {
+    throw createHttpError(`${field} must be a number ${allowZero ? '>= 0' : '> 0'}`);
+  }
+  return toCents(number) / 100;
+}
+
+/**
+ * Parse an optional YYYY-MM-DD date (fees are due on a day, not at a time)
+ */
+function parseDueDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const match = typeof value === 'string' && /^(\d{4}-\d{2}-\d{2})/.exec(value);
+  if (!match || Number.isNaN(new Date(`${match[1]}T00:00:00Z`).getTime())) {
+    throw createHttpError('dueDate must be a date (YYYY-MM-DD)');
+  }
+  return match[1];
+}
+
+function parseTimestamp(value, field) {
+  if (value === undefined || value === null || value === '') return new Date().toISOString();
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw createHttpError(`${field} must be a valid date`);
+  }
+  return date.toISOString();
+}
+
+function optionalText(value) {
+  return value ? String(value).trim() || null : null;
+}
+
+/**
+ * Validate fee fields present in the payload
+ * @param {boolean} partial - Only validate fields present in the payload (updates)
+ */
+function prepareFee(payload, partial) {
+  const data = {};
+
+  if (payload.feeType !== undefined || !partial) {
+    if (!feesDb.FEE_TYPES.includes(payload.feeType)) {
+      throw createHttpError(`feeType must be one of: ${feesDb.FEE_TYPES.join(', ')}`);
+    }
+    data.feeType = payload.feeType;
+  }
+  if (payload.amountDue !== undefined || !partial) {
+    data.amountDue = parseAmount(payload.amountDue, 'amountDue');
+  }
+  if (payload.currency !== undefined) {
+    if (!/^[A-Z]{3}$/.test(payload.currency || '')) {
+      throw createHttpError('currency must be a 3-letter ISO code');
+    }
+    data.currency = payload.currency;
+  }
+  if (payload.dueDate !== undefined) {
+    data.dueDate = parseDueDate(payload.dueDate);
+  }
+  for (const key of ['description', 'calculationBase', 'referenceNumber', 'notes']) {
+    if (payload[key] !== undefined) {
+      data[key] = optionalText(payload[key]);
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Turn a fee into draft invoice lines: one line per breakdown line for tariff fees, a single
+ * line otherwise. Lines are quantity 1 at the computed amount so the invoice total matches the fee.
+ * @param {Object} fee - Fee (or tariff estimate) with feeType, description, amountDue, breakdown
+ * @returns {Array<Object>} Lines as accepted by services/invoices.js ({ description, quantity, unitPrice, feeId })
+ */
+export function toInvoiceLines(fee) {
+  const label = fee.description || FEE_TYPE_LABELS[fee.feeType] || fee.feeType;
+  const feeId = fee.id || null;
+
+  if (!Array.isArray(fee.breakdown) || fee.breakdown.length === 0) {
+    return [{ description: label, quantity: 1, unitPrice: fee.amountDue, taxRate: 0, feeId }];
+  }
+  return fee.breakdown.map((line) => ({
+    description: `${label} - ${line.description}${line.calculation ? ` (${line.calculation})` : ''}`,
+    quantity: 1,
+    unitPrice: line.amount,
+    taxRate: 0,
+    feeId,
+  }));
+}
+
+/**
+ * Load a fee or throw 404
+ */
+async function getFeeOrThrow(tenantId, feeId) {
+  const fee = await feesDb.getFeeById(feeId, tenantId);
+  if (!fee) {
+    throw createHttpError('Fee not found', 404);
+  }
+  return fee;
+}
+
+/**
+ * Create a DUE fee for a port call
+ * @param {Object} payload - { feeType, amountDue, currency, dueDate, description, calculationBase,
+ *   referenceNumber, notes }
+ */
+export async function createFee(tenantId, portCallId, payload, userId) {
+  const portCall = await portCallsDb.getPortCallById(portCallId, tenantId);
+  if (!portCall) {
+    throw createHttpError('Port call not found', 404);
+  }
+
+  const data = prepareFee(payload, false);
+  return feesDb.createFee(tenantId, { ...data, portCallId, createdBy: userId });
+}
+
+/**
+ * Update a DUE fee; amountDue may not drop below what has already been paid
+ */
+export async function updateFee(tenantId, feeId, payload) {
+  const fee = await getFeeOrThrow(tenantId, feeId);
+  if (fee.status !== 'DUE') {
+    throw createHttpError(`${fee.status} fees cannot be edited`, 409);
+  }
+
+  const updates = prepareFee(payload, true);
+  if (updates.amountDue !== undefined && toCents(updates.amountDue) < toCents(fee.amountPaid)) {
+    throw createHttpError(`amountDue cannot be below the amount already paid (${fee.amountPaid})`);
+  }
+  // A hand-edited amount no longer matches the tariff breakdown; bill it as a single line
+  if (updates.amountDue !== undefined && fee.breakdown && toCents(updates.amountDue) !== toCents(fee.amountDue)) {
+    updates.breakdown = null;
+  }
+
+  const updated = await feesDb.updateDueFee(feeId, tenantId, updates);
+  if (!updated) {
+    throw createHttpError('Fee changed concurrently, please retry', 409);
+  }
+  return updated;
+}
+
+/**
+ * Delete a fee entered by mistake
+ */
+export async function deleteFee(tenantId, feeId) {
+  const fee = await getFeeOrThrow(tenantId, feeId);
+  if (fee.payments.length > 0) {
+    throw createHttpError('Fees with payments cannot be deleted; remove the payments first', 409);
+  }
+  if (await feesDb.isFeeInvoiced(feeId, tenantId)) {
+    throw createHttpError('Fee is billed on an invoice; void the invoice first', 409);
+  }
+
+  if (!await feesDb.deleteFee(feeId, tenantId)) {
+    throw createHttpError('Fee changed concurrently, please retry', 409);
+  }
+}
+
+/**
+ * Record a (possibly partial) payment of a DUE fee
+ * @param {Object} payload - { amount, paidAt, referenceNumber, notes }
+ * @returns {Promise<Object>} Updated fee with payments
+ */
+export async function recordPayment(tenantId, feeId, payload, userId) {
+  const fee = await getFeeOrThrow(tenantId, feeId);
+  if (fee.status !== 'DUE') {
+    throw createHttpError(`Fee is already ${fee.status}`, 409);
+  }
+
+  const amount = parseAmount(payload.amount, 'amount', false);
+  if (toCents(amount) > toCents(fee.outstandingAmount)) {
+    throw createHttpError(`amount exceeds the outstanding ${fee.outstandingAmount} ${fee.currency}`);
+  }
+
+  const updated = await feesDb.recordFeePayment(feeId, tenantId, {
+    amount,
+    paidAt: parseTimestamp(payload.paidAt, 'paidAt'),
+    referenceNumber: optionalText(payload.referenceNumber),
+    notes: optionalText(payload.notes),
+    recordedBy: userId,
+  });
+  if (!updated) {
+    throw createHttpError('Fee changed concurrently, please retry', 409);
+  }
+  return updated;
+}
+
+/**
+ * Remove a payment recorded by mistake
+ */
+export async function deletePayment(tenantId, feeId, paymentId) {
+  const fee = await getFeeOrThrow(tenantId, feeId);
+  if (fee.status === 'WAIVED') {
+    throw createHttpError('Payments of a waived fee cannot be changed', 409);
+  }
+  if (!fee.payments.some((payment) => payment.id === paymentId)) {
+    throw createHttpError('Payment not found', 404);
+  }
+
+  const updated = await feesDb.deleteFeePayment(feeId, paymentId, tenantId);
+  if (!updated) {
+    throw createHttpError('Fee changed concurrently, please retry', 409);
+  }
+  return updated;
+}
+
+/**
+ * Waive a DUE fee
+ * @param {Object} payload - { reason } (required)
+ */
+export async function waiveFee(tenantId, feeId, payload, userId) {
+  const fee = await getFeeOrThrow(tenantId, feeId);
+  if (fee.status !== 'DUE') {
+    throw createHttpError(`Only DUE fees can be waived (status is ${fee.status})`, 409);
+  }
+  const reason = optionalText(payload.reason);
+  if (!reason) {
+    throw createHttpError('reason is required to waive a fee');
+  }
+
+  const updated = await feesDb.waiveFee(feeId, tenantId, { waivedBy: userId, reason });
+  if (!updated) {
+    throw createHttpError('Fee changed concurrently, please retry', 409);
+  }
+  return updated;
+}
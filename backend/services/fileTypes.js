@@ -0,0 +1,132 @@
+/**
+ * Attachment File Type Checks
+ * Identifies an uploaded file from its content (magic bytes), never from the client's
+ * Content-Type, and refuses content that can run code when opened:
+ *
+ * - Executables and scripts (PE, ELF, Mach-O, shebang) are always refused
+ * - HTML/SVG/script markup is refused even in files named .txt or .csv
+ * - Office files with macros (vbaProject.bin) and PDFs with JavaScript or launch actions are refused
+ * - The file name's extension must match the detected type
+ *
+ * This is a type check, not a virus scan; files are always served as downloads with nosniff.
+ */
+
+import { createHttpError } from './httpError.js';
+
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+// MIME type -> accepted extensions; the set of types the server can accept at all
+export const SUPPORTED_FILE_TYPES = {
+  'application/pdf': ['.pdf'],
+  'image/png': ['.png'],
+  'image/jpeg': ['.jpg', '.jpeg'],
+  'image/gif': ['.gif'],
+  'image/webp': ['.webp'],
+  'image/tiff': ['.tif', '.tiff'],
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+  'text/csv': ['.csv'],
+  'text/plain': ['.txt'],
+};
+
+// Leading bytes of executable formats
+const EXECUTABLE_SIGNATURES = [
+  Buffer.from('MZ'), // Windows PE
+  Buffer.from([0x7f, 0x45, 0x4c, 0x46]), // ELF
+  Buffer.from([0xfe, 0xed, 0xfa, 0xce]), // Mach-O
+  Buffer.from([0xfe, 0xed, 0xfa, 0xcf]),
+  Buffer.from([0xce, 0xfa, 0xed, 0xfe]),
+  Buffer.from([0xcf, 0xfa, 0xed, 0xfe]),
+  Buffer.from([0xca, 0xfe, 0xba, 0xbe]), // Mach-O universal / Java class
+  Buffer.from('#!'), // Script with interpreter
+];
+
+const ACTIVE_MARKUP = /<\s*(!doctype\s+html|html|script|iframe|object|embed|svg)\b|javascript:/i;
+
+function startsWith(buffer, signature, offset = 0) {
+  return buffer.length >= offset + signature.length && buffer.subarray(offset, offset + signature.length).equals(signature);
+}
+
+/**
+ * Lower-case extension of a file name including the dot ('' when none)
+ */
+export function getExtension(fileName) {
+  const match = /\.[^./\\]+$/.exec(fileName || '');
+  return match ? match[0].toLowerCase() : '';
+}
+
+/**
+ * Whether a buffer is text (no control bytes other than tab, CR, LF and form feed; UTF-8 or Latin-1)
+ */
+function isText(buffer) {
+  return !buffer.some((byte) => byte < 0x20 && ![0x09, 0x0a, 0x0c, 0x0d].includes(byte));
+}
+
+/**
+ * Identify a binary format from its magic bytes
+ * @returns {string|null} MIME type
+ */
+function detectBinaryType(buffer) {
+  if (startsWith(buffer, Buffer.from('%PDF-'))) return 'application/pdf';
+  if (startsWith(buffer, Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (startsWith(buffer, Buffer.from([0xff, 0xd8, 0xff]))) return 'image/jpeg';
+  if (startsWith(buffer, Buffer.from('GIF87a')) || startsWith(buffer, Buffer.from('GIF89a'))) return 'image/gif';
+  if (startsWith(buffer, Buffer.from('RIFF')) && startsWith(buffer, Buffer.from('WEBP'), 8)) return 'image/webp';
+  if (startsWith(buffer, Buffer.from([0x49, 0x49, 0x2a, 0x00])) || startsWith(buffer, Buffer.from([0x4d, 0x4d, 0x00, 0x2a]))) {
+    return 'image/tiff';
+  }
+  if (startsWith(buffer, ZIP_SIGNATURE)) {
+    // Office Open XML packages are ZIPs whose part names say what they are
+    if (buffer.includes('word/document')) {
+      return 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+    }
+    if (buffer.includes('xl/workbook')) {
+      return 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+    }
+    throw createHttpError('ZIP archives are not accepted; attach the documents themselves', 415);
+  }
+  return null;
+}
+
+/**
+ * Check an uploaded file and return its type
+ * @param {Buffer} buffer - File content
+ * @param {string} fileName - Client file name (for the extension check)
+ * @returns {{mimeType: string, extension: string}}
+ * @throws Error with status 415 when the content is refused
+ */
+export function detectFileType(buffer, fileName) {
+  if (!buffer || buffer.length === 0) {
+    throw createHttpError('File is empty', 415);
+  }
+  if (EXECUTABLE_SIGNATURES.some((signature) => startsWith(buffer, signature))) {
+    throw createHttpError('Executable files are not accepted', 415);
+  }
+
+  const extension = getExtension(fileName);
+  let mimeType = detectBinaryType(buffer);
+
+  if (!mimeType) {
+    if (!isText(buffer)) {
+      throw createHttpError('File type not recognised', 415);
+    }
+    if (ACTIVE_MARKUP.test(buffer.toString('latin1'))) {
+      throw createHttpError('HTML, SVG and script content is not accepted', 415);
+    }
+    mimeType = extension === '.csv' ? 'text/csv' : 'text/plain';
+  }
+
+  if (mimeType === 'application/pdf' && /\/(JavaScript|JS|Launch)\b/.test(buffer.toString('latin1'))) {
+    throw createHttpError('PDF files with JavaScript or launch actions are not accepted', 415);
+  }
+  if (startsWith(buffer, ZIP_SIGNATURE) && buffer.includes('vbaProject.bin')) {
+    throw createHttpError('Office files with macros are not accepted', 415);
+  }
+
+  const extensions = SUPPORTED_FILE_TYPES[mimeType];
+  if (!extensions.includes(extension)) {
+    throw createHttpError(`File content is ${mimeType}, which does not match the extension "${extension || '(none)'}"`, 415);
+  }
+
+  return { mimeType, extension };
+}
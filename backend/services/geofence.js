@@ -0,0 +1,126 @@
+/**
+ * Geofence Utilities
+ * Point-in-geofence checks for ops sites (ports, terminals, berths, anchored zones).
+ * Sites with a polygon use it; otherwise a circle around the site's lat/lon is used,
+ * with a default radius by site type.
+ */
+
+// Default circular geofence radius (meters) by ops site type
+const DEFAULT_RADIUS_BY_TYPE = {
+  PORT: 5000,
+  TERMINAL: 2000,
+  BERTH: 500,
+};
+const FALLBACK_RADIUS = 10000;
+
+/**
+ * Check if point is inside polygon (ray casting algorithm)
+ * @param {{lat: number, lon: number}} point
+ * @param {Array<{lat: number, lon: number}>} polygon
+ */
+export function checkPointInPolygon(point, polygon) {
+  if (!polygon || polygon.length < 3) return false;
+  
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const xi = polygon[i].lon, yi = polygon[i].lat;
+    const xj = polygon[j].lon, yj = polygon[j].lat;
+    
+    const intersect = ((yi > point.lat) !== (yj > point.lat)) &&
+      (point.lon < (xj - xi) * (point.lat - yi) / (yj - yi) + xi);
+    
+    if (intersect) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * Great-circle distance between two points in meters (haversine)
+ */
+export function distanceMeters(a, b) {
+  const R = 6371000; // Earth radius in meters
+  const dLat = (b.lat - a.lat) * Math.PI / 180;
+  const dLon = (b.lon - a.lon) * Math.PI / 180;
+  const h = 
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(a.lat * Math.PI / 180) * Math.cos(b.lat * Math.PI / 180) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return R * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+/**
+ * Check if point is inside circle
+ * @param {{lat: number, lon: number}} point
+ * @param {{lat: number, lon: number}} center
+ * @param {number} radius - Radius in meters
+ */
+export function checkPointInCircle(point, center, radius) {
+  return distanceMeters(point, center) <= radius;
+}
+
+/**
+ * Default circular geofence radius for an ops site type
+ * @param {string} type - PORT, TERMINAL, BERTH, ANCHORED_ZONE
+ * @returns {number} Radius in meters
+ */
+export function getDefaultGeofenceRadius(type) {
+  return DEFAULT_RADIUS_BY_TYPE[type] || FALLBACK_RADIUS;
+}
+
+/**
+ * Check if a point is inside an ops site's geofence (polygon, or circle around lat/lon)
+ * @param {{lat: number, lon: number}} point
+ * @param {Object} site - Ops site (db/ports.js format)
+ * @returns {boolean}
+ */
+export function isPointInOpsSite(point, site) {
+  if (Array.isArray(site.polygon) && site.polygon.length >= 3) {
+    return checkPointInPolygon(point, site.polygon);
+  }
+
+  const lat = parseFloat(site.lat ?? site.latitude);
+  const lon = parseFloat(site.lon ?? site.longitude);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+    return false;
+  }
+
+  return checkPointInCircle(point, { lat, lon }, getDefaultGeofenceRadius(site.type));
+}
+
+/**
+ * Bounding box around an ops site's geofence, in AISStream order [[minLat, minLon], [maxLat, maxLon]]
+ * @param {Object} site - Ops site (db/ports.js format)
+ * @param {number} [paddingMeters=0] - Extra margin around the geofence
+ * @returns {Array<Array<number>>|null} Bounding box, or null if the site has no location
+ */
+export function getOpsSiteBoundingBox(site, paddingMeters = 0) {
+  let minLat, maxLat, minLon, maxLon;
+
+  if (Array.isArray(site.polygon) && site.polygon.length >= 3) {
+    const lats = site.polygon.map((p) => Number(p.lat));
+    const lons = site.polygon.map((p) => Number(p.lon));
+    [minLat, maxLat, minLon, maxLon] = [Math.min(...lats), Math.max(...lats), Math.min(...lons), Math.max(...lons)];
+  } else {
+    const lat = parseFloat(site.lat ?? site.latitude);
+    const lon = parseFloat(site.lon ?? site.longitude);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+      return null;
+    }
+    [minLat, maxLat, minLon, maxLon] = [lat, lat, lon, lon];
+    paddingMeters += getDefaultGeofenceRadius(site.type);
+  }
+
+  if (![minLat, maxLat, minLon, maxLon].every(Number.isFinite)) {
+    return null;
+  }
+
+  // ~111km per degree of latitude; longitude degrees shrink with cos(lat)
+  const dLat = paddingMeters / 111320;
+  const midLat = (minLat + maxLat) / 2;
+  const dLon = paddingMeters / (111320 * Math.max(Math.cos(midLat * Math.PI / 180), 0.01));
+
+  return [
+    [Math.max(minLat - dLat, -90), Math.max(minLon - dLon, -180)],
+    [Math.min(maxLat + dLat, 90), Math.min(maxLon + dLon, 180)],
+  ];
+}
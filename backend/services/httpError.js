@@ -0,0 +1,19 @@
+/**
+ * HTTP Errors
+ * Services throw these for routes to answer with the error's status: routes respond with
+ * `status` and the message for 4xx, and log and respond 500 otherwise.
+ */
+
+/**
+ * Create an error carrying the HTTP status the route should respond with
+ * @param {string} message - Message for the client
+ * @param {number} [status] - HTTP status (default 400)
+ * @param {Object} [details] - Extra fields copied onto the error (e.g. { conflicts })
+ * @returns {Error}
+ */
+export function createHttpError(message, status = 400, details = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, details);
+  return error;
+}
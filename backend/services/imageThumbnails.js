@@ -0,0 +1,265 @@
+/**
+ * Image Thumbnails
+ * Small previews for image attachments, without native image libraries:
+ *
+ * - PNG: decoded (8/16-bit gray, RGB, palette, with or without alpha; not interlaced), box-downscaled
+ *   and re-encoded as PNG
+ * - JPEG: the thumbnail the camera embedded in the EXIF data, when there is one
+ *
+ * Other images (GIF, WebP, TIFF, JPEGs without EXIF thumbnail) get no thumbnail; the UI shows an icon.
+ */
+
+import zlib from 'zlib';
+import { crc32 } from './zipArchive.js';
+
+export const THUMBNAIL_MAX_SIZE = 320;
+
+// Larger images are not decoded (memory: about 4 bytes per pixel while scaling)
+const MAX_DECODE_PIXELS = 40 * 1000 * 1000;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// PNG color type -> channels per pixel
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+/**
+ * Read the chunks of a PNG file
+ * @returns {{header: Object, palette: Buffer|null, transparency: Buffer|null, data: Buffer}}
+ */
+function readPngChunks(buffer) {
+  let offset = PNG_SIGNATURE.length;
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const dataChunks = [];
+
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+    offset += 12 + length;
+
+    if (type === 'IHDR') {
+      header = {
+        width: chunk.readUInt32BE(0),
+        height: chunk.readUInt32BE(4),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12],
+      };
+    } else if (type === 'PLTE') {
+      palette = chunk;
+    } else if (type === 'tRNS') {
+      transparency = chunk;
+    } else if (type === 'IDAT') {
+      dataChunks.push(chunk);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  return { header, palette, transparency, data: Buffer.concat(dataChunks) };
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/**
+ * Undo the PNG filter of one scanline in place
+ */
+function unfilterRow(filter, row, previous, bytesPerPixel) {
+  for (let i = 0; i < row.length; i++) {
+    const left = i >= bytesPerPixel ? row[i - bytesPerPixel] : 0;
+    const up = previous ? previous[i] : 0;
+    const upLeft = previous && i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+    switch (filter) {
+      case 1: row[i] = (row[i] + left) & 0xff; break;
+      case 2: row[i] = (row[i] + up) & 0xff; break;
+      case 3: row[i] = (row[i] + ((left + up) >> 1)) & 0xff; break;
+      case 4: row[i] = (row[i] + paeth(left, up, upLeft)) & 0xff; break;
+      default: break;
+    }
+  }
+}
+
+/**
+ * Decode a PNG and box-downscale it to fit maxSize
+ * @returns {{width: number, height: number, pixels: Buffer}|null} RGBA pixels, or null if unsupported
+ */
+function decodeScaledPng(buffer, maxSize) {
+  const { header, palette, transparency, data } = readPngChunks(buffer);
+  if (!header || header.interlace !== 0 || !PNG_CHANNELS[header.colorType]) return null;
+
+  const { width, height, bitDepth, colorType } = header;
+  const isPalette = colorType === 3;
+  if (width * height > MAX_DECODE_PIXELS) return null;
+  if (isPalette ? ![1, 2, 4, 8].includes(bitDepth) || !palette : ![8, 16].includes(bitDepth)) return null;
+
+  const channels = PNG_CHANNELS[colorType];
+  const bitsPerPixel = channels * bitDepth;
+  const rowBytes = Math.ceil((width * bitsPerPixel) / 8);
+  const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+  const raw = zlib.inflateSync(data, { maxOutputLength: (rowBytes + 1) * height });
+
+  const scale = Math.min(1, maxSize / Math.max(width, height));
+  const targetWidth = Math.max(1, Math.round(width * scale));
+  const targetHeight = Math.max(1, Math.round(height * scale));
+  const sums = new Float64Array(targetWidth * targetHeight * 4);
+  const counts = new Uint32Array(targetWidth * targetHeight);
+  const sampleStep = bitDepth === 16 ? 2 : 1;
+
+  let previous = null;
+  for (let y = 0; y < height; y++) {
+    const start = y * (rowBytes + 1);
+    const row = raw.subarray(start + 1, start + 1 + rowBytes);
+    unfilterRow(raw[start], row, previous, bytesPerPixel);
+    previous = row;
+
+    const targetRow = Math.min(targetHeight - 1, Math.floor(y * scale)) * targetWidth;
+    for (let x = 0; x < width; x++) {
+      let r;
+      let g;
+      let b;
+      let a = 255;
+      if (isPalette) {
+        const bitOffset = x * bitDepth;
+        const index = (row[bitOffset >> 3] >> (8 - bitDepth - (bitOffset & 7))) & ((1 << bitDepth) - 1);
+        r = palette[index * 3];
+        g = palette[index * 3 + 1];
+        b = palette[index * 3 + 2];
+        if (transparency && index < transparency.length) a = transparency[index];
+      } else {
+        // 16-bit samples: the high byte is precise enough for a thumbnail
+        const offset = x * channels * sampleStep;
+        r = row[offset];
+        if (channels >= 3) {
+          g = row[offset + sampleStep];
+          b = row[offset + 2 * sampleStep];
+          if (channels === 4) a = row[offset + 3 * sampleStep];
+        } else {
+          g = r;
+          b = r;
+          if (channels === 2) a = row[offset + sampleStep];
+        }
+      }
+
+      const target = targetRow + Math.min(targetWidth - 1, Math.floor(x * scale));
+      sums[target * 4] += r;
+      sums[target * 4 + 1] += g;
+      sums[target * 4 + 2] += b;
+      sums[target * 4 + 3] += a;
+      counts[target]++;
+    }
+  }
+
+  const pixels = Buffer.alloc(targetWidth * targetHeight * 4);
+  for (let i = 0; i < counts.length; i++) {
+    for (let c = 0; c < 4; c++) {
+      pixels[i * 4 + c] = counts[i] ? Math.round(sums[i * 4 + c] / counts[i]) : 0;
+    }
+  }
+  return { width: targetWidth, height: targetHeight, pixels };
+}
+
+function pngChunk(type, data) {
+  const chunk = Buffer.alloc(12 + data.length);
+  chunk.writeUInt32BE(data.length, 0);
+  chunk.write(type, 4, 'latin1');
+  data.copy(chunk, 8);
+  chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+  return chunk;
+}
+
+/**
+ * Encode RGBA pixels as an 8-bit PNG (no filtering)
+ */
+function encodePng(width, height, pixels) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 6; // RGBA
+
+  const raw = Buffer.alloc((width * 4 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    pixels.copy(raw, y * (width * 4 + 1) + 1, y * width * 4, (y + 1) * width * 4);
+  }
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+/**
+ * Find the JPEG thumbnail embedded in a JPEG's EXIF block (IFD1)
+ * @returns {Buffer|null}
+ */
+function extractExifThumbnail(buffer) {
+  let offset = 2;
+  while (offset + 4 <= buffer.length && buffer[offset] === 0xff) {
+    const marker = buffer[offset + 1];
+    const length = buffer.readUInt16BE(offset + 2);
+    if (marker === 0xda || marker === 0xd9) break; // image data starts, no EXIF found
+
+    if (marker === 0xe1 && buffer.toString('latin1', offset + 4, offset + 10) === 'Exif\0\0') {
+      const tiff = buffer.subarray(offset + 10, offset + 2 + length);
+      const little = tiff.toString('latin1', 0, 2) === 'II';
+      const u16 = (at) => (little ? tiff.readUInt16LE(at) : tiff.readUInt16BE(at));
+      const u32 = (at) => (little ? tiff.readUInt32LE(at) : tiff.readUInt32BE(at));
+
+      try {
+        const ifd0 = u32(4);
+        const ifd1 = u32(ifd0 + 2 + u16(ifd0) * 12);
+        if (!ifd1) return null;
+
+        let thumbnailOffset = 0;
+        let thumbnailLength = 0;
+        for (let i = 0; i < u16(ifd1); i++) {
+          const entry = ifd1 + 2 + i * 12;
+          if (u16(entry) === 0x0201) thumbnailOffset = u32(entry + 8);
+          if (u16(entry) === 0x0202) thumbnailLength = u32(entry + 8);
+        }
+        const thumbnail = tiff.subarray(thumbnailOffset, thumbnailOffset + thumbnailLength);
+        return thumbnailLength > 0 && thumbnail.length === thumbnailLength && thumbnail[0] === 0xff && thumbnail[1] === 0xd8
+          ? Buffer.from(thumbnail)
+          : null;
+      } catch {
+        return null; // Offsets outside the EXIF block
+      }
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+/**
+ * Create a thumbnail for an image attachment
+ * @param {Buffer} buffer - Image content
+ * @param {string} mimeType - Detected type (services/fileTypes.js)
+ * @returns {{data: Buffer, mimeType: string}|null} Thumbnail, or null when none can be made
+ */
+export function createThumbnail(buffer, mimeType) {
+  try {
+    if (mimeType === 'image/png') {
+      const image = decodeScaledPng(buffer, THUMBNAIL_MAX_SIZE);
+      return image ? { data: encodePng(image.width, image.height, image.pixels), mimeType: 'image/png' } : null;
+    }
+    if (mimeType === 'image/jpeg') {
+      const thumbnail = extractExifThumbnail(buffer);
+      return thumbnail ? { data: thumbnail, mimeType: 'image/jpeg' } : null;
+    }
+  } catch (error) {
+    // A corrupt image still uploads, just without a preview
+    console.warn('[Thumbnails] Could not create thumbnail:', error.message);
+  }
+  return null;
+}
@@ -0,0 +1,200 @@
+/**
+ * Invoice PDF
+ * Renders an invoice or credit note (with its line items) to PDF with the minimal writer in
+ * pdfDocument.js. Drafts carry a DRAFT watermark and void documents a VOID watermark, so a
+ * printed copy can never pass for a live invoice.
+ */
+
+import { PdfDocument } from './pdfDocument.js';
+
+const MARGIN = 48;
+const FOOTER_SPACE = 60;
+const ROW_LINE_HEIGHT = 12;
+const MUTED = '#666666';
+
+// Line table columns: x is the left edge, or the right edge for right-aligned columns
+const COLUMNS = {
+  number: { x: MARGIN, label: '#' },
+  description: { x: MARGIN + 22, label: 'Description', width: 230 },
+  quantity: { x: 370, label: 'Qty', align: 'right' },
+  unitPrice: { x: 440, label: 'Unit price', align: 'right' },
+  taxRate: { x: 485, label: 'Tax %', align: 'right' },
+  totalAmount: { x: 547, label: 'Amount', align: 'right' },
+};
+
+function formatDate(value, locale) {
+  return value ? new Date(value).toLocaleDateString(locale, { timeZone: 'UTC' }) : '-';
+}
+
+function createFormatters(locale, currency) {
+  const money = new Intl.NumberFormat(locale, { style: 'currency', currency });
+  const number = new Intl.NumberFormat(locale, { maximumFractionDigits: 3 });
+  const plain = new Intl.NumberFormat(locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return {
+    money: (value) => money.format(value || 0),
+    number: (value) => number.format(value || 0),
+    plain: (value) => plain.format(value || 0),
+  };
+}
+
+function drawWatermark(doc, label) {
+  doc.text(label, doc.width / 2 - 150, doc.height / 2 + 120, {
+    size: 110,
+    font: 'bold',
+    color: '#f0c8c8',
+    rotate: 40,
+  });
+}
+
+function drawTableHeader(doc, y) {
+  doc.rect(MARGIN, y - 12, doc.width - MARGIN * 2, 18, { fill: '#eeeeee' });
+  for (const column of Object.values(COLUMNS)) {
+    doc.text(column.label, column.x, y, { size: 9, font: 'bold', align: column.align });
+  }
+  return y + 18;
+}
+
+/**
+ * Render an invoice to PDF
+ * @param {Object} invoice - Invoice with lines (db/invoices.getInvoiceById)
+ * @param {Object} [context]
+ * @param {Object} [context.tenant] - Issuer { name }
+ * @param {Object} [context.portCall] - Port call the invoice refers to (with vessel and port)
+ * @param {string} [context.locale] - Number/date locale (default en-US)
+ * @returns {Buffer} PDF file contents
+ */
+export function renderInvoicePdf(invoice, { tenant, portCall, locale = 'en-US' } = {}) {
+  const isCreditNote = invoice.documentType === 'CREDIT_NOTE';
+  const title = isCreditNote ? 'CREDIT NOTE' : 'INVOICE';
+  const number = invoice.invoiceNumber || 'DRAFT';
+  const format = createFormatters(locale, invoice.currency || 'BRL');
+  const right = COLUMNS.totalAmount.x;
+
+  const doc = new PdfDocument({ title: `${title} ${number}` });
+  const watermark = invoice.status === 'VOID' ? 'VOID' : invoice.status === 'DRAFT' ? 'DRAFT' : null;
+  if (watermark) drawWatermark(doc, watermark);
+
+  // Header: issuer left, document title and number right
+  let y = MARGIN + 16;
+  doc.text(tenant?.name || '', MARGIN, y, { size: 16, font: 'bold' });
+  doc.text(title, right, y, { size: 16, font: 'bold', align: 'right' });
+  y += 20;
+  const meta = [
+    ['Number', number],
+    ['Issue date', formatDate(invoice.issuedAt, locale)],
+    [isCreditNote ? 'Credits invoice' : 'Due date', isCreditNote ? invoice.creditedInvoiceNumber || '-' : formatDate(invoice.dueAt, locale)],
+  ];
+  for (const [label, value] of meta) {
+    doc.text(`${label}:`, right - 110, y, { size: 9, color: MUTED, align: 'right' });
+    doc.text(value, right, y, { size: 9, align: 'right' });
+    y += 13;
+  }
+
+  // Bill to
+  y += 10;
+  doc.text('BILL TO', MARGIN, y, { size: 8, font: 'bold', color: MUTED });
+  y += 14;
+  const billTo = invoice.billTo || {};
+  const billToLines = [
+    billTo.name,
+    billTo.tradeName && billTo.tradeName !== billTo.name ? billTo.tradeName : null,
+    billTo.taxId ? `Tax ID: ${billTo.taxId}` : null,
+    billTo.address,
+    [billTo.city, billTo.postalCode, billTo.country].filter(Boolean).join(' '),
+    billTo.email,
+  ].filter(Boolean);
+  billToLines.forEach((line, index) => {
+    doc.text(line, MARGIN, y, { size: index === 0 ? 11 : 9, font: index === 0 ? 'bold' : 'regular' });
+    y += index === 0 ? 14 : 12;
+  });
+
+  // Port call reference
+  if (portCall) {
+    y += 8;
+    doc.text('PORT CALL', MARGIN, y, { size: 8, font: 'bold', color: MUTED });
+    y += 14;
+    const reference = [
+      portCall.vessel?.name,
+      portCall.vessel?.imo ? `IMO ${portCall.vessel.imo}` : null,
+      portCall.port?.name,
+      portCall.localReferenceNumber ? `${portCall.localReferenceType || 'Ref'} ${portCall.localReferenceNumber}` : null,
+    ].filter(Boolean).join(' - ');
+    doc.text(reference || portCall.id, MARGIN, y, { size: 9 });
+    y += 12;
+    const dates = `Arrival: ${formatDate(portCall.actualArrival || portCall.eta, locale)}   Departure: ${formatDate(portCall.actualDeparture || portCall.etd, locale)}`;
+    doc.text(dates, MARGIN, y, { size: 9, color: MUTED });
+    y += 12;
+  }
+
+  // Line items, continuing on new pages as needed
+  y = drawTableHeader(doc, y + 24);
+  for (const line of invoice.lines || []) {
+    const descriptionLines = doc.wrapText(line.description, COLUMNS.description.width, { size: 9 });
+    const rowHeight = descriptionLines.length * ROW_LINE_HEIGHT + 4;
+    if (y + rowHeight > doc.height - FOOTER_SPACE) {
+      doc.addPage();
+      if (watermark) drawWatermark(doc, watermark);
+      y = drawTableHeader(doc, MARGIN + 12);
+    }
+
+    doc.text(String(line.lineNumber), COLUMNS.number.x, y, { size: 9 });
+    descriptionLines.forEach((text, index) => {
+      doc.text(text, COLUMNS.description.x, y + index * ROW_LINE_HEIGHT, { size: 9 });
+    });
+    doc.text(format.number(line.quantity), COLUMNS.quantity.x, y, { size: 9, align: 'right' });
+    doc.text(format.plain(line.unitPrice), COLUMNS.unitPrice.x, y, { size: 9, align: 'right' });
+    doc.text(format.number(line.taxRate), COLUMNS.taxRate.x, y, { size: 9, align: 'right' });
+    doc.text(format.plain(line.totalAmount), COLUMNS.totalAmount.x, y, { size: 9, align: 'right' });
+    y += rowHeight;
+    doc.line(MARGIN, y - 9, doc.width - MARGIN, y - 9, { width: 0.25, color: '#cccccc' });
+  }
+
+  // Totals (keep the block and notes together on one page)
+  const notesLines = invoice.notes ? doc.wrapText(invoice.notes, doc.width - MARGIN * 2, { size: 9 }) : [];
+  const voidLines = invoice.status === 'VOID' ? 2 : 0;
+  if (y + 70 + (notesLines.length + voidLines) * 12 > doc.height - FOOTER_SPACE) {
+    doc.addPage();
+    if (watermark) drawWatermark(doc, watermark);
+    y = MARGIN + 12;
+  }
+  y += 10;
+  const totals = [
+    ['Subtotal', format.money(invoice.subtotalAmount)],
+    ['Tax', format.money(invoice.taxAmount)],
+  ];
+  for (const [label, value] of totals) {
+    doc.text(label, right - 110, y, { size: 9, color: MUTED, align: 'right' });
+    doc.text(value, right, y, { size: 9, align: 'right' });
+    y += 14;
+  }
+  doc.line(right - 180, y - 8, right, y - 8);
+  y += 6;
+  doc.text(isCreditNote ? 'Total credited' : 'Total due', right - 110, y, { size: 11, font: 'bold', align: 'right' });
+  doc.text(format.money(invoice.totalAmount), right, y, { size: 11, font: 'bold', align: 'right' });
+  y += 24;
+
+  if (invoice.status === 'VOID') {
+    doc.text(`Voided on ${formatDate(invoice.voidedAt, locale)}`, MARGIN, y, { size: 9, font: 'bold', color: '#b00020' });
+    y += 12;
+    doc.text(`Reason: ${invoice.voidReason || '-'}`, MARGIN, y, { size: 9, color: '#b00020' });
+    y += 18;
+  }
+  if (notesLines.length > 0) {
+    doc.text('NOTES', MARGIN, y, { size: 8, font: 'bold', color: MUTED });
+    y += 13;
+    for (const text of notesLines) {
+      doc.text(text, MARGIN, y, { size: 9 });
+      y += 12;
+    }
+  }
+
+  // Footer on every page
+  const pageCount = doc.pages.length;
+  for (let index = 0; index < pageCount; index++) {
+    doc.setPage(index);
+    doc.text(`${title} ${number}`, MARGIN, doc.height - 30, { size: 8, color: MUTED });
+    doc.text(`Page ${index + 1} of ${pageCount}`, doc.width - MARGIN, doc.height - 30, { size: 8, color: MUTED, align: 'right' });
+  }
+
+  return doc.toBuffer();
+}
@@ -0,0 +1,436 @@
+/**
+ * Invoices
+ * Line and total calculation plus the invoice lifecycle rules; db/invoices.js persists the result.
+ *
+ *   DRAFT ──► ISSUED ──► VOID
+ *     │
+ *     └──► (deleted)
+ *
+ * - Drafts are freely editable and get no number; issuing assigns the next number in the
+ *   tenant's series and freezes the document
+ * - Issued documents are never edited or deleted: they are voided, or corrected with a
+ *   credit note crediting some or all of their lines
+ * - Amounts are computed in cents: line subtotal = quantity x unit price, line tax =
+ *   subtotal x tax rate %, each rounded per line; document totals are the sum of the lines
+ */
+
+import * as invoicesDb from '../db/invoices.js';
+import * as portCallsDb from '../db/portCalls.js';
+import * as feesDb from '../db/fees.js';
+import { getLaytimeInvoiceLine } from './laytime.js';
+import { getMockCustomers } from '../data/mockData.js';
+import { createHttpError } from './httpError.js';
+
+// Roles allowed to correct issued documents (void, credit notes)
+export const CORRECTION_ROLES = ['ADMIN'];
+
+// Days between issue and due date when the draft has no due date
+const DEFAULT_PAYMENT_TERMS_DAYS = parseInt(process.env.INVOICE_PAYMENT_TERMS_DAYS || '30', 10);
+
+function toCents(amount) {
+  return Math.round(amount * 100);
+}
+
+function parseNumber(value, field, { min = 0, max = Infinity, allowZero = true } = {}) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number) || number < min || number > max
+    || (!allowZero && number === 0)) {
+    throw createHttpError(`${field} must be a number${allowZero ? ` >= ${min}` : ` > ${min}`}${max !== Infinity ? ` and <= ${max}` : ''}`);
+  }
+  return number;
+}
+
+function parseOptionalDate(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw createHttpError(`${field} must be a valid date`);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Validate a line item and compute its amounts
+ * @param {Object} line - { description, quantity, unitPrice, taxRate, feeId }
+ * @param {number} index - Position in the request (for error messages)
+ * @returns {Object} Line with subtotalAmount, taxAmount and totalAmount
+ */
+export function calculateLine(line, index = 0) {
+  const label = `lines[${index}]`;
+  const description = typeof line?.description === 'string' ? line.description.trim() : '';
+  if (!description) {
+    throw createHttpError(`${label}.description is required`);
+  }
+
+  const quantity = parseNumber(line.quantity ?? 1, `${label}.quantity`, { allowZero: false });
+  const unitPrice = toCents(parseNumber(line.unitPrice ?? 0, `${label}.unitPrice`)) / 100;
+  const taxRate = parseNumber(line.taxRate ?? 0, `${label}.taxRate`, { max: 100 });
+
+  const subtotalCents = Math.round(quantity * toCents(unitPrice));
+  const taxCents = Math.round((subtotalCents * taxRate) / 100);
+
+  return {
+    description,
+    quantity,
+    unitPrice,
+    taxRate,
+    subtotalAmount: subtotalCents / 100,
+    taxAmount: taxCents / 100,
+    totalAmount: (subtotalCents + taxCents) / 100,
+    feeId: line.feeId || null,
+    creditedLineId: line.creditedLineId || null,
+  };
+}
+
+/**
+ * Sum computed lines into document totals
+ * @returns {{subtotalAmount: number, taxAmount: number, totalAmount: number}}
+ */
+export function calculateTotals(lines) {
+  const subtotalCents = lines.reduce((sum, line) => sum + toCents(line.subtotalAmount), 0);
+  const taxCents = lines.reduce((sum, line) => sum + toCents(line.taxAmount), 0);
+  return {
+    subtotalAmount: subtotalCents / 100,
+    taxAmount: taxCents / 100,
+    totalAmount: (subtotalCents + taxCents) / 100,
+  };
+}
+
+/**
+ * Snapshot a customer's billing details so issued invoices keep them even if the customer changes
+ */
+export function buildBillTo(tenantId, customerId) {
+  const customer = getMockCustomers(tenantId).find((c) => c.id === customerId);
+  if (!customer) {
+    throw createHttpError('Customer not found');
+  }
+
+  return {
+    name: customer.razaoSocial || customer.nomeFantasia,
+    tradeName: customer.nomeFantasia || null,
+    taxId: customer.isForeignCompany ? customer.foreignRegistrationNo : customer.cnpj,
+    address: [customer.endereco, customer.complemento, customer.bairro].filter(Boolean).join(', '),
+    city: [customer.cidade, customer.estado].filter(Boolean).join(' - '),
+    postalCode: customer.cep || null,
+    country: customer.pais || null,
+    email: customer.email || null,
+  };
+}
+
+/**
+ * Validate the header fields of a draft and resolve its bill-to details
+ * @param {boolean} partial - Only validate fields present in the payload (updates)
+ */
+async function prepareHeader(tenantId, payload, partial) {
+  const header = {};
+
+  if (payload.portCallId !== undefined) {
+    if (payload.portCallId) {
+      const portCall = await portCallsDb.getPortCallById(payload.portCallId, tenantId);
+      if (!portCall) {
+        throw createHttpError('Port call not found');
+      }
+    }
+    header.portCallId = payload.portCallId || null;
+  }
+
+  if (payload.customerId !== undefined) {
+    header.customerId = payload.customerId || null;
+    header.billTo = payload.customerId ? buildBillTo(tenantId, payload.customerId) : null;
+  }
+  if (payload.billTo !== undefined) {
+    if (payload.billTo !== null && (typeof payload.billTo !== 'object' || !payload.billTo.name)) {
+      throw createHttpError('billTo must be an object with at least a name');
+    }
+    header.billTo = payload.billTo;
+  }
+  if (!partial && !header.billTo) {
+    throw createHttpError('customerId or billTo is required');
+  }
+
+  if (payload.currency !== undefined) {
+    if (!/^[A-Z]{3}$/.test(payload.currency || '')) {
+      throw createHttpError('currency must be a 3-letter ISO code');
+    }
+    header.currency = payload.currency;
+  }
+  if (payload.notes !== undefined) {
+    header.notes = payload.notes || null;
+  }
+  if (payload.dueAt !== undefined) {
+    header.dueAt = parseOptionalDate(payload.dueAt, 'dueAt');
+  }
+
+  return header;
+}
+
+function prepareLines(lines) {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    throw createHttpError('lines must be a non-empty array');
+  }
+  return lines.map((line, index) => calculateLine(line, index));
+}
+
+/**
+ * Check that lines billing a port call fee point to a fee of the invoice's port call
+ */
+async function validateFeeLinks(tenantId, lines, portCallId) {
+  for (const [index, line] of lines.entries()) {
+    if (!line.feeId) continue;
+    const fee = await feesDb.getFeeById(line.feeId, tenantId);
+    if (!fee) {
+      throw createHttpError(`lines[${index}].feeId: fee not found`);
+    }
+    if (fee.portCallId !== portCallId) {
+      throw createHttpError(`lines[${index}].feeId: fee belongs to another port call`);
+    }
+    if (fee.status === 'WAIVED') {
+      throw createHttpError(`lines[${index}].feeId: fee is waived`);
+    }
+  }
+}
+
+/**
+ * Load an invoice or throw 404
+ */
+async function getInvoiceOrThrow(tenantId, invoiceId) {
+  const invoice = await invoicesDb.getInvoiceById(invoiceId, tenantId);
+  if (!invoice) {
+    throw createHttpError('Invoice not found', 404);
+  }
+  return invoice;
+}
+
+/**
+ * Create a DRAFT invoice
+ * @param {Object} payload - { portCallId, customerId | billTo, currency, notes, dueAt, lines }
+ */
+export async function createDraftInvoice(tenantId, payload, userId) {
+  const header = await prepareHeader(tenantId, payload, false);
+  const lines = prepareLines(payload.lines);
+  await validateFeeLinks(tenantId, lines, header.portCallId ?? null);
+
+  return invoicesDb.createInvoice(tenantId, {
+    ...header,
+    ...calculateTotals(lines),
+    documentType: 'INVOICE',
+    createdBy: userId,
+  }, lines);
+}
+
+/**
+ * Create a DRAFT invoice for a port call's demurrage, in the laytime terms' currency
+ * @param {Object} payload - { portCallId, customerId | billTo, dueAt, taxRate, notes }
+ */
+export async function createLaytimeInvoice(tenantId, payload, userId) {
+  if (!payload.portCallId) {
+    throw createHttpError('portCallId is required');
+  }
+  const { currency, notes, line } = await getLaytimeInvoiceLine(tenantId, payload.portCallId);
+
+  return createDraftInvoice(tenantId, {
+    portCallId: payload.portCallId,
+    customerId: payload.customerId,
+    billTo: payload.billTo,
+    dueAt: payload.dueAt,
+    currency,
+    notes: payload.notes || notes,
+    lines: [{ ...line, taxRate: payload.taxRate ?? 0 }],
+  }, userId);
+}
+
+/**
+ * Update a DRAFT invoice (lines, when given, replace all existing lines)
+ */
+export async function updateDraftInvoice(tenantId, invoiceId, payload) {
+  const invoice = await getInvoiceOrThrow(tenantId, invoiceId);
+  if (invoice.status !== 'DRAFT') {
+    throw createHttpError(`Only draft invoices can be edited (status is ${invoice.status})`, 409);
+  }
+  if (invoice.documentType === 'CREDIT_NOTE' && payload.lines !== undefined) {
+    throw createHttpError('Credit note lines cannot be edited; delete the draft and create a new one', 409);
+  }
+
+  const header = await prepareHeader(tenantId, payload, true);
+  let lines;
+  if (payload.lines !== undefined) {
+    lines = prepareLines(payload.lines);
+    Object.assign(header, calculateTotals(lines));
+  }
+  if (lines || header.portCallId !== undefined) {
+    const portCallId = header.portCallId !== undefined ? header.portCallId : invoice.portCallId;
+    await validateFeeLinks(tenantId, lines || invoice.lines, portCallId);
+  }
+
+  const updated = await invoicesDb.updateDraftInvoice(invoiceId, tenantId, header, lines);
+  if (!updated) {
+    throw createHttpError('Invoice is no longer a draft', 409);
+  }
+  return updated;
+}
+
+/**
+ * Delete a DRAFT invoice or credit note
+ */
+export async function deleteDraftInvoice(tenantId, invoiceId) {
+  const invoice = await getInvoiceOrThrow(tenantId, invoiceId);
+  if (invoice.status !== 'DRAFT') {
+    throw createHttpError('Issued invoices cannot be deleted; void them instead', 409);
+  }
+  await invoicesDb.deleteDraftInvoice(invoiceId, tenantId);
+}
+
+/**
+ * Check that a credit note's lines do not credit more than what is left on the invoice
+ * @param {Object} invoice - Credited invoice (with lines)
+ * @param {Array<Object>} creditLines - Lines with creditedLineId and quantity
+ * @param {string} [excludeCreditNoteId] - The credit note being checked, if already stored
+ */
+async function assertCreditAvailable(tenantId, invoice, creditLines, excludeCreditNoteId = null) {
+  const credited = await invoicesDb.getCreditedLineTotals(invoice.id, tenantId, excludeCreditNoteId);
+  for (const line of creditLines) {
+    const original = invoice.lines.find((l) => l.id === line.creditedLineId);
+    if (!original) {
+      throw createHttpError(`Invoice line ${line.creditedLineId} not found`);
+    }
+    const remaining = original.quantity - (credited.get(original.id)?.quantity || 0);
+    if (line.quantity > remaining + 1e-9) {
+      throw createHttpError(
+        `Line ${original.lineNumber} has ${remaining} left to credit (requested ${line.quantity})`,
+        409
+      );
+    }
+  }
+}
+
+/**
+ * Issue a DRAFT invoice or credit note: validate, assign its number and set issue/due dates
+ * @param {Object} payload - { dueAt } (optional; defaults to the draft's due date or payment terms)
+ */
+export async function issueInvoice(tenantId, invoiceId, payload = {}) {
+  const invoice = await getInvoiceOrThrow(tenantId, invoiceId);
+  if (invoice.status !== 'DRAFT') {
+    throw createHttpError(`Invoice is already ${invoice.status}`, 409);
+  }
+  if (invoice.lines.length === 0) {
+    throw createHttpError('Cannot issue an invoice without lines');
+  }
+  if (invoice.totalAmount <= 0) {
+    throw createHttpError('Cannot issue an invoice with a zero total');
+  }
+
+  if (invoice.documentType === 'CREDIT_NOTE') {
+    const credited = await getInvoiceOrThrow(tenantId, invoice.creditedInvoiceId);
+    if (credited.status !== 'ISSUED') {
+      throw createHttpError(`Credited invoice is ${credited.status}`, 409);
+    }
+    await assertCreditAvailable(tenantId, credited, invoice.lines, invoice.id);
+  }
+
+  const issuedAt = new Date();
+  let dueAt = parseOptionalDate(payload.dueAt, 'dueAt') || invoice.dueAt;
+  if (!dueAt) {
+    dueAt = new Date(issuedAt.getTime() + DEFAULT_PAYMENT_TERMS_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  }
+  if (new Date(dueAt) < issuedAt && invoice.documentType === 'INVOICE') {
+    throw createHttpError('dueAt cannot be before the issue date');
+  }
+
+  const issued = await invoicesDb.issueInvoice(invoiceId, tenantId, { issuedAt: issuedAt.toISOString(), dueAt });
+  if (!issued) {
+    throw createHttpError('Invoice is no longer a draft', 409);
+  }
+  return issued;
+}
+
+/**
+ * Void an ISSUED invoice or credit note
+ * An invoice with live credit notes must have them voided first, so credits never outlive
+ * the invoice they reduce.
+ */
+export async function voidInvoice(tenantId, invoiceId, payload = {}) {
+  const reason = typeof payload.reason === 'string' ? payload.reason.trim() : '';
+  if (!reason) {
+    throw createHttpError('reason is required');
+  }
+
+  const invoice = await getInvoiceOrThrow(tenantId, invoiceId);
+  if (invoice.status !== 'ISSUED') {
+    throw createHttpError(
+      invoice.status === 'DRAFT' ? 'Draft invoices are deleted, not voided' : 'Invoice is already void',
+      409
+    );
+  }
+  const liveCreditNotes = (invoice.creditNotes || []).filter((cn) => cn.status !== 'VOID');
+  if (liveCreditNotes.length > 0) {
+    throw createHttpError('Void or delete the credit notes for this invoice first', 409);
+  }
+
+  const voided = await invoicesDb.voidInvoice(invoiceId, tenantId, reason);
+  if (!voided) {
+    throw createHttpError('Invoice is no longer issued', 409);
+  }
+  return voided;
+}
+
+/**
+ * Create a DRAFT credit note against an ISSUED invoice
+ * @param {Object} payload - { lines: [{ lineId, quantity }], notes }; without lines, everything
+ *   not yet credited is credited
+ */
+export async function createCreditNote(tenantId, invoiceId, payload = {}, userId) {
+  const invoice = await getInvoiceOrThrow(tenantId, invoiceId);
+  if (invoice.documentType !== 'INVOICE') {
+    throw createHttpError('Credit notes can only be raised against invoices');
+  }
+  if (invoice.status !== 'ISSUED') {
+    throw createHttpError(`Only issued invoices can be credited (status is ${invoice.status})`, 409);
+  }
+
+  const credited = await invoicesDb.getCreditedLineTotals(invoice.id, tenantId);
+  let requested;
+  if (payload.lines !== undefined) {
+    if (!Array.isArray(payload.lines) || payload.lines.length === 0) {
+      throw createHttpError('lines must be a non-empty array');
+    }
+    requested = payload.lines.map((line, index) => {
+      const original = invoice.lines.find((l) => l.id === line?.lineId);
+      if (!original) {
+        throw createHttpError(`lines[${index}].lineId does not match a line on this invoice`);
+      }
+      const quantity = line.quantity === undefined
+        ? original.quantity - (credited.get(original.id)?.quantity || 0)
+        : parseNumber(line.quantity, `lines[${index}].quantity`, { allowZero: false });
+      return { original, quantity };
+    });
+  } else {
+    requested = invoice.lines
+      .map((original) => ({ original, quantity: original.quantity - (credited.get(original.id)?.quantity || 0) }))
+      .filter((line) => line.quantity > 1e-9);
+  }
+  if (requested.length === 0) {
+    throw createHttpError('Invoice has been fully credited', 409);
+  }
+
+  const lines = requested.map(({ original, quantity }, index) => calculateLine({
+    description: original.description,
+    quantity,
+    unitPrice: original.unitPrice,
+    taxRate: original.taxRate,
+    feeId: original.feeId,
+    creditedLineId: original.id,
+  }, index));
+  await assertCreditAvailable(tenantId, invoice, lines);
+
+  return invoicesDb.createInvoice(tenantId, {
+    documentType: 'CREDIT_NOTE',
+    creditedInvoiceId: invoice.id,
+    portCallId: invoice.portCallId,
+    customerId: invoice.customerId,
+    billTo: invoice.billTo,
+    currency: invoice.currency,
+    notes: payload.notes || null,
+    ...calculateTotals(lines),
+    createdBy: userId,
+  }, lines);
+}
@@ -0,0 +1,399 @@
+/**
+ * Port Call Itinerary
+ * Validation for a port call's itinerary stops (escalas) and berth stays; db/itinerary.js persists them.
+ *
+ * - A stop is a PORT or TERMINAL ops site; a berth stay allocates a BERTH ops site for a planned window
+ * - A stop's status follows its actual times (ARRIVED, DEPARTED) unless set explicitly (e.g. SKIPPED)
+ * - Saving a berth stay whose planned window overlaps another stay on the same berth is refused
+ *   with 409 and the conflicting stays, unless the planner confirms with allowConflict
+ * - The berth plan of an ops site covers the BERTH sites below it in the parentCode hierarchy
+ */
+
+import * as itineraryDb from '../db/itinerary.js';
+import * as portCallsDb from '../db/portCalls.js';
+import * as portsDb from '../db/ports.js';
+import { createHttpError } from './httpError.js';
+
+const STOP_SITE_TYPES = ['PORT', 'TERMINAL'];
+
+// Sanity bound for drafts (metres)
+const MAX_DRAFT = 30;
+
+// Berth plan window: default span and upper bound (days)
+const DEFAULT_PLAN_DAYS = 14;
+const MAX_PLAN_DAYS = 92;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function optionalText(value, field, maxLength = 255) {
+  const text = value === null || value === undefined ? null : String(value).trim() || null;
+  if (text && text.length > maxLength) {
+    throw createHttpError(`${field} must be at most ${maxLength} characters`);
+  }
+  return text;
+}
+
+/**
+ * Parse a date-time field ("2026-03-01T08:00", ISO with offset) to ISO, null when empty
+ */
+function optionalTimestamp(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw createHttpError(`${field} must be a date and time`);
+  }
+  return date.toISOString();
+}
+
+function requiredTimestamp(value, field) {
+  const timestamp = optionalTimestamp(value, field);
+  if (!timestamp) {
+    throw createHttpError(`${field} is required`);
+  }
+  return timestamp;
+}
+
+function optionalDraft(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0 || number > MAX_DRAFT) {
+    throw createHttpError(`${field} must be a number of metres between 0 and ${MAX_DRAFT}`);
+  }
+  return number;
+}
+
+/**
+ * Throw unless end is after start (both optional)
+ */
+function checkOrder(start, end, message) {
+  if (start && end && new Date(end) <= new Date(start)) {
+    throw createHttpError(message);
+  }
+}
+
+/**
+ * Load a port call or throw 404
+ */
+async function getPortCallOrThrow(tenantId, portCallId) {
+  const portCall = await portCallsDb.getPortCallById(portCallId, tenantId);
+  if (!portCall) {
+    throw createHttpError('Port call not found', 404);
+  }
+  return portCall;
+}
+
+/**
+ * Load an itinerary stop of the port call or throw 404
+ */
+async function getEscalaOrThrow(tenantId, portCallId, escalaId) {
+  const escala = await itineraryDb.getEscalaById(escalaId, tenantId);
+  if (!escala || escala.portCallId !== portCallId) {
+    throw createHttpError('Itinerary stop not found', 404);
+  }
+  return escala;
+}
+
+/**
+ * Load a berth stay of the port call or throw 404
+ */
+async function getBerthStayOrThrow(tenantId, portCallId, stayId) {
+  const stay = await itineraryDb.getBerthStayById(stayId, tenantId);
+  if (!stay || stay.portCallId !== portCallId) {
+    throw createHttpError('Berth stay not found', 404);
+  }
+  return stay;
+}
+
+/**
+ * Load an ops site of one of the given types or throw 400
+ */
+async function getOpsSiteOfType(tenantId, opsSiteId, types, field) {
+  const site = await portsDb.getPortById(opsSiteId, tenantId);
+  if (!site) {
+    throw createHttpError(`${field}: ops site not found`);
+  }
+  if (!types.includes(site.type)) {
+    throw createHttpError(`${field} must be a ${types.join(' or ')} ops site (${site.name} is a ${site.type})`);
+  }
+  return site;
+}
+
+/**
+ * Validate itinerary stop fields present in the payload
+ * @param {Object} [existing] - Stop being updated (for the time order checks)
+ */
+async function prepareEscala(tenantId, payload, existing = null) {
+  const partial = !!existing;
+  const data = {};
+
+  if (payload.portId !== undefined || !partial) {
+    if (!payload.portId) {
+      throw createHttpError('portId is required');
+    }
+    await getOpsSiteOfType(tenantId, payload.portId, STOP_SITE_TYPES, 'portId');
+    data.portId = payload.portId;
+  }
+  if (payload.sequence !== undefined && payload.sequence !== null && payload.sequence !== '') {
+    const sequence = Number(payload.sequence);
+    if (!Number.isInteger(sequence) || sequence < 1) {
+      throw createHttpError('sequence must be a whole number >= 1');
+    }
+    data.sequence = sequence;
+  }
+  if (payload.terminal !== undefined) {
+    data.terminal = optionalText(payload.terminal, 'terminal');
+  }
+  if (payload.notes !== undefined) {
+    data.notes = optionalText(payload.notes, 'notes', 2000);
+  }
+  for (const key of ['plannedEta', 'plannedEtd', 'actualEta', 'actualEtd']) {
+    if (payload[key] !== undefined) {
+      data[key] = optionalTimestamp(payload[key], key);
+    }
+  }
+
+  const merged = { ...existing, ...data };
+  checkOrder(merged.plannedEta, merged.plannedEtd, 'plannedEtd must be after plannedEta');
+  checkOrder(merged.actualEta, merged.actualEtd, 'actualEtd must be after actualEta');
+  if (merged.actualEtd && !merged.actualEta) {
+    throw createHttpError('actualEta is required when actualEtd is set');
+  }
+
+  if (payload.status !== undefined && payload.status !== null) {
+    if (!itineraryDb.ESCALA_STATUSES.includes(payload.status)) {
+      throw createHttpError(`status must be one of: ${itineraryDb.ESCALA_STATUSES.join(', ')}`);
+    }
+    data.status = payload.status;
+  } else if (data.actualEta !== undefined || data.actualEtd !== undefined) {
+    // Recording actual times moves the stop along, unless it was skipped
+    if (merged.status !== 'SKIPPED') {
+      data.status = merged.actualEtd ? 'DEPARTED' : merged.actualEta ? 'ARRIVED' : 'PLANNED';
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Validate berth stay fields present in the payload
+ * @param {Object} [existing] - Stay being updated (for the window checks)
+ */
+async function prepareBerthStay(tenantId, portCallId, payload, existing = null) {
+  const partial = !!existing;
+  const data = {};
+
+  if (payload.berthId !== undefined || !partial) {
+    if (!payload.berthId) {
+      throw createHttpError('berthId is required');
+    }
+    await getOpsSiteOfType(tenantId, payload.berthId, ['BERTH'], 'berthId');
+    data.berthId = payload.berthId;
+  }
+  if (payload.startTime !== undefined || !partial) {
+    data.startTime = requiredTimestamp(payload.startTime, 'startTime');
+  }
+  if (payload.endTime !== undefined || !partial) {
+    data.endTime = requiredTimestamp(payload.endTime, 'endTime');
+  }
+  for (const key of ['actualStart', 'actualEnd']) {
+    if (payload[key] !== undefined) {
+      data[key] = optionalTimestamp(payload[key], key);
+    }
+  }
+  if (payload.operationType !== undefined || !partial) {
+    const operationType = payload.operationType || 'OTHER';
+    if (!itineraryDb.OPERATION_TYPES.includes(operationType)) {
+      throw createHttpError(`operationType must be one of: ${itineraryDb.OPERATION_TYPES.join(', ')}`);
+    }
+    data.operationType = operationType;
+  }
+  if (payload.escalaId !== undefined) {
+    data.escalaId = payload.escalaId || null;
+    if (data.escalaId) {
+      await getEscalaOrThrow(tenantId, portCallId, data.escalaId);
+    }
+  }
+  if (payload.pier !== undefined) {
+    data.pier = optionalText(payload.pier, 'pier', 100);
+  }
+  if (payload.notes !== undefined) {
+    data.notes = optionalText(payload.notes, 'notes', 2000);
+  }
+  for (const key of ['draftArrival', 'draftDeparture']) {
+    if (payload[key] !== undefined) {
+      data[key] = optionalDraft(payload[key], key);
+    }
+  }
+
+  const merged = { ...existing, ...data };
+  checkOrder(merged.startTime, merged.endTime, 'endTime must be after startTime');
+  checkOrder(merged.actualStart, merged.actualEnd, 'actualEnd must be after actualStart');
+
+  return data;
+}
+
+/**
+ * Refuse a berth window that overlaps other port calls' stays on the berth, unless the planner
+ * allows it
+ * @throws 409 with `conflicts` (the overlapping stays)
+ */
+async function checkBerthConflicts(tenantId, stay, allowConflict) {
+  const overlapping = await itineraryDb.findOverlappingBerthStays(tenantId, {
+    berthId: stay.berthId,
+    startTime: new Date(stay.startTime).toISOString(),
+    endTime: new Date(stay.endTime).toISOString(),
+    excludeId: stay.id || null,
+    excludePortCallId: stay.portCallId,
+  });
+  if (overlapping.length > 0 && !allowConflict) {
+    const names = overlapping.map((other) => other.portCall.vesselName || other.portCallId).join(', ');
+    throw createHttpError(`Berth is already planned for ${names} in this window`, 409, {
+      conflicts: overlapping.map((other) => ({
+        id: other.id,
+        portCallId: other.portCallId,
+        vesselName: other.portCall.vesselName,
+        startTime: other.startTime,
+        endTime: other.endTime,
+      })),
+    });
+  }
+}
+
+/**
+ * Add each stay's conflicts (overlapping stays on the same berth)
+ */
+export async function withConflicts(tenantId, stays) {
+  const conflicts = await itineraryDb.getBerthStayConflicts(tenantId, stays.map((stay) => stay.id));
+  return stays.map((stay) => ({ ...stay, conflicts: conflicts.get(stay.id) || [] }));
+}
+
+/**
+ * Get a port call's itinerary: stops in rotation order and berth stays with their conflicts
+ */
+export async function getItinerary(tenantId, portCallId) {
+  await getPortCallOrThrow(tenantId, portCallId);
+  const [escalas, berthStays] = await Promise.all([
+    itineraryDb.getEscalas(tenantId, portCallId),
+    itineraryDb.getBerthStays(tenantId, { portCallId }),
+  ]);
+  return { escalas, berthStays: await withConflicts(tenantId, berthStays) };
+}
+
+/**
+ * Get berth stays across port calls (berth planning)
+ * @param {Object} filters - { berthIds?, from?, to?, conflictsOnly? }
+ */
+export async function getBerthStays(tenantId, { berthIds, from, to, conflictsOnly } = {}) {
+  const stays = await withConflicts(tenantId, await itineraryDb.getBerthStays(tenantId, {
+    berthIds,
+    from: optionalTimestamp(from, 'from'),
+    to: optionalTimestamp(to, 'to'),
+  }));
+  return conflictsOnly ? stays.filter((stay) => stay.conflicts.length > 0) : stays;
+}
+
+/**
+ * Get the berth plan of an ops site: its berths (the site itself when it is a BERTH), their stays
+ * overlapping the window with conflicts, and the site's port calls that have no berth yet
+ * @param {Object} window - { from?, to? } (defaults to the next DEFAULT_PLAN_DAYS days from now)
+ * @returns {Promise<{site, from, to, berths, berthStays, unallocated}>}
+ */
+export async function getBerthPlan(tenantId, siteId, { from, to } = {}) {
+  const site = await portsDb.getPortById(siteId, tenantId);
+  if (!site) {
+    throw createHttpError('Ops site not found', 404);
+  }
+
+  const fromTime = optionalTimestamp(from, 'from') || new Date().toISOString();
+  const toTime = optionalTimestamp(to, 'to')
+    || new Date(new Date(fromTime).getTime() + DEFAULT_PLAN_DAYS * DAY_MS).toISOString();
+  checkOrder(fromTime, toTime, 'to must be after from');
+  if (new Date(toTime) - new Date(fromTime) > MAX_PLAN_DAYS * DAY_MS) {
+    throw createHttpError(`The plan window can span at most ${MAX_PLAN_DAYS} days`);
+  }
+
+  const family = site.type === 'BERTH' ? [site] : portsDb.getSiteFamily(site, await portsDb.getPorts(tenantId));
+  const berths = family
+    .filter((other) => other.type === 'BERTH')
+    .map(({ id, name, code, unlocode, parentCode }) => ({ id, name, code: code || unlocode, parentCode }));
+
+  const [berthStays, unallocated] = await Promise.all([
+    berths.length > 0
+      ? getBerthStays(tenantId, { berthIds: berths.map((berth) => berth.id), from: fromTime, to: toTime })
+      : [],
+    itineraryDb.getPortCallsWithoutBerth(tenantId, {
+      siteIds: family.map((other) => other.id),
+      from: fromTime,
+      to: toTime,
+    }),
+  ]);
+
+  return {
+    site: { id: site.id, name: site.name, code: site.code || site.unlocode, type: site.type },
+    from: fromTime,
+    to: toTime,
+    berths,
+    berthStays,
+    unallocated,
+  };
+}
+
+/**
+ * Add a stop to the itinerary
+ * @param {Object} payload - { portId, sequence?, terminal?, plannedEta?, plannedEtd?, actualEta?, actualEtd?, status?, notes? }
+ */
+export async function createEscala(tenantId, portCallId, payload) {
+  await getPortCallOrThrow(tenantId, portCallId);
+  const data = await prepareEscala(tenantId, payload);
+  return itineraryDb.createEscala(tenantId, { ...data, portCallId });
+}
+
+/**
+ * Update a stop
+ */
+export async function updateEscala(tenantId, portCallId, escalaId, payload) {
+  const existing = await getEscalaOrThrow(tenantId, portCallId, escalaId);
+  const updates = await prepareEscala(tenantId, payload, existing);
+  return itineraryDb.updateEscala(escalaId, tenantId, updates);
+}
+
+/**
+ * Remove a stop (its berth stays are kept, unlinked)
+ */
+export async function deleteEscala(tenantId, portCallId, escalaId) {
+  await getEscalaOrThrow(tenantId, portCallId, escalaId);
+  await itineraryDb.deleteEscala(escalaId, tenantId);
+}
+
+/**
+ * Allocate a berth to the port call
+ * @param {Object} payload - { berthId, startTime, endTime, escalaId?, pier?, operationType?,
+ *   actualStart?, actualEnd?, draftArrival?, draftDeparture?, notes?, allowConflict? }
+ */
+export async function createBerthStay(tenantId, portCallId, payload) {
+  await getPortCallOrThrow(tenantId, portCallId);
+  const data = await prepareBerthStay(tenantId, portCallId, payload);
+  await checkBerthConflicts(tenantId, { ...data, portCallId }, payload.allowConflict === true);
+  const [stay] = await withConflicts(tenantId, [await itineraryDb.createBerthStay(tenantId, { ...data, portCallId })]);
+  return stay;
+}
+
+/**
+ * Update a berth stay (moving its window or berth re-checks conflicts)
+ */
+export async function updateBerthStay(tenantId, portCallId, stayId, payload) {
+  const existing = await getBerthStayOrThrow(tenantId, portCallId, stayId);
+  const updates = await prepareBerthStay(tenantId, portCallId, payload, existing);
+  if (updates.berthId !== undefined || updates.startTime !== undefined || updates.endTime !== undefined) {
+    await checkBerthConflicts(tenantId, { ...existing, ...updates }, payload.allowConflict === true);
+  }
+  const [stay] = await withConflicts(tenantId, [await itineraryDb.updateBerthStay(stayId, tenantId, updates)]);
+  return stay;
+}
+
+/**
+ * Remove a berth stay
+ */
+export async function deleteBerthStay(tenantId, portCallId, stayId) {
+  await getBerthStayOrThrow(tenantId, portCallId, stayId);
+  await itineraryDb.deleteBerthStay(stayId, tenantId);
+}
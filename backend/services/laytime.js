@@ -0,0 +1,451 @@
+/**
+ * Laytime and Demurrage
+ * Applies a port call's charter-party terms (db/laytime.js) to its statement of facts to work out
+ * laytime used against laytime allowed, and the demurrage or despatch that results.
+ *
+ * - Laytime commences when turn time after NOR tendered has run, or when cargo operations
+ *   commence if that is sooner, and ends when cargo is completed (until then the calculation
+ *   runs to now and is provisional)
+ * - Weather stoppages and other stoppages do not count when the terms except them; under SHEX
+ *   neither do Sundays and the listed holidays, by the port's local calendar
+ * - Once on demurrage, always on demurrage: exceptions stop applying when laytime has expired
+ * - Reversible terms pool the time of the listed port calls (e.g. load and discharge ports)
+ *   against one allowance, in the order the calls commenced
+ * - Demurrage and despatch are pro rata per day, days rounded to three decimals as on the
+ *   invoice line; despatch is paid on laytime saved, at half the demurrage rate unless set
+ * - Demurrage is paid by the charterer to the owner and is invoiced; despatch is paid by the
+ *   owner to the charterer, so it is never invoiced to the customer
+ */
+
+import * as laytimeDb from '../db/laytime.js';
+import * as sofDb from '../db/statementsOfFacts.js';
+import * as portCallsDb from '../db/portCalls.js';
+import * as portsDb from '../db/ports.js';
+import { createHttpError } from './httpError.js';
+
+// Who pays the laytime outcome (the other charter party receives it)
+const LAYTIME_PAYERS = { DEMURRAGE: 'CHARTERER', DESPATCH: 'OWNER', NONE: null };
+
+const HOUR_MS = 60 * 60 * 1000;
+// Time zone offsets are whole quarter hours, so local midnights fall on this UTC grid
+const QUARTER_HOUR_MS = 15 * 60 * 1000;
+const MAX_REVERSIBLE_CALLS = 10;
+const MAX_HOLIDAYS = 100;
+
+function optionalNumber(value, field, { min = 0, max = Infinity } = {}) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw createHttpError(`${field} must be a number between ${min} and ${max}`);
+  }
+  return number;
+}
+
+function parseBoolean(value, defaultValue) {
+  return value === undefined || value === null || value === '' ? defaultValue : value === true || value === 'true';
+}
+
+/**
+ * Validate a full set of terms (saving replaces the previous terms)
+ */
+function prepareTerms(payload, portCallId) {
+  const terms = payload.terms || 'SHINC';
+  if (!laytimeDb.LAYTIME_TERMS.includes(terms)) {
+    throw createHttpError(`terms must be one of ${laytimeDb.LAYTIME_TERMS.join(', ')}`);
+  }
+
+  const data = {
+    terms,
+    allowedHours: optionalNumber(payload.allowedHours, 'allowedHours', { max: 100000 }),
+    cargoQuantity: optionalNumber(payload.cargoQuantity, 'cargoQuantity', { max: 1e9 }),
+    cargoRate: optionalNumber(payload.cargoRate, 'cargoRate', { max: 1e9 }),
+    turnTimeHours: optionalNumber(payload.turnTimeHours, 'turnTimeHours', { max: 72 }) ?? 6,
+    reversible: parseBoolean(payload.reversible, false),
+    weatherExcepted: parseBoolean(payload.weatherExcepted, true),
+    stoppagesExcepted: parseBoolean(payload.stoppagesExcepted, true),
+    demurrageRate: optionalNumber(payload.demurrageRate, 'demurrageRate', { max: 1e9 }) ?? 0,
+    despatchRate: optionalNumber(payload.despatchRate, 'despatchRate', { max: 1e9 }),
+    currency: String(payload.currency || 'USD').toUpperCase(),
+    notes: payload.notes ? String(payload.notes).trim().slice(0, 2000) || null : null,
+  };
+
+  if (!/^[A-Z]{3}$/.test(data.currency)) {
+    throw createHttpError('currency must be a 3-letter ISO code');
+  }
+  if (data.allowedHours === null && !(data.cargoQuantity > 0 && data.cargoRate > 0)) {
+    throw createHttpError('allowedHours, or cargoQuantity and cargoRate, is required');
+  }
+
+  const holidays = payload.holidays || [];
+  if (!Array.isArray(holidays) || holidays.length > MAX_HOLIDAYS
+    || holidays.some((day) => !/^\d{4}-\d{2}-\d{2}$/.test(day))) {
+    throw createHttpError(`holidays must be a list of up to ${MAX_HOLIDAYS} dates (YYYY-MM-DD)`);
+  }
+  data.holidays = [...new Set(holidays)].sort();
+
+  const linked = data.reversible ? payload.reversiblePortCallIds || [] : [];
+  if (!Array.isArray(linked) || linked.length > MAX_REVERSIBLE_CALLS) {
+    throw createHttpError(`reversiblePortCallIds must be a list of up to ${MAX_REVERSIBLE_CALLS} port calls`);
+  }
+  data.reversiblePortCallIds = [...new Set(linked.map(String))].filter((id) => id !== portCallId);
+
+  return data;
+}
+
+/**
+ * Laytime allowed in hours
+ */
+function getAllowedHours(terms) {
+  return terms.allowedHours ?? (terms.cargoQuantity / terms.cargoRate) * 24;
+}
+
+const dateFormatters = new Map();
+
+/**
+ * Local calendar date and weekday of an instant ({ date: 'YYYY-MM-DD', weekday: 'Sun' })
+ * Unknown time zones fall back to UTC.
+ */
+function localDay(ms, timeZone) {
+  const zone = timeZone || 'UTC';
+  if (!dateFormatters.has(zone)) {
+    let formatter;
+    try {
+      formatter = new Intl.DateTimeFormat('en-CA', { timeZone: zone, year: 'numeric', month: '2-digit', day: '2-digit', weekday: 'short' });
+    } catch {
+      formatter = new Intl.DateTimeFormat('en-CA', { timeZone: 'UTC', year: 'numeric', month: '2-digit', day: '2-digit', weekday: 'short' });
+    }
+    dateFormatters.set(zone, formatter);
+  }
+  const parts = Object.fromEntries(dateFormatters.get(zone).formatToParts(new Date(ms)).map((part) => [part.type, part.value]));
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, weekday: parts.weekday };
+}
+
+/**
+ * Instants in (start, end) where the local date changes
+ */
+function localMidnights(start, end, timeZone) {
+  const midnights = [];
+  let previous = localDay(start, timeZone).date;
+  for (let t = Math.floor(start / QUARTER_HOUR_MS) * QUARTER_HOUR_MS + QUARTER_HOUR_MS; t < end; t += QUARTER_HOUR_MS) {
+    const { date } = localDay(t, timeZone);
+    if (date !== previous) {
+      midnights.push(t);
+      previous = date;
+    }
+  }
+  return midnights;
+}
+
+/**
+ * When laytime starts and ends for one port call's statement
+ * @returns {{start: number|null, end: number|null, provisional: boolean, warnings: Array<string>}}
+ */
+function getLaytimeWindow(entries, terms, now) {
+  const first = (code) => entries.find((entry) => entry.eventCode === code);
+  const last = (code) => [...entries].reverse().find((entry) => entry.eventCode === code);
+  const nor = first('NOR_TENDERED');
+  const commenced = first('COMMENCED_CARGO');
+  const completed = last('COMPLETED_CARGO');
+  const warnings = [];
+
+  const afterTurnTime = nor ? new Date(nor.startTime).getTime() + terms.turnTimeHours * HOUR_MS : null;
+  const commencedAt = commenced ? new Date(commenced.startTime).getTime() : null;
+  const start = [afterTurnTime, commencedAt].filter((time) => time !== null).sort((a, b) => a - b)[0] ?? null;
+  if (!nor) warnings.push('No NOR tendered on the statement of facts');
+  if (start === null) {
+    warnings.push('Laytime has not commenced (no NOR tendered or cargo commenced)');
+    return { start: null, end: null, provisional: true, warnings };
+  }
+
+  const end = completed ? new Date(completed.startTime).getTime() : Math.max(now, start);
+  if (!completed) warnings.push('Cargo not completed yet: laytime runs to now');
+  if (end < start) {
+    warnings.push('Cargo completed before laytime commenced');
+    return { start, end: start, provisional: !completed, warnings };
+  }
+  return { start, end, provisional: !completed, warnings };
+}
+
+/**
+ * Split a port call's laytime window into periods that count or are excepted
+ * @returns {Array<{start: number, end: number, reason: string|null}>} reason: WEATHER, STOPPAGE,
+ *   SUNDAY, HOLIDAY, or null when the time counts
+ */
+function getPeriods(call, terms, window) {
+  const { start, end } = window;
+  const stoppages = call.entries
+    .filter((entry) => (entry.eventCode === 'WEATHER_STOPPAGE' && terms.weatherExcepted)
+      || (entry.eventCode === 'STOPPAGE' && terms.stoppagesExcepted))
+    .map((entry) => ({
+      reason: entry.eventCode === 'WEATHER_STOPPAGE' ? 'WEATHER' : 'STOPPAGE',
+      start: new Date(entry.startTime).getTime(),
+      end: entry.endTime ? new Date(entry.endTime).getTime() : end,
+    }));
+
+  const boundaries = new Set([start, end]);
+  for (const stoppage of stoppages) {
+    if (stoppage.start > start && stoppage.start < end) boundaries.add(stoppage.start);
+    if (stoppage.end > start && stoppage.end < end) boundaries.add(stoppage.end);
+  }
+  if (terms.terms === 'SHEX') {
+    localMidnights(start, end, call.timeZone).forEach((midnight) => boundaries.add(midnight));
+  }
+
+  const points = [...boundaries].sort((a, b) => a - b);
+  const periods = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    const [from, to] = [points[i], points[i + 1]];
+    const middle = from + (to - from) / 2;
+    let reason = stoppages.find((stoppage) => stoppage.start <= middle && middle < stoppage.end)?.reason || null;
+    if (!reason && terms.terms === 'SHEX') {
+      const day = localDay(middle, call.timeZone);
+      if (terms.holidays.includes(day.date)) reason = 'HOLIDAY';
+      else if (day.weekday === 'Sun') reason = 'SUNDAY';
+    }
+    periods.push({ start: from, end: to, reason });
+  }
+  return periods;
+}
+
+const roundDays = (hours) => Math.round((hours / 24) * 1000) / 1000;
+const roundHours = (hours) => Math.round(hours * 100) / 100;
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Calculate laytime for one port call, or several pooled under reversible terms
+ * @param {Object} terms - Laytime terms
+ * @param {Array<Object>} calls - [{ portCallId, vesselName, portName, timeZone, entries }], entries
+ *   of each call's statement of facts in time order
+ * @param {Object} [options] - { now } (ms, for calculations still running)
+ * @returns {Object} { allowedHours, usedHours, exceptedHours, demurrageHours, savedHours,
+ *   outcome ('DEMURRAGE' | 'DESPATCH' | 'NONE'), payer ('CHARTERER' for demurrage, 'OWNER' for
+ *   despatch, null), days, rate, amount, currency, provisional,
+ *   laytimeExpiredAt, calls: [{ portCallId, start, end, provisional }], periods, warnings }
+ */
+export function calculateLaytime(terms, calls, { now = Date.now() } = {}) {
+  const allowedHours = getAllowedHours(terms);
+  const warnings = [];
+  const windows = calls.map((call) => {
+    const window = getLaytimeWindow(call.entries, terms, now);
+    window.warnings.forEach((warning) => warnings.push(calls.length > 1 ? `${call.vesselName || call.portCallId} at ${call.portName || '?'}: ${warning}` : warning));
+    return { call, window };
+  });
+
+  // Pool the calls in the order laytime commenced; exceptions stop once laytime has expired
+  let remainingMs = allowedHours * HOUR_MS;
+  let laytimeExpiredAt = null;
+  const periods = [];
+  const push = (portCallId, start, end, type, reason = null) => {
+    const previous = periods[periods.length - 1];
+    if (previous && previous.portCallId === portCallId && previous.type === type && previous.reason === reason
+      && previous.end === start) {
+      previous.end = end;
+    } else {
+      periods.push({ portCallId, start, end, type, reason });
+    }
+  };
+
+  windows
+    .filter(({ window }) => window.start !== null && window.end > window.start)
+    .sort((a, b) => a.window.start - b.window.start)
+    .forEach(({ call, window }) => {
+      for (const period of getPeriods(call, terms, window)) {
+        if (laytimeExpiredAt !== null) {
+          push(call.portCallId, period.start, period.end, 'DEMURRAGE');
+        } else if (period.reason) {
+          push(call.portCallId, period.start, period.end, 'EXCEPTED', period.reason);
+        } else if (period.end - period.start <= remainingMs) {
+          remainingMs -= period.end - period.start;
+          push(call.portCallId, period.start, period.end, 'LAYTIME');
+        } else {
+          laytimeExpiredAt = period.start + remainingMs;
+          if (remainingMs > 0) push(call.portCallId, period.start, laytimeExpiredAt, 'LAYTIME');
+          push(call.portCallId, laytimeExpiredAt, period.end, 'DEMURRAGE');
+          remainingMs = 0;
+        }
+      }
+    });
+
+  const totalHours = (type) => periods
+    .filter((period) => period.type === type)
+    .reduce((sum, period) => sum + (period.end - period.start) / HOUR_MS, 0);
+  const usedHours = totalHours('LAYTIME');
+  const demurrageHours = totalHours('DEMURRAGE');
+  const savedHours = laytimeExpiredAt === null ? Math.max(allowedHours - usedHours, 0) : 0;
+  const started = windows.some(({ window }) => window.start !== null);
+
+  let outcome = 'NONE';
+  let days = 0;
+  let rate = 0;
+  if (started && demurrageHours > 0) {
+    outcome = 'DEMURRAGE';
+    days = roundDays(demurrageHours);
+    rate = terms.demurrageRate;
+  } else if (started && savedHours > 0) {
+    outcome = 'DESPATCH';
+    days = roundDays(savedHours);
+    rate = terms.despatchRate ?? roundAmount(terms.demurrageRate / 2);
+  }
+
+  return {
+    allowedHours: roundHours(allowedHours),
+    usedHours: roundHours(usedHours),
+    exceptedHours: roundHours(totalHours('EXCEPTED')),
+    demurrageHours: roundHours(demurrageHours),
+    savedHours: roundHours(savedHours),
+    outcome,
+    payer: LAYTIME_PAYERS[outcome],
+    days,
+    rate,
+    amount: roundAmount(days * rate),
+    currency: terms.currency,
+    provisional: windows.some(({ window }) => window.provisional),
+    laytimeExpiredAt: laytimeExpiredAt !== null ? new Date(laytimeExpiredAt).toISOString() : null,
+    calls: windows.map(({ call, window }) => ({
+      portCallId: call.portCallId,
+      vesselName: call.vesselName || null,
+      portName: call.portName || null,
+      start: window.start !== null ? new Date(window.start).toISOString() : null,
+      end: window.end !== null ? new Date(window.end).toISOString() : null,
+      provisional: window.provisional,
+    })),
+    periods: periods.map((period) => ({
+      ...period,
+      start: new Date(period.start).toISOString(),
+      end: new Date(period.end).toISOString(),
+      hours: roundHours((period.end - period.start) / HOUR_MS),
+    })),
+    warnings,
+  };
+}
+
+/**
+ * Load a port call or throw 404
+ */
+async function getPortCallOrThrow(tenantId, portCallId) {
+  const portCall = await portCallsDb.getPortCallById(portCallId, tenantId);
+  if (!portCall) {
+    throw createHttpError('Port call not found', 404);
+  }
+  return portCall;
+}
+
+/**
+ * A port call's statement entries and local time zone, as calculateLaytime expects
+ */
+async function loadCall(tenantId, portCall) {
+  const [statement, port] = await Promise.all([
+    sofDb.getStatementOfFacts(tenantId, portCall.id),
+    portCall.portId ? portsDb.getPortById(portCall.portId, tenantId) : null,
+  ]);
+  return {
+    portCallId: portCall.id,
+    vesselName: portCall.vessel?.name || null,
+    portName: portCall.port?.name || null,
+    timeZone: port?.timezone || 'UTC',
+    entries: statement ? await sofDb.getSofEntries(tenantId, statement.id) : [],
+  };
+}
+
+/**
+ * Calculate laytime for a port call's terms (pooling reversible calls)
+ */
+async function calculateForPortCall(tenantId, portCall, terms) {
+  const linked = await Promise.all(terms.reversiblePortCallIds.map((id) => portCallsDb.getPortCallById(id, tenantId)));
+  const calls = await Promise.all([portCall, ...linked.filter(Boolean)].map((call) => loadCall(tenantId, call)));
+  const result = calculateLaytime(terms, calls);
+  if (linked.some((call) => !call)) {
+    result.warnings.push('Some reversible port calls no longer exist');
+  }
+  return result;
+}
+
+/**
+ * Get a port call's laytime terms and calculation
+ * @returns {Promise<{terms: Object|null, result: Object|null}>}
+ */
+export async function getLaytime(tenantId, portCallId) {
+  const portCall = await getPortCallOrThrow(tenantId, portCallId);
+  const terms = await laytimeDb.getLaytimeTerms(tenantId, portCallId);
+  return { terms, result: terms ? await calculateForPortCall(tenantId, portCall, terms) : null };
+}
+
+/**
+ * Set a port call's laytime terms
+ * @returns {Promise<{terms: Object, result: Object}>} The saved terms and the calculation under them
+ */
+export async function saveLaytimeTerms(tenantId, portCallId, payload) {
+  const portCall = await getPortCallOrThrow(tenantId, portCallId);
+  const data = prepareTerms(payload, portCallId);
+  for (const linkedId of data.reversiblePortCallIds) {
+    if (!(await portCallsDb.getPortCallById(linkedId, tenantId))) {
+      throw createHttpError(`Reversible port call ${linkedId} not found`);
+    }
+  }
+
+  const terms = await laytimeDb.saveLaytimeTerms(tenantId, portCallId, data);
+  return { terms, result: await calculateForPortCall(tenantId, portCall, terms) };
+}
+
+/**
+ * Remove a port call's laytime terms
+ */
+export async function deleteLaytimeTerms(tenantId, portCallId) {
+  await getPortCallOrThrow(tenantId, portCallId);
+  if (!(await laytimeDb.deleteLaytimeTerms(tenantId, portCallId))) {
+    throw createHttpError('Laytime terms not found', 404);
+  }
+}
+
+function formatHours(hours) {
+  const minutes = Math.round(hours * 60);
+  const days = Math.floor(minutes / 1440);
+  return `${days}d ${String(Math.floor((minutes % 1440) / 60)).padStart(2, '0')}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+/**
+ * The invoice line for a laytime calculation's demurrage
+ * Refused while cargo is not completed, when laytime ended exactly on time, and for despatch
+ * (owed to the charterer, so it is not billed to the customer).
+ * @param {Object} terms - Laytime terms
+ * @param {Object} result - calculateLaytime result
+ * @returns {{currency: string, notes: string, line: Object}}
+ */
+export function buildLaytimeInvoiceLine(terms, result) {
+  if (result.provisional) {
+    throw createHttpError('Laytime is still running: complete cargo on the statement of facts first', 409);
+  }
+  if (result.outcome === 'DESPATCH') {
+    throw createHttpError('Despatch is paid by the owner to the charterer and cannot be invoiced', 409);
+  }
+  if (result.outcome === 'NONE' || result.amount <= 0) {
+    throw createHttpError('No demurrage to invoice');
+  }
+
+  const portCall = result.calls[0];
+  return {
+    currency: result.currency,
+    notes: [
+      `Laytime (${terms.terms}${terms.reversible ? ', reversible' : ''}): allowed ${formatHours(result.allowedHours)},`,
+      `used ${formatHours(result.usedHours)}, excepted ${formatHours(result.exceptedHours)}.`,
+    ].join(' '),
+    line: {
+      description: `Demurrage - ${[portCall.vesselName, portCall.portName].filter(Boolean).join(' at ')}: ${formatHours(result.demurrageHours)}`
+        + ` (${result.days.toFixed(3)} days at ${result.rate.toFixed(2)} ${result.currency}/day)`,
+      quantity: result.days,
+      unitPrice: result.rate,
+    },
+  };
+}
+
+/**
+ * The invoice line for a port call's demurrage (for services/invoices.js)
+ * @returns {Promise<{currency: string, notes: string, line: Object}>}
+ */
+export async function getLaytimeInvoiceLine(tenantId, portCallId) {
+  const { terms, result } = await getLaytime(tenantId, portCallId);
+  if (!terms) {
+    throw createHttpError('Set the laytime terms of this port call first');
+  }
+  return buildLaytimeInvoiceLine(terms, result);
+}
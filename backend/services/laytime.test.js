@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateLaytime, buildLaytimeInvoiceLine } from './laytime.js';
+
+const terms = {
+  terms: 'SHINC',
+  allowedHours: 48,
+  turnTimeHours: 0,
+  reversible: false,
+  weatherExcepted: true,
+  stoppagesExcepted: true,
+  demurrageRate: 20000,
+  despatchRate: null,
+  currency: 'USD',
+  holidays: [],
+};
+
+// One call whose cargo took `hours` from NOR tendered (no turn time, no stoppages)
+function callTaking(hours) {
+  const start = Date.parse('2026-03-02T00:00:00Z');
+  return {
+    portCallId: 'pc-1',
+    vesselName: 'Atlantic Star',
+    portName: 'Santos',
+    timeZone: 'UTC',
+    entries: [
+      { eventCode: 'NOR_TENDERED', startTime: new Date(start).toISOString() },
+      { eventCode: 'COMMENCED_CARGO', startTime: new Date(start).toISOString() },
+      { eventCode: 'COMPLETED_CARGO', startTime: new Date(start + hours * 3600 * 1000).toISOString() },
+    ],
+  };
+}
+
+test('demurrage is paid by the charterer and invoiced to the customer', () => {
+  const result = calculateLaytime(terms, [callTaking(72)]);
+
+  assert.equal(result.outcome, 'DEMURRAGE');
+  assert.equal(result.payer, 'CHARTERER');
+  assert.equal(result.amount, 20000);
+
+  const { currency, line } = buildLaytimeInvoiceLine(terms, result);
+  assert.equal(currency, 'USD');
+  assert.equal(line.quantity, 1);
+  assert.equal(line.unitPrice, 20000);
+  assert.match(line.description, /^Demurrage - Atlantic Star at Santos/);
+});
+
+test('despatch is paid by the owner to the charterer and is not invoiced', () => {
+  const result = calculateLaytime(terms, [callTaking(24)]);
+
+  assert.equal(result.outcome, 'DESPATCH');
+  assert.equal(result.payer, 'OWNER');
+  assert.equal(result.amount, 10000); // One day saved at half the demurrage rate
+
+  assert.throws(() => buildLaytimeInvoiceLine(terms, result), (error) => {
+    assert.equal(error.status, 409);
+    assert.match(error.message, /owner to the charterer/);
+    return true;
+  });
+});
+
+test('laytime ending on time has no payer and nothing to invoice', () => {
+  const result = calculateLaytime(terms, [callTaking(48)]);
+
+  assert.equal(result.outcome, 'NONE');
+  assert.equal(result.payer, null);
+  assert.throws(() => buildLaytimeInvoiceLine(terms, result), { status: 400 });
+});
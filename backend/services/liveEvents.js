@@ -0,0 +1,43 @@
+/**
+ * Live Events
+ * In-process pub/sub for pushing stored data to connected browsers (see routes/stream.js).
+ * Events are scoped by tenant: subscribers only ever receive their own tenant's events.
+ *
+ * Single-process only - with several backend instances, each one only sees the events
+ * stored through it.
+ */
+
+import { EventEmitter } from 'events';
+
+export const LIVE_EVENT_TYPES = {
+  POSITION: 'position',
+  OPERATION_LOG: 'operation-log',
+  PORT_CALL_ETA: 'port-call-eta',
+};
+
+const emitter = new EventEmitter();
+// One listener per open stream connection
+emitter.setMaxListeners(0);
+
+/**
+ * Publish an event to a tenant's subscribers
+ * @param {string} tenantId - Tenant ID
+ * @param {string} type - One of LIVE_EVENT_TYPES
+ * @param {Object} data - Event payload (sent to the browser as-is)
+ */
+export function publishLiveEvent(tenantId, type, data) {
+  if (!tenantId) return;
+  emitter.emit(`tenant:${tenantId}`, { type, data });
+}
+
+/**
+ * Subscribe to a tenant's events
+ * @param {string} tenantId - Tenant ID
+ * @param {(event: {type: string, data: Object}) => void} listener
+ * @returns {() => void} Unsubscribe function
+ */
+export function subscribeLiveEvents(tenantId, listener) {
+  const channel = `tenant:${tenantId}`;
+  emitter.on(channel, listener);
+  return () => emitter.off(channel, listener);
+}
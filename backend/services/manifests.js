@@ -0,0 +1,210 @@
+/**
+ * Cargo Manifests
+ * Validation for a port call's manifests and their bills of lading; db/manifests.js persists them.
+ *
+ * - Manifest numbers are unique per port call, BL numbers unique per manifest (409 otherwise)
+ * - Weights are in kilograms and volumes in cubic metres
+ */
+
+import * as manifestsDb from '../db/manifests.js';
+import * as portCallsDb from '../db/portCalls.js';
+import { createHttpError } from './httpError.js';
+
+function optionalText(value) {
+  return value === null || value === undefined ? null : String(value).trim() || null;
+}
+
+function requiredText(value, field) {
+  const text = optionalText(value);
+  if (!text) {
+    throw createHttpError(`${field} is required`);
+  }
+  if (text.length > 100) {
+    throw createHttpError(`${field} must be at most 100 characters`);
+  }
+  return text;
+}
+
+function optionalNumber(value, field, integer = false) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0 || (integer && !Number.isInteger(number))) {
+    throw createHttpError(`${field} must be ${integer ? 'a whole number' : 'a number'} >= 0`);
+  }
+  return number;
+}
+
+/**
+ * Validate manifest fields present in the payload
+ * @param {boolean} partial - Only validate fields present in the payload (updates)
+ */
+function prepareManifest(payload, partial) {
+  const data = {};
+
+  if (payload.manifestNumber !== undefined || !partial) {
+    data.manifestNumber = requiredText(payload.manifestNumber, 'manifestNumber');
+  }
+  if (payload.type !== undefined || !partial) {
+    if (!manifestsDb.MANIFEST_TYPES.includes(payload.type)) {
+      throw createHttpError(`type must be one of: ${manifestsDb.MANIFEST_TYPES.join(', ')}`);
+    }
+    data.type = payload.type;
+  }
+  for (const key of ['cargoType', 'portOfLoading', 'portOfDischarge', 'notes']) {
+    if (payload[key] !== undefined) {
+      data[key] = optionalText(payload[key]);
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Validate bill of lading fields present in the payload
+ * @param {boolean} partial - Only validate fields present in the payload (updates)
+ */
+function prepareBillOfLading(payload, partial) {
+  const data = {};
+
+  if (payload.blNumber !== undefined || !partial) {
+    data.blNumber = requiredText(payload.blNumber, 'blNumber');
+  }
+  for (const key of ['shipper', 'consignee', 'notifyParty', 'cargoDescription', 'containerInfo']) {
+    if (payload[key] !== undefined) {
+      data[key] = optionalText(payload[key]);
+    }
+  }
+  if (payload.packageCount !== undefined) {
+    data.packageCount = optionalNumber(payload.packageCount, 'packageCount', true);
+  }
+  for (const key of ['weight', 'volume']) {
+    if (payload[key] !== undefined) {
+      data[key] = optionalNumber(payload[key], key);
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Turn a unique violation into a 409, rethrow anything else
+ */
+function rethrowDuplicate(error, message) {
+  if (error.code === '23505') {
+    throw createHttpError(message, 409);
+  }
+  throw error;
+}
+
+/**
+ * Load a port call or throw 404
+ */
+async function getPortCallOrThrow(tenantId, portCallId) {
+  const portCall = await portCallsDb.getPortCallById(portCallId, tenantId);
+  if (!portCall) {
+    throw createHttpError('Port call not found', 404);
+  }
+  return portCall;
+}
+
+/**
+ * Load a manifest of the port call or throw 404
+ */
+async function getManifestOrThrow(tenantId, portCallId, manifestId) {
+  const manifest = await manifestsDb.getManifestById(manifestId, tenantId);
+  if (!manifest || manifest.portCallId !== portCallId) {
+    throw createHttpError('Manifest not found', 404);
+  }
+  return manifest;
+}
+
+/**
+ * Load a bill of lading of the manifest or throw 404
+ */
+async function getBillOfLadingOrThrow(tenantId, portCallId, manifestId, billOfLadingId) {
+  await getManifestOrThrow(tenantId, portCallId, manifestId);
+  const billOfLading = await manifestsDb.getBillOfLadingById(billOfLadingId, tenantId);
+  if (!billOfLading || billOfLading.manifestId !== manifestId) {
+    throw createHttpError('Bill of lading not found', 404);
+  }
+  return billOfLading;
+}
+
+/**
+ * Get a port call's manifests, each with its bills of lading
+ */
+export async function getManifests(tenantId, portCallId) {
+  await getPortCallOrThrow(tenantId, portCallId);
+  return manifestsDb.getManifests(tenantId, portCallId);
+}
+
+/**
+ * Create a manifest
+ * @param {Object} payload - { manifestNumber, type, cargoType?, portOfLoading?, portOfDischarge?, notes? }
+ */
+export async function createManifest(tenantId, portCallId, payload) {
+  await getPortCallOrThrow(tenantId, portCallId);
+  const data = prepareManifest(payload, false);
+  try {
+    return await manifestsDb.createManifest(tenantId, { ...data, portCallId });
+  } catch (error) {
+    return rethrowDuplicate(error, `Manifest ${data.manifestNumber} already exists on this port call`);
+  }
+}
+
+/**
+ * Update a manifest
+ */
+export async function updateManifest(tenantId, portCallId, manifestId, payload) {
+  await getManifestOrThrow(tenantId, portCallId, manifestId);
+  const updates = prepareManifest(payload, true);
+  try {
+    return await manifestsDb.updateManifest(manifestId, tenantId, updates);
+  } catch (error) {
+    return rethrowDuplicate(error, `Manifest ${updates.manifestNumber} already exists on this port call`);
+  }
+}
+
+/**
+ * Delete a manifest with its bills of lading
+ */
+export async function deleteManifest(tenantId, portCallId, manifestId) {
+  await getManifestOrThrow(tenantId, portCallId, manifestId);
+  await manifestsDb.deleteManifest(manifestId, tenantId);
+}
+
+/**
+ * Add a bill of lading to a manifest
+ * @param {Object} payload - { blNumber, shipper?, consignee?, notifyParty?, cargoDescription?,
+ *   packageCount?, weight?, volume?, containerInfo? }
+ */
+export async function createBillOfLading(tenantId, portCallId, manifestId, payload) {
+  await getManifestOrThrow(tenantId, portCallId, manifestId);
+  const data = prepareBillOfLading(payload, false);
+  try {
+    return await manifestsDb.createBillOfLading(tenantId, { ...data, manifestId });
+  } catch (error) {
+    return rethrowDuplicate(error, `BL ${data.blNumber} is already on this manifest`);
+  }
+}
+
+/**
+ * Update a bill of lading
+ */
+export async function updateBillOfLading(tenantId, portCallId, manifestId, billOfLadingId, payload) {
+  await getBillOfLadingOrThrow(tenantId, portCallId, manifestId, billOfLadingId);
+  const updates = prepareBillOfLading(payload, true);
+  try {
+    return await manifestsDb.updateBillOfLading(billOfLadingId, tenantId, updates);
+  } catch (error) {
+    return rethrowDuplicate(error, `BL ${updates.blNumber} is already on this manifest`);
+  }
+}
+
+/**
+ * Remove a bill of lading
+ */
+export async function deleteBillOfLading(tenantId, portCallId, manifestId, billOfLadingId) {
+  await getBillOfLadingOrThrow(tenantId, portCallId, manifestId, billOfLadingId);
+  await manifestsDb.deleteBillOfLading(billOfLadingId, tenantId);
+}
@@ -0,0 +1,94 @@
+/**
+ * Multipart Form Data
+ * Parses a buffered multipart/form-data body (express.raw) into fields and files.
+ * Uploads are small documents with a size cap enforced before parsing, so buffering is fine.
+ */
+
+import { createHttpError } from './httpError.js';
+
+const HEADER_SEPARATOR = Buffer.from('\r\n\r\n');
+
+/**
+ * Read a parameter of a header value: filename="a.pdf" -> a.pdf
+ * filename* (RFC 5987, UTF-8) wins over filename when both are sent.
+ */
+function headerParam(header, name) {
+  const extended = new RegExp(`;\\s*${name}\\*=(?:UTF-8|utf-8)''([^;]+)`).exec(header);
+  if (extended) {
+    try {
+      return decodeURIComponent(extended[1]);
+    } catch {
+      // fall through to the plain parameter
+    }
+  }
+  const plain = new RegExp(`;\\s*${name}="((?:[^"\\\\]|\\\\.)*)"|;\\s*${name}=([^;\\s]+)`).exec(header);
+  if (!plain) return null;
+  return plain[1] !== undefined ? plain[1].replace(/\\(.)/g, '$1') : plain[2];
+}
+
+/**
+ * Parse a multipart/form-data body
+ * @param {Buffer} body - Raw request body
+ * @param {string} contentType - Request Content-Type header (carries the boundary)
+ * @returns {{fields: Object<string, string>, files: Array<{fieldName: string, fileName: string, contentType: string, data: Buffer}>}}
+ */
+export function parseMultipart(body, contentType) {
+  const boundary = headerParam(`;${(contentType || '').split(';').slice(1).join(';')}`, 'boundary');
+  if (!/^multipart\/form-data/i.test(contentType || '') || !boundary) {
+    throw createHttpError('Expected a multipart/form-data body');
+  }
+  if (!Buffer.isBuffer(body) || body.length === 0) {
+    throw createHttpError('Request body is empty');
+  }
+
+  const delimiter = Buffer.from(`--${boundary}`);
+  const fields = {};
+  const files = [];
+
+  let position = body.indexOf(delimiter);
+  if (position === -1) {
+    throw createHttpError('Malformed multipart body');
+  }
+
+  for (;;) {
+    position += delimiter.length;
+    // "--" after the delimiter closes the body
+    if (body[position] === 0x2d && body[position + 1] === 0x2d) break;
+    position += 2; // CRLF after the delimiter
+
+    const next = body.indexOf(Buffer.from(`\r\n--${boundary}`), position);
+    if (next === -1) {
+      throw createHttpError('Malformed multipart body');
+    }
+    const part = body.subarray(position, next);
+    const headerEnd = part.indexOf(HEADER_SEPARATOR);
+    if (headerEnd === -1) {
+      throw createHttpError('Malformed multipart part');
+    }
+
+    const headers = {};
+    for (const line of part.subarray(0, headerEnd).toString('utf8').split('\r\n')) {
+      const colon = line.indexOf(':');
+      if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    }
+    const disposition = headers['content-disposition'] || '';
+    const fieldName = headerParam(disposition, 'name');
+    const fileName = headerParam(disposition, 'filename');
+    const data = part.subarray(headerEnd + HEADER_SEPARATOR.length);
+
+    if (fieldName && fileName !== null) {
+      files.push({
+        fieldName,
+        fileName,
+        contentType: headers['content-type'] || 'application/octet-stream',
+        data,
+      });
+    } else if (fieldName) {
+      fields[fieldName] = data.toString('utf8');
+    }
+
+    position = next + 2; // skip the CRLF before the next delimiter
+  }
+
+  return { fields, files };
+}
@@ -0,0 +1,267 @@
+/**
+ * Minimal PDF Writer
+ * Generates simple text-and-lines PDF documents (invoices, reports) without external
+ * dependencies, using the standard Helvetica fonts every PDF viewer ships with.
+ *
+ * - Coordinates are in points (1/72 in) from the TOP-left corner of the page
+ * - Text is encoded as WinAnsi (Latin-1 plus a few symbols); anything else becomes '?'
+ * - Content streams are uncompressed - fine for documents of a few pages
+ */
+
+// A4 portrait in points
+export const A4 = { width: 595.28, height: 841.89 };
+
+// Glyph widths (1/1000 em) for characters 32..126 - Adobe Helvetica / Helvetica-Bold AFM
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+
+const FONTS = {
+  regular: { resource: 'F1', baseFont: 'Helvetica', widths: HELVETICA_WIDTHS },
+  bold: { resource: 'F2', baseFont: 'Helvetica-Bold', widths: HELVETICA_BOLD_WIDTHS },
+};
+
+// WinAnsi codes for common characters outside Latin-1 (currency symbols, typographic punctuation)
+const WIN_ANSI_EXTRAS = {
+  '\u20ac': 0x80, // euro sign
+  '\u2026': 0x85, // ellipsis
+  '\u2018': 0x91, '\u2019': 0x92, '\u201c': 0x93, '\u201d': 0x94,
+  '\u2022': 0x95, // bullet
+  '\u2013': 0x96, '\u2014': 0x97, // en/em dash
+  '\u2122': 0x99, // trade mark
+};
+
+/**
+ * Width of one character, using its unaccented base letter for Latin-1 accents
+ */
+function charWidth(char, widths) {
+  let code = char.charCodeAt(0);
+  if (code > 126) {
+    code = char.normalize('NFD').charCodeAt(0);
+  }
+  if (code === 0xa0) code = 32; // no-break space
+  return code >= 32 && code <= 126 ? widths[code - 32] : 556;
+}
+
+/**
+ * Encode a string as a PDF literal string in WinAnsi
+ */
+function encodeText(text) {
+  let out = '';
+  for (const char of String(text)) {
+    const code = char.charCodeAt(0);
+    if (char === '\\' || char === '(' || char === ')') {
+      out += `\\${char}`;
+    } else if (code >= 32 && code <= 126) {
+      out += char;
+    } else if ((code >= 0xa0 && code <= 0xff) || WIN_ANSI_EXTRAS[char]) {
+      out += `\\${(WIN_ANSI_EXTRAS[char] || code).toString(8).padStart(3, '0')}`;
+    } else {
+      out += '?';
+    }
+  }
+  return `(${out})`;
+}
+
+function formatNumber(value) {
+  return Number(value.toFixed(2)).toString();
+}
+
+/**
+ * Parse '#rrggbb' into PDF RGB components (0..1)
+ */
+function rgb(color) {
+  const hex = (color || '#000000').replace('#', '');
+  return [0, 2, 4].map((i) => formatNumber(parseInt(hex.slice(i, i + 2), 16) / 255)).join(' ');
+}
+
+export class PdfDocument {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.width] - Page width in points (default A4)
+   * @param {number} [options.height] - Page height in points (default A4)
+   * @param {string} [options.title] - Document title (PDF metadata)
+   */
+  constructor({ width = A4.width, height = A4.height, title = '' } = {}) {
+    this.width = width;
+    this.height = height;
+    this.title = title;
+    this.pages = [];
+    this.addPage();
+  }
+
+  /**
+   * Start a new page; drawing continues on it
+   * @returns {number} Page index (0-based)
+   */
+  addPage() {
+    this.pages.push([]);
+    this.pageIndex = this.pages.length - 1;
+    return this.pageIndex;
+  }
+
+  /**
+   * Continue drawing on an existing page (e.g. to add "Page n of m" footers at the end)
+   * @param {number} index - Page index (0-based)
+   */
+  setPage(index) {
+    if (index < 0 || index >= this.pages.length) {
+      throw new RangeError(`Page ${index} does not exist`);
+    }
+    this.pageIndex = index;
+  }
+
+  get currentPage() {
+    return this.pages[this.pageIndex];
+  }
+
+  /**
+   * Width of a string in points
+   */
+  measureText(text, { size = 10, font = 'regular' } = {}) {
+    const widths = FONTS[font].widths;
+    let total = 0;
+    for (const char of String(text)) {
+      total += charWidth(char, widths);
+    }
+    return (total * size) / 1000;
+  }
+
+  /**
+   * Split text into lines no wider than maxWidth (breaking on spaces, or inside long words)
+   * @returns {Array<string>}
+   */
+  wrapText(text, maxWidth, options = {}) {
+    const lines = [];
+    for (const paragraph of String(text ?? '').split('\n')) {
+      let line = '';
+      for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (this.measureText(candidate, options) <= maxWidth) {
+          line = candidate;
+          continue;
+        }
+        if (line) lines.push(line);
+        // Hard-break words longer than a whole line
+        line = '';
+        for (const char of word) {
+          if (this.measureText(line + char, options) > maxWidth && line) {
+            lines.push(line);
+            line = '';
+          }
+          line += char;
+        }
+      }
+      lines.push(line);
+    }
+    return lines;
+  }
+
+  /**
+   * Draw text with its baseline at y (from the top of the page)
+   * @param {string} text
+   * @param {number} x - Left edge, or right edge when align is 'right'
+   * @param {number} y - Baseline
+   * @param {Object} [options]
+   * @param {number} [options.size=10]
+   * @param {string} [options.font='regular'] - 'regular' or 'bold'
+   * @param {string} [options.align='left'] - 'left', 'right' or 'center'
+   * @param {string} [options.color] - '#rrggbb'
+   * @param {number} [options.rotate] - Degrees counter-clockwise around (x, y)
+   */
+  text(text, x, y, { size = 10, font = 'regular', align = 'left', color, rotate = 0 } = {}) {
+    const value = String(text ?? '');
+    if (!value) return;
+
+    const width = this.measureText(value, { size, font });
+    let left = x;
+    if (align === 'right') left = x - width;
+    if (align === 'center') left = x - width / 2;
+
+    const radians = (rotate * Math.PI) / 180;
+    const [cos, sin] = [Math.cos(radians), Math.sin(radians)];
+    const matrix = [cos, sin, -sin, cos, left, this.height - y].map(formatNumber).join(' ');
+
+    this.currentPage.push(
+      `BT /${FONTS[font].resource} ${formatNumber(size)} Tf ${rgb(color)} rg ${matrix} Tm ${encodeText(value)} Tj ET`
+    );
+  }
+
+  /**
+   * Draw a straight line
+   */
+  line(x1, y1, x2, y2, { width = 0.5, color } = {}) {
+    this.currentPage.push(
+      `${formatNumber(width)} w ${rgb(color)} RG ${formatNumber(x1)} ${formatNumber(this.height - y1)} m ${formatNumber(x2)} ${formatNumber(this.height - y2)} l S`
+    );
+  }
+
+  /**
+   * Draw a filled rectangle (top-left corner at x, y)
+   */
+  rect(x, y, width, height, { fill = '#eeeeee' } = {}) {
+    this.currentPage.push(
+      `${rgb(fill)} rg ${formatNumber(x)} ${formatNumber(this.height - y - height)} ${formatNumber(width)} ${formatNumber(height)} re f`
+    );
+  }
+
+  /**
+   * Serialize the document
+   * @returns {Buffer} PDF file contents
+   */
+  toBuffer() {
+    const objects = []; // index + 1 = object number
+    const addObject = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalogId = addObject(null);
+    const pagesId = addObject(null);
+    const fontIds = Object.values(FONTS).map((font) => ({
+      resource: font.resource,
+      id: addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`),
+    }));
+    const fontResources = fontIds.map((font) => `/${font.resource} ${font.id} 0 R`).join(' ');
+
+    const pageIds = this.pages.map((operations) => {
+      const content = operations.join('\n');
+      const contentId = addObject(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+      return addObject(
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${formatNumber(this.width)} ${formatNumber(this.height)}] ` +
+        `/Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`
+      );
+    });
+
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+    const infoId = addObject(`<< /Title ${encodeText(this.title)} /Producer (Marines App) >>`);
+
+    let output = '%PDF-1.4\n';
+    const offsets = [];
+    objects.forEach((body, index) => {
+      offsets.push(Buffer.byteLength(output, 'latin1'));
+      output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    });
+
+    const xrefOffset = Buffer.byteLength(output, 'latin1');
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    output += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(output, 'latin1');
+  }
+}
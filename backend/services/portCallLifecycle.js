@@ -0,0 +1,248 @@
+/**
+ * Port Call Lifecycle
+ * Enforces the port call status state machine and records every transition
+ * in portcall_operation_logs so it shows up in the dashboard event feed.
+ *
+ *   PLANNED ──► IN_PROGRESS ──► COMPLETED
+ *      │             │
+ *      └──────┬──────┘
+ *             ▼
+ *         CANCELLED
+ */
+
+import * as portCallsDb from '../db/portCalls.js';
+import * as operationLogsDb from '../db/operationLogs.js';
+import { createHttpError } from './httpError.js';
+
+export const PORT_CALL_STATUS_EVENT = 'PORT_CALL_STATUS_CHANGE';
+export const PORT_CALL_TIMES_EVENT = 'PORT_CALL_TIMES_CHANGE';
+
+// Allowed transitions: current status -> statuses it may move to
+export const PORT_CALL_TRANSITIONS = {
+  PLANNED: ['IN_PROGRESS', 'CANCELLED'],
+  IN_PROGRESS: ['COMPLETED', 'CANCELLED'],
+  COMPLETED: [],
+  CANCELLED: [],
+};
+
+// Fields each target status requires in the transition payload
+export const REQUIRED_TRANSITION_FIELDS = {
+  IN_PROGRESS: ['actualArrival'],
+  COMPLETED: ['actualDeparture'],
+  CANCELLED: ['reason'],
+};
+
+// Tolerance for client clock skew when rejecting "actual" times in the future
+const FUTURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+/**
+ * Get the statuses a port call may move to from its current status
+ * @param {string} status - Current status
+ * @returns {Array<string>} Allowed target statuses
+ */
+export function getAllowedTransitions(status) {
+  return PORT_CALL_TRANSITIONS[status] || [];
+}
+
+/**
+ * Parse an "actual" timestamp from the payload
+ */
+function parseActualTime(value, field) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw createHttpError(`${field} must be a valid date`);
+  }
+  if (date.getTime() > Date.now() + FUTURE_TOLERANCE_MS) {
+    throw createHttpError(`${field} cannot be in the future`);
+  }
+  return date;
+}
+
+/**
+ * Validate a transition and build the lifecycle fields to persist with it
+ * @param {Object} portCall - Current port call (API format)
+ * @param {string} toStatus - Target status
+ * @param {Object} payload - Transition payload (actualArrival, actualDeparture, reason)
+ * @returns {Object} Fields for portCallsDb.applyStatusTransition
+ * @throws {Error} With `status` 400/409 when the transition is not allowed or incomplete
+ */
+export function validateTransition(portCall, toStatus, payload = {}) {
+  if (!portCallsDb.PORT_CALL_STATUSES.includes(toStatus)) {
+    throw createHttpError(`status must be one of: ${portCallsDb.PORT_CALL_STATUSES.join(', ')}`);
+  }
+
+  const allowed = getAllowedTransitions(portCall.status);
+  if (!allowed.includes(toStatus)) {
+    throw createHttpError(
+      `Cannot transition port call from ${portCall.status} to ${toStatus}` +
+        (allowed.length > 0 ? ` (allowed: ${allowed.join(', ')})` : ''),
+      409
+    );
+  }
+
+  const missing = (REQUIRED_TRANSITION_FIELDS[toStatus] || []).filter(
+    (field) => payload[field] === undefined || payload[field] === null || payload[field] === ''
+  );
+  if (missing.length > 0) {
+    throw createHttpError(`${missing.join(', ')} is required to move to ${toStatus}`);
+  }
+
+  const fields = {};
+
+  if (toStatus === 'IN_PROGRESS') {
+    fields.actualArrival = parseActualTime(payload.actualArrival, 'actualArrival').toISOString();
+  }
+
+  if (toStatus === 'COMPLETED') {
+    const departure = parseActualTime(payload.actualDeparture, 'actualDeparture');
+    if (portCall.actualArrival && departure < new Date(portCall.actualArrival)) {
+      throw createHttpError('actualDeparture must be after actualArrival');
+    }
+    fields.actualDeparture = departure.toISOString();
+  }
+
+  if (toStatus === 'CANCELLED') {
+    fields.cancellationReason = String(payload.reason).trim();
+  }
+
+  return fields;
+}
+
+/**
+ * Transition a port call to a new status and log it
+ * @param {string} tenantId - Tenant ID
+ * @param {string} portCallId - Port call ID
+ * @param {string} toStatus - Target status
+ * @param {Object} [payload] - Transition payload (actualArrival, actualDeparture, reason)
+ * @param {Object} [options]
+ * @param {string} [options.source] - Who triggered the transition (e.g. 'user', 'ais')
+ * @returns {Promise<Object>} Updated port call
+ * @throws {Error} With `status` 404 (not found), 409 (not allowed / concurrent change) or 400 (invalid payload)
+ */
+export async function transitionPortCall(tenantId, portCallId, toStatus, payload = {}, options = {}) {
+  const { source = 'user' } = options;
+
+  const portCall = await portCallsDb.getPortCallById(portCallId, tenantId);
+  if (!portCall) {
+    throw createHttpError('Port call not found', 404);
+  }
+
+  const fields = validateTransition(portCall, toStatus, payload);
+
+  const updated = await portCallsDb.applyStatusTransition(
+    portCallId,
+    tenantId,
+    portCall.status,
+    toStatus,
+    fields
+  );
+
+  if (!updated) {
+    throw createHttpError('Port call status changed concurrently, please reload and try again', 409);
+  }
+
+  const vesselName = portCall.vessel?.name || portCall.vesselId || 'Unknown vessel';
+  const portName = portCall.port?.name || portCall.portId;
+  let description = `Port call for ${vesselName}${portName ? ` at ${portName}` : ''} changed from ${portCall.status} to ${toStatus}`;
+  if (fields.cancellationReason) {
+    description += `: ${fields.cancellationReason}`;
+  }
+  if (source !== 'user') {
+    description += ` (${source})`;
+  }
+
+  await operationLogsDb.createOperationLog({
+    tenantId,
+    vesselId: portCall.vesselId,
+    portCallId,
+    eventType: PORT_CALL_STATUS_EVENT,
+    description,
+    previousStatus: portCall.status,
+    currentStatus: toStatus,
+  });
+
+  return updated;
+}
+
+/**
+ * Validate a correction of the actual times already recorded on a port call
+ * @param {Object} portCall - Current port call (API format)
+ * @param {Object} times - { actualArrival?, actualDeparture? }
+ * @returns {Object} Fields for portCallsDb.applyStatusTransition (empty when nothing to correct)
+ * @throws {Error} With `status` 409 (time not recorded yet) or 400 (invalid time)
+ */
+export function validateCorrection(portCall, times = {}) {
+  const fields = {};
+  if (times.actualArrival) {
+    if (!portCall.actualArrival) {
+      throw createHttpError('Port call has no actual arrival yet, move it to IN_PROGRESS instead', 409);
+    }
+    fields.actualArrival = parseActualTime(times.actualArrival, 'actualArrival').toISOString();
+  }
+  if (times.actualDeparture) {
+    if (!portCall.actualDeparture) {
+      throw createHttpError('Port call has no actual departure yet, move it to COMPLETED instead', 409);
+    }
+    fields.actualDeparture = parseActualTime(times.actualDeparture, 'actualDeparture').toISOString();
+  }
+  if (Object.keys(fields).length === 0) {
+    return fields;
+  }
+
+  const arrival = fields.actualArrival || portCall.actualArrival;
+  const departure = fields.actualDeparture || portCall.actualDeparture;
+  if (arrival && departure && new Date(departure) < new Date(arrival)) {
+    throw createHttpError('actualDeparture must be after actualArrival');
+  }
+  return fields;
+}
+
+/**
+ * Correct the actual arrival/departure already recorded on a port call, without changing its status
+ * (the first actual times are set by transitionPortCall). Logged like a transition.
+ * @param {string} tenantId - Tenant ID
+ * @param {string} portCallId - Port call ID
+ * @param {Object} times - { actualArrival?, actualDeparture? }
+ * @param {Object} [options]
+ * @param {string} [options.source] - Who made the correction (e.g. 'user', 'ais')
+ * @returns {Promise<Object>} Updated port call
+ * @throws {Error} With `status` 404, 409 (time not recorded yet / concurrent change) or 400 (invalid time)
+ */
+export async function correctActualTimes(tenantId, portCallId, times = {}, options = {}) {
+  const { source = 'user' } = options;
+
+  const portCall = await portCallsDb.getPortCallById(portCallId, tenantId);
+  if (!portCall) {
+    throw createHttpError('Port call not found', 404);
+  }
+
+  const fields = validateCorrection(portCall, times);
+  if (Object.keys(fields).length === 0) {
+    return portCall;
+  }
+
+  const updated = await portCallsDb.applyStatusTransition(portCallId, tenantId, portCall.status, portCall.status, fields);
+  if (!updated) {
+    throw createHttpError('Port call status changed concurrently, please reload and try again', 409);
+  }
+
+  const vesselName = portCall.vessel?.name || portCall.vesselId || 'Unknown vessel';
+  const portName = portCall.port?.name || portCall.portId;
+  const corrected = Object.entries(fields).map(([field, value]) => `${field} ${value}`).join(', ');
+  let description = `Port call for ${vesselName}${portName ? ` at ${portName}` : ''} corrected: ${corrected}`;
+  if (source !== 'user') {
+    description += ` (${source})`;
+  }
+
+  await operationLogsDb.createOperationLog({
+    tenantId,
+    vesselId: portCall.vesselId,
+    portCallId,
+    eventType: PORT_CALL_TIMES_EVENT,
+    description,
+    previousStatus: portCall.status,
+    currentStatus: portCall.status,
+  });
+
+  return updated;
+}
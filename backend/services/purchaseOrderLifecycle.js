@@ -0,0 +1,244 @@
+/**
+ * Purchase Order Lifecycle
+ * Validates purchase orders and enforces the approval workflow; every transition is
+ * recorded in purchase_order_status_history.
+ *
+ *   DRAFT ──► SUBMITTED ──► APPROVED ──► RECEIVED ──► CLOSED
+ *                 │  ▲          │                       ▲
+ *                 ▼  │          └───────────────────────┤
+ *               REJECTED ───────────────────────────────┘
+ *
+ * - DRAFT and REJECTED orders can be edited; a rejected order is fixed and resubmitted
+ * - Only APPROVER_ROLES may approve or reject (routes guard with requireRole)
+ */
+
+import * as purchaseOrdersDb from '../db/purchaseOrders.js';
+import * as suppliersDb from '../db/suppliers.js';
+import * as portCallsDb from '../db/portCalls.js';
+import { createHttpError } from './httpError.js';
+
+// Allowed transitions: current status -> statuses it may move to
+export const PURCHASE_ORDER_TRANSITIONS = {
+  DRAFT: ['SUBMITTED'],
+  SUBMITTED: ['APPROVED', 'REJECTED'],
+  APPROVED: ['RECEIVED', 'CLOSED'],
+  REJECTED: ['SUBMITTED', 'CLOSED'],
+  RECEIVED: ['CLOSED'],
+  CLOSED: [],
+};
+
+// Roles allowed to approve or reject submitted orders
+export const APPROVER_ROLES = ['ADMIN'];
+
+// Target statuses that only approvers may set
+const APPROVAL_STATUSES = ['APPROVED', 'REJECTED'];
+
+/**
+ * Get the statuses a purchase order may move to from its current status
+ * @param {string} status - Current status
+ * @param {string} [role] - User role; approval statuses are left out for non-approvers
+ * @returns {Array<string>} Allowed target statuses
+ */
+export function getAllowedTransitions(status, role) {
+  const transitions = PURCHASE_ORDER_TRANSITIONS[status] || [];
+  if (role === undefined) return transitions;
+  return transitions.filter((to) => !APPROVAL_STATUSES.includes(to) || APPROVER_ROLES.includes(role));
+}
+
+function parseAmount(value, field, allowZero = true) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number) || number < 0 || (!allowZero && number === 0)) {
+    throw createHttpError(`${field} must be a number ${allowZero ? '>= 0' : '> 0'}`);
+  }
+  return number;
+}
+
+/**
+ * Validate lines and compute their totals (quantity x unit price, rounded to cents)
+ * @returns {{lines: Array<Object>, totalAmount: number}}
+ */
+export function calculateLines(lines) {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    throw createHttpError('lines must be a non-empty array');
+  }
+
+  let totalCents = 0;
+  const computed = lines.map((line, index) => {
+    const description = typeof line?.description === 'string' ? line.description.trim() : '';
+    if (!description) {
+      throw createHttpError(`lines[${index}].description is required`);
+    }
+    const quantity = parseAmount(line.quantity ?? 1, `lines[${index}].quantity`, false);
+    // Prices are stored in cents
+    const unitPriceCents = Math.round(parseAmount(line.unitPrice ?? 0, `lines[${index}].unitPrice`) * 100);
+    const unitPrice = unitPriceCents / 100;
+    const lineCents = Math.round(quantity * unitPriceCents);
+    totalCents += lineCents;
+    return { description, quantity, unitPrice, totalAmount: lineCents / 100 };
+  });
+
+  return { lines: computed, totalAmount: totalCents / 100 };
+}
+
+/**
+ * Validate header fields present in the payload
+ * @param {boolean} partial - Only validate fields present in the payload (updates)
+ */
+async function prepareHeader(tenantId, payload, partial) {
+  const header = {};
+
+  if (payload.supplierId !== undefined || !partial) {
+    const supplier = payload.supplierId ? await suppliersDb.getSupplierById(payload.supplierId, tenantId) : null;
+    if (!supplier) {
+      throw createHttpError(payload.supplierId ? 'Supplier not found' : 'supplierId is required');
+    }
+    if (!supplier.isActive) {
+      throw createHttpError('Supplier is inactive');
+    }
+    header.supplierId = supplier.id;
+  }
+
+  if (payload.portCallId !== undefined || !partial) {
+    const portCall = payload.portCallId ? await portCallsDb.getPortCallById(payload.portCallId, tenantId) : null;
+    if (!portCall) {
+      throw createHttpError(payload.portCallId ? 'Port call not found' : 'portCallId is required');
+    }
+    header.portCallId = portCall.id;
+  }
+
+  if (payload.currency !== undefined) {
+    if (!/^[A-Z]{3}$/.test(payload.currency || '')) {
+      throw createHttpError('currency must be a 3-letter ISO code');
+    }
+    header.currency = payload.currency;
+  }
+  if (payload.description !== undefined) header.description = payload.description || null;
+  if (payload.notes !== undefined) header.notes = payload.notes || null;
+
+  return header;
+}
+
+async function getPurchaseOrderOrThrow(tenantId, purchaseOrderId) {
+  const purchaseOrder = await purchaseOrdersDb.getPurchaseOrderById(purchaseOrderId, tenantId);
+  if (!purchaseOrder) {
+    throw createHttpError('Purchase order not found', 404);
+  }
+  return purchaseOrder;
+}
+
+/**
+ * Create a DRAFT purchase order
+ * @param {Object} payload - { supplierId, portCallId, description, notes, currency, lines }
+ */
+export async function createPurchaseOrder(tenantId, payload, userId) {
+  const header = await prepareHeader(tenantId, payload, false);
+  const { lines, totalAmount } = calculateLines(payload.lines);
+
+  return purchaseOrdersDb.createPurchaseOrder(tenantId, { ...header, totalAmount, createdBy: userId }, lines);
+}
+
+/**
+ * Update a DRAFT or REJECTED purchase order (lines, when given, replace existing lines)
+ */
+export async function updatePurchaseOrder(tenantId, purchaseOrderId, payload) {
+  const purchaseOrder = await getPurchaseOrderOrThrow(tenantId, purchaseOrderId);
+  if (!purchaseOrdersDb.EDITABLE_STATUSES.includes(purchaseOrder.status)) {
+    throw createHttpError(`${purchaseOrder.status} purchase orders cannot be edited`, 409);
+  }
+
+  const header = await prepareHeader(tenantId, payload, true);
+  let lines;
+  if (payload.lines !== undefined) {
+    const calculated = calculateLines(payload.lines);
+    lines = calculated.lines;
+    header.totalAmount = calculated.totalAmount;
+  }
+
+  const updated = await purchaseOrdersDb.updateEditablePurchaseOrder(purchaseOrderId, tenantId, header, lines);
+  if (!updated) {
+    throw createHttpError('Purchase order is no longer editable', 409);
+  }
+  return updated;
+}
+
+/**
+ * Delete a DRAFT purchase order (submitted orders are closed instead)
+ */
+export async function deletePurchaseOrder(tenantId, purchaseOrderId) {
+  const purchaseOrder = await getPurchaseOrderOrThrow(tenantId, purchaseOrderId);
+  if (purchaseOrder.status !== 'DRAFT') {
+    throw createHttpError('Only draft purchase orders can be deleted; close it instead', 409);
+  }
+  await purchaseOrdersDb.deleteDraftPurchaseOrder(purchaseOrderId, tenantId);
+}
+
+/**
+ * Move a purchase order to another status
+ * @param {string} toStatus - Target status
+ * @param {Object} payload - { comment } ({ reason } is required for REJECTED)
+ * @param {Object} user - Authenticated user { userId, role }
+ * @returns {Promise<Object>} Updated purchase order (with lines and history)
+ * @throws {Error} With `status` 400/403/404/409 when the transition is not allowed or incomplete
+ */
+export async function transitionPurchaseOrder(tenantId, purchaseOrderId, toStatus, payload = {}, user = {}) {
+  const purchaseOrder = await getPurchaseOrderOrThrow(tenantId, purchaseOrderId);
+  const fromStatus = purchaseOrder.status;
+
+  if (!getAllowedTransitions(fromStatus).includes(toStatus)) {
+    throw createHttpError(`Cannot move a purchase order from ${fromStatus} to ${toStatus}`, 409);
+  }
+  if (APPROVAL_STATUSES.includes(toStatus) && !APPROVER_ROLES.includes(user.role)) {
+    throw createHttpError('Only approvers can approve or reject purchase orders', 403);
+  }
+
+  const now = new Date().toISOString();
+  const fields = {};
+  let comment = typeof payload.comment === 'string' && payload.comment.trim() ? payload.comment.trim() : null;
+
+  switch (toStatus) {
+    case 'SUBMITTED': {
+      if (purchaseOrder.lines.length === 0 || !(purchaseOrder.totalAmount > 0)) {
+        throw createHttpError('A purchase order needs lines and a total above zero to be submitted');
+      }
+      const supplier = await suppliersDb.getSupplierById(purchaseOrder.supplierId, tenantId);
+      if (!supplier?.isActive) {
+        throw createHttpError('Supplier is missing or inactive');
+      }
+      Object.assign(fields, { submittedAt: now, submittedBy: user.userId, decidedAt: null, decidedBy: null, rejectionReason: null });
+      break;
+    }
+    case 'APPROVED':
+      Object.assign(fields, { decidedAt: now, decidedBy: user.userId });
+      break;
+    case 'REJECTED': {
+      const reason = typeof payload.reason === 'string' ? payload.reason.trim() : '';
+      if (!reason) {
+        throw createHttpError('reason is required to reject a purchase order');
+      }
+      Object.assign(fields, { decidedAt: now, decidedBy: user.userId, rejectionReason: reason });
+      comment = reason;
+      break;
+    }
+    case 'RECEIVED':
+      fields.receivedAt = now;
+      break;
+    case 'CLOSED':
+      fields.closedAt = now;
+      break;
+    default:
+      break;
+  }
+
+  const updated = await purchaseOrdersDb.applyStatusTransition(
+    purchaseOrderId,
+    tenantId,
+    fromStatus,
+    toStatus,
+    fields,
+    { changedBy: user.userId, comment }
+  );
+  if (!updated) {
+    throw createHttpError('Purchase order status changed concurrently, please retry', 409);
+  }
+  return updated;
+}
@@ -0,0 +1,152 @@
+/**
+ * Sea Routing
+ * Sea-route distances over an offline waypoint graph (data/seaRouting/waypoints.json), so that
+ * distances to a port follow the trade lanes around capes and through straits instead of a
+ * straight line across land. No network, no routing provider.
+ *
+ * The start and end points join the graph at their nearest waypoints with straight connector legs.
+ * The graph keeps those legs short along the coasts it covers. Far from any waypoint a connector
+ * may still cross land, so callers should treat long connectors as lower-quality routes. Points
+ * closer than DIRECT_MAX_NM are joined directly (port approaches, coastal hops).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { distanceMeters } from './geofence.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const GRAPH_PATH = path.join(__dirname, '../data/seaRouting/waypoints.json');
+
+const METERS_PER_NM = 1852;
+const DIRECT_MAX_NM = 60;
+// Each end of the route may join the graph at one of its nearest waypoints, as long as that
+// connector is not much longer than the nearest one (longer ones cut corners across land)
+const CONNECTOR_CANDIDATES = 3;
+const CONNECTOR_MAX_RATIO = 1.5;
+
+let graph = null;
+
+/**
+ * Great-circle distance in nautical miles
+ * @param {{lat: number, lon: number}} a
+ * @param {{lat: number, lon: number}} b
+ */
+export function distanceNm(a, b) {
+  return distanceMeters(a, b) / METERS_PER_NM;
+}
+
+/**
+ * Initial great-circle bearing from a to b, in degrees (0-360, 0 = north)
+ * @param {{lat: number, lon: number}} a
+ * @param {{lat: number, lon: number}} b
+ */
+export function bearingDegrees(a, b) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLon = toRad(b.lon - a.lon);
+  const y = Math.sin(dLon) * Math.cos(toRad(b.lat));
+  const x = Math.cos(toRad(a.lat)) * Math.sin(toRad(b.lat))
+    - Math.sin(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.cos(dLon);
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+}
+
+/**
+ * Load the waypoint graph once: nodes by ID and an adjacency list with leg lengths (nm)
+ */
+function loadGraph() {
+  if (graph) return graph;
+
+  const data = JSON.parse(fs.readFileSync(GRAPH_PATH, 'utf-8'));
+  const nodes = new Map(
+    Object.entries(data.nodes).map(([id, [lat, lon]]) => [id, { id, lat, lon }])
+  );
+  const adjacency = new Map([...nodes.keys()].map((id) => [id, []]));
+  for (const [from, to] of data.edges) {
+    if (!nodes.has(from) || !nodes.has(to)) {
+      throw new Error(`Sea routing graph: edge ${from} - ${to} references an unknown waypoint`);
+    }
+    const nm = distanceNm(nodes.get(from), nodes.get(to));
+    adjacency.get(from).push({ to, nm });
+    adjacency.get(to).push({ to: from, nm });
+  }
+
+  graph = { nodes, adjacency };
+  return graph;
+}
+
+/**
+ * The waypoints a point may join the graph at, with the connector leg length
+ */
+function nearestWaypoints(point, nodes) {
+  const nearest = [...nodes.values()]
+    .map((node) => ({ id: node.id, nm: distanceNm(point, node) }))
+    .sort((a, b) => a.nm - b.nm)
+    .slice(0, CONNECTOR_CANDIDATES);
+  return nearest.filter(({ nm }) => nm <= nearest[0].nm * CONNECTOR_MAX_RATIO);
+}
+
+/**
+ * Shortest route between two points at sea (Dijkstra over the waypoint graph)
+ * @param {{lat: number, lon: number}} from - e.g. the vessel's position
+ * @param {{lat: number, lon: number}} to - e.g. the destination ops site
+ * @returns {{distanceNm: number, waypoints: Array<{id: string, lat: number, lon: number}>,
+ *   direct: boolean, connectorNm: number}} Route; `connectorNm` is the longer of the two legs
+ *   joining the graph (0 for a direct route)
+ */
+export function findSeaRoute(from, to) {
+  const directNm = distanceNm(from, to);
+  if (directNm <= DIRECT_MAX_NM) {
+    return { distanceNm: directNm, waypoints: [], direct: true, connectorNm: 0 };
+  }
+
+  const { nodes, adjacency } = loadGraph();
+  const START = '@start';
+  const END = '@end';
+  const exits = new Map(nearestWaypoints(to, nodes).map(({ id, nm }) => [id, nm]));
+
+  const dist = new Map([[START, 0]]);
+  const previous = new Map();
+  const visited = new Set();
+  const neighbours = (id) => {
+    if (id === START) return nearestWaypoints(from, nodes).map(({ id: next, nm }) => ({ to: next, nm }));
+    const legs = [...(adjacency.get(id) || [])];
+    if (exits.has(id)) legs.push({ to: END, nm: exits.get(id) });
+    return legs;
+  };
+
+  while (true) {
+    let current = null;
+    for (const [id, nm] of dist) {
+      if (!visited.has(id) && (current === null || nm < dist.get(current))) current = id;
+    }
+    if (current === null || current === END) break;
+    visited.add(current);
+
+    for (const leg of neighbours(current)) {
+      const nm = dist.get(current) + leg.nm;
+      if (nm < (dist.get(leg.to) ?? Infinity)) {
+        dist.set(leg.to, nm);
+        previous.set(leg.to, current);
+      }
+    }
+  }
+
+  // Disconnected graph (should not happen with the bundled one): fall back to a straight line
+  if (!dist.has(END)) {
+    return { distanceNm: directNm, waypoints: [], direct: true, connectorNm: directNm };
+  }
+
+  const ids = [];
+  for (let id = previous.get(END); id !== START; id = previous.get(id)) {
+    ids.unshift(id);
+  }
+  const waypoints = ids.map((id) => nodes.get(id));
+
+  return {
+    distanceNm: dist.get(END),
+    waypoints,
+    direct: false,
+    connectorNm: Math.max(distanceNm(from, waypoints[0]), distanceNm(waypoints[waypoints.length - 1], to)),
+  };
+}
@@ -0,0 +1,89 @@
+/**
+ * Secret Encryption
+ * AES-256-GCM encryption for secrets stored in the database (tenant AIS API keys).
+ *
+ * The key comes from APP_ENCRYPTION_KEY (32 bytes, hex or base64). Outside production a key
+ * derived from JWT_SECRET is used when it is not set, so local setups work out of the box.
+ * Encrypted values are self-describing: `v1:<iv>:<authTag>:<ciphertext>` (base64 parts).
+ */
+
+import crypto from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+const FORMAT_VERSION = 'v1';
+const IV_LENGTH = 12;
+
+let warnedAboutFallback = false;
+
+/**
+ * Resolve the 32-byte encryption key
+ * @returns {Buffer}
+ */
+function getEncryptionKey() {
+  const configured = process.env.APP_ENCRYPTION_KEY;
+
+  if (configured) {
+    const key = /^[0-9a-f]{64}$/i.test(configured)
+      ? Buffer.from(configured, 'hex')
+      : Buffer.from(configured, 'base64');
+    if (key.length !== 32) {
+      throw new Error('APP_ENCRYPTION_KEY must be 32 bytes (64 hex characters or base64)');
+    }
+    return key;
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('APP_ENCRYPTION_KEY must be set to store encrypted secrets');
+  }
+
+  if (!warnedAboutFallback) {
+    console.warn('[Secrets] APP_ENCRYPTION_KEY not set - deriving the encryption key from JWT_SECRET (development only)');
+    warnedAboutFallback = true;
+  }
+  const secret = process.env.JWT_SECRET || 'dev-secret-key-change-in-production';
+  return crypto.createHash('sha256').update(`secrets:${secret}`).digest();
+}
+
+/**
+ * Encrypt a secret for storage
+ * @param {string} plaintext - Secret value
+ * @returns {string} Encrypted payload
+ */
+export function encryptSecret(plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+
+  return [FORMAT_VERSION, iv.toString('base64'), authTag.toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+/**
+ * Decrypt a stored secret
+ * @param {string} payload - Value produced by encryptSecret
+ * @returns {string} Secret value
+ * @throws {Error} If the payload is malformed or was encrypted with a different key
+ */
+export function decryptSecret(payload) {
+  const [version, iv, authTag, ciphertext] = String(payload).split(':');
+  if (version !== FORMAT_VERSION || !iv || !authTag || ciphertext === undefined) {
+    throw new Error('decryptSecret: unsupported encrypted value format');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getEncryptionKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final(),
+  ]).toString('utf8');
+}
+
+/**
+ * Mask a secret for display, keeping the last 4 characters
+ * @param {string} secret
+ * @returns {string|null}
+ */
+export function maskSecret(secret) {
+  if (!secret) return null;
+  return secret.length <= 4 ? '••••' : `••••${secret.slice(-4)}`;
+}
@@ -0,0 +1,241 @@
+/**
+ * Statement of Facts documents
+ * Renders a port call's statement of facts as PDF (portrait A4, vessel particulars on the first
+ * page), DOCX or CSV. Times are printed in UTC. Signed statements end with the signature block
+ * (signer, master, SHA-256 hash of the signed content); drafts are marked as such.
+ */
+
+import { PdfDocument } from './pdfDocument.js';
+import { DocxDocument, CONTENT_WIDTH } from './docxDocument.js';
+import { toCsv } from './spreadsheet.js';
+
+const MARGIN = 40;
+const FOOTER_SPACE = 50;
+const ROW_LINE_HEIGHT = 10;
+const MUTED = '#666666';
+const GRID = '#999999';
+const DRAFT_COLOR = '#b91c1c';
+
+export const EVENT_LABELS = {
+  EOSP: 'End of sea passage',
+  ARRIVED: 'Arrived',
+  NOR_TENDERED: 'Notice of readiness tendered',
+  ANCHORED: 'Anchored',
+  ANCHOR_AWEIGH: 'Anchor aweigh',
+  PILOT_ON_BOARD: 'Pilot on board',
+  FIRST_LINE: 'First line ashore',
+  ALL_FAST: 'All fast',
+  FREE_PRATIQUE: 'Free pratique granted',
+  NOR_ACCEPTED: 'Notice of readiness accepted',
+  HOSES_CONNECTED: 'Hoses connected',
+  COMMENCED_CARGO: 'Commenced cargo operations',
+  COMPLETED_CARGO: 'Completed cargo operations',
+  HOSES_DISCONNECTED: 'Hoses disconnected',
+  DOCUMENTS_ON_BOARD: 'Documents on board',
+  LAST_LINE: 'Last line let go',
+  SAILED: 'Sailed',
+  WEATHER_STOPPAGE: 'Weather stoppage',
+  STOPPAGE: 'Stoppage',
+  OTHER: 'Other',
+};
+
+/**
+ * "2026-03-01 08:00" in UTC
+ */
+function formatTime(value) {
+  return value ? new Date(value).toISOString().slice(0, 16).replace('T', ' ') : '';
+}
+
+function formatDuration(entry) {
+  if (!entry.endTime) return '';
+  const minutes = Math.round((new Date(entry.endTime) - new Date(entry.startTime)) / 60000);
+  return `${Math.floor(minutes / 60)}h${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Table columns, widths in points (portrait A4 less margins)
+const COLUMNS = [
+  { label: 'Event', width: 130, value: (entry) => EVENT_LABELS[entry.eventCode] || entry.eventCode },
+  { label: 'From (UTC)', width: 78, value: (entry) => formatTime(entry.startTime) },
+  { label: 'To (UTC)', width: 78, value: (entry) => formatTime(entry.endTime) },
+  { label: 'Duration', width: 42, value: formatDuration },
+  {
+    label: 'Description / remarks',
+    width: 187,
+    value: (entry) => [entry.description, entry.remarks].filter(Boolean).join('\n'),
+  },
+];
+
+/**
+ * Vessel and call particulars as label/value pairs
+ */
+function particulars(portCall) {
+  const vessel = portCall.vessel || {};
+  return [
+    ['Vessel', vessel.name || ''],
+    ['IMO', vessel.imo || ''],
+    ['Port', portCall.port?.name || ''],
+    ['Arrival', formatTime(portCall.actualArrival || portCall.eta)],
+    ['Departure', formatTime(portCall.actualDeparture || portCall.etd)],
+  ];
+}
+
+/**
+ * Lines of the signature block (or the draft notice)
+ */
+function signatureLines(statement) {
+  if (statement.status !== 'SIGNED') {
+    return ['DRAFT - not signed. Times and events may still change.'];
+  }
+  return [
+    `Signed by ${statement.signedByName || statement.signedBy || 'unknown'} on ${formatTime(statement.signedAt)} UTC`,
+    `Master: ${statement.masterName || ''}`,
+    `SHA-256: ${statement.signatureHash}`,
+  ];
+}
+
+/**
+ * Render a statement of facts as PDF
+ * @param {Object} context
+ * @param {Object} context.portCall - Port call with vessel and port (db/portCalls.getPortCallById)
+ * @param {Object} context.statement - The statement (db/statementsOfFacts)
+ * @param {Array<Object>} context.entries - Entries in time order
+ * @returns {Buffer} PDF file contents
+ */
+export function renderSofPdf({ portCall, statement, entries }) {
+  const doc = new PdfDocument({ title: `Statement of Facts - ${portCall.vessel?.name || ''}` });
+  const right = doc.width - MARGIN;
+  const tableWidth = COLUMNS.reduce((sum, column) => sum + column.width, 0);
+
+  let y = MARGIN + 10;
+  doc.text('STATEMENT OF FACTS', doc.width / 2, y, { size: 14, font: 'bold', align: 'center' });
+  if (statement.status !== 'SIGNED') {
+    doc.text('DRAFT', right, y, { size: 12, font: 'bold', color: DRAFT_COLOR, align: 'right' });
+  }
+  y += 22;
+  for (const [label, value] of particulars(portCall)) {
+    doc.text(label, MARGIN, y, { size: 9, color: MUTED });
+    doc.text(value, MARGIN + 70, y, { size: 10 });
+    y += 13;
+  }
+  y += 8;
+
+  const drawTableHeader = () => {
+    doc.rect(MARGIN, y, tableWidth, 16, { fill: '#eeeeee' });
+    let x = MARGIN;
+    for (const column of COLUMNS) {
+      doc.text(column.label, x + 3, y + 11, { size: 8, font: 'bold' });
+      x += column.width;
+    }
+    y += 16;
+  };
+  drawTableHeader();
+
+  for (const entry of entries) {
+    const cells = COLUMNS.map((column) => String(column.value(entry) ?? '')
+      .split('\n')
+      .flatMap((text) => doc.wrapText(text, column.width - 6, { size: 8 })));
+    const rowHeight = Math.max(...cells.map((lines) => lines.length), 1) * ROW_LINE_HEIGHT + 5;
+    if (y + rowHeight > doc.height - FOOTER_SPACE) {
+      doc.addPage();
+      y = MARGIN;
+      drawTableHeader();
+    }
+
+    let x = MARGIN;
+    COLUMNS.forEach((column, index) => {
+      cells[index].forEach((line, lineIndex) => {
+        doc.text(line, x + 3, y + 10 + lineIndex * ROW_LINE_HEIGHT, { size: 8 });
+      });
+      x += column.width;
+    });
+    y += rowHeight;
+    doc.line(MARGIN, y, MARGIN + tableWidth, y, { color: GRID });
+  }
+
+  if (entries.length === 0) {
+    doc.text('No entries.', MARGIN, y + 14, { size: 9, color: MUTED });
+    y += 14;
+  }
+
+  // General remarks and signature after the table
+  const closing = [
+    ...(statement.remarks
+      ? [{ text: 'Remarks', font: 'bold' }, ...doc.wrapText(statement.remarks, tableWidth, { size: 9 }).map((text) => ({ text }))]
+      : []),
+    { text: '' },
+    ...signatureLines(statement).map((text) => ({ text, color: statement.status === 'SIGNED' ? undefined : DRAFT_COLOR })),
+  ];
+  y += 20;
+  for (const line of closing) {
+    if (y > doc.height - FOOTER_SPACE) {
+      doc.addPage();
+      y = MARGIN;
+    }
+    doc.text(line.text, MARGIN, y, { size: 9, font: line.font || 'regular', color: line.color });
+    y += 13;
+  }
+
+  const bottom = doc.height - MARGIN + 10;
+  const pageCount = doc.pages.length;
+  for (let page = 0; page < pageCount; page++) {
+    doc.setPage(page);
+    doc.text(`Page ${page + 1} of ${pageCount}`, right, bottom, { size: 8, color: MUTED, align: 'right' });
+  }
+
+  return doc.toBuffer();
+}
+
+/**
+ * Render a statement of facts as DOCX
+ * @param {Object} context - As for renderSofPdf
+ * @returns {Buffer} DOCX file contents
+ */
+export function renderSofDocx({ portCall, statement, entries }) {
+  const doc = new DocxDocument({ title: `Statement of Facts - ${portCall.vessel?.name || ''}` });
+  doc.heading(`STATEMENT OF FACTS${statement.status === 'SIGNED' ? '' : ' (DRAFT)'}`);
+  doc.paragraph(particulars(portCall).map(([label, value]) => `${label}: ${value}`).join('\n'));
+
+  // Scale the PDF column widths to the DOCX text width
+  const scale = CONTENT_WIDTH / COLUMNS.reduce((sum, column) => sum + column.width, 0);
+  doc.table(
+    COLUMNS.map((column) => ({ label: column.label, width: column.width * scale })),
+    entries.map((entry) => COLUMNS.map((column) => column.value(entry)))
+  );
+
+  if (statement.remarks) {
+    doc.heading('Remarks', 2);
+    doc.paragraph(statement.remarks);
+  }
+  doc.paragraph(signatureLines(statement).join('\n'), {
+    color: statement.status === 'SIGNED' ? undefined : DRAFT_COLOR,
+  });
+
+  return doc.toBuffer();
+}
+
+/**
+ * Render a statement of facts as CSV: one row per entry, then the signature
+ * @returns {string} CSV text
+ */
+export function renderSofCsv({ statement, entries }) {
+  return toCsv([
+    ['Event code', 'Event', 'From (UTC)', 'To (UTC)', 'Duration', 'Description', 'Remarks', 'Source'],
+    ...entries.map((entry) => [
+      entry.eventCode,
+      EVENT_LABELS[entry.eventCode] || entry.eventCode,
+      formatTime(entry.startTime),
+      formatTime(entry.endTime),
+      formatDuration(entry),
+      entry.description,
+      entry.remarks,
+      entry.source,
+    ]),
+    [],
+    ['Status', statement.status],
+    ['Remarks', statement.remarks],
+    ['Master', statement.masterName],
+    ['Signed by', statement.signedByName || statement.signedBy],
+    ['Signed at (UTC)', formatTime(statement.signedAt)],
+    ['SHA-256', statement.signatureHash],
+  ]);
+}
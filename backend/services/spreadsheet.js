@@ -0,0 +1,234 @@
+/**
+ * Spreadsheet Import/Export
+ * Reads CSV and XLSX files into rows of strings and writes CSV, without external dependencies.
+ *
+ * - CSV: RFC 4180 quoting; the delimiter (comma or semicolon, as Excel uses in pt-BR) is
+ *   detected from the header line; a UTF-8 BOM is ignored
+ * - XLSX: only the first worksheet is read, as cell values (formulas as their cached result);
+ *   dates come through as Excel serial numbers since styles are not interpreted
+ */
+
+import zlib from 'zlib';
+import { createHttpError } from './httpError.js';
+
+// Zip entries are inflated up to this size (guards against zip bombs)
+const MAX_ENTRY_SIZE = 20 * 1024 * 1024;
+
+/**
+ * Parse CSV text
+ * @returns {Array<Array<string>>} Rows of cell values
+ */
+export function parseCsv(text) {
+  const content = String(text).replace(/^﻿/, '');
+  const firstLine = content.slice(0, content.search(/\r?\n|$/));
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Serialize rows as CSV (quoted where needed, CRLF line endings as Excel expects)
+ */
+export function toCsv(rows) {
+  const escape = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return `${rows.map((row) => row.map(escape).join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * List the entries of a zip archive
+ * @returns {Map<string, Function>} Entry name -> function returning its contents as a Buffer
+ */
+function readZipEntries(buffer) {
+  // End of central directory record: scan back over a possible archive comment
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw createHttpError('File is not a valid XLSX workbook');
+  }
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const entries = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw createHttpError('File is not a valid XLSX workbook');
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    entries.set(name, () => {
+      const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+      const data = buffer.subarray(dataStart, dataStart + compressedSize);
+      if (method === 0) return data;
+      if (method === 8) return zlib.inflateRawSync(data, { maxOutputLength: MAX_ENTRY_SIZE });
+      throw createHttpError(`Unsupported XLSX compression method ${method}`);
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function readAttribute(attributes, name) {
+  const match = new RegExp(`\\b${name}="([^"]*)"`).exec(attributes);
+  return match ? decodeXml(match[1]) : null;
+}
+
+/**
+ * Text of a string item: plain <t> or the runs of rich text, without phonetic hints
+ */
+function readStringItem(xml) {
+  const text = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '');
+  return [...text.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)].map((match) => decodeXml(match[1])).join('');
+}
+
+/**
+ * Column index of a cell reference (A1 -> 0, AB7 -> 27)
+ */
+function columnIndex(reference) {
+  const letters = /^[A-Z]+/.exec(reference || '')?.[0] || '';
+  let index = 0;
+  for (const letter of letters) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+/**
+ * Path of the first worksheet, following the workbook relationships
+ */
+function findFirstSheet(entries) {
+  const read = (name) => (entries.has(name) ? entries.get(name)().toString('utf8') : null);
+  const workbook = read('xl/workbook.xml');
+  const relationships = read('xl/_rels/workbook.xml.rels');
+  const sheetTag = workbook && /<sheet\b([^>]*)\/?>/.exec(workbook);
+  const relationId = sheetTag && readAttribute(sheetTag[1], 'r:id');
+
+  if (relationId && relationships) {
+    for (const match of relationships.matchAll(/<Relationship\b([^>]*)\/?>/g)) {
+      if (readAttribute(match[1], 'Id') === relationId) {
+        const target = readAttribute(match[1], 'Target');
+        return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+      }
+    }
+  }
+  return 'xl/worksheets/sheet1.xml';
+}
+
+/**
+ * Parse the first worksheet of an XLSX workbook
+ * @param {Buffer} buffer - File contents
+ * @returns {Array<Array<string>>} Rows of cell values
+ */
+export function parseXlsx(buffer) {
+  const entries = readZipEntries(buffer);
+  const sheetPath = findFirstSheet(entries);
+  if (!entries.has(sheetPath)) {
+    throw createHttpError('XLSX workbook has no worksheet');
+  }
+
+  const sharedStrings = entries.has('xl/sharedStrings.xml')
+    ? [...entries.get('xl/sharedStrings.xml')().toString('utf8').matchAll(/<si>([\s\S]*?)<\/si>/g)]
+      .map((match) => readStringItem(match[1]))
+    : [];
+
+  const sheet = entries.get(sheetPath)().toString('utf8');
+  const rows = [];
+  for (const rowMatch of sheet.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const rowNumber = parseInt(readAttribute(rowMatch[1], 'r'), 10) || rows.length + 1;
+    const row = [];
+    for (const cellMatch of (rowMatch[2] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attributes = cellMatch[1];
+      const body = cellMatch[2] || '';
+      const type = readAttribute(attributes, 't');
+      const rawValue = /<v>([\s\S]*?)<\/v>/.exec(body)?.[1];
+
+      let value = '';
+      if (type === 's') value = sharedStrings[parseInt(rawValue, 10)] ?? '';
+      else if (type === 'inlineStr') value = readStringItem(body);
+      else if (type === 'b') value = rawValue === '1' ? 'TRUE' : 'FALSE';
+      else if (rawValue !== undefined) value = decodeXml(rawValue);
+
+      const index = columnIndex(readAttribute(attributes, 'r'));
+      row[index >= 0 ? index : row.length] = value;
+    }
+    // Keep row numbers aligned with the sheet so errors can point at the right line
+    rows[rowNumber - 1] = Array.from(row, (value) => value ?? '');
+  }
+
+  return Array.from(rows, (row) => row ?? []);
+}
+
+/**
+ * Read an uploaded spreadsheet by its extension
+ * @param {string} fileName - Original file name (.csv or .xlsx)
+ * @param {Buffer} buffer - File contents
+ * @returns {Array<Array<string>>} Rows of cell values
+ */
+export function readSpreadsheet(fileName, buffer) {
+  const extension = String(fileName || '').toLowerCase().split('.').pop();
+  if (extension === 'csv' || extension === 'txt') return parseCsv(buffer.toString('utf8'));
+  if (extension === 'xlsx') return parseXlsx(buffer);
+  throw createHttpError('Only .csv and .xlsx files can be imported');
+}
@@ -0,0 +1,396 @@
+/**
+ * Statement of Facts (SOF)
+ * Validation, pre-fill, signing and export of a port call's statement of facts; db/statementsOfFacts.js
+ * persists it and sofDocuments.js renders it.
+ *
+ * - Pre-fill turns logged facts into entries: port call events (arrival, anchorage, alongside,
+ *   departure), actual arrival/departure, actual berth times (cargo operations commence/complete
+ *   with the stay) and the vessel's geofence and status logs around the call
+ * - Pre-filled entries remember their source, so filling again only adds new facts and leaves
+ *   edited entries as they are
+ * - Stoppages (weather or other) are periods with an end time; other events are points in time
+ * - Signing freezes the statement: the signature records who signed, the master and a SHA-256
+ *   hash of the header and entries. A signed statement must be reopened (removing the
+ *   signature) before it can be edited again
+ */
+
+import crypto from 'crypto';
+import * as sofDb from '../db/statementsOfFacts.js';
+import * as portCallsDb from '../db/portCalls.js';
+import * as portCallEventsDb from '../db/portCallEvents.js';
+import * as itineraryDb from '../db/itinerary.js';
+import * as operationLogsDb from '../db/operationLogs.js';
+import * as usersDb from '../db/users.js';
+import { renderSofPdf, renderSofDocx, renderSofCsv } from './sofDocuments.js';
+import { createHttpError } from './httpError.js';
+
+export const EXPORT_FORMATS = ['pdf', 'docx', 'csv'];
+
+// Port call event -> SOF entries (an arrival also tenders notice of readiness)
+const EVENT_ENTRIES = {
+  ARRIVAL: [{ eventCode: 'ARRIVED' }, { eventCode: 'NOR_TENDERED', suffix: 'nor' }],
+  ANCHORAGE: [{ eventCode: 'ANCHORED' }],
+  ALONGSIDE: [{ eventCode: 'ALL_FAST' }],
+  DEPARTURE: [{ eventCode: 'SAILED' }],
+};
+
+// Berth operations that move cargo (commence/complete cargo with the stay)
+const CARGO_OPERATIONS = ['LOADING', 'DISCHARGING', 'LOADING_DISCHARGING'];
+
+// Operation logs copied as OTHER entries, from a day before arrival to a day after departure
+const LOG_EVENT_TYPES = ['GEOFENCE_ENTRY', 'STATUS_CHANGE'];
+const LOG_MARGIN_MS = 24 * 60 * 60 * 1000;
+const MAX_LOG_ENTRIES = 200;
+
+function optionalText(value, field, maxLength = 255) {
+  const text = value === null || value === undefined ? null : String(value).trim() || null;
+  if (text && text.length > maxLength) {
+    throw createHttpError(`${field} must be at most ${maxLength} characters`);
+  }
+  return text;
+}
+
+/**
+ * Parse a date-time field ("2026-03-01T08:00", ISO with offset) to ISO, null when empty
+ */
+function optionalTimestamp(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw createHttpError(`${field} must be a date and time`);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Validate an entry payload; on update only the fields present are checked
+ * @param {Object} payload
+ * @param {Object} [existing] - Entry being updated
+ */
+function prepareEntry(payload, existing = null) {
+  const data = {};
+  const has = (field) => !existing || payload[field] !== undefined;
+
+  if (has('eventCode')) {
+    if (!sofDb.SOF_EVENT_CODES.includes(payload.eventCode)) {
+      throw createHttpError(`eventCode must be one of ${sofDb.SOF_EVENT_CODES.join(', ')}`);
+    }
+    data.eventCode = payload.eventCode;
+  }
+  if (has('startTime')) {
+    data.startTime = optionalTimestamp(payload.startTime, 'startTime');
+    if (!data.startTime) {
+      throw createHttpError('startTime is required');
+    }
+  }
+  if (has('endTime')) data.endTime = optionalTimestamp(payload.endTime, 'endTime');
+  if (has('description')) data.description = optionalText(payload.description, 'description', 500);
+  if (has('remarks')) data.remarks = optionalText(payload.remarks, 'remarks', 2000);
+
+  const merged = { ...existing, ...data };
+  if (sofDb.STOPPAGE_CODES.includes(merged.eventCode) && !merged.endTime) {
+    throw createHttpError('A stoppage needs an end time');
+  }
+  if (merged.endTime && new Date(merged.endTime) < new Date(merged.startTime)) {
+    throw createHttpError('endTime must not be before startTime');
+  }
+  return data;
+}
+
+/**
+ * Load a port call or throw 404
+ */
+async function getPortCallOrThrow(tenantId, portCallId) {
+  const portCall = await portCallsDb.getPortCallById(portCallId, tenantId);
+  if (!portCall) {
+    throw createHttpError('Port call not found', 404);
+  }
+  return portCall;
+}
+
+/**
+ * Load a port call's statement or throw 404 (not started)
+ */
+async function getStatementOrThrow(tenantId, portCallId) {
+  await getPortCallOrThrow(tenantId, portCallId);
+  const statement = await sofDb.getStatementOfFacts(tenantId, portCallId);
+  if (!statement) {
+    throw createHttpError('Statement of facts not started', 404);
+  }
+  return statement;
+}
+
+/**
+ * Load a port call's statement and refuse changes once it is signed (409)
+ */
+async function getDraftOrThrow(tenantId, portCallId) {
+  const statement = await getStatementOrThrow(tenantId, portCallId);
+  if (statement.status !== 'DRAFT') {
+    throw createHttpError('Statement of facts is signed; reopen it to make changes', 409);
+  }
+  return statement;
+}
+
+/**
+ * Load an entry of the statement or throw 404
+ */
+async function getEntryOrThrow(tenantId, statement, entryId) {
+  const entry = await sofDb.getSofEntryById(entryId, tenantId);
+  if (!entry || entry.sofId !== statement.id) {
+    throw createHttpError('Entry not found', 404);
+  }
+  return entry;
+}
+
+/**
+ * Work out the entries a port call's logged facts give
+ * @returns {Promise<Array<Object>>} Entries with source and sourceRef
+ */
+async function collectFacts(tenantId, portCall) {
+  const [events, berthStays] = await Promise.all([
+    portCallEventsDb.getPortCallEvents(tenantId, portCall.id),
+    itineraryDb.getBerthStays(tenantId, { portCallId: portCall.id }),
+  ]);
+  const entries = [];
+  const hasEvent = (eventType) => events.some((event) => event.eventType === eventType);
+
+  for (const event of events) {
+    for (const { eventCode, suffix } of EVENT_ENTRIES[event.eventType] || []) {
+      entries.push({
+        eventCode,
+        startTime: event.timestamp,
+        description: [event.terminal, event.remarks].filter(Boolean).join(' - ') || null,
+        source: 'EVENT',
+        sourceRef: `event:${event.id}${suffix ? `:${suffix}` : ''}`,
+      });
+    }
+  }
+
+  if (portCall.actualArrival && !hasEvent('ARRIVAL')) {
+    entries.push(
+      { eventCode: 'ARRIVED', startTime: portCall.actualArrival, source: 'PORT_CALL', sourceRef: 'portcall:arrival' },
+      { eventCode: 'NOR_TENDERED', startTime: portCall.actualArrival, source: 'PORT_CALL', sourceRef: 'portcall:arrival:nor' }
+    );
+  }
+  if (portCall.actualDeparture && !hasEvent('DEPARTURE')) {
+    entries.push({ eventCode: 'SAILED', startTime: portCall.actualDeparture, source: 'PORT_CALL', sourceRef: 'portcall:departure' });
+  }
+
+  for (const stay of berthStays) {
+    const berth = stay.berth?.name || null;
+    const fromStay = (eventCode, startTime, suffix) => ({
+      eventCode,
+      startTime,
+      description: berth,
+      source: 'BERTH_STAY',
+      sourceRef: `stay:${stay.id}:${suffix}`,
+    });
+    if (stay.actualStart) {
+      if (!hasEvent('ALONGSIDE')) entries.push(fromStay('ALL_FAST', stay.actualStart, 'start'));
+      if (CARGO_OPERATIONS.includes(stay.operationType)) entries.push(fromStay('COMMENCED_CARGO', stay.actualStart, 'cargo-start'));
+    }
+    if (stay.actualEnd) {
+      if (CARGO_OPERATIONS.includes(stay.operationType)) entries.push(fromStay('COMPLETED_CARGO', stay.actualEnd, 'cargo-end'));
+      entries.push(fromStay('LAST_LINE', stay.actualEnd, 'end'));
+    }
+  }
+
+  // Geofence and status logs are kept per vessel, so take those around the call
+  const arrival = portCall.actualArrival || portCall.eta;
+  if (portCall.vesselId && arrival) {
+    const departure = portCall.actualDeparture || portCall.etd || arrival;
+    const logs = await Promise.all(LOG_EVENT_TYPES.map((eventType) => operationLogsDb.getOperationLogs(tenantId, {
+      vesselId: portCall.vesselId,
+      eventType,
+      from: new Date(new Date(arrival).getTime() - LOG_MARGIN_MS).toISOString(),
+      to: new Date(new Date(departure).getTime() + LOG_MARGIN_MS).toISOString(),
+      limit: MAX_LOG_ENTRIES,
+    })));
+    for (const log of logs.flat()) {
+      entries.push({
+        eventCode: 'OTHER',
+        startTime: log.timestamp,
+        description: log.description ? log.description.slice(0, 500) : null,
+        source: 'LOG',
+        sourceRef: `log:${log.id}`,
+      });
+    }
+  }
+
+  return entries.filter((entry) => entry.startTime);
+}
+
+/**
+ * Hash of what was signed: header and entries in a fixed key order
+ */
+function computeSignatureHash(statement, entries) {
+  const content = {
+    portCallId: statement.portCallId,
+    masterName: statement.masterName || null,
+    remarks: statement.remarks || null,
+    entries: entries.map((entry) => ({
+      eventCode: entry.eventCode,
+      description: entry.description || null,
+      startTime: new Date(entry.startTime).toISOString(),
+      endTime: entry.endTime ? new Date(entry.endTime).toISOString() : null,
+      remarks: entry.remarks || null,
+    })),
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
+/**
+ * Get a port call's statement with its entries
+ * @returns {Promise<{statement: Object, entries: Array}|null>} Null if not started
+ */
+export async function getStatementOfFacts(tenantId, portCallId) {
+  await getPortCallOrThrow(tenantId, portCallId);
+  const statement = await sofDb.getStatementOfFacts(tenantId, portCallId);
+  if (!statement) return null;
+  return { statement, entries: await sofDb.getSofEntries(tenantId, statement.id) };
+}
+
+/**
+ * Start a port call's statement and pre-fill it from the logged facts
+ * @returns {Promise<{statement: Object, entries: Array, added: number}>}
+ */
+export async function startStatementOfFacts(tenantId, portCallId, userId) {
+  const portCall = await getPortCallOrThrow(tenantId, portCallId);
+  const statement = await sofDb.createStatementOfFacts(tenantId, { portCallId, createdBy: userId || null });
+  const added = statement.status === 'DRAFT'
+    ? await sofDb.createSofEntries(tenantId, statement.id, await collectFacts(tenantId, portCall))
+    : 0;
+  return { statement, entries: await sofDb.getSofEntries(tenantId, statement.id), added };
+}
+
+/**
+ * Add the logged facts not yet on a draft statement
+ * @returns {Promise<{statement: Object, entries: Array, added: number}>}
+ */
+export async function prefillStatementOfFacts(tenantId, portCallId) {
+  const statement = await getDraftOrThrow(tenantId, portCallId);
+  const portCall = await getPortCallOrThrow(tenantId, portCallId);
+  const added = await sofDb.createSofEntries(tenantId, statement.id, await collectFacts(tenantId, portCall));
+  return { statement, entries: await sofDb.getSofEntries(tenantId, statement.id), added };
+}
+
+/**
+ * Update the header (master, general remarks) of a draft statement
+ */
+export async function updateStatementOfFacts(tenantId, portCallId, payload) {
+  const statement = await getDraftOrThrow(tenantId, portCallId);
+  const updates = {};
+  if (payload.masterName !== undefined) updates.masterName = optionalText(payload.masterName, 'masterName');
+  if (payload.remarks !== undefined) updates.remarks = optionalText(payload.remarks, 'remarks', 4000);
+
+  const updated = await sofDb.updateStatementOfFacts(statement.id, tenantId, updates);
+  if (!updated) {
+    throw createHttpError('Statement of facts is signed; reopen it to make changes', 409);
+  }
+  return updated;
+}
+
+/**
+ * Add an entry (event, weather stoppage, remark) to a draft statement
+ */
+export async function createSofEntry(tenantId, portCallId, payload) {
+  const statement = await getDraftOrThrow(tenantId, portCallId);
+  return sofDb.createSofEntry(tenantId, statement.id, prepareEntry(payload));
+}
+
+/**
+ * Update an entry of a draft statement
+ */
+export async function updateSofEntry(tenantId, portCallId, entryId, payload) {
+  const statement = await getDraftOrThrow(tenantId, portCallId);
+  const entry = await getEntryOrThrow(tenantId, statement, entryId);
+  return sofDb.updateSofEntry(entryId, tenantId, prepareEntry(payload, entry));
+}
+
+/**
+ * Delete an entry of a draft statement
+ */
+export async function deleteSofEntry(tenantId, portCallId, entryId) {
+  const statement = await getDraftOrThrow(tenantId, portCallId);
+  await getEntryOrThrow(tenantId, statement, entryId);
+  await sofDb.deleteSofEntry(entryId, tenantId);
+}
+
+/**
+ * Sign a draft statement
+ * @param {Object} payload - { masterName? } (saved on the statement before signing)
+ */
+export async function signStatementOfFacts(tenantId, portCallId, userId, payload = {}) {
+  let statement = await getDraftOrThrow(tenantId, portCallId);
+  if (payload.masterName !== undefined) {
+    statement = await sofDb.updateStatementOfFacts(statement.id, tenantId, {
+      masterName: optionalText(payload.masterName, 'masterName'),
+    }) || statement;
+  }
+
+  const entries = await sofDb.getSofEntries(tenantId, statement.id);
+  if (entries.length === 0) {
+    throw createHttpError('Add at least one entry before signing');
+  }
+
+  const user = userId ? await usersDb.getUserById(userId, tenantId) : null;
+  const signed = await sofDb.signStatementOfFacts(statement.id, tenantId, {
+    signedBy: userId || null,
+    signedByName: user?.name || user?.email || null,
+    signatureHash: computeSignatureHash(statement, entries),
+  });
+  if (!signed) {
+    throw createHttpError('Statement of facts is already signed', 409);
+  }
+  return { statement: signed, entries };
+}
+
+/**
+ * Reopen a signed statement for editing; the signature is removed
+ */
+export async function reopenStatementOfFacts(tenantId, portCallId) {
+  const statement = await getStatementOrThrow(tenantId, portCallId);
+  const reopened = await sofDb.reopenStatementOfFacts(statement.id, tenantId);
+  if (!reopened) {
+    throw createHttpError('Statement of facts is not signed', 409);
+  }
+  return { statement: reopened, entries: await sofDb.getSofEntries(tenantId, statement.id) };
+}
+
+/**
+ * Export a statement as PDF, DOCX or CSV (drafts are marked as such)
+ * @param {Object} options - { format: 'pdf' | 'docx' | 'csv' }
+ * @returns {Promise<{filename: string, contentType: string, body: Buffer|string}>}
+ */
+export async function exportStatementOfFacts(tenantId, portCallId, { format = 'pdf' } = {}) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw createHttpError(`format must be one of ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  const portCall = await getPortCallOrThrow(tenantId, portCallId);
+  const statement = await getStatementOrThrow(tenantId, portCallId);
+  const entries = await sofDb.getSofEntries(tenantId, statement.id);
+
+  const vesselName = (portCall.vessel?.name || 'vessel').replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const baseName = `SOF-${vesselName}${statement.status === 'DRAFT' ? '-draft' : ''}`;
+
+  if (format === 'csv') {
+    return {
+      filename: `${baseName}.csv`,
+      contentType: 'text/csv; charset=utf-8',
+      body: renderSofCsv({ portCall, statement, entries }),
+    };
+  }
+  if (format === 'docx') {
+    return {
+      filename: `${baseName}.docx`,
+      contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      body: renderSofDocx({ portCall, statement, entries }),
+    };
+  }
+  return {
+    filename: `${baseName}.pdf`,
+    contentType: 'application/pdf',
+    body: renderSofPdf({ portCall, statement, entries }),
+  };
+}
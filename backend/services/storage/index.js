@@ -0,0 +1,43 @@
+/**
+ * Attachment Storage
+ * Pluggable backends for attachment files, chosen by ATTACHMENT_STORAGE:
+ * - local (default): files on disk, services/storage/localStorage.js
+ * - s3: any S3-compatible bucket (AWS S3, or MinIO as a local stand-in), services/storage/s3Storage.js
+ *
+ * Every attachment records the backend it was written to, so files stay readable after the
+ * default backend changes. Backends implement put(key, data, contentType), get(key) -> Buffer|null
+ * and delete(key).
+ */
+
+import { LocalStorage } from './localStorage.js';
+import { S3Storage } from './s3Storage.js';
+
+const BACKENDS = {
+  local: () => new LocalStorage(),
+  s3: () => new S3Storage(),
+};
+
+// Backend name -> instance (created on first use so unused backends need no config)
+const instances = new Map();
+
+/**
+ * Get a storage backend by name
+ * @param {string} name - 'local' or 's3'
+ */
+export function getStorage(name) {
+  if (!instances.has(name)) {
+    const create = BACKENDS[name];
+    if (!create) {
+      throw new Error(`Unknown attachment storage backend "${name}"`);
+    }
+    instances.set(name, create());
+  }
+  return instances.get(name);
+}
+
+/**
+ * Get the backend new attachments are written to (ATTACHMENT_STORAGE, default local)
+ */
+export function getDefaultStorage() {
+  return getStorage((process.env.ATTACHMENT_STORAGE || 'local').toLowerCase());
+}
@@ -0,0 +1,62 @@
+/**
+ * Local Disk Storage
+ * Keeps attachment files under ATTACHMENT_STORAGE_DIR (default: backend/data/attachments).
+ * Keys are relative paths ("tenant/port-call/file"); anything resolving outside the root is refused.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_ROOT = path.join(__dirname, '..', '..', 'data', 'attachments');
+
+export class LocalStorage {
+  constructor({ root = process.env.ATTACHMENT_STORAGE_DIR || DEFAULT_ROOT } = {}) {
+    this.name = 'local';
+    this.root = path.resolve(root);
+  }
+
+  /**
+   * Absolute path of a key, refusing keys that escape the storage root
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Store bytes under a key (written to a temporary file first so readers never see a partial file)
+   */
+  async put(key, data) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    await fs.writeFile(tempPath, data);
+    await fs.rename(tempPath, filePath);
+  }
+
+  /**
+   * Read a key
+   * @returns {Promise<Buffer|null>} Bytes, or null if the key does not exist
+   */
+  async get(key) {
+    try {
+      return await fs.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a key (missing keys are ignored)
+   */
+  async delete(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+}
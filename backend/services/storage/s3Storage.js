@@ -0,0 +1,144 @@
+/**
+ * S3-Compatible Storage
+ * Stores attachment files in a bucket through the S3 REST API with AWS Signature Version 4.
+ * Works with AWS S3 and with local S3-compatible stand-ins such as MinIO for development
+ * (path-style addressing, S3_FORCE_PATH_STYLE=true, is the default).
+ *
+ * Config (env): S3_ENDPOINT, S3_BUCKET, S3_REGION, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY,
+ * S3_FORCE_PATH_STYLE
+ */
+
+import crypto from 'crypto';
+
+const REQUEST_TIMEOUT_MS = 30000;
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * URI-encode a key per the SigV4 rules (every byte except unreserved characters, '/' kept)
+ */
+function encodeKey(key) {
+  return key
+    .split('/')
+    .map((segment) => encodeURIComponent(segment).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`))
+    .join('/');
+}
+
+export class S3Storage {
+  constructor({
+    endpoint = process.env.S3_ENDPOINT,
+    bucket = process.env.S3_BUCKET,
+    region = process.env.S3_REGION || 'us-east-1',
+    accessKeyId = process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+    forcePathStyle = process.env.S3_FORCE_PATH_STYLE !== 'false',
+  } = {}) {
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error('S3 storage requires S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+    this.name = 's3';
+    this.endpoint = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+    this.bucket = bucket;
+    this.region = region;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.forcePathStyle = forcePathStyle;
+  }
+
+  /**
+   * URL of an object (path-style: endpoint/bucket/key, otherwise bucket.endpoint/key)
+   */
+  objectUrl(key) {
+    const url = new URL(this.endpoint);
+    const basePath = url.pathname.replace(/\/$/, '');
+    if (this.forcePathStyle) {
+      url.pathname = `${basePath}/${this.bucket}/${encodeKey(key)}`;
+    } else {
+      url.host = `${this.bucket}.${url.host}`;
+      url.pathname = `${basePath}/${encodeKey(key)}`;
+    }
+    return url;
+  }
+
+  /**
+   * Build the SigV4 headers of a request
+   */
+  sign(method, url, payloadHash, extraHeaders = {}) {
+    const amzDate = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const date = amzDate.slice(0, 8);
+    const headers = {
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+      ...extraHeaders,
+    };
+
+    const names = Object.keys(headers).map((name) => name.toLowerCase()).sort();
+    const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    const canonicalHeaders = names.map((name) => `${name}:${String(lowerHeaders[name]).trim()}\n`).join('');
+    const signedHeaders = names.join(';');
+    const canonicalRequest = [method, url.pathname, '', canonicalHeaders, signedHeaders, payloadHash].join('\n');
+
+    const scope = `${date}/${this.region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${this.secretAccessKey}`, date), this.region), 's3'), 'aws4_request');
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    const { host, ...sent } = lowerHeaders;
+    return {
+      ...sent,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+    };
+  }
+
+  /**
+   * Send a bodyless request (GET, DELETE) for an object
+   */
+  async request(method, key) {
+    const url = this.objectUrl(key);
+    return fetch(url, {
+      method,
+      headers: this.sign(method, url, sha256Hex('')),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+  }
+
+  async put(key, data, contentType = 'application/octet-stream') {
+    const url = this.objectUrl(key);
+    const headers = this.sign('PUT', url, sha256Hex(data), { 'content-type': contentType });
+    const response = await fetch(url, {
+      method: 'PUT',
+      headers,
+      body: data,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    if (!response.ok) {
+      throw new Error(`S3 PUT ${key} failed: HTTP ${response.status} ${await response.text().catch(() => '')}`);
+    }
+  }
+
+  /**
+   * @returns {Promise<Buffer|null>} Bytes, or null if the object does not exist
+   */
+  async get(key) {
+    const response = await this.request('GET', key);
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`S3 GET ${key} failed: HTTP ${response.status}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  async delete(key) {
+    const response = await this.request('DELETE', key);
+    if (!response.ok && response.status !== 404) {
+      throw new Error(`S3 DELETE ${key} failed: HTTP ${response.status}`);
+    }
+  }
+}
@@ -0,0 +1,486 @@
+/**
+ * Tariff Engine
+ * Validates tariff definitions and estimates the fees of a port call from its vessel
+ * particulars (GT, NT, LOA, draft) and stay duration (events, berth stays or ETA/ETD).
+ *
+ * Each rule produces one breakdown line, rounded to cents:
+ * - FLAT      rate
+ * - PER_UNIT  particular x rate                      e.g. GT x 0.42
+ * - BAND      amount of the band holding the particular (min inclusive, max exclusive)
+ * A rule with a timeUnit (HOUR, DAY) is multiplied by the started units of stay after its
+ * freeHours, e.g. PER_UNIT LOA x 2.50 per DAY for berth dues. Rule minimums apply per line;
+ * the tariff minimum adds a top-up line when the lines sum to less.
+ *
+ * Tariffs are looked up on the port call's ops site and then up its parents (parentCode): for
+ * each fee type the nearest site wins, then the most recent validFrom.
+ */
+
+import * as tariffsDb from '../db/tariffs.js';
+import * as feesDb from '../db/fees.js';
+import * as portsDb from '../db/ports.js';
+import * as portCallsDb from '../db/portCalls.js';
+import * as portCallEventsDb from '../db/portCallEvents.js';
+import * as itineraryDb from '../db/itinerary.js';
+import * as vesselsDb from '../db/vessels.js';
+import { toInvoiceLines } from './fees.js';
+import { createHttpError } from './httpError.js';
+
+// Roles allowed to maintain tariff tables (everyone can read them and see estimates)
+export const ADMIN_ROLES = ['ADMIN'];
+
+// Safety net against parentCode cycles
+const MAX_OPS_SITE_DEPTH = 5;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const BASIS_LABELS = { GT: 'GT', NT: 'NT', LOA: 'LOA (m)', DRAFT: 'Draft (m)' };
+
+function toCents(amount) {
+  return Math.round(amount * 100);
+}
+
+function parseNumber(value, field, { optional = false } = {}) {
+  if (optional && (value === undefined || value === null || value === '')) return null;
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number) || number < 0) {
+    throw createHttpError(`${field} must be a number >= 0`);
+  }
+  return number;
+}
+
+function parseDate(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)
+    || Number.isNaN(new Date(`${value}T00:00:00Z`).getTime())) {
+    throw createHttpError(`${field} must be a date (YYYY-MM-DD)`);
+  }
+  return value;
+}
+
+/**
+ * Format a quantity for a breakdown line (drops trailing zeros)
+ */
+function formatQuantity(value) {
+  return String(Number(value.toFixed(4)));
+}
+
+/**
+ * Validate tariff rules
+ * @returns {Array<Object>} Normalized rules
+ */
+export function prepareRules(rules) {
+  if (!Array.isArray(rules) || rules.length === 0) {
+    throw createHttpError('rules must be a non-empty array');
+  }
+
+  return rules.map((rule, index) => {
+    const label = `rules[${index}]`;
+    const description = typeof rule?.description === 'string' ? rule.description.trim() : '';
+    if (!description) {
+      throw createHttpError(`${label}.description is required`);
+    }
+    if (!tariffsDb.TARIFF_RULE_TYPES.includes(rule.ruleType)) {
+      throw createHttpError(`${label}.ruleType must be one of: ${tariffsDb.TARIFF_RULE_TYPES.join(', ')}`);
+    }
+
+    const normalized = {
+      description,
+      ruleType: rule.ruleType,
+      basis: null,
+      rate: null,
+      bands: null,
+      timeUnit: null,
+      freeHours: parseNumber(rule.freeHours ?? 0, `${label}.freeHours`),
+      minimumAmount: parseNumber(rule.minimumAmount, `${label}.minimumAmount`, { optional: true }),
+    };
+
+    if (rule.ruleType !== 'FLAT') {
+      if (!tariffsDb.TARIFF_BASES.includes(rule.basis)) {
+        throw createHttpError(`${label}.basis must be one of: ${tariffsDb.TARIFF_BASES.join(', ')}`);
+      }
+      normalized.basis = rule.basis;
+    }
+
+    if (rule.ruleType === 'BAND') {
+      if (!Array.isArray(rule.bands) || rule.bands.length === 0) {
+        throw createHttpError(`${label}.bands must be a non-empty array`);
+      }
+      normalized.bands = rule.bands.map((band, bandIndex) => {
+        const bandLabel = `${label}.bands[${bandIndex}]`;
+        const min = parseNumber(band?.min ?? 0, `${bandLabel}.min`);
+        const max = parseNumber(band?.max, `${bandLabel}.max`, { optional: true });
+        if (max !== null && max <= min) {
+          throw createHttpError(`${bandLabel}.max must be greater than min`);
+        }
+        return { min, max, amount: parseNumber(band?.amount, `${bandLabel}.amount`) };
+      }).sort((a, b) => a.min - b.min);
+    } else {
+      normalized.rate = parseNumber(rule.rate, `${label}.rate`);
+    }
+
+    if (rule.timeUnit !== undefined && rule.timeUnit !== null && rule.timeUnit !== '') {
+      if (!tariffsDb.TARIFF_TIME_UNITS.includes(rule.timeUnit)) {
+        throw createHttpError(`${label}.timeUnit must be one of: ${tariffsDb.TARIFF_TIME_UNITS.join(', ')}`);
+      }
+      normalized.timeUnit = rule.timeUnit;
+    }
+
+    return normalized;
+  });
+}
+
+/**
+ * Validate tariff header fields present in the payload
+ * @param {boolean} partial - Only validate fields present in the payload (updates)
+ */
+async function prepareTariff(tenantId, payload, partial) {
+  const data = {};
+
+  if (payload.opsSiteId !== undefined || !partial) {
+    const opsSite = payload.opsSiteId ? await portsDb.getPortById(payload.opsSiteId, tenantId) : null;
+    if (!opsSite) {
+      throw createHttpError(payload.opsSiteId ? 'Ops site not found' : 'opsSiteId is required');
+    }
+    data.opsSiteId = opsSite.id;
+  }
+  if (payload.name !== undefined || !partial) {
+    const name = typeof payload.name === 'string' ? payload.name.trim() : '';
+    if (!name) {
+      throw createHttpError('name is required');
+    }
+    data.name = name;
+  }
+  if (payload.feeType !== undefined || !partial) {
+    if (!feesDb.FEE_TYPES.includes(payload.feeType)) {
+      throw createHttpError(`feeType must be one of: ${feesDb.FEE_TYPES.join(', ')}`);
+    }
+    data.feeType = payload.feeType;
+  }
+  if (payload.currency !== undefined) {
+    if (!/^[A-Z]{3}$/.test(payload.currency || '')) {
+      throw createHttpError('currency must be a 3-letter ISO code');
+    }
+    data.currency = payload.currency;
+  }
+  if (payload.minimumAmount !== undefined) {
+    data.minimumAmount = parseNumber(payload.minimumAmount, 'minimumAmount', { optional: true });
+  }
+  if (payload.validFrom !== undefined) data.validFrom = parseDate(payload.validFrom, 'validFrom');
+  if (payload.validTo !== undefined) data.validTo = parseDate(payload.validTo, 'validTo');
+  if (data.validFrom && data.validTo && data.validTo < data.validFrom) {
+    throw createHttpError('validTo must be on or after validFrom');
+  }
+  if (payload.isActive !== undefined) {
+    if (typeof payload.isActive !== 'boolean') {
+      throw createHttpError('isActive must be a boolean');
+    }
+    data.isActive = payload.isActive;
+  }
+  if (payload.notes !== undefined) data.notes = payload.notes ? String(payload.notes).trim() : null;
+
+  return data;
+}
+
+/**
+ * Create a tariff
+ * @param {Object} payload - { opsSiteId, name, feeType, currency, minimumAmount, validFrom, validTo, isActive, notes, rules }
+ */
+export async function createTariff(tenantId, payload) {
+  const data = await prepareTariff(tenantId, payload, false);
+  const rules = prepareRules(payload.rules);
+  return tariffsDb.createTariff(tenantId, data, rules);
+}
+
+/**
+ * Update a tariff (rules, when given, replace all existing rules)
+ */
+export async function updateTariff(tenantId, tariffId, payload) {
+  const existing = await tariffsDb.getTariffById(tariffId, tenantId);
+  if (!existing) {
+    throw createHttpError('Tariff not found', 404);
+  }
+
+  const data = await prepareTariff(tenantId, payload, true);
+  const validFrom = data.validFrom !== undefined ? data.validFrom : existing.validFrom;
+  const validTo = data.validTo !== undefined ? data.validTo : existing.validTo;
+  if (validFrom && validTo && validTo < validFrom) {
+    throw createHttpError('validTo must be on or after validFrom');
+  }
+  const rules = payload.rules !== undefined ? prepareRules(payload.rules) : undefined;
+
+  return tariffsDb.updateTariff(tariffId, tenantId, data, rules);
+}
+
+/**
+ * Read the particulars tariffs are based on from a vessel
+ * @returns {{GT: number|null, NT: number|null, LOA: number|null, DRAFT: number|null}}
+ */
+export function getVesselParticulars(vessel) {
+  const read = (value) => (value === null || value === undefined || value === '' ? null : parseFloat(value));
+  return {
+    GT: read(vessel?.grossTonnage),
+    NT: read(vessel?.netTonnage),
+    LOA: read(vessel?.length),
+    DRAFT: read(vessel?.draft),
+  };
+}
+
+/**
+ * Work out how long the vessel stays, preferring what happened over what was planned:
+ * ALONGSIDE/DEPARTURE events, then actual berth times, then actual arrival/departure, then the
+ * planned berth window, then ETA/ETD
+ * @param {Object} portCall
+ * @param {Array<Object>} [events] - Port call events, oldest first
+ * @param {Array<Object>} [berthStays] - Berth stays, by planned start
+ * @returns {{start: string|null, end: string|null, hours: number|null, estimated: boolean}}
+ */
+export function getStay(portCall, events = [], berthStays = []) {
+  const alongside = events.find((event) => event.eventType === 'ALONGSIDE');
+  const departure = [...events].reverse().find((event) => event.eventType === 'DEPARTURE'
+    && (!alongside || new Date(event.timestamp) > new Date(alongside.timestamp)));
+  const firstBerth = berthStays[0];
+  const lastBerth = berthStays[berthStays.length - 1];
+
+  const actualStart = alongside?.timestamp || firstBerth?.actualStart || portCall.actualArrival;
+  const actualEnd = departure?.timestamp || lastBerth?.actualEnd || portCall.actualDeparture;
+  const start = actualStart || firstBerth?.startTime || portCall.eta;
+  const end = actualEnd || lastBerth?.endTime || portCall.etd;
+
+  const hours = start && end && new Date(end) > new Date(start)
+    ? (new Date(end).getTime() - new Date(start).getTime()) / HOUR_MS
+    : null;
+
+  return {
+    start: start ? new Date(start).toISOString() : null,
+    end: end ? new Date(end).toISOString() : null,
+    hours: hours !== null ? Math.round(hours * 100) / 100 : null,
+    estimated: !(actualStart && actualEnd),
+  };
+}
+
+/**
+ * Compute one rule
+ * @returns {{line: Object}|{warning: string}}
+ */
+function evaluateRule(rule, particulars, stay) {
+  let amount;
+  const calculation = [];
+
+  if (rule.ruleType === 'FLAT') {
+    amount = rule.rate;
+    calculation.push(formatQuantity(rule.rate));
+  } else {
+    const value = particulars[rule.basis];
+    if (value === null || value === undefined) {
+      return { warning: `${rule.description}: vessel ${BASIS_LABELS[rule.basis]} is missing` };
+    }
+    if (rule.ruleType === 'PER_UNIT') {
+      amount = value * rule.rate;
+      calculation.push(`${BASIS_LABELS[rule.basis]} ${formatQuantity(value)} x ${formatQuantity(rule.rate)}`);
+    } else {
+      const band = rule.bands.find((b) => value >= b.min && (b.max === null || value < b.max));
+      if (!band) {
+        return { warning: `${rule.description}: no band for ${BASIS_LABELS[rule.basis]} ${formatQuantity(value)}` };
+      }
+      amount = band.amount;
+      const range = band.max === null ? `>= ${formatQuantity(band.min)}` : `${formatQuantity(band.min)}-${formatQuantity(band.max)}`;
+      calculation.push(`${BASIS_LABELS[rule.basis]} ${formatQuantity(value)} (band ${range}) ${formatQuantity(band.amount)}`);
+    }
+  }
+
+  if (rule.timeUnit) {
+    if (stay.hours === null) {
+      return { warning: `${rule.description}: stay duration is unknown (no arrival/departure times)` };
+    }
+    const chargeableHours = Math.max(0, stay.hours - (rule.freeHours || 0));
+    const units = Math.ceil(rule.timeUnit === 'DAY' ? chargeableHours / 24 : chargeableHours);
+    amount *= units;
+    calculation.push(`${units} ${rule.timeUnit === 'DAY' ? 'day(s)' : 'hour(s)'}`);
+  }
+
+  let amountCents = toCents(amount);
+  if (rule.minimumAmount !== null && amountCents < toCents(rule.minimumAmount)) {
+    amountCents = toCents(rule.minimumAmount);
+    calculation.push(`minimum ${formatQuantity(rule.minimumAmount)}`);
+  }
+
+  return {
+    line: {
+      description: rule.description,
+      calculation: calculation.join(' x ').replace(' x minimum', ', minimum'),
+      amount: amountCents / 100,
+    },
+  };
+}
+
+/**
+ * Compute a tariff for the given particulars and stay
+ * @returns {Object} { tariffId, tariffName, feeType, currency, amount, calculationBase, breakdown, warnings, complete }
+ */
+export function calculateTariff(tariff, particulars, stay) {
+  const breakdown = [];
+  const warnings = [];
+
+  for (const rule of tariff.rules) {
+    const result = evaluateRule(rule, particulars, stay);
+    if (result.warning) {
+      warnings.push(result.warning);
+    } else {
+      breakdown.push(result.line);
+    }
+  }
+
+  let totalCents = breakdown.reduce((sum, line) => sum + toCents(line.amount), 0);
+  if (tariff.minimumAmount !== null && totalCents < toCents(tariff.minimumAmount)) {
+    const topUpCents = toCents(tariff.minimumAmount) - totalCents;
+    breakdown.push({
+      description: 'Minimum charge adjustment',
+      calculation: `minimum ${formatQuantity(tariff.minimumAmount)}`,
+      amount: topUpCents / 100,
+    });
+    totalCents += topUpCents;
+  }
+
+  return {
+    tariffId: tariff.id,
+    tariffName: tariff.name,
+    opsSiteId: tariff.opsSiteId,
+    feeType: tariff.feeType,
+    currency: tariff.currency,
+    amount: totalCents / 100,
+    calculationBase: breakdown.map((line) => `${line.description}: ${line.calculation}`).join('; '),
+    breakdown,
+    warnings,
+    complete: warnings.length === 0,
+  };
+}
+
+/**
+ * The port call's ops site followed by its parents (nearest first)
+ */
+async function getOpsSiteChain(tenantId, opsSiteId) {
+  const chain = [];
+  let site = opsSiteId ? await portsDb.getPortById(opsSiteId, tenantId) : null;
+  while (site && chain.length < MAX_OPS_SITE_DEPTH && !chain.some((s) => s.id === site.id)) {
+    chain.push(site);
+    site = site.parentCode ? await portsDb.getPortByCode(site.parentCode, tenantId) : null;
+  }
+  return chain;
+}
+
+/**
+ * Pick one tariff per fee type: nearest ops site first, then the most recent validity
+ * (tariffs arrive ordered by validFrom desc)
+ */
+function selectTariffs(tariffs, chain) {
+  const rank = (tariff) => chain.findIndex((site) => site.id === tariff.opsSiteId);
+  const selected = new Map();
+  for (const tariff of [...tariffs].sort((a, b) => rank(a) - rank(b))) {
+    if (!selected.has(tariff.feeType)) {
+      selected.set(tariff.feeType, tariff);
+    }
+  }
+  return [...selected.values()];
+}
+
+/**
+ * Estimate the fees of a port call from the tariffs of its ops site
+ * @returns {Promise<Object>} { portCallId, opsSiteId, particulars, stay, fees, warnings }
+ */
+export async function estimatePortCallFees(tenantId, portCallId) {
+  const portCall = await portCallsDb.getPortCallById(portCallId, tenantId);
+  if (!portCall) {
+    throw createHttpError('Port call not found', 404);
+  }
+
+  const warnings = [];
+  const [vessel, events, berthStays, chain] = await Promise.all([
+    portCall.vesselId ? vesselsDb.getVesselById(portCall.vesselId, tenantId) : null,
+    portCallEventsDb.getPortCallEvents(tenantId, portCallId),
+    itineraryDb.getBerthStays(tenantId, { portCallId }),
+    getOpsSiteChain(tenantId, portCall.portId),
+  ]);
+  if (!vessel) warnings.push('Port call has no vessel; only flat rules can be computed');
+  if (chain.length === 0) warnings.push('Port call has no ops site; no tariffs apply');
+
+  const particulars = getVesselParticulars(vessel);
+  const stay = getStay(portCall, events, berthStays);
+  // Tariff validity is checked against the arrival date
+  const referenceDate = (stay.start || new Date().toISOString()).slice(0, 10);
+
+  const tariffs = chain.length > 0
+    ? await tariffsDb.getApplicableTariffs(tenantId, chain.map((site) => site.id), referenceDate)
+    : [];
+  if (chain.length > 0 && tariffs.length === 0) {
+    warnings.push(`No active tariffs for ${chain.map((site) => site.name).join(' / ')} on ${referenceDate}`);
+  }
+
+  const fees = selectTariffs(tariffs, chain).map((tariff) => {
+    const fee = calculateTariff(tariff, particulars, stay);
+    return { ...fee, invoiceLines: toInvoiceLines({ ...fee, description: fee.tariffName, amountDue: fee.amount }) };
+  });
+
+  return {
+    portCallId,
+    opsSiteId: portCall.portId,
+    referenceDate,
+    particulars,
+    stay,
+    fees,
+    warnings,
+  };
+}
+
+/**
+ * Turn a port call's tariff estimate into fees: new fees are created, DUE fees from the same
+ * tariff are re-estimated, and settled or incomplete estimates are left alone
+ * @returns {Promise<Object>} { estimate, created, updated, skipped: [{ tariffId, feeType, reason }] }
+ */
+export async function applyTariffEstimate(tenantId, portCallId, userId) {
+  const estimate = await estimatePortCallFees(tenantId, portCallId);
+  const existingFees = await feesDb.getFees(tenantId, { portCallId });
+
+  const created = [];
+  const updated = [];
+  const skipped = [];
+
+  for (const fee of estimate.fees) {
+    const skip = (reason) => skipped.push({ tariffId: fee.tariffId, feeType: fee.feeType, reason });
+    if (!fee.complete) {
+      skip(fee.warnings.join('; '));
+      continue;
+    }
+
+    const existing = existingFees.find((f) => f.tariffId === fee.tariffId);
+    if (!existing) {
+      created.push(await feesDb.createFee(tenantId, {
+        portCallId,
+        feeType: fee.feeType,
+        description: fee.tariffName,
+        calculationBase: fee.calculationBase,
+        currency: fee.currency,
+        amountDue: fee.amount,
+        tariffId: fee.tariffId,
+        breakdown: fee.breakdown,
+        createdBy: userId,
+      }));
+    } else if (existing.status !== 'DUE') {
+      skip(`Fee is already ${existing.status}`);
+    } else if (toCents(fee.amount) < toCents(existing.amountPaid)) {
+      skip(`New estimate ${fee.amount} is below the ${existing.amountPaid} already paid`);
+    } else {
+      const refreshed = await feesDb.updateDueFee(existing.id, tenantId, {
+        amountDue: fee.amount,
+        calculationBase: fee.calculationBase,
+        breakdown: fee.breakdown,
+      });
+      if (refreshed) {
+        updated.push(refreshed);
+      } else {
+        skip('Fee changed concurrently');
+      }
+    }
+  }
+
+  return { estimate, created, updated, skipped };
+}
@@ -0,0 +1,468 @@
+/**
+ * Crew and Passenger Lists
+ * Validation, spreadsheet import and FAL form export for the crew (FAL Form 5) and passenger
+ * (FAL Form 6) lists of a port call; db/travellers.js persists them.
+ *
+ * - Nationality and issuing state are stored as ISO 3166-1 alpha-3 codes (alpha-2 accepted)
+ * - Document numbers are stored upper case without spaces or dashes; passport numbers must be
+ *   5-9 letters/digits, as in the machine readable zone
+ * - Imports are all or nothing: one invalid row rejects the file, and a dry run lists every error
+ * - Documents expiring before the vessel sails are flagged (documentExpired), not rejected
+ */
+
+import * as travellersDb from '../db/travellers.js';
+import * as portCallsDb from '../db/portCalls.js';
+import { toAlpha3 } from './countryCodes.js';
+import { readSpreadsheet } from './spreadsheet.js';
+import { renderFalFormPdf, renderFalFormCsv } from './falForms.js';
+import { createHttpError } from './httpError.js';
+
+const MAX_IMPORT_ROWS = 2000;
+
+// Errors listed in the message of a rejected import (a dry run returns all of them)
+const MAX_REPORTED_ERRORS = 5;
+
+const DOCUMENT_PATTERNS = {
+  PASSPORT: /^[A-Z0-9]{5,9}$/,
+  SEAFARER_ID: /^[A-Z0-9/.]{3,20}$/,
+  NATIONAL_ID: /^[A-Z0-9/.]{3,20}$/,
+  OTHER: /^[A-Z0-9/.]{1,30}$/,
+};
+
+// Spreadsheet wording accepted for coded values (compared after normalizeKey)
+const VALUE_ALIASES = {
+  documentType: {
+    PASSPORT: ['passport', 'pp', 'p', 'passaporte'],
+    SEAFARER_ID: ['seafarerid', 'seafarersid', 'seafarersidentitydocument', 'seamansbook', 'seamanbook', 'cir', 'caderneta'],
+    NATIONAL_ID: ['nationalid', 'id', 'idcard', 'identitycard', 'rg', 'identidade'],
+    OTHER: ['other', 'outro'],
+  },
+  onBoardStatus: {
+    ON_BOARD: ['onboard', 'abordo'],
+    SIGN_ON: ['signon', 'signingon', 'joining', 'embarque', 'embarcando'],
+    SIGN_OFF: ['signoff', 'signingoff', 'leaving', 'desembarque', 'desembarcando'],
+  },
+  status: {
+    ON_BOARD: ['onboard', 'abordo'],
+    DISEMBARKED: ['disembarked', 'disembarking', 'desembarcado'],
+    CANCELLED: ['cancelled', 'canceled', 'cancelado'],
+  },
+};
+
+// Column headings recognized on import, per field (compared after normalizeKey)
+const HEADER_ALIASES = {
+  familyName: ['familyname', 'surname', 'lastname', 'sobrenome'],
+  givenNames: ['givennames', 'givenname', 'firstname', 'firstnames', 'prenome'],
+  fullName: ['name', 'fullname', 'familynamegivennames', 'nome', 'nomecompleto'],
+  rank: ['rank', 'rankorrating', 'rating', 'position', 'cargo', 'funcao'],
+  nationality: ['nationality', 'citizenship', 'nacionalidade'],
+  dateOfBirth: ['dateofbirth', 'dob', 'birthdate', 'datadenascimento', 'nascimento'],
+  placeOfBirth: ['placeofbirth', 'birthplace', 'localdenascimento', 'naturalidade'],
+  documentType: ['documenttype', 'typeofidentitydocument', 'natureofidentitydocument', 'idtype', 'tipodedocumento'],
+  documentNumber: [
+    'documentnumber', 'documentno', 'document', 'passportnumber', 'passportno', 'passport',
+    'serialnumberofidentitydocument', 'idnumber', 'numerododocumento', 'documento', 'passaporte',
+  ],
+  // FAL Form 5 combined columns, e.g. "Passport AB123456" and "1980-01-31, Manila"
+  documentTypeAndNumber: ['natureandnoofidentitydocument', 'natureandnumberofidentitydocument'],
+  dateAndPlaceOfBirth: ['dateandplaceofbirth'],
+  documentIssuingState: ['issuingstate', 'issuingcountry', 'documentissuingstate', 'paisemissor'],
+  documentExpiry: ['expirydate', 'expiry', 'documentexpiry', 'dateofexpiry', 'expirationdate', 'validade'],
+  onBoardStatus: ['status', 'onboardstatus', 'situacao'],
+  status: ['status', 'situacao'],
+  embarkPort: ['portofembarkation', 'embarkationport', 'embarkport', 'portodeembarque'],
+  disembarkPort: ['portofdisembarkation', 'disembarkationport', 'disembarkport', 'portodedesembarque'],
+  isTransit: ['transit', 'transitpassenger', 'transitpassengerornot', 'transito'],
+  cabin: ['cabin', 'cabine'],
+  notes: ['notes', 'remarks', 'observacoes', 'observacao'],
+};
+
+// Fields imported for each list, besides the shared identity and document fields
+const LIST_FIELDS = {
+  CREW: ['rank', 'onBoardStatus'],
+  PASSENGER: ['embarkPort', 'disembarkPort', 'isTransit', 'cabin', 'status'],
+};
+
+const SHARED_FIELDS = [
+  'familyName', 'givenNames', 'fullName', 'nationality', 'dateOfBirth', 'placeOfBirth', 'dateAndPlaceOfBirth',
+  'documentType', 'documentNumber', 'documentTypeAndNumber', 'documentIssuingState', 'documentExpiry', 'notes',
+];
+
+/**
+ * Lower case ASCII letters and digits only ("Date of Birth" -> "dateofbirth", "Função" -> "funcao")
+ */
+function normalizeKey(value) {
+  return String(value ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function optionalText(value, field, maxLength = 255) {
+  const text = value === null || value === undefined ? '' : String(value).trim();
+  if (text.length > maxLength) {
+    throw createHttpError(`${field} must be at most ${maxLength} characters`);
+  }
+  return text || null;
+}
+
+function findCode(value, allowed, aliases) {
+  const code = String(value).trim().toUpperCase();
+  if (allowed.includes(code)) return code;
+
+  const key = normalizeKey(value);
+  return Object.entries(aliases || {}).find(([, words]) => words.includes(key))?.[0] || null;
+}
+
+function parseCode(value, field, allowed, aliases) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const code = findCode(value, allowed, aliases);
+  if (code) return code;
+  throw createHttpError(`${field} must be one of: ${allowed.join(', ')}`);
+}
+
+function parseCountry(value, field, required) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    if (required) throw createHttpError(`${field} is required`);
+    return null;
+  }
+  const code = toAlpha3(value);
+  if (!code) {
+    throw createHttpError(`${field} "${String(value).trim()}" is not an ISO 3166 country code`);
+  }
+  return code;
+}
+
+/**
+ * Parse a calendar date: YYYY-MM-DD, DD/MM/YYYY, DD.MM.YYYY or an Excel serial day number
+ * @returns {string|null} YYYY-MM-DD
+ */
+function parseDate(value, field) {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const text = String(value).trim();
+
+  let iso = null;
+  let match;
+  if ((match = /^(\d{4})-(\d{2})-(\d{2})/.exec(text))) {
+    iso = `${match[1]}-${match[2]}-${match[3]}`;
+  } else if ((match = /^(\d{1,2})[/.](\d{1,2})[/.](\d{4})$/.exec(text))) {
+    iso = `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+  } else if (/^\d{4,5}(\.\d+)?$/.test(text)) {
+    // Excel serial: days since 1899-12-30
+    iso = new Date(Date.UTC(1899, 11, 30) + Math.floor(Number(text)) * 86400000).toISOString().slice(0, 10);
+  }
+
+  const date = iso && new Date(`${iso}T00:00:00Z`);
+  if (!date || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== iso) {
+    throw createHttpError(`${field} must be a date (YYYY-MM-DD or DD/MM/YYYY)`);
+  }
+  return iso;
+}
+
+function parseBoolean(value, field) {
+  if (typeof value === 'boolean') return value;
+  if (value === undefined || value === null || value === '') return false;
+  const key = normalizeKey(value);
+  if (['true', 'yes', 'y', 'sim', 's', '1', 'x'].includes(key)) return true;
+  if (['false', 'no', 'n', 'nao', '0'].includes(key)) return false;
+  throw createHttpError(`${field} must be yes or no`);
+}
+
+/**
+ * Split "SILVA, Joao" or "Joao Silva" into family and given names
+ */
+function splitFullName(fullName) {
+  const text = String(fullName || '').trim().replace(/\s+/g, ' ');
+  if (text.includes(',')) {
+    const [familyName, ...given] = text.split(',');
+    return { familyName: familyName.trim(), givenNames: given.join(',').trim() };
+  }
+  const words = text.split(' ');
+  return { familyName: words.pop() || '', givenNames: words.join(' ') };
+}
+
+/**
+ * Validate a complete crew member or passenger
+ * @param {string} type - 'CREW' or 'PASSENGER'
+ * @param {Object} payload - Fields as sent by the API or read from a spreadsheet row
+ * @returns {Object} Normalized fields for db/travellers.js
+ */
+function prepareTraveller(type, payload) {
+  const names = !payload.familyName && payload.fullName ? splitFullName(payload.fullName) : payload;
+  const familyName = optionalText(names.familyName, 'familyName');
+  if (!familyName) {
+    throw createHttpError('familyName is required');
+  }
+
+  const documentType = parseCode(payload.documentType, 'documentType', travellersDb.DOCUMENT_TYPES, VALUE_ALIASES.documentType)
+    || 'PASSPORT';
+  const documentNumber = String(payload.documentNumber ?? '').toUpperCase().replace(/[\s-]/g, '');
+  if (!documentNumber) {
+    throw createHttpError('documentNumber is required');
+  }
+  if (!DOCUMENT_PATTERNS[documentType].test(documentNumber)) {
+    throw createHttpError(documentType === 'PASSPORT'
+      ? `documentNumber "${documentNumber}" is not a valid passport number (5-9 letters or digits)`
+      : `documentNumber "${documentNumber}" may only contain letters, digits, "/" and "."`);
+  }
+
+  const dateOfBirth = parseDate(payload.dateOfBirth, 'dateOfBirth');
+  if (dateOfBirth && dateOfBirth > new Date().toISOString().slice(0, 10)) {
+    throw createHttpError('dateOfBirth cannot be in the future');
+  }
+
+  const data = {
+    familyName,
+    givenNames: optionalText(names.givenNames, 'givenNames'),
+    nationality: parseCountry(payload.nationality, 'nationality', true),
+    dateOfBirth,
+    placeOfBirth: optionalText(payload.placeOfBirth, 'placeOfBirth'),
+    documentType,
+    documentNumber,
+    documentIssuingState: parseCountry(payload.documentIssuingState, 'documentIssuingState', false),
+    documentExpiry: parseDate(payload.documentExpiry, 'documentExpiry'),
+    notes: optionalText(payload.notes, 'notes', 2000),
+  };
+
+  if (type === 'CREW') {
+    data.rank = optionalText(payload.rank, 'rank', 100);
+    data.onBoardStatus = parseCode(payload.onBoardStatus, 'onBoardStatus', travellersDb.CREW_STATUSES, VALUE_ALIASES.onBoardStatus)
+      || 'ON_BOARD';
+  } else {
+    data.embarkPort = optionalText(payload.embarkPort, 'embarkPort');
+    data.disembarkPort = optionalText(payload.disembarkPort, 'disembarkPort');
+    data.isTransit = parseBoolean(payload.isTransit, 'isTransit');
+    data.cabin = optionalText(payload.cabin, 'cabin', 50);
+    data.status = parseCode(payload.status, 'status', travellersDb.PASSENGER_STATUSES, VALUE_ALIASES.status)
+      || 'ON_BOARD';
+  }
+
+  return data;
+}
+
+/**
+ * Load a port call or throw 404
+ */
+async function getPortCallOrThrow(tenantId, portCallId) {
+  const portCall = await portCallsDb.getPortCallById(portCallId, tenantId);
+  if (!portCall) {
+    throw createHttpError('Port call not found', 404);
+  }
+  return portCall;
+}
+
+/**
+ * Load a traveller of the port call or throw 404
+ */
+async function getTravellerOrThrow(tenantId, type, portCallId, travellerId) {
+  const traveller = await travellersDb.getTravellerById(type, travellerId, tenantId);
+  if (!traveller || traveller.portCallId !== portCallId) {
+    throw createHttpError(type === 'CREW' ? 'Crew member not found' : 'Passenger not found', 404);
+  }
+  return traveller;
+}
+
+/**
+ * Flag travel documents that expire before the vessel sails
+ */
+function flagExpiredDocuments(portCall, travellers) {
+  const sailing = portCall.actualDeparture || portCall.etd || portCall.actualArrival || portCall.eta;
+  const sailingDate = (sailing ? new Date(sailing) : new Date()).toISOString().slice(0, 10);
+  return travellers.map((traveller) => ({
+    ...traveller,
+    documentExpired: !!traveller.documentExpiry && traveller.documentExpiry < sailingDate,
+  }));
+}
+
+/**
+ * Get a port call's crew or passenger list
+ */
+export async function getTravellers(tenantId, type, portCallId) {
+  const portCall = await getPortCallOrThrow(tenantId, portCallId);
+  const travellers = await travellersDb.getTravellers(tenantId, type, portCallId);
+  return flagExpiredDocuments(portCall, travellers);
+}
+
+/**
+ * Add a crew member or passenger
+ */
+export async function createTraveller(tenantId, type, portCallId, payload) {
+  const portCall = await getPortCallOrThrow(tenantId, portCallId);
+  const traveller = await travellersDb.createTraveller(type, tenantId, portCallId, prepareTraveller(type, payload));
+  return flagExpiredDocuments(portCall, [traveller])[0];
+}
+
+/**
+ * Update a crew member or passenger; the merged record is validated as a whole
+ */
+export async function updateTraveller(tenantId, type, portCallId, travellerId, payload) {
+  const portCall = await getPortCallOrThrow(tenantId, portCallId);
+  const existing = await getTravellerOrThrow(tenantId, type, portCallId, travellerId);
+
+  const merged = { ...existing, ...payload };
+  // A new full name replaces both name parts
+  if (payload.fullName !== undefined && payload.familyName === undefined) {
+    merged.familyName = undefined;
+  }
+  const updated = await travellersDb.updateTraveller(type, travellerId, tenantId, prepareTraveller(type, merged));
+  return flagExpiredDocuments(portCall, [updated])[0];
+}
+
+/**
+ * Remove a crew member or passenger
+ */
+export async function deleteTraveller(tenantId, type, portCallId, travellerId) {
+  await getTravellerOrThrow(tenantId, type, portCallId, travellerId);
+  await travellersDb.deleteTraveller(type, travellerId, tenantId);
+}
+
+/**
+ * Map the header row to fields: a list of [columnIndex, field]
+ */
+function mapColumns(type, header) {
+  const fields = [...SHARED_FIELDS, ...LIST_FIELDS[type]];
+  const columns = [];
+  header.forEach((heading, index) => {
+    // FAL headings are numbered ("7. Family name, given names")
+    const key = normalizeKey(String(heading ?? '').replace(/^\s*\d+(\.\d+)*\.?\s*/, ''));
+    const field = fields.find((candidate) => HEADER_ALIASES[candidate]?.includes(key));
+    if (field && !columns.some(([, mapped]) => mapped === field)) {
+      columns.push([index, field]);
+    }
+  });
+
+  const mapped = columns.map(([, field]) => field);
+  // "Nome" next to "Sobrenome" holds the given names, not the full name
+  if (mapped.includes('familyName') && mapped.includes('fullName') && !mapped.includes('givenNames')) {
+    columns.find(([, field]) => field === 'fullName')[1] = 'givenNames';
+  }
+  const missing = [
+    mapped.includes('familyName') || mapped.includes('fullName') ? null : 'family name (or name)',
+    mapped.includes('nationality') ? null : 'nationality',
+    mapped.includes('documentNumber') || mapped.includes('documentTypeAndNumber') ? null : 'document number',
+  ].filter(Boolean);
+  if (missing.length > 0) {
+    throw createHttpError(`Missing columns: ${missing.join(', ')}`);
+  }
+  return columns;
+}
+
+/**
+ * Import a crew or passenger list from a CSV or XLSX file
+ * @param {Object} payload
+ * @param {string} payload.fileName - Original file name (.csv or .xlsx)
+ * @param {string} payload.content - File contents, base64
+ * @param {string} [payload.mode] - 'append' (default) or 'replace' the current list
+ * @param {boolean} [payload.dryRun] - Only validate and return the parsed rows
+ * @returns {Promise<Object>} Dry run: { rows, errors: [{ row, message }] }; otherwise { imported, mode }
+ */
+export async function importTravellers(tenantId, type, portCallId, payload) {
+  await getPortCallOrThrow(tenantId, portCallId);
+
+  const mode = payload.mode || 'append';
+  if (!['append', 'replace'].includes(mode)) {
+    throw createHttpError('mode must be append or replace');
+  }
+  if (!payload.content || typeof payload.content !== 'string') {
+    throw createHttpError('content (base64 file contents) is required');
+  }
+
+  const sheet = readSpreadsheet(payload.fileName, Buffer.from(payload.content, 'base64'));
+  const headerIndex = sheet.findIndex((cells) => cells.some((cell) => String(cell).trim()));
+  if (headerIndex === -1) {
+    throw createHttpError('File is empty');
+  }
+  const columns = mapColumns(type, sheet[headerIndex]);
+
+  const rows = [];
+  const errors = [];
+  for (let index = headerIndex + 1; index < sheet.length; index++) {
+    const cells = sheet[index];
+    if (!cells.some((cell) => String(cell).trim())) continue;
+    if (rows.length + errors.length >= MAX_IMPORT_ROWS) {
+      throw createHttpError(`Files are limited to ${MAX_IMPORT_ROWS} rows`);
+    }
+
+    const values = Object.fromEntries(columns.map(([column, field]) => [field, cells[column]]));
+    if (values.documentTypeAndNumber && !values.documentNumber) {
+      const words = String(values.documentTypeAndNumber).trim().split(/\s+/);
+      values.documentNumber = words.pop();
+      values.documentType = values.documentType || findCode(words.join(' '), travellersDb.DOCUMENT_TYPES, VALUE_ALIASES.documentType)
+        || words.join(' ');
+    }
+    if (values.dateAndPlaceOfBirth && !values.dateOfBirth) {
+      const [date, ...place] = String(values.dateAndPlaceOfBirth).split(',');
+      values.dateOfBirth = date;
+      values.placeOfBirth = values.placeOfBirth || place.join(',');
+    }
+    try {
+      rows.push({ row: index + 1, ...prepareTraveller(type, values) });
+    } catch (error) {
+      errors.push({ row: index + 1, message: error.message });
+    }
+  }
+
+  if (payload.dryRun) {
+    return { mode, rows, errors };
+  }
+  if (errors.length > 0) {
+    const listed = errors.slice(0, MAX_REPORTED_ERRORS).map((error) => `row ${error.row}: ${error.message}`);
+    const more = errors.length > MAX_REPORTED_ERRORS ? ` (and ${errors.length - MAX_REPORTED_ERRORS} more)` : '';
+    throw createHttpError(`Import rejected - ${listed.join('; ')}${more}`);
+  }
+  if (rows.length === 0) {
+    throw createHttpError('File has no rows to import');
+  }
+
+  const imported = await travellersDb.importTravellers(
+    type,
+    tenantId,
+    portCallId,
+    rows.map(({ row, ...traveller }) => traveller),
+    { replace: mode === 'replace' }
+  );
+  return { imported, mode };
+}
+
+/**
+ * Who is on the list for the arrival or the departure declaration
+ */
+function isOnList(type, traveller, direction) {
+  if (type === 'CREW') {
+    return traveller.onBoardStatus === 'ON_BOARD'
+      || traveller.onBoardStatus === (direction === 'arrival' ? 'SIGN_OFF' : 'SIGN_ON');
+  }
+  if (traveller.status === 'CANCELLED') return false;
+  return direction === 'arrival' || traveller.status === 'ON_BOARD';
+}
+
+/**
+ * Export a list in the IMO FAL Form 5 (crew) or Form 6 (passengers) layout
+ * @param {Object} options - { format: 'pdf' | 'csv', direction: 'arrival' | 'departure' }
+ * @returns {Promise<{filename: string, contentType: string, body: Buffer|string}>}
+ */
+export async function exportTravellers(tenantId, type, portCallId, { format = 'pdf', direction = 'arrival' } = {}) {
+  if (!['pdf', 'csv'].includes(format)) {
+    throw createHttpError('format must be pdf or csv');
+  }
+  if (!['arrival', 'departure'].includes(direction)) {
+    throw createHttpError('direction must be arrival or departure');
+  }
+
+  const portCall = await getPortCallOrThrow(tenantId, portCallId);
+  const travellers = (await travellersDb.getTravellers(tenantId, type, portCallId))
+    .filter((traveller) => isOnList(type, traveller, direction));
+
+  const vesselName = (portCall.vessel?.name || 'vessel').replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const baseName = `${type === 'CREW' ? 'FAL5-crew-list' : 'FAL6-passenger-list'}-${vesselName}-${direction}`;
+
+  if (format === 'csv') {
+    return {
+      filename: `${baseName}.csv`,
+      contentType: 'text/csv; charset=utf-8',
+      body: renderFalFormCsv(type, travellers),
+    };
+  }
+  return {
+    filename: `${baseName}.pdf`,
+    contentType: 'application/pdf',
+    body: renderFalFormPdf(type, { portCall, travellers, direction }),
+  };
+}
@@ -14,10 +14,14 @@ import Fees from './pages/Fees';
 import SettingsTenant from './pages/Settings/Tenant';
 import SettingsUsers from './pages/Settings/Users';
 import SettingsAis from './pages/Settings/Ais';
+import SettingsTariffs from './pages/Settings/Tariffs';
+import SettingsAttachments from './pages/Settings/Attachments';
 import OpsSites from './pages/OpsSites';
 import PortCallsFromAIS from './pages/OpsSites/PortCallsFromAIS';
+import BerthPlanning from './pages/OpsSites/BerthPlanning';
 import Customers from './pages/Customers';
 import Agents from './pages/Agents';
+import PurchaseOrders from './pages/PurchaseOrders';
 
 function ProtectedRoute({ children }) {
   const { user, loading } = useAuth();
@@ -60,13 +64,17 @@ function AppRoutes() {
                 <Route path="/people" element={<People />} />
                 <Route path="/security" element={<Security />} />
                 <Route path="/fees" element={<Fees />} />
+                <Route path="/purchase-orders" element={<PurchaseOrders />} />
                 <Route path="/agents" element={<Agents />} />
                 <Route path="/customers" element={<Customers />} />
                 <Route path="/ops-sites" element={<OpsSites />} />
                 <Route path="/ops-sites/:id/port-calls" element={<PortCallsFromAIS />} />
+                <Route path="/ops-sites/:id/berth-plan" element={<BerthPlanning />} />
                 <Route path="/settings/tenant" element={<SettingsTenant />} />
                 <Route path="/settings/users" element={<SettingsUsers />} />
                 <Route path="/settings/ais" element={<SettingsAis />} />
+                <Route path="/settings/tariffs" element={<SettingsTariffs />} />
+                <Route path="/settings/attachments" element={<SettingsAttachments />} />
               </Routes>
             </Layout>
           </ProtectedRoute>
@@ -18,6 +18,9 @@ import {
   FiUserCheck,
   FiChevronUp,
   FiChevronDown,
+  FiShoppingCart,
+  FiPercent,
+  FiPaperclip,
 } from 'react-icons/fi';
 import styles from './Sidebar.module.css';
 
@@ -36,6 +39,7 @@ function Sidebar({ isOpen, isCollapsed, onClose, isMobile }) {
         { path: '/dashboard', labelKey: 'nav.dashboard', icon: FiLayout },
         { path: '/port-calls', labelKey: 'nav.portCalls', icon: FiAnchor },
         { path: '/fleet-map', labelKey: 'nav.fleetMap', icon: FiMap },
+        { path: '/purchase-orders', labelKey: 'nav.purchaseOrders', icon: FiShoppingCart },
       ],
     },
     {
@@ -61,6 +65,8 @@ function Sidebar({ isOpen, isCollapsed, onClose, isMobile }) {
         { path: '/settings/tenant', labelKey: 'nav.tenantSettings', icon: FiSettings },
         { path: '/settings/users', labelKey: 'nav.users', icon: FiUser },
         { path: '/settings/ais', labelKey: 'nav.aisConfig', icon: FiRadio },
+        { path: '/settings/tariffs', labelKey: 'nav.tariffs', icon: FiPercent },
+        { path: '/settings/attachments', labelKey: 'nav.attachmentSettings', icon: FiPaperclip },
       ],
     },
   ];
@@ -0,0 +1,230 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useI18n } from '../../utils/useI18n';
+import { api } from '../../utils/api';
+import { useAuth } from '../../modules/auth/AuthContext';
+import Badge from '../ui/Badge';
+import { formatDateTime } from '../itinerary/itineraryHelpers';
+import styles from './AisReconcile.module.css';
+
+const DAY_OPTIONS = [1, 3, 7, 14, 30];
+const CREATE_FIELDS = ['eta', 'etd', 'actualArrival', 'actualDeparture'];
+
+/**
+ * Apply payload of a row: the proposed changes of a matched port call, or the port call to create
+ */
+function toApplyItem(row) {
+  if (row.portCall) {
+    return {
+      key: row.key,
+      portCallId: row.portCall.id,
+      changes: Object.fromEntries(row.changes.map((change) => [change.field, change.proposed])),
+    };
+  }
+  return { key: row.key, vesselId: row.vessel.id, changes: row.create };
+}
+
+/**
+ * AIS arrivals/departures at an ops site matched to the tenant's port calls, with a diff of what
+ * applying each row changes; missing port calls are created and matched ones updated in one click
+ * @param {string} siteId
+ */
+function AisReconcilePanel({ siteId }) {
+  const { t } = useI18n();
+  const { user } = useAuth();
+  const canEdit = user?.role !== 'VIEWER';
+  const queryClient = useQueryClient();
+  const [days, setDays] = useState(7);
+  const [showInSync, setShowInSync] = useState(false);
+  const [selected, setSelected] = useState(() => new Set());
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState('');
+
+  const { data, isLoading, error: loadError } = useQuery({
+    queryKey: ['opsSite', siteId, 'ais-reconcile', days],
+    queryFn: () => api.get(`/ops-sites/${siteId}/ais-reconcile?days=${days}`),
+    enabled: !!siteId,
+    staleTime: 60000, // 1 minute
+  });
+
+  const applyMutation = useMutation({
+    mutationFn: (items) => api.post(`/ops-sites/${siteId}/ais-reconcile/apply`, { items }),
+    onSuccess: (response) => {
+      queryClient.invalidateQueries({ queryKey: ['opsSite', siteId, 'ais-reconcile'] });
+      queryClient.invalidateQueries({ queryKey: ['portCalls'] });
+      setResults(response.results);
+      setSelected(new Set());
+    },
+    onError: (err) => setError(err.message),
+  });
+
+  const rows = (data?.rows || []).filter((row) => showInSync || row.status !== 'IN_SYNC');
+  const actionable = rows.filter((row) => row.status !== 'IN_SYNC');
+  const rowsByKey = new Map((data?.rows || []).map((row) => [row.key, row]));
+
+  const apply = (keys) => {
+    setError('');
+    setResults(null);
+    const items = keys.map((key) => rowsByKey.get(key)).filter(Boolean).map(toApplyItem);
+    if (items.length > 0) {
+      applyMutation.mutate(items);
+    }
+  };
+
+  const toggle = (key) => {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+  };
+
+  const toggleAll = () => {
+    setSelected((prev) => (prev.size === actionable.length ? new Set() : new Set(actionable.map((row) => row.key))));
+  };
+
+  const failed = (results || []).filter((result) => !result.ok);
+
+  return (
+    <div>
+      <div className={styles.toolbar}>
+        <label>
+          {t('aisReconcile.lookBack')}{' '}
+          <select className={styles.select} value={days} onChange={(e) => setDays(Number(e.target.value))}>
+            {DAY_OPTIONS.map((option) => (
+              <option key={option} value={option}>{t('aisReconcile.days', { count: option })}</option>
+            ))}
+          </select>
+        </label>
+        <label className={styles.checkbox}>
+          <input type="checkbox" checked={showInSync} onChange={(e) => setShowInSync(e.target.checked)} />
+          {t('aisReconcile.showInSync')}
+        </label>
+        {canEdit && (
+          <button
+            className={styles.applyButton}
+            onClick={() => apply([...selected])}
+            disabled={selected.size === 0 || applyMutation.isPending}
+          >
+            {applyMutation.isPending ? t('common.loading') : t('aisReconcile.applySelected', { count: selected.size })}
+          </button>
+        )}
+      </div>
+
+      {(loadError || error) && <p className={styles.error}>{loadError?.message || error}</p>}
+      {results && (
+        <p className={styles.notice}>
+          {t('aisReconcile.applied', { ok: results.length - failed.length, failed: failed.length })}
+        </p>
+      )}
+      {(data?.warnings?.length > 0 || failed.length > 0) && (
+        <ul className={styles.warnings}>
+          {(data?.warnings || []).map((warning) => <li key={warning}>{warning}</li>)}
+          {failed.map((result) => (
+            <li key={result.key}>{rowsByKey.get(result.key)?.vessel.name || result.key}: {result.error}</li>
+          ))}
+        </ul>
+      )}
+
+      {isLoading ? (
+        <div className={styles.loading}>{t('common.loading')}</div>
+      ) : rows.length === 0 ? (
+        <div className={styles.empty}>{data?.rows?.length ? t('aisReconcile.allInSync') : t('aisReconcile.noRecords')}</div>
+      ) : (
+        <table className={styles.table}>
+          <thead>
+            <tr>
+              {canEdit && (
+                <th>
+                  <input
+                    type="checkbox"
+                    checked={actionable.length > 0 && selected.size === actionable.length}
+                    onChange={toggleAll}
+                    aria-label={t('aisReconcile.selectAll')}
+                  />
+                </th>
+              )}
+              <th>{t('aisReconcile.vessel')}</th>
+              <th>{t('aisReconcile.ais')}</th>
+              <th>{t('aisReconcile.portCall')}</th>
+              <th>{t('aisReconcile.changes')}</th>
+              {canEdit && <th />}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.key}>
+                {canEdit && (
+                  <td>
+                    {row.status !== 'IN_SYNC' && (
+                      <input type="checkbox" checked={selected.has(row.key)} onChange={() => toggle(row.key)} />
+                    )}
+                  </td>
+                )}
+                <td>
+                  {row.vessel.name}
+                  <span className={styles.secondary}>
+                    {[row.vessel.imo && `IMO ${row.vessel.imo}`, row.vessel.mmsi && `MMSI ${row.vessel.mmsi}`]
+                      .filter(Boolean).join(' · ')}
+                  </span>
+                </td>
+                <td>
+                  <span className={styles.kind}>{t(`aisReconcile.kinds.${row.kind}`)}</span>
+                  {row.eta && <span className={styles.secondary}>{t('aisReconcile.fields.eta')}: {formatDateTime(row.eta)}</span>}
+                  {row.arrival && <span className={styles.secondary}>{t('aisReconcile.arrival')}: {formatDateTime(row.arrival)}</span>}
+                  {row.departure && <span className={styles.secondary}>{t('aisReconcile.departure')}: {formatDateTime(row.departure)}</span>}
+                </td>
+                <td>
+                  <Badge status={row.status}>{t(`aisReconcile.statuses.${row.status}`)}</Badge>
+                  {row.portCall && (
+                    <span className={styles.secondary}>
+                      <Link to={`/port-calls/${row.portCall.id}`}>{t(`portCalls.status.${row.portCall.status}`)}</Link>
+                      {' · '}{t('aisReconcile.fields.eta')} {formatDateTime(row.portCall.eta)}
+                    </span>
+                  )}
+                </td>
+                <td>
+                  {row.changes.map((change) => (
+                    <span key={change.field} className={styles.diff}>
+                      {t(`aisReconcile.fields.${change.field}`)}:{' '}
+                      <del className={styles.old}>{formatDateTime(change.current)}</del>
+                      {' → '}
+                      <ins className={styles.new}>{formatDateTime(change.proposed)}</ins>
+                    </span>
+                  ))}
+                  {row.create && (
+                    <>
+                      <span className={styles.diff}>{t('aisReconcile.newPortCall')}</span>
+                      {CREATE_FIELDS.filter((field) => row.create[field]).map((field) => (
+                        <span key={field} className={styles.diff}>
+                          {t(`aisReconcile.fields.${field}`)}: <ins className={styles.new}>{formatDateTime(row.create[field])}</ins>
+                        </span>
+                      ))}
+                    </>
+                  )}
+                </td>
+                {canEdit && (
+                  <td>
+                    {row.status !== 'IN_SYNC' && (
+                      <button
+                        className={styles.rowButton}
+                        onClick={() => apply([row.key])}
+                        disabled={applyMutation.isPending}
+                      >
+                        {row.portCall ? t('aisReconcile.update') : t('aisReconcile.create')}
+                      </button>
+                    )}
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default AisReconcilePanel;
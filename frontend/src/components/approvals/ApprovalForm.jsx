@@ -0,0 +1,193 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useI18n } from '../../utils/useI18n';
+import { api } from '../../utils/api';
+import Card from '../ui/Card';
+import { travellersPath, travellersQueryKey } from '../travellers/travellerHelpers';
+import {
+  APPROVAL_TYPES,
+  AUTHORITY_SUGGESTIONS,
+  approvalsPath,
+  invalidateApprovalQueries,
+} from './approvalHelpers';
+import styles from './ApprovalForm.module.css';
+
+/**
+ * Raise an approval, requirement or impediment on a port call, or edit/delete an OPEN one
+ * @param {string} portCallId
+ * @param {Object} [approval] - Item being edited
+ */
+function ApprovalForm({ portCallId, approval, onClose }) {
+  const queryClient = useQueryClient();
+  const { t } = useI18n();
+  const isEdit = !!approval;
+  const [formData, setFormData] = useState({
+    type: approval?.type || 'APPROVAL',
+    authority: approval?.authority || '',
+    description: approval?.description || '',
+    dueDate: approval?.dueDate || '',
+    traveller: approval?.travellerId ? `${approval.travellerType}:${approval.travellerId}` : '',
+    notes: approval?.notes || '',
+  });
+  const [error, setError] = useState('');
+
+  // Crew and passengers of the port call, for items concerning one traveller
+  const { data: crew } = useQuery({
+    queryKey: travellersQueryKey('CREW', portCallId),
+    queryFn: () => api.get(travellersPath('CREW', portCallId)),
+  });
+  const { data: passengers } = useQuery({
+    queryKey: travellersQueryKey('PASSENGER', portCallId),
+    queryFn: () => api.get(travellersPath('PASSENGER', portCallId)),
+  });
+
+  const onSuccess = () => {
+    invalidateApprovalQueries(queryClient, portCallId);
+    onClose();
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: (data) =>
+      isEdit ? api.put(`/approvals/${approval.id}`, data) : api.post(approvalsPath(portCallId), data),
+    onSuccess,
+    onError: (err) => setError(err.message),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: () => api.delete(`/approvals/${approval.id}`),
+    onSuccess,
+    onError: (err) => setError(err.message),
+  });
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setError('');
+    const { traveller, ...data } = formData;
+    const [travellerType, travellerId] = traveller ? traveller.split(':') : [null, null];
+    saveMutation.mutate({ ...data, dueDate: data.dueDate || null, travellerType, travellerId });
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(t('approvals.deleteConfirm'))) {
+      deleteMutation.mutate();
+    }
+  };
+
+  const travellerName = (traveller) =>
+    [traveller.familyName?.toUpperCase(), traveller.givenNames].filter(Boolean).join(', ');
+
+  return (
+    <div className={styles.overlay} onClick={onClose}>
+      <Card className={styles.modal} onClick={(e) => e.stopPropagation()}>
+        <div className={styles.header}>
+          <h2>{isEdit ? t('approvals.edit') : t('approvals.addNew')}</h2>
+          <button className={styles.closeButton} onClick={onClose}>
+            ×
+          </button>
+        </div>
+        <form onSubmit={handleSubmit} className={styles.form}>
+          <div className={styles.row}>
+            <div className={styles.field}>
+              <label>{t('approvals.type')} *</label>
+              <select name="type" value={formData.type} onChange={handleChange} required>
+                {APPROVAL_TYPES.map((type) => (
+                  <option key={type} value={type}>{t(`approvals.types.${type}`)}</option>
+                ))}
+              </select>
+            </div>
+            <div className={styles.field}>
+              <label>{t('approvals.authority')} *</label>
+              <input
+                name="authority"
+                value={formData.authority}
+                onChange={handleChange}
+                list="approval-authorities"
+                maxLength={100}
+                required
+              />
+              <datalist id="approval-authorities">
+                {AUTHORITY_SUGGESTIONS.map((authority) => (
+                  <option key={authority} value={authority} />
+                ))}
+              </datalist>
+            </div>
+          </div>
+
+          <div className={styles.field}>
+            <label>{t('approvals.description')} *</label>
+            <textarea
+              name="description"
+              value={formData.description}
+              onChange={handleChange}
+              rows={2}
+              placeholder={t('approvals.descriptionPlaceholder')}
+              required
+            />
+          </div>
+
+          <div className={styles.row}>
+            <div className={styles.field}>
+              <label>{t('approvals.dueDate')}</label>
+              <input type="date" name="dueDate" value={formData.dueDate} onChange={handleChange} />
+            </div>
+            <div className={styles.field}>
+              <label>{t('approvals.traveller')}</label>
+              <select name="traveller" value={formData.traveller} onChange={handleChange}>
+                <option value="">{t('approvals.wholePortCall')}</option>
+                {crew?.length > 0 && (
+                  <optgroup label={t('tabs.crew')}>
+                    {crew.map((member) => (
+                      <option key={member.id} value={`CREW:${member.id}`}>{travellerName(member)}</option>
+                    ))}
+                  </optgroup>
+                )}
+                {passengers?.length > 0 && (
+                  <optgroup label={t('tabs.passengers')}>
+                    {passengers.map((passenger) => (
+                      <option key={passenger.id} value={`PASSENGER:${passenger.id}`}>
+                        {travellerName(passenger)}
+                      </option>
+                    ))}
+                  </optgroup>
+                )}
+              </select>
+            </div>
+          </div>
+
+          <div className={styles.field}>
+            <label>{t('approvals.notes')}</label>
+            <textarea name="notes" value={formData.notes} onChange={handleChange} rows={2} />
+          </div>
+
+          {error && <div className={styles.error}>{error}</div>}
+
+          <div className={styles.actions}>
+            {isEdit && (
+              <button
+                type="button"
+                className={styles.dangerButton}
+                onClick={handleDelete}
+                disabled={deleteMutation.isPending}
+              >
+                {t('common.delete')}
+              </button>
+            )}
+            <button type="button" className={styles.cancelButton} onClick={onClose}>
+              {t('common.cancel')}
+            </button>
+            <button type="submit" className={styles.saveButton} disabled={saveMutation.isPending}>
+              {saveMutation.isPending ? t('common.loading') : t('approvals.save')}
+            </button>
+          </div>
+        </form>
+      </Card>
+    </div>
+  );
+}
+
+export default ApprovalForm;
@@ -0,0 +1,50 @@
+import { useI18n } from '../../utils/useI18n';
+import KpiCard from '../ui/KpiCard';
+import styles from './ApprovalsTable.module.css';
+
+/**
+ * KPI cards for approval item counts plus one chip per authority with open items
+ * (from GET /approvals/summary or the port call approvals endpoint)
+ * @param {string} [selectedAuthority] - Highlighted chip
+ * @param {Function} [onSelectAuthority] - Called with the authority, or '' when the selected chip is clicked again
+ */
+function ApprovalSummary({ summary, selectedAuthority = '', onSelectAuthority }) {
+  const { t } = useI18n();
+
+  if (!summary) return null;
+
+  return (
+    <>
+      <div className={styles.summary}>
+        <KpiCard title={t('approvals.open')} value={summary.open} icon="📋" />
+        <KpiCard title={t('approvals.overdue')} value={summary.overdue} icon="⚠️" />
+        <KpiCard title={t('approvals.dueSoonTitle')} value={summary.dueSoon} icon="⏰" />
+        <KpiCard title={t('approvals.cleared')} value={summary.cleared} icon="✅" />
+      </div>
+      {summary.byAuthority.length > 0 && (
+        <div className={styles.authorities}>
+          {summary.byAuthority.map((row) => (
+            <button
+              key={row.authority}
+              type="button"
+              className={`${styles.authority} ${selectedAuthority === row.authority ? styles.selected : ''}`}
+              onClick={
+                onSelectAuthority
+                  ? () => onSelectAuthority(selectedAuthority === row.authority ? '' : row.authority)
+                  : undefined
+              }
+              disabled={!onSelectAuthority}
+            >
+              {row.authority}: {t('approvals.openCount', { count: row.open })}
+              {row.overdue > 0 && (
+                <span className={styles.overdue}>{t('approvals.overdueCount', { count: row.overdue })}</span>
+              )}
+            </button>
+          ))}
+        </div>
+      )}
+    </>
+  );
+}
+
+export default ApprovalSummary;
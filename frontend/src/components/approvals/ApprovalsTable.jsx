@@ -0,0 +1,143 @@
+import { useState } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { useI18n } from '../../utils/useI18n';
+import { api } from '../../utils/api';
+import { formatDate } from '../../utils/formatUtils';
+import Badge from '../ui/Badge';
+import ClearApprovalModal from './ClearApprovalModal';
+import { invalidateApprovalQueries } from './approvalHelpers';
+import styles from './ApprovalsTable.module.css';
+
+/**
+ * Approval items with due-date alerts and clearance evidence
+ * @param {boolean} [showPortCall] - Add the vessel/port column (tenant-wide tracker)
+ * @param {Function} [onEdit] - Open an OPEN item for editing; omit for read-only users
+ */
+function ApprovalsTable({ approvals, showPortCall = false, onEdit }) {
+  const queryClient = useQueryClient();
+  const { t } = useI18n();
+  const canEdit = !!onEdit;
+  const [clearing, setClearing] = useState(null);
+  const [error, setError] = useState('');
+
+  const reopenMutation = useMutation({
+    mutationFn: (approval) => api.post(`/approvals/${approval.id}/reopen`),
+    onSuccess: (approval) => invalidateApprovalQueries(queryClient, approval.portCallId),
+    onError: (err) => setError(err.message),
+  });
+
+  const handleReopen = (e, approval) => {
+    e.stopPropagation();
+    setError('');
+    if (window.confirm(t('approvals.reopenConfirm'))) {
+      reopenMutation.mutate(approval);
+    }
+  };
+
+  const handleClear = (e, approval) => {
+    e.stopPropagation();
+    setError('');
+    setClearing(approval);
+  };
+
+  if (!approvals || approvals.length === 0) {
+    return <div className={styles.empty}>{t('approvals.noItems')}</div>;
+  }
+
+  return (
+    <>
+      {error && <div className={styles.error}>{error}</div>}
+      <table className={styles.table}>
+        <thead>
+          <tr>
+            {showPortCall && <th>{t('approvals.portCall')}</th>}
+            <th>{t('approvals.authority')}</th>
+            <th>{t('approvals.type')}</th>
+            <th>{t('approvals.description')}</th>
+            <th>{t('approvals.dueDate')}</th>
+            <th>{t('approvals.status')}</th>
+            {canEdit && <th />}
+          </tr>
+        </thead>
+        <tbody>
+          {approvals.map((approval) => {
+            const isOpen = approval.status === 'OPEN';
+            return (
+              <tr
+                key={approval.id}
+                className={canEdit && isOpen ? styles.clickable : undefined}
+                onClick={canEdit && isOpen ? () => onEdit(approval) : undefined}
+              >
+                {showPortCall && (
+                  <td>
+                    {approval.portCall?.vesselName || approval.portCallId}
+                    {approval.portCall?.portName && (
+                      <span className={styles.secondary}>{approval.portCall.portName}</span>
+                    )}
+                  </td>
+                )}
+                <td>{approval.authority}</td>
+                <td>
+                  <span className={`${styles.type} ${styles[approval.type]}`}>
+                    {t(`approvals.types.${approval.type}`)}
+                  </span>
+                </td>
+                <td>
+                  {approval.description}
+                  {approval.travellerId && (
+                    <span className={styles.secondary}>
+                      {t(`approvals.travellerTypes.${approval.travellerType}`)}:{' '}
+                      {approval.travellerName || t('approvals.travellerRemoved')}
+                    </span>
+                  )}
+                </td>
+                <td>
+                  {formatDate(approval.dueDate)}
+                  {approval.isOverdue && (
+                    <span className={styles.overdue}>
+                      {t('approvals.daysOverdue', { days: approval.daysOverdue })}
+                    </span>
+                  )}
+                  {approval.isDueSoon && <span className={styles.dueSoon}>{t('approvals.dueSoon')}</span>}
+                </td>
+                <td>
+                  <Badge status={approval.status}>{t(`approvals.statuses.${approval.status}`)}</Badge>
+                  {!isOpen && (
+                    <span className={styles.secondary}>
+                      {formatDate(approval.clearedDate)} · {approval.evidenceReference}
+                      {approval.clearedByName && ` · ${approval.clearedByName}`}
+                    </span>
+                  )}
+                  {!isOpen && approval.evidenceNotes && (
+                    <span className={styles.secondary}>{approval.evidenceNotes}</span>
+                  )}
+                </td>
+                {canEdit && (
+                  <td className={styles.actions}>
+                    {isOpen ? (
+                      <button className={styles.actionButton} onClick={(e) => handleClear(e, approval)}>
+                        {t('approvals.clear')}
+                      </button>
+                    ) : (
+                      <button
+                        className={styles.actionButton}
+                        onClick={(e) => handleReopen(e, approval)}
+                        disabled={reopenMutation.isPending}
+                      >
+                        {t('approvals.reopen')}
+                      </button>
+                    )}
+                  </td>
+                )}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      {clearing && <ClearApprovalModal approval={clearing} onClose={() => setClearing(null)} />}
+    </>
+  );
+}
+
+export default ApprovalsTable;
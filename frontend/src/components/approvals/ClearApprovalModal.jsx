@@ -0,0 +1,99 @@
+import { useState } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { useI18n } from '../../utils/useI18n';
+import { api } from '../../utils/api';
+import Card from '../ui/Card';
+import { invalidateApprovalQueries, todayIsoDate } from './approvalHelpers';
+import styles from './ApprovalForm.module.css';
+
+/**
+ * Clear an OPEN item with its evidence (protocol, certificate or document number)
+ * @param {Object} approval - Item being cleared
+ */
+function ClearApprovalModal({ approval, onClose }) {
+  const queryClient = useQueryClient();
+  const { t } = useI18n();
+  const [formData, setFormData] = useState({
+    evidenceReference: '',
+    clearedDate: todayIsoDate(),
+    evidenceNotes: '',
+  });
+  const [error, setError] = useState('');
+
+  const clearMutation = useMutation({
+    mutationFn: (data) => api.post(`/approvals/${approval.id}/clear`, data),
+    onSuccess: () => {
+      invalidateApprovalQueries(queryClient, approval.portCallId);
+      onClose();
+    },
+    onError: (err) => setError(err.message),
+  });
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setError('');
+    clearMutation.mutate(formData);
+  };
+
+  return (
+    <div className={styles.overlay} onClick={onClose}>
+      <Card className={styles.modal} onClick={(e) => e.stopPropagation()}>
+        <div className={styles.header}>
+          <h2>{t('approvals.clearTitle')}</h2>
+          <button className={styles.closeButton} onClick={onClose}>
+            ×
+          </button>
+        </div>
+        <form onSubmit={handleSubmit} className={styles.form}>
+          <p className={styles.subject}>
+            <strong>
+              {approval.authority} · {t(`approvals.types.${approval.type}`)}
+            </strong>
+            {approval.description}
+          </p>
+
+          <div className={styles.row}>
+            <div className={styles.field}>
+              <label>{t('approvals.evidenceReference')} *</label>
+              <input
+                name="evidenceReference"
+                value={formData.evidenceReference}
+                onChange={handleChange}
+                placeholder={t('approvals.evidenceReferencePlaceholder')}
+                maxLength={255}
+                required
+              />
+            </div>
+            <div className={styles.field}>
+              <label>{t('approvals.clearedDate')} *</label>
+              <input type="date" name="clearedDate" value={formData.clearedDate} onChange={handleChange} required />
+            </div>
+          </div>
+
+          <div className={styles.field}>
+            <label>{t('approvals.evidenceNotes')}</label>
+            <textarea name="evidenceNotes" value={formData.evidenceNotes} onChange={handleChange} rows={3} />
+          </div>
+
+          {error && <div className={styles.error}>{error}</div>}
+
+          <div className={styles.actions}>
+            <button type="button" className={styles.cancelButton} onClick={onClose}>
+              {t('common.cancel')}
+            </button>
+            <button type="submit" className={styles.saveButton} disabled={clearMutation.isPending}>
+              {clearMutation.isPending ? t('common.loading') : t('approvals.clear')}
+            </button>
+          </div>
+        </form>
+      </Card>
+    </div>
+  );
+}
+
+export default ClearApprovalModal;
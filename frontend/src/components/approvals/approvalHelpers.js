@@ -0,0 +1,43 @@
+/**
+ * Approval item constants and query helpers shared by the Security page and the port call security tab
+ */
+
+// Mirrors APPROVAL_TYPES / APPROVAL_STATUSES in backend/db/approvals.js
+export const APPROVAL_TYPES = ['APPROVAL', 'REQUIREMENT', 'IMPEDIMENT'];
+export const APPROVAL_STATUSES = ['OPEN', 'CLEARED'];
+
+// Suggested authorities (free text; any other authority may be typed)
+export const AUTHORITY_SUGGESTIONS = [
+  'ANVISA',
+  'Receita Federal',
+  'Polícia Federal',
+  'Capitania dos Portos',
+  'VIGIAGRO',
+  'Autoridade Portuária',
+];
+
+/**
+ * API path of a port call's approval items
+ */
+export function approvalsPath(portCallId) {
+  return `/port-calls/${portCallId}/approvals`;
+}
+
+/**
+ * Refetch every view showing approval items after a change (tracker, port call tab, dashboard KPI)
+ */
+export function invalidateApprovalQueries(queryClient, portCallId) {
+  queryClient.invalidateQueries({ queryKey: ['approvals'] });
+  queryClient.invalidateQueries({ queryKey: ['dashboard', 'stats'] });
+  if (portCallId) {
+    queryClient.invalidateQueries({ queryKey: ['portCall', portCallId, 'approvals'] });
+  }
+}
+
+/**
+ * Today's date as YYYY-MM-DD in the browser's time zone (default cleared date)
+ */
+export function todayIsoDate() {
+  const now = new Date();
+  return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+}
@@ -0,0 +1,104 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useI18n } from '../../utils/useI18n';
+import { api } from '../../utils/api';
+import Card from '../ui/Card';
+import { FILE_TYPE_LABELS, attachmentsPath, invalidateAttachmentQueries } from './attachmentHelpers';
+import styles from './AttachmentUploadForm.module.css';
+
+/**
+ * Upload a file to a port call
+ * The accepted types and size come from the tenant's attachment settings; the server checks the
+ * file's content again, so the picker filter is only a convenience.
+ * @param {string} portCallId
+ */
+function AttachmentUploadForm({ portCallId, onClose }) {
+  const queryClient = useQueryClient();
+  const { t } = useI18n();
+  const [file, setFile] = useState(null);
+  const [description, setDescription] = useState('');
+  const [error, setError] = useState('');
+
+  const { data: settings } = useQuery({
+    queryKey: ['settings', 'attachments'],
+    queryFn: () => api.get('/settings/attachments'),
+  });
+
+  const uploadMutation = useMutation({
+    mutationFn: (formData) => api.upload(attachmentsPath(portCallId), formData),
+    onSuccess: () => {
+      invalidateAttachmentQueries(queryClient, portCallId);
+      onClose();
+    },
+    onError: (err) => setError(err.message),
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setError('');
+    if (!file) return;
+    if (settings && file.size > settings.maxFileSizeMb * 1024 * 1024) {
+      setError(t('attachments.tooLarge', { size: settings.maxFileSizeMb }));
+      return;
+    }
+    const formData = new FormData();
+    formData.append('description', description);
+    formData.append('file', file);
+    uploadMutation.mutate(formData);
+  };
+
+  return (
+    <div className={styles.overlay} onClick={onClose}>
+      <Card className={styles.modal} onClick={(e) => e.stopPropagation()}>
+        <div className={styles.header}>
+          <h2>{t('attachments.upload')}</h2>
+          <button className={styles.closeButton} onClick={onClose}>
+            ×
+          </button>
+        </div>
+        <form onSubmit={handleSubmit} className={styles.form}>
+          <div className={styles.field}>
+            <label>{t('attachments.file')} *</label>
+            <input
+              type="file"
+              accept={settings?.allowedExtensions.join(',')}
+              onChange={(e) => setFile(e.target.files[0] || null)}
+              required
+            />
+            {settings && (
+              <p className={styles.helpText}>
+                {t('attachments.allowedHint', {
+                  types: settings.allowedTypes.map((type) => FILE_TYPE_LABELS[type] || type).join(', '),
+                  size: settings.maxFileSizeMb,
+                })}
+              </p>
+            )}
+          </div>
+
+          <div className={styles.field}>
+            <label>{t('attachments.description')}</label>
+            <input
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              placeholder={t('attachments.descriptionPlaceholder')}
+              maxLength={500}
+            />
+          </div>
+
+          {error && <div className={styles.error}>{error}</div>}
+
+          <div className={styles.actions}>
+            <button type="button" className={styles.cancelButton} onClick={onClose}>
+              {t('common.cancel')}
+            </button>
+            <button type="submit" className={styles.saveButton} disabled={!file || uploadMutation.isPending}>
+              {uploadMutation.isPending ? t('attachments.uploading') : t('attachments.upload')}
+            </button>
+          </div>
+        </form>
+      </Card>
+    </div>
+  );
+}
+
+export default AttachmentUploadForm;
@@ -0,0 +1,86 @@
+import { useState } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { FiFile, FiFileText, FiImage } from 'react-icons/fi';
+import { useI18n } from '../../utils/useI18n';
+import { api } from '../../utils/api';
+import { FILE_TYPE_LABELS, attachmentsPath, formatFileSize, invalidateAttachmentQueries } from './attachmentHelpers';
+import styles from './AttachmentsList.module.css';
+
+function FileIcon({ fileType }) {
+  if (fileType.startsWith('image/')) return <FiImage />;
+  if (fileType === 'application/pdf' || fileType.startsWith('text/')) return <FiFileText />;
+  return <FiFile />;
+}
+
+/**
+ * A port call's attachments with previews and download links
+ * Links are signed by the API and expire, so they come fresh with each fetch of the list.
+ * @param {string} portCallId
+ * @param {boolean} [canEdit] - Show delete actions
+ */
+function AttachmentsList({ portCallId, attachments, canEdit = false }) {
+  const queryClient = useQueryClient();
+  const { t } = useI18n();
+  const [error, setError] = useState('');
+
+  const deleteMutation = useMutation({
+    mutationFn: (attachment) => api.delete(`${attachmentsPath(portCallId)}/${attachment.id}`),
+    onSuccess: () => invalidateAttachmentQueries(queryClient, portCallId),
+    onError: (err) => setError(err.message),
+  });
+
+  const handleDelete = (attachment) => {
+    setError('');
+    if (window.confirm(t('attachments.deleteConfirm', { name: attachment.fileName }))) {
+      deleteMutation.mutate(attachment);
+    }
+  };
+
+  if (!attachments || attachments.length === 0) {
+    return <div className={styles.empty}>{t('attachments.noAttachments')}</div>;
+  }
+
+  return (
+    <>
+      {error && <div className={styles.error}>{error}</div>}
+      <ul className={styles.list}>
+        {attachments.map((attachment) => (
+          <li key={attachment.id} className={styles.item}>
+            <a className={styles.preview} href={api.url(attachment.downloadUrl)} title={t('attachments.download')}>
+              {attachment.thumbnailUrl ? (
+                <img src={api.url(attachment.thumbnailUrl)} alt="" loading="lazy" />
+              ) : (
+                <FileIcon fileType={attachment.fileType} />
+              )}
+            </a>
+            <div className={styles.details}>
+              <a className={styles.name} href={api.url(attachment.downloadUrl)}>
+                {attachment.fileName}
+              </a>
+              {attachment.description && <p className={styles.description}>{attachment.description}</p>}
+              <p className={styles.meta}>
+                {[
+                  FILE_TYPE_LABELS[attachment.fileType] || attachment.fileType,
+                  formatFileSize(attachment.fileSize),
+                  attachment.uploadedByName,
+                  new Date(attachment.createdAt).toLocaleDateString(),
+                ].filter(Boolean).join(' · ')}
+              </p>
+            </div>
+            {canEdit && (
+              <button
+                className={styles.deleteButton}
+                onClick={() => handleDelete(attachment)}
+                disabled={deleteMutation.isPending}
+              >
+                {t('common.delete')}
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </>
+  );
+}
+
+export default AttachmentsList;
@@ -0,0 +1,41 @@
+/**
+ * Attachment constants and query helpers shared by the port call attachments tab and settings
+ */
+
+// Short labels of the types the server accepts (SUPPORTED_FILE_TYPES in backend/services/fileTypes.js)
+export const FILE_TYPE_LABELS = {
+  'application/pdf': 'PDF',
+  'image/png': 'PNG',
+  'image/jpeg': 'JPEG',
+  'image/gif': 'GIF',
+  'image/webp': 'WebP',
+  'image/tiff': 'TIFF',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'Word (DOCX)',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'Excel (XLSX)',
+  'text/csv': 'CSV',
+  'text/plain': 'Text',
+};
+
+/**
+ * API path of a port call's attachments
+ */
+export function attachmentsPath(portCallId) {
+  return `/port-calls/${portCallId}/attachments`;
+}
+
+/**
+ * Refetch the attachments tab after a change
+ */
+export function invalidateAttachmentQueries(queryClient, portCallId) {
+  queryClient.invalidateQueries({ queryKey: ['portCall', portCallId, 'attachments'] });
+}
+
+/**
+ * Format a byte count as B, KB or MB
+ */
+export function formatFileSize(bytes) {
+  if (bytes === null || bytes === undefined) return '-';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
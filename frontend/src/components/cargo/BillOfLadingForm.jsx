@@ -0,0 +1,170 @@
+import { useState } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { useI18n } from '../../utils/useI18n';
+import { api } from '../../utils/api';
+import Card from '../ui/Card';
+import { manifestsPath, invalidateCargoQueries } from './cargoHelpers';
+import styles from './ManifestForm.module.css';
+
+/**
+ * Add a bill of lading to a manifest, or edit/remove one
+ * @param {string} portCallId
+ * @param {Object} manifest - Manifest the bill of lading is on
+ * @param {Object} [billOfLading] - Bill of lading being edited
+ */
+function BillOfLadingForm({ portCallId, manifest, billOfLading, onClose }) {
+  const queryClient = useQueryClient();
+  const { t } = useI18n();
+  const isEdit = !!billOfLading;
+  const [formData, setFormData] = useState({
+    blNumber: billOfLading?.blNumber || '',
+    shipper: billOfLading?.shipper || '',
+    consignee: billOfLading?.consignee || '',
+    notifyParty: billOfLading?.notifyParty || '',
+    cargoDescription: billOfLading?.cargoDescription || '',
+    packageCount: billOfLading?.packageCount ?? '',
+    weight: billOfLading?.weight ?? '',
+    volume: billOfLading?.volume ?? '',
+    containerInfo: billOfLading?.containerInfo || '',
+  });
+  const [error, setError] = useState('');
+  const basePath = `${manifestsPath(portCallId)}/${manifest.id}/bills-of-lading`;
+
+  const onSuccess = () => {
+    invalidateCargoQueries(queryClient, portCallId);
+    onClose();
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: (data) => (isEdit ? api.put(`${basePath}/${billOfLading.id}`, data) : api.post(basePath, data)),
+    onSuccess,
+    onError: (err) => setError(err.message),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: () => api.delete(`${basePath}/${billOfLading.id}`),
+    onSuccess,
+    onError: (err) => setError(err.message),
+  });
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setError('');
+    const toNumber = (value) => (value === '' ? null : Number(value));
+    saveMutation.mutate({
+      ...formData,
+      packageCount: toNumber(formData.packageCount),
+      weight: toNumber(formData.weight),
+      volume: toNumber(formData.volume),
+    });
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(t('cargo.deleteBlConfirm', { number: billOfLading.blNumber }))) {
+      deleteMutation.mutate();
+    }
+  };
+
+  return (
+    <div className={styles.overlay} onClick={onClose}>
+      <Card className={styles.modal} onClick={(e) => e.stopPropagation()}>
+        <div className={styles.header}>
+          <h2>
+            {isEdit ? t('cargo.editBl') : t('cargo.addBl')} · {manifest.manifestNumber}
+          </h2>
+          <button className={styles.closeButton} onClick={onClose}>
+            ×
+          </button>
+        </div>
+        <form onSubmit={handleSubmit} className={styles.form}>
+          <div className={styles.field}>
+            <label>{t('cargo.blNumber')} *</label>
+            <input name="blNumber" value={formData.blNumber} onChange={handleChange} required />
+          </div>
+
+          <div className={styles.row}>
+            <div className={styles.field}>
+              <label>{t('cargo.shipper')}</label>
+              <textarea name="shipper" value={formData.shipper} onChange={handleChange} rows={2} />
+            </div>
+            <div className={styles.field}>
+              <label>{t('cargo.consignee')}</label>
+              <textarea name="consignee" value={formData.consignee} onChange={handleChange} rows={2} />
+            </div>
+          </div>
+
+          <div className={styles.field}>
+            <label>{t('cargo.notifyParty')}</label>
+            <input name="notifyParty" value={formData.notifyParty} onChange={handleChange} />
+          </div>
+
+          <div className={styles.field}>
+            <label>{t('cargo.cargoDescription')}</label>
+            <textarea name="cargoDescription" value={formData.cargoDescription} onChange={handleChange} rows={2} />
+          </div>
+
+          <div className={styles.row3}>
+            <div className={styles.field}>
+              <label>{t('cargo.packageCount')}</label>
+              <input
+                type="number"
+                name="packageCount"
+                min="0"
+                step="1"
+                value={formData.packageCount}
+                onChange={handleChange}
+              />
+            </div>
+            <div className={styles.field}>
+              <label>{t('cargo.weightKg')}</label>
+              <input type="number" name="weight" min="0" step="0.001" value={formData.weight} onChange={handleChange} />
+            </div>
+            <div className={styles.field}>
+              <label>{t('cargo.volumeM3')}</label>
+              <input type="number" name="volume" min="0" step="0.001" value={formData.volume} onChange={handleChange} />
+            </div>
+          </div>
+
+          <div className={styles.field}>
+            <label>{t('cargo.containerInfo')}</label>
+            <textarea
+              name="containerInfo"
+              value={formData.containerInfo}
+              onChange={handleChange}
+              rows={2}
+              placeholder={t('cargo.containerInfoPlaceholder')}
+            />
+          </div>
+
+          {error && <div className={styles.error}>{error}</div>}
+
+          <div className={styles.actions}>
+            {isEdit && (
+              <button
+                type="button"
+                className={styles.dangerButton}
+                onClick={handleDelete}
+                disabled={deleteMutation.isPending}
+              >
+                {t('common.delete')}
+              </button>
+            )}
+            <button type="button" className={styles.cancelButton} onClick={onClose}>
+              {t('common.cancel')}
+            </button>
+            <button type="submit" className={styles.saveButton} disabled={saveMutation.isPending}>
+              {saveMutation.isPending ? t('common.loading') : t('cargo.save')}
+            </button>
+          </div>
+        </form>
+      </Card>
+    </div>
+  );
+}
+
+export default BillOfLadingForm;
@@ -0,0 +1,143 @@
+import { useState } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { useI18n } from '../../utils/useI18n';
+import { api } from '../../utils/api';
+import Card from '../ui/Card';
+import { MANIFEST_TYPES, manifestsPath, invalidateCargoQueries } from './cargoHelpers';
+import styles from './ManifestForm.module.css';
+
+/**
+ * Create a manifest for a port call, or edit/delete one
+ * @param {string} portCallId
+ * @param {Object} [manifest] - Manifest being edited
+ */
+function ManifestForm({ portCallId, manifest, onClose }) {
+  const queryClient = useQueryClient();
+  const { t } = useI18n();
+  const isEdit = !!manifest;
+  const [formData, setFormData] = useState({
+    manifestNumber: manifest?.manifestNumber || '',
+    type: manifest?.type || 'IMPORT',
+    cargoType: manifest?.cargoType || '',
+    portOfLoading: manifest?.portOfLoading || '',
+    portOfDischarge: manifest?.portOfDischarge || '',
+    notes: manifest?.notes || '',
+  });
+  const [error, setError] = useState('');
+  const basePath = manifestsPath(portCallId);
+
+  const onSuccess = () => {
+    invalidateCargoQueries(queryClient, portCallId);
+    onClose();
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: (data) => (isEdit ? api.put(`${basePath}/${manifest.id}`, data) : api.post(basePath, data)),
+    onSuccess,
+    onError: (err) => setError(err.message),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: () => api.delete(`${basePath}/${manifest.id}`),
+    onSuccess,
+    onError: (err) => setError(err.message),
+  });
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setError('');
+    saveMutation.mutate(formData);
+  };
+
+  const handleDelete = () => {
+    const message = manifest.blCount > 0
+      ? t('cargo.deleteManifestWithBlsConfirm', { count: manifest.blCount })
+      : t('cargo.deleteManifestConfirm');
+    if (window.confirm(message)) {
+      deleteMutation.mutate();
+    }
+  };
+
+  return (
+    <div className={styles.overlay} onClick={onClose}>
+      <Card className={styles.modal} onClick={(e) => e.stopPropagation()}>
+        <div className={styles.header}>
+          <h2>{isEdit ? t('cargo.editManifest') : t('cargo.addManifest')}</h2>
+          <button className={styles.closeButton} onClick={onClose}>
+            ×
+          </button>
+        </div>
+        <form onSubmit={handleSubmit} className={styles.form}>
+          <div className={styles.row}>
+            <div className={styles.field}>
+              <label>{t('cargo.manifestNumber')} *</label>
+              <input name="manifestNumber" value={formData.manifestNumber} onChange={handleChange} required />
+            </div>
+            <div className={styles.field}>
+              <label>{t('cargo.manifestType')} *</label>
+              <select name="type" value={formData.type} onChange={handleChange} required>
+                {MANIFEST_TYPES.map((type) => (
+                  <option key={type} value={type}>{t(`cargo.types.${type}`)}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className={styles.field}>
+            <label>{t('cargo.cargoType')}</label>
+            <input
+              name="cargoType"
+              value={formData.cargoType}
+              onChange={handleChange}
+              placeholder={t('cargo.cargoTypePlaceholder')}
+            />
+          </div>
+
+          <div className={styles.row}>
+            <div className={styles.field}>
+              <label>{t('cargo.portOfLoading')}</label>
+              <input name="portOfLoading" value={formData.portOfLoading} onChange={handleChange} />
+            </div>
+            <div className={styles.field}>
+              <label>{t('cargo.portOfDischarge')}</label>
+              <input name="portOfDischarge" value={formData.portOfDischarge} onChange={handleChange} />
+            </div>
+          </div>
+
+          <div className={styles.field}>
+            <label>{t('cargo.notes')}</label>
+            <textarea name="notes" value={formData.notes} onChange={handleChange} rows={2} />
+          </div>
+
+          {error && <div className={styles.error}>{error}</div>}
+
+          <div className={styles.actions}>
+            {isEdit && (
+              <button
+                type="button"
+                className={styles.dangerButton}
+                onClick={handleDelete}
+                disabled={deleteMutation.isPending}
+              >
+                {t('common.delete')}
+              </button>
+            )}
+            <button type="button" className={styles.cancelButton} onClick={onClose}>
+              {t('common.cancel')}
+            </button>
+            <button type="submit" className={styles.saveButton} disabled={saveMutation.isPending}>
+              {saveMutation.isPending ? t('common.loading') : t('cargo.save')}
+            </button>
+          </div>
+        </form>
+      </Card>
+    </div>
+  );
+}
+
+export default ManifestForm;
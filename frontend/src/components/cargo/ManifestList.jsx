@@ -0,0 +1,98 @@
+import { useI18n } from '../../utils/useI18n';
+import { formatQuantity } from './cargoHelpers';
+import styles from './ManifestList.module.css';
+
+/**
+ * A port call's manifests, each with its bills of lading
+ * Edit callbacks are omitted for read-only users.
+ * @param {Function} [onEditManifest] - (manifest)
+ * @param {Function} [onAddBillOfLading] - (manifest)
+ * @param {Function} [onEditBillOfLading] - (manifest, billOfLading)
+ */
+function ManifestList({ manifests, onEditManifest, onAddBillOfLading, onEditBillOfLading }) {
+  const { t } = useI18n();
+
+  if (!manifests || manifests.length === 0) {
+    return <div className={styles.empty}>{t('cargo.noManifests')}</div>;
+  }
+
+  return (
+    <div className={styles.list}>
+      {manifests.map((manifest) => (
+        <section key={manifest.id} className={styles.manifest}>
+          <div className={styles.manifestHeader}>
+            <div>
+              <h3>
+                {manifest.manifestNumber}
+                <span className={styles.type}>{t(`cargo.types.${manifest.type}`)}</span>
+              </h3>
+              <p className={styles.meta}>
+                {[
+                  manifest.cargoType,
+                  [manifest.portOfLoading, manifest.portOfDischarge].filter(Boolean).join(' → '),
+                  t('cargo.blTotals', {
+                    count: manifest.blCount,
+                    weight: formatQuantity(manifest.totalWeight),
+                    volume: formatQuantity(manifest.totalVolume),
+                  }),
+                ].filter(Boolean).join(' · ')}
+              </p>
+            </div>
+            {onEditManifest && (
+              <div className={styles.actions}>
+                <button className={styles.linkButton} onClick={() => onEditManifest(manifest)}>
+                  {t('common.edit')}
+                </button>
+                <button className={styles.linkButton} onClick={() => onAddBillOfLading(manifest)}>
+                  {t('cargo.addBl')}
+                </button>
+              </div>
+            )}
+          </div>
+
+          {manifest.billsOfLading.length > 0 ? (
+            <table className={styles.table}>
+              <thead>
+                <tr>
+                  <th>{t('cargo.blNumber')}</th>
+                  <th>{t('cargo.shipper')}</th>
+                  <th>{t('cargo.consignee')}</th>
+                  <th>{t('cargo.cargoDescription')}</th>
+                  <th className={styles.numeric}>{t('cargo.packageCount')}</th>
+                  <th className={styles.numeric}>{t('cargo.weightKg')}</th>
+                  <th className={styles.numeric}>{t('cargo.volumeM3')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {manifest.billsOfLading.map((billOfLading) => (
+                  <tr
+                    key={billOfLading.id}
+                    className={onEditBillOfLading ? styles.clickable : undefined}
+                    onClick={onEditBillOfLading ? () => onEditBillOfLading(manifest, billOfLading) : undefined}
+                  >
+                    <td>{billOfLading.blNumber}</td>
+                    <td>{billOfLading.shipper || '-'}</td>
+                    <td>{billOfLading.consignee || '-'}</td>
+                    <td>
+                      {billOfLading.cargoDescription || '-'}
+                      {billOfLading.containerInfo && (
+                        <span className={styles.secondary}>{billOfLading.containerInfo}</span>
+                      )}
+                    </td>
+                    <td className={styles.numeric}>{billOfLading.packageCount ?? '-'}</td>
+                    <td className={styles.numeric}>{formatQuantity(billOfLading.weight)}</td>
+                    <td className={styles.numeric}>{formatQuantity(billOfLading.volume)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <div className={styles.empty}>{t('cargo.noBls')}</div>
+          )}
+        </section>
+      ))}
+    </div>
+  );
+}
+
+export default ManifestList;
@@ -0,0 +1,29 @@
+/**
+ * Manifest constants and query helpers shared by the port call cargo tab
+ */
+
+// Mirrors MANIFEST_TYPES in backend/db/manifests.js
+export const MANIFEST_TYPES = ['IMPORT', 'EXPORT', 'CABOTAGE'];
+
+/**
+ * API path of a port call's manifests
+ */
+export function manifestsPath(portCallId) {
+  return `/port-calls/${portCallId}/manifests`;
+}
+
+/**
+ * Refetch every view showing cargo after a change (cargo tab, port call BL count, dashboard total)
+ */
+export function invalidateCargoQueries(queryClient, portCallId) {
+  queryClient.invalidateQueries({ queryKey: ['portCall', portCallId] });
+  queryClient.invalidateQueries({ queryKey: ['dashboard', 'stats'] });
+}
+
+/**
+ * Format a quantity with up to 3 decimals in the browser locale ("-" when empty)
+ */
+export function formatQuantity(value) {
+  if (value === null || value === undefined) return '-';
+  return Number(value).toLocaleString(undefined, { maximumFractionDigits: 3 });
+}
@@ -0,0 +1,130 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useI18n } from '../../utils/useI18n';
+import { api } from '../../utils/api';
+import { formatMoney } from '../../utils/formatUtils';
+import Card from '../ui/Card';
+import { disbursementPath, disbursementQueryKey } from './disbursementHelpers';
+import styles from './DisbursementForm.module.css';
+
+/**
+ * Request funding for a PDA from the customer, or record the funds received so far
+ * @param {string} portCallId
+ * @param {Object} account
+ * @param {Object} totals
+ * @param {'request' | 'received'} mode
+ */
+function DisbursementFundingForm({ portCallId, account, totals, mode, onClose }) {
+  const queryClient = useQueryClient();
+  const { t } = useI18n();
+  const isRequest = mode === 'request';
+  const [formData, setFormData] = useState(isRequest
+    ? {
+      customerId: account.customerId || '',
+      amount: account.fundingAmount ?? totals.estimated,
+      dueAt: account.fundingDueAt ? account.fundingDueAt.slice(0, 10) : '',
+    }
+    : {
+      amount: account.fundsReceivedAmount || '',
+      receivedAt: (account.fundsReceivedAt || new Date().toISOString()).slice(0, 10),
+    });
+  const [error, setError] = useState('');
+
+  const { data: customers } = useQuery({
+    queryKey: ['customers'],
+    queryFn: () => api.get('/customers'),
+    enabled: isRequest,
+  });
+
+  const saveMutation = useMutation({
+    mutationFn: (data) => api.post(`${disbursementPath(portCallId)}/${isRequest ? 'funding-request' : 'funds-received'}`, data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: disbursementQueryKey(portCallId) });
+      onClose();
+    },
+    onError: (err) => setError(err.message),
+  });
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setError('');
+    saveMutation.mutate(formData);
+  };
+
+  return (
+    <div className={styles.overlay} onClick={onClose}>
+      <Card className={styles.modal} onClick={(e) => e.stopPropagation()}>
+        <div className={styles.header}>
+          <h2>{isRequest ? t('disbursements.requestFunding') : t('disbursements.recordFunds')}</h2>
+          <button className={styles.closeButton} onClick={onClose}>
+            ×
+          </button>
+        </div>
+        <form onSubmit={handleSubmit} className={styles.form}>
+          {isRequest ? (
+            <>
+              <p className={styles.hint}>
+                {t('disbursements.fundingHint', { total: formatMoney(totals.estimated, account.currency) })}
+              </p>
+              <div className={styles.field}>
+                <label>{t('disbursements.customer')} *</label>
+                <select name="customerId" value={formData.customerId} onChange={handleChange} required>
+                  <option value="">{t('disbursements.selectCustomer')}</option>
+                  {(customers || []).map((customer) => (
+                    <option key={customer.id} value={customer.id}>
+                      {customer.nomeFantasia || customer.razaoSocial}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className={styles.row}>
+                <div className={styles.field}>
+                  <label>{t('disbursements.fundingAmount')} ({account.currency}) *</label>
+                  <input type="number" name="amount" value={formData.amount} onChange={handleChange} min="0" step="0.01" required />
+                </div>
+                <div className={styles.field}>
+                  <label>{t('disbursements.fundingDueAt')}</label>
+                  <input type="date" name="dueAt" value={formData.dueAt} onChange={handleChange} />
+                </div>
+              </div>
+            </>
+          ) : (
+            <>
+              <p className={styles.hint}>{t('disbursements.fundsHint')}</p>
+              <div className={styles.row}>
+                <div className={styles.field}>
+                  <label>{t('disbursements.fundsReceived')} ({account.currency}) *</label>
+                  <input type="number" name="amount" value={formData.amount} onChange={handleChange} min="0" step="0.01" required />
+                </div>
+                <div className={styles.field}>
+                  <label>{t('disbursements.receivedAt')}</label>
+                  <input type="date" name="receivedAt" value={formData.receivedAt} onChange={handleChange} />
+                </div>
+              </div>
+            </>
+          )}
+
+          {error && <div className={styles.error}>{error}</div>}
+
+          <div className={styles.actions}>
+            <button type="button" className={styles.cancelButton} onClick={onClose}>
+              {t('common.cancel')}
+            </button>
+            <button type="submit" className={styles.saveButton} disabled={saveMutation.isPending}>
+              {saveMutation.isPending
+                ? t('common.loading')
+                : isRequest ? t('disbursements.requestFunding') : t('disbursements.save')}
+            </button>
+          </div>
+        </form>
+      </Card>
+    </div>
+  );
+}
+
+export default DisbursementFundingForm;
@@ -0,0 +1,131 @@
+import { useState } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { useI18n } from '../../utils/useI18n';
+import { api } from '../../utils/api';
+import Card from '../ui/Card';
+import { LINE_CATEGORIES, disbursementPath, disbursementQueryKey } from './disbursementHelpers';
+import styles from './DisbursementForm.module.css';
+
+/**
+ * Add a line to a disbursement account, or edit/delete one. The PDA edits estimates, the FDA
+ * actual amounts (PDA lines stay on the FDA and cannot be deleted there)
+ * @param {string} portCallId
+ * @param {string} stage - 'PDA' or 'FDA'
+ * @param {Object} [line] - Line being edited
+ */
+function DisbursementLineForm({ portCallId, stage, line, onClose }) {
+  const queryClient = useQueryClient();
+  const { t } = useI18n();
+  const isEdit = !!line?.id;
+  const amountField = stage === 'PDA' ? 'estimatedAmount' : 'actualAmount';
+  const [formData, setFormData] = useState({
+    category: line?.category || 'AGENCY',
+    description: line?.description || '',
+    amount: line?.[amountField] ?? '',
+    notes: line?.notes || '',
+  });
+  const [error, setError] = useState('');
+  const basePath = `${disbursementPath(portCallId)}/lines`;
+  const canDelete = isEdit && (stage === 'PDA' || !line.estimatedAmount);
+
+  const onSuccess = () => {
+    queryClient.invalidateQueries({ queryKey: disbursementQueryKey(portCallId) });
+    onClose();
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: (data) => (isEdit ? api.put(`${basePath}/${line.id}`, data) : api.post(basePath, data)),
+    onSuccess,
+    onError: (err) => setError(err.message),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: () => api.delete(`${basePath}/${line.id}`),
+    onSuccess,
+    onError: (err) => setError(err.message),
+  });
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setError('');
+    const { amount, ...rest } = formData;
+    saveMutation.mutate({ ...rest, [amountField]: amount });
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(t('disbursements.deleteLineConfirm'))) {
+      deleteMutation.mutate();
+    }
+  };
+
+  return (
+    <div className={styles.overlay} onClick={onClose}>
+      <Card className={styles.modal} onClick={(e) => e.stopPropagation()}>
+        <div className={styles.header}>
+          <h2>{isEdit ? t('disbursements.editLine') : t('disbursements.addLine')}</h2>
+          <button className={styles.closeButton} onClick={onClose}>
+            ×
+          </button>
+        </div>
+        <form onSubmit={handleSubmit} className={styles.form}>
+          {stage === 'FDA' && line?.source && line.source !== 'MANUAL' && (
+            <p className={styles.hint}>{t('disbursements.linkedLineHint')}</p>
+          )}
+
+          <div className={styles.row}>
+            <div className={styles.field}>
+              <label>{t('disbursements.category')} *</label>
+              <select name="category" value={formData.category} onChange={handleChange} required>
+                {LINE_CATEGORIES.map((category) => (
+                  <option key={category} value={category}>{t(`disbursements.categories.${category}`)}</option>
+                ))}
+              </select>
+            </div>
+            <div className={styles.field}>
+              <label>{stage === 'PDA' ? t('disbursements.estimated') : t('disbursements.actual')} *</label>
+              <input type="number" name="amount" value={formData.amount} onChange={handleChange} min="0" step="0.01" required />
+            </div>
+          </div>
+
+          <div className={styles.field}>
+            <label>{t('disbursements.description')} *</label>
+            <input name="description" value={formData.description} onChange={handleChange} required />
+          </div>
+
+          <div className={styles.field}>
+            <label>{t('disbursements.notes')}</label>
+            <textarea name="notes" value={formData.notes} onChange={handleChange} rows={2} />
+          </div>
+
+          {error && <div className={styles.error}>{error}</div>}
+
+          <div className={styles.actions}>
+            {canDelete && (
+              <button
+                type="button"
+                className={styles.dangerButton}
+                onClick={handleDelete}
+                disabled={deleteMutation.isPending}
+              >
+                {t('common.delete')}
+              </button>
+            )}
+            <button type="button" className={styles.cancelButton} onClick={onClose}>
+              {t('common.cancel')}
+            </button>
+            <button type="submit" className={styles.saveButton} disabled={saveMutation.isPending}>
+              {saveMutation.isPending ? t('common.loading') : t('disbursements.save')}
+            </button>
+          </div>
+        </form>
+      </Card>
+    </div>
+  );
+}
+
+export default DisbursementLineForm;
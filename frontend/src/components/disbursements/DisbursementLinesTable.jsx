@@ -0,0 +1,87 @@
+import { Fragment } from 'react';
+import { useI18n } from '../../utils/useI18n';
+import { formatMoney } from '../../utils/formatUtils';
+import styles from './DisbursementTable.module.css';
+
+/**
+ * Lines of a disbursement account grouped by category; once reconciled (FDA) each line shows its
+ * actual amount and variance against the PDA
+ * @param {string} stage - 'PDA' or 'FDA'
+ * @param {Function} [onEdit] - Open a line for editing; omit when read-only
+ */
+function DisbursementLinesTable({ lines, totals, currency, stage, onEdit }) {
+  const { t } = useI18n();
+  const isFinal = stage === 'FDA';
+  const money = (amount) => (amount === null ? '-' : formatMoney(amount, currency));
+  const varianceClass = (variance) => {
+    if (!variance) return styles.amount;
+    return `${styles.amount} ${variance > 0 ? styles.overBudget : styles.underBudget}`;
+  };
+
+  if (!lines || lines.length === 0) {
+    return <div className={styles.empty}>{t('disbursements.noLines')}</div>;
+  }
+
+  return (
+    <table className={styles.table}>
+      <thead>
+        <tr>
+          <th>{t('disbursements.description')}</th>
+          <th>{t('disbursements.source')}</th>
+          <th className={styles.amount}>{isFinal ? t('disbursements.pda') : t('disbursements.estimated')}</th>
+          {isFinal && (
+            <>
+              <th className={styles.amount}>{t('disbursements.actual')}</th>
+              <th className={styles.amount}>{t('disbursements.variance')}</th>
+            </>
+          )}
+        </tr>
+      </thead>
+      <tbody>
+        {lines.map((line, index) => (
+          <Fragment key={line.id}>
+            {line.category !== lines[index - 1]?.category && (
+              <tr className={styles.categoryRow}>
+                <td colSpan={isFinal ? 5 : 3}>{t(`disbursements.categories.${line.category}`)}</td>
+              </tr>
+            )}
+            <tr
+              className={onEdit ? styles.clickable : undefined}
+              onClick={onEdit ? () => onEdit(line) : undefined}
+            >
+              <td>
+                {line.description}
+                {line.notes && <span className={styles.secondary}>{line.notes}</span>}
+              </td>
+              <td>{t(`disbursements.sources.${line.source}`)}</td>
+              <td className={styles.amount}>{money(line.estimatedAmount)}</td>
+              {isFinal && (
+                <>
+                  <td className={styles.amount}>{money(line.actualAmount)}</td>
+                  <td className={varianceClass(line.variance)}>
+                    {money(line.variance)}
+                    {line.variancePercent !== null && (
+                      <span className={styles.secondary}>{line.variancePercent}%</span>
+                    )}
+                  </td>
+                </>
+              )}
+            </tr>
+          </Fragment>
+        ))}
+        <tr className={styles.totalRow}>
+          <td colSpan={2}>{t('disbursements.total')}</td>
+          <td className={styles.amount}>{money(totals.estimated)}</td>
+          {isFinal && (
+            <>
+              <td className={styles.amount}>{money(totals.actual)}</td>
+              <td className={varianceClass(totals.variance)}>{money(totals.variance)}</td>
+            </>
+          )}
+        </tr>
+      </tbody>
+    </table>
+  );
+}
+
+export default DisbursementLinesTable;
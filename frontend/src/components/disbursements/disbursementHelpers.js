@@ -0,0 +1,24 @@
+/**
+ * Disbursement account (PDA/FDA) constants and query helpers shared by the port call disbursements tab
+ */
+
+// Mirrors LINE_CATEGORIES in backend/db/disbursements.js
+export const LINE_CATEGORIES = ['PORT_COSTS', 'SUPPLIERS', 'AGENCY', 'OTHER'];
+
+/**
+ * API path of a port call's disbursement account
+ */
+export function disbursementPath(portCallId) {
+  return `/port-calls/${portCallId}/disbursement-account`;
+}
+
+export function disbursementQueryKey(portCallId) {
+  return ['portCall', portCallId, 'disbursements'];
+}
+
+/**
+ * 'PDA' until the account is reconciled, 'FDA' after
+ */
+export function getStage(account) {
+  return account.status.startsWith('FDA') ? 'FDA' : 'PDA';
+}
@@ -0,0 +1,41 @@
+import { useI18n } from '../../utils/useI18n';
+import { formatMoney } from '../../utils/formatUtils';
+import styles from './FeeForm.module.css';
+
+/**
+ * Lines a tariff fee was computed from, with how each amount was reached
+ * @param {Array<Object>} breakdown - [{ description, calculation, amount }]
+ */
+function FeeBreakdown({ breakdown, currency, total }) {
+  const { t } = useI18n();
+
+  return (
+    <table className={styles.table}>
+      <thead>
+        <tr>
+          <th>{t('fees.description')}</th>
+          <th className={styles.numeric}>{t('fees.amount')}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {breakdown.map((line, index) => (
+          <tr key={index}>
+            <td>
+              {line.description}
+              {line.calculation && <span className={styles.calculation}>{line.calculation}</span>}
+            </td>
+            <td className={styles.numeric}>{formatMoney(line.amount, currency)}</td>
+          </tr>
+        ))}
+        {total !== undefined && (
+          <tr className={styles.breakdownTotal}>
+            <td>{t('fees.total')}</td>
+            <td className={styles.numeric}>{formatMoney(total, currency)}</td>
+          </tr>
+        )}
+      </tbody>
+    </table>
+  );
+}
+
+export default FeeBreakdown;
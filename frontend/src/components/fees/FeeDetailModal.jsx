@@ -0,0 +1,329 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useI18n } from '../../utils/useI18n';
+import { api } from '../../utils/api';
+import { useAuth } from '../../modules/auth/AuthContext';
+import { toDateTimeLocal, fromDateTimeLocal } from '../../utils/dateUtils';
+import { formatMoney, formatDate } from '../../utils/formatUtils';
+import Card from '../ui/Card';
+import Badge from '../ui/Badge';
+import FeeForm from './FeeForm';
+import FeeBreakdown from './FeeBreakdown';
+import { invalidateFeeQueries } from './feeHelpers';
+import styles from './FeeForm.module.css';
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+/**
+ * Fee details with its payments; editors record or remove payments, admins waive
+ */
+function FeeDetailModal({ feeId, onClose }) {
+  const queryClient = useQueryClient();
+  const { t } = useI18n();
+  const { user } = useAuth();
+  const canEdit = user?.role !== 'VIEWER';
+  const canWaive = user?.role === 'ADMIN';
+  const [isEditing, setIsEditing] = useState(false);
+  const [payment, setPayment] = useState(null);
+  const [waiveReason, setWaiveReason] = useState('');
+  const [error, setError] = useState('');
+
+  const { data: fee, isLoading } = useQuery({
+    queryKey: ['fee', feeId],
+    queryFn: () => api.get(`/fees/${feeId}`),
+  });
+
+  const onMutationSuccess = () => {
+    invalidateFeeQueries(queryClient, fee?.portCallId);
+    setError('');
+  };
+  const onMutationError = (err) => setError(err.message);
+
+  const paymentMutation = useMutation({
+    mutationFn: (data) => api.post(`/fees/${feeId}/payments`, data),
+    onSuccess: () => {
+      onMutationSuccess();
+      setPayment(null);
+    },
+    onError: onMutationError,
+  });
+
+  const deletePaymentMutation = useMutation({
+    mutationFn: (paymentId) => api.delete(`/fees/${feeId}/payments/${paymentId}`),
+    onSuccess: onMutationSuccess,
+    onError: onMutationError,
+  });
+
+  const waiveMutation = useMutation({
+    mutationFn: (reason) => api.post(`/fees/${feeId}/waive`, { reason }),
+    onSuccess: () => {
+      onMutationSuccess();
+      setWaiveReason('');
+    },
+    onError: onMutationError,
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: () => api.delete(`/fees/${feeId}`),
+    onSuccess: () => {
+      invalidateFeeQueries(queryClient, fee?.portCallId);
+      onClose();
+    },
+    onError: onMutationError,
+  });
+
+  if (isEditing && fee) {
+    return <FeeForm fee={fee} onClose={() => setIsEditing(false)} />;
+  }
+
+  const isDue = fee?.status === 'DUE';
+
+  const startPayment = () => {
+    setError('');
+    setPayment({
+      amount: fee.outstandingAmount,
+      paidAt: toDateTimeLocal(new Date().toISOString()),
+      referenceNumber: '',
+      notes: '',
+    });
+  };
+
+  const handlePaymentSubmit = (e) => {
+    e.preventDefault();
+    paymentMutation.mutate({
+      ...payment,
+      amount: Number(payment.amount),
+      paidAt: fromDateTimeLocal(payment.paidAt),
+    });
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(t('fees.deleteConfirm'))) {
+      deleteMutation.mutate();
+    }
+  };
+
+  return (
+    <div className={styles.overlay} onClick={onClose}>
+      <Card className={styles.modal} onClick={(e) => e.stopPropagation()}>
+        <div className={styles.header}>
+          <h2>{fee ? t(`fees.types.${fee.feeType}`) : t('fees.title')}</h2>
+          <div className={styles.headerActions}>
+            {fee && <Badge status={fee.status}>{t(`fees.statuses.${fee.status}`)}</Badge>}
+            <button className={styles.closeButton} onClick={onClose}>
+              ×
+            </button>
+          </div>
+        </div>
+
+        {isLoading || !fee ? (
+          <div className={styles.empty}>{t('common.loading')}</div>
+        ) : (
+          <>
+            <div className={styles.detailsGrid}>
+              <div className={styles.detailItem}>
+                <span className={styles.detailLabel}>{t('fees.portCall')}</span>
+                <span className={styles.detailValue}>
+                  {[fee.portCall?.vesselName, fee.portCall?.portName].filter(Boolean).join(' - ') || fee.portCallId}
+                </span>
+              </div>
+              <div className={styles.detailItem}>
+                <span className={styles.detailLabel}>{t('fees.description')}</span>
+                <span className={styles.detailValue}>{fee.description || '-'}</span>
+              </div>
+              <div className={styles.detailItem}>
+                <span className={styles.detailLabel}>{t('fees.amountDue')}</span>
+                <span className={styles.detailValue}>{formatMoney(fee.amountDue, fee.currency)}</span>
+              </div>
+              <div className={styles.detailItem}>
+                <span className={styles.detailLabel}>{t('fees.outstanding')}</span>
+                <span className={styles.detailValue}>{formatMoney(fee.outstandingAmount, fee.currency)}</span>
+              </div>
+              <div className={styles.detailItem}>
+                <span className={styles.detailLabel}>{t('fees.dueDate')}</span>
+                <span className={`${styles.detailValue} ${fee.isOverdue ? styles.overdue : ''}`}>
+                  {formatDate(fee.dueDate)}
+                  {fee.isOverdue && ` (${t('fees.daysOverdue', { days: fee.daysOverdue })})`}
+                </span>
+              </div>
+              <div className={styles.detailItem}>
+                <span className={styles.detailLabel}>{t('fees.referenceNumber')}</span>
+                <span className={styles.detailValue}>{fee.referenceNumber || '-'}</span>
+              </div>
+              {!fee.breakdown && fee.calculationBase && (
+                <div className={styles.detailItem}>
+                  <span className={styles.detailLabel}>{t('fees.calculationBase')}</span>
+                  <span className={styles.detailValue}>{fee.calculationBase}</span>
+                </div>
+              )}
+              {fee.notes && (
+                <div className={styles.detailItem}>
+                  <span className={styles.detailLabel}>{t('fees.notes')}</span>
+                  <span className={styles.detailValue}>{fee.notes}</span>
+                </div>
+              )}
+              {fee.status === 'WAIVED' && (
+                <div className={styles.detailItem}>
+                  <span className={styles.detailLabel}>{t('fees.waiveReason')}</span>
+                  <span className={styles.detailValue}>
+                    {fee.waiveReason} ({formatDateTime(fee.waivedAt)})
+                  </span>
+                </div>
+              )}
+            </div>
+
+            {fee.breakdown && (
+              <div className={styles.section}>
+                <h3>{t('fees.breakdown')}</h3>
+                <FeeBreakdown breakdown={fee.breakdown} currency={fee.currency} total={fee.amountDue} />
+              </div>
+            )}
+
+            {canEdit && isDue && (
+              <div className={styles.actions}>
+                {fee.payments.length === 0 && (
+                  <button
+                    type="button"
+                    className={styles.cancelButton}
+                    onClick={handleDelete}
+                    disabled={deleteMutation.isPending}
+                  >
+                    {t('common.delete')}
+                  </button>
+                )}
+                <button type="button" className={styles.cancelButton} onClick={() => setIsEditing(true)}>
+                  {t('common.edit')}
+                </button>
+                {!payment && (
+                  <button type="button" className={styles.saveButton} onClick={startPayment}>
+                    {t('fees.recordPayment')}
+                  </button>
+                )}
+              </div>
+            )}
+
+            <div className={styles.section}>
+              <h3>{t('fees.payments')}</h3>
+              {fee.payments.length > 0 ? (
+                <table className={styles.table}>
+                  <thead>
+                    <tr>
+                      <th>{t('fees.paidAt')}</th>
+                      <th className={styles.numeric}>{t('fees.amount')}</th>
+                      <th>{t('fees.referenceNumber')}</th>
+                      <th>{t('fees.recordedBy')}</th>
+                      {canEdit && fee.status !== 'WAIVED' && <th />}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {fee.payments.map((p) => (
+                      <tr key={p.id}>
+                        <td>{formatDateTime(p.paidAt)}</td>
+                        <td className={styles.numeric}>{formatMoney(p.amount, fee.currency)}</td>
+                        <td>{p.referenceNumber || '-'}</td>
+                        <td>{p.recordedByName || '-'}</td>
+                        {canEdit && fee.status !== 'WAIVED' && (
+                          <td>
+                            <button
+                              className={styles.linkButton}
+                              onClick={() => {
+                                if (window.confirm(t('fees.deletePaymentConfirm'))) {
+                                  deletePaymentMutation.mutate(p.id);
+                                }
+                              }}
+                              disabled={deletePaymentMutation.isPending}
+                            >
+                              {t('common.delete')}
+                            </button>
+                          </td>
+                        )}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : (
+                <div className={styles.empty}>{t('fees.noPayments')}</div>
+              )}
+
+              {payment && (
+                <form onSubmit={handlePaymentSubmit} className={styles.form}>
+                  <div className={styles.row}>
+                    <div className={styles.field}>
+                      <label>{t('fees.amount')} *</label>
+                      <input
+                        type="number"
+                        min="0.01"
+                        step="0.01"
+                        max={fee.outstandingAmount}
+                        value={payment.amount}
+                        onChange={(e) => setPayment({ ...payment, amount: e.target.value })}
+                        required
+                      />
+                    </div>
+                    <div className={styles.field}>
+                      <label>{t('fees.paidAt')} *</label>
+                      <input
+                        type="datetime-local"
+                        value={payment.paidAt}
+                        onChange={(e) => setPayment({ ...payment, paidAt: e.target.value })}
+                        required
+                      />
+                    </div>
+                  </div>
+                  <div className={styles.row}>
+                    <div className={styles.field}>
+                      <label>{t('fees.paymentReference')}</label>
+                      <input
+                        value={payment.referenceNumber}
+                        onChange={(e) => setPayment({ ...payment, referenceNumber: e.target.value })}
+                      />
+                    </div>
+                    <div className={styles.field}>
+                      <label>{t('fees.notes')}</label>
+                      <input
+                        value={payment.notes}
+                        onChange={(e) => setPayment({ ...payment, notes: e.target.value })}
+                      />
+                    </div>
+                  </div>
+                  <div className={styles.actions}>
+                    <button type="button" className={styles.cancelButton} onClick={() => setPayment(null)}>
+                      {t('common.cancel')}
+                    </button>
+                    <button type="submit" className={styles.saveButton} disabled={paymentMutation.isPending}>
+                      {paymentMutation.isPending ? t('common.loading') : t('fees.recordPayment')}
+                    </button>
+                  </div>
+                </form>
+              )}
+            </div>
+
+            {canWaive && isDue && (
+              <div className={styles.section}>
+                <h3>{t('fees.waive')}</h3>
+                <div className={styles.field}>
+                  <label>{t('fees.waiveReason')} *</label>
+                  <textarea value={waiveReason} onChange={(e) => setWaiveReason(e.target.value)} rows={2} />
+                </div>
+                <div className={styles.actions}>
+                  <button
+                    type="button"
+                    className={styles.dangerButton}
+                    onClick={() => waiveMutation.mutate(waiveReason.trim())}
+                    disabled={!waiveReason.trim() || waiveMutation.isPending}
+                  >
+                    {t('fees.waive')}
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {error && <div className={styles.error}>{error}</div>}
+          </>
+        )}
+      </Card>
+    </div>
+  );
+}
+
+export default FeeDetailModal;
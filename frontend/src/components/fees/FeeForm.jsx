@@ -0,0 +1,148 @@
+import { useState } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { useI18n } from '../../utils/useI18n';
+import { api } from '../../utils/api';
+import Card from '../ui/Card';
+import { FEE_TYPES, invalidateFeeQueries } from './feeHelpers';
+import styles from './FeeForm.module.css';
+
+/**
+ * Create a fee for a port call, or edit a DUE fee
+ * @param {string} [portCallId] - Port call the new fee belongs to (create)
+ * @param {Object} [fee] - Fee being edited
+ */
+function FeeForm({ portCallId, fee, onClose }) {
+  const queryClient = useQueryClient();
+  const { t } = useI18n();
+  const isEdit = !!fee;
+  const [formData, setFormData] = useState({
+    feeType: fee?.feeType || 'PORT_DUES',
+    description: fee?.description || '',
+    amountDue: fee?.amountDue ?? '',
+    currency: fee?.currency || 'BRL',
+    dueDate: fee?.dueDate || '',
+    referenceNumber: fee?.referenceNumber || '',
+    calculationBase: fee?.calculationBase || '',
+    notes: fee?.notes || '',
+  });
+  const [error, setError] = useState('');
+
+  const saveMutation = useMutation({
+    mutationFn: (data) => (isEdit
+      ? api.put(`/fees/${fee.id}`, data)
+      : api.post(`/port-calls/${portCallId}/fees`, data)),
+    onSuccess: () => {
+      invalidateFeeQueries(queryClient, fee?.portCallId || portCallId);
+      onClose();
+    },
+    onError: (err) => {
+      setError(err.message);
+    },
+  });
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setError('');
+    saveMutation.mutate({
+      ...formData,
+      amountDue: Number(formData.amountDue),
+      currency: formData.currency.trim().toUpperCase(),
+      dueDate: formData.dueDate || null,
+    });
+  };
+
+  return (
+    <div className={styles.overlay} onClick={onClose}>
+      <Card className={styles.modal} onClick={(e) => e.stopPropagation()}>
+        <div className={styles.header}>
+          <h2>{isEdit ? t('fees.edit') : t('fees.addNew')}</h2>
+          <button className={styles.closeButton} onClick={onClose}>
+            ×
+          </button>
+        </div>
+        <form onSubmit={handleSubmit} className={styles.form}>
+          <div className={styles.row}>
+            <div className={styles.field}>
+              <label>{t('fees.feeType')} *</label>
+              <select name="feeType" value={formData.feeType} onChange={handleChange} required>
+                {FEE_TYPES.map((type) => (
+                  <option key={type} value={type}>{t(`fees.types.${type}`)}</option>
+                ))}
+              </select>
+            </div>
+            <div className={styles.field}>
+              <label>{t('fees.referenceNumber')}</label>
+              <input
+                name="referenceNumber"
+                value={formData.referenceNumber}
+                onChange={handleChange}
+                placeholder={t('fees.referencePlaceholder')}
+              />
+            </div>
+          </div>
+
+          <div className={styles.field}>
+            <label>{t('fees.description')}</label>
+            <input name="description" value={formData.description} onChange={handleChange} />
+          </div>
+
+          <div className={styles.row3}>
+            <div className={styles.field}>
+              <label>{t('fees.amountDue')} *</label>
+              <input
+                type="number"
+                name="amountDue"
+                min="0"
+                step="0.01"
+                value={formData.amountDue}
+                onChange={handleChange}
+                required
+              />
+            </div>
+            <div className={styles.field}>
+              <label>{t('fees.currency')}</label>
+              <input name="currency" value={formData.currency} onChange={handleChange} maxLength={3} required />
+            </div>
+            <div className={styles.field}>
+              <label>{t('fees.dueDate')}</label>
+              <input type="date" name="dueDate" value={formData.dueDate} onChange={handleChange} />
+            </div>
+          </div>
+
+          <div className={styles.field}>
+            <label>{t('fees.calculationBase')}</label>
+            <input
+              name="calculationBase"
+              value={formData.calculationBase}
+              onChange={handleChange}
+              placeholder={t('fees.calculationBasePlaceholder')}
+            />
+          </div>
+
+          <div className={styles.field}>
+            <label>{t('fees.notes')}</label>
+            <textarea name="notes" value={formData.notes} onChange={handleChange} rows={2} />
+          </div>
+
+          {error && <div className={styles.error}>{error}</div>}
+
+          <div className={styles.actions}>
+            <button type="button" className={styles.cancelButton} onClick={onClose}>
+              {t('common.cancel')}
+            </button>
+            <button type="submit" className={styles.saveButton} disabled={saveMutation.isPending}>
+              {saveMutation.isPending ? t('common.loading') : t('fees.save')}
+            </button>
+          </div>
+        </form>
+      </Card>
+    </div>
+  );
+}
+
+export default FeeForm;
@@ -0,0 +1,43 @@
+import { useI18n } from '../../utils/useI18n';
+import { formatMoney } from '../../utils/formatUtils';
+import KpiCard from '../ui/KpiCard';
+import styles from './FeesTable.module.css';
+
+/**
+ * KPI cards for fee totals (one set per currency, from GET /fees/summary)
+ */
+function FeeSummary({ summary }) {
+  const { t } = useI18n();
+
+  if (!summary || summary.length === 0) return null;
+
+  return (
+    <div className={styles.summary}>
+      {summary.map((row) => [
+        <KpiCard
+          key={`${row.currency}-outstanding`}
+          title={`${t('fees.outstanding')} (${row.currency})`}
+          value={formatMoney(row.outstanding, row.currency)}
+          subtitle={t('fees.feeCount', { count: row.count })}
+          icon="💰"
+        />,
+        <KpiCard
+          key={`${row.currency}-overdue`}
+          title={`${t('fees.overdue')} (${row.currency})`}
+          value={formatMoney(row.overdueAmount, row.currency)}
+          subtitle={t('fees.feeCount', { count: row.overdueCount })}
+          icon="⚠️"
+        />,
+        <KpiCard
+          key={`${row.currency}-paid`}
+          title={`${t('fees.amountPaid')} (${row.currency})`}
+          value={formatMoney(row.amountPaid, row.currency)}
+          subtitle={`${t('fees.amountDue')}: ${formatMoney(row.amountDue, row.currency)}`}
+          icon="✅"
+        />,
+      ])}
+    </div>
+  );
+}
+
+export default FeeSummary;
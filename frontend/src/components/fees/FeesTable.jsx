@@ -0,0 +1,66 @@
+import { useI18n } from '../../utils/useI18n';
+import { formatMoney, formatDate } from '../../utils/formatUtils';
+import Badge from '../ui/Badge';
+import styles from './FeesTable.module.css';
+
+/**
+ * Fees list; rows open the fee detail through onSelect
+ * @param {boolean} [showPortCall] - Add the vessel/port column (tenant-wide ledger)
+ */
+function FeesTable({ fees, showPortCall = false, onSelect }) {
+  const { t } = useI18n();
+
+  if (!fees || fees.length === 0) {
+    return <div className={styles.empty}>{t('fees.noFees')}</div>;
+  }
+
+  return (
+    <table className={styles.table}>
+      <thead>
+        <tr>
+          {showPortCall && <th>{t('fees.portCall')}</th>}
+          <th>{t('fees.feeType')}</th>
+          <th>{t('fees.dueDate')}</th>
+          <th className={styles.numeric}>{t('fees.amountDue')}</th>
+          <th className={styles.numeric}>{t('fees.amountPaid')}</th>
+          <th className={styles.numeric}>{t('fees.outstanding')}</th>
+          <th>{t('fees.status')}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {fees.map((fee) => (
+          <tr key={fee.id} onClick={() => onSelect(fee)}>
+            {showPortCall && (
+              <td>
+                {fee.portCall?.vesselName || fee.portCallId}
+                {fee.portCall?.portName && <span className={styles.secondary}>{fee.portCall.portName}</span>}
+              </td>
+            )}
+            <td>
+              {t(`fees.types.${fee.feeType}`)}
+              {(fee.description || fee.referenceNumber) && (
+                <span className={styles.secondary}>
+                  {[fee.description, fee.referenceNumber].filter(Boolean).join(' · ')}
+                </span>
+              )}
+            </td>
+            <td>
+              {formatDate(fee.dueDate)}
+              {fee.isOverdue && (
+                <span className={styles.overdue}>{t('fees.daysOverdue', { days: fee.daysOverdue })}</span>
+              )}
+            </td>
+            <td className={styles.numeric}>{formatMoney(fee.amountDue, fee.currency)}</td>
+            <td className={styles.numeric}>{formatMoney(fee.amountPaid, fee.currency)}</td>
+            <td className={styles.numeric}>{formatMoney(fee.outstandingAmount, fee.currency)}</td>
+            <td>
+              <Badge status={fee.status}>{t(`fees.statuses.${fee.status}`)}</Badge>
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+export default FeesTable;
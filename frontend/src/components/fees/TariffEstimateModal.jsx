@@ -0,0 +1,138 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useI18n } from '../../utils/useI18n';
+import { api } from '../../utils/api';
+import { useAuth } from '../../modules/auth/AuthContext';
+import { formatMoney } from '../../utils/formatUtils';
+import Card from '../ui/Card';
+import FeeBreakdown from './FeeBreakdown';
+import { invalidateFeeQueries } from './feeHelpers';
+import styles from './FeeForm.module.css';
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+/**
+ * Fees estimated from the ops site tariffs; editors turn the estimate into fees
+ */
+function TariffEstimateModal({ portCallId, onClose }) {
+  const queryClient = useQueryClient();
+  const { t } = useI18n();
+  const { user } = useAuth();
+  const canApply = user?.role !== 'VIEWER';
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+
+  const { data: estimate, isLoading, error: loadError } = useQuery({
+    queryKey: ['portCall', portCallId, 'fees', 'estimate'],
+    queryFn: () => api.get(`/port-calls/${portCallId}/fees/estimate`),
+  });
+
+  const applyMutation = useMutation({
+    mutationFn: () => api.post(`/port-calls/${portCallId}/fees/apply-tariffs`, {}),
+    onSuccess: (data) => {
+      invalidateFeeQueries(queryClient, portCallId);
+      setResult(data);
+      setError('');
+    },
+    onError: (err) => setError(err.message),
+  });
+
+  const particulars = estimate?.particulars || {};
+  const hasCompleteFees = estimate?.fees.some((fee) => fee.complete);
+
+  return (
+    <div className={styles.overlay} onClick={onClose}>
+      <Card className={styles.modal} onClick={(e) => e.stopPropagation()}>
+        <div className={styles.header}>
+          <h2>{t('fees.tariffEstimate')}</h2>
+          <button className={styles.closeButton} onClick={onClose}>
+            ×
+          </button>
+        </div>
+
+        {isLoading && <div className={styles.empty}>{t('common.loading')}</div>}
+        {loadError && <div className={styles.error}>{loadError.message}</div>}
+
+        {estimate && (
+          <>
+            <div className={styles.detailsGrid}>
+              <div className={styles.detailItem}>
+                <span className={styles.detailLabel}>{t('fees.vesselParticulars')}</span>
+                <span className={styles.detailValue}>
+                  GT {particulars.GT ?? '-'} · NT {particulars.NT ?? '-'} · LOA {particulars.LOA ?? '-'} m
+                  {' '}· {t('fees.draft')} {particulars.DRAFT ?? '-'} m
+                </span>
+              </div>
+              <div className={styles.detailItem}>
+                <span className={styles.detailLabel}>
+                  {estimate.stay.estimated ? t('fees.stayScheduled') : t('fees.stayActual')}
+                </span>
+                <span className={styles.detailValue}>
+                  {formatDateTime(estimate.stay.start)} - {formatDateTime(estimate.stay.end)}
+                  {estimate.stay.hours !== null && ` (${t('fees.stayHours', { hours: estimate.stay.hours })})`}
+                </span>
+              </div>
+            </div>
+
+            {estimate.warnings.length > 0 && (
+              <ul className={styles.warnings}>
+                {estimate.warnings.map((warning) => <li key={warning}>{warning}</li>)}
+              </ul>
+            )}
+
+            {estimate.fees.length === 0 && <div className={styles.empty}>{t('fees.noTariffs')}</div>}
+
+            {estimate.fees.map((fee) => (
+              <div key={fee.tariffId} className={styles.section}>
+                <h3>
+                  {t(`fees.types.${fee.feeType}`)} - {fee.tariffName}: {formatMoney(fee.amount, fee.currency)}
+                </h3>
+                {fee.warnings.length > 0 && (
+                  <ul className={styles.warnings}>
+                    {fee.warnings.map((warning) => <li key={warning}>{warning}</li>)}
+                  </ul>
+                )}
+                <FeeBreakdown breakdown={fee.breakdown} currency={fee.currency} total={fee.amount} />
+              </div>
+            ))}
+
+            {result && (
+              <div className={styles.section}>
+                <p>
+                  {t('fees.tariffsApplied', { created: result.created.length, updated: result.updated.length })}
+                </p>
+                {result.skipped.length > 0 && (
+                  <ul className={styles.warnings}>
+                    {result.skipped.map((skip) => (
+                      <li key={skip.tariffId}>{t(`fees.types.${skip.feeType}`)}: {skip.reason}</li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+
+            {error && <div className={styles.error}>{error}</div>}
+
+            <div className={styles.actions}>
+              <button type="button" className={styles.cancelButton} onClick={onClose}>
+                {t('common.close')}
+              </button>
+              {canApply && hasCompleteFees && !result && (
+                <button
+                  type="button"
+                  className={styles.saveButton}
+                  onClick={() => applyMutation.mutate()}
+                  disabled={applyMutation.isPending}
+                >
+                  {applyMutation.isPending ? t('common.loading') : t('fees.applyTariffs')}
+                </button>
+              )}
+            </div>
+          </>
+        )}
+      </Card>
+    </div>
+  );
+}
+
+export default TariffEstimateModal;
@@ -0,0 +1,18 @@
+/**
+ * Fee constants and query helpers shared by the Fees page and the port call fees tab
+ */
+
+// Mirrors FEE_TYPES / FEE_STATUSES in backend/db/fees.js
+export const FEE_TYPES = ['BR_FUNAPOL', 'PORT_DUES', 'PILOTAGE', 'TOWAGE', 'MOORING', 'OTHER'];
+export const FEE_STATUSES = ['DUE', 'PAID', 'WAIVED'];
+
+/**
+ * Refetch every view showing fees after a change (ledger, summary, port call tab, fee detail)
+ */
+export function invalidateFeeQueries(queryClient, portCallId) {
+  queryClient.invalidateQueries({ queryKey: ['fees'] });
+  queryClient.invalidateQueries({ queryKey: ['fee'] });
+  if (portCallId) {
+    queryClient.invalidateQueries({ queryKey: ['portCall', portCallId, 'fees'] });
+  }
+}
@@ -0,0 +1,281 @@
+import { useEffect, useRef, useState } from 'react';
+import { useI18n } from '../../utils/useI18n';
+import { formatDateTime } from './itineraryHelpers';
+import styles from './BerthGantt.module.css';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// Dragged times snap to the hour
+const SNAP_MS = HOUR_MS;
+// Pointer travel (px) below which a press is a click, not a drag
+const DRAG_THRESHOLD = 4;
+// Port calls without ETD are drawn (and allocated) for a day
+const DEFAULT_STAY_MS = DAY_MS;
+const UNALLOCATED_ROW = 'unallocated';
+
+/**
+ * Spread a row's bars over lanes so overlapping bars stay visible
+ * @returns {{lanes: Map<string, number>, count: number}} Bar key -> lane index, and lanes used
+ */
+function assignLanes(bars) {
+  const laneEnds = [];
+  const lanes = new Map();
+  [...bars].sort((a, b) => a.start - b.start).forEach((bar) => {
+    let lane = laneEnds.findIndex((end) => end <= bar.start);
+    if (lane === -1) lane = laneEnds.length;
+    laneEnds[lane] = bar.end;
+    lanes.set(bar.key, lane);
+  });
+  return { lanes, count: Math.max(laneEnds.length, 1) };
+}
+
+/**
+ * Group berths under their parent site (terminal) code, in name order
+ */
+function groupBerths(berths) {
+  const groups = new Map();
+  [...berths].sort((a, b) => a.name.localeCompare(b.name)).forEach((berth) => {
+    const key = berth.parentCode || '';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(berth);
+  });
+  return [...groups.entries()].map(([parentCode, rows]) => ({ parentCode, berths: rows }));
+}
+
+/**
+ * Berth occupancy timeline: berths as rows, berth stays as bars
+ * Bars can be dragged along (reschedule) or onto another berth, stretched from their end, and
+ * port calls without a berth can be dragged from the first row onto a berth to allocate it.
+ * @param {string} from - Window start (ISO)
+ * @param {number} days - Window length
+ * @param {Array} berths - [{ id, name, code, parentCode }]
+ * @param {Array} berthStays - Stays with portCall and conflicts
+ * @param {Array} unallocated - Port calls without a berth: [{ id, vesselName, eta, etd }]
+ * @param {Function} [onMoveStay] - (stay, { berthId, startTime, endTime }) => Promise; omit for read-only
+ * @param {Function} [onAllocate] - (portCall, { berthId, startTime, endTime }) => Promise
+ * @param {Function} onOpen - (portCallId) => void, on click
+ */
+function BerthGantt({ from, days, berths, berthStays, unallocated, onMoveStay, onAllocate, onOpen }) {
+  const { t } = useI18n();
+  const trackRef = useRef(null);
+  const [drag, setDrag] = useState(null);
+  const [pending, setPending] = useState(null);
+  const canEdit = !!onMoveStay;
+
+  const fromMs = new Date(from).getTime();
+  const spanMs = days * DAY_MS;
+  const toMs = fromMs + spanMs;
+
+  // Bars of every row; stays keep their planned window, unallocated calls use ETA..ETD
+  const bars = [
+    ...(berthStays || []).map((stay) => ({
+      key: stay.id,
+      kind: 'stay',
+      item: stay,
+      rowId: stay.berthId,
+      portCallId: stay.portCallId,
+      label: stay.portCall?.vesselName || stay.portCallId,
+      start: new Date(stay.startTime).getTime(),
+      end: new Date(stay.endTime).getTime(),
+      cancelled: stay.portCall?.status === 'CANCELLED',
+      conflicts: stay.conflicts || [],
+    })),
+    ...(unallocated || []).map((portCall) => {
+      const start = new Date(portCall.eta).getTime();
+      return {
+        key: portCall.id,
+        kind: 'portCall',
+        item: portCall,
+        rowId: UNALLOCATED_ROW,
+        portCallId: portCall.id,
+        label: portCall.vesselName || portCall.id,
+        start,
+        end: portCall.etd ? new Date(portCall.etd).getTime() : start + DEFAULT_STAY_MS,
+        cancelled: false,
+        conflicts: [],
+      };
+    }),
+  ];
+
+  // Position of a bar being dragged or saved
+  const placeBar = (bar) => {
+    const preview = drag?.bar.key === bar.key ? drag.preview : pending?.key === bar.key ? pending.preview : null;
+    return preview ? { ...bar, ...preview } : bar;
+  };
+  const placedBars = bars.map(placeBar);
+
+  const percent = (time) => ((time - fromMs) / spanMs) * 100;
+
+  const rowAtPoint = (x, y) => {
+    const row = document.elementFromPoint(x, y)?.closest('[data-row-id]');
+    return row ? row.dataset.rowId : null;
+  };
+
+  useEffect(() => {
+    if (!drag) return undefined;
+
+    const handleMove = (e) => {
+      const dx = e.clientX - drag.originX;
+      const moved = drag.moved || Math.abs(dx) > DRAG_THRESHOLD || Math.abs(e.clientY - drag.originY) > DRAG_THRESHOLD;
+      if (!moved) return;
+      if (drag.mode === 'click') {
+        if (!drag.moved) setDrag((current) => current && { ...current, moved: true });
+        return;
+      }
+      const deltaMs = Math.round(((dx / drag.trackWidth) * spanMs) / SNAP_MS) * SNAP_MS;
+      const { bar } = drag;
+      let preview;
+      if (drag.mode === 'resize') {
+        preview = { start: bar.start, end: Math.max(bar.end + deltaMs, bar.start + SNAP_MS), rowId: bar.rowId };
+      } else {
+        const rowId = rowAtPoint(e.clientX, e.clientY) || drag.preview.rowId;
+        preview = { start: bar.start + deltaMs, end: bar.end + deltaMs, rowId };
+      }
+      setDrag((current) => current && { ...current, moved: true, preview });
+    };
+
+    const handleUp = () => {
+      const { bar, preview, moved, mode } = drag;
+      setDrag(null);
+      if (!moved) {
+        onOpen(bar.portCallId);
+        return;
+      }
+      if (mode === 'click') return;
+      const onBerth = preview.rowId !== UNALLOCATED_ROW;
+      const changed = preview.rowId !== bar.rowId || preview.start !== bar.start || preview.end !== bar.end;
+      if (!changed || !onBerth) return;
+
+      const change = {
+        berthId: preview.rowId,
+        startTime: new Date(preview.start).toISOString(),
+        endTime: new Date(preview.end).toISOString(),
+      };
+      setPending({ key: bar.key, preview });
+      const save = bar.kind === 'stay' ? onMoveStay(bar.item, change) : onAllocate(bar.item, change);
+      Promise.resolve(save).finally(() => setPending(null));
+    };
+
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+    return () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+    };
+  }, [drag, spanMs, onMoveStay, onAllocate, onOpen]);
+
+  const startDrag = (e, bar, mode) => {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const editable = canEdit && !bar.cancelled && !pending && (mode === 'move' || bar.kind === 'stay');
+    setDrag({
+      bar,
+      // Read-only presses only open the port call
+      mode: editable ? mode : 'click',
+      originX: e.clientX,
+      originY: e.clientY,
+      trackWidth: trackRef.current?.getBoundingClientRect().width || 1,
+      moved: false,
+      preview: { start: bar.start, end: bar.end, rowId: bar.rowId },
+    });
+  };
+
+  // Read-only presses never show a preview
+  const activeDrag = drag?.mode === 'click' ? null : drag;
+
+  const renderBar = (bar, lane) => {
+    const left = Math.max(percent(bar.start), 0);
+    const right = Math.min(percent(bar.end), 100);
+    if (right <= 0 || left >= 100) return null;
+
+    const classes = [styles.bar];
+    if (bar.kind === 'portCall') classes.push(styles.unallocatedBar);
+    if (bar.conflicts.length > 0) classes.push(styles.conflict);
+    if (bar.cancelled) classes.push(styles.cancelled);
+    if (activeDrag?.bar.key === bar.key && activeDrag.moved) classes.push(styles.dragging);
+    if (pending?.key === bar.key) classes.push(styles.saving);
+    if (canEdit && !bar.cancelled) classes.push(styles.draggable);
+
+    const title = [
+      bar.label,
+      `${formatDateTime(bar.start)} → ${formatDateTime(bar.end)}`,
+      bar.kind === 'stay' && t(`itinerary.operationTypes.${bar.item.operationType}`),
+      ...bar.conflicts.map((conflict) => t('itinerary.conflictWith', {
+        vessel: conflict.vesselName || conflict.portCallId,
+        start: formatDateTime(conflict.startTime),
+        end: formatDateTime(conflict.endTime),
+      })),
+    ].filter(Boolean).join('\n');
+
+    return (
+      <div
+        key={bar.key}
+        className={classes.join(' ')}
+        style={{ left: `${left}%`, width: `${right - left}%`, top: `calc(${lane} * var(--lane-height) + 4px)` }}
+        title={title}
+        onPointerDown={(e) => startDrag(e, bar, 'move')}
+      >
+        <span className={styles.barLabel}>{bar.label}</span>
+        {canEdit && bar.kind === 'stay' && !bar.cancelled && (
+          <span className={styles.resizeHandle} onPointerDown={(e) => startDrag(e, bar, 'resize')} />
+        )}
+      </div>
+    );
+  };
+
+  const renderRow = (rowId, label, secondary) => {
+    const rowBars = placedBars.filter((bar) => bar.rowId === rowId);
+    const { lanes, count } = assignLanes(rowBars);
+    const isDropTarget = activeDrag?.moved && activeDrag.preview.rowId === rowId && rowId !== UNALLOCATED_ROW;
+    return (
+      <div
+        key={rowId}
+        className={`${styles.row} ${rowId === UNALLOCATED_ROW ? styles.unallocatedRow : ''}`}
+        style={{ '--lanes': count }}
+      >
+        <div className={styles.rowLabel}>
+          {label}
+          {secondary && <span className={styles.secondary}>{secondary}</span>}
+        </div>
+        <div
+          className={`${styles.track} ${isDropTarget ? styles.dropTarget : ''}`}
+          data-row-id={rowId}
+          style={{ backgroundSize: `${100 / days}% 100%` }}
+        >
+          {rowBars.map((bar) => renderBar(bar, lanes.get(bar.key)))}
+        </div>
+      </div>
+    );
+  };
+
+  const dayStarts = Array.from({ length: days }, (_, index) => fromMs + index * DAY_MS);
+  const now = Date.now();
+
+  return (
+    <div className={`${styles.gantt} ${activeDrag?.moved ? styles.isDragging : ''}`}>
+      <div className={styles.row}>
+        <div className={`${styles.rowLabel} ${styles.headerLabel}`}>{t('itinerary.berth')}</div>
+        <div className={styles.dayHeader} ref={trackRef}>
+          {dayStarts.map((dayStart) => (
+            <div key={dayStart} className={styles.day}>
+              {new Date(dayStart).toLocaleDateString(undefined, { weekday: 'short', day: '2-digit', month: '2-digit' })}
+            </div>
+          ))}
+          {now >= fromMs && now < toMs && <div className={styles.now} style={{ left: `${percent(now)}%` }} />}
+        </div>
+      </div>
+
+      {renderRow(UNALLOCATED_ROW, t('berthPlan.unallocated'), t('berthPlan.unallocatedHint'))}
+
+      {groupBerths(berths || []).map((group) => (
+        <div key={group.parentCode || 'none'}>
+          {group.parentCode && <div className={styles.groupHeader}>{group.parentCode}</div>}
+          {group.berths.map((berth) => renderRow(berth.id, berth.name, berth.code))}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default BerthGantt;
@@ -0,0 +1,257 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useI18n } from '../../utils/useI18n';
+import { api } from '../../utils/api';
+import { toDateTimeLocal, fromDateTimeLocal } from '../../utils/dateUtils';
+import Card from '../ui/Card';
+import { OPERATION_TYPES, itineraryPath, invalidateItineraryQueries, formatDateTime } from './itineraryHelpers';
+import styles from './ItineraryForm.module.css';
+
+/**
+ * Allocate a berth to a port call, or edit/delete an allocation
+ * Overlapping another vessel on the same berth is refused (409) until the planner confirms it
+ * @param {string} portCallId
+ * @param {Array} escalas - The port call's stops, to link the stay to one
+ * @param {Object} [berthStay] - Stay being edited
+ */
+function BerthStayForm({ portCallId, escalas, berthStay, onClose }) {
+  const queryClient = useQueryClient();
+  const { t } = useI18n();
+  const isEdit = !!berthStay;
+  const [formData, setFormData] = useState({
+    berthId: berthStay?.berthId || '',
+    escalaId: berthStay?.escalaId || '',
+    pier: berthStay?.pier || '',
+    operationType: berthStay?.operationType || 'OTHER',
+    startTime: toDateTimeLocal(berthStay?.startTime),
+    endTime: toDateTimeLocal(berthStay?.endTime),
+    actualStart: toDateTimeLocal(berthStay?.actualStart),
+    actualEnd: toDateTimeLocal(berthStay?.actualEnd),
+    draftArrival: berthStay?.draftArrival ?? '',
+    draftDeparture: berthStay?.draftDeparture ?? '',
+    notes: berthStay?.notes || '',
+  });
+  const [error, setError] = useState('');
+  const [conflicts, setConflicts] = useState(null);
+  const basePath = `${itineraryPath(portCallId)}/berth-stays`;
+
+  const { data: opsSites } = useQuery({
+    queryKey: ['opsSites'],
+    queryFn: () => api.get('/ops-sites'),
+  });
+  const berths = (opsSites || []).filter((site) => site.type === 'BERTH');
+
+  const onSuccess = () => {
+    invalidateItineraryQueries(queryClient, portCallId);
+    onClose();
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: (data) => (isEdit ? api.put(`${basePath}/${berthStay.id}`, data) : api.post(basePath, data)),
+    onSuccess,
+    onError: (err) => {
+      if (err.status === 409 && err.data?.conflicts) {
+        setConflicts(err.data.conflicts);
+        return;
+      }
+      setError(err.message);
+    },
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: () => api.delete(`${basePath}/${berthStay.id}`),
+    onSuccess,
+    onError: (err) => setError(err.message),
+  });
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+    setConflicts(null);
+  };
+
+  const save = (allowConflict) => {
+    setError('');
+    saveMutation.mutate({
+      ...formData,
+      escalaId: formData.escalaId || null,
+      startTime: fromDateTimeLocal(formData.startTime),
+      endTime: fromDateTimeLocal(formData.endTime),
+      actualStart: fromDateTimeLocal(formData.actualStart),
+      actualEnd: fromDateTimeLocal(formData.actualEnd),
+      allowConflict,
+    });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setConflicts(null);
+    save(false);
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(t('itinerary.deleteBerthStayConfirm'))) {
+      deleteMutation.mutate();
+    }
+  };
+
+  return (
+    <div className={styles.overlay} onClick={onClose}>
+      <Card className={styles.modal} onClick={(e) => e.stopPropagation()}>
+        <div className={styles.header}>
+          <h2>{isEdit ? t('itinerary.editBerthStay') : t('itinerary.addBerthStay')}</h2>
+          <button className={styles.closeButton} onClick={onClose}>
+            ×
+          </button>
+        </div>
+        <form onSubmit={handleSubmit} className={styles.form}>
+          <div className={styles.row}>
+            <div className={styles.field}>
+              <label>{t('itinerary.berth')} *</label>
+              <select name="berthId" value={formData.berthId} onChange={handleChange} required>
+                <option value="">{t('itinerary.selectBerth')}</option>
+                {berths.map((site) => (
+                  <option key={site.id} value={site.id}>
+                    {site.name} ({site.code}{site.parentCode ? ` · ${site.parentCode}` : ''})
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className={styles.field}>
+              <label>{t('itinerary.pier')}</label>
+              <input name="pier" value={formData.pier} onChange={handleChange} />
+            </div>
+          </div>
+
+          <div className={styles.row}>
+            <div className={styles.field}>
+              <label>{t('itinerary.operationType')}</label>
+              <select name="operationType" value={formData.operationType} onChange={handleChange}>
+                {OPERATION_TYPES.map((type) => (
+                  <option key={type} value={type}>{t(`itinerary.operationTypes.${type}`)}</option>
+                ))}
+              </select>
+            </div>
+            <div className={styles.field}>
+              <label>{t('itinerary.stop')}</label>
+              <select name="escalaId" value={formData.escalaId} onChange={handleChange}>
+                <option value="">{t('itinerary.noStop')}</option>
+                {(escalas || []).map((escala) => (
+                  <option key={escala.id} value={escala.id}>
+                    {escala.sequence}. {escala.port?.name || escala.portId}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className={styles.row}>
+            <div className={styles.field}>
+              <label>{t('itinerary.plannedStart')} *</label>
+              <input
+                type="datetime-local"
+                name="startTime"
+                value={formData.startTime}
+                onChange={handleChange}
+                required
+              />
+            </div>
+            <div className={styles.field}>
+              <label>{t('itinerary.plannedEnd')} *</label>
+              <input type="datetime-local" name="endTime" value={formData.endTime} onChange={handleChange} required />
+            </div>
+          </div>
+
+          <div className={styles.row}>
+            <div className={styles.field}>
+              <label>{t('itinerary.actualStart')}</label>
+              <input type="datetime-local" name="actualStart" value={formData.actualStart} onChange={handleChange} />
+            </div>
+            <div className={styles.field}>
+              <label>{t('itinerary.actualEnd')}</label>
+              <input type="datetime-local" name="actualEnd" value={formData.actualEnd} onChange={handleChange} />
+            </div>
+          </div>
+
+          <div className={styles.row}>
+            <div className={styles.field}>
+              <label>{t('itinerary.draftArrival')}</label>
+              <input
+                type="number"
+                name="draftArrival"
+                min="0"
+                step="0.01"
+                value={formData.draftArrival}
+                onChange={handleChange}
+              />
+            </div>
+            <div className={styles.field}>
+              <label>{t('itinerary.draftDeparture')}</label>
+              <input
+                type="number"
+                name="draftDeparture"
+                min="0"
+                step="0.01"
+                value={formData.draftDeparture}
+                onChange={handleChange}
+              />
+            </div>
+          </div>
+
+          <div className={styles.field}>
+            <label>{t('itinerary.notes')}</label>
+            <textarea name="notes" value={formData.notes} onChange={handleChange} rows={2} />
+          </div>
+
+          {conflicts && (
+            <div className={styles.conflicts}>
+              <p>{t('itinerary.conflictsFound')}</p>
+              <ul>
+                {conflicts.map((conflict) => (
+                  <li key={conflict.id}>
+                    {conflict.vesselName || conflict.portCallId}: {formatDateTime(conflict.startTime)} →{' '}
+                    {formatDateTime(conflict.endTime)}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {error && <div className={styles.error}>{error}</div>}
+
+          <div className={styles.actions}>
+            {isEdit && (
+              <button
+                type="button"
+                className={styles.dangerButton}
+                onClick={handleDelete}
+                disabled={deleteMutation.isPending}
+              >
+                {t('common.delete')}
+              </button>
+            )}
+            <button type="button" className={styles.cancelButton} onClick={onClose}>
+              {t('common.cancel')}
+            </button>
+            {conflicts ? (
+              <button
+                type="button"
+                className={styles.saveButton}
+                onClick={() => save(true)}
+                disabled={saveMutation.isPending}
+              >
+                {saveMutation.isPending ? t('common.loading') : t('itinerary.saveAnyway')}
+              </button>
+            ) : (
+              <button type="submit" className={styles.saveButton} disabled={saveMutation.isPending}>
+                {saveMutation.isPending ? t('common.loading') : t('itinerary.save')}
+              </button>
+            )}
+          </div>
+        </form>
+      </Card>
+    </div>
+  );
+}
+
+export default BerthStayForm;
@@ -0,0 +1,76 @@
+import { useI18n } from '../../utils/useI18n';
+import { formatDateTime } from './itineraryHelpers';
+import styles from './ItineraryTable.module.css';
+
+/**
+ * Berth allocations of a port call, highlighting overlaps with other vessels on the same berth
+ * @param {Function} [onEdit] - Open a stay for editing; omit for read-only users
+ */
+function BerthStaysTable({ berthStays, onEdit }) {
+  const { t } = useI18n();
+
+  if (!berthStays || berthStays.length === 0) {
+    return <div className={styles.empty}>{t('itinerary.noBerthStays')}</div>;
+  }
+
+  const formatDraft = (value) => (value === null || value === undefined ? '-' : `${value} m`);
+
+  return (
+    <table className={styles.table}>
+      <thead>
+        <tr>
+          <th>{t('itinerary.berth')}</th>
+          <th>{t('itinerary.operationType')}</th>
+          <th>{t('itinerary.plannedWindow')}</th>
+          <th>{t('itinerary.actualWindow')}</th>
+          <th>{t('itinerary.drafts')}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {berthStays.map((stay) => {
+          const hasConflicts = stay.conflicts?.length > 0;
+          const rowClasses = [onEdit && styles.clickable, hasConflicts && styles.conflictRow].filter(Boolean);
+          return (
+            <tr
+              key={stay.id}
+              className={rowClasses.join(' ') || undefined}
+              onClick={onEdit ? () => onEdit(stay) : undefined}
+            >
+              <td>
+                {stay.berth?.name || stay.berthId}
+                {stay.berth?.parentCode && <span className={styles.secondary}>{stay.berth.parentCode}</span>}
+                {stay.pier && <span className={styles.secondary}>{t('itinerary.pier')}: {stay.pier}</span>}
+                {stay.escalaSequence && (
+                  <span className={styles.secondary}>{t('itinerary.stopNumber', { sequence: stay.escalaSequence })}</span>
+                )}
+              </td>
+              <td>{t(`itinerary.operationTypes.${stay.operationType}`)}</td>
+              <td>
+                {formatDateTime(stay.startTime)} → {formatDateTime(stay.endTime)}
+                {hasConflicts && stay.conflicts.map((conflict) => (
+                  <span key={conflict.id} className={styles.conflict}>
+                    {t('itinerary.conflictWith', {
+                      vessel: conflict.vesselName || conflict.portCallId,
+                      start: formatDateTime(conflict.startTime),
+                      end: formatDateTime(conflict.endTime),
+                    })}
+                  </span>
+                ))}
+              </td>
+              <td>
+                {stay.actualStart || stay.actualEnd
+                  ? `${formatDateTime(stay.actualStart)} → ${formatDateTime(stay.actualEnd)}`
+                  : '-'}
+              </td>
+              <td>
+                {formatDraft(stay.draftArrival)} / {formatDraft(stay.draftDeparture)}
+              </td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+}
+
+export default BerthStaysTable;
@@ -0,0 +1,188 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useI18n } from '../../utils/useI18n';
+import { api } from '../../utils/api';
+import { toDateTimeLocal, fromDateTimeLocal } from '../../utils/dateUtils';
+import Card from '../ui/Card';
+import { ESCALA_STATUSES, itineraryPath, invalidateItineraryQueries } from './itineraryHelpers';
+import styles from './ItineraryForm.module.css';
+
+const STOP_SITE_TYPES = ['PORT', 'TERMINAL'];
+
+/**
+ * Add an itinerary stop (escala) to a port call, or edit/delete one
+ * @param {string} portCallId
+ * @param {Object} [escala] - Stop being edited
+ */
+function EscalaForm({ portCallId, escala, onClose }) {
+  const queryClient = useQueryClient();
+  const { t } = useI18n();
+  const isEdit = !!escala;
+  const [formData, setFormData] = useState({
+    portId: escala?.portId || '',
+    sequence: escala?.sequence ?? '',
+    terminal: escala?.terminal || '',
+    plannedEta: toDateTimeLocal(escala?.plannedEta),
+    plannedEtd: toDateTimeLocal(escala?.plannedEtd),
+    actualEta: toDateTimeLocal(escala?.actualEta),
+    actualEtd: toDateTimeLocal(escala?.actualEtd),
+    // Empty = follow the actual times (PLANNED/ARRIVED/DEPARTED)
+    status: escala?.status === 'SKIPPED' ? 'SKIPPED' : '',
+    notes: escala?.notes || '',
+  });
+  const [error, setError] = useState('');
+  const basePath = `${itineraryPath(portCallId)}/escalas`;
+
+  const { data: opsSites } = useQuery({
+    queryKey: ['opsSites'],
+    queryFn: () => api.get('/ops-sites'),
+  });
+  const stopSites = (opsSites || []).filter((site) => STOP_SITE_TYPES.includes(site.type));
+
+  const onSuccess = () => {
+    invalidateItineraryQueries(queryClient, portCallId);
+    onClose();
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: (data) => (isEdit ? api.put(`${basePath}/${escala.id}`, data) : api.post(basePath, data)),
+    onSuccess,
+    onError: (err) => setError(err.message),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: () => api.delete(`${basePath}/${escala.id}`),
+    onSuccess,
+    onError: (err) => setError(err.message),
+  });
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setError('');
+    saveMutation.mutate({
+      ...formData,
+      sequence: formData.sequence === '' ? undefined : Number(formData.sequence),
+      plannedEta: fromDateTimeLocal(formData.plannedEta),
+      plannedEtd: fromDateTimeLocal(formData.plannedEtd),
+      actualEta: fromDateTimeLocal(formData.actualEta),
+      actualEtd: fromDateTimeLocal(formData.actualEtd),
+      status: formData.status || null,
+    });
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(t('itinerary.deleteStopConfirm'))) {
+      deleteMutation.mutate();
+    }
+  };
+
+  return (
+    <div className={styles.overlay} onClick={onClose}>
+      <Card className={styles.modal} onClick={(e) => e.stopPropagation()}>
+        <div className={styles.header}>
+          <h2>{isEdit ? t('itinerary.editStop') : t('itinerary.addStop')}</h2>
+          <button className={styles.closeButton} onClick={onClose}>
+            ×
+          </button>
+        </div>
+        <form onSubmit={handleSubmit} className={styles.form}>
+          <div className={styles.row}>
+            <div className={styles.field}>
+              <label>{t('itinerary.port')} *</label>
+              <select name="portId" value={formData.portId} onChange={handleChange} required>
+                <option value="">{t('itinerary.selectPort')}</option>
+                {stopSites.map((site) => (
+                  <option key={site.id} value={site.id}>
+                    {site.name} ({site.code})
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className={styles.field}>
+              <label>{t('itinerary.sequence')}</label>
+              <input
+                type="number"
+                name="sequence"
+                min="1"
+                step="1"
+                value={formData.sequence}
+                onChange={handleChange}
+                placeholder={t('itinerary.sequencePlaceholder')}
+              />
+            </div>
+          </div>
+
+          <div className={styles.field}>
+            <label>{t('itinerary.terminal')}</label>
+            <input name="terminal" value={formData.terminal} onChange={handleChange} />
+          </div>
+
+          <div className={styles.row}>
+            <div className={styles.field}>
+              <label>{t('itinerary.plannedEta')}</label>
+              <input type="datetime-local" name="plannedEta" value={formData.plannedEta} onChange={handleChange} />
+            </div>
+            <div className={styles.field}>
+              <label>{t('itinerary.plannedEtd')}</label>
+              <input type="datetime-local" name="plannedEtd" value={formData.plannedEtd} onChange={handleChange} />
+            </div>
+          </div>
+
+          <div className={styles.row}>
+            <div className={styles.field}>
+              <label>{t('itinerary.actualEta')}</label>
+              <input type="datetime-local" name="actualEta" value={formData.actualEta} onChange={handleChange} />
+            </div>
+            <div className={styles.field}>
+              <label>{t('itinerary.actualEtd')}</label>
+              <input type="datetime-local" name="actualEtd" value={formData.actualEtd} onChange={handleChange} />
+            </div>
+          </div>
+
+          <div className={styles.field}>
+            <label>{t('itinerary.status')}</label>
+            <select name="status" value={formData.status} onChange={handleChange}>
+              <option value="">{t('itinerary.statusAutomatic')}</option>
+              {ESCALA_STATUSES.map((status) => (
+                <option key={status} value={status}>{t(`itinerary.statuses.${status}`)}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className={styles.field}>
+            <label>{t('itinerary.notes')}</label>
+            <textarea name="notes" value={formData.notes} onChange={handleChange} rows={2} />
+          </div>
+
+          {error && <div className={styles.error}>{error}</div>}
+
+          <div className={styles.actions}>
+            {isEdit && (
+              <button
+                type="button"
+                className={styles.dangerButton}
+                onClick={handleDelete}
+                disabled={deleteMutation.isPending}
+              >
+                {t('common.delete')}
+              </button>
+            )}
+            <button type="button" className={styles.cancelButton} onClick={onClose}>
+              {t('common.cancel')}
+            </button>
+            <button type="submit" className={styles.saveButton} disabled={saveMutation.isPending}>
+              {saveMutation.isPending ? t('common.loading') : t('itinerary.save')}
+            </button>
+          </div>
+        </form>
+      </Card>
+    </div>
+  );
+}
+
+export default EscalaForm;
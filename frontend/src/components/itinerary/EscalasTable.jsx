@@ -0,0 +1,57 @@
+import { useI18n } from '../../utils/useI18n';
+import Badge from '../ui/Badge';
+import { formatDateTime } from './itineraryHelpers';
+import styles from './ItineraryTable.module.css';
+
+/**
+ * Itinerary stops of a port call in rotation order
+ * @param {Function} [onEdit] - Open a stop for editing; omit for read-only users
+ */
+function EscalasTable({ escalas, onEdit }) {
+  const { t } = useI18n();
+
+  if (!escalas || escalas.length === 0) {
+    return <div className={styles.empty}>{t('itinerary.noStops')}</div>;
+  }
+
+  return (
+    <table className={styles.table}>
+      <thead>
+        <tr>
+          <th>#</th>
+          <th>{t('itinerary.port')}</th>
+          <th>{t('itinerary.plannedEta')}</th>
+          <th>{t('itinerary.plannedEtd')}</th>
+          <th>{t('itinerary.actualEta')}</th>
+          <th>{t('itinerary.actualEtd')}</th>
+          <th>{t('itinerary.status')}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {escalas.map((escala) => (
+          <tr
+            key={escala.id}
+            className={onEdit ? styles.clickable : undefined}
+            onClick={onEdit ? () => onEdit(escala) : undefined}
+          >
+            <td className={styles.sequence}>{escala.sequence}</td>
+            <td>
+              {escala.port?.name || escala.portId}
+              {escala.terminal && <span className={styles.secondary}>{escala.terminal}</span>}
+              {escala.notes && <span className={styles.secondary}>{escala.notes}</span>}
+            </td>
+            <td>{formatDateTime(escala.plannedEta)}</td>
+            <td>{formatDateTime(escala.plannedEtd)}</td>
+            <td>{formatDateTime(escala.actualEta)}</td>
+            <td>{formatDateTime(escala.actualEtd)}</td>
+            <td>
+              <Badge status={escala.status}>{t(`itinerary.statuses.${escala.status}`)}</Badge>
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+export default EscalasTable;
@@ -0,0 +1,40 @@
+/**
+ * Itinerary constants and query helpers shared by the port call itinerary tab
+ */
+
+// Mirrors ESCALA_STATUSES and OPERATION_TYPES in backend/db/itinerary.js
+export const ESCALA_STATUSES = ['PLANNED', 'ARRIVED', 'DEPARTED', 'SKIPPED'];
+
+export const OPERATION_TYPES = [
+  'LOADING',
+  'DISCHARGING',
+  'LOADING_DISCHARGING',
+  'BUNKERING',
+  'REPAIRS',
+  'LAY_BY',
+  'OTHER',
+];
+
+/**
+ * API path of a port call's itinerary
+ */
+export function itineraryPath(portCallId) {
+  return `/port-calls/${portCallId}/itinerary`;
+}
+
+/**
+ * Refetch every view showing berth plans after a change (itinerary tab, fee estimate, berth planning)
+ */
+export function invalidateItineraryQueries(queryClient, portCallId) {
+  queryClient.invalidateQueries({ queryKey: ['portCall', portCallId, 'itinerary'] });
+  queryClient.invalidateQueries({ queryKey: ['portCall', portCallId, 'fees', 'estimate'] });
+  queryClient.invalidateQueries({ queryKey: ['berthStays'] });
+}
+
+/**
+ * Format a timestamp as local date and time without seconds ("-" when empty)
+ */
+export function formatDateTime(value) {
+  if (!value) return '-';
+  return new Date(value).toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'short' });
+}
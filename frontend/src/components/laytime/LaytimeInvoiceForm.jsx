@@ -0,0 +1,117 @@
+import { useState } from 'react';
+import { useQuery, useMutation } from '@tanstack/react-query';
+import { useI18n } from '../../utils/useI18n';
+import { api } from '../../utils/api';
+import { formatMoney } from '../../utils/formatUtils';
+import Card from '../ui/Card';
+import styles from './LaytimeForm.module.css';
+
+/**
+ * Create a draft invoice for a port call's demurrage (despatch is owed to the charterer, not invoiced)
+ * @param {string} portCallId
+ * @param {Object} result - Laytime calculation being invoiced
+ * @param {Function} onCreated - Called with the draft invoice
+ */
+function LaytimeInvoiceForm({ portCallId, result, onCreated, onClose }) {
+  const { t } = useI18n();
+  const [formData, setFormData] = useState({
+    customerId: '',
+    dueAt: '',
+    taxRate: '0',
+    notes: '',
+  });
+  const [error, setError] = useState('');
+
+  const { data: customers } = useQuery({
+    queryKey: ['customers'],
+    queryFn: () => api.get('/customers'),
+  });
+
+  const createMutation = useMutation({
+    mutationFn: (data) => api.post('/invoices/laytime', data),
+    onSuccess: (invoice) => {
+      onCreated(invoice);
+      onClose();
+    },
+    onError: (err) => setError(err.message),
+  });
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setError('');
+    createMutation.mutate({
+      portCallId,
+      customerId: formData.customerId,
+      dueAt: formData.dueAt || undefined,
+      taxRate: Number(formData.taxRate) || 0,
+      notes: formData.notes || undefined,
+    });
+  };
+
+  return (
+    <div className={styles.overlay} onClick={onClose}>
+      <Card className={styles.modal} onClick={(e) => e.stopPropagation()}>
+        <div className={styles.header}>
+          <h2>{t('laytime.createInvoice')}</h2>
+          <button className={styles.closeButton} onClick={onClose}>
+            ×
+          </button>
+        </div>
+        <form onSubmit={handleSubmit} className={styles.form}>
+          <p className={styles.hint}>
+            {t('laytime.invoiceHint', {
+              days: result.days,
+              amount: formatMoney(result.amount, result.currency),
+            })}
+          </p>
+
+          <div className={styles.field}>
+            <label>{t('laytime.customer')} *</label>
+            <select name="customerId" value={formData.customerId} onChange={handleChange} required>
+              <option value="">{t('laytime.selectCustomer')}</option>
+              {(customers || []).map((customer) => (
+                <option key={customer.id} value={customer.id}>
+                  {customer.nomeFantasia || customer.razaoSocial}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className={styles.row}>
+            <div className={styles.field}>
+              <label>{t('laytime.dueAt')}</label>
+              <input type="date" name="dueAt" value={formData.dueAt} onChange={handleChange} />
+            </div>
+            <div className={styles.field}>
+              <label>{t('laytime.taxRate')}</label>
+              <input type="number" name="taxRate" value={formData.taxRate} onChange={handleChange} min="0" max="100" step="0.01" />
+            </div>
+          </div>
+
+          <div className={styles.field}>
+            <label>{t('laytime.notes')}</label>
+            <textarea name="notes" value={formData.notes} onChange={handleChange} rows={2} />
+          </div>
+
+          {error && <div className={styles.error}>{error}</div>}
+
+          <div className={styles.actions}>
+            <button type="button" className={styles.cancelButton} onClick={onClose}>
+              {t('common.cancel')}
+            </button>
+            <button type="submit" className={styles.saveButton} disabled={createMutation.isPending}>
+              {createMutation.isPending ? t('common.loading') : t('laytime.createInvoice')}
+            </button>
+          </div>
+        </form>
+      </Card>
+    </div>
+  );
+}
+
+export default LaytimeInvoiceForm;
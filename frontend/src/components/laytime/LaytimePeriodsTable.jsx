@@ -0,0 +1,56 @@
+import { useI18n } from '../../utils/useI18n';
+import { formatDateTime } from '../itinerary/itineraryHelpers';
+import { formatHours } from './laytimeHelpers';
+import styles from './LaytimeTable.module.css';
+
+/**
+ * Laytime, excepted and demurrage periods of a calculation in time order
+ * @param {Object} result - Laytime calculation
+ * @param {string} portCallId - Current port call; other calls are named (reversible laytime)
+ */
+function LaytimePeriodsTable({ result, portCallId }) {
+  const { t } = useI18n();
+  const callNames = Object.fromEntries(
+    result.calls.map((call) => [call.portCallId, call.portName || call.portCallId])
+  );
+  const showCall = result.calls.length > 1;
+
+  if (result.periods.length === 0) {
+    return <div className={styles.empty}>{t('laytime.noPeriods')}</div>;
+  }
+
+  return (
+    <table className={styles.table}>
+      <thead>
+        <tr>
+          <th>{t('laytime.period')}</th>
+          {showCall && <th>{t('laytime.call')}</th>}
+          <th>{t('laytime.from')}</th>
+          <th>{t('laytime.to')}</th>
+          <th>{t('laytime.duration')}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {result.periods.map((period) => (
+          <tr
+            key={`${period.portCallId}-${period.start}`}
+            className={period.type === 'LAYTIME' ? undefined : styles[period.type.toLowerCase()]}
+          >
+            <td>
+              {t(`laytime.types.${period.type}`)}
+              {period.reason && <span className={styles.secondary}>{t(`laytime.reasons.${period.reason}`)}</span>}
+            </td>
+            {showCall && (
+              <td>{period.portCallId === portCallId ? t('laytime.thisCall') : callNames[period.portCallId]}</td>
+            )}
+            <td>{formatDateTime(period.start)}</td>
+            <td>{formatDateTime(period.end)}</td>
+            <td>{formatHours(period.hours)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+export default LaytimePeriodsTable;
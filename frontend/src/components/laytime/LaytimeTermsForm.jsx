@@ -0,0 +1,241 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useI18n } from '../../utils/useI18n';
+import { api } from '../../utils/api';
+import Card from '../ui/Card';
+import { formatDateTime } from '../itinerary/itineraryHelpers';
+import { LAYTIME_TERMS, laytimePath, laytimeQueryKey } from './laytimeHelpers';
+import styles from './LaytimeForm.module.css';
+
+const toInput = (value) => (value === null || value === undefined ? '' : String(value));
+
+/**
+ * Set or edit a port call's charter-party laytime terms, or remove them
+ * @param {string} portCallId
+ * @param {string} [vesselId] - Reversible laytime can pool other calls of the same vessel
+ * @param {Object} [terms] - Current terms; omit to set new ones
+ */
+function LaytimeTermsForm({ portCallId, vesselId, terms, onClose }) {
+  const queryClient = useQueryClient();
+  const { t } = useI18n();
+  const [formData, setFormData] = useState({
+    terms: terms?.terms || 'SHINC',
+    allowedHours: toInput(terms?.allowedHours),
+    cargoQuantity: toInput(terms?.cargoQuantity),
+    cargoRate: toInput(terms?.cargoRate),
+    turnTimeHours: toInput(terms?.turnTimeHours ?? 6),
+    weatherExcepted: terms?.weatherExcepted ?? true,
+    stoppagesExcepted: terms?.stoppagesExcepted ?? true,
+    reversible: terms?.reversible ?? false,
+    reversiblePortCallIds: terms?.reversiblePortCallIds || [],
+    holidays: (terms?.holidays || []).join(', '),
+    currency: terms?.currency || 'USD',
+    demurrageRate: toInput(terms?.demurrageRate),
+    despatchRate: toInput(terms?.despatchRate),
+    notes: terms?.notes || '',
+  });
+  const [error, setError] = useState('');
+
+  const { data: vesselCalls } = useQuery({
+    queryKey: ['portCalls', { vesselId }],
+    queryFn: () => api.get(`/port-calls?vesselId=${encodeURIComponent(vesselId)}&sort=eta:desc&limit=50`),
+    enabled: !!vesselId && formData.reversible,
+  });
+  const otherCalls = (vesselCalls || []).filter((call) => call.id !== portCallId);
+
+  const onSuccess = () => {
+    queryClient.invalidateQueries({ queryKey: laytimeQueryKey(portCallId) });
+    onClose();
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: (data) => api.put(laytimePath(portCallId), data),
+    onSuccess,
+    onError: (err) => setError(err.message),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: () => api.delete(laytimePath(portCallId)),
+    onSuccess,
+    onError: (err) => setError(err.message),
+  });
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const toggleCall = (callId) => {
+    setFormData((prev) => ({
+      ...prev,
+      reversiblePortCallIds: prev.reversiblePortCallIds.includes(callId)
+        ? prev.reversiblePortCallIds.filter((id) => id !== callId)
+        : [...prev.reversiblePortCallIds, callId],
+    }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setError('');
+    saveMutation.mutate({
+      ...formData,
+      holidays: formData.holidays.split(/[\s,;]+/).filter(Boolean),
+    });
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(t('laytime.deleteConfirm'))) {
+      deleteMutation.mutate();
+    }
+  };
+
+  return (
+    <div className={styles.overlay} onClick={onClose}>
+      <Card className={styles.modal} onClick={(e) => e.stopPropagation()}>
+        <div className={styles.header}>
+          <h2>{terms ? t('laytime.editTerms') : t('laytime.setTerms')}</h2>
+          <button className={styles.closeButton} onClick={onClose}>
+            ×
+          </button>
+        </div>
+        <form onSubmit={handleSubmit} className={styles.form}>
+          <div className={styles.row}>
+            <div className={styles.field}>
+              <label>{t('laytime.terms')} *</label>
+              <select name="terms" value={formData.terms} onChange={handleChange} required>
+                {LAYTIME_TERMS.map((code) => (
+                  <option key={code} value={code}>{t(`laytime.termsOptions.${code}`)}</option>
+                ))}
+              </select>
+            </div>
+            <div className={styles.field}>
+              <label>{t('laytime.turnTimeHours')}</label>
+              <input type="number" name="turnTimeHours" value={formData.turnTimeHours} onChange={handleChange} min="0" max="72" step="0.25" />
+            </div>
+          </div>
+
+          <div className={styles.field}>
+            <label>{t('laytime.allowedHours')}</label>
+            <input type="number" name="allowedHours" value={formData.allowedHours} onChange={handleChange} min="0" step="0.01" />
+            <span className={styles.helpText}>{t('laytime.allowedHoursHint')}</span>
+          </div>
+
+          <div className={styles.row}>
+            <div className={styles.field}>
+              <label>{t('laytime.cargoQuantity')}</label>
+              <input
+                type="number"
+                name="cargoQuantity"
+                value={formData.cargoQuantity}
+                onChange={handleChange}
+                min="0"
+                step="0.001"
+                disabled={formData.allowedHours !== ''}
+              />
+            </div>
+            <div className={styles.field}>
+              <label>{t('laytime.cargoRate')}</label>
+              <input
+                type="number"
+                name="cargoRate"
+                value={formData.cargoRate}
+                onChange={handleChange}
+                min="0"
+                step="0.001"
+                disabled={formData.allowedHours !== ''}
+              />
+            </div>
+          </div>
+
+          <label className={styles.checkbox}>
+            <input type="checkbox" name="weatherExcepted" checked={formData.weatherExcepted} onChange={handleChange} />
+            {t('laytime.weatherExcepted')}
+          </label>
+          <label className={styles.checkbox}>
+            <input type="checkbox" name="stoppagesExcepted" checked={formData.stoppagesExcepted} onChange={handleChange} />
+            {t('laytime.stoppagesExcepted')}
+          </label>
+
+          {formData.terms === 'SHEX' && (
+            <div className={styles.field}>
+              <label>{t('laytime.holidays')}</label>
+              <input name="holidays" value={formData.holidays} onChange={handleChange} placeholder="2026-12-25, 2027-01-01" />
+              <span className={styles.helpText}>{t('laytime.holidaysHint')}</span>
+            </div>
+          )}
+
+          <label className={styles.checkbox}>
+            <input type="checkbox" name="reversible" checked={formData.reversible} onChange={handleChange} />
+            {t('laytime.reversible')}
+          </label>
+          {formData.reversible && (
+            <div className={styles.field}>
+              <label>{t('laytime.reversibleCalls')}</label>
+              {otherCalls.length === 0 ? (
+                <span className={styles.helpText}>{t('laytime.noOtherCalls')}</span>
+              ) : (
+                <div className={styles.callList}>
+                  {otherCalls.map((call) => (
+                    <label key={call.id} className={styles.checkbox}>
+                      <input
+                        type="checkbox"
+                        checked={formData.reversiblePortCallIds.includes(call.id)}
+                        onChange={() => toggleCall(call.id)}
+                      />
+                      {call.port?.name || '-'} · {formatDateTime(call.actualArrival || call.eta)}
+                    </label>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          <div className={styles.row}>
+            <div className={styles.field}>
+              <label>{t('laytime.currency')} *</label>
+              <input name="currency" value={formData.currency} onChange={handleChange} maxLength={3} required />
+            </div>
+            <div className={styles.field}>
+              <label>{t('laytime.demurrageRate')} *</label>
+              <input type="number" name="demurrageRate" value={formData.demurrageRate} onChange={handleChange} min="0" step="0.01" required />
+            </div>
+          </div>
+
+          <div className={styles.field}>
+            <label>{t('laytime.despatchRate')}</label>
+            <input type="number" name="despatchRate" value={formData.despatchRate} onChange={handleChange} min="0" step="0.01" />
+            <span className={styles.helpText}>{t('laytime.despatchRateHint')}</span>
+          </div>
+
+          <div className={styles.field}>
+            <label>{t('laytime.notes')}</label>
+            <textarea name="notes" value={formData.notes} onChange={handleChange} rows={2} />
+          </div>
+
+          {error && <div className={styles.error}>{error}</div>}
+
+          <div className={styles.actions}>
+            {terms && (
+              <button
+                type="button"
+                className={styles.dangerButton}
+                onClick={handleDelete}
+                disabled={deleteMutation.isPending}
+              >
+                {t('common.delete')}
+              </button>
+            )}
+            <button type="button" className={styles.cancelButton} onClick={onClose}>
+              {t('common.cancel')}
+            </button>
+            <button type="submit" className={styles.saveButton} disabled={saveMutation.isPending}>
+              {saveMutation.isPending ? t('common.loading') : t('laytime.save')}
+            </button>
+          </div>
+        </form>
+      </Card>
+    </div>
+  );
+}
+
+export default LaytimeTermsForm;
@@ -0,0 +1,29 @@
+/**
+ * Laytime constants and query helpers shared by the port call laytime tab
+ */
+
+// Mirrors LAYTIME_TERMS in backend/db/laytime.js
+export const LAYTIME_TERMS = ['SHINC', 'SHEX'];
+
+export const PERIOD_TYPES = ['LAYTIME', 'EXCEPTED', 'DEMURRAGE'];
+
+/**
+ * API path of a port call's laytime terms and calculation
+ */
+export function laytimePath(portCallId) {
+  return `/port-calls/${portCallId}/laytime`;
+}
+
+export function laytimeQueryKey(portCallId) {
+  return ['portCall', portCallId, 'laytime'];
+}
+
+/**
+ * Hours as "1d 05h30" (days only when at least one)
+ */
+export function formatHours(hours) {
+  const minutes = Math.round((hours || 0) * 60);
+  const days = Math.floor(minutes / 1440);
+  const time = `${String(Math.floor((minutes % 1440) / 60)).padStart(2, '0')}h${String(minutes % 60).padStart(2, '0')}`;
+  return days > 0 ? `${days}d ${time}` : time;
+}
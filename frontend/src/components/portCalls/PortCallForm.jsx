@@ -0,0 +1,169 @@
+import { useState } from 'react';
+import { useMutation, useQueryClient, useQuery } from '@tanstack/react-query';
+import { useI18n } from '../../utils/useI18n';
+import { api } from '../../utils/api';
+import { toDateTimeLocal, fromDateTimeLocal } from '../../utils/dateUtils';
+import Card from '../ui/Card';
+import styles from './PortCallForm.module.css';
+
+function PortCallForm({ onClose, portCall = null }) {
+  const queryClient = useQueryClient();
+  const { t } = useI18n();
+  const isEdit = !!portCall;
+  const [error, setError] = useState('');
+  const [formData, setFormData] = useState({
+    vesselId: portCall?.vesselId || '',
+    portId: portCall?.portId || '',
+    eta: toDateTimeLocal(portCall?.eta),
+    etd: toDateTimeLocal(portCall?.etd),
+    localReferenceType: portCall?.localReferenceType || '',
+    localReferenceNumber: portCall?.localReferenceNumber || '',
+  });
+
+  const { data: vessels } = useQuery({
+    queryKey: ['vessels'],
+    queryFn: () => api.get('/vessels'),
+  });
+
+  const { data: opsSites } = useQuery({
+    queryKey: ['opsSites'],
+    queryFn: () => api.get('/ops-sites'),
+  });
+
+  const saveMutation = useMutation({
+    mutationFn: (data) => (isEdit
+      ? api.put(`/port-calls/${portCall.id}`, data)
+      : api.post('/port-calls', data)),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['portCalls']);
+      if (isEdit) {
+        queryClient.invalidateQueries(['portCall', portCall.id]);
+      }
+      queryClient.invalidateQueries(['dashboard', 'stats']);
+      onClose();
+    },
+    onError: (err) => {
+      setError(err.message);
+    },
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (formData.eta && formData.etd && new Date(formData.etd) < new Date(formData.eta)) {
+      setError(t('portCalls.form.etdBeforeEta'));
+      return;
+    }
+
+    saveMutation.mutate({
+      ...formData,
+      portId: formData.portId || null,
+      eta: fromDateTimeLocal(formData.eta),
+      etd: fromDateTimeLocal(formData.etd),
+    });
+  };
+
+  return (
+    <div className={styles.overlay} onClick={onClose}>
+      <Card className={styles.modal} onClick={(e) => e.stopPropagation()}>
+        <div className={styles.header}>
+          <h2>{isEdit ? t('portCalls.editPortCall') : t('portCalls.newPortCall')}</h2>
+          <button className={styles.closeButton} onClick={onClose}>
+            ×
+          </button>
+        </div>
+        <form onSubmit={handleSubmit} className={styles.form}>
+          <div className={styles.field}>
+            <label>{t('portCalls.form.vessel')} *</label>
+            <select
+              value={formData.vesselId}
+              onChange={(e) => setFormData({ ...formData, vesselId: e.target.value })}
+              required
+            >
+              <option value="">{t('portCalls.form.selectVessel')}</option>
+              {(vessels || []).map((vessel) => (
+                <option key={vessel.id} value={vessel.id}>
+                  {vessel.name} {vessel.imo ? `(${vessel.imo})` : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className={styles.field}>
+            <label>{t('portCalls.form.opsSite')}</label>
+            <select
+              value={formData.portId}
+              onChange={(e) => setFormData({ ...formData, portId: e.target.value })}
+            >
+              <option value="">{t('portCalls.form.selectOpsSite')}</option>
+              {(opsSites || []).map((site) => (
+                <option key={site.id} value={site.id}>
+                  {site.name} {site.code ? `(${site.code})` : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className={styles.row}>
+            <div className={styles.field}>
+              <label>{t('portCalls.eta')}</label>
+              <input
+                type="datetime-local"
+                value={formData.eta}
+                onChange={(e) => setFormData({ ...formData, eta: e.target.value })}
+              />
+            </div>
+            <div className={styles.field}>
+              <label>{t('portCalls.etd')}</label>
+              <input
+                type="datetime-local"
+                value={formData.etd}
+                onChange={(e) => setFormData({ ...formData, etd: e.target.value })}
+              />
+            </div>
+          </div>
+          <div className={styles.row}>
+            <div className={styles.field}>
+              <label>{t('portCalls.form.referenceType')}</label>
+              <select
+                value={formData.localReferenceType}
+                onChange={(e) => setFormData({ ...formData, localReferenceType: e.target.value })}
+              >
+                <option value="">-</option>
+                <option value="BR_DUV">BR_DUV</option>
+                <option value="GENERIC">GENERIC</option>
+              </select>
+            </div>
+            <div className={styles.field}>
+              <label>{t('portCalls.form.referenceNumber')}</label>
+              <input
+                type="text"
+                value={formData.localReferenceNumber}
+                onChange={(e) => setFormData({ ...formData, localReferenceNumber: e.target.value })}
+                placeholder="e.g., DUV-2025-001234"
+              />
+            </div>
+          </div>
+
+          {error && <div className={styles.error}>{error}</div>}
+
+          <div className={styles.actions}>
+            <button type="button" className={styles.cancelButton} onClick={onClose}>
+              {t('common.cancel')}
+            </button>
+            <button
+              type="submit"
+              className={styles.saveButton}
+              disabled={saveMutation.isPending}
+            >
+              {saveMutation.isPending
+                ? t('common.loading')
+                : isEdit ? t('common.save') : t('common.create')}
+            </button>
+          </div>
+        </form>
+      </Card>
+    </div>
+  );
+}
+
+export default PortCallForm;
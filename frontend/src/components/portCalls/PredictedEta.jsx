@@ -0,0 +1,119 @@
+import { useState } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { useI18n } from '../../utils/useI18n';
+import { api } from '../../utils/api';
+import { useAuth } from '../../modules/auth/AuthContext';
+import Card from '../ui/Card';
+import Badge from '../ui/Badge';
+import { formatDateTime } from '../itinerary/itineraryHelpers';
+import styles from './PredictedEta.module.css';
+
+function formatHours(hours) {
+  return `${hours > 0 ? '+' : ''}${hours}h`;
+}
+
+/**
+ * Predicted ETA of a PLANNED port call, from the vessel's AIS track and the sea-route distance
+ * to the port (refreshed by the backend job; editors can recalculate it now)
+ * @param {Object} portCall
+ */
+function PredictedEta({ portCall }) {
+  const { t } = useI18n();
+  const { user } = useAuth();
+  const canEdit = user?.role !== 'VIEWER';
+  const queryClient = useQueryClient();
+  const [reason, setReason] = useState(null);
+  const [error, setError] = useState('');
+  const prediction = portCall.predictedEta;
+
+  const recalculateMutation = useMutation({
+    mutationFn: () => api.post(`/port-calls/${portCall.id}/predicted-eta`),
+    onSuccess: (response) => {
+      setReason(response.reason || null);
+      queryClient.invalidateQueries({ queryKey: ['portCall', portCall.id] });
+    },
+    onError: (err) => setError(err.message),
+  });
+
+  const recalculate = () => {
+    setError('');
+    recalculateMutation.mutate();
+  };
+
+  return (
+    <Card>
+      <div className={styles.header}>
+        <h2>{t('predictedEta.title')}</h2>
+        {canEdit && (
+          <button
+            className={styles.recalculateButton}
+            onClick={recalculate}
+            disabled={recalculateMutation.isPending}
+          >
+            {recalculateMutation.isPending ? t('common.loading') : t('predictedEta.recalculate')}
+          </button>
+        )}
+      </div>
+
+      {error && <p className={styles.error}>{error}</p>}
+
+      {!prediction ? (
+        <p className={styles.empty}>
+          {reason ? t(`predictedEta.reasons.${reason}`) : t('predictedEta.none')}
+        </p>
+      ) : (
+        <>
+          {prediction.diverges && (
+            <p className={styles.warning}>
+              {t('predictedEta.divergesWarning', {
+                hours: formatHours(prediction.divergenceHours),
+                threshold: prediction.thresholdHours,
+              })}
+            </p>
+          )}
+          <div className={styles.grid}>
+            <div>
+              <label>{t('predictedEta.eta')}</label>
+              <p>{formatDateTime(prediction.eta)}</p>
+              {prediction.divergenceHours !== null && (
+                <span className={styles.secondary}>
+                  {t('predictedEta.vsPlanned', { hours: formatHours(prediction.divergenceHours) })}
+                </span>
+              )}
+            </div>
+            <div>
+              <label>{t('predictedEta.confidence')}</label>
+              <p>
+                <Badge status={prediction.level}>{t(`predictedEta.levels.${prediction.level}`)}</Badge>{' '}
+                {Math.round(prediction.confidence * 100)}%
+              </p>
+            </div>
+            <div>
+              <label>{t('predictedEta.distance')}</label>
+              <p>{prediction.distanceNm} nm</p>
+              <span className={styles.secondary}>
+                {prediction.route?.direct
+                  ? t('predictedEta.directRoute')
+                  : t('predictedEta.viaWaypoints', { count: prediction.route?.waypoints.length || 0 })}
+              </span>
+            </div>
+            <div>
+              <label>{t('predictedEta.speed')}</label>
+              <p>{prediction.speedKn} kn</p>
+              <span className={styles.secondary}>{t(`predictedEta.speedSources.${prediction.speedSource}`)}</span>
+            </div>
+            <div>
+              <label>{t('predictedEta.position')}</label>
+              <p>{formatDateTime(prediction.positionAt)}</p>
+              <span className={styles.secondary}>
+                {t('predictedEta.computedAt', { time: formatDateTime(prediction.computedAt) })}
+              </span>
+            </div>
+          </div>
+        </>
+      )}
+    </Card>
+  );
+}
+
+export default PredictedEta;
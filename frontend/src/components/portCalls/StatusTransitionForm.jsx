@@ -0,0 +1,109 @@
+import { useState } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { useI18n } from '../../utils/useI18n';
+import { api } from '../../utils/api';
+import { toDateTimeLocal, fromDateTimeLocal } from '../../utils/dateUtils';
+import Card from '../ui/Card';
+import styles from './PortCallForm.module.css';
+
+// Field each target status requires (mirrors REQUIRED_TRANSITION_FIELDS in the backend lifecycle)
+const TRANSITION_FIELDS = {
+  IN_PROGRESS: 'actualArrival',
+  COMPLETED: 'actualDeparture',
+  CANCELLED: 'reason',
+};
+
+function StatusTransitionForm({ portCall, toStatus, onClose }) {
+  const queryClient = useQueryClient();
+  const { t } = useI18n();
+  const field = TRANSITION_FIELDS[toStatus];
+  const isTimeField = field === 'actualArrival' || field === 'actualDeparture';
+  const [value, setValue] = useState(isTimeField ? toDateTimeLocal(new Date().toISOString()) : '');
+  const [error, setError] = useState('');
+
+  const transitionMutation = useMutation({
+    mutationFn: (data) => api.post(`/port-calls/${portCall.id}/transitions`, data),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['portCall', portCall.id]);
+      queryClient.invalidateQueries(['portCalls']);
+      queryClient.invalidateQueries(['dashboard']);
+      onClose();
+    },
+    onError: (err) => {
+      setError(err.message);
+    },
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setError('');
+
+    const payload = { status: toStatus };
+    if (field) {
+      payload[field] = isTimeField ? fromDateTimeLocal(value) : value.trim();
+    }
+    transitionMutation.mutate(payload);
+  };
+
+  return (
+    <div className={styles.overlay} onClick={onClose}>
+      <Card className={styles.modal} onClick={(e) => e.stopPropagation()}>
+        <div className={styles.header}>
+          <h2>{t(`portCalls.transitions.${toStatus}`)}</h2>
+          <button className={styles.closeButton} onClick={onClose}>
+            ×
+          </button>
+        </div>
+        <form onSubmit={handleSubmit} className={styles.form}>
+          <p className={styles.helpText}>
+            {t('portCalls.transitions.summary', {
+              from: t(`portCalls.status.${portCall.status}`),
+              to: t(`portCalls.status.${toStatus}`),
+            })}
+          </p>
+
+          {isTimeField && (
+            <div className={styles.field}>
+              <label>{t(`portCalls.${field}`)} *</label>
+              <input
+                type="datetime-local"
+                value={value}
+                onChange={(e) => setValue(e.target.value)}
+                required
+              />
+            </div>
+          )}
+
+          {field === 'reason' && (
+            <div className={styles.field}>
+              <label>{t('portCalls.transitions.reason')} *</label>
+              <textarea
+                value={value}
+                onChange={(e) => setValue(e.target.value)}
+                rows={3}
+                required
+              />
+            </div>
+          )}
+
+          {error && <div className={styles.error}>{error}</div>}
+
+          <div className={styles.actions}>
+            <button type="button" className={styles.cancelButton} onClick={onClose}>
+              {t('common.close')}
+            </button>
+            <button
+              type="submit"
+              className={styles.saveButton}
+              disabled={transitionMutation.isPending}
+            >
+              {transitionMutation.isPending ? t('common.loading') : t('common.confirm')}
+            </button>
+          </div>
+        </form>
+      </Card>
+    </div>
+  );
+}
+
+export default StatusTransitionForm;
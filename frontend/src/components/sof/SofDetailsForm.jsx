@@ -0,0 +1,86 @@
+import { useState } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { useI18n } from '../../utils/useI18n';
+import { api } from '../../utils/api';
+import Card from '../ui/Card';
+import { sofPath, sofQueryKey } from './sofHelpers';
+import styles from './SofForm.module.css';
+
+/**
+ * Edit the master and general remarks of a statement of facts, or confirm them and sign it
+ * @param {string} portCallId
+ * @param {Object} statement
+ * @param {boolean} [sign] - Sign the statement instead of only saving
+ */
+function SofDetailsForm({ portCallId, statement, sign = false, onClose }) {
+  const queryClient = useQueryClient();
+  const { t } = useI18n();
+  const [formData, setFormData] = useState({
+    masterName: statement.masterName || '',
+    remarks: statement.remarks || '',
+  });
+  const [error, setError] = useState('');
+
+  const saveMutation = useMutation({
+    mutationFn: async (data) => {
+      if (!sign) return api.put(sofPath(portCallId), data);
+      await api.put(sofPath(portCallId), { remarks: data.remarks });
+      return api.post(`${sofPath(portCallId)}/sign`, { masterName: data.masterName });
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: sofQueryKey(portCallId) });
+      onClose();
+    },
+    onError: (err) => setError(err.message),
+  });
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setError('');
+    saveMutation.mutate(formData);
+  };
+
+  return (
+    <div className={styles.overlay} onClick={onClose}>
+      <Card className={styles.modal} onClick={(e) => e.stopPropagation()}>
+        <div className={styles.header}>
+          <h2>{sign ? t('sof.sign') : t('sof.editDetails')}</h2>
+          <button className={styles.closeButton} onClick={onClose}>
+            ×
+          </button>
+        </div>
+        <form onSubmit={handleSubmit} className={styles.form}>
+          {sign && <p className={styles.hint}>{t('sof.signHint')}</p>}
+
+          <div className={styles.field}>
+            <label>{t('sof.masterName')}{sign && ' *'}</label>
+            <input name="masterName" value={formData.masterName} onChange={handleChange} required={sign} />
+          </div>
+
+          <div className={styles.field}>
+            <label>{t('sof.generalRemarks')}</label>
+            <textarea name="remarks" value={formData.remarks} onChange={handleChange} rows={4} />
+          </div>
+
+          {error && <div className={styles.error}>{error}</div>}
+
+          <div className={styles.actions}>
+            <button type="button" className={styles.cancelButton} onClick={onClose}>
+              {t('common.cancel')}
+            </button>
+            <button type="submit" className={styles.saveButton} disabled={saveMutation.isPending}>
+              {saveMutation.isPending ? t('common.loading') : sign ? t('sof.sign') : t('sof.save')}
+            </button>
+          </div>
+        </form>
+      </Card>
+    </div>
+  );
+}
+
+export default SofDetailsForm;
@@ -0,0 +1,58 @@
+import { useI18n } from '../../utils/useI18n';
+import { formatDateTime } from '../itinerary/itineraryHelpers';
+import { STOPPAGE_CODES, formatDuration } from './sofHelpers';
+import styles from './SofTable.module.css';
+
+/**
+ * Entries of a statement of facts in time order; stoppages are highlighted
+ * @param {Function} [onEdit] - Open an entry for editing; omit when read-only or signed
+ */
+function SofEntriesTable({ entries, onEdit }) {
+  const { t } = useI18n();
+
+  if (!entries || entries.length === 0) {
+    return <div className={styles.empty}>{t('sof.noEntries')}</div>;
+  }
+
+  return (
+    <table className={styles.table}>
+      <thead>
+        <tr>
+          <th>{t('sof.event')}</th>
+          <th>{t('sof.startTime')}</th>
+          <th>{t('sof.endTime')}</th>
+          <th>{t('sof.duration')}</th>
+          <th>{t('sof.description')}</th>
+          <th>{t('sof.source')}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {entries.map((entry) => {
+          const classes = [
+            onEdit && styles.clickable,
+            STOPPAGE_CODES.includes(entry.eventCode) && styles.stoppageRow,
+          ].filter(Boolean).join(' ');
+          return (
+            <tr
+              key={entry.id}
+              className={classes || undefined}
+              onClick={onEdit ? () => onEdit(entry) : undefined}
+            >
+              <td>{t(`sof.events.${entry.eventCode}`)}</td>
+              <td>{formatDateTime(entry.startTime)}</td>
+              <td>{entry.endTime ? formatDateTime(entry.endTime) : ''}</td>
+              <td>{formatDuration(entry.startTime, entry.endTime)}</td>
+              <td>
+                {entry.description}
+                {entry.remarks && <span className={styles.secondary}>{entry.remarks}</span>}
+              </td>
+              <td className={styles.source}>{t(`sof.sources.${entry.source}`)}</td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+}
+
+export default SofEntriesTable;
@@ -0,0 +1,146 @@
+import { useState } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { useI18n } from '../../utils/useI18n';
+import { api } from '../../utils/api';
+import { toDateTimeLocal, fromDateTimeLocal } from '../../utils/dateUtils';
+import Card from '../ui/Card';
+import { SOF_EVENT_CODES, STOPPAGE_CODES, sofPath, sofQueryKey } from './sofHelpers';
+import styles from './SofForm.module.css';
+
+/**
+ * Add an entry (event, stoppage, remark) to a statement of facts, or edit/delete one
+ * @param {string} portCallId
+ * @param {Object} [entry] - Entry being edited; { eventCode } to preset a new one
+ */
+function SofEntryForm({ portCallId, entry, onClose }) {
+  const queryClient = useQueryClient();
+  const { t } = useI18n();
+  const isEdit = !!entry?.id;
+  const [formData, setFormData] = useState({
+    eventCode: entry?.eventCode || 'OTHER',
+    startTime: toDateTimeLocal(entry?.startTime),
+    endTime: toDateTimeLocal(entry?.endTime),
+    description: entry?.description || '',
+    remarks: entry?.remarks || '',
+  });
+  const [error, setError] = useState('');
+  const basePath = `${sofPath(portCallId)}/entries`;
+  const isStoppage = STOPPAGE_CODES.includes(formData.eventCode);
+
+  const onSuccess = () => {
+    queryClient.invalidateQueries({ queryKey: sofQueryKey(portCallId) });
+    onClose();
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: (data) => (isEdit ? api.put(`${basePath}/${entry.id}`, data) : api.post(basePath, data)),
+    onSuccess,
+    onError: (err) => setError(err.message),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: () => api.delete(`${basePath}/${entry.id}`),
+    onSuccess,
+    onError: (err) => setError(err.message),
+  });
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setError('');
+    saveMutation.mutate({
+      ...formData,
+      startTime: fromDateTimeLocal(formData.startTime),
+      endTime: fromDateTimeLocal(formData.endTime),
+    });
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(t('sof.deleteEntryConfirm'))) {
+      deleteMutation.mutate();
+    }
+  };
+
+  return (
+    <div className={styles.overlay} onClick={onClose}>
+      <Card className={styles.modal} onClick={(e) => e.stopPropagation()}>
+        <div className={styles.header}>
+          <h2>{isEdit ? t('sof.editEntry') : t('sof.addEntry')}</h2>
+          <button className={styles.closeButton} onClick={onClose}>
+            ×
+          </button>
+        </div>
+        <form onSubmit={handleSubmit} className={styles.form}>
+          <div className={styles.field}>
+            <label>{t('sof.event')} *</label>
+            <select name="eventCode" value={formData.eventCode} onChange={handleChange} required>
+              {SOF_EVENT_CODES.map((code) => (
+                <option key={code} value={code}>{t(`sof.events.${code}`)}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className={styles.row}>
+            <div className={styles.field}>
+              <label>{t('sof.startTime')} *</label>
+              <input
+                type="datetime-local"
+                name="startTime"
+                value={formData.startTime}
+                onChange={handleChange}
+                required
+              />
+            </div>
+            <div className={styles.field}>
+              <label>{t('sof.endTime')}{isStoppage && ' *'}</label>
+              <input
+                type="datetime-local"
+                name="endTime"
+                value={formData.endTime}
+                onChange={handleChange}
+                required={isStoppage}
+              />
+            </div>
+          </div>
+
+          <div className={styles.field}>
+            <label>{t('sof.description')}</label>
+            <input name="description" value={formData.description} onChange={handleChange} />
+          </div>
+
+          <div className={styles.field}>
+            <label>{t('sof.remarks')}</label>
+            <textarea name="remarks" value={formData.remarks} onChange={handleChange} rows={2} />
+          </div>
+
+          {error && <div className={styles.error}>{error}</div>}
+
+          <div className={styles.actions}>
+            {isEdit && (
+              <button
+                type="button"
+                className={styles.dangerButton}
+                onClick={handleDelete}
+                disabled={deleteMutation.isPending}
+              >
+                {t('common.delete')}
+              </button>
+            )}
+            <button type="button" className={styles.cancelButton} onClick={onClose}>
+              {t('common.cancel')}
+            </button>
+            <button type="submit" className={styles.saveButton} disabled={saveMutation.isPending}>
+              {saveMutation.isPending ? t('common.loading') : t('sof.save')}
+            </button>
+          </div>
+        </form>
+      </Card>
+    </div>
+  );
+}
+
+export default SofEntryForm;
@@ -0,0 +1,49 @@
+/**
+ * Statement of facts constants and query helpers shared by the port call SOF tab
+ */
+
+// Mirrors SOF_EVENT_CODES and STOPPAGE_CODES in backend/db/statementsOfFacts.js
+export const SOF_EVENT_CODES = [
+  'EOSP',
+  'ARRIVED',
+  'NOR_TENDERED',
+  'ANCHORED',
+  'ANCHOR_AWEIGH',
+  'PILOT_ON_BOARD',
+  'FIRST_LINE',
+  'ALL_FAST',
+  'FREE_PRATIQUE',
+  'NOR_ACCEPTED',
+  'HOSES_CONNECTED',
+  'COMMENCED_CARGO',
+  'COMPLETED_CARGO',
+  'HOSES_DISCONNECTED',
+  'DOCUMENTS_ON_BOARD',
+  'LAST_LINE',
+  'SAILED',
+  'WEATHER_STOPPAGE',
+  'STOPPAGE',
+  'OTHER',
+];
+
+export const STOPPAGE_CODES = ['WEATHER_STOPPAGE', 'STOPPAGE'];
+
+/**
+ * API path of a port call's statement of facts
+ */
+export function sofPath(portCallId) {
+  return `/port-calls/${portCallId}/sof`;
+}
+
+export function sofQueryKey(portCallId) {
+  return ['portCall', portCallId, 'sof'];
+}
+
+/**
+ * Length of a period as "2h30" (empty without an end)
+ */
+export function formatDuration(start, end) {
+  if (!start || !end) return '';
+  const minutes = Math.round((new Date(end) - new Date(start)) / 60000);
+  return `${Math.floor(minutes / 60)}h${String(minutes % 60).padStart(2, '0')}`;
+}
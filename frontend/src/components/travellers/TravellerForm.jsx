@@ -0,0 +1,251 @@
+import { useState } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { useI18n } from '../../utils/useI18n';
+import { api } from '../../utils/api';
+import Card from '../ui/Card';
+import {
+  DOCUMENT_TYPES,
+  CREW_STATUSES,
+  PASSENGER_STATUSES,
+  travellersPath,
+  travellersQueryKey,
+} from './travellerHelpers';
+import styles from './TravellerForm.module.css';
+
+/**
+ * Add a crew member or passenger to a port call, or edit/remove one
+ * @param {'CREW'|'PASSENGER'} type
+ * @param {string} portCallId
+ * @param {Object} [traveller] - Crew member or passenger being edited
+ */
+function TravellerForm({ type, portCallId, traveller, onClose }) {
+  const queryClient = useQueryClient();
+  const { t } = useI18n();
+  const isCrew = type === 'CREW';
+  const isEdit = !!traveller;
+  const [formData, setFormData] = useState({
+    familyName: traveller?.familyName || '',
+    givenNames: traveller?.givenNames || '',
+    nationality: traveller?.nationality || '',
+    dateOfBirth: traveller?.dateOfBirth || '',
+    placeOfBirth: traveller?.placeOfBirth || '',
+    documentType: traveller?.documentType || 'PASSPORT',
+    documentNumber: traveller?.documentNumber || '',
+    documentIssuingState: traveller?.documentIssuingState || '',
+    documentExpiry: traveller?.documentExpiry || '',
+    rank: traveller?.rank || '',
+    onBoardStatus: traveller?.onBoardStatus || 'ON_BOARD',
+    embarkPort: traveller?.embarkPort || '',
+    disembarkPort: traveller?.disembarkPort || '',
+    isTransit: traveller?.isTransit || false,
+    cabin: traveller?.cabin || '',
+    status: traveller?.status || 'ON_BOARD',
+    notes: traveller?.notes || '',
+  });
+  const [error, setError] = useState('');
+  const basePath = travellersPath(type, portCallId);
+
+  const onSuccess = () => {
+    queryClient.invalidateQueries({ queryKey: travellersQueryKey(type, portCallId) });
+    onClose();
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: (data) => (isEdit ? api.put(`${basePath}/${traveller.id}`, data) : api.post(basePath, data)),
+    onSuccess,
+    onError: (err) => setError(err.message),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: () => api.delete(`${basePath}/${traveller.id}`),
+    onSuccess,
+    onError: (err) => setError(err.message),
+  });
+
+  const handleChange = (e) => {
+    const { name, value, type: inputType, checked } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: inputType === 'checkbox' ? checked : value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setError('');
+    const listFields = isCrew
+      ? ['rank', 'onBoardStatus']
+      : ['embarkPort', 'disembarkPort', 'isTransit', 'cabin', 'status'];
+    const data = Object.fromEntries(
+      [
+        'familyName', 'givenNames', 'nationality', 'dateOfBirth', 'placeOfBirth', 'documentType',
+        'documentNumber', 'documentIssuingState', 'documentExpiry', 'notes', ...listFields,
+      ].map((field) => [field, formData[field] === '' ? null : formData[field]])
+    );
+    saveMutation.mutate(data);
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(t('travellers.deleteConfirm', { name: traveller.fullName }))) {
+      deleteMutation.mutate();
+    }
+  };
+
+  const title = isCrew
+    ? (isEdit ? t('travellers.editCrew') : t('travellers.addCrew'))
+    : (isEdit ? t('travellers.editPassenger') : t('travellers.addPassenger'));
+
+  return (
+    <div className={styles.overlay} onClick={onClose}>
+      <Card className={styles.modal} onClick={(e) => e.stopPropagation()}>
+        <div className={styles.header}>
+          <h2>{title}</h2>
+          <button className={styles.closeButton} onClick={onClose}>
+            ×
+          </button>
+        </div>
+        <form onSubmit={handleSubmit} className={styles.form}>
+          <div className={styles.row}>
+            <div className={styles.field}>
+              <label>{t('travellers.familyName')} *</label>
+              <input name="familyName" value={formData.familyName} onChange={handleChange} required />
+            </div>
+            <div className={styles.field}>
+              <label>{t('travellers.givenNames')}</label>
+              <input name="givenNames" value={formData.givenNames} onChange={handleChange} />
+            </div>
+          </div>
+
+          <div className={styles.row3}>
+            <div className={styles.field}>
+              <label>{t('travellers.nationality')} *</label>
+              <input
+                name="nationality"
+                value={formData.nationality}
+                onChange={handleChange}
+                maxLength={3}
+                placeholder="BRA"
+                required
+              />
+              <span className={styles.helpText}>{t('travellers.countryCodeHint')}</span>
+            </div>
+            <div className={styles.field}>
+              <label>{t('travellers.dateOfBirth')}</label>
+              <input type="date" name="dateOfBirth" value={formData.dateOfBirth} onChange={handleChange} />
+            </div>
+            <div className={styles.field}>
+              <label>{t('travellers.placeOfBirth')}</label>
+              <input name="placeOfBirth" value={formData.placeOfBirth} onChange={handleChange} />
+            </div>
+          </div>
+
+          <div className={styles.row}>
+            <div className={styles.field}>
+              <label>{t('travellers.documentType')}</label>
+              <select name="documentType" value={formData.documentType} onChange={handleChange}>
+                {DOCUMENT_TYPES.map((documentType) => (
+                  <option key={documentType} value={documentType}>
+                    {t(`travellers.documentTypes.${documentType}`)}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className={styles.field}>
+              <label>{t('travellers.documentNumber')} *</label>
+              <input name="documentNumber" value={formData.documentNumber} onChange={handleChange} required />
+            </div>
+          </div>
+
+          <div className={styles.row}>
+            <div className={styles.field}>
+              <label>{t('travellers.documentIssuingState')}</label>
+              <input
+                name="documentIssuingState"
+                value={formData.documentIssuingState}
+                onChange={handleChange}
+                maxLength={3}
+              />
+            </div>
+            <div className={styles.field}>
+              <label>{t('travellers.documentExpiry')}</label>
+              <input type="date" name="documentExpiry" value={formData.documentExpiry} onChange={handleChange} />
+            </div>
+          </div>
+
+          {isCrew ? (
+            <div className={styles.row}>
+              <div className={styles.field}>
+                <label>{t('travellers.rank')}</label>
+                <input name="rank" value={formData.rank} onChange={handleChange} />
+              </div>
+              <div className={styles.field}>
+                <label>{t('travellers.status')}</label>
+                <select name="onBoardStatus" value={formData.onBoardStatus} onChange={handleChange}>
+                  {CREW_STATUSES.map((status) => (
+                    <option key={status} value={status}>{t(`travellers.crewStatuses.${status}`)}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+          ) : (
+            <>
+              <div className={styles.row}>
+                <div className={styles.field}>
+                  <label>{t('travellers.embarkPort')}</label>
+                  <input name="embarkPort" value={formData.embarkPort} onChange={handleChange} />
+                </div>
+                <div className={styles.field}>
+                  <label>{t('travellers.disembarkPort')}</label>
+                  <input name="disembarkPort" value={formData.disembarkPort} onChange={handleChange} />
+                </div>
+              </div>
+              <div className={styles.row3}>
+                <div className={styles.field}>
+                  <label>{t('travellers.cabin')}</label>
+                  <input name="cabin" value={formData.cabin} onChange={handleChange} />
+                </div>
+                <div className={styles.field}>
+                  <label>{t('travellers.status')}</label>
+                  <select name="status" value={formData.status} onChange={handleChange}>
+                    {PASSENGER_STATUSES.map((status) => (
+                      <option key={status} value={status}>{t(`travellers.passengerStatuses.${status}`)}</option>
+                    ))}
+                  </select>
+                </div>
+                <label className={styles.checkbox}>
+                  <input type="checkbox" name="isTransit" checked={formData.isTransit} onChange={handleChange} />
+                  {t('travellers.transit')}
+                </label>
+              </div>
+            </>
+          )}
+
+          <div className={styles.field}>
+            <label>{t('travellers.notes')}</label>
+            <textarea name="notes" value={formData.notes} onChange={handleChange} rows={2} />
+          </div>
+
+          {error && <div className={styles.error}>{error}</div>}
+
+          <div className={styles.actions}>
+            {isEdit && (
+              <button
+                type="button"
+                className={styles.dangerButton}
+                onClick={handleDelete}
+                disabled={deleteMutation.isPending}
+              >
+                {t('common.delete')}
+              </button>
+            )}
+            <button type="button" className={styles.cancelButton} onClick={onClose}>
+              {t('common.cancel')}
+            </button>
+            <button type="submit" className={styles.saveButton} disabled={saveMutation.isPending}>
+              {saveMutation.isPending ? t('common.loading') : t('travellers.save')}
+            </button>
+          </div>
+        </form>
+      </Card>
+    </div>
+  );
+}
+
+export default TravellerForm;
@@ -0,0 +1,177 @@
+import { useState } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { useI18n } from '../../utils/useI18n';
+import { api } from '../../utils/api';
+import { formatDate } from '../../utils/formatUtils';
+import Card from '../ui/Card';
+import { travellersPath, travellersQueryKey, readFileAsBase64 } from './travellerHelpers';
+import styles from './TravellerForm.module.css';
+
+/**
+ * Import a crew or passenger list from CSV/XLSX: the file is checked first (dry run) and
+ * imported only when every row is valid
+ * @param {'CREW'|'PASSENGER'} type
+ * @param {string} portCallId
+ */
+function TravellerImportModal({ type, portCallId, onClose }) {
+  const queryClient = useQueryClient();
+  const { t } = useI18n();
+  const [file, setFile] = useState(null);
+  const [mode, setMode] = useState('append');
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState('');
+  const path = `${travellersPath(type, portCallId)}/import`;
+
+  const buildPayload = async (dryRun) => ({
+    fileName: file.name,
+    content: await readFileAsBase64(file),
+    mode,
+    dryRun,
+  });
+
+  const checkMutation = useMutation({
+    mutationFn: async () => api.post(path, await buildPayload(true)),
+    onSuccess: (result) => setPreview(result),
+    onError: (err) => setError(err.message),
+  });
+
+  const importMutation = useMutation({
+    mutationFn: async () => api.post(path, await buildPayload(false)),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: travellersQueryKey(type, portCallId) });
+      onClose();
+    },
+    onError: (err) => setError(err.message),
+  });
+
+  const handleFileChange = (e) => {
+    setFile(e.target.files?.[0] || null);
+    setPreview(null);
+    setError('');
+  };
+
+  const handleCheck = (e) => {
+    e.preventDefault();
+    setError('');
+    checkMutation.mutate();
+  };
+
+  const canImport = preview && preview.errors.length === 0 && preview.rows.length > 0;
+
+  return (
+    <div className={styles.overlay} onClick={onClose}>
+      <Card className={styles.modal} onClick={(e) => e.stopPropagation()}>
+        <div className={styles.header}>
+          <h2>{type === 'CREW' ? t('travellers.importCrew') : t('travellers.importPassengers')}</h2>
+          <button className={styles.closeButton} onClick={onClose}>
+            ×
+          </button>
+        </div>
+        <form onSubmit={handleCheck} className={styles.form}>
+          <div className={styles.field}>
+            <label>{t('travellers.file')} *</label>
+            <input type="file" accept=".csv,.xlsx" onChange={handleFileChange} required />
+            <span className={styles.helpText}>{t('travellers.importHint')}</span>
+          </div>
+
+          <div className={styles.modeOptions}>
+            {['append', 'replace'].map((option) => (
+              <label key={option}>
+                <input
+                  type="radio"
+                  name="mode"
+                  value={option}
+                  checked={mode === option}
+                  onChange={() => setMode(option)}
+                />
+                {t(`travellers.importModes.${option}`)}
+              </label>
+            ))}
+          </div>
+
+          {preview && (
+            <div className={styles.section}>
+              <h3>
+                {t('travellers.rowsValid', { count: preview.rows.length })}
+                {preview.errors.length > 0 && ` · ${t('travellers.rowErrors', { count: preview.errors.length })}`}
+              </h3>
+              {preview.errors.length > 0 && (
+                <table className={styles.table}>
+                  <thead>
+                    <tr>
+                      <th>{t('travellers.row')}</th>
+                      <th>{t('travellers.problem')}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {preview.errors.map((rowError) => (
+                      <tr key={rowError.row} className={styles.errorRow}>
+                        <td>{rowError.row}</td>
+                        <td>{rowError.message}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+              {preview.rows.length > 0 && (
+                <table className={styles.table}>
+                  <thead>
+                    <tr>
+                      <th>{t('travellers.row')}</th>
+                      <th>{t('travellers.name')}</th>
+                      <th>{t('travellers.nationality')}</th>
+                      <th>{t('travellers.dateOfBirth')}</th>
+                      <th>{t('travellers.document')}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {preview.rows.map((row) => (
+                      <tr key={row.row}>
+                        <td>{row.row}</td>
+                        <td>{[row.familyName?.toUpperCase(), row.givenNames].filter(Boolean).join(', ')}</td>
+                        <td>{row.nationality}</td>
+                        <td>{formatDate(row.dateOfBirth)}</td>
+                        <td>
+                          {t(`travellers.documentTypes.${row.documentType}`)} {row.documentNumber}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+              {mode === 'replace' && canImport && (
+                <div className={styles.warnings}>{t('travellers.replaceWarning')}</div>
+              )}
+            </div>
+          )}
+
+          {error && <div className={styles.error}>{error}</div>}
+
+          <div className={styles.actions}>
+            <button type="button" className={styles.cancelButton} onClick={onClose}>
+              {t('common.cancel')}
+            </button>
+            {canImport ? (
+              <button
+                type="button"
+                className={styles.saveButton}
+                onClick={() => importMutation.mutate()}
+                disabled={importMutation.isPending}
+              >
+                {importMutation.isPending
+                  ? t('common.loading')
+                  : t('travellers.importRows', { count: preview.rows.length })}
+              </button>
+            ) : (
+              <button type="submit" className={styles.saveButton} disabled={!file || checkMutation.isPending}>
+                {checkMutation.isPending ? t('common.loading') : t('travellers.checkFile')}
+              </button>
+            )}
+          </div>
+        </form>
+      </Card>
+    </div>
+  );
+}
+
+export default TravellerImportModal;
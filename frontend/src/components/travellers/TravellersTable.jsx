@@ -0,0 +1,83 @@
+import { useI18n } from '../../utils/useI18n';
+import { formatDate } from '../../utils/formatUtils';
+import Badge from '../ui/Badge';
+import styles from './TravellersTable.module.css';
+
+/**
+ * Crew or passenger list of a port call; rows open the edit form through onSelect
+ * @param {'CREW'|'PASSENGER'} type
+ * @param {Function} [onSelect] - Omitted for read-only users
+ */
+function TravellersTable({ type, travellers, onSelect }) {
+  const { t } = useI18n();
+  const isCrew = type === 'CREW';
+
+  if (!travellers || travellers.length === 0) {
+    return <div className={styles.empty}>{isCrew ? t('travellers.noCrew') : t('travellers.noPassengers')}</div>;
+  }
+
+  return (
+    <table className={styles.table}>
+      <thead>
+        <tr>
+          <th>{t('travellers.name')}</th>
+          {isCrew ? <th>{t('travellers.rank')}</th> : <th>{t('travellers.route')}</th>}
+          <th>{t('travellers.nationality')}</th>
+          <th>{t('travellers.dateOfBirth')}</th>
+          <th>{t('travellers.document')}</th>
+          <th>{t('travellers.documentExpiry')}</th>
+          <th>{t('travellers.status')}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {travellers.map((traveller) => {
+          const status = isCrew ? traveller.onBoardStatus : traveller.status;
+          return (
+            <tr
+              key={traveller.id}
+              className={onSelect ? styles.clickable : undefined}
+              onClick={onSelect ? () => onSelect(traveller) : undefined}
+            >
+              <td>
+                {traveller.familyName?.toUpperCase()}
+                {traveller.givenNames && `, ${traveller.givenNames}`}
+                {!isCrew && traveller.cabin && (
+                  <span className={styles.secondary}>{t('travellers.cabin')} {traveller.cabin}</span>
+                )}
+              </td>
+              {isCrew ? (
+                <td>{traveller.rank || '-'}</td>
+              ) : (
+                <td>
+                  {[traveller.embarkPort, traveller.disembarkPort].filter(Boolean).join(' → ') || '-'}
+                  {traveller.isTransit && <span className={styles.secondary}>{t('travellers.transit')}</span>}
+                </td>
+              )}
+              <td>{traveller.nationality}</td>
+              <td>{formatDate(traveller.dateOfBirth)}</td>
+              <td>
+                {traveller.documentNumber}
+                <span className={styles.secondary}>
+                  {[t(`travellers.documentTypes.${traveller.documentType}`), traveller.documentIssuingState]
+                    .filter(Boolean)
+                    .join(' · ')}
+                </span>
+              </td>
+              <td>
+                {formatDate(traveller.documentExpiry)}
+                {traveller.documentExpired && <span className={styles.expired}>{t('travellers.documentExpired')}</span>}
+              </td>
+              <td>
+                <Badge status={status}>
+                  {isCrew ? t(`travellers.crewStatuses.${status}`) : t(`travellers.passengerStatuses.${status}`)}
+                </Badge>
+              </td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+}
+
+export default TravellersTable;
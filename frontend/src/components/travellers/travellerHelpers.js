@@ -0,0 +1,34 @@
+/**
+ * Crew and passenger list constants and helpers shared by the port call crew/passengers tabs
+ */
+
+// Mirror DOCUMENT_TYPES / CREW_STATUSES / PASSENGER_STATUSES in backend/db/travellers.js
+export const DOCUMENT_TYPES = ['PASSPORT', 'SEAFARER_ID', 'NATIONAL_ID', 'OTHER'];
+export const CREW_STATUSES = ['ON_BOARD', 'SIGN_ON', 'SIGN_OFF'];
+export const PASSENGER_STATUSES = ['ON_BOARD', 'DISEMBARKED', 'CANCELLED'];
+
+/**
+ * API path of a port call's list ('CREW' -> /crew, 'PASSENGER' -> /passengers)
+ */
+export function travellersPath(type, portCallId) {
+  return `/port-calls/${portCallId}/${type === 'CREW' ? 'crew' : 'passengers'}`;
+}
+
+/**
+ * Query key of a port call's list
+ */
+export function travellersQueryKey(type, portCallId) {
+  return ['portCall', portCallId, type === 'CREW' ? 'crew' : 'passengers'];
+}
+
+/**
+ * Read a file as base64 (without the data: URL prefix) for the import endpoint
+ */
+export function readFileAsBase64(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
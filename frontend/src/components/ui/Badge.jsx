@@ -10,6 +10,30 @@ const statusColors = {
   DUE: 'orange',
   PAID: 'green',
   WAIVED: 'gray',
+  DRAFT: 'gray',
+  SUBMITTED: 'orange',
+  APPROVED: 'blue',
+  REJECTED: 'red',
+  RECEIVED: 'green',
+  CLOSED: 'gray',
+  ON_BOARD: 'blue',
+  SIGN_ON: 'green',
+  SIGN_OFF: 'orange',
+  DISEMBARKED: 'gray',
+  ARRIVED: 'blue',
+  DEPARTED: 'green',
+  SKIPPED: 'gray',
+  SIGNED: 'green',
+  PDA_DRAFT: 'gray',
+  FUNDING_REQUESTED: 'orange',
+  FDA_DRAFT: 'blue',
+  FDA_ISSUED: 'green',
+  IN_SYNC: 'green',
+  CHANGED: 'orange',
+  MISSING: 'red',
+  HIGH: 'green',
+  MEDIUM: 'orange',
+  LOW: 'red',
 };
 
 function Badge({ children, status, variant = 'default', className = '' }) {
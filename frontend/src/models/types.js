@@ -14,6 +14,9 @@
  * @property {string} id
  * @property {string} email
  * @property {string} name
+ * @property {string} role - 'ADMIN' | 'OPERATOR' | 'VIEWER'
+ * @property {boolean} isActive - Inactive users cannot log in
+ * @property {string|null} lastLoginAt
  */
 
 /**
@@ -63,24 +66,51 @@
  * @property {string} eta - ISO date string
  * @property {string} etd - ISO date string
  * @property {PortCallStatus} status
+ * @property {string} actualArrival - ISO date string, set on transition to IN_PROGRESS
+ * @property {string} actualDeparture - ISO date string, set on transition to COMPLETED
+ * @property {string} cancellationReason - set on transition to CANCELLED
+ * @property {PortCallStatus[]} allowedTransitions - statuses reachable from the current one (detail endpoint only)
  * @property {string} localReferenceType - e.g. 'BR_DUV', 'GENERIC'
  * @property {string} localReferenceNumber
+ * @property {number} blCount - bills of lading on the port call manifests
+ * @property {PredictedEta|null} predictedEta - from the vessel's AIS track (PLANNED calls)
  * @property {Vessel} vessel - populated
  * @property {Port} port - populated
  */
 
+/**
+ * @typedef {Object} PredictedEta
+ * @property {string} eta - ISO date string
+ * @property {number} confidence - 0..1
+ * @property {'HIGH'|'MEDIUM'|'LOW'} level
+ * @property {boolean} diverges - more than thresholdHours from the planned ETA
+ * @property {number|null} divergenceHours - predicted minus planned ETA (null without a planned ETA)
+ * @property {number} thresholdHours
+ * @property {number} distanceNm - sea-route distance from the latest position
+ * @property {number} speedKn
+ * @property {'SOG'|'TRACK'|'DEFAULT'} speedSource
+ * @property {string} positionAt - ISO date string of the position the prediction starts from
+ * @property {{lat: number, lon: number}} position
+ * @property {{direct: boolean, waypoints: string[]}} route - waypoint IDs of the routing graph
+ * @property {Object<string, number>} factors - confidence factors (0..1) multiplied into confidence
+ * @property {string} computedAt - ISO date string
+ */
+
 /**
  * @typedef {Object} Escala
  * @property {string} id
  * @property {string} tenantId
  * @property {string} portCallId
- * @property {string} portId
+ * @property {number} sequence - order of the stop in the rotation (1 = first)
+ * @property {string} portId - PORT or TERMINAL ops site
+ * @property {{id: string, name: string, code: string, type: string}} port - populated
  * @property {string} terminal
  * @property {string} plannedEta
  * @property {string} plannedEtd
  * @property {string} actualEta
  * @property {string} actualEtd
- * @property {string} status
+ * @property {'PLANNED' | 'ARRIVED' | 'DEPARTED' | 'SKIPPED'} status
+ * @property {string} notes
  */
 
 /**
@@ -88,13 +118,22 @@
  * @property {string} id
  * @property {string} tenantId
  * @property {string} portCallId
- * @property {string} berth
+ * @property {{id: string, status: string, vesselId: string, vesselName: string}} portCall - populated
+ * @property {string} escalaId - itinerary stop the stay belongs to (optional)
+ * @property {number} escalaSequence
+ * @property {string} berthId - BERTH ops site
+ * @property {{id: string, name: string, code: string, parentCode: string}} berth - populated
  * @property {string} pier
  * @property {string} operationType
- * @property {string} startTime
+ * @property {string} startTime - planned window
  * @property {string} endTime
- * @property {number} draftArrival
+ * @property {string} actualStart
+ * @property {string} actualEnd
+ * @property {number} draftArrival - metres
  * @property {number} draftDeparture
+ * @property {string} notes
+ * @property {Array<{id: string, portCallId: string, vesselName: string, startTime: string, endTime: string}>} conflicts
+ *   - other vessels' stays overlapping this one on the same berth
  */
 
 /**
@@ -110,6 +149,8 @@
  * @property {string} timestamp
  * @property {string} terminal
  * @property {string} remarks
+ * @property {string} opsSiteId - ops site the vessel entered/left
+ * @property {string} source - 'ais' (detected from positions) or 'manual'
  */
 
 /**
@@ -123,8 +164,14 @@
  * @property {string} portCallId
  * @property {string} manifestNumber
  * @property {ManifestType} type
- * @property {string} cargoType
+ * @property {string|null} cargoType
+ * @property {string|null} portOfLoading
+ * @property {string|null} portOfDischarge
+ * @property {string|null} notes
  * @property {number} blCount
+ * @property {number} totalWeight - kg, sum of the bills of lading
+ * @property {number} totalVolume - m3, sum of the bills of lading
+ * @property {Array<BillOfLading>} [billsOfLading] - Included in the port call manifests list
  */
 
 /**
@@ -133,12 +180,14 @@
  * @property {string} tenantId
  * @property {string} manifestId
  * @property {string} blNumber
- * @property {string} shipper
- * @property {string} consignee
- * @property {string} cargoDescription
- * @property {number} weight
- * @property {number} volume
- * @property {string} containerInfo
+ * @property {string|null} shipper
+ * @property {string|null} consignee
+ * @property {string|null} notifyParty
+ * @property {string|null} cargoDescription
+ * @property {number|null} packageCount
+ * @property {number|null} weight - Gross weight, kg
+ * @property {number|null} volume - m3
+ * @property {string|null} containerInfo
  */
 
 /**
@@ -146,29 +195,51 @@
  */
 
 /**
- * @typedef {Object} Passenger
- * @property {string} id
- * @property {string} tenantId
- * @property {string} portCallId
- * @property {string} fullName
- * @property {string} document
- * @property {string} nationality
- * @property {string} embarkPort
- * @property {string} disembarkPort
- * @property {string} cabin
- * @property {PassengerStatus} status
+ * @typedef {'ON_BOARD' | 'SIGN_ON' | 'SIGN_OFF'} CrewStatus
  */
 
 /**
- * @typedef {Object} CrewMember
- * @property {string} id
- * @property {string} tenantId
- * @property {string} portCallId
- * @property {string} fullName
- * @property {string} rank
- * @property {string} document
- * @property {string} nationality
- * @property {string} onBoardStatus
+ * @typedef {'PASSPORT' | 'SEAFARER_ID' | 'NATIONAL_ID' | 'OTHER'} TravelDocumentType
+ */
+
+/**
+ * Identity and travel document fields shared by crew members and passengers (FAL Forms 5 and 6)
+ * @typedef {Object} TravellerIdentity
+ * @property {string} familyName
+ * @property {string|null} givenNames
+ * @property {string} fullName - "Given names Family name"
+ * @property {string} nationality - ISO 3166-1 alpha-3
+ * @property {string|null} dateOfBirth - YYYY-MM-DD
+ * @property {string|null} placeOfBirth
+ * @property {TravelDocumentType} documentType
+ * @property {string} documentNumber
+ * @property {string|null} documentIssuingState - ISO 3166-1 alpha-3
+ * @property {string|null} documentExpiry - YYYY-MM-DD
+ * @property {boolean} documentExpired - Document expires before the vessel sails
+ * @property {string|null} notes
+ */
+
+/**
+ * @typedef {TravellerIdentity & {
+ *   id: string,
+ *   tenantId: string,
+ *   portCallId: string,
+ *   embarkPort: string|null,
+ *   disembarkPort: string|null,
+ *   isTransit: boolean,
+ *   cabin: string|null,
+ *   status: PassengerStatus
+ * }} Passenger
+ */
+
+/**
+ * @typedef {TravellerIdentity & {
+ *   id: string,
+ *   tenantId: string,
+ *   portCallId: string,
+ *   rank: string|null,
+ *   onBoardStatus: CrewStatus
+ * }} CrewMember
  */
 
 /**
@@ -180,16 +251,8 @@
  */
 
 /**
- * @typedef {Object} TravellerPendency
- * @property {string} id
- * @property {string} tenantId
- * @property {string} portCallId
- * @property {TravellerType} travellerType
- * @property {string} travellerId
- * @property {string} authority
- * @property {string} reason
- * @property {PendencyStatus} status
- * @property {string} notes
+ * An approval item concerning one crew member or passenger (travellerType and travellerId set)
+ * @typedef {ApprovalImpediment} TravellerPendency
  */
 
 /**
@@ -212,12 +275,115 @@
  * @property {string} tenantId
  * @property {string} portCallId
  * @property {string} feeType - e.g. 'BR_FUNAPOL', 'PORT_DUES', 'PILOTAGE'
+ * @property {string} description
  * @property {string} calculationBase
+ * @property {string} currency
  * @property {number} amountDue
  * @property {number} amountPaid
- * @property {string} paymentDate
+ * @property {number} outstandingAmount - 0 unless DUE
+ * @property {string} dueDate - YYYY-MM-DD
+ * @property {string} paymentDate - Date of the payment that settled the fee
  * @property {'DUE' | 'PAID' | 'WAIVED'} status
+ * @property {boolean} isOverdue - DUE and past dueDate
+ * @property {number} daysOverdue
  * @property {string} referenceNumber
+ * @property {string} waiveReason
+ * @property {'MANUAL' | 'TARIFF'} source
+ * @property {string} tariffId - Tariff the fee was estimated from
+ * @property {FeeBreakdownLine[]} breakdown - Computed lines of a tariff fee
+ * @property {FeePayment[]} [payments] - Only on single fee responses
+ */
+
+/**
+ * @typedef {Object} FeeBreakdownLine
+ * @property {string} description
+ * @property {string} calculation - e.g. 'GT 32500 x 0.42'
+ * @property {number} amount
+ */
+
+/**
+ * @typedef {Object} FeePayment
+ * @property {string} id
+ * @property {string} feeId
+ * @property {number} amount
+ * @property {string} paidAt
+ * @property {string} referenceNumber
+ * @property {string} notes
+ * @property {string} recordedByName
+ */
+
+/**
+ * @typedef {Object} Tariff
+ * @property {string} id
+ * @property {string} opsSiteId
+ * @property {string} opsSiteName
+ * @property {string} name
+ * @property {string} feeType - Fee type the tariff produces
+ * @property {string} currency
+ * @property {number} minimumAmount - Minimum charge for the whole tariff
+ * @property {string} validFrom - YYYY-MM-DD
+ * @property {string} validTo - YYYY-MM-DD
+ * @property {boolean} isActive
+ * @property {TariffRule[]} rules
+ */
+
+/**
+ * @typedef {Object} TariffRule
+ * @property {string} description
+ * @property {'FLAT' | 'PER_UNIT' | 'BAND'} ruleType
+ * @property {'GT' | 'NT' | 'LOA' | 'DRAFT'} basis - PER_UNIT and BAND rules
+ * @property {number} rate - FLAT amount or PER_UNIT rate
+ * @property {Array<{min: number, max: number|null, amount: number}>} bands - BAND rules
+ * @property {'HOUR' | 'DAY'} timeUnit - Charged per started unit of stay
+ * @property {number} freeHours
+ * @property {number} minimumAmount
+ */
+
+/**
+ * @typedef {Object} Supplier
+ * @property {string} id
+ * @property {string} tenantId
+ * @property {string} name
+ * @property {string} category - e.g. 'Launch', 'Provisions', 'Bunkers'
+ * @property {string} contactEmail
+ * @property {string} contactPhone
+ * @property {string} taxId
+ * @property {string} address
+ * @property {string} notes
+ * @property {boolean} isActive
+ */
+
+/**
+ * @typedef {'DRAFT' | 'SUBMITTED' | 'APPROVED' | 'REJECTED' | 'RECEIVED' | 'CLOSED'} PurchaseOrderStatus
+ */
+
+/**
+ * @typedef {Object} PurchaseOrderLine
+ * @property {string} id
+ * @property {number} lineNumber
+ * @property {string} description
+ * @property {number} quantity
+ * @property {number} unitPrice
+ * @property {number} totalAmount
+ */
+
+/**
+ * @typedef {Object} PurchaseOrder
+ * @property {string} id
+ * @property {string} tenantId
+ * @property {string} supplierId
+ * @property {string} supplierName
+ * @property {string} portCallId
+ * @property {{id: string, vesselName: string, portName: string, eta: string}} portCall
+ * @property {string} description
+ * @property {string} notes
+ * @property {number} totalAmount
+ * @property {string} currency
+ * @property {PurchaseOrderStatus} status
+ * @property {Array<PurchaseOrderStatus>} allowedTransitions - For the current user's role
+ * @property {string} rejectionReason
+ * @property {Array<PurchaseOrderLine>} [lines] - Detail only
+ * @property {Array<{fromStatus: string, toStatus: string, changedByName: string, comment: string, createdAt: string}>} [history] - Detail only
  */
 
 /**
@@ -229,23 +395,122 @@
  * @property {string} id
  * @property {string} tenantId
  * @property {string} portCallId
- * @property {string} authority
+ * @property {{id: string, vesselName: string|null, portName: string|null, status: string|null}} portCall
+ * @property {string} authority - e.g. 'ANVISA', 'Receita Federal', 'Polícia Federal'
  * @property {ApprovalType} type
  * @property {string} description
- * @property {string} status
- * @property {string} dueDate
- * @property {string} clearedDate
+ * @property {PendencyStatus} status
+ * @property {string|null} dueDate - YYYY-MM-DD
+ * @property {boolean} isOverdue - OPEN and past dueDate
+ * @property {number|null} daysOverdue
+ * @property {boolean} isDueSoon - OPEN and due within 2 days
+ * @property {TravellerType|null} travellerType - Set when the item concerns one traveller
+ * @property {string|null} travellerId
+ * @property {string|null} travellerName
+ * @property {string|null} notes
+ * @property {string|null} clearedDate - YYYY-MM-DD
+ * @property {string|null} evidenceReference - Protocol, certificate or document number
+ * @property {string|null} evidenceNotes
+ * @property {string|null} clearedByName
  */
 
 /**
  * @typedef {Object} Attachment
+ * File attached to a port call, as returned by GET /api/port-calls/:id/attachments.
+ * The storage location stays on the server; downloads go through signed, expiring links.
  * @property {string} id
  * @property {string} tenantId
  * @property {string} portCallId
  * @property {string} fileName
- * @property {string} fileType
- * @property {string} storagePath
+ * @property {string} fileType - MIME type detected from the content
+ * @property {number} fileSize - Bytes
+ * @property {string} checksumSha256
+ * @property {string} [description]
+ * @property {string} [uploadedBy]
+ * @property {string} [uploadedByName]
+ * @property {boolean} hasThumbnail
+ * @property {string} downloadUrl - Signed path relative to the API base (api.url())
+ * @property {string|null} thumbnailUrl - Signed path of the image preview
+ * @property {string} createdAt
+ */
+
+/**
+ * @typedef {Object} StatementOfFacts
+ * Port call statement of facts, as returned by GET /api/port-calls/:id/sof ({ statement, entries }).
+ * @property {string} id
+ * @property {string} portCallId
+ * @property {'DRAFT' | 'SIGNED'} status
+ * @property {string} [masterName]
+ * @property {string} [remarks]
+ * @property {string} [signedBy] - User ID
+ * @property {string} [signedByName]
+ * @property {string} [signedAt]
+ * @property {string} [signatureHash] - SHA-256 of the signed header and entries
+ */
+
+/**
+ * @typedef {Object} SofEntry
+ * @property {string} id
+ * @property {string} sofId
+ * @property {string} eventCode - e.g. 'NOR_TENDERED', 'ALL_FAST', 'WEATHER_STOPPAGE'
+ * @property {string} startTime
+ * @property {string} [endTime] - Set for stoppages
+ * @property {string} [description]
+ * @property {string} [remarks]
+ * @property {'MANUAL' | 'EVENT' | 'PORT_CALL' | 'BERTH_STAY' | 'LOG'} source
+ * @property {string} [sourceRef] - Pre-filled entries: the fact they came from
+ */
+
+/**
+ * @typedef {Object} LaytimeTerms
+ * @property {string} id
+ * @property {string} portCallId
+ * @property {'SHINC' | 'SHEX'} terms
+ * @property {number} [allowedHours] - When empty, cargoQuantity / cargoRate days
+ * @property {number} [cargoQuantity]
+ * @property {number} [cargoRate] - Cargo units per day
+ * @property {number} turnTimeHours
+ * @property {boolean} reversible
+ * @property {string[]} reversiblePortCallIds - Other calls sharing the allowance
+ * @property {boolean} weatherExcepted
+ * @property {boolean} stoppagesExcepted
+ * @property {string[]} holidays - SHEX: local dates 'YYYY-MM-DD'
+ * @property {string} currency
+ * @property {number} demurrageRate - Per day, pro rata
+ * @property {number} [despatchRate] - Empty = half the demurrage rate
+ * @property {string} [notes]
+ */
+
+/**
+ * @typedef {Object} DisbursementAccount
+ * @property {string} id
+ * @property {string} portCallId
+ * @property {'PDA_DRAFT' | 'FUNDING_REQUESTED' | 'FDA_DRAFT' | 'FDA_ISSUED'} status
+ * @property {string} currency
+ * @property {string} [customerId]
+ * @property {Object} [billTo] - Customer snapshot taken when funding was requested
+ * @property {number} [fundingAmount]
+ * @property {string} [fundingDueAt] - 'YYYY-MM-DD'
+ * @property {number} fundsReceivedAmount
+ * @property {string} [fundsReceivedAt]
+ * @property {string} [fdaIssuedAt]
+ * @property {string} [notes]
+ */
+
+/**
+ * @typedef {Object} DisbursementLine
+ * @property {string} id
+ * @property {'PORT_COSTS' | 'SUPPLIERS' | 'AGENCY' | 'OTHER'} category
  * @property {string} description
+ * @property {'MANUAL' | 'TARIFF' | 'FEE' | 'PURCHASE_ORDER'} source
+ * @property {string} [tariffId]
+ * @property {string} [feeId]
+ * @property {string} [purchaseOrderId]
+ * @property {number} estimatedAmount - PDA amount
+ * @property {number} [actualAmount] - FDA amount, empty until known
+ * @property {number} [variance] - actual - estimated
+ * @property {number} [variancePercent]
+ * @property {string} [notes]
  */
 
 /**
@@ -266,10 +531,13 @@
 /**
  * @typedef {Object} TenantAisConfig
  * @property {string} tenantId
- * @property {string} provider
- * @property {string} apiKey
+ * @property {string|null} provider - 'datalastic' | 'myshiptracking', null for the server default
+ * @property {string|null} apiKeyMasked - Stored key, masked (keys are never returned in clear)
+ * @property {string|null} secretKeyMasked
+ * @property {string|null} keyRotatedAt
  * @property {number} pollFrequencyMinutes
  * @property {number} trackHistoryHours
+ * @property {number} dailyCallBudget - Max AIS provider calls per UTC day (poller + manual)
  */
 
 /**
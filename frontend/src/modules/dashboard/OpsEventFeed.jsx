@@ -16,6 +16,7 @@ const eventIcons = {
   DEPARTURE: FiNavigation,
   SECURITY_PENDENCY: FiAlertCircle,
   PORT_CALL_WARNING: FiAlertCircle,
+  PORT_CALL_ETA_DIVERGENCE: FiClock,
   GEOFENCE_ENTRY: FiMapPin,
   GEOFENCE_EXIT: FiNavigation,
   VESSEL_CREATED: FiAnchor,
@@ -29,6 +30,7 @@ const eventColors = {
   DEPARTURE: 'var(--primary-light)',
   SECURITY_PENDENCY: 'var(--danger)',
   PORT_CALL_WARNING: 'var(--warning)',
+  PORT_CALL_ETA_DIVERGENCE: 'var(--warning)',
   GEOFENCE_ENTRY: 'var(--success)',
   GEOFENCE_EXIT: 'var(--primary-light)',
   VESSEL_CREATED: 'var(--success)',
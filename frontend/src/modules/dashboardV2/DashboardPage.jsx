@@ -8,9 +8,11 @@
  * - GET /api/dashboard/active-vessels
  * - Returns vessels with stored positions from vessel_position_history
  * - Vessels without positions are shown in sidebar but not plotted on map
- * 
+ * - GET /api/stream/positions (Server-Sent Events) - positions as they are stored
+ *
  * Behavior:
- * - Polls /api/dashboard/active-vessels every 60 seconds
+ * - Markers move as positions arrive over the live stream (cache patched, no refetch)
+ * - Falls back to polling /api/dashboard/active-vessels every 60 seconds while the stream is down
  * - Only vessels with position !== null are rendered on map
  * - All vessels (including those without positions) are shown in sidebar
  * - No AIS API calls are made from this dashboard
@@ -20,14 +22,16 @@
 import React from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useStoredVessels } from './hooks/useStoredVessels';
+import { useLiveVesselPositions } from './hooks/useLiveVesselPositions';
 import { useVesselSelection } from './hooks/useVesselSelection';
 import { DashboardLayout } from './DashboardLayout';
 import styles from './styles/dashboard.module.css';
 
 export function DashboardPage() {
   const navigate = useNavigate();
+  const { connected: live } = useLiveVesselPositions();
   const { allVessels, vesselsWithPositions, isLoading, error } =
-    useStoredVessels();
+    useStoredVessels({ live });
   const { selectVessel, selectedVesselId, clearSelection } =
     useVesselSelection();
 
@@ -0,0 +1,128 @@
+/**
+ * useLiveVesselPositions Hook
+ * Subscribes to /api/stream/positions (Server-Sent Events) and patches the React Query cache
+ * as positions and operation logs are stored, so map markers move without refetching.
+ *
+ * - `position` events update the vessel's position in ['dashboard', 'active-vessels']
+ * - `operation-log` events for a port call invalidate that port call's events/transitions
+ * - `port-call-eta` events replace the predicted ETA of the port call, if loaded
+ *
+ * Reconnects with exponential backoff while mounted.
+ */
+
+import { useEffect, useState } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { api } from '../../../utils/api';
+import type { Vessel } from './useStoredVessels';
+
+const RECONNECT_BASE_MS = 2000;
+const RECONNECT_MAX_MS = 60000;
+
+interface PositionEvent {
+  vesselId: string;
+  lat: number;
+  lon: number;
+  timestamp: string;
+  sog?: number | null;
+  cog?: number | null;
+  heading?: number | null;
+  navStatus?: string | null;
+  source?: string;
+}
+
+interface OperationLogEvent {
+  vesselId: string | null;
+  portCallId: string | null;
+  eventType: string;
+}
+
+interface PortCallEtaEvent {
+  portCallId: string;
+  predictedEta: Record<string, unknown> | null;
+}
+
+export interface UseLiveVesselPositionsResult {
+  connected: boolean;
+}
+
+function applyPosition(vessels: Vessel[] | undefined, event: PositionEvent): Vessel[] | undefined {
+  if (!vessels || !Number.isFinite(event.lat) || !Number.isFinite(event.lon)) {
+    return vessels;
+  }
+
+  return vessels.map((vessel) => {
+    if (vessel.id !== event.vesselId) return vessel;
+
+    // Ignore out-of-order events older than what is already shown
+    const current = vessel.position?.timestamp ? new Date(vessel.position.timestamp).getTime() : 0;
+    if (new Date(event.timestamp).getTime() < current) return vessel;
+
+    return {
+      ...vessel,
+      position: {
+        ...vessel.position,
+        lat: event.lat,
+        lon: event.lon,
+        cog: event.cog ?? undefined,
+        heading: event.heading ?? undefined,
+        timestamp: event.timestamp,
+        source: 'stored',
+      },
+    };
+  });
+}
+
+export function useLiveVesselPositions(): UseLiveVesselPositionsResult {
+  const queryClient = useQueryClient();
+  const [connected, setConnected] = useState(false);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    let reconnectTimer: ReturnType<typeof setTimeout> | null = null;
+    let delay = RECONNECT_BASE_MS;
+
+    const handleEvent = ({ type, data }: { type: string; data: any }) => {
+      if (type === 'ready') {
+        setConnected(true);
+        delay = RECONNECT_BASE_MS;
+      } else if (type === 'position') {
+        queryClient.setQueryData<Vessel[]>(['dashboard', 'active-vessels'], (vessels) =>
+          applyPosition(vessels, data as PositionEvent)
+        );
+      } else if (type === 'operation-log') {
+        const log = data as OperationLogEvent;
+        if (log.portCallId) {
+          queryClient.invalidateQueries({ queryKey: ['portCall', log.portCallId] });
+        }
+      } else if (type === 'port-call-eta') {
+        const { portCallId, predictedEta } = data as PortCallEtaEvent;
+        queryClient.setQueryData<Record<string, unknown>>(['portCall', portCallId], (portCall) =>
+          portCall ? { ...portCall, predictedEta } : portCall
+        );
+      }
+    };
+
+    const connect = async () => {
+      try {
+        await api.stream('/stream/positions', { signal: controller.signal, onEvent: handleEvent });
+      } catch (error) {
+        if (controller.signal.aborted) return;
+        console.warn('[LivePositions] Stream error:', (error as Error).message);
+      }
+      if (controller.signal.aborted) return;
+
+      setConnected(false);
+      reconnectTimer = setTimeout(connect, delay);
+      delay = Math.min(delay * 2, RECONNECT_MAX_MS);
+    };
+
+    connect();
+
+    return () => {
+      controller.abort();
+      if (reconnectTimer) clearTimeout(reconnectTimer);
+    };
+  }, [queryClient]);
+
+  return { connected };
+}
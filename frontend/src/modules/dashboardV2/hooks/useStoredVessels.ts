@@ -36,18 +36,23 @@ export interface UseStoredVesselsResult {
   error: Error | null;
 }
 
+export interface UseStoredVesselsOptions {
+  /** Live stream connected (useLiveVesselPositions) - positions arrive over the stream, no polling needed */
+  live?: boolean;
+}
+
 /**
  * Hook to fetch stored vessel positions
- * Polls every 60 seconds to reflect newly recorded positions
+ * Polls every 60 seconds to reflect newly recorded positions, unless the live stream is connected
  */
-export function useStoredVessels(): UseStoredVesselsResult {
+export function useStoredVessels({ live = false }: UseStoredVesselsOptions = {}): UseStoredVesselsResult {
   const { data: allVessels = [], isLoading, error } = useQuery({
     queryKey: ['dashboard', 'active-vessels'],
     queryFn: async () => {
       const response = await api.get('/dashboard/active-vessels');
       return response as Vessel[];
     },
-    refetchInterval: 60000, // Poll every 60 seconds
+    refetchInterval: live ? false : 60000, // Poll every 60 seconds while not streaming
     staleTime: 30000, // Consider data stale after 30 seconds
   });
 
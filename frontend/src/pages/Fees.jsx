@@ -1,21 +1,97 @@
+import { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
 import { useI18n } from '../utils/useI18n';
+import { api } from '../utils/api';
 import Card from '../components/ui/Card';
+import FeesTable from '../components/fees/FeesTable';
+import FeeSummary from '../components/fees/FeeSummary';
+import FeeDetailModal from '../components/fees/FeeDetailModal';
+import { FEE_TYPES, FEE_STATUSES } from '../components/fees/feeHelpers';
 import styles from './Fees.module.css';
 
+const EMPTY_FILTERS = { status: '', feeType: '', overdue: false, dueFrom: '', dueTo: '' };
+
 function Fees() {
   const { t } = useI18n();
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [selectedFeeId, setSelectedFeeId] = useState(null);
+
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(filters)) {
+    if (value) params.set(key, String(value));
+  }
+  const queryString = params.toString() ? `?${params}` : '';
+
+  const { data: fees, isLoading } = useQuery({
+    queryKey: ['fees', 'ledger', queryString],
+    queryFn: () => api.get(`/fees${queryString}`),
+  });
+
+  const { data: summary } = useQuery({
+    queryKey: ['fees', 'summary', queryString],
+    queryFn: () => api.get(`/fees/summary${queryString}`),
+  });
+
+  const setFilter = (key, value) => setFilters((prev) => ({ ...prev, [key]: value }));
+
   return (
     <div className={styles.container}>
       <div className={styles.header}>
         <h1>{t('fees.title')}</h1>
         <p>{t('fees.subtitle')}</p>
       </div>
+
+      <FeeSummary summary={summary} />
+
       <Card>
-        <p className={styles.comingSoon}>{t('fees.comingSoon')}</p>
+        <div className={styles.filters}>
+          <select value={filters.status} onChange={(e) => setFilter('status', e.target.value)}>
+            <option value="">{t('fees.allStatuses')}</option>
+            {FEE_STATUSES.map((status) => (
+              <option key={status} value={status}>{t(`fees.statuses.${status}`)}</option>
+            ))}
+          </select>
+          <select value={filters.feeType} onChange={(e) => setFilter('feeType', e.target.value)}>
+            <option value="">{t('fees.allTypes')}</option>
+            {FEE_TYPES.map((type) => (
+              <option key={type} value={type}>{t(`fees.types.${type}`)}</option>
+            ))}
+          </select>
+          <label className={styles.dateFilter}>
+            {t('fees.dueFrom')}
+            <input type="date" value={filters.dueFrom} onChange={(e) => setFilter('dueFrom', e.target.value)} />
+          </label>
+          <label className={styles.dateFilter}>
+            {t('fees.dueTo')}
+            <input type="date" value={filters.dueTo} onChange={(e) => setFilter('dueTo', e.target.value)} />
+          </label>
+          <label className={styles.checkbox}>
+            <input
+              type="checkbox"
+              checked={filters.overdue}
+              onChange={(e) => setFilter('overdue', e.target.checked)}
+            />
+            {t('fees.overdueOnly')}
+          </label>
+          {Object.values(filters).some(Boolean) && (
+            <button className={styles.clearButton} onClick={() => setFilters(EMPTY_FILTERS)}>
+              {t('fees.clearFilters')}
+            </button>
+          )}
+        </div>
+
+        {isLoading ? (
+          <div className={styles.loading}>{t('common.loading')}</div>
+        ) : (
+          <FeesTable fees={fees} showPortCall onSelect={(fee) => setSelectedFeeId(fee.id)} />
+        )}
       </Card>
+
+      {selectedFeeId && (
+        <FeeDetailModal feeId={selectedFeeId} onClose={() => setSelectedFeeId(null)} />
+      )}
     </div>
   );
 }
 
 export default Fees;
-
@@ -6,6 +6,9 @@ import { api } from '../utils/api';
 import Card from '../components/ui/Card';
 import styles from './OpsSites.module.css';
 
+// Sites that can have berths below them (or are one)
+const BERTH_PLAN_TYPES = ['PORT', 'TERMINAL', 'BERTH'];
+
 function OpsSites() {
   const { t } = useI18n();
   const navigate = useNavigate();
@@ -280,6 +283,7 @@ function OpsSites() {
                   <th>{t('common.edit')}</th>
                   <th>{t('common.delete')}</th>
                   <th>Port Calls</th>
+                  <th>{t('opsSites.berthPlan')}</th>
                 </tr>
               </thead>
               <tbody>
@@ -319,6 +323,15 @@ function OpsSites() {
                         View Port Calls
                       </button>
                     </td>
+                    <td>
+                      <button
+                        className={styles.viewPortCallsButton}
+                        onClick={() => navigate(`/ops-sites/${site.id}/berth-plan`)}
+                        disabled={!BERTH_PLAN_TYPES.includes(site.type)}
+                      >
+                        {t('opsSites.viewBerthPlan')}
+                      </button>
+                    </td>
                   </tr>
                 ))}
               </tbody>
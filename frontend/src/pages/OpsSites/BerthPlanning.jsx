@@ -0,0 +1,150 @@
+import { useState } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { useI18n } from '../../utils/useI18n';
+import { api } from '../../utils/api';
+import { useAuth } from '../../modules/auth/AuthContext';
+import Card from '../../components/ui/Card';
+import BerthGantt from '../../components/itinerary/BerthGantt';
+import { itineraryPath, invalidateItineraryQueries } from '../../components/itinerary/itineraryHelpers';
+import styles from './BerthPlanning.module.css';
+
+const SPAN_OPTIONS = [7, 14, 30];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Local calendar day of a date as the "YYYY-MM-DD" value of <input type="date">
+ */
+function toDateInput(date) {
+  const offsetMs = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offsetMs).toISOString().slice(0, 10);
+}
+
+/**
+ * Move a "YYYY-MM-DD" value by whole days
+ */
+function shiftDate(value, days) {
+  const date = new Date(`${value}T00:00`);
+  date.setDate(date.getDate() + days);
+  return toDateInput(date);
+}
+
+// Berth occupancy per ops site: berths under the site as rows, berth stays as draggable bars
+function BerthPlanning() {
+  const { id: siteId } = useParams();
+  const navigate = useNavigate();
+  const { t } = useI18n();
+  const { user } = useAuth();
+  const canEdit = user?.role !== 'VIEWER';
+  const queryClient = useQueryClient();
+  const [startDate, setStartDate] = useState(() => shiftDate(toDateInput(new Date()), -1));
+  const [days, setDays] = useState(14);
+  const [error, setError] = useState('');
+
+  const from = new Date(`${startDate}T00:00`).toISOString();
+  const to = new Date(new Date(from).getTime() + days * DAY_MS).toISOString();
+
+  const { data: plan, isLoading, error: loadError } = useQuery({
+    queryKey: ['berthStays', 'plan', siteId, from, to],
+    queryFn: () => api.get(`/ops-sites/${siteId}/berth-plan?from=${encodeURIComponent(from)}&to=${encodeURIComponent(to)}`),
+    enabled: !!siteId,
+    placeholderData: (previous) => previous,
+  });
+
+  /**
+   * Save a berth change; on a berth conflict ask before saving the overlap anyway
+   */
+  const saveWithConflictCheck = async (portCallId, send) => {
+    setError('');
+    try {
+      await send(false);
+    } catch (err) {
+      if (err.status !== 409 || !err.data?.conflicts) {
+        setError(err.message);
+        return;
+      }
+      const vessels = err.data.conflicts.map((conflict) => conflict.vesselName || conflict.portCallId).join(', ');
+      if (!window.confirm(t('berthPlan.conflictConfirm', { vessels }))) return;
+      try {
+        await send(true);
+      } catch (retryErr) {
+        setError(retryErr.message);
+        return;
+      }
+    }
+    invalidateItineraryQueries(queryClient, portCallId);
+  };
+
+  const handleMoveStay = (stay, change) => saveWithConflictCheck(stay.portCallId, (allowConflict) =>
+    api.put(`${itineraryPath(stay.portCallId)}/berth-stays/${stay.id}`, { ...change, allowConflict }));
+
+  const handleAllocate = (portCall, change) => saveWithConflictCheck(portCall.id, (allowConflict) =>
+    api.post(`${itineraryPath(portCall.id)}/berth-stays`, { ...change, allowConflict }));
+
+  const conflictCount = (plan?.berthStays || []).filter((stay) => stay.conflicts.length > 0).length;
+
+  return (
+    <div className={styles.container}>
+      <div className={styles.header}>
+        <button className={styles.backButton} onClick={() => navigate('/ops-sites')}>
+          ← {t('berthPlan.back')}
+        </button>
+        <div>
+          <h1>{t('berthPlan.title', { site: plan?.site.name || '' })}</h1>
+          <p>{canEdit ? t('berthPlan.subtitle') : t('berthPlan.subtitleReadOnly')}</p>
+        </div>
+      </div>
+
+      <div className={styles.toolbar}>
+        <button className={styles.navButton} onClick={() => setStartDate(shiftDate(startDate, -days))}>
+          ‹
+        </button>
+        <input
+          type="date"
+          className={styles.dateInput}
+          value={startDate}
+          onChange={(e) => e.target.value && setStartDate(e.target.value)}
+        />
+        <button className={styles.navButton} onClick={() => setStartDate(shiftDate(startDate, days))}>
+          ›
+        </button>
+        <button className={styles.navButton} onClick={() => setStartDate(shiftDate(toDateInput(new Date()), -1))}>
+          {t('berthPlan.today')}
+        </button>
+        <select className={styles.spanSelect} value={days} onChange={(e) => setDays(Number(e.target.value))}>
+          {SPAN_OPTIONS.map((option) => (
+            <option key={option} value={option}>{t('berthPlan.days', { count: option })}</option>
+          ))}
+        </select>
+        {conflictCount > 0 && (
+          <span className={styles.conflictCount}>{t('berthPlan.conflicts', { count: conflictCount })}</span>
+        )}
+      </div>
+
+      {error && <div className={styles.error}>{error}</div>}
+
+      <Card>
+        {isLoading ? (
+          <div className={styles.loading}>{t('common.loading')}</div>
+        ) : loadError ? (
+          <div className={styles.error}>{loadError.message}</div>
+        ) : plan.berths.length === 0 ? (
+          <div className={styles.empty}>{t('berthPlan.noBerths')}</div>
+        ) : (
+          <BerthGantt
+            from={from}
+            days={days}
+            berths={plan.berths}
+            berthStays={plan.berthStays}
+            unallocated={plan.unallocated}
+            onMoveStay={canEdit ? handleMoveStay : undefined}
+            onAllocate={canEdit ? handleAllocate : undefined}
+            onOpen={(portCallId) => navigate(`/port-calls/${portCallId}`)}
+          />
+        )}
+      </Card>
+    </div>
+  );
+}
+
+export default BerthPlanning;
@@ -3,15 +3,19 @@ import { useParams, useNavigate } from 'react-router-dom';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { useI18n } from '../../utils/useI18n';
 import { api } from '../../utils/api';
+import { useAuth } from '../../modules/auth/AuthContext';
 import Card from '../../components/ui/Card';
+import AisReconcilePanel from '../../components/ais/AisReconcilePanel';
 import styles from './PortCallsFromAIS.module.css';
 
 function PortCallsFromAIS() {
   const { id: siteId } = useParams();
   const navigate = useNavigate();
   const { t } = useI18n();
+  const { user } = useAuth();
+  const canEdit = user?.role !== 'VIEWER';
   const queryClient = useQueryClient();
-  const [activeTab, setActiveTab] = useState('estimates'); // 'estimates', 'calls', 'in-port'
+  const [activeTab, setActiveTab] = useState('estimates'); // 'estimates', 'calls', 'in-port', 'reconcile'
 
   // Fetch ops site details
   const { data: site, isLoading: siteLoading } = useQuery({
@@ -147,6 +151,12 @@ function PortCallsFromAIS() {
         >
           Vessels In Port
         </button>
+        <button
+          className={`${styles.tab} ${activeTab === 'reconcile' ? styles.active : ''}`}
+          onClick={() => setActiveTab('reconcile')}
+        >
+          {t('aisReconcile.tab')}
+        </button>
       </div>
 
       {/* Estimates Tab */}
@@ -182,7 +192,7 @@ function PortCallsFromAIS() {
                         <button
                           className={styles.createButton}
                           onClick={() => handleCreatePortCall(est)}
-                          disabled={createPortCallMutation.isPending}
+                          disabled={!canEdit || createPortCallMutation.isPending}
                         >
                           Create Portcall
                         </button>
@@ -233,7 +243,7 @@ function PortCallsFromAIS() {
                         <button
                           className={styles.createButton}
                           onClick={() => handleCreatePortCall(call)}
-                          disabled={createPortCallMutation.isPending}
+                          disabled={!canEdit || createPortCallMutation.isPending}
                         >
                           Create Portcall
                         </button>
@@ -280,7 +290,7 @@ function PortCallsFromAIS() {
                         <button
                           className={styles.createButton}
                           onClick={() => handleCreatePortCall(vessel)}
-                          disabled={createPortCallMutation.isPending}
+                          disabled={!canEdit || createPortCallMutation.isPending}
                         >
                           Create Portcall
                         </button>
@@ -295,6 +305,14 @@ function PortCallsFromAIS() {
           )}
         </Card>
       )}
+
+      {/* Reconcile Tab */}
+      {activeTab === 'reconcile' && (
+        <Card>
+          <h2>{t('aisReconcile.title')}</h2>
+          <AisReconcilePanel siteId={siteId} />
+        </Card>
+      )}
     </div>
   );
 }
@@ -1,29 +1,79 @@
 import { useState } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { useQuery } from '@tanstack/react-query';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { useI18n } from '../../utils/useI18n';
 import { api } from '../../utils/api';
+import { useAuth } from '../../modules/auth/AuthContext';
 import Card from '../../components/ui/Card';
 import KpiCard from '../../components/ui/KpiCard';
 import Badge from '../../components/ui/Badge';
 import MapView from '../../components/ais/MapView';
+import PortCallForm from '../../components/portCalls/PortCallForm';
+import StatusTransitionForm from '../../components/portCalls/StatusTransitionForm';
+import PredictedEta from '../../components/portCalls/PredictedEta';
+import FeesTable from '../../components/fees/FeesTable';
+import FeeSummary from '../../components/fees/FeeSummary';
+import FeeForm from '../../components/fees/FeeForm';
+import FeeDetailModal from '../../components/fees/FeeDetailModal';
+import TariffEstimateModal from '../../components/fees/TariffEstimateModal';
+import ManifestList from '../../components/cargo/ManifestList';
+import ManifestForm from '../../components/cargo/ManifestForm';
+import BillOfLadingForm from '../../components/cargo/BillOfLadingForm';
+import { manifestsPath } from '../../components/cargo/cargoHelpers';
+import TravellersTable from '../../components/travellers/TravellersTable';
+import TravellerForm from '../../components/travellers/TravellerForm';
+import TravellerImportModal from '../../components/travellers/TravellerImportModal';
+import { travellersPath, travellersQueryKey } from '../../components/travellers/travellerHelpers';
+import ApprovalsTable from '../../components/approvals/ApprovalsTable';
+import ApprovalSummary from '../../components/approvals/ApprovalSummary';
+import ApprovalForm from '../../components/approvals/ApprovalForm';
+import { approvalsPath } from '../../components/approvals/approvalHelpers';
+import AttachmentsList from '../../components/attachments/AttachmentsList';
+import AttachmentUploadForm from '../../components/attachments/AttachmentUploadForm';
+import { attachmentsPath } from '../../components/attachments/attachmentHelpers';
+import EscalasTable from '../../components/itinerary/EscalasTable';
+import BerthStaysTable from '../../components/itinerary/BerthStaysTable';
+import EscalaForm from '../../components/itinerary/EscalaForm';
+import BerthStayForm from '../../components/itinerary/BerthStayForm';
+import { itineraryPath, formatDateTime } from '../../components/itinerary/itineraryHelpers';
+import SofEntriesTable from '../../components/sof/SofEntriesTable';
+import SofEntryForm from '../../components/sof/SofEntryForm';
+import SofDetailsForm from '../../components/sof/SofDetailsForm';
+import { sofPath, sofQueryKey } from '../../components/sof/sofHelpers';
+import LaytimePeriodsTable from '../../components/laytime/LaytimePeriodsTable';
+import LaytimeTermsForm from '../../components/laytime/LaytimeTermsForm';
+import LaytimeInvoiceForm from '../../components/laytime/LaytimeInvoiceForm';
+import { laytimePath, laytimeQueryKey, formatHours } from '../../components/laytime/laytimeHelpers';
+import DisbursementLinesTable from '../../components/disbursements/DisbursementLinesTable';
+import DisbursementLineForm from '../../components/disbursements/DisbursementLineForm';
+import DisbursementFundingForm from '../../components/disbursements/DisbursementFundingForm';
+import { disbursementPath, disbursementQueryKey, getStage } from '../../components/disbursements/disbursementHelpers';
+import { formatMoney } from '../../utils/formatUtils';
 import styles from './PortCallDetail.module.css';
 
 function PortCallDetail() {
   const { id } = useParams();
   const navigate = useNavigate();
   const { t } = useI18n();
+  const { user } = useAuth();
+  const canEdit = user?.role !== 'VIEWER';
   const [activeTab, setActiveTab] = useState('overview');
+  const [showEditForm, setShowEditForm] = useState(false);
+  const [transitionTo, setTransitionTo] = useState(null);
 
   const tabs = [
     { id: 'overview', labelKey: 'tabs.overview' },
+    { id: 'itinerary', labelKey: 'tabs.itinerary' },
     { id: 'cargo', labelKey: 'tabs.cargo' },
     { id: 'crew', labelKey: 'tabs.crew' },
     { id: 'passengers', labelKey: 'tabs.passengers' },
     { id: 'operations', labelKey: 'tabs.operations' },
+    { id: 'sof', labelKey: 'tabs.sof' },
+    { id: 'laytime', labelKey: 'tabs.laytime' },
     { id: 'agents', labelKey: 'tabs.agents' },
     { id: 'security', labelKey: 'tabs.security' },
     { id: 'fees', labelKey: 'tabs.fees' },
+    { id: 'disbursements', labelKey: 'tabs.disbursements' },
     { id: 'attachments', labelKey: 'tabs.attachments' },
   ];
 
@@ -64,6 +114,13 @@ function PortCallDetail() {
     // Note: This uses stored positions, not AIS API track endpoint
   });
 
+  const { data: portCallFees } = useQuery({
+    queryKey: ['portCall', id, 'fees'],
+    queryFn: () => api.get(`/port-calls/${id}/fees`),
+  });
+
+  const canModify = portCall && !['COMPLETED', 'CANCELLED'].includes(portCall.status);
+
   if (isLoading) {
     return <div className={styles.loading}>{t('common.loading')}</div>;
   }
@@ -85,12 +142,40 @@ function PortCallDetail() {
               {portCall.port?.name || portCall.portId} • {portCall.countryCode}
             </p>
           </div>
-          <Badge status={portCall.status}>
-            {t(`portCalls.status.${portCall.status}`) || portCall.status.replace('_', ' ')}
-          </Badge>
+          <div className={styles.headerActions}>
+            <Badge status={portCall.status}>
+              {t(`portCalls.status.${portCall.status}`) || portCall.status.replace('_', ' ')}
+            </Badge>
+            {canEdit && canModify && (
+              <button className={styles.actionButton} onClick={() => setShowEditForm(true)}>
+                {t('common.edit')}
+              </button>
+            )}
+            {canEdit && (portCall.allowedTransitions || []).map((status) => (
+              <button
+                key={status}
+                className={status === 'CANCELLED' ? styles.dangerButton : styles.actionButton}
+                onClick={() => setTransitionTo(status)}
+              >
+                {t(`portCalls.transitions.${status}`)}
+              </button>
+            ))}
+          </div>
         </div>
       </div>
 
+      {showEditForm && (
+        <PortCallForm portCall={portCall} onClose={() => setShowEditForm(false)} />
+      )}
+
+      {transitionTo && (
+        <StatusTransitionForm
+          portCall={portCall}
+          toStatus={transitionTo}
+          onClose={() => setTransitionTo(null)}
+        />
+      )}
+
       <div className={styles.hero}>
         <div className={styles.mapContainer}>
           <MapView
@@ -103,7 +188,7 @@ function PortCallDetail() {
           <KpiCard title={t('portCallDetail.stayDuration')} value="2.5 days" icon="⏱️" />
           <KpiCard title={t('portCallDetail.blCount')} value={portCall.blCount || 0} icon="📦" />
           <KpiCard title={t('dashboard.people')} value={portCall.peopleCount || 0} icon="👥" />
-          <KpiCard title={t('portCallDetail.feesStatus')} value="Paid" icon="💰" />
+          <KpiCard title={t('portCallDetail.feesStatus')} value={getFeesStatusLabel(portCallFees?.fees, t)} icon="💰" />
         </div>
       </div>
 
@@ -150,12 +235,30 @@ function PortCallDetail() {
               </div>
               <div>
                 <label>{t('portCalls.eta')}</label>
-                <p>{new Date(portCall.eta).toLocaleString()}</p>
+                <p>{portCall.eta ? new Date(portCall.eta).toLocaleString() : 'N/A'}</p>
               </div>
               <div>
                 <label>{t('portCalls.etd')}</label>
-                <p>{new Date(portCall.etd).toLocaleString()}</p>
+                <p>{portCall.etd ? new Date(portCall.etd).toLocaleString() : 'N/A'}</p>
               </div>
+              {portCall.actualArrival && (
+                <div>
+                  <label>{t('portCalls.actualArrival')}</label>
+                  <p>{new Date(portCall.actualArrival).toLocaleString()}</p>
+                </div>
+              )}
+              {portCall.actualDeparture && (
+                <div>
+                  <label>{t('portCalls.actualDeparture')}</label>
+                  <p>{new Date(portCall.actualDeparture).toLocaleString()}</p>
+                </div>
+              )}
+              {portCall.cancellationReason && (
+                <div>
+                  <label>{t('portCalls.transitions.reason')}</label>
+                  <p>{portCall.cancellationReason}</p>
+                </div>
+              )}
               {portCall.localReferenceNumber && (
                 <div>
                   <label>{t('portCallDetail.localReference')}</label>
@@ -193,58 +296,864 @@ function PortCallDetail() {
           </Card>
         )}
 
-        {activeTab === 'cargo' && (
-          <Card>
-            <h2>{t('tabs.cargo')}</h2>
-            <p className={styles.comingSoon}>{t('portCallDetail.comingSoon')}</p>
-          </Card>
+        {activeTab === 'overview' && portCall.status === 'PLANNED' && (
+          <div className={styles.overviewSection}>
+            <PredictedEta portCall={portCall} />
+          </div>
         )}
 
-        {activeTab === 'crew' && (
-          <Card>
-            <h2>Crew List</h2>
-            <p className={styles.comingSoon}>Crew list coming soon...</p>
-          </Card>
-        )}
+        {activeTab === 'itinerary' && <PortCallItineraryTab portCallId={id} />}
 
-        {activeTab === 'passengers' && (
-          <Card>
-            <h2>Passenger List</h2>
-            <p className={styles.comingSoon}>Passenger list coming soon...</p>
-          </Card>
-        )}
+        {activeTab === 'cargo' && <PortCallCargoTab portCallId={id} />}
 
-        {activeTab === 'operations' && (
-          <Card>
-            <h2>Operations Timeline</h2>
-            <p className={styles.comingSoon}>Operations timeline coming soon...</p>
-          </Card>
-        )}
+        {activeTab === 'crew' && <PortCallTravellersTab portCallId={id} type="CREW" />}
+
+        {activeTab === 'passengers' && <PortCallTravellersTab portCallId={id} type="PASSENGER" />}
+
+        {activeTab === 'operations' && <PortCallOperationsTab portCallId={id} />}
+
+        {activeTab === 'sof' && <PortCallSofTab portCallId={id} />}
+
+        {activeTab === 'laytime' && <PortCallLaytimeTab portCallId={id} vesselId={portCall.vesselId} />}
 
         {activeTab === 'agents' && <PortCallAgentsTab portCallId={id} />}
 
-        {activeTab === 'security' && (
-          <Card>
-            <h2>Security & Approvals</h2>
-            <p className={styles.comingSoon}>Security details coming soon...</p>
-          </Card>
+        {activeTab === 'security' && <PortCallSecurityTab portCallId={id} />}
+
+        {activeTab === 'fees' && <PortCallFeesTab portCallId={id} />}
+
+        {activeTab === 'disbursements' && <PortCallDisbursementsTab portCallId={id} />}
+
+        {activeTab === 'attachments' && <PortCallAttachmentsTab portCallId={id} />}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Overall fees status for the KPI card: overdue > due > paid
+ */
+function getFeesStatusLabel(fees, t) {
+  if (!fees || fees.length === 0) return '-';
+  if (fees.some((fee) => fee.isOverdue)) return t('fees.overdue');
+  if (fees.some((fee) => fee.status === 'DUE')) return t('fees.statuses.DUE');
+  return t('fees.statuses.PAID');
+}
+
+// Port Call Operations Tab Component (arrival/departure events and status transition history)
+function PortCallOperationsTab({ portCallId }) {
+  const { t } = useI18n();
+
+  const { data: transitions, isLoading } = useQuery({
+    queryKey: ['portCall', portCallId, 'transitions'],
+    queryFn: () => api.get(`/port-calls/${portCallId}/transitions`),
+    enabled: !!portCallId,
+  });
+
+  const { data: events, isLoading: eventsLoading } = useQuery({
+    queryKey: ['portCall', portCallId, 'events'],
+    queryFn: () => api.get(`/port-calls/${portCallId}/events`),
+    enabled: !!portCallId,
+  });
+
+  if (isLoading || eventsLoading) {
+    return <div className={styles.loading}>{t('common.loading')}</div>;
+  }
+
+  return (
+    <Card>
+      <h2>{t('portCalls.events.title')}</h2>
+      {events && events.length > 0 ? (
+        <table className={styles.table}>
+          <thead>
+            <tr>
+              <th>{t('portCalls.transitions.when')}</th>
+              <th>{t('portCalls.events.event')}</th>
+              <th>{t('portCalls.events.location')}</th>
+              <th>{t('portCalls.events.remarks')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {events.map((event) => (
+              <tr key={event.id}>
+                <td>{new Date(event.timestamp).toLocaleString()}</td>
+                <td>{t(`portCalls.events.types.${event.eventType}`)}</td>
+                <td>{event.terminal || '-'}</td>
+                <td>{event.remarks || '-'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <div className={styles.empty}>{t('portCalls.events.noEvents')}</div>
+      )}
+
+      <h2 className={styles.sectionTitle}>{t('portCalls.transitions.history')}</h2>
+      {transitions && transitions.length > 0 ? (
+        <table className={styles.table}>
+          <thead>
+            <tr>
+              <th>{t('portCalls.transitions.when')}</th>
+              <th>{t('portCalls.transitions.from')}</th>
+              <th>{t('portCalls.transitions.to')}</th>
+              <th>{t('portCalls.transitions.description')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {transitions.map((log) => (
+              <tr key={log.id}>
+                <td>{new Date(log.timestamp).toLocaleString()}</td>
+                <td>
+                  {log.previousStatus && (
+                    <Badge status={log.previousStatus}>{t(`portCalls.status.${log.previousStatus}`)}</Badge>
+                  )}
+                </td>
+                <td>
+                  {log.currentStatus && (
+                    <Badge status={log.currentStatus}>{t(`portCalls.status.${log.currentStatus}`)}</Badge>
+                  )}
+                </td>
+                <td>{log.description}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <div className={styles.empty}>{t('portCalls.transitions.noHistory')}</div>
+      )}
+    </Card>
+  );
+}
+
+// Port Call Itinerary Tab Component (rotation stops and berth allocations)
+function PortCallItineraryTab({ portCallId }) {
+  const { t } = useI18n();
+  const { user } = useAuth();
+  const canEdit = user?.role !== 'VIEWER';
+  const [editingEscala, setEditingEscala] = useState(null);
+  const [editingBerthStay, setEditingBerthStay] = useState(null);
+
+  const { data: itinerary, isLoading } = useQuery({
+    queryKey: ['portCall', portCallId, 'itinerary'],
+    queryFn: () => api.get(itineraryPath(portCallId)),
+    enabled: !!portCallId,
+  });
+
+  if (isLoading) {
+    return <div className={styles.loading}>{t('common.loading')}</div>;
+  }
+
+  return (
+    <Card>
+      <div className={styles.tabHeader}>
+        <h2>{t('tabs.itinerary')}</h2>
+        {canEdit && (
+          <div className={styles.tabActions}>
+            <button className={styles.secondaryButton} onClick={() => setEditingEscala({})}>
+              {t('itinerary.addStop')}
+            </button>
+            <button className={styles.addButton} onClick={() => setEditingBerthStay({})}>
+              {t('itinerary.addBerthStay')}
+            </button>
+          </div>
         )}
+      </div>
 
-        {activeTab === 'fees' && (
-          <Card>
-            <h2>Fees & Dues</h2>
-            <p className={styles.comingSoon}>Fees details coming soon...</p>
-          </Card>
+      <h2 className={styles.sectionTitle}>{t('itinerary.stops')}</h2>
+      <EscalasTable
+        escalas={itinerary?.escalas}
+        onEdit={canEdit ? (escala) => setEditingEscala(escala) : undefined}
+      />
+
+      <h2 className={styles.sectionTitle}>{t('itinerary.berthStays')}</h2>
+      <BerthStaysTable
+        berthStays={itinerary?.berthStays}
+        onEdit={canEdit ? (stay) => setEditingBerthStay(stay) : undefined}
+      />
+
+      {editingEscala && (
+        <EscalaForm
+          portCallId={portCallId}
+          escala={editingEscala.id ? editingEscala : undefined}
+          onClose={() => setEditingEscala(null)}
+        />
+      )}
+      {editingBerthStay && (
+        <BerthStayForm
+          portCallId={portCallId}
+          escalas={itinerary?.escalas}
+          berthStay={editingBerthStay.id ? editingBerthStay : undefined}
+          onClose={() => setEditingBerthStay(null)}
+        />
+      )}
+    </Card>
+  );
+}
+
+// Port Call Cargo Tab Component (manifests and bills of lading)
+function PortCallCargoTab({ portCallId }) {
+  const { t } = useI18n();
+  const { user } = useAuth();
+  const canEdit = user?.role !== 'VIEWER';
+  const [editingManifest, setEditingManifest] = useState(null);
+  const [editingBl, setEditingBl] = useState(null);
+
+  const { data: manifests, isLoading } = useQuery({
+    queryKey: ['portCall', portCallId, 'manifests'],
+    queryFn: () => api.get(manifestsPath(portCallId)),
+    enabled: !!portCallId,
+  });
+
+  if (isLoading) {
+    return <div className={styles.loading}>{t('common.loading')}</div>;
+  }
+
+  return (
+    <Card>
+      <div className={styles.tabHeader}>
+        <h2>{t('tabs.cargo')}</h2>
+        {canEdit && (
+          <div className={styles.tabActions}>
+            <button className={styles.addButton} onClick={() => setEditingManifest({})}>
+              {t('cargo.addManifest')}
+            </button>
+          </div>
         )}
+      </div>
 
-        {activeTab === 'attachments' && (
-          <Card>
-            <h2>Attachments</h2>
-            <p className={styles.comingSoon}>Attachments coming soon...</p>
-          </Card>
+      <ManifestList
+        manifests={manifests}
+        onEditManifest={canEdit ? (manifest) => setEditingManifest(manifest) : undefined}
+        onAddBillOfLading={canEdit ? (manifest) => setEditingBl({ manifest }) : undefined}
+        onEditBillOfLading={canEdit ? (manifest, billOfLading) => setEditingBl({ manifest, billOfLading }) : undefined}
+      />
+
+      {editingManifest && (
+        <ManifestForm
+          portCallId={portCallId}
+          manifest={editingManifest.id ? editingManifest : undefined}
+          onClose={() => setEditingManifest(null)}
+        />
+      )}
+      {editingBl && (
+        <BillOfLadingForm
+          portCallId={portCallId}
+          manifest={editingBl.manifest}
+          billOfLading={editingBl.billOfLading}
+          onClose={() => setEditingBl(null)}
+        />
+      )}
+    </Card>
+  );
+}
+
+// Port Call Attachments Tab Component (uploaded documents and photos)
+function PortCallAttachmentsTab({ portCallId }) {
+  const { t } = useI18n();
+  const { user } = useAuth();
+  const canEdit = user?.role !== 'VIEWER';
+  const [showUpload, setShowUpload] = useState(false);
+
+  const { data: attachments, isLoading } = useQuery({
+    queryKey: ['portCall', portCallId, 'attachments'],
+    queryFn: () => api.get(attachmentsPath(portCallId)),
+    enabled: !!portCallId,
+  });
+
+  if (isLoading) {
+    return <div className={styles.loading}>{t('common.loading')}</div>;
+  }
+
+  return (
+    <Card>
+      <div className={styles.tabHeader}>
+        <h2>{t('tabs.attachments')}</h2>
+        {canEdit && (
+          <div className={styles.tabActions}>
+            <button className={styles.addButton} onClick={() => setShowUpload(true)}>
+              {t('attachments.upload')}
+            </button>
+          </div>
         )}
       </div>
-    </div>
+
+      <AttachmentsList portCallId={portCallId} attachments={attachments} canEdit={canEdit} />
+
+      {showUpload && <AttachmentUploadForm portCallId={portCallId} onClose={() => setShowUpload(false)} />}
+    </Card>
+  );
+}
+
+// Port Call Statement of Facts Tab Component (pre-filled from events, signed PDF/DOCX/CSV export)
+function PortCallSofTab({ portCallId }) {
+  const { t } = useI18n();
+  const { user } = useAuth();
+  const canEdit = user?.role !== 'VIEWER';
+  const queryClient = useQueryClient();
+  const [editingEntry, setEditingEntry] = useState(null);
+  const [detailsMode, setDetailsMode] = useState(null);
+  const [message, setMessage] = useState('');
+  const [actionError, setActionError] = useState('');
+
+  const { data: sof, isLoading } = useQuery({
+    queryKey: sofQueryKey(portCallId),
+    queryFn: () => api.get(sofPath(portCallId)),
+    enabled: !!portCallId,
+  });
+
+  const actionMutation = useMutation({
+    mutationFn: (action) => (action === 'start'
+      ? api.post(sofPath(portCallId), {})
+      : api.post(`${sofPath(portCallId)}/${action}`, {})),
+    onSuccess: (result, action) => {
+      queryClient.invalidateQueries({ queryKey: sofQueryKey(portCallId) });
+      setMessage(action === 'reopen' ? '' : t('sof.prefilled', { count: result?.added ?? 0 }));
+    },
+    onError: (err) => setActionError(err.message),
+  });
+
+  const runAction = (action) => {
+    setActionError('');
+    setMessage('');
+    if (action === 'reopen' && !window.confirm(t('sof.reopenConfirm'))) return;
+    actionMutation.mutate(action);
+  };
+
+  const handleExport = (format) => {
+    setActionError('');
+    api.download(`${sofPath(portCallId)}/export?format=${format}`).catch((err) => setActionError(err.message));
+  };
+
+  if (isLoading) {
+    return <div className={styles.loading}>{t('common.loading')}</div>;
+  }
+
+  const statement = sof?.statement;
+  const isDraft = statement?.status === 'DRAFT';
+  const canChange = canEdit && isDraft;
+
+  return (
+    <Card>
+      <div className={styles.tabHeader}>
+        <h2>
+          {t('sof.title')}{' '}
+          {statement && <Badge status={statement.status}>{t(`sof.statuses.${statement.status}`)}</Badge>}
+        </h2>
+        <div className={styles.tabActions}>
+          {statement && (
+            <>
+              <button className={styles.secondaryButton} onClick={() => handleExport('pdf')}>
+                {t('sof.exportPdf')}
+              </button>
+              <button className={styles.secondaryButton} onClick={() => handleExport('docx')}>
+                {t('sof.exportDocx')}
+              </button>
+              <button className={styles.secondaryButton} onClick={() => handleExport('csv')}>
+                {t('sof.exportCsv')}
+              </button>
+            </>
+          )}
+          {canEdit && !statement && (
+            <button className={styles.addButton} onClick={() => runAction('start')} disabled={actionMutation.isPending}>
+              {t('sof.start')}
+            </button>
+          )}
+          {canChange && (
+            <>
+              <button
+                className={styles.secondaryButton}
+                onClick={() => runAction('prefill')}
+                disabled={actionMutation.isPending}
+              >
+                {t('sof.prefill')}
+              </button>
+              <button className={styles.secondaryButton} onClick={() => setDetailsMode('edit')}>
+                {t('sof.editDetails')}
+              </button>
+              <button className={styles.secondaryButton} onClick={() => setEditingEntry({ eventCode: 'WEATHER_STOPPAGE' })}>
+                {t('sof.addStoppage')}
+              </button>
+              <button className={styles.secondaryButton} onClick={() => setEditingEntry({})}>
+                {t('sof.addEntry')}
+              </button>
+              <button className={styles.addButton} onClick={() => setDetailsMode('sign')}>
+                {t('sof.sign')}
+              </button>
+            </>
+          )}
+          {canEdit && statement?.status === 'SIGNED' && (
+            <button className={styles.secondaryButton} onClick={() => runAction('reopen')} disabled={actionMutation.isPending}>
+              {t('sof.reopen')}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {actionError && <p className={styles.exportError}>{actionError}</p>}
+      {message && <p className={styles.notice}>{message}</p>}
+
+      {!statement ? (
+        <p className={styles.emptyState}>{canEdit ? t('sof.notStarted') : t('sof.notStartedReadOnly')}</p>
+      ) : (
+        <>
+          {statement.status === 'SIGNED' && (
+            <p className={styles.sofSignature}>
+              {t('sof.signedBy', {
+                name: statement.signedByName || '-',
+                date: formatDateTime(statement.signedAt),
+                master: statement.masterName || '-',
+              })}
+              <br />
+              <small className={styles.sofHash}>SHA-256: {statement.signatureHash}</small>
+            </p>
+          )}
+          {isDraft && statement.masterName && (
+            <p className={styles.sofMeta}>{t('sof.masterName')}: {statement.masterName}</p>
+          )}
+          {statement.remarks && <p className={styles.sofMeta}>{statement.remarks}</p>}
+
+          <SofEntriesTable
+            entries={sof.entries}
+            onEdit={canChange ? (entry) => setEditingEntry(entry) : undefined}
+          />
+        </>
+      )}
+
+      {editingEntry && (
+        <SofEntryForm portCallId={portCallId} entry={editingEntry} onClose={() => setEditingEntry(null)} />
+      )}
+      {detailsMode && statement && (
+        <SofDetailsForm
+          portCallId={portCallId}
+          statement={statement}
+          sign={detailsMode === 'sign'}
+          onClose={() => setDetailsMode(null)}
+        />
+      )}
+    </Card>
+  );
+}
+
+// Port Call Laytime Tab Component (charter-party terms applied to the statement of facts)
+function PortCallLaytimeTab({ portCallId, vesselId }) {
+  const { t } = useI18n();
+  const { user } = useAuth();
+  const canEdit = user?.role !== 'VIEWER';
+  const [showTerms, setShowTerms] = useState(false);
+  const [showInvoice, setShowInvoice] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const { data: laytime, isLoading } = useQuery({
+    queryKey: laytimeQueryKey(portCallId),
+    queryFn: () => api.get(laytimePath(portCallId)),
+    enabled: !!portCallId,
+  });
+
+  if (isLoading) {
+    return <div className={styles.loading}>{t('common.loading')}</div>;
+  }
+
+  const terms = laytime?.terms;
+  const result = laytime?.result;
+  const canInvoice = canEdit && result && !result.provisional && result.outcome === 'DEMURRAGE';
+
+  return (
+    <Card>
+      <div className={styles.tabHeader}>
+        <h2>
+          {t('laytime.title')}{' '}
+          {terms && <Badge status={terms.terms}>{terms.terms}</Badge>}
+        </h2>
+        <div className={styles.tabActions}>
+          {canInvoice && (
+            <button className={styles.secondaryButton} onClick={() => setShowInvoice(true)}>
+              {t('laytime.createInvoice')}
+            </button>
+          )}
+          {canEdit && (
+            <button className={styles.addButton} onClick={() => setShowTerms(true)}>
+              {terms ? t('laytime.editTerms') : t('laytime.setTerms')}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {message && <p className={styles.notice}>{message}</p>}
+
+      {!terms ? (
+        <p className={styles.emptyState}>{canEdit ? t('laytime.noTerms') : t('laytime.noTermsReadOnly')}</p>
+      ) : (
+        <>
+          <div className={styles.laytimeKpis}>
+            <KpiCard title={t('laytime.allowed')} value={formatHours(result.allowedHours)} icon="⏳" />
+            <KpiCard title={t('laytime.used')} value={formatHours(result.usedHours)} icon="⏱️" />
+            <KpiCard title={t('laytime.excepted')} value={formatHours(result.exceptedHours)} icon="⏸️" />
+            <KpiCard
+              title={t(`laytime.outcomes.${result.outcome}`)}
+              value={formatMoney(result.amount, result.currency)}
+              subtitle={result.outcome === 'NONE'
+                ? undefined
+                : t('laytime.daysAtRate', { days: result.days, rate: formatMoney(result.rate, result.currency) })}
+              icon="💰"
+            />
+          </div>
+
+          {result.provisional && <p className={styles.notice}>{t('laytime.provisional')}</p>}
+          {!result.provisional && result.outcome === 'DESPATCH' && (
+            <p className={styles.sofMeta}>{t('laytime.despatchNotInvoiced')}</p>
+          )}
+          {result.laytimeExpiredAt && (
+            <p className={styles.sofMeta}>{t('laytime.expiredAt', { date: formatDateTime(result.laytimeExpiredAt) })}</p>
+          )}
+          {result.warnings.length > 0 && (
+            <ul className={styles.laytimeWarnings}>
+              {result.warnings.map((warning) => <li key={warning}>{warning}</li>)}
+            </ul>
+          )}
+          {terms.notes && <p className={styles.sofMeta}>{terms.notes}</p>}
+
+          <LaytimePeriodsTable result={result} portCallId={portCallId} />
+        </>
+      )}
+
+      {showTerms && (
+        <LaytimeTermsForm
+          portCallId={portCallId}
+          vesselId={vesselId}
+          terms={terms}
+          onClose={() => setShowTerms(false)}
+        />
+      )}
+      {showInvoice && result && (
+        <LaytimeInvoiceForm
+          portCallId={portCallId}
+          result={result}
+          onCreated={() => setMessage(t('laytime.invoiceCreated'))}
+          onClose={() => setShowInvoice(false)}
+        />
+      )}
+    </Card>
+  );
+}
+
+// Port Call Disbursements Tab Component (PDA with funding request, FDA reconciled against it)
+function PortCallDisbursementsTab({ portCallId }) {
+  const { t } = useI18n();
+  const { user } = useAuth();
+  const canEdit = user?.role !== 'VIEWER';
+  const queryClient = useQueryClient();
+  const [currency, setCurrency] = useState('BRL');
+  const [editingLine, setEditingLine] = useState(null);
+  const [fundingMode, setFundingMode] = useState(null);
+  const [result, setResult] = useState(null);
+  const [actionError, setActionError] = useState('');
+
+  const { data: disbursement, isLoading } = useQuery({
+    queryKey: disbursementQueryKey(portCallId),
+    queryFn: () => api.get(disbursementPath(portCallId)),
+    enabled: !!portCallId,
+  });
+
+  const actionMutation = useMutation({
+    mutationFn: (action) => {
+      if (action === 'start') return api.post(disbursementPath(portCallId), { currency });
+      if (action === 'delete') return api.delete(disbursementPath(portCallId));
+      return api.post(`${disbursementPath(portCallId)}/${action}`, {});
+    },
+    onSuccess: (data, action) => {
+      queryClient.invalidateQueries({ queryKey: disbursementQueryKey(portCallId) });
+      setResult(data?.warnings ? { action, added: data.added, updated: data.updated, warnings: data.warnings } : null);
+    },
+    onError: (err) => setActionError(err.message),
+  });
+
+  const CONFIRMS = {
+    reconcile: 'disbursements.reconcileConfirm',
+    issue: 'disbursements.issueConfirm',
+    reopen: 'disbursements.reopenConfirm',
+    delete: 'disbursements.deleteConfirm',
+  };
+
+  const runAction = (action) => {
+    setActionError('');
+    setResult(null);
+    if (CONFIRMS[action] && !window.confirm(t(CONFIRMS[action]))) return;
+    actionMutation.mutate(action);
+  };
+
+  const handleExport = (format) => {
+    setActionError('');
+    api.download(`${disbursementPath(portCallId)}/export?format=${format}`).catch((err) => setActionError(err.message));
+  };
+
+  if (isLoading) {
+    return <div className={styles.loading}>{t('common.loading')}</div>;
+  }
+
+  const account = disbursement?.account;
+  const totals = disbursement?.totals;
+  const stage = account ? getStage(account) : 'PDA';
+  const status = account?.status;
+  const canChange = canEdit && (status === 'PDA_DRAFT' || status === 'FDA_DRAFT');
+  const busy = actionMutation.isPending;
+
+  return (
+    <Card>
+      <div className={styles.tabHeader}>
+        <h2>
+          {t(`disbursements.titles.${stage}`)}{' '}
+          {account && <Badge status={status}>{t(`disbursements.statuses.${status}`)}</Badge>}
+        </h2>
+        <div className={styles.tabActions}>
+          {account && (
+            <>
+              <button className={styles.secondaryButton} onClick={() => handleExport('pdf')}>
+                {t('disbursements.exportPdf')}
+              </button>
+              <button className={styles.secondaryButton} onClick={() => handleExport('csv')}>
+                {t('disbursements.exportCsv')}
+              </button>
+            </>
+          )}
+          {canEdit && !account && (
+            <>
+              <input
+                className={styles.currencyInput}
+                value={currency}
+                onChange={(e) => setCurrency(e.target.value.toUpperCase())}
+                maxLength={3}
+                aria-label={t('disbursements.currency')}
+              />
+              <button className={styles.addButton} onClick={() => runAction('start')} disabled={busy || currency.length !== 3}>
+                {t('disbursements.start')}
+              </button>
+            </>
+          )}
+          {canChange && (
+            <button className={styles.secondaryButton} onClick={() => setEditingLine({})}>
+              {t('disbursements.addLine')}
+            </button>
+          )}
+          {canEdit && status === 'PDA_DRAFT' && (
+            <>
+              <button className={styles.secondaryButton} onClick={() => runAction('prefill')} disabled={busy}>
+                {t('disbursements.prefill')}
+              </button>
+              <button className={styles.addButton} onClick={() => setFundingMode('request')}>
+                {t('disbursements.requestFunding')}
+              </button>
+            </>
+          )}
+          {canEdit && (status === 'FUNDING_REQUESTED' || status === 'FDA_DRAFT') && (
+            <button className={styles.secondaryButton} onClick={() => setFundingMode('received')}>
+              {t('disbursements.recordFunds')}
+            </button>
+          )}
+          {canEdit && (status === 'FUNDING_REQUESTED' || status === 'FDA_DRAFT') && (
+            <button className={styles.secondaryButton} onClick={() => runAction('reconcile')} disabled={busy}>
+              {status === 'FDA_DRAFT' ? t('disbursements.reconcileAgain') : t('disbursements.reconcile')}
+            </button>
+          )}
+          {canEdit && status === 'FDA_DRAFT' && (
+            <button className={styles.addButton} onClick={() => runAction('issue')} disabled={busy}>
+              {t('disbursements.issue')}
+            </button>
+          )}
+          {canEdit && (status === 'FUNDING_REQUESTED' || status === 'FDA_ISSUED') && (
+            <button className={styles.secondaryButton} onClick={() => runAction('reopen')} disabled={busy}>
+              {t('disbursements.reopen')}
+            </button>
+          )}
+          {canEdit && account && status !== 'FDA_ISSUED' && (
+            <button className={styles.dangerButton} onClick={() => runAction('delete')} disabled={busy}>
+              {t('common.delete')}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {actionError && <p className={styles.exportError}>{actionError}</p>}
+      {result && (
+        <p className={styles.notice}>
+          {t(result.action === 'reconcile' ? 'disbursements.reconciled' : 'disbursements.prefilled', {
+            added: result.added,
+            updated: result.updated,
+          })}
+        </p>
+      )}
+      {result?.warnings.length > 0 && (
+        <ul className={styles.disbursementWarnings}>
+          {result.warnings.map((warning) => <li key={warning}>{warning}</li>)}
+        </ul>
+      )}
+
+      {!account ? (
+        <p className={styles.emptyState}>{canEdit ? t('disbursements.notStarted') : t('disbursements.notStartedReadOnly')}</p>
+      ) : (
+        <>
+          <div className={styles.disbursementKpis}>
+            <KpiCard
+              title={stage === 'FDA' ? t('disbursements.totalPda') : t('disbursements.totalEstimated')}
+              value={formatMoney(totals.estimated, account.currency)}
+              icon="📋"
+            />
+            {stage === 'FDA' && (
+              <>
+                <KpiCard
+                  title={t('disbursements.totalActual')}
+                  value={formatMoney(totals.actual, account.currency)}
+                  subtitle={totals.pendingLines > 0 ? t('disbursements.pendingLines', { count: totals.pendingLines }) : undefined}
+                  icon="🧾"
+                />
+                <KpiCard title={t('disbursements.variance')} value={formatMoney(totals.variance, account.currency)} icon="📊" />
+              </>
+            )}
+            <KpiCard
+              title={t('disbursements.fundsReceived')}
+              value={formatMoney(totals.fundsReceived, account.currency)}
+              subtitle={account.fundingAmount !== null
+                ? t('disbursements.ofRequested', { amount: formatMoney(account.fundingAmount, account.currency) })
+                : undefined}
+              icon="💰"
+            />
+            {stage === 'FDA' ? (
+              <KpiCard
+                title={totals.balance < 0 ? t('disbursements.balanceRefund') : t('disbursements.balanceDue')}
+                value={formatMoney(Math.abs(totals.balance), account.currency)}
+                icon="⚖️"
+              />
+            ) : account.fundingAmount !== null && (
+              <KpiCard
+                title={t('disbursements.outstanding')}
+                value={formatMoney(totals.fundingOutstanding, account.currency)}
+                subtitle={account.fundingDueAt
+                  ? t('disbursements.dueBy', { date: new Date(`${account.fundingDueAt}T00:00:00Z`).toLocaleDateString(undefined, { timeZone: 'UTC' }) })
+                  : undefined}
+                icon="⏳"
+              />
+            )}
+          </div>
+
+          {account.billTo?.name && <p className={styles.sofMeta}>{t('disbursements.customer')}: {account.billTo.name}</p>}
+          {account.notes && <p className={styles.sofMeta}>{account.notes}</p>}
+
+          <DisbursementLinesTable
+            lines={disbursement.lines}
+            totals={totals}
+            currency={account.currency}
+            stage={stage}
+            onEdit={canChange ? (line) => setEditingLine(line) : undefined}
+          />
+        </>
+      )}
+
+      {editingLine && (
+        <DisbursementLineForm
+          portCallId={portCallId}
+          stage={stage}
+          line={editingLine.id ? editingLine : undefined}
+          onClose={() => setEditingLine(null)}
+        />
+      )}
+      {fundingMode && account && (
+        <DisbursementFundingForm
+          portCallId={portCallId}
+          account={account}
+          totals={totals}
+          mode={fundingMode}
+          onClose={() => setFundingMode(null)}
+        />
+      )}
+    </Card>
+  );
+}
+
+// Port Call Crew/Passengers Tab Component (lists with import and FAL Form 5/6 export)
+function PortCallTravellersTab({ portCallId, type }) {
+  const { t } = useI18n();
+  const { user } = useAuth();
+  const canEdit = user?.role !== 'VIEWER';
+  const isCrew = type === 'CREW';
+  const [editing, setEditing] = useState(null);
+  const [showImport, setShowImport] = useState(false);
+  const [direction, setDirection] = useState('arrival');
+  const [exportError, setExportError] = useState('');
+
+  const { data: travellers, isLoading } = useQuery({
+    queryKey: travellersQueryKey(type, portCallId),
+    queryFn: () => api.get(travellersPath(type, portCallId)),
+    enabled: !!portCallId,
+  });
+
+  const handleExport = (format) => {
+    setExportError('');
+    api
+      .download(`${travellersPath(type, portCallId)}/export?format=${format}&direction=${direction}`)
+      .catch((err) => setExportError(err.message));
+  };
+
+  if (isLoading) {
+    return <div className={styles.loading}>{t('common.loading')}</div>;
+  }
+
+  const expiredCount = (travellers || []).filter((traveller) => traveller.documentExpired).length;
+
+  return (
+    <Card>
+      <div className={styles.tabHeader}>
+        <h2>{isCrew ? t('travellers.crewList') : t('travellers.passengerList')}</h2>
+        <div className={styles.tabActions}>
+          <select
+            className={styles.directionSelect}
+            value={direction}
+            onChange={(e) => setDirection(e.target.value)}
+            aria-label={t('travellers.direction')}
+          >
+            <option value="arrival">{t('travellers.arrival')}</option>
+            <option value="departure">{t('travellers.departure')}</option>
+          </select>
+          <button className={styles.secondaryButton} onClick={() => handleExport('pdf')}>
+            {isCrew ? t('travellers.exportFal5') : t('travellers.exportFal6')}
+          </button>
+          <button className={styles.secondaryButton} onClick={() => handleExport('csv')}>
+            {t('travellers.exportCsv')}
+          </button>
+          {canEdit && (
+            <>
+              <button className={styles.secondaryButton} onClick={() => setShowImport(true)}>
+                {t('travellers.import')}
+              </button>
+              <button className={styles.addButton} onClick={() => setEditing({})}>
+                {isCrew ? t('travellers.addCrew') : t('travellers.addPassenger')}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+
+      {exportError && <p className={styles.exportError}>{exportError}</p>}
+      {expiredCount > 0 && (
+        <p className={styles.notice}>{t('travellers.expiredDocuments', { count: expiredCount })}</p>
+      )}
+
+      <TravellersTable
+        type={type}
+        travellers={travellers}
+        onSelect={canEdit ? (traveller) => setEditing(traveller) : undefined}
+      />
+
+      {editing && (
+        <TravellerForm
+          type={type}
+          portCallId={portCallId}
+          traveller={editing.id ? editing : undefined}
+          onClose={() => setEditing(null)}
+        />
+      )}
+      {showImport && (
+        <TravellerImportModal type={type} portCallId={portCallId} onClose={() => setShowImport(false)} />
+      )}
+    </Card>
   );
 }
 
@@ -359,5 +1268,103 @@ function PortCallAgentsTab({ portCallId }) {
   );
 }
 
+// Port Call Security Tab Component (approvals, requirements and impediments per authority)
+function PortCallSecurityTab({ portCallId }) {
+  const { t } = useI18n();
+  const { user } = useAuth();
+  const canEdit = user?.role !== 'VIEWER';
+  const [editing, setEditing] = useState(null);
+  const [authority, setAuthority] = useState('');
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['portCall', portCallId, 'approvals'],
+    queryFn: () => api.get(approvalsPath(portCallId)),
+    enabled: !!portCallId,
+  });
+
+  if (isLoading) {
+    return <div className={styles.loading}>{t('common.loading')}</div>;
+  }
+
+  const items = (data?.items || []).filter((item) => !authority || item.authority === authority);
+
+  return (
+    <Card>
+      <div className={styles.tabHeader}>
+        <h2>{t('approvals.portCallTitle')}</h2>
+        {canEdit && (
+          <div className={styles.tabActions}>
+            <button className={styles.addButton} onClick={() => setEditing({})}>
+              {t('approvals.addNew')}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {data?.summary?.overdue > 0 && (
+        <p className={styles.notice}>{t('approvals.overdueNotice', { count: data.summary.overdue })}</p>
+      )}
+
+      <ApprovalSummary summary={data?.summary} selectedAuthority={authority} onSelectAuthority={setAuthority} />
+      <ApprovalsTable approvals={items} onEdit={canEdit ? (approval) => setEditing(approval) : undefined} />
+
+      {editing && (
+        <ApprovalForm
+          portCallId={portCallId}
+          approval={editing.id ? editing : undefined}
+          onClose={() => setEditing(null)}
+        />
+      )}
+    </Card>
+  );
+}
+
+// Port Call Fees Tab Component (fees and dues with payments)
+function PortCallFeesTab({ portCallId }) {
+  const { t } = useI18n();
+  const { user } = useAuth();
+  const canEdit = user?.role !== 'VIEWER';
+  const [showForm, setShowForm] = useState(false);
+  const [selectedFeeId, setSelectedFeeId] = useState(null);
+  const [showEstimate, setShowEstimate] = useState(false);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['portCall', portCallId, 'fees'],
+    queryFn: () => api.get(`/port-calls/${portCallId}/fees`),
+    enabled: !!portCallId,
+  });
+
+  if (isLoading) {
+    return <div className={styles.loading}>{t('common.loading')}</div>;
+  }
+
+  return (
+    <Card>
+      <div className={styles.tabHeader}>
+        <h2>{t('tabs.fees')}</h2>
+        <div className={styles.tabActions}>
+          <button className={styles.secondaryButton} onClick={() => setShowEstimate(true)}>
+            {t('fees.estimateFromTariffs')}
+          </button>
+          {canEdit && (
+            <button className={styles.addButton} onClick={() => setShowForm(true)}>
+              {t('fees.addNew')}
+            </button>
+          )}
+        </div>
+      </div>
+
+      <FeeSummary summary={data?.summary} />
+      <FeesTable fees={data?.fees} onSelect={(fee) => setSelectedFeeId(fee.id)} />
+
+      {showForm && <FeeForm portCallId={portCallId} onClose={() => setShowForm(false)} />}
+      {showEstimate && <TariffEstimateModal portCallId={portCallId} onClose={() => setShowEstimate(false)} />}
+      {selectedFeeId && (
+        <FeeDetailModal feeId={selectedFeeId} onClose={() => setSelectedFeeId(null)} />
+      )}
+    </Card>
+  );
+}
+
 export default PortCallDetail;
 
@@ -1,18 +1,37 @@
+import { useState } from 'react';
 import { useQuery } from '@tanstack/react-query';
 import { useNavigate } from 'react-router-dom';
 import { useI18n } from '../../utils/useI18n';
 import { api } from '../../utils/api';
+import { useAuth } from '../../modules/auth/AuthContext';
 import Card from '../../components/ui/Card';
 import Badge from '../../components/ui/Badge';
+import PortCallForm from '../../components/portCalls/PortCallForm';
 import styles from './PortCallsList.module.css';
 
+const PAGE_SIZE = 24;
+const STATUSES = ['PLANNED', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'];
+
 function PortCallsList() {
   const navigate = useNavigate();
   const { t } = useI18n();
+  const { user } = useAuth();
+  const canEdit = user?.role !== 'VIEWER';
+  const [showForm, setShowForm] = useState(false);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [page, setPage] = useState(0);
 
   const { data: portCalls, isLoading } = useQuery({
-    queryKey: ['portCalls'],
-    queryFn: () => api.get('/port-calls'),
+    queryKey: ['portCalls', { status: statusFilter, page }],
+    queryFn: () => {
+      const params = new URLSearchParams({
+        sort: 'eta:desc',
+        limit: String(PAGE_SIZE),
+        offset: String(page * PAGE_SIZE),
+      });
+      if (statusFilter) params.append('status', statusFilter);
+      return api.get(`/port-calls?${params.toString()}`);
+    },
   });
 
   const formatDate = (dateString) => {
@@ -30,7 +49,29 @@ function PortCallsList() {
     <div className={styles.container}>
       <div className={styles.header}>
         <h1>{t('portCalls.title')}</h1>
-        <button className={styles.newButton}>+ {t('portCalls.newPortCall')}</button>
+        {canEdit && (
+          <button className={styles.newButton} onClick={() => setShowForm(true)}>
+            + {t('portCalls.newPortCall')}
+          </button>
+        )}
+      </div>
+
+      <div className={styles.filters}>
+        <select
+          value={statusFilter}
+          onChange={(e) => {
+            setStatusFilter(e.target.value);
+            setPage(0);
+          }}
+          className={styles.filterSelect}
+        >
+          <option value="">{t('portCalls.allStatuses')}</option>
+          {STATUSES.map((status) => (
+            <option key={status} value={status}>
+              {t(`portCalls.status.${status}`)}
+            </option>
+          ))}
+        </select>
       </div>
 
       {isLoading ? (
@@ -74,6 +115,28 @@ function PortCallsList() {
       ) : (
         <div className={styles.empty}>{t('dashboard.noPortCalls')}</div>
       )}
+
+      {(page > 0 || portCalls?.length === PAGE_SIZE) && (
+        <div className={styles.pagination}>
+          <button
+            className={styles.pageButton}
+            onClick={() => setPage((p) => Math.max(0, p - 1))}
+            disabled={page === 0}
+          >
+            {t('common.previous')}
+          </button>
+          <span>{t('portCalls.page', { page: page + 1 })}</span>
+          <button
+            className={styles.pageButton}
+            onClick={() => setPage((p) => p + 1)}
+            disabled={(portCalls?.length || 0) < PAGE_SIZE}
+          >
+            {t('common.next')}
+          </button>
+        </div>
+      )}
+
+      {showForm && <PortCallForm onClose={() => setShowForm(false)} />}
     </div>
   );
 }
@@ -0,0 +1,714 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useI18n } from '../utils/useI18n';
+import { api } from '../utils/api';
+import { formatMoney } from '../utils/formatUtils';
+import { useAuth } from '../modules/auth/AuthContext';
+import Card from '../components/ui/Card';
+import Badge from '../components/ui/Badge';
+import styles from './PurchaseOrders.module.css';
+
+const STATUSES = ['DRAFT', 'SUBMITTED', 'APPROVED', 'REJECTED', 'RECEIVED', 'CLOSED'];
+const EDITABLE_STATUSES = ['DRAFT', 'REJECTED'];
+const EMPTY_LINE = { description: '', quantity: 1, unitPrice: 0 };
+const EMPTY_ORDER = {
+  supplierId: '',
+  portCallId: '',
+  description: '',
+  currency: 'BRL',
+  notes: '',
+  lines: [EMPTY_LINE],
+};
+const EMPTY_SUPPLIER = {
+  name: '',
+  category: '',
+  contactEmail: '',
+  contactPhone: '',
+  taxId: '',
+  address: '',
+  notes: '',
+};
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+const portCallLabel = (portCall) => {
+  const vessel = portCall.vessel?.name || portCall.vesselName || portCall.id;
+  const port = portCall.port?.name || portCall.portName;
+  const eta = portCall.eta ? new Date(portCall.eta).toLocaleDateString() : null;
+  return [vessel, port, eta].filter(Boolean).join(' - ');
+};
+
+function PurchaseOrders() {
+  const { t } = useI18n();
+  const { user } = useAuth();
+  const canEdit = user?.role !== 'VIEWER';
+  const [activeTab, setActiveTab] = useState('orders');
+
+  return (
+    <div className={styles.container}>
+      <div className={styles.header}>
+        <div>
+          <h1>{t('purchaseOrders.title')}</h1>
+          <p>{t('purchaseOrders.subtitle')}</p>
+        </div>
+      </div>
+
+      <div className={styles.tabs}>
+        {['orders', 'suppliers'].map((tab) => (
+          <button
+            key={tab}
+            className={`${styles.tab} ${activeTab === tab ? styles.active : ''}`}
+            onClick={() => setActiveTab(tab)}
+          >
+            {t(`purchaseOrders.tabs.${tab}`)}
+          </button>
+        ))}
+      </div>
+
+      {activeTab === 'orders' ? <OrdersTab canEdit={canEdit} /> : <SuppliersTab canEdit={canEdit} />}
+    </div>
+  );
+}
+
+// Purchase orders list, detail and form
+function OrdersTab({ canEdit }) {
+  const { t } = useI18n();
+  const queryClient = useQueryClient();
+  const [statusFilter, setStatusFilter] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+  // null = closed, 'new' = create, otherwise the id of the order being edited
+  const [formMode, setFormMode] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_ORDER);
+
+  const { data: orders, isLoading } = useQuery({
+    queryKey: ['purchaseOrders', statusFilter],
+    queryFn: () => api.get(`/purchase-orders${statusFilter ? `?status=${statusFilter}` : ''}`),
+  });
+
+  const { data: selected } = useQuery({
+    queryKey: ['purchaseOrders', 'detail', selectedId],
+    queryFn: () => api.get(`/purchase-orders/${selectedId}`),
+    enabled: !!selectedId,
+  });
+
+  const { data: suppliers } = useQuery({
+    queryKey: ['suppliers', false],
+    queryFn: () => api.get('/suppliers'),
+    enabled: formMode !== null,
+  });
+
+  const { data: portCalls } = useQuery({
+    queryKey: ['portCalls', 'open'],
+    queryFn: () => api.get('/port-calls?status=PLANNED,IN_PROGRESS&limit=200'),
+    enabled: formMode !== null,
+  });
+
+  const onSaved = (order) => {
+    queryClient.invalidateQueries({ queryKey: ['purchaseOrders'] });
+    setFormMode(null);
+    setFormData(EMPTY_ORDER);
+    setSelectedId(order.id);
+  };
+
+  const onError = (error) => alert(error.message);
+
+  const createMutation = useMutation({
+    mutationFn: (data) => api.post('/purchase-orders', data),
+    onSuccess: onSaved,
+    onError,
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: ({ id, data }) => api.put(`/purchase-orders/${id}`, data),
+    onSuccess: onSaved,
+    onError,
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (id) => api.delete(`/purchase-orders/${id}`),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['purchaseOrders'] });
+      setSelectedId(null);
+    },
+    onError,
+  });
+
+  const transitionMutation = useMutation({
+    mutationFn: ({ id, action, body }) => api.post(`/purchase-orders/${id}/${action}`, body),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['purchaseOrders'] });
+    },
+    onError,
+  });
+
+  const handleAdd = () => {
+    setFormData(EMPTY_ORDER);
+    setFormMode('new');
+    setSelectedId(null);
+  };
+
+  const handleEdit = (order) => {
+    setFormData({
+      supplierId: order.supplierId || '',
+      portCallId: order.portCallId || '',
+      description: order.description || '',
+      currency: order.currency || 'BRL',
+      notes: order.notes || '',
+      lines: order.lines.map(({ description, quantity, unitPrice }) => ({ description, quantity, unitPrice })),
+    });
+    setFormMode(order.id);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const data = {
+      ...formData,
+      lines: formData.lines.map((line) => ({
+        description: line.description,
+        quantity: Number(line.quantity),
+        unitPrice: Number(line.unitPrice),
+      })),
+    };
+    if (formMode === 'new') {
+      createMutation.mutate(data);
+    } else {
+      updateMutation.mutate({ id: formMode, data });
+    }
+  };
+
+  const handleTransition = (order, toStatus) => {
+    const actions = { SUBMITTED: 'submit', APPROVED: 'approve', REJECTED: 'reject', RECEIVED: 'receive', CLOSED: 'close' };
+    const body = {};
+    if (toStatus === 'REJECTED') {
+      const reason = window.prompt(t('purchaseOrders.rejectPrompt'));
+      if (!reason) return;
+      body.reason = reason;
+    }
+    transitionMutation.mutate({ id: order.id, action: actions[toStatus], body });
+  };
+
+  const updateLine = (index, field, value) => {
+    const lines = formData.lines.map((line, i) => (i === index ? { ...line, [field]: value } : line));
+    setFormData({ ...formData, lines });
+  };
+
+  const formTotal = formData.lines.reduce(
+    (sum, line) => sum + Math.round(Number(line.quantity || 0) * Math.round(Number(line.unitPrice || 0) * 100)),
+    0
+  ) / 100;
+
+  if (formMode !== null) {
+    return (
+      <Card className={styles.formCard}>
+        <h2>{formMode === 'new' ? t('purchaseOrders.addNew') : t('purchaseOrders.edit')}</h2>
+        <form onSubmit={handleSubmit} className={styles.form}>
+          <div className={styles.formGrid}>
+            <div className={styles.field}>
+              <label>{t('purchaseOrders.supplier')} *</label>
+              <select
+                value={formData.supplierId}
+                onChange={(e) => setFormData({ ...formData, supplierId: e.target.value })}
+                required
+              >
+                <option value="">{t('purchaseOrders.selectSupplier')}</option>
+                {suppliers?.map((supplier) => (
+                  <option key={supplier.id} value={supplier.id}>{supplier.name}</option>
+                ))}
+              </select>
+            </div>
+            <div className={styles.field}>
+              <label>{t('purchaseOrders.portCall')} *</label>
+              <select
+                value={formData.portCallId}
+                onChange={(e) => setFormData({ ...formData, portCallId: e.target.value })}
+                required
+              >
+                <option value="">{t('purchaseOrders.selectPortCall')}</option>
+                {portCalls?.map((portCall) => (
+                  <option key={portCall.id} value={portCall.id}>{portCallLabel(portCall)}</option>
+                ))}
+                {/* Keep the current port call selectable even if it is no longer open */}
+                {formData.portCallId && !portCalls?.some((pc) => pc.id === formData.portCallId) && (
+                  <option value={formData.portCallId}>{formData.portCallId}</option>
+                )}
+              </select>
+            </div>
+            <div className={styles.field}>
+              <label>{t('purchaseOrders.description')}</label>
+              <input
+                type="text"
+                value={formData.description}
+                onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+              />
+            </div>
+            <div className={styles.field}>
+              <label>{t('purchaseOrders.currency')}</label>
+              <input
+                type="text"
+                value={formData.currency}
+                maxLength={3}
+                onChange={(e) => setFormData({ ...formData, currency: e.target.value.toUpperCase() })}
+              />
+            </div>
+          </div>
+
+          <div>
+            <h3 className={styles.subheading}>{t('purchaseOrders.lines')}</h3>
+            <table className={styles.table}>
+              <thead>
+                <tr>
+                  <th>{t('purchaseOrders.lineDescription')}</th>
+                  <th className={styles.numeric}>{t('purchaseOrders.quantity')}</th>
+                  <th className={styles.numeric}>{t('purchaseOrders.unitPrice')}</th>
+                  <th className={styles.numeric}>{t('purchaseOrders.lineTotal')}</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {formData.lines.map((line, index) => (
+                  <tr key={index}>
+                    <td>
+                      <input
+                        className={styles.lineInput}
+                        type="text"
+                        value={line.description}
+                        onChange={(e) => updateLine(index, 'description', e.target.value)}
+                        required
+                      />
+                    </td>
+                    <td className={styles.numeric}>
+                      <input
+                        className={styles.lineInputNumber}
+                        type="number"
+                        min="0.001"
+                        step="any"
+                        value={line.quantity}
+                        onChange={(e) => updateLine(index, 'quantity', e.target.value)}
+                        required
+                      />
+                    </td>
+                    <td className={styles.numeric}>
+                      <input
+                        className={styles.lineInputNumber}
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={line.unitPrice}
+                        onChange={(e) => updateLine(index, 'unitPrice', e.target.value)}
+                        required
+                      />
+                    </td>
+                    <td className={styles.numeric}>
+                      {formatMoney(Number(line.quantity || 0) * Number(line.unitPrice || 0), formData.currency)}
+                    </td>
+                    <td>
+                      <button
+                        type="button"
+                        className={styles.deleteButton}
+                        onClick={() => setFormData({ ...formData, lines: formData.lines.filter((_, i) => i !== index) })}
+                        disabled={formData.lines.length === 1}
+                      >
+                        {t('purchaseOrders.removeLine')}
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr>
+                  <td colSpan={3} className={styles.numeric}><strong>{t('purchaseOrders.total')}</strong></td>
+                  <td className={styles.numeric}><strong>{formatMoney(formTotal, formData.currency)}</strong></td>
+                  <td />
+                </tr>
+              </tfoot>
+            </table>
+            <button
+              type="button"
+              className={styles.linkButton}
+              onClick={() => setFormData({ ...formData, lines: [...formData.lines, EMPTY_LINE] })}
+            >
+              {t('purchaseOrders.addLine')}
+            </button>
+          </div>
+
+          <div className={styles.field}>
+            <label>{t('purchaseOrders.notes')}</label>
+            <textarea
+              rows={3}
+              value={formData.notes}
+              onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+            />
+          </div>
+
+          <div className={styles.formActions}>
+            <button
+              type="submit"
+              className={styles.saveButton}
+              disabled={createMutation.isPending || updateMutation.isPending}
+            >
+              {t('purchaseOrders.save')}
+            </button>
+            <button type="button" className={styles.cancelButton} onClick={() => setFormMode(null)}>
+              {t('purchaseOrders.cancel')}
+            </button>
+          </div>
+        </form>
+      </Card>
+    );
+  }
+
+  return (
+    <>
+      <div className={styles.toolbar}>
+        <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+          <option value="">{t('purchaseOrders.allStatuses')}</option>
+          {STATUSES.map((status) => (
+            <option key={status} value={status}>{t(`purchaseOrders.statuses.${status}`)}</option>
+          ))}
+        </select>
+        {canEdit && (
+          <button className={styles.addButton} onClick={handleAdd}>
+            + {t('purchaseOrders.addNew')}
+          </button>
+        )}
+      </div>
+
+      {selected && (
+        <Card className={styles.formCard}>
+          <div className={styles.detailHeader}>
+            <div>
+              <h2>{selected.description || selected.supplierName}</h2>
+              <p className={styles.muted}>
+                {selected.supplierName} · {selected.portCall ? portCallLabel(selected.portCall) : '-'}
+              </p>
+            </div>
+            <Badge status={selected.status}>{t(`purchaseOrders.statuses.${selected.status}`)}</Badge>
+          </div>
+
+          {selected.status === 'REJECTED' && selected.rejectionReason && (
+            <p className={styles.rejection}>
+              {t('purchaseOrders.rejectionReason')}: {selected.rejectionReason}
+            </p>
+          )}
+          {selected.status === 'SUBMITTED' && !selected.allowedTransitions.includes('APPROVED') && (
+            <p className={styles.muted}>{t('purchaseOrders.awaitingApproval')}</p>
+          )}
+
+          <table className={styles.table}>
+            <thead>
+              <tr>
+                <th>{t('purchaseOrders.lineDescription')}</th>
+                <th className={styles.numeric}>{t('purchaseOrders.quantity')}</th>
+                <th className={styles.numeric}>{t('purchaseOrders.unitPrice')}</th>
+                <th className={styles.numeric}>{t('purchaseOrders.lineTotal')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {selected.lines.map((line) => (
+                <tr key={line.id}>
+                  <td>{line.description}</td>
+                  <td className={styles.numeric}>{line.quantity}</td>
+                  <td className={styles.numeric}>{formatMoney(line.unitPrice, selected.currency)}</td>
+                  <td className={styles.numeric}>{formatMoney(line.totalAmount, selected.currency)}</td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot>
+              <tr>
+                <td colSpan={3} className={styles.numeric}><strong>{t('purchaseOrders.total')}</strong></td>
+                <td className={styles.numeric}><strong>{formatMoney(selected.totalAmount, selected.currency)}</strong></td>
+              </tr>
+            </tfoot>
+          </table>
+          {selected.notes && <p className={styles.muted}>{selected.notes}</p>}
+
+          <div className={styles.detailActions}>
+            {canEdit && selected.allowedTransitions.map((toStatus) => (
+              <button
+                key={toStatus}
+                className={toStatus === 'REJECTED' ? styles.deleteButton : styles.editButton}
+                onClick={() => handleTransition(selected, toStatus)}
+                disabled={transitionMutation.isPending}
+              >
+                {t(`purchaseOrders.actions.${toStatus}`)}
+              </button>
+            ))}
+            {canEdit && EDITABLE_STATUSES.includes(selected.status) && (
+              <button className={styles.cancelButton} onClick={() => handleEdit(selected)}>
+                {t('common.edit')}
+              </button>
+            )}
+            {canEdit && selected.status === 'DRAFT' && (
+              <button
+                className={styles.cancelButton}
+                onClick={() => window.confirm(t('purchaseOrders.deleteConfirm')) && deleteMutation.mutate(selected.id)}
+                disabled={deleteMutation.isPending}
+              >
+                {t('common.delete')}
+              </button>
+            )}
+            <button className={styles.cancelButton} onClick={() => setSelectedId(null)}>
+              {t('purchaseOrders.close')}
+            </button>
+          </div>
+
+          <h3 className={styles.subheading}>{t('purchaseOrders.history')}</h3>
+          <ul className={styles.history}>
+            {selected.history.map((entry) => (
+              <li key={entry.id}>
+                <span className={styles.muted}>{formatDateTime(entry.createdAt)}</span>{' '}
+                {entry.fromStatus ? `${t(`purchaseOrders.statuses.${entry.fromStatus}`)} → ` : ''}
+                <strong>{t(`purchaseOrders.statuses.${entry.toStatus}`)}</strong>
+                {entry.changedByName && ` · ${entry.changedByName}`}
+                {entry.comment && <span className={styles.muted}> — {entry.comment}</span>}
+              </li>
+            ))}
+          </ul>
+        </Card>
+      )}
+
+      <Card>
+        {isLoading ? (
+          <div className={styles.loading}>{t('common.loading')}</div>
+        ) : orders?.length > 0 ? (
+          <div className={styles.tableContainer}>
+            <table className={styles.table}>
+              <thead>
+                <tr>
+                  <th>{t('purchaseOrders.description')}</th>
+                  <th>{t('purchaseOrders.supplier')}</th>
+                  <th>{t('purchaseOrders.portCall')}</th>
+                  <th className={styles.numeric}>{t('purchaseOrders.total')}</th>
+                  <th>{t('purchaseOrders.status')}</th>
+                  <th>{t('purchaseOrders.created')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {orders.map((order) => (
+                  <tr
+                    key={order.id}
+                    className={`${styles.clickableRow} ${order.id === selectedId ? styles.selectedRow : ''}`}
+                    onClick={() => setSelectedId(order.id)}
+                  >
+                    <td>{order.description || '-'}</td>
+                    <td>{order.supplierName || '-'}</td>
+                    <td>{order.portCall ? portCallLabel(order.portCall) : '-'}</td>
+                    <td className={styles.numeric}>{formatMoney(order.totalAmount, order.currency)}</td>
+                    <td>
+                      <Badge status={order.status}>{t(`purchaseOrders.statuses.${order.status}`)}</Badge>
+                    </td>
+                    <td>{formatDateTime(order.createdAt)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div className={styles.empty}>{t('purchaseOrders.noOrders')}</div>
+        )}
+      </Card>
+    </>
+  );
+}
+
+// Supplier management
+function SuppliersTab({ canEdit }) {
+  const { t } = useI18n();
+  const queryClient = useQueryClient();
+  const [showInactive, setShowInactive] = useState(false);
+  // null = closed, 'new' = create, otherwise the id of the supplier being edited
+  const [formMode, setFormMode] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_SUPPLIER);
+
+  const { data: suppliers, isLoading } = useQuery({
+    queryKey: ['suppliers', showInactive],
+    queryFn: () => api.get(`/suppliers${showInactive ? '?includeInactive=true' : ''}`),
+  });
+
+  const onSaved = () => {
+    queryClient.invalidateQueries({ queryKey: ['suppliers'] });
+    setFormMode(null);
+    setFormData(EMPTY_SUPPLIER);
+  };
+
+  const onError = (error) => alert(error.message);
+
+  const createMutation = useMutation({
+    mutationFn: (data) => api.post('/suppliers', data),
+    onSuccess: onSaved,
+    onError,
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: ({ id, data }) => api.put(`/suppliers/${id}`, data),
+    onSuccess: onSaved,
+    onError,
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (id) => api.delete(`/suppliers/${id}`),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['suppliers'] });
+    },
+    onError,
+  });
+
+  const handleEdit = (supplier) => {
+    setFormData(Object.fromEntries(Object.keys(EMPTY_SUPPLIER).map((key) => [key, supplier[key] || ''])));
+    setFormMode(supplier.id);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!formData.name.trim()) {
+      alert(t('suppliers.nameRequired'));
+      return;
+    }
+    if (formMode === 'new') {
+      createMutation.mutate(formData);
+    } else {
+      updateMutation.mutate({ id: formMode, data: formData });
+    }
+  };
+
+  const fields = [
+    { key: 'name', required: true },
+    { key: 'category', placeholder: t('suppliers.categoryPlaceholder') },
+    { key: 'contactEmail', type: 'email' },
+    { key: 'contactPhone' },
+    { key: 'taxId' },
+    { key: 'address' },
+  ];
+
+  return (
+    <>
+      <div className={styles.toolbar}>
+        <label className={styles.checkboxLabel}>
+          <input type="checkbox" checked={showInactive} onChange={(e) => setShowInactive(e.target.checked)} />
+          <span>{t('suppliers.showInactive')}</span>
+        </label>
+        {canEdit && formMode === null && (
+          <button
+            className={styles.addButton}
+            onClick={() => {
+              setFormData(EMPTY_SUPPLIER);
+              setFormMode('new');
+            }}
+          >
+            + {t('suppliers.addNew')}
+          </button>
+        )}
+      </div>
+
+      {formMode !== null && (
+        <Card className={styles.formCard}>
+          <h2>{formMode === 'new' ? t('suppliers.addNew') : t('suppliers.edit')}</h2>
+          <form onSubmit={handleSubmit} className={styles.form}>
+            <div className={styles.formGrid}>
+              {fields.map(({ key, type = 'text', required, placeholder }) => (
+                <div key={key} className={styles.field}>
+                  <label>{t(`suppliers.${key}`)}{required ? ' *' : ''}</label>
+                  <input
+                    type={type}
+                    value={formData[key]}
+                    placeholder={placeholder}
+                    onChange={(e) => setFormData({ ...formData, [key]: e.target.value })}
+                    required={required}
+                  />
+                </div>
+              ))}
+            </div>
+            <div className={styles.field}>
+              <label>{t('suppliers.notes')}</label>
+              <textarea
+                rows={2}
+                value={formData.notes}
+                onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+              />
+            </div>
+            <div className={styles.formActions}>
+              <button
+                type="submit"
+                className={styles.saveButton}
+                disabled={createMutation.isPending || updateMutation.isPending}
+              >
+                {t('purchaseOrders.save')}
+              </button>
+              <button type="button" className={styles.cancelButton} onClick={() => setFormMode(null)}>
+                {t('purchaseOrders.cancel')}
+              </button>
+            </div>
+          </form>
+        </Card>
+      )}
+
+      <Card>
+        {isLoading ? (
+          <div className={styles.loading}>{t('common.loading')}</div>
+        ) : suppliers?.length > 0 ? (
+          <div className={styles.tableContainer}>
+            <table className={styles.table}>
+              <thead>
+                <tr>
+                  <th>{t('suppliers.name')}</th>
+                  <th>{t('suppliers.category')}</th>
+                  <th>{t('suppliers.contactEmail')}</th>
+                  <th>{t('suppliers.contactPhone')}</th>
+                  <th>{t('suppliers.taxId')}</th>
+                  <th>{t('suppliers.status')}</th>
+                  {canEdit && <th />}
+                </tr>
+              </thead>
+              <tbody>
+                {suppliers.map((supplier) => (
+                  <tr key={supplier.id}>
+                    <td>{supplier.name}</td>
+                    <td>{supplier.category || '-'}</td>
+                    <td>{supplier.contactEmail || '-'}</td>
+                    <td>{supplier.contactPhone || '-'}</td>
+                    <td>{supplier.taxId || '-'}</td>
+                    <td>
+                      <span className={`${styles.statusBadge} ${supplier.isActive ? styles.active : styles.inactive}`}>
+                        {supplier.isActive ? t('suppliers.active') : t('suppliers.inactive')}
+                      </span>
+                    </td>
+                    {canEdit && (
+                      <td>
+                        <div className={styles.rowActions}>
+                          <button className={styles.editButton} onClick={() => handleEdit(supplier)}>
+                            {t('common.edit')}
+                          </button>
+                          {supplier.isActive ? (
+                            <button
+                              className={styles.deleteButton}
+                              onClick={() => window.confirm(t('suppliers.deleteConfirm')) && deleteMutation.mutate(supplier.id)}
+                              disabled={deleteMutation.isPending}
+                            >
+                              {t('common.delete')}
+                            </button>
+                          ) : (
+                            <button
+                              className={styles.editButton}
+                              onClick={() => updateMutation.mutate({ id: supplier.id, data: { isActive: true } })}
+                              disabled={updateMutation.isPending}
+                            >
+                              {t('suppliers.reactivate')}
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div className={styles.empty}>{t('suppliers.noSuppliers')}</div>
+        )}
+      </Card>
+    </>
+  );
+}
+
+export default PurchaseOrders;
@@ -1,21 +1,118 @@
+import { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
 import { useI18n } from '../utils/useI18n';
+import { api } from '../utils/api';
+import { useAuth } from '../modules/auth/AuthContext';
 import Card from '../components/ui/Card';
+import ApprovalsTable from '../components/approvals/ApprovalsTable';
+import ApprovalSummary from '../components/approvals/ApprovalSummary';
+import ApprovalForm from '../components/approvals/ApprovalForm';
+import { APPROVAL_TYPES, APPROVAL_STATUSES } from '../components/approvals/approvalHelpers';
 import styles from './Security.module.css';
 
+const DEFAULT_FILTERS = { status: 'OPEN', type: '', authority: '', overdue: false, openPortCalls: true };
+
+/**
+ * Build the tracker query string from the filters that are set
+ */
+function toQueryString(filters) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(filters)) {
+    if (value) params.set(key, String(value));
+  }
+  return params.toString() ? `?${params}` : '';
+}
+
 function Security() {
   const { t } = useI18n();
+  const { user } = useAuth();
+  const canEdit = user?.role !== 'VIEWER';
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [editing, setEditing] = useState(null);
+
+  const queryString = toQueryString(filters);
+  // Per-authority chips stay visible while one authority is selected
+  const summaryQueryString = toQueryString({ ...filters, status: '', authority: '' });
+
+  const { data: approvals, isLoading } = useQuery({
+    queryKey: ['approvals', 'tracker', queryString],
+    queryFn: () => api.get(`/approvals${queryString}`),
+  });
+
+  const { data: summary } = useQuery({
+    queryKey: ['approvals', 'summary', summaryQueryString],
+    queryFn: () => api.get(`/approvals/summary${summaryQueryString}`),
+  });
+
+  const setFilter = (key, value) => setFilters((prev) => ({ ...prev, [key]: value }));
+  const isDefault = Object.entries(DEFAULT_FILTERS).every(([key, value]) => filters[key] === value);
+
   return (
     <div className={styles.container}>
       <div className={styles.header}>
         <h1>{t('security.title')}</h1>
         <p>{t('security.subtitle')}</p>
       </div>
+
+      <ApprovalSummary
+        summary={summary}
+        selectedAuthority={filters.authority}
+        onSelectAuthority={(authority) => setFilter('authority', authority)}
+      />
+
       <Card>
-        <p className={styles.comingSoon}>{t('security.comingSoon')}</p>
+        <div className={styles.filters}>
+          <select value={filters.status} onChange={(e) => setFilter('status', e.target.value)}>
+            <option value="">{t('approvals.allStatuses')}</option>
+            {APPROVAL_STATUSES.map((status) => (
+              <option key={status} value={status}>{t(`approvals.statuses.${status}`)}</option>
+            ))}
+          </select>
+          <select value={filters.type} onChange={(e) => setFilter('type', e.target.value)}>
+            <option value="">{t('approvals.allTypes')}</option>
+            {APPROVAL_TYPES.map((type) => (
+              <option key={type} value={type}>{t(`approvals.types.${type}`)}</option>
+            ))}
+          </select>
+          <label className={styles.checkbox}>
+            <input
+              type="checkbox"
+              checked={filters.overdue}
+              onChange={(e) => setFilter('overdue', e.target.checked)}
+            />
+            {t('approvals.overdueOnly')}
+          </label>
+          <label className={styles.checkbox}>
+            <input
+              type="checkbox"
+              checked={filters.openPortCalls}
+              onChange={(e) => setFilter('openPortCalls', e.target.checked)}
+            />
+            {t('approvals.openPortCallsOnly')}
+          </label>
+          {!isDefault && (
+            <button className={styles.clearButton} onClick={() => setFilters(DEFAULT_FILTERS)}>
+              {t('approvals.resetFilters')}
+            </button>
+          )}
+        </div>
+
+        {isLoading ? (
+          <div className={styles.loading}>{t('common.loading')}</div>
+        ) : (
+          <ApprovalsTable
+            approvals={approvals}
+            showPortCall
+            onEdit={canEdit ? (approval) => setEditing(approval) : undefined}
+          />
+        )}
       </Card>
+
+      {editing && (
+        <ApprovalForm portCallId={editing.portCallId} approval={editing} onClose={() => setEditing(null)} />
+      )}
     </div>
   );
 }
 
 export default Security;
-
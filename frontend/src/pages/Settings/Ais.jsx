@@ -1,14 +1,99 @@
-import { useQuery } from '@tanstack/react-query';
+import { useState, useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { api } from '../../utils/api';
 import Card from '../../components/ui/Card';
 import styles from './Settings.module.css';
 
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : 'Never');
+
 function SettingsAis() {
+  const queryClient = useQueryClient();
+  const [polling, setPolling] = useState({ pollFrequencyMinutes: '', dailyCallBudget: '' });
+  const [keys, setKeys] = useState({ provider: '', apiKey: '', secretKey: '' });
+  const [testResult, setTestResult] = useState(null);
+
   const { data: config, isLoading } = useQuery({
     queryKey: ['settings', 'ais'],
     queryFn: () => api.get('/settings/ais'),
   });
 
+  useEffect(() => {
+    if (config?.polling) {
+      setPolling({
+        pollFrequencyMinutes: String(config.polling.pollFrequencyMinutes),
+        dailyCallBudget: String(config.polling.dailyCallBudget),
+      });
+    }
+  }, [config?.polling?.pollFrequencyMinutes, config?.polling?.dailyCallBudget]);
+
+  useEffect(() => {
+    setKeys({ provider: config?.tenantConfig?.provider || '', apiKey: '', secretKey: '' });
+  }, [config?.tenantConfig?.provider, config?.tenantConfig?.keyRotatedAt]);
+
+  const updateMutation = useMutation({
+    mutationFn: (data) => api.put('/settings/ais', data),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['settings', 'ais']);
+      alert('AIS polling settings saved!');
+    },
+    onError: (error) => {
+      alert('Failed to save AIS polling settings: ' + error.message);
+    },
+  });
+
+  const keysMutation = useMutation({
+    mutationFn: (data) => api.put('/settings/ais', data),
+    onSuccess: (result) => {
+      queryClient.invalidateQueries(['settings', 'ais']);
+      setTestResult(null);
+      alert(result.message);
+    },
+    onError: (error) => {
+      alert('Failed to save AIS provider settings: ' + error.message);
+    },
+  });
+
+  const testMutation = useMutation({
+    mutationFn: (data) => api.post('/settings/ais/test', data),
+    onSuccess: (result) => setTestResult(result),
+    onError: (error) => setTestResult({ ok: false, message: error.message }),
+  });
+
+  const selectedProvider = config?.availableProviders?.find((p) => p.id === keys.provider);
+  const savedProvider = config?.tenantConfig?.provider || '';
+
+  const handleKeysSubmit = (e) => {
+    e.preventDefault();
+    keysMutation.mutate({
+      provider: keys.provider || null,
+      apiKey: keys.apiKey,
+      secretKey: keys.secretKey,
+    });
+  };
+
+  const handleClearKeys = () => {
+    if (!confirm('Remove this tenant\'s API keys and switch back to the server default provider?')) return;
+    keysMutation.mutate({ provider: null, clearKeys: true });
+  };
+
+  const handleTest = () => {
+    testMutation.mutate({
+      provider: keys.provider || null,
+      apiKey: keys.apiKey,
+      secretKey: keys.secretKey,
+    });
+  };
+
+  const handlePollingSubmit = (e) => {
+    e.preventDefault();
+    updateMutation.mutate({
+      pollFrequencyMinutes: parseInt(polling.pollFrequencyMinutes, 10),
+      dailyCallBudget: parseInt(polling.dailyCallBudget, 10),
+    });
+  };
+
+  const usage = config?.usage;
+
   if (isLoading) {
     return <div className={styles.loading}>Loading...</div>;
   }
@@ -17,22 +102,35 @@ function SettingsAis() {
     <div className={styles.container}>
       <div className={styles.header}>
         <h1>AIS Configuration</h1>
-        <p>MyShipTracking is now the default provider. Keys are managed on the backend via environment variables.</p>
+        <p>Use the server's default AIS provider, or bring your own Datalastic or MyShipTracking API keys.</p>
       </div>
       <Card>
         <div className={styles.field}>
           <label>Provider</label>
-          <div className={styles.readonlyValue}>MyShipTracking</div>
+          <div className={styles.readonlyValue}>
+            {config?.providers ? 'Composite (failover)' : config?.provider}
+            {savedProvider ? ' (tenant API key)' : ' (server default)'}
+          </div>
         </div>
+        {config?.providers && (
+          <div className={styles.field}>
+            <label>Provider Priority</label>
+            <div className={styles.readonlyValue}>
+              {config.providers
+                .map((p, index) => `${index + 1}. ${p.name}${p.configured ? '' : ' (not configured)'}`)
+                .join('  ›  ')}
+            </div>
+          </div>
+        )}
         <div className={styles.field}>
           <label>API Key</label>
           <div className={styles.readonlyValue}>
-            {config?.apiKeyPresent ? 'Configured (server env MYSHIPTRACKING_API_KEY and MYSHIPTRACKING_SECRET_KEY)' : 'Missing - set MYSHIPTRACKING_API_KEY and MYSHIPTRACKING_SECRET_KEY in backend environment'}
+            {config?.apiKeyPresent ? 'Configured' : 'Missing - set the provider keys below or in the backend environment'}
           </div>
         </div>
         <div className={styles.field}>
           <label>API URL</label>
-          <div className={styles.readonlyValue}>{config?.apiUrl || 'https://api.myshiptracking.com'}</div>
+          <div className={styles.readonlyValue}>{config?.apiUrl || '—'}</div>
         </div>
         <div className={styles.field}>
           <label>Supported Identifiers</label>
@@ -40,12 +138,164 @@ function SettingsAis() {
             {config?.supportedIdentifiers?.join(', ') || 'MMSI, IMO'}
           </div>
         </div>
-        <p style={{ marginTop: '12px', color: 'var(--gray-600)' }}>
-          Note: Tenant-level overrides are disabled. Update server environment variables to change the MyShipTracking configuration.
-          <span style={{ display: 'block', marginTop: '8px' }}>
-            MyShipTracking supports both MMSI and IMO for vessel tracking. Historical track data is available.
-          </span>
+      </Card>
+
+      <Card className={styles.section}>
+        <h2>Provider &amp; API Keys</h2>
+        <p className={styles.sectionHint}>
+          Keys are stored encrypted and never shown again after saving. Leave a key field blank to keep the stored key; switching provider requires new keys.
+        </p>
+        <form className={styles.form} onSubmit={handleKeysSubmit}>
+          <div className={styles.field}>
+            <label>Provider</label>
+            <select
+              value={keys.provider}
+              onChange={(e) => {
+                setKeys({ ...keys, provider: e.target.value });
+                setTestResult(null);
+              }}
+            >
+              <option value="">Server default</option>
+              {config?.availableProviders?.map((p) => (
+                <option key={p.id} value={p.id}>{p.name}</option>
+              ))}
+            </select>
+          </div>
+          {selectedProvider && (
+            <>
+              <div className={styles.field}>
+                <label>API Key</label>
+                <input
+                  type="password"
+                  autoComplete="off"
+                  value={keys.apiKey}
+                  placeholder={keys.provider === savedProvider && config?.tenantConfig?.apiKeyMasked
+                    ? `Stored: ${config.tenantConfig.apiKeyMasked}`
+                    : 'Enter API key'}
+                  onChange={(e) => setKeys({ ...keys, apiKey: e.target.value })}
+                />
+              </div>
+              {selectedProvider.requiresSecretKey && (
+                <div className={styles.field}>
+                  <label>Secret Key</label>
+                  <input
+                    type="password"
+                    autoComplete="off"
+                    value={keys.secretKey}
+                    placeholder={keys.provider === savedProvider && config?.tenantConfig?.secretKeyMasked
+                      ? `Stored: ${config.tenantConfig.secretKeyMasked}`
+                      : 'Enter secret key'}
+                    onChange={(e) => setKeys({ ...keys, secretKey: e.target.value })}
+                  />
+                </div>
+              )}
+            </>
+          )}
+          <div className={styles.field}>
+            <label>Keys Last Rotated</label>
+            <div className={styles.readonlyValue}>{formatDateTime(config?.tenantConfig?.keyRotatedAt)}</div>
+          </div>
+          {testResult && (
+            <p style={{ color: testResult.ok ? 'var(--success)' : 'var(--danger)' }}>
+              {testResult.ok ? '✓ ' : '✗ '}{testResult.message}
+            </p>
+          )}
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <button type="submit" className={styles.saveButton} disabled={keysMutation.isPending}>
+              {keysMutation.isPending ? 'Saving...' : 'Save Provider'}
+            </button>
+            <button type="button" className={styles.saveButton} onClick={handleTest} disabled={testMutation.isPending}>
+              {testMutation.isPending ? 'Testing...' : 'Test Connection'}
+            </button>
+            {config?.tenantConfig?.apiKeyMasked && (
+              <button type="button" className={styles.saveButton} onClick={handleClearKeys} disabled={keysMutation.isPending}>
+                Remove Keys
+              </button>
+            )}
+          </div>
+        </form>
+      </Card>
+
+      <Card className={styles.section}>
+        <h2>Scheduled Polling</h2>
+        <p className={styles.sectionHint}>
+          The server polls your vessels' latest positions automatically (vessels with open port calls first).
+          Every AIS call, scheduled or manual, counts against the daily budget, which resets at 00:00 UTC.
         </p>
+        <form className={styles.form} onSubmit={handlePollingSubmit}>
+          <div className={styles.field}>
+            <label>Poll Frequency (minutes)</label>
+            <input
+              type="number"
+              min="0"
+              max="1440"
+              value={polling.pollFrequencyMinutes}
+              onChange={(e) => setPolling({ ...polling, pollFrequencyMinutes: e.target.value })}
+              required
+            />
+            <small className={styles.sectionHint}>0 disables scheduled polling for this tenant.</small>
+          </div>
+          <div className={styles.field}>
+            <label>Daily AIS Call Budget</label>
+            <input
+              type="number"
+              min="0"
+              max="100000"
+              value={polling.dailyCallBudget}
+              onChange={(e) => setPolling({ ...polling, dailyCallBudget: e.target.value })}
+              required
+            />
+          </div>
+          <button type="submit" className={styles.saveButton} disabled={updateMutation.isPending}>
+            {updateMutation.isPending ? 'Saving...' : 'Save Polling Settings'}
+          </button>
+        </form>
+
+        <div className={styles.field}>
+          <label>Poller Status</label>
+          <div className={styles.readonlyValue}>
+            {config?.polling?.running ? 'Running' : 'Not running'}
+            {' • '}Last poll: {formatDateTime(config?.polling?.lastPollAt)}
+            {config?.polling?.nextPollAt && <> • Next poll: {formatDateTime(config.polling.nextPollAt)}</>}
+            {config?.polling?.lastError && (
+              <span style={{ display: 'block', marginTop: '4px', color: 'var(--danger)' }}>
+                Last error: {config.polling.lastError.message}
+              </span>
+            )}
+          </div>
+        </div>
+        <div className={styles.field}>
+          <label>Usage Today</label>
+          <div className={styles.readonlyValue}>
+            {usage
+              ? `${usage.callsToday} / ${config.polling.dailyCallBudget} calls (${usage.pollerCallsToday} by the poller, ${usage.remainingToday} remaining)`
+              : 'Usage data unavailable'}
+          </div>
+        </div>
+        {usage?.history?.length > 0 && (
+          <div className={styles.table}>
+            <table>
+              <thead>
+                <tr>
+                  <th>Date (UTC)</th>
+                  <th>Calls</th>
+                  <th>Poller</th>
+                  <th>Last Call</th>
+                </tr>
+              </thead>
+              <tbody>
+                {usage.history.map((day) => (
+                  <tr key={day.date}>
+                    <td>{day.date}</td>
+                    <td>{day.callCount}</td>
+                    <td>{day.pollerCallCount}</td>
+                    <td>{formatDateTime(day.lastCallAt)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
       </Card>
     </div>
   );
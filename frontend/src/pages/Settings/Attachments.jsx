@@ -0,0 +1,113 @@
+import { useEffect, useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { api } from '../../utils/api';
+import { useAuth } from '../../modules/auth/AuthContext';
+import { useI18n } from '../../utils/useI18n';
+import { FILE_TYPE_LABELS } from '../../components/attachments/attachmentHelpers';
+import Card from '../../components/ui/Card';
+import styles from './Settings.module.css';
+
+function SettingsAttachments() {
+  const { t } = useI18n();
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+  const isAdmin = user?.role === 'ADMIN';
+  const [formData, setFormData] = useState(null);
+  const [message, setMessage] = useState('');
+
+  const { data: settings, isLoading } = useQuery({
+    queryKey: ['settings', 'attachments'],
+    queryFn: () => api.get('/settings/attachments'),
+  });
+
+  useEffect(() => {
+    if (settings) {
+      setFormData({ allowedTypes: settings.allowedTypes, maxFileSizeMb: settings.maxFileSizeMb });
+    }
+  }, [settings]);
+
+  const updateMutation = useMutation({
+    mutationFn: (data) => api.put('/settings/attachments', data),
+    onSuccess: (data) => {
+      queryClient.setQueryData(['settings', 'attachments'], data);
+      setMessage(t('settings.attachments.saved'));
+    },
+    onError: (err) => setMessage(err.message),
+  });
+
+  const toggleType = (type) => {
+    setFormData((prev) => ({
+      ...prev,
+      allowedTypes: prev.allowedTypes.includes(type)
+        ? prev.allowedTypes.filter((allowed) => allowed !== type)
+        : [...prev.allowedTypes, type],
+    }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setMessage('');
+    updateMutation.mutate({ ...formData, maxFileSizeMb: Number(formData.maxFileSizeMb) });
+  };
+
+  if (isLoading || !formData) {
+    return <div className={styles.loading}>{t('common.loading')}</div>;
+  }
+
+  return (
+    <div className={styles.container}>
+      <div className={styles.header}>
+        <h1>{t('settings.attachments.title')}</h1>
+        <p>{t('settings.attachments.subtitle')}</p>
+      </div>
+      <Card>
+        <form className={styles.form} onSubmit={handleSubmit}>
+          <div className={styles.field}>
+            <label>{t('settings.attachments.allowedTypes')}</label>
+            <div className={styles.checkboxList}>
+              {settings.supportedTypes.map((type) => (
+                <label key={type} className={styles.checkbox}>
+                  <input
+                    type="checkbox"
+                    checked={formData.allowedTypes.includes(type)}
+                    onChange={() => toggleType(type)}
+                    disabled={!isAdmin}
+                  />
+                  {FILE_TYPE_LABELS[type] || type}
+                </label>
+              ))}
+            </div>
+            <p className={styles.sectionHint}>{t('settings.attachments.allowedTypesHint')}</p>
+          </div>
+          <div className={styles.field}>
+            <label>{t('settings.attachments.maxFileSize')}</label>
+            <input
+              type="number"
+              min={1}
+              max={settings.serverMaxFileSizeMb}
+              value={formData.maxFileSizeMb}
+              onChange={(e) => setFormData({ ...formData, maxFileSizeMb: e.target.value })}
+              disabled={!isAdmin}
+              required
+            />
+            <p className={styles.sectionHint}>
+              {t('settings.attachments.maxFileSizeHint', { size: settings.serverMaxFileSizeMb })}
+            </p>
+          </div>
+          {message && <p className={styles.sectionHint}>{message}</p>}
+          {isAdmin && (
+            <button
+              type="submit"
+              className={styles.saveButton}
+              disabled={updateMutation.isPending || formData.allowedTypes.length === 0}
+            >
+              {updateMutation.isPending ? t('common.loading') : t('settings.attachments.save')}
+            </button>
+          )}
+        </form>
+      </Card>
+    </div>
+  );
+}
+
+export default SettingsAttachments;
@@ -0,0 +1,475 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { api } from '../../utils/api';
+import { useAuth } from '../../modules/auth/AuthContext';
+import { useI18n } from '../../utils/useI18n';
+import { FEE_TYPES } from '../../components/fees/feeHelpers';
+import Card from '../../components/ui/Card';
+import styles from './Settings.module.css';
+
+const RULE_TYPES = [
+  { value: 'FLAT', label: 'Flat amount' },
+  { value: 'PER_UNIT', label: 'Rate per unit' },
+  { value: 'BAND', label: 'Bands' },
+];
+const BASES = [
+  { value: 'GT', label: 'Gross tonnage' },
+  { value: 'NT', label: 'Net tonnage' },
+  { value: 'LOA', label: 'Length (m)' },
+  { value: 'DRAFT', label: 'Draft (m)' },
+];
+const TIME_UNITS = [
+  { value: '', label: 'Once per call' },
+  { value: 'HOUR', label: 'Per hour of stay' },
+  { value: 'DAY', label: 'Per day of stay' },
+];
+
+const EMPTY_RULE = {
+  description: '',
+  ruleType: 'PER_UNIT',
+  basis: 'GT',
+  rate: '',
+  bands: [],
+  timeUnit: '',
+  freeHours: 0,
+  minimumAmount: '',
+};
+const EMPTY_BAND = { min: '', max: '', amount: '' };
+
+const toForm = (tariff) => ({
+  opsSiteId: tariff?.opsSiteId || '',
+  name: tariff?.name || '',
+  feeType: tariff?.feeType || 'PORT_DUES',
+  currency: tariff?.currency || 'BRL',
+  minimumAmount: tariff?.minimumAmount ?? '',
+  validFrom: tariff?.validFrom || '',
+  validTo: tariff?.validTo || '',
+  isActive: tariff?.isActive ?? true,
+  notes: tariff?.notes || '',
+  rules: tariff?.rules?.map((rule) => ({
+    ...EMPTY_RULE,
+    ...rule,
+    basis: rule.basis || 'GT',
+    rate: rule.rate ?? '',
+    bands: (rule.bands || []).map((band) => ({ ...band, max: band.max ?? '' })),
+    timeUnit: rule.timeUnit || '',
+    minimumAmount: rule.minimumAmount ?? '',
+  })) || [{ ...EMPTY_RULE }],
+});
+
+const optionalNumber = (value) => (value === '' || value === null ? null : Number(value));
+
+const toPayload = (form) => ({
+  ...form,
+  currency: form.currency.trim().toUpperCase(),
+  minimumAmount: optionalNumber(form.minimumAmount),
+  validFrom: form.validFrom || null,
+  validTo: form.validTo || null,
+  rules: form.rules.map((rule) => ({
+    description: rule.description,
+    ruleType: rule.ruleType,
+    basis: rule.ruleType === 'FLAT' ? null : rule.basis,
+    rate: rule.ruleType === 'BAND' ? null : optionalNumber(rule.rate),
+    bands: rule.ruleType === 'BAND'
+      ? rule.bands.map((band) => ({
+        min: Number(band.min || 0),
+        max: optionalNumber(band.max),
+        amount: Number(band.amount),
+      }))
+      : null,
+    timeUnit: rule.timeUnit || null,
+    freeHours: Number(rule.freeHours || 0),
+    minimumAmount: optionalNumber(rule.minimumAmount),
+  })),
+});
+
+const formatValidity = (tariff) => {
+  if (!tariff.validFrom && !tariff.validTo) return 'Always';
+  return `${tariff.validFrom || '...'} to ${tariff.validTo || '...'}`;
+};
+
+function SettingsTariffs() {
+  const queryClient = useQueryClient();
+  const { user } = useAuth();
+  const { t } = useI18n();
+  const isAdmin = user?.role === 'ADMIN';
+  const [showInactive, setShowInactive] = useState(false);
+  // null when closed, { id?, form } while creating or editing
+  const [editing, setEditing] = useState(null);
+
+  const { data: tariffs, isLoading } = useQuery({
+    queryKey: ['tariffs', { showInactive }],
+    queryFn: () => api.get(`/tariffs${showInactive ? '?includeInactive=true' : ''}`),
+  });
+
+  const { data: opsSites } = useQuery({
+    queryKey: ['opsSites'],
+    queryFn: () => api.get('/ops-sites'),
+  });
+
+  const saveMutation = useMutation({
+    mutationFn: ({ id, data }) => (id ? api.put(`/tariffs/${id}`, data) : api.post('/tariffs', data)),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['tariffs'] });
+      setEditing(null);
+    },
+    onError: (error) => {
+      alert('Failed to save tariff: ' + error.message);
+    },
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: ({ id, ...data }) => api.put(`/tariffs/${id}`, data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['tariffs'] });
+    },
+    onError: (error) => {
+      alert('Failed to update tariff: ' + error.message);
+    },
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (id) => api.delete(`/tariffs/${id}`),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['tariffs'] });
+    },
+    onError: (error) => {
+      alert('Failed to delete tariff: ' + error.message);
+    },
+  });
+
+  const form = editing?.form;
+  const setForm = (changes) => setEditing((prev) => ({ ...prev, form: { ...prev.form, ...changes } }));
+  const setRule = (index, changes) => setForm({
+    rules: form.rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)),
+  });
+  const setBand = (ruleIndex, bandIndex, changes) => setRule(ruleIndex, {
+    bands: form.rules[ruleIndex].bands.map((band, i) => (i === bandIndex ? { ...band, ...changes } : band)),
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    saveMutation.mutate({ id: editing.id, data: toPayload(form) });
+  };
+
+  const handleDelete = (tariff) => {
+    if (!confirm(`Delete ${tariff.name}? Fees already estimated from it are kept.`)) return;
+    deleteMutation.mutate(tariff.id);
+  };
+
+  if (isLoading) {
+    return <div className={styles.loading}>Loading...</div>;
+  }
+
+  return (
+    <div className={styles.container}>
+      <div className={styles.header}>
+        <h1>Tariffs</h1>
+        <p>Tariff tables per ops site, used to estimate port call fees from vessel particulars and stay</p>
+      </div>
+      <Card>
+        <label className={styles.checkbox}>
+          <input type="checkbox" checked={showInactive} onChange={(e) => setShowInactive(e.target.checked)} />
+          Show inactive tariffs
+        </label>
+        <div className={styles.table}>
+          <table>
+            <thead>
+              <tr>
+                <th>Ops Site</th>
+                <th>Name</th>
+                <th>Fee Type</th>
+                <th>Validity</th>
+                <th>Rules</th>
+                <th>Status</th>
+                {isAdmin && <th>Actions</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {tariffs?.length === 0 && (
+                <tr>
+                  <td colSpan={isAdmin ? 7 : 6} className={styles.sectionHint}>No tariffs configured yet.</td>
+                </tr>
+              )}
+              {tariffs?.map((tariff) => (
+                <tr key={tariff.id} style={tariff.isActive ? undefined : { opacity: 0.6 }}>
+                  <td>{tariff.opsSiteName || tariff.opsSiteId}</td>
+                  <td>{tariff.name}</td>
+                  <td>{t(`fees.types.${tariff.feeType}`)} ({tariff.currency})</td>
+                  <td>{formatValidity(tariff)}</td>
+                  <td>{tariff.rules.length}</td>
+                  <td>
+                    <span className={styles.role}>{tariff.isActive ? 'Active' : 'Inactive'}</span>
+                  </td>
+                  {isAdmin && (
+                    <td>
+                      <div style={{ display: 'flex', gap: '6px' }}>
+                        <button
+                          className={styles.actionButton}
+                          onClick={() => setEditing({ id: tariff.id, form: toForm(tariff) })}
+                        >
+                          Edit
+                        </button>
+                        <button
+                          className={styles.actionButton}
+                          onClick={() => updateMutation.mutate({ id: tariff.id, isActive: !tariff.isActive })}
+                          disabled={updateMutation.isPending}
+                        >
+                          {tariff.isActive ? 'Deactivate' : 'Activate'}
+                        </button>
+                        <button
+                          className={styles.actionButton}
+                          onClick={() => handleDelete(tariff)}
+                          disabled={deleteMutation.isPending}
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        {isAdmin && !editing && (
+          <button className={styles.newButton} onClick={() => setEditing({ form: toForm(null) })}>
+            + Add Tariff
+          </button>
+        )}
+      </Card>
+
+      {editing && (
+        <Card className={styles.section}>
+          <h2>{editing.id ? 'Edit Tariff' : 'New Tariff'}</h2>
+          <form className={styles.form} onSubmit={handleSubmit}>
+            <div className={styles.inlineFields}>
+              <div className={styles.field}>
+                <label>Ops Site</label>
+                <select value={form.opsSiteId} onChange={(e) => setForm({ opsSiteId: e.target.value })} required>
+                  <option value="">Select...</option>
+                  {opsSites?.map((site) => (
+                    <option key={site.id} value={site.id}>{site.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div className={styles.field}>
+                <label>Name</label>
+                <input value={form.name} onChange={(e) => setForm({ name: e.target.value })} required />
+              </div>
+              <div className={styles.field}>
+                <label>Fee Type</label>
+                <select value={form.feeType} onChange={(e) => setForm({ feeType: e.target.value })}>
+                  {FEE_TYPES.map((type) => (
+                    <option key={type} value={type}>{t(`fees.types.${type}`)}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            <div className={styles.inlineFields}>
+              <div className={styles.field}>
+                <label>Currency</label>
+                <input
+                  value={form.currency}
+                  onChange={(e) => setForm({ currency: e.target.value })}
+                  maxLength={3}
+                  required
+                />
+              </div>
+              <div className={styles.field}>
+                <label>Minimum Charge</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={form.minimumAmount}
+                  onChange={(e) => setForm({ minimumAmount: e.target.value })}
+                />
+              </div>
+              <div className={styles.field}>
+                <label>Valid From</label>
+                <input type="date" value={form.validFrom} onChange={(e) => setForm({ validFrom: e.target.value })} />
+              </div>
+              <div className={styles.field}>
+                <label>Valid To</label>
+                <input type="date" value={form.validTo} onChange={(e) => setForm({ validTo: e.target.value })} />
+              </div>
+            </div>
+            <div className={styles.field}>
+              <label>Notes</label>
+              <input value={form.notes} onChange={(e) => setForm({ notes: e.target.value })} />
+            </div>
+
+            <div className={styles.field}>
+              <label>Rules</label>
+              <small className={styles.sectionHint}>
+                Each rule becomes one line of the fee breakdown. Time-based rules are charged per started
+                hour or day alongside, after the free hours.
+              </small>
+              {form.rules.map((rule, index) => (
+                <div key={index} className={styles.ruleCard}>
+                  <div className={styles.inlineFields}>
+                    <div className={styles.field}>
+                      <label>Description</label>
+                      <input
+                        value={rule.description}
+                        onChange={(e) => setRule(index, { description: e.target.value })}
+                        required
+                      />
+                    </div>
+                    <div className={styles.field}>
+                      <label>Type</label>
+                      <select value={rule.ruleType} onChange={(e) => setRule(index, { ruleType: e.target.value })}>
+                        {RULE_TYPES.map((type) => (
+                          <option key={type.value} value={type.value}>{type.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    {rule.ruleType !== 'FLAT' && (
+                      <div className={styles.field}>
+                        <label>Based On</label>
+                        <select value={rule.basis} onChange={(e) => setRule(index, { basis: e.target.value })}>
+                          {BASES.map((basis) => (
+                            <option key={basis.value} value={basis.value}>{basis.label}</option>
+                          ))}
+                        </select>
+                      </div>
+                    )}
+                    {rule.ruleType !== 'BAND' && (
+                      <div className={styles.field}>
+                        <label>{rule.ruleType === 'FLAT' ? 'Amount' : 'Rate'}</label>
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.0001"
+                          value={rule.rate}
+                          onChange={(e) => setRule(index, { rate: e.target.value })}
+                          required
+                        />
+                      </div>
+                    )}
+                  </div>
+                  <div className={styles.inlineFields}>
+                    <div className={styles.field}>
+                      <label>Charged</label>
+                      <select value={rule.timeUnit} onChange={(e) => setRule(index, { timeUnit: e.target.value })}>
+                        {TIME_UNITS.map((unit) => (
+                          <option key={unit.value} value={unit.value}>{unit.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    {rule.timeUnit && (
+                      <div className={styles.field}>
+                        <label>Free Hours</label>
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.5"
+                          value={rule.freeHours}
+                          onChange={(e) => setRule(index, { freeHours: e.target.value })}
+                        />
+                      </div>
+                    )}
+                    <div className={styles.field}>
+                      <label>Minimum</label>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={rule.minimumAmount}
+                        onChange={(e) => setRule(index, { minimumAmount: e.target.value })}
+                      />
+                    </div>
+                  </div>
+
+                  {rule.ruleType === 'BAND' && (
+                    <div className={styles.field}>
+                      <label>Bands (from inclusive, to exclusive; leave "to" empty for no upper limit)</label>
+                      {rule.bands.map((band, bandIndex) => (
+                        <div key={bandIndex} className={styles.inlineFields}>
+                          <input
+                            type="number"
+                            min="0"
+                            step="any"
+                            placeholder="From"
+                            value={band.min}
+                            onChange={(e) => setBand(index, bandIndex, { min: e.target.value })}
+                            required
+                          />
+                          <input
+                            type="number"
+                            min="0"
+                            step="any"
+                            placeholder="To"
+                            value={band.max}
+                            onChange={(e) => setBand(index, bandIndex, { max: e.target.value })}
+                          />
+                          <input
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            placeholder="Amount"
+                            value={band.amount}
+                            onChange={(e) => setBand(index, bandIndex, { amount: e.target.value })}
+                            required
+                          />
+                          <button
+                            type="button"
+                            className={styles.actionButton}
+                            onClick={() => setRule(index, { bands: rule.bands.filter((_, i) => i !== bandIndex) })}
+                          >
+                            Remove
+                          </button>
+                        </div>
+                      ))}
+                      <button
+                        type="button"
+                        className={styles.actionButton}
+                        onClick={() => setRule(index, { bands: [...rule.bands, { ...EMPTY_BAND }] })}
+                      >
+                        + Add Band
+                      </button>
+                    </div>
+                  )}
+
+                  {form.rules.length > 1 && (
+                    <button
+                      type="button"
+                      className={styles.actionButton}
+                      onClick={() => setForm({ rules: form.rules.filter((_, i) => i !== index) })}
+                    >
+                      Remove Rule
+                    </button>
+                  )}
+                </div>
+              ))}
+              <button
+                type="button"
+                className={styles.actionButton}
+                onClick={() => setForm({ rules: [...form.rules, { ...EMPTY_RULE }] })}
+              >
+                + Add Rule
+              </button>
+            </div>
+
+            <label className={styles.checkbox}>
+              <input type="checkbox" checked={form.isActive} onChange={(e) => setForm({ isActive: e.target.checked })} />
+              Active
+            </label>
+
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <button type="submit" className={styles.saveButton} disabled={saveMutation.isPending}>
+                {saveMutation.isPending ? 'Saving...' : 'Save Tariff'}
+              </button>
+              <button type="button" className={styles.actionButton} onClick={() => setEditing(null)}>
+                Cancel
+              </button>
+            </div>
+          </form>
+        </Card>
+      )}
+    </div>
+  );
+}
+
+export default SettingsTariffs;
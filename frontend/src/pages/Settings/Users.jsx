@@ -1,14 +1,77 @@
-import { useQuery } from '@tanstack/react-query';
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { api } from '../../utils/api';
+import { useAuth } from '../../modules/auth/AuthContext';
 import Card from '../../components/ui/Card';
 import styles from './Settings.module.css';
 
+const ROLES = ['ADMIN', 'OPERATOR', 'VIEWER'];
+const EMPTY_INVITE = { email: '', name: '', role: 'OPERATOR' };
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : 'Never');
+
 function SettingsUsers() {
+  const queryClient = useQueryClient();
+  const { user: currentUser } = useAuth();
+  const [showInvite, setShowInvite] = useState(false);
+  const [invite, setInvite] = useState(EMPTY_INVITE);
+  // Temporary password returned by the server - shown once, never stored
+  const [issuedPassword, setIssuedPassword] = useState(null);
+
   const { data: users, isLoading } = useQuery({
     queryKey: ['settings', 'users'],
     queryFn: () => api.get('/settings/users'),
   });
 
+  const inviteMutation = useMutation({
+    mutationFn: (data) => api.post('/settings/users', data),
+    onSuccess: (result) => {
+      queryClient.invalidateQueries(['settings', 'users']);
+      setInvite(EMPTY_INVITE);
+      setShowInvite(false);
+      setIssuedPassword({ email: result.user.email, password: result.temporaryPassword });
+    },
+    onError: (error) => {
+      alert('Failed to add user: ' + error.message);
+    },
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: ({ id, ...data }) => api.put(`/settings/users/${id}`, data),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['settings', 'users']);
+    },
+    onError: (error) => {
+      alert('Failed to update user: ' + error.message);
+    },
+  });
+
+  const resetMutation = useMutation({
+    mutationFn: (user) => api.post(`/settings/users/${user.id}/reset-password`, {}),
+    onSuccess: (result, user) => {
+      setIssuedPassword({ email: user.email, password: result.temporaryPassword });
+    },
+    onError: (error) => {
+      alert('Failed to reset password: ' + error.message);
+    },
+  });
+
+  const handleInviteSubmit = (e) => {
+    e.preventDefault();
+    inviteMutation.mutate(invite);
+  };
+
+  const handleToggleActive = (user) => {
+    const action = user.isActive ? 'Deactivate' : 'Reactivate';
+    if (!confirm(`${action} ${user.name}?`)) return;
+    updateMutation.mutate({ id: user.id, isActive: !user.isActive });
+  };
+
+  const handleResetPassword = (user) => {
+    if (!confirm(`Reset the password for ${user.name}? They will be signed out everywhere.`)) return;
+    resetMutation.mutate(user);
+  };
+
   if (isLoading) {
     return <div className={styles.loading}>Loading...</div>;
   }
@@ -19,7 +82,21 @@ function SettingsUsers() {
         <h1>Users</h1>
         <p>Manage user access and roles</p>
       </div>
-      <Card>
+      {issuedPassword?.password && (
+        <Card className={styles.section}>
+          <h2>Temporary Password</h2>
+          <p className={styles.sectionHint}>
+            Share this password with {issuedPassword.email} over a secure channel. It will not be shown again.
+          </p>
+          <div className={styles.readonlyValue}>
+            <code>{issuedPassword.password}</code>
+          </div>
+          <button className={styles.actionButton} onClick={() => setIssuedPassword(null)}>
+            Done
+          </button>
+        </Card>
+      )}
+      <Card className={issuedPassword?.password ? styles.section : undefined}>
         <div className={styles.table}>
           <table>
             <thead>
@@ -27,30 +104,105 @@ function SettingsUsers() {
                 <th>Name</th>
                 <th>Email</th>
                 <th>Role</th>
+                <th>Status</th>
+                <th>Last Login</th>
                 <th>Actions</th>
               </tr>
             </thead>
             <tbody>
-              {users?.map((user) => (
-                <tr key={user.id}>
-                  <td>{user.name}</td>
-                  <td>{user.email}</td>
-                  <td>
-                    <span className={styles.role}>{user.role}</span>
-                  </td>
-                  <td>
-                    <button className={styles.actionButton}>Edit</button>
-                  </td>
-                </tr>
-              ))}
+              {users?.map((user) => {
+                const isSelf = user.id === currentUser?.id;
+                return (
+                  <tr key={user.id} style={user.isActive === false ? { opacity: 0.6 } : undefined}>
+                    <td>{user.name}</td>
+                    <td>{user.email}</td>
+                    <td>
+                      <select
+                        value={user.role}
+                        disabled={isSelf || updateMutation.isPending}
+                        onChange={(e) => updateMutation.mutate({ id: user.id, role: e.target.value })}
+                      >
+                        {ROLES.map((role) => (
+                          <option key={role} value={role}>{role}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td>
+                      <span className={styles.role}>{user.isActive === false ? 'Inactive' : 'Active'}</span>
+                    </td>
+                    <td>{formatDateTime(user.lastLoginAt)}</td>
+                    <td>
+                      <div style={{ display: 'flex', gap: '6px' }}>
+                        <button
+                          className={styles.actionButton}
+                          onClick={() => handleResetPassword(user)}
+                          disabled={resetMutation.isPending}
+                        >
+                          Reset Password
+                        </button>
+                        {!isSelf && (
+                          <button
+                            className={styles.actionButton}
+                            onClick={() => handleToggleActive(user)}
+                            disabled={updateMutation.isPending}
+                          >
+                            {user.isActive === false ? 'Reactivate' : 'Deactivate'}
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
             </tbody>
           </table>
         </div>
-        <button className={styles.newButton}>+ Add User</button>
+        {showInvite ? (
+          <form className={styles.form} onSubmit={handleInviteSubmit}>
+            <div className={styles.field}>
+              <label>Email</label>
+              <input
+                type="email"
+                value={invite.email}
+                onChange={(e) => setInvite({ ...invite, email: e.target.value })}
+                required
+              />
+            </div>
+            <div className={styles.field}>
+              <label>Name</label>
+              <input
+                type="text"
+                value={invite.name}
+                onChange={(e) => setInvite({ ...invite, name: e.target.value })}
+                required
+              />
+            </div>
+            <div className={styles.field}>
+              <label>Role</label>
+              <select value={invite.role} onChange={(e) => setInvite({ ...invite, role: e.target.value })}>
+                {ROLES.map((role) => (
+                  <option key={role} value={role}>{role}</option>
+                ))}
+              </select>
+              <small className={styles.sectionHint}>
+                Only admins can manage users and tenant settings.
+              </small>
+            </div>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <button type="submit" className={styles.saveButton} disabled={inviteMutation.isPending}>
+                {inviteMutation.isPending ? 'Adding...' : 'Add User'}
+              </button>
+              <button type="button" className={styles.actionButton} onClick={() => setShowInvite(false)}>
+                Cancel
+              </button>
+            </div>
+          </form>
+        ) : (
+          <button className={styles.newButton} onClick={() => setShowInvite(true)}>+ Add User</button>
+        )}
       </Card>
     </div>
   );
 }
 
 export default SettingsUsers;
-
@@ -36,6 +36,10 @@ export function createApiClient() {
         if (data.accessToken && data.refreshToken) {
           localStorage.setItem('auth_token', data.accessToken);
           localStorage.setItem('auth_refresh', data.refreshToken);
+          // Role changes made by an admin arrive with the refreshed session
+          if (data.user) {
+            localStorage.setItem('auth_user', JSON.stringify(data.user));
+          }
           return data.accessToken;
         }
         throw new Error('Invalid refresh response');
@@ -59,8 +63,9 @@ export function createApiClient() {
     const token = localStorage.getItem('auth_token');
     
     const url = `${baseUrl}${endpoint}`;
+    // FormData bodies (file uploads) set their own multipart Content-Type with the boundary
     const headers = {
-      'Content-Type': 'application/json',
+      ...(options.body instanceof FormData ? {} : { 'Content-Type': 'application/json' }),
       ...options.headers,
     };
 
@@ -111,7 +116,16 @@ export function createApiClient() {
 
       if (!response.ok) {
         const error = await response.json().catch(() => ({ message: 'Request failed' }));
-        throw new Error(error.message || `HTTP ${response.status}`);
+        // Keep the status and body so callers can act on details (e.g. 409 berth conflicts)
+        throw Object.assign(new Error(error.message || `HTTP ${response.status}`), {
+          status: response.status,
+          data: error,
+        });
+      }
+
+      // 204 No Content (deletes) has no body to parse
+      if (response.status === 204) {
+        return null;
       }
 
       return await response.json();
@@ -121,6 +135,109 @@ export function createApiClient() {
     }
   }
 
+  /**
+   * Parse one Server-Sent Events block ("event: x\ndata: {...}") into { type, data }
+   */
+  function parseStreamEvent(block) {
+    let type = 'message';
+    const dataLines = [];
+    for (const line of block.split('\n')) {
+      if (line.startsWith(':')) continue; // comment / heartbeat
+      if (line.startsWith('event:')) type = line.slice(6).trim();
+      else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+    }
+    if (dataLines.length === 0) return null;
+    try {
+      return { type, data: JSON.parse(dataLines.join('\n')) };
+    } catch {
+      return { type, data: dataLines.join('\n') };
+    }
+  }
+
+  /**
+   * Open a Server-Sent Events stream and call onEvent for each event until it ends
+   * Uses fetch (not EventSource) so the Authorization header and token refresh work as for request()
+   * @param {string} endpoint - e.g. '/stream/positions'
+   * @param {Object} options
+   * @param {AbortSignal} [options.signal] - Abort to close the stream
+   * @param {(event: {type: string, data: any}) => void} options.onEvent
+   * @returns {Promise<void>} Resolves when the server closes the stream
+   */
+  async function stream(endpoint, { signal, onEvent }, retried = false) {
+    const token = localStorage.getItem('auth_token');
+    const response = await fetch(`${baseUrl}${endpoint}`, {
+      headers: {
+        Accept: 'text/event-stream',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      signal,
+    });
+
+    if (response.status === 401 && !retried) {
+      const newToken = await refreshToken();
+      if (newToken) {
+        return stream(endpoint, { signal, onEvent }, true);
+      }
+    }
+    if (!response.ok || !response.body) {
+      throw new Error(`Stream failed: HTTP ${response.status}`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) return;
+      buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const event = parseStreamEvent(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+        if (event) onEvent(event);
+      }
+    }
+  }
+
+  /**
+   * Download a file response (PDF, CSV) and hand it to the browser as a saved file
+   * Same auth and token refresh as request(); error bodies are JSON { message }
+   * @param {string} endpoint - e.g. '/port-calls/pc-1/crew/export?format=pdf'
+   * @param {string} [fallbackName] - File name when the response has no Content-Disposition
+   * @returns {Promise<string>} The saved file name
+   */
+  async function download(endpoint, fallbackName = 'download', retried = false) {
+    const token = localStorage.getItem('auth_token');
+    const response = await fetch(`${baseUrl}${endpoint}`, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+    });
+
+    if (response.status === 401 && !retried) {
+      const newToken = await refreshToken();
+      if (newToken) {
+        return download(endpoint, fallbackName, true);
+      }
+    }
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({ message: 'Download failed' }));
+      throw new Error(error.message || `HTTP ${response.status}`);
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const fileName = /filename="?([^";]+)"?/.exec(disposition)?.[1] || fallbackName;
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+    return fileName;
+  }
+
   return {
     get: (endpoint, options) => request(endpoint, { ...options, method: 'GET' }),
     post: (endpoint, data, options) =>
@@ -128,6 +245,12 @@ export function createApiClient() {
     put: (endpoint, data, options) =>
       request(endpoint, { ...options, method: 'PUT', body: JSON.stringify(data) }),
     delete: (endpoint, options) => request(endpoint, { ...options, method: 'DELETE' }),
+    stream: (endpoint, options) => stream(endpoint, options),
+    download: (endpoint, fallbackName) => download(endpoint, fallbackName),
+    // Multipart upload (FormData with a file field)
+    upload: (endpoint, formData, options) => request(endpoint, { ...options, method: 'POST', body: formData }),
+    // Absolute URL of an API path, for links that authorise themselves (signed attachment links)
+    url: (path) => `${baseUrl}${path}`,
   };
 }
 
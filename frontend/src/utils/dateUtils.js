@@ -0,0 +1,22 @@
+/**
+ * Date Utilities
+ * Conversions between API timestamps (ISO, UTC) and <input type="datetime-local"> values (local time)
+ */
+
+/**
+ * Convert an ISO timestamp to the local "YYYY-MM-DDTHH:mm" value expected by datetime-local inputs
+ */
+export function toDateTimeLocal(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  const offsetMs = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+}
+
+/**
+ * Convert a datetime-local input value back to an ISO timestamp (or null when empty)
+ */
+export function fromDateTimeLocal(value) {
+  return value ? new Date(value).toISOString() : null;
+}
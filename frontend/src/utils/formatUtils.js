@@ -0,0 +1,24 @@
+/**
+ * Format Utilities
+ * Display formatting for amounts and calendar dates
+ */
+
+/**
+ * Format an amount in its currency using the browser locale (falls back to "BRL 12.34")
+ */
+export function formatMoney(amount, currency) {
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency: currency || 'BRL' }).format(amount || 0);
+  } catch {
+    return `${currency} ${Number(amount || 0).toFixed(2)}`;
+  }
+}
+
+/**
+ * Format a calendar date ("YYYY-MM-DD") without shifting it into the browser time zone
+ */
+export function formatDate(value) {
+  if (!value) return '-';
+  const [year, month, day] = value.slice(0, 10).split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString();
+}
@@ -15,6 +15,8 @@ const translations = {
       tenantSettings: 'Tenant Settings',
       users: 'Users',
       aisConfig: 'AIS Config',
+      tariffs: 'Tariffs',
+      attachmentSettings: 'Attachments',
       logout: 'Logout',
       operations: 'Operations',
       vesselsPeople: 'Vessels & Crew',
@@ -22,6 +24,7 @@ const translations = {
       administration: 'Administration',
       agents: 'Agents',
       customers: 'Customers',
+      purchaseOrders: 'Purchase Orders',
     },
     // Common
     common: {
@@ -104,6 +107,46 @@ const translations = {
       selectAgent: 'Select Agent',
       addAgent: 'Add Agent',
       noAgents: 'No agents assigned to this port call',
+      editPortCall: 'Edit Port Call',
+      actualArrival: 'Actual Arrival',
+      actualDeparture: 'Actual Departure',
+      transitions: {
+        IN_PROGRESS: 'Record Arrival',
+        COMPLETED: 'Record Departure',
+        CANCELLED: 'Cancel Port Call',
+        summary: 'Status will change from {{from}} to {{to}}.',
+        reason: 'Cancellation Reason',
+        history: 'Status History',
+        noHistory: 'No status changes recorded yet',
+        when: 'When',
+        from: 'From',
+        to: 'To',
+        description: 'Description',
+      },
+      events: {
+        title: 'Arrivals & Departures',
+        event: 'Event',
+        location: 'Terminal / Berth',
+        remarks: 'Remarks',
+        noEvents: 'No arrival or departure detected yet',
+        types: {
+          ARRIVAL: 'Arrival',
+          ANCHORAGE: 'Anchorage',
+          ALONGSIDE: 'Alongside',
+          DEPARTURE: 'Departure',
+        },
+      },
+      allStatuses: 'All statuses',
+      page: 'Page {{page}}',
+      form: {
+        vessel: 'Vessel',
+        selectVessel: 'Select vessel',
+        opsSite: 'Ops Site',
+        selectOpsSite: 'Select ops site',
+        referenceType: 'Reference Type',
+        referenceNumber: 'Reference Number',
+        etdBeforeEta: 'ETD must be after ETA',
+      },
     },
     // Port Call Detail
     portCallDetail: {
@@ -148,10 +191,21 @@ const translations = {
         trackHistory: 'Track History (hours)',
         saveConfiguration: 'Save Configuration',
       },
+      attachments: {
+        title: 'Attachments',
+        subtitle: 'File types and size accepted for port call attachments',
+        allowedTypes: 'Allowed File Types',
+        allowedTypesHint: 'Files are identified from their content; executables, scripts, macros and HTML are always refused.',
+        maxFileSize: 'Maximum File Size (MB)',
+        maxFileSizeHint: 'Up to {{size}} MB (server limit)',
+        save: 'Save Settings',
+        saved: 'Attachment settings saved',
+      },
     },
     // Tabs
     tabs: {
       overview: 'Overview',
+      itinerary: 'Itinerary',
       cargo: 'Cargo',
       crew: 'Crew',
       passengers: 'Passengers',
@@ -160,6 +214,9 @@ const translations = {
       security: 'Security & Approvals',
       fees: 'Fees & Dues',
       attachments: 'Attachments',
+      sof: 'SOF',
+      laytime: 'Laytime',
+      disbursements: 'PDA/FDA',
     },
     // Vessels
     vessels: {
@@ -213,14 +270,75 @@ const translations = {
     // Security
     security: {
       title: 'Security & Pendencies',
-      subtitle: 'Traveler pendencies and security holds',
-      comingSoon: 'Security management coming soon...',
+      subtitle: 'Approvals, requirements and impediments raised by the authorities',
     },
     // Fees
     fees: {
       title: 'Fees & Dues',
       subtitle: 'Port charges and fees management',
-      comingSoon: 'Fees management coming soon...',
+      addNew: 'Add Fee',
+      edit: 'Edit Fee',
+      noFees: 'No fees found',
+      portCall: 'Port Call',
+      feeType: 'Fee',
+      description: 'Description',
+      referenceNumber: 'Reference',
+      referencePlaceholder: 'e.g., GRU or authority invoice number',
+      calculationBase: 'Calculation Base',
+      calculationBasePlaceholder: 'e.g., GT 32,500 x 0.42',
+      amountDue: 'Amount Due',
+      amountPaid: 'Paid',
+      outstanding: 'Outstanding',
+      currency: 'Currency',
+      dueDate: 'Due Date',
+      notes: 'Notes',
+      status: 'Status',
+      overdue: 'Overdue',
+      daysOverdue: '{{days}} days overdue',
+      feeCount: '{{count}} fees',
+      allStatuses: 'All statuses',
+      allTypes: 'All fee types',
+      dueFrom: 'Due from',
+      dueTo: 'to',
+      overdueOnly: 'Overdue only',
+      clearFilters: 'Clear filters',
+      payments: 'Payments',
+      noPayments: 'No payments recorded',
+      recordPayment: 'Record Payment',
+      amount: 'Amount',
+      paidAt: 'Paid At',
+      paymentReference: 'Payment Reference',
+      recordedBy: 'Recorded By',
+      deletePaymentConfirm: 'Remove this payment?',
+      deleteConfirm: 'Delete this fee?',
+      waive: 'Waive Fee',
+      waiveReason: 'Waiver reason',
+      save: 'Save',
+      breakdown: 'Breakdown',
+      total: 'Total',
+      estimateFromTariffs: 'Estimate from Tariffs',
+      tariffEstimate: 'Tariff Estimate',
+      vesselParticulars: 'Vessel particulars',
+      draft: 'Draft',
+      stayActual: 'Stay (actual)',
+      stayScheduled: 'Stay (scheduled)',
+      stayHours: '{{hours}} h',
+      noTariffs: 'No tariffs apply to this port call',
+      applyTariffs: 'Create / Update Fees',
+      tariffsApplied: '{{created}} fees created, {{updated}} updated',
+      types: {
+        BR_FUNAPOL: 'FUNAPOL',
+        PORT_DUES: 'Port Dues',
+        PILOTAGE: 'Pilotage',
+        TOWAGE: 'Towage',
+        MOORING: 'Mooring',
+        OTHER: 'Other',
+      },
+      statuses: {
+        DUE: 'Due',
+        PAID: 'Paid',
+        WAIVED: 'Waived',
+      },
     },
     // Fleet Map
     fleetMap: {
@@ -257,6 +375,540 @@ const translations = {
       previousOpsSite: 'Previous Ops. Site',
       nextOpsSite: 'Next Ops. Site',
       currentOpsSite: 'Ops. Site',
+      berthPlan: 'Berth Plan',
+      viewBerthPlan: 'View Berth Plan',
+    },
+    // Cargo manifests and bills of lading
+    cargo: {
+      addManifest: 'Add Manifest',
+      editManifest: 'Edit Manifest',
+      noManifests: 'No manifests on this port call',
+      manifestNumber: 'Manifest Number',
+      manifestType: 'Type',
+      types: {
+        IMPORT: 'Import',
+        EXPORT: 'Export',
+        CABOTAGE: 'Cabotage',
+      },
+      cargoType: 'Cargo Type',
+      cargoTypePlaceholder: 'e.g. Containers, Dry bulk, General cargo',
+      portOfLoading: 'Port of Loading',
+      portOfDischarge: 'Port of Discharge',
+      notes: 'Notes',
+      blTotals: '{{count}} BL(s), {{weight}} kg, {{volume}} m³',
+      deleteManifestConfirm: 'Delete this manifest?',
+      deleteManifestWithBlsConfirm: 'Delete this manifest and its {{count}} bill(s) of lading?',
+      addBl: 'Add BL',
+      editBl: 'Edit Bill of Lading',
+      noBls: 'No bills of lading on this manifest',
+      blNumber: 'BL Number',
+      shipper: 'Shipper',
+      consignee: 'Consignee',
+      notifyParty: 'Notify Party',
+      cargoDescription: 'Cargo Description',
+      packageCount: 'Packages',
+      weightKg: 'Weight (kg)',
+      volumeM3: 'Volume (m³)',
+      containerInfo: 'Containers',
+      containerInfoPlaceholder: 'Container numbers and seals',
+      deleteBlConfirm: 'Remove BL {{number}} from the manifest?',
+      save: 'Save',
+    },
+    // Crew and passenger lists
+    travellers: {
+      crewList: 'Crew List',
+      passengerList: 'Passenger List',
+      addCrew: 'Add Crew Member',
+      addPassenger: 'Add Passenger',
+      editCrew: 'Edit Crew Member',
+      editPassenger: 'Edit Passenger',
+      noCrew: 'No crew members on this port call',
+      noPassengers: 'No passengers on this port call',
+      name: 'Name',
+      familyName: 'Family Name',
+      givenNames: 'Given Names',
+      rank: 'Rank or Rating',
+      nationality: 'Nationality',
+      countryCodeHint: 'ISO country code, e.g. BRA or BR',
+      dateOfBirth: 'Date of Birth',
+      placeOfBirth: 'Place of Birth',
+      document: 'Identity Document',
+      documentType: 'Document Type',
+      documentNumber: 'Document Number',
+      documentIssuingState: 'Issuing State',
+      documentExpiry: 'Expiry Date',
+      documentExpired: 'Expires before departure',
+      expiredDocuments: '{{count}} travel document(s) expire before the vessel sails',
+      route: 'Embarkation → Disembarkation',
+      embarkPort: 'Port of Embarkation',
+      disembarkPort: 'Port of Disembarkation',
+      transit: 'Transit passenger',
+      cabin: 'Cabin',
+      status: 'Status',
+      notes: 'Notes',
+      save: 'Save',
+      deleteConfirm: 'Remove {{name}} from the list?',
+      documentTypes: {
+        PASSPORT: 'Passport',
+        SEAFARER_ID: "Seafarer's ID",
+        NATIONAL_ID: 'National ID',
+        OTHER: 'Other',
+      },
+      crewStatuses: {
+        ON_BOARD: 'On board',
+        SIGN_ON: 'Signing on',
+        SIGN_OFF: 'Signing off',
+      },
+      passengerStatuses: {
+        ON_BOARD: 'On board',
+        DISEMBARKED: 'Disembarked',
+        CANCELLED: 'Cancelled',
+      },
+      direction: 'Arrival or departure list',
+      arrival: 'Arrival',
+      departure: 'Departure',
+      exportFal5: 'FAL Form 5 (PDF)',
+      exportFal6: 'FAL Form 6 (PDF)',
+      exportCsv: 'Export CSV',
+      import: 'Import',
+      importCrew: 'Import Crew List',
+      importPassengers: 'Import Passenger List',
+      file: 'CSV or XLSX file',
+      importHint: 'First row with column headings: family name, given names (or name), nationality, date of birth, document type and number, issuing state, expiry date. FAL form exports can be imported back.',
+      importModes: {
+        append: 'Add to the current list',
+        replace: 'Replace the current list',
+      },
+      checkFile: 'Check File',
+      rowsValid: '{{count}} row(s) ready to import',
+      rowErrors: '{{count}} row(s) with errors',
+      row: 'Row',
+      problem: 'Problem',
+      replaceWarning: 'The current list will be deleted and replaced by these rows.',
+      importRows: 'Import {{count}} row(s)',
+    },
+    // Approvals, requirements and impediments
+    approvals: {
+      portCallTitle: 'Approvals & Impediments',
+      addNew: 'Add Item',
+      edit: 'Edit Item',
+      save: 'Save',
+      noItems: 'No approvals, requirements or impediments',
+      portCall: 'Port Call',
+      authority: 'Authority',
+      type: 'Type',
+      description: 'Description',
+      descriptionPlaceholder: 'e.g., Free pratique, crew list endorsement',
+      dueDate: 'Due Date',
+      status: 'Status',
+      notes: 'Notes',
+      traveller: 'Concerns',
+      wholePortCall: 'Whole port call',
+      travellerRemoved: 'removed from the list',
+      types: {
+        APPROVAL: 'Approval',
+        REQUIREMENT: 'Requirement',
+        IMPEDIMENT: 'Impediment',
+      },
+      statuses: {
+        OPEN: 'Open',
+        CLEARED: 'Cleared',
+      },
+      travellerTypes: {
+        CREW: 'Crew',
+        PASSENGER: 'Passenger',
+      },
+      open: 'Open',
+      overdue: 'Overdue',
+      dueSoonTitle: 'Due in 2 days',
+      cleared: 'Cleared',
+      openCount: '{{count}} open',
+      overdueCount: '{{count}} overdue',
+      daysOverdue: '{{days}} days overdue',
+      dueSoon: 'Due soon',
+      overdueNotice: '{{count}} item(s) past their due date',
+      allStatuses: 'All statuses',
+      allTypes: 'All types',
+      overdueOnly: 'Overdue only',
+      openPortCallsOnly: 'Open port calls only',
+      resetFilters: 'Reset filters',
+      clear: 'Clear',
+      clearTitle: 'Clear Item',
+      evidenceReference: 'Evidence Reference',
+      evidenceReferencePlaceholder: 'Protocol, certificate or document number',
+      clearedDate: 'Cleared On',
+      evidenceNotes: 'Evidence Notes',
+      reopen: 'Reopen',
+      reopenConfirm: 'Reopen this item? Its clearance evidence will be removed.',
+      deleteConfirm: 'Delete this item?',
+    },
+    // Attachments
+    attachments: {
+      upload: 'Upload File',
+      uploading: 'Uploading...',
+      file: 'File',
+      description: 'Description',
+      descriptionPlaceholder: 'e.g. Signed NOR, Hold inspection photos',
+      allowedHint: 'Accepted: {{types}} · up to {{size}} MB',
+      tooLarge: 'File is larger than {{size}} MB',
+      noAttachments: 'No attachments on this port call',
+      download: 'Download',
+      deleteConfirm: 'Delete {{name}}? The file cannot be recovered.',
+    },
+    // Itinerary
+    itinerary: {
+      stops: 'Itinerary Stops',
+      berthStays: 'Berth Stays',
+      addStop: 'Add Stop',
+      editStop: 'Edit Stop',
+      addBerthStay: 'Allocate Berth',
+      editBerthStay: 'Edit Berth Stay',
+      noStops: 'No itinerary stops planned',
+      noBerthStays: 'No berths allocated',
+      port: 'Port / Terminal',
+      selectPort: 'Select port or terminal',
+      sequence: 'Order',
+      sequencePlaceholder: 'Next in rotation',
+      terminal: 'Terminal',
+      plannedEta: 'Planned ETA',
+      plannedEtd: 'Planned ETD',
+      actualEta: 'Actual Arrival',
+      actualEtd: 'Actual Departure',
+      status: 'Status',
+      statusAutomatic: 'From actual times',
+      statuses: {
+        PLANNED: 'Planned',
+        ARRIVED: 'Arrived',
+        DEPARTED: 'Departed',
+        SKIPPED: 'Skipped',
+      },
+      berth: 'Berth',
+      selectBerth: 'Select berth',
+      pier: 'Pier',
+      stop: 'Itinerary Stop',
+      noStop: 'Not linked',
+      stopNumber: 'Stop {{sequence}}',
+      operationType: 'Operation',
+      operationTypes: {
+        LOADING: 'Loading',
+        DISCHARGING: 'Discharging',
+        LOADING_DISCHARGING: 'Loading & Discharging',
+        BUNKERING: 'Bunkering',
+        REPAIRS: 'Repairs',
+        LAY_BY: 'Lay-by',
+        OTHER: 'Other',
+      },
+      plannedStart: 'Planned Start',
+      plannedEnd: 'Planned End',
+      actualStart: 'Actual Start',
+      actualEnd: 'Actual End',
+      plannedWindow: 'Planned Window',
+      actualWindow: 'Actual Window',
+      draftArrival: 'Arrival Draft (m)',
+      draftDeparture: 'Departure Draft (m)',
+      drafts: 'Draft Arr. / Dep.',
+      notes: 'Notes',
+      save: 'Save',
+      saveAnyway: 'Save Anyway',
+      conflictsFound: 'The berth is already planned for other vessels in this window:',
+      conflictWith: 'Overlaps {{vessel}} ({{start}} → {{end}})',
+      deleteStopConfirm: 'Delete this itinerary stop? Berth stays linked to it are kept.',
+      deleteBerthStayConfirm: 'Delete this berth stay?',
+    },
+    // Berth planning (occupancy timeline per ops site)
+    berthPlan: {
+      title: 'Berth Plan - {{site}}',
+      subtitle: 'Drag a bar to reschedule it or move it to another berth, drag its right edge to change its end, or drag an unallocated port call onto a berth',
+      subtitleReadOnly: 'Berth occupancy of the berths under this site',
+      back: 'Back to Ops Sites',
+      today: 'Today',
+      days: '{{count}} days',
+      conflicts: '{{count}} overlapping berth stay(s)',
+      unallocated: 'No berth yet',
+      unallocatedHint: 'Port calls at this site',
+      noBerths: 'No berths under this site. Add BERTH ops sites with this site (or one of its terminals) as parent.',
+      conflictConfirm: 'The berth is already planned for {{vessels}} in this window. Save the overlap anyway?',
+    },
+    // Statement of facts (SOF)
+    sof: {
+      title: 'Statement of Facts',
+      start: 'Start Statement',
+      notStarted: 'No statement of facts yet. Start one to pre-fill it from the events logged for this port call.',
+      notStartedReadOnly: 'No statement of facts yet.',
+      prefill: 'Refresh from Events',
+      prefilled: '{{count}} entries added from logged events',
+      addEntry: 'Add Entry',
+      addStoppage: 'Add Weather Stoppage',
+      editEntry: 'Edit Entry',
+      editDetails: 'Master & Remarks',
+      sign: 'Sign',
+      signHint: 'Signing freezes the statement and records your name, the master and a hash of its contents. It has to be reopened to be changed.',
+      reopen: 'Reopen',
+      reopenConfirm: 'Reopen this statement? Its signature will be removed.',
+      signedBy: 'Signed by {{name}} on {{date}} - Master: {{master}}',
+      exportPdf: 'PDF',
+      exportDocx: 'DOCX',
+      exportCsv: 'CSV',
+      noEntries: 'No entries yet',
+      event: 'Event',
+      startTime: 'From',
+      endTime: 'To',
+      duration: 'Duration',
+      description: 'Description',
+      remarks: 'Remarks',
+      generalRemarks: 'General Remarks',
+      masterName: 'Master',
+      source: 'Source',
+      save: 'Save',
+      deleteEntryConfirm: 'Delete this entry?',
+      statuses: {
+        DRAFT: 'Draft',
+        SIGNED: 'Signed',
+      },
+      sources: {
+        MANUAL: 'Manual',
+        EVENT: 'Port call event',
+        PORT_CALL: 'Port call',
+        BERTH_STAY: 'Berth stay',
+        LOG: 'Operation log',
+      },
+      events: {
+        EOSP: 'End of Sea Passage',
+        ARRIVED: 'Arrived',
+        NOR_TENDERED: 'NOR Tendered',
+        ANCHORED: 'Anchored',
+        ANCHOR_AWEIGH: 'Anchor Aweigh',
+        PILOT_ON_BOARD: 'Pilot on Board',
+        FIRST_LINE: 'First Line Ashore',
+        ALL_FAST: 'All Fast',
+        FREE_PRATIQUE: 'Free Pratique Granted',
+        NOR_ACCEPTED: 'NOR Accepted',
+        HOSES_CONNECTED: 'Hoses Connected',
+        COMMENCED_CARGO: 'Commenced Cargo',
+        COMPLETED_CARGO: 'Completed Cargo',
+        HOSES_DISCONNECTED: 'Hoses Disconnected',
+        DOCUMENTS_ON_BOARD: 'Documents on Board',
+        LAST_LINE: 'Last Line Let Go',
+        SAILED: 'Sailed',
+        WEATHER_STOPPAGE: 'Weather Stoppage',
+        STOPPAGE: 'Stoppage',
+        OTHER: 'Other',
+      },
+    },
+    // Laytime and demurrage
+    laytime: {
+      title: 'Laytime & Demurrage',
+      setTerms: 'Set Terms',
+      editTerms: 'Edit Terms',
+      save: 'Save Terms',
+      deleteConfirm: 'Remove the laytime terms of this port call?',
+      noTerms: 'No laytime terms yet. Set the charter-party terms to calculate demurrage or despatch from the statement of facts.',
+      noTermsReadOnly: 'No laytime terms have been set for this port call.',
+      terms: 'Terms',
+      termsOptions: {
+        SHINC: 'SHINC - Sundays and holidays included',
+        SHEX: 'SHEX - Sundays and holidays excepted',
+      },
+      turnTimeHours: 'Turn Time (hours)',
+      allowedHours: 'Laytime Allowed (hours)',
+      allowedHoursHint: 'Leave empty to derive it from cargo quantity and rate.',
+      cargoQuantity: 'Cargo Quantity',
+      cargoRate: 'Cargo Rate (per day)',
+      weatherExcepted: 'Weather stoppages do not count',
+      stoppagesExcepted: 'Other stoppages do not count',
+      holidays: 'Holidays',
+      holidaysHint: 'Local dates (YYYY-MM-DD), separated by commas.',
+      reversible: 'Reversible laytime',
+      reversibleCalls: 'Port calls sharing the allowance',
+      noOtherCalls: 'No other port calls of this vessel.',
+      currency: 'Currency',
+      demurrageRate: 'Demurrage Rate (per day)',
+      despatchRate: 'Despatch Rate (per day)',
+      despatchRateHint: 'Leave empty for half the demurrage rate.',
+      notes: 'Notes',
+      allowed: 'Allowed',
+      used: 'Used',
+      excepted: 'Excepted',
+      daysAtRate: '{{days}} days at {{rate}}/day',
+      provisional: 'Cargo is not completed yet: figures run to now and may change.',
+      expiredAt: 'Laytime expired on {{date}}; on demurrage since.',
+      noPeriods: 'Laytime has not commenced yet.',
+      period: 'Period',
+      call: 'Port Call',
+      thisCall: 'This call',
+      from: 'From',
+      to: 'To',
+      duration: 'Duration',
+      types: {
+        LAYTIME: 'Laytime',
+        EXCEPTED: 'Excepted',
+        DEMURRAGE: 'Demurrage',
+      },
+      reasons: {
+        WEATHER: 'Weather',
+        STOPPAGE: 'Stoppage',
+        SUNDAY: 'Sunday',
+        HOLIDAY: 'Holiday',
+      },
+      outcomes: {
+        DEMURRAGE: 'Demurrage',
+        DESPATCH: 'Despatch',
+        NONE: 'No Demurrage',
+      },
+      createInvoice: 'Create Draft Invoice',
+      invoiceHint: 'Demurrage of {{days}} days, {{amount}}.',
+      despatchNotInvoiced: 'Despatch is paid by the owner to the charterer, so it is not invoiced to the customer.',
+      customer: 'Customer',
+      selectCustomer: 'Select a customer',
+      dueAt: 'Due Date',
+      taxRate: 'Tax Rate (%)',
+      invoiceCreated: 'Draft invoice created.',
+    },
+    // Disbursement accounts
+    disbursements: {
+      titles: {
+        PDA: 'Proforma Disbursement Account',
+        FDA: 'Final Disbursement Account',
+      },
+      statuses: {
+        PDA_DRAFT: 'PDA Draft',
+        FUNDING_REQUESTED: 'Funding Requested',
+        FDA_DRAFT: 'FDA Draft',
+        FDA_ISSUED: 'FDA Issued',
+      },
+      categories: {
+        PORT_COSTS: 'Port costs',
+        SUPPLIERS: 'Suppliers',
+        AGENCY: 'Agency',
+        OTHER: 'Other',
+      },
+      sources: {
+        MANUAL: 'Manual',
+        TARIFF: 'Tariff',
+        FEE: 'Fee',
+        PURCHASE_ORDER: 'Purchase order',
+      },
+      notStarted: 'No disbursement account yet. Start the PDA to fill it from the tariff estimate, fees and purchase orders.',
+      notStartedReadOnly: 'No disbursement account yet.',
+      currency: 'Currency',
+      start: 'Start PDA',
+      prefill: 'Fill from Estimates',
+      prefilled: '{{added}} line(s) added, {{updated}} updated.',
+      addLine: 'Add Line',
+      editLine: 'Edit Line',
+      requestFunding: 'Request Funding',
+      recordFunds: 'Record Funds',
+      reconcile: 'Start FDA',
+      reconcileAgain: 'Reconcile Again',
+      reconcileConfirm: 'Reconcile the account against the actual fees and purchase orders?',
+      reconciled: '{{added}} line(s) added, {{updated}} updated from actual costs.',
+      issue: 'Issue FDA',
+      issueConfirm: 'Issue the final disbursement account? It can no longer be edited unless reopened.',
+      reopen: 'Reopen',
+      reopenConfirm: 'Reopen the disbursement account?',
+      deleteConfirm: 'Delete the disbursement account and all its lines?',
+      exportPdf: 'Export PDF',
+      exportCsv: 'Export CSV',
+      totalEstimated: 'Total Estimated',
+      totalPda: 'Total PDA',
+      totalActual: 'Total Actual',
+      pendingLines: '{{count}} line(s) without actual amount',
+      variance: 'Variance',
+      fundsReceived: 'Funds Received',
+      ofRequested: 'of {{amount}} requested',
+      outstanding: 'Outstanding',
+      dueBy: 'Due by {{date}}',
+      balanceDue: 'Balance Due',
+      balanceRefund: 'Balance to Refund',
+      noLines: 'No lines yet.',
+      category: 'Category',
+      description: 'Description',
+      source: 'Source',
+      pda: 'PDA',
+      estimated: 'Estimated',
+      actual: 'Actual',
+      total: 'Total',
+      notes: 'Notes',
+      save: 'Save',
+      deleteLineConfirm: 'Delete this line?',
+      linkedLineHint: 'This line comes from a fee or purchase order; reconciling again overwrites its actual amount.',
+      customer: 'Customer',
+      selectCustomer: 'Select a customer',
+      fundingHint: 'The PDA totals {{total}}. The customer is asked to fund the port call before arrival.',
+      fundingAmount: 'Amount',
+      fundingDueAt: 'Due Date',
+      fundsHint: 'Total funds received from the customer so far.',
+      receivedAt: 'Received On',
+    },
+    // AIS port call reconciliation
+    aisReconcile: {
+      tab: 'Reconcile',
+      title: 'Reconcile with Port Calls',
+      lookBack: 'Reported port calls of the last',
+      days: '{{count}} day(s)',
+      showInSync: 'Show in sync',
+      applySelected: 'Apply selected ({{count}})',
+      applied: '{{ok}} applied, {{failed}} failed.',
+      selectAll: 'Select all',
+      noRecords: 'No AIS port calls or expected arrivals for tenant vessels.',
+      allInSync: 'All AIS port calls match the port calls.',
+      vessel: 'Vessel',
+      ais: 'AIS',
+      portCall: 'Port Call',
+      changes: 'Changes',
+      arrival: 'Arrival',
+      departure: 'Departure',
+      newPortCall: 'New port call',
+      update: 'Update',
+      create: 'Create',
+      kinds: {
+        REPORTED: 'Reported call',
+        EXPECTED: 'Expected arrival',
+      },
+      statuses: {
+        IN_SYNC: 'In sync',
+        CHANGED: 'Changed',
+        MISSING: 'Missing',
+      },
+      fields: {
+        eta: 'ETA',
+        etd: 'ETD',
+        actualArrival: 'Actual arrival',
+        actualDeparture: 'Actual departure',
+      },
+    },
+    // Predicted ETA
+    predictedEta: {
+      title: 'Predicted ETA',
+      recalculate: 'Recalculate',
+      none: 'No prediction yet. It is computed from the vessel\'s latest AIS positions.',
+      reasons: {
+        NO_VESSEL: 'No prediction: the port call has no vessel.',
+        NO_PORT_LOCATION: 'No prediction: the ops site has no location.',
+        NO_RECENT_POSITION: 'No prediction: no AIS position of the vessel in the last 48 hours.',
+        NOT_NEXT_CALL: 'No prediction: the vessel has an earlier open port call.',
+        NO_SEA_ROUTE: 'No prediction: no reliable sea route from the vessel\'s position to the ops site.',
+      },
+      divergesWarning: 'The predicted ETA is {{hours}} from the planned ETA (threshold {{threshold}}h).',
+      eta: 'Predicted ETA',
+      vsPlanned: '{{hours}} vs planned ETA',
+      confidence: 'Confidence',
+      levels: {
+        HIGH: 'High',
+        MEDIUM: 'Medium',
+        LOW: 'Low',
+      },
+      distance: 'Sea-route distance',
+      directRoute: 'Direct approach',
+      viaWaypoints: 'Via {{count}} route waypoints',
+      speed: 'Speed',
+      speedSources: {
+        SOG: 'Median reported speed over ground',
+        TRACK: 'Speed along the recent track',
+        DEFAULT: 'Vessel not underway: assumed service speed',
+      },
+      position: 'Latest position',
+      computedAt: 'Computed {{time}}',
     },
     // Customers
     customers: {
@@ -355,6 +1007,80 @@ const translations = {
       existingTeams: 'Existing Teams',
       nameRequired: 'Team name is required',
     },
+    // Purchase Orders
+    purchaseOrders: {
+      title: 'Purchase Orders',
+      subtitle: 'Order supplies and services for port calls, with approval',
+      addNew: 'New Purchase Order',
+      edit: 'Edit Purchase Order',
+      tabs: {
+        orders: 'Purchase Orders',
+        suppliers: 'Suppliers',
+      },
+      allStatuses: 'All statuses',
+      noOrders: 'No purchase orders found',
+      description: 'Description',
+      supplier: 'Supplier',
+      selectSupplier: 'Select a supplier',
+      portCall: 'Port Call',
+      selectPortCall: 'Select a port call',
+      currency: 'Currency',
+      notes: 'Notes',
+      total: 'Total',
+      status: 'Status',
+      created: 'Created',
+      lines: 'Line Items',
+      lineDescription: 'Item',
+      quantity: 'Qty',
+      unitPrice: 'Unit Price',
+      lineTotal: 'Amount',
+      addLine: '+ Add Line',
+      removeLine: 'Remove',
+      history: 'Status History',
+      rejectionReason: 'Rejection reason',
+      rejectPrompt: 'Reason for rejecting this purchase order:',
+      deleteConfirm: 'Delete this draft purchase order?',
+      save: 'Save',
+      cancel: 'Cancel',
+      close: 'Close',
+      actions: {
+        SUBMITTED: 'Submit for Approval',
+        APPROVED: 'Approve',
+        REJECTED: 'Reject',
+        RECEIVED: 'Mark Received',
+        CLOSED: 'Close Order',
+      },
+      statuses: {
+        DRAFT: 'Draft',
+        SUBMITTED: 'Submitted',
+        APPROVED: 'Approved',
+        REJECTED: 'Rejected',
+        RECEIVED: 'Received',
+        CLOSED: 'Closed',
+      },
+      awaitingApproval: 'Awaiting approval by an administrator',
+    },
+    // Suppliers
+    suppliers: {
+      addNew: 'Add Supplier',
+      edit: 'Edit Supplier',
+      name: 'Name',
+      category: 'Category',
+      categoryPlaceholder: 'e.g., Launch, Provisions, Bunkers',
+      contactEmail: 'Email',
+      contactPhone: 'Phone',
+      taxId: 'Tax ID',
+      address: 'Address',
+      notes: 'Notes',
+      active: 'Active',
+      inactive: 'Inactive',
+      status: 'Status',
+      showInactive: 'Show inactive',
+      noSuppliers: 'No suppliers found',
+      deleteConfirm: 'Delete this supplier? Suppliers with purchase orders are deactivated instead.',
+      reactivate: 'Reactivate',
+      nameRequired: 'Supplier name is required',
+    },
   },
   'pt-BR': {
     // Navigation
@@ -369,12 +1095,15 @@ const translations = {
       tenantSettings: 'Configurações',
       users: 'Usuários',
       aisConfig: 'Configuração AIS',
+      tariffs: 'Tarifas',
+      attachmentSettings: 'Anexos',
       logout: 'Sair',
       operations: 'Operações',
       vesselsPeople: 'Embarcações e Tripulação',
       compliance: 'Conformidade',
       administration: 'Administração',
       customers: 'Clientes',
+      purchaseOrders: 'Ordens de Compra',
     },
     // Common
     common: {
@@ -457,6 +1186,46 @@ const translations = {
       selectAgent: 'Selecionar Agente',
       addAgent: 'Adicionar Agente',
       noAgents: 'Nenhum agente atribuído a esta escala',
+      editPortCall: 'Editar Escala',
+      actualArrival: 'Chegada Real',
+      actualDeparture: 'Saída Real',
+      transitions: {
+        IN_PROGRESS: 'Registrar Chegada',
+        COMPLETED: 'Registrar Saída',
+        CANCELLED: 'Cancelar Escala',
+        summary: 'O status mudará de {{from}} para {{to}}.',
+        reason: 'Motivo do Cancelamento',
+        history: 'Histórico de Status',
+        noHistory: 'Nenhuma mudança de status registrada',
+        when: 'Quando',
+        from: 'De',
+        to: 'Para',
+        description: 'Descrição',
+      },
+      events: {
+        title: 'Chegadas e Saídas',
+        event: 'Evento',
+        location: 'Terminal / Berço',
+        remarks: 'Observações',
+        noEvents: 'Nenhuma chegada ou saída detectada',
+        types: {
+          ARRIVAL: 'Chegada',
+          ANCHORAGE: 'Fundeio',
+          ALONGSIDE: 'Atracação',
+          DEPARTURE: 'Saída',
+        },
+      },
+      allStatuses: 'Todos os status',
+      page: 'Página {{page}}',
+      form: {
+        vessel: 'Embarcação',
+        selectVessel: 'Selecione a embarcação',
+        opsSite: 'Local de Operação',
+        selectOpsSite: 'Selecione o local de operação',
+        referenceType: 'Tipo de Referência',
+        referenceNumber: 'Número de Referência',
+        etdBeforeEta: 'ETD deve ser posterior ao ETA',
+      },
     },
     // Port Call Detail
     portCallDetail: {
@@ -501,10 +1270,21 @@ const translations = {
         trackHistory: 'Histórico de Rastreamento (horas)',
         saveConfiguration: 'Salvar Configuração',
       },
+      attachments: {
+        title: 'Anexos',
+        subtitle: 'Tipos e tamanho de arquivo aceitos nos anexos das escalas',
+        allowedTypes: 'Tipos de Arquivo Permitidos',
+        allowedTypesHint: 'Os arquivos são identificados pelo conteúdo; executáveis, scripts, macros e HTML são sempre recusados.',
+        maxFileSize: 'Tamanho Máximo do Arquivo (MB)',
+        maxFileSizeHint: 'Até {{size}} MB (limite do servidor)',
+        save: 'Salvar Configurações',
+        saved: 'Configurações de anexos salvas',
+      },
     },
     // Tabs
     tabs: {
       overview: 'Visão Geral',
+      itinerary: 'Itinerário',
       cargo: 'Carga',
       crew: 'Tripulação',
       passengers: 'Passageiros',
@@ -513,6 +1293,9 @@ const translations = {
       security: 'Segurança e Aprovações',
       fees: 'Taxas e Encargos',
       attachments: 'Anexos',
+      sof: 'SOF',
+      laytime: 'Estadia',
+      disbursements: 'PDA/FDA',
     },
     // Vessels
     vessels: {
@@ -598,6 +1381,80 @@ const translations = {
       existingTeams: 'Equipes Existentes',
       nameRequired: 'Nome da equipe é obrigatório',
     },
+    // Purchase Orders
+    purchaseOrders: {
+      title: 'Ordens de Compra',
+      subtitle: 'Compras de suprimentos e serviços para escalas, com aprovação',
+      addNew: 'Nova Ordem de Compra',
+      edit: 'Editar Ordem de Compra',
+      tabs: {
+        orders: 'Ordens de Compra',
+        suppliers: 'Fornecedores',
+      },
+      allStatuses: 'Todos os status',
+      noOrders: 'Nenhuma ordem de compra encontrada',
+      description: 'Descrição',
+      supplier: 'Fornecedor',
+      selectSupplier: 'Selecione um fornecedor',
+      portCall: 'Escala',
+      selectPortCall: 'Selecione uma escala',
+      currency: 'Moeda',
+      notes: 'Observações',
+      total: 'Total',
+      status: 'Status',
+      created: 'Criada em',
+      lines: 'Itens',
+      lineDescription: 'Item',
+      quantity: 'Qtd',
+      unitPrice: 'Preço Unitário',
+      lineTotal: 'Valor',
+      addLine: '+ Adicionar Item',
+      removeLine: 'Remover',
+      history: 'Histórico de Status',
+      rejectionReason: 'Motivo da rejeição',
+      rejectPrompt: 'Motivo para rejeitar esta ordem de compra:',
+      deleteConfirm: 'Excluir este rascunho de ordem de compra?',
+      save: 'Salvar',
+      cancel: 'Cancelar',
+      close: 'Fechar',
+      actions: {
+        SUBMITTED: 'Enviar para Aprovação',
+        APPROVED: 'Aprovar',
+        REJECTED: 'Rejeitar',
+        RECEIVED: 'Marcar como Recebida',
+        CLOSED: 'Encerrar Ordem',
+      },
+      statuses: {
+        DRAFT: 'Rascunho',
+        SUBMITTED: 'Enviada',
+        APPROVED: 'Aprovada',
+        REJECTED: 'Rejeitada',
+        RECEIVED: 'Recebida',
+        CLOSED: 'Encerrada',
+      },
+      awaitingApproval: 'Aguardando aprovação de um administrador',
+    },
+    // Suppliers
+    suppliers: {
+      addNew: 'Adicionar Fornecedor',
+      edit: 'Editar Fornecedor',
+      name: 'Nome',
+      category: 'Categoria',
+      categoryPlaceholder: 'ex.: Lancha, Rancho, Combustível',
+      contactEmail: 'E-mail',
+      contactPhone: 'Telefone',
+      taxId: 'CNPJ / Tax ID',
+      address: 'Endereço',
+      notes: 'Observações',
+      active: 'Ativo',
+      inactive: 'Inativo',
+      status: 'Status',
+      showInactive: 'Mostrar inativos',
+      noSuppliers: 'Nenhum fornecedor encontrado',
+      deleteConfirm: 'Excluir este fornecedor? Fornecedores com ordens de compra são desativados.',
+      reactivate: 'Reativar',
+      nameRequired: 'Nome do fornecedor é obrigatório',
+    },
     // Crew
     people: {
       title: 'Tripulação',
@@ -607,14 +1464,75 @@ const translations = {
     // Security
     security: {
       title: 'Segurança e Pendências',
-      subtitle: 'Pendências de viajantes e bloqueios de segurança',
-      comingSoon: 'Gestão de segurança em breve...',
+      subtitle: 'Anuências, exigências e impedimentos das autoridades',
     },
     // Fees
     fees: {
       title: 'Taxas e Encargos',
       subtitle: 'Gestão de taxas e encargos portuários',
-      comingSoon: 'Gestão de taxas em breve...',
+      addNew: 'Adicionar Taxa',
+      edit: 'Editar Taxa',
+      noFees: 'Nenhuma taxa encontrada',
+      portCall: 'Escala',
+      feeType: 'Taxa',
+      description: 'Descrição',
+      referenceNumber: 'Referência',
+      referencePlaceholder: 'ex.: número da GRU ou da fatura da autoridade',
+      calculationBase: 'Base de Cálculo',
+      calculationBasePlaceholder: 'ex.: AB 32.500 x 0,42',
+      amountDue: 'Valor Devido',
+      amountPaid: 'Pago',
+      outstanding: 'Em Aberto',
+      currency: 'Moeda',
+      dueDate: 'Vencimento',
+      notes: 'Observações',
+      status: 'Status',
+      overdue: 'Vencidas',
+      daysOverdue: '{{days}} dias em atraso',
+      feeCount: '{{count}} taxas',
+      allStatuses: 'Todos os status',
+      allTypes: 'Todos os tipos',
+      dueFrom: 'Vencimento de',
+      dueTo: 'até',
+      overdueOnly: 'Somente vencidas',
+      clearFilters: 'Limpar filtros',
+      payments: 'Pagamentos',
+      noPayments: 'Nenhum pagamento registrado',
+      recordPayment: 'Registrar Pagamento',
+      amount: 'Valor',
+      paidAt: 'Pago em',
+      paymentReference: 'Referência do Pagamento',
+      recordedBy: 'Registrado por',
+      deletePaymentConfirm: 'Remover este pagamento?',
+      deleteConfirm: 'Excluir esta taxa?',
+      waive: 'Isentar Taxa',
+      waiveReason: 'Motivo da isenção',
+      save: 'Salvar',
+      breakdown: 'Memória de Cálculo',
+      total: 'Total',
+      estimateFromTariffs: 'Estimar pelas Tarifas',
+      tariffEstimate: 'Estimativa por Tarifa',
+      vesselParticulars: 'Dados da embarcação',
+      draft: 'Calado',
+      stayActual: 'Estadia (real)',
+      stayScheduled: 'Estadia (prevista)',
+      stayHours: '{{hours}} h',
+      noTariffs: 'Nenhuma tarifa se aplica a esta escala',
+      applyTariffs: 'Criar / Atualizar Taxas',
+      tariffsApplied: '{{created}} taxas criadas, {{updated}} atualizadas',
+      types: {
+        BR_FUNAPOL: 'FUNAPOL',
+        PORT_DUES: 'Taxas Portuárias',
+        PILOTAGE: 'Praticagem',
+        TOWAGE: 'Rebocagem',
+        MOORING: 'Amarração',
+        OTHER: 'Outras',
+      },
+      statuses: {
+        DUE: 'Em Aberto',
+        PAID: 'Pago',
+        WAIVED: 'Isento',
+      },
     },
     // Fleet Map
     fleetMap: {
@@ -651,6 +1569,540 @@ const translations = {
       previousOpsSite: 'Site Operacional Anterior',
       nextOpsSite: 'Próximo Site Operacional',
       currentOpsSite: 'Site Operacional',
+      berthPlan: 'Plano de Atracadouros',
+      viewBerthPlan: 'Ver Plano de Atracadouros',
+    },
+    // Cargo manifests and bills of lading
+    cargo: {
+      addManifest: 'Adicionar Manifesto',
+      editManifest: 'Editar Manifesto',
+      noManifests: 'Nenhum manifesto nesta escala',
+      manifestNumber: 'Número do Manifesto',
+      manifestType: 'Tipo',
+      types: {
+        IMPORT: 'Importação',
+        EXPORT: 'Exportação',
+        CABOTAGE: 'Cabotagem',
+      },
+      cargoType: 'Tipo de Carga',
+      cargoTypePlaceholder: 'ex. Contêineres, Granel sólido, Carga geral',
+      portOfLoading: 'Porto de Carregamento',
+      portOfDischarge: 'Porto de Descarga',
+      notes: 'Observações',
+      blTotals: '{{count}} BL(s), {{weight}} kg, {{volume}} m³',
+      deleteManifestConfirm: 'Excluir este manifesto?',
+      deleteManifestWithBlsConfirm: 'Excluir este manifesto e seus {{count}} conhecimento(s) de embarque?',
+      addBl: 'Adicionar BL',
+      editBl: 'Editar Conhecimento de Embarque',
+      noBls: 'Nenhum conhecimento de embarque neste manifesto',
+      blNumber: 'Número do BL',
+      shipper: 'Embarcador',
+      consignee: 'Consignatário',
+      notifyParty: 'Notificar',
+      cargoDescription: 'Descrição da Carga',
+      packageCount: 'Volumes',
+      weightKg: 'Peso (kg)',
+      volumeM3: 'Cubagem (m³)',
+      containerInfo: 'Contêineres',
+      containerInfoPlaceholder: 'Números de contêineres e lacres',
+      deleteBlConfirm: 'Remover o BL {{number}} do manifesto?',
+      save: 'Salvar',
+    },
+    // Crew and passenger lists
+    travellers: {
+      crewList: 'Lista de Tripulantes',
+      passengerList: 'Lista de Passageiros',
+      addCrew: 'Adicionar Tripulante',
+      addPassenger: 'Adicionar Passageiro',
+      editCrew: 'Editar Tripulante',
+      editPassenger: 'Editar Passageiro',
+      noCrew: 'Nenhum tripulante nesta escala',
+      noPassengers: 'Nenhum passageiro nesta escala',
+      name: 'Nome',
+      familyName: 'Sobrenome',
+      givenNames: 'Nomes',
+      rank: 'Cargo ou Função',
+      nationality: 'Nacionalidade',
+      countryCodeHint: 'Código ISO do país, ex. BRA ou BR',
+      dateOfBirth: 'Data de Nascimento',
+      placeOfBirth: 'Local de Nascimento',
+      document: 'Documento de Identidade',
+      documentType: 'Tipo de Documento',
+      documentNumber: 'Número do Documento',
+      documentIssuingState: 'País Emissor',
+      documentExpiry: 'Validade',
+      documentExpired: 'Vence antes da saída',
+      expiredDocuments: '{{count}} documento(s) de viagem vencem antes da saída do navio',
+      route: 'Embarque → Desembarque',
+      embarkPort: 'Porto de Embarque',
+      disembarkPort: 'Porto de Desembarque',
+      transit: 'Passageiro em trânsito',
+      cabin: 'Cabine',
+      status: 'Situação',
+      notes: 'Observações',
+      save: 'Salvar',
+      deleteConfirm: 'Remover {{name}} da lista?',
+      documentTypes: {
+        PASSPORT: 'Passaporte',
+        SEAFARER_ID: 'Documento de Marítimo',
+        NATIONAL_ID: 'Identidade Nacional',
+        OTHER: 'Outro',
+      },
+      crewStatuses: {
+        ON_BOARD: 'A bordo',
+        SIGN_ON: 'Embarcando',
+        SIGN_OFF: 'Desembarcando',
+      },
+      passengerStatuses: {
+        ON_BOARD: 'A bordo',
+        DISEMBARKED: 'Desembarcado',
+        CANCELLED: 'Cancelado',
+      },
+      direction: 'Lista de chegada ou saída',
+      arrival: 'Chegada',
+      departure: 'Saída',
+      exportFal5: 'Formulário FAL 5 (PDF)',
+      exportFal6: 'Formulário FAL 6 (PDF)',
+      exportCsv: 'Exportar CSV',
+      import: 'Importar',
+      importCrew: 'Importar Lista de Tripulantes',
+      importPassengers: 'Importar Lista de Passageiros',
+      file: 'Arquivo CSV ou XLSX',
+      importHint: 'Primeira linha com os títulos das colunas: sobrenome, nome, nacionalidade, data de nascimento, tipo e número do documento, país emissor, validade. Exportações dos formulários FAL podem ser reimportadas.',
+      importModes: {
+        append: 'Adicionar à lista atual',
+        replace: 'Substituir a lista atual',
+      },
+      checkFile: 'Verificar Arquivo',
+      rowsValid: '{{count}} linha(s) prontas para importar',
+      rowErrors: '{{count}} linha(s) com erros',
+      row: 'Linha',
+      problem: 'Problema',
+      replaceWarning: 'A lista atual será excluída e substituída por estas linhas.',
+      importRows: 'Importar {{count}} linha(s)',
+    },
+    // Anuências, exigências e impedimentos
+    approvals: {
+      portCallTitle: 'Anuências e Impedimentos',
+      addNew: 'Adicionar Item',
+      edit: 'Editar Item',
+      save: 'Salvar',
+      noItems: 'Nenhuma anuência, exigência ou impedimento',
+      portCall: 'Escala',
+      authority: 'Autoridade',
+      type: 'Tipo',
+      description: 'Descrição',
+      descriptionPlaceholder: 'ex.: Livre prática, visto na lista de tripulantes',
+      dueDate: 'Prazo',
+      status: 'Status',
+      notes: 'Observações',
+      traveller: 'Referente a',
+      wholePortCall: 'Escala inteira',
+      travellerRemoved: 'removido da lista',
+      types: {
+        APPROVAL: 'Anuência',
+        REQUIREMENT: 'Exigência',
+        IMPEDIMENT: 'Impedimento',
+      },
+      statuses: {
+        OPEN: 'Em aberto',
+        CLEARED: 'Resolvido',
+      },
+      travellerTypes: {
+        CREW: 'Tripulante',
+        PASSENGER: 'Passageiro',
+      },
+      open: 'Em aberto',
+      overdue: 'Vencidos',
+      dueSoonTitle: 'Vencem em 2 dias',
+      cleared: 'Resolvidos',
+      openCount: '{{count}} em aberto',
+      overdueCount: '{{count}} vencido(s)',
+      daysOverdue: '{{days}} dias de atraso',
+      dueSoon: 'Vence em breve',
+      overdueNotice: '{{count}} item(ns) com prazo vencido',
+      allStatuses: 'Todos os status',
+      allTypes: 'Todos os tipos',
+      overdueOnly: 'Somente vencidos',
+      openPortCallsOnly: 'Somente escalas em aberto',
+      resetFilters: 'Restaurar filtros',
+      clear: 'Resolver',
+      clearTitle: 'Resolver Item',
+      evidenceReference: 'Comprovante',
+      evidenceReferencePlaceholder: 'Número de protocolo, certificado ou documento',
+      clearedDate: 'Resolvido em',
+      evidenceNotes: 'Observações do comprovante',
+      reopen: 'Reabrir',
+      reopenConfirm: 'Reabrir este item? O comprovante será removido.',
+      deleteConfirm: 'Excluir este item?',
+    },
+    // Attachments
+    attachments: {
+      upload: 'Enviar Arquivo',
+      uploading: 'Enviando...',
+      file: 'Arquivo',
+      description: 'Descrição',
+      descriptionPlaceholder: 'ex. NOR assinado, Fotos da inspeção dos porões',
+      allowedHint: 'Aceitos: {{types}} · até {{size}} MB',
+      tooLarge: 'O arquivo é maior que {{size}} MB',
+      noAttachments: 'Nenhum anexo nesta escala',
+      download: 'Baixar',
+      deleteConfirm: 'Excluir {{name}}? O arquivo não poderá ser recuperado.',
+    },
+    // Itinerary
+    itinerary: {
+      stops: 'Escalas',
+      berthStays: 'Atracações',
+      addStop: 'Adicionar Escala',
+      editStop: 'Editar Escala',
+      addBerthStay: 'Alocar Atracadouro',
+      editBerthStay: 'Editar Atracação',
+      noStops: 'Nenhuma escala planejada',
+      noBerthStays: 'Nenhum atracadouro alocado',
+      port: 'Porto / Terminal',
+      selectPort: 'Selecione o porto ou terminal',
+      sequence: 'Ordem',
+      sequencePlaceholder: 'Próxima na rotação',
+      terminal: 'Terminal',
+      plannedEta: 'ETA Prevista',
+      plannedEtd: 'ETD Prevista',
+      actualEta: 'Chegada Real',
+      actualEtd: 'Saída Real',
+      status: 'Status',
+      statusAutomatic: 'Pelos horários reais',
+      statuses: {
+        PLANNED: 'Planejada',
+        ARRIVED: 'Chegou',
+        DEPARTED: 'Partiu',
+        SKIPPED: 'Omitida',
+      },
+      berth: 'Atracadouro',
+      selectBerth: 'Selecione o atracadouro',
+      pier: 'Píer',
+      stop: 'Escala',
+      noStop: 'Sem vínculo',
+      stopNumber: 'Escala {{sequence}}',
+      operationType: 'Operação',
+      operationTypes: {
+        LOADING: 'Carregamento',
+        DISCHARGING: 'Descarga',
+        LOADING_DISCHARGING: 'Carga e Descarga',
+        BUNKERING: 'Abastecimento',
+        REPAIRS: 'Reparos',
+        LAY_BY: 'Fundeio no Cais',
+        OTHER: 'Outra',
+      },
+      plannedStart: 'Início Previsto',
+      plannedEnd: 'Fim Previsto',
+      actualStart: 'Início Real',
+      actualEnd: 'Fim Real',
+      plannedWindow: 'Janela Prevista',
+      actualWindow: 'Janela Real',
+      draftArrival: 'Calado na Chegada (m)',
+      draftDeparture: 'Calado na Saída (m)',
+      drafts: 'Calado Cheg. / Saída',
+      notes: 'Observações',
+      save: 'Salvar',
+      saveAnyway: 'Salvar Mesmo Assim',
+      conflictsFound: 'O atracadouro já está planejado para outros navios nesta janela:',
+      conflictWith: 'Sobrepõe {{vessel}} ({{start}} → {{end}})',
+      deleteStopConfirm: 'Excluir esta escala? As atracações vinculadas a ela são mantidas.',
+      deleteBerthStayConfirm: 'Excluir esta atracação?',
+    },
+    // Berth planning (occupancy timeline per ops site)
+    berthPlan: {
+      title: 'Plano de Atracadouros - {{site}}',
+      subtitle: 'Arraste uma barra para reprogramá-la ou movê-la para outro atracadouro, arraste a borda direita para mudar o fim, ou arraste uma escala sem atracadouro para um atracadouro',
+      subtitleReadOnly: 'Ocupação dos atracadouros deste site',
+      back: 'Voltar aos Sites Operacionais',
+      today: 'Hoje',
+      days: '{{count}} dias',
+      conflicts: '{{count}} atracação(ões) sobreposta(s)',
+      unallocated: 'Sem atracadouro',
+      unallocatedHint: 'Escalas neste site',
+      noBerths: 'Nenhum atracadouro neste site. Cadastre sites do tipo Atracadouro com este site (ou um de seus terminais) como pai.',
+      conflictConfirm: 'O atracadouro já está planejado para {{vessels}} nesta janela. Salvar a sobreposição mesmo assim?',
+    },
+    // Statement of facts (SOF)
+    sof: {
+      title: 'Statement of Facts',
+      start: 'Iniciar Statement',
+      notStarted: 'Ainda não há statement of facts. Inicie um para preenchê-lo com os eventos registrados nesta escala.',
+      notStartedReadOnly: 'Ainda não há statement of facts.',
+      prefill: 'Atualizar pelos Eventos',
+      prefilled: '{{count}} entradas adicionadas dos eventos registrados',
+      addEntry: 'Adicionar Entrada',
+      addStoppage: 'Adicionar Paralisação por Tempo',
+      editEntry: 'Editar Entrada',
+      editDetails: 'Comandante e Observações',
+      sign: 'Assinar',
+      signHint: 'Assinar congela o statement e registra seu nome, o comandante e um hash do conteúdo. Para alterá-lo é preciso reabri-lo.',
+      reopen: 'Reabrir',
+      reopenConfirm: 'Reabrir este statement? A assinatura será removida.',
+      signedBy: 'Assinado por {{name}} em {{date}} - Comandante: {{master}}',
+      exportPdf: 'PDF',
+      exportDocx: 'DOCX',
+      exportCsv: 'CSV',
+      noEntries: 'Nenhuma entrada ainda',
+      event: 'Evento',
+      startTime: 'De',
+      endTime: 'Até',
+      duration: 'Duração',
+      description: 'Descrição',
+      remarks: 'Observações',
+      generalRemarks: 'Observações Gerais',
+      masterName: 'Comandante',
+      source: 'Origem',
+      save: 'Salvar',
+      deleteEntryConfirm: 'Excluir esta entrada?',
+      statuses: {
+        DRAFT: 'Rascunho',
+        SIGNED: 'Assinado',
+      },
+      sources: {
+        MANUAL: 'Manual',
+        EVENT: 'Evento da escala',
+        PORT_CALL: 'Escala',
+        BERTH_STAY: 'Atracação',
+        LOG: 'Log de operação',
+      },
+      events: {
+        EOSP: 'Fim da Travessia',
+        ARRIVED: 'Chegada',
+        NOR_TENDERED: 'NOR Apresentado',
+        ANCHORED: 'Fundeado',
+        ANCHOR_AWEIGH: 'Âncora Suspensa',
+        PILOT_ON_BOARD: 'Prático a Bordo',
+        FIRST_LINE: 'Primeiro Cabo',
+        ALL_FAST: 'Atracação Concluída',
+        FREE_PRATIQUE: 'Livre Prática Concedida',
+        NOR_ACCEPTED: 'NOR Aceito',
+        HOSES_CONNECTED: 'Mangotes Conectados',
+        COMMENCED_CARGO: 'Início da Operação',
+        COMPLETED_CARGO: 'Término da Operação',
+        HOSES_DISCONNECTED: 'Mangotes Desconectados',
+        DOCUMENTS_ON_BOARD: 'Documentos a Bordo',
+        LAST_LINE: 'Último Cabo Largado',
+        SAILED: 'Desatracação/Saída',
+        WEATHER_STOPPAGE: 'Paralisação por Mau Tempo',
+        STOPPAGE: 'Paralisação',
+        OTHER: 'Outro',
+      },
+    },
+    // Laytime and demurrage
+    laytime: {
+      title: 'Estadia e Sobrestadia',
+      setTerms: 'Definir Termos',
+      editTerms: 'Editar Termos',
+      save: 'Salvar Termos',
+      deleteConfirm: 'Remover os termos de estadia desta escala?',
+      noTerms: 'Nenhum termo de estadia ainda. Defina os termos do afretamento para calcular sobrestadia ou prêmio de despacho a partir do statement of facts.',
+      noTermsReadOnly: 'Nenhum termo de estadia foi definido para esta escala.',
+      terms: 'Termos',
+      termsOptions: {
+        SHINC: 'SHINC - Domingos e feriados incluídos',
+        SHEX: 'SHEX - Domingos e feriados excluídos',
+      },
+      turnTimeHours: 'Turn Time (horas)',
+      allowedHours: 'Estadia Permitida (horas)',
+      allowedHoursHint: 'Deixe vazio para calcular pela quantidade e taxa de carga.',
+      cargoQuantity: 'Quantidade de Carga',
+      cargoRate: 'Taxa de Carga (por dia)',
+      weatherExcepted: 'Paralisações por mau tempo não contam',
+      stoppagesExcepted: 'Outras paralisações não contam',
+      holidays: 'Feriados',
+      holidaysHint: 'Datas locais (AAAA-MM-DD), separadas por vírgula.',
+      reversible: 'Estadia reversível',
+      reversibleCalls: 'Escalas que compartilham a estadia',
+      noOtherCalls: 'Nenhuma outra escala deste navio.',
+      currency: 'Moeda',
+      demurrageRate: 'Taxa de Sobrestadia (por dia)',
+      despatchRate: 'Taxa de Despacho (por dia)',
+      despatchRateHint: 'Deixe vazio para metade da taxa de sobrestadia.',
+      notes: 'Observações',
+      allowed: 'Permitida',
+      used: 'Utilizada',
+      excepted: 'Excluída',
+      daysAtRate: '{{days}} dias a {{rate}}/dia',
+      provisional: 'A carga ainda não foi concluída: os valores correm até agora e podem mudar.',
+      expiredAt: 'Estadia expirou em {{date}}; em sobrestadia desde então.',
+      noPeriods: 'A estadia ainda não começou.',
+      period: 'Período',
+      call: 'Escala',
+      thisCall: 'Esta escala',
+      from: 'De',
+      to: 'Até',
+      duration: 'Duração',
+      types: {
+        LAYTIME: 'Estadia',
+        EXCEPTED: 'Excluído',
+        DEMURRAGE: 'Sobrestadia',
+      },
+      reasons: {
+        WEATHER: 'Mau tempo',
+        STOPPAGE: 'Paralisação',
+        SUNDAY: 'Domingo',
+        HOLIDAY: 'Feriado',
+      },
+      outcomes: {
+        DEMURRAGE: 'Sobrestadia',
+        DESPATCH: 'Prêmio de Despacho',
+        NONE: 'Sem Sobrestadia',
+      },
+      createInvoice: 'Criar Fatura Rascunho',
+      invoiceHint: 'Sobrestadia de {{days}} dias, {{amount}}.',
+      despatchNotInvoiced: 'O prêmio de despacho é pago pelo armador ao afretador, por isso não é faturado ao cliente.',
+      customer: 'Cliente',
+      selectCustomer: 'Selecione um cliente',
+      dueAt: 'Vencimento',
+      taxRate: 'Alíquota (%)',
+      invoiceCreated: 'Fatura rascunho criada.',
+    },
+    // Disbursement accounts
+    disbursements: {
+      titles: {
+        PDA: 'Proforma Disbursement Account (PDA)',
+        FDA: 'Final Disbursement Account (FDA)',
+      },
+      statuses: {
+        PDA_DRAFT: 'PDA Rascunho',
+        FUNDING_REQUESTED: 'Adiantamento Solicitado',
+        FDA_DRAFT: 'FDA Rascunho',
+        FDA_ISSUED: 'FDA Emitida',
+      },
+      categories: {
+        PORT_COSTS: 'Custos portuários',
+        SUPPLIERS: 'Fornecedores',
+        AGENCY: 'Agenciamento',
+        OTHER: 'Outros',
+      },
+      sources: {
+        MANUAL: 'Manual',
+        TARIFF: 'Tarifa',
+        FEE: 'Taxa',
+        PURCHASE_ORDER: 'Pedido de compra',
+      },
+      notStarted: 'Nenhuma conta de despesas ainda. Inicie a PDA para preenchê-la com a estimativa de tarifas, taxas e pedidos de compra.',
+      notStartedReadOnly: 'Nenhuma conta de despesas ainda.',
+      currency: 'Moeda',
+      start: 'Iniciar PDA',
+      prefill: 'Preencher das Estimativas',
+      prefilled: '{{added}} linha(s) adicionada(s), {{updated}} atualizada(s).',
+      addLine: 'Adicionar Linha',
+      editLine: 'Editar Linha',
+      requestFunding: 'Solicitar Adiantamento',
+      recordFunds: 'Registrar Recebimento',
+      reconcile: 'Iniciar FDA',
+      reconcileAgain: 'Conciliar Novamente',
+      reconcileConfirm: 'Conciliar a conta com as taxas e pedidos de compra reais?',
+      reconciled: '{{added}} linha(s) adicionada(s), {{updated}} atualizada(s) com os custos reais.',
+      issue: 'Emitir FDA',
+      issueConfirm: 'Emitir a conta final de despesas? Ela não poderá mais ser editada, a menos que seja reaberta.',
+      reopen: 'Reabrir',
+      reopenConfirm: 'Reabrir a conta de despesas?',
+      deleteConfirm: 'Excluir a conta de despesas e todas as suas linhas?',
+      exportPdf: 'Exportar PDF',
+      exportCsv: 'Exportar CSV',
+      totalEstimated: 'Total Estimado',
+      totalPda: 'Total PDA',
+      totalActual: 'Total Real',
+      pendingLines: '{{count}} linha(s) sem valor real',
+      variance: 'Variação',
+      fundsReceived: 'Valores Recebidos',
+      ofRequested: 'de {{amount}} solicitados',
+      outstanding: 'Em Aberto',
+      dueBy: 'Vence em {{date}}',
+      balanceDue: 'Saldo a Receber',
+      balanceRefund: 'Saldo a Devolver',
+      noLines: 'Nenhuma linha ainda.',
+      category: 'Categoria',
+      description: 'Descrição',
+      source: 'Origem',
+      pda: 'PDA',
+      estimated: 'Estimado',
+      actual: 'Real',
+      total: 'Total',
+      notes: 'Observações',
+      save: 'Salvar',
+      deleteLineConfirm: 'Excluir esta linha?',
+      linkedLineHint: 'Esta linha vem de uma taxa ou pedido de compra; conciliar novamente sobrescreve o valor real.',
+      customer: 'Cliente',
+      selectCustomer: 'Selecione um cliente',
+      fundingHint: 'A PDA totaliza {{total}}. O cliente é solicitado a adiantar os custos da escala antes da chegada.',
+      fundingAmount: 'Valor',
+      fundingDueAt: 'Vencimento',
+      fundsHint: 'Total recebido do cliente até agora.',
+      receivedAt: 'Recebido em',
+    },
+    // AIS port call reconciliation
+    aisReconcile: {
+      tab: 'Conciliar',
+      title: 'Conciliar com as Escalas',
+      lookBack: 'Escalas reportadas nos últimos',
+      days: '{{count}} dia(s)',
+      showInSync: 'Mostrar sincronizadas',
+      applySelected: 'Aplicar selecionadas ({{count}})',
+      applied: '{{ok}} aplicada(s), {{failed}} com falha.',
+      selectAll: 'Selecionar todas',
+      noRecords: 'Nenhuma escala AIS ou chegada prevista para embarcações do tenant.',
+      allInSync: 'Todas as escalas AIS conferem com as escalas.',
+      vessel: 'Embarcação',
+      ais: 'AIS',
+      portCall: 'Escala',
+      changes: 'Alterações',
+      arrival: 'Chegada',
+      departure: 'Saída',
+      newPortCall: 'Nova escala',
+      update: 'Atualizar',
+      create: 'Criar',
+      kinds: {
+        REPORTED: 'Escala reportada',
+        EXPECTED: 'Chegada prevista',
+      },
+      statuses: {
+        IN_SYNC: 'Sincronizada',
+        CHANGED: 'Alterada',
+        MISSING: 'Ausente',
+      },
+      fields: {
+        eta: 'ETA',
+        etd: 'ETD',
+        actualArrival: 'Chegada real',
+        actualDeparture: 'Saída real',
+      },
+    },
+    // Predicted ETA
+    predictedEta: {
+      title: 'ETA Prevista',
+      recalculate: 'Recalcular',
+      none: 'Ainda sem previsão. Ela é calculada a partir das últimas posições AIS do navio.',
+      reasons: {
+        NO_VESSEL: 'Sem previsão: a escala não tem navio.',
+        NO_PORT_LOCATION: 'Sem previsão: o local de operação não tem localização.',
+        NO_RECENT_POSITION: 'Sem previsão: nenhuma posição AIS do navio nas últimas 48 horas.',
+        NOT_NEXT_CALL: 'Sem previsão: o navio tem uma escala aberta anterior.',
+        NO_SEA_ROUTE: 'Sem previsão: nenhuma rota marítima confiável da posição do navio até o local de operação.',
+      },
+      divergesWarning: 'A ETA prevista está {{hours}} da ETA planejada (limite {{threshold}}h).',
+      eta: 'ETA prevista',
+      vsPlanned: '{{hours}} em relação à ETA planejada',
+      confidence: 'Confiança',
+      levels: {
+        HIGH: 'Alta',
+        MEDIUM: 'Média',
+        LOW: 'Baixa',
+      },
+      distance: 'Distância por rota marítima',
+      directRoute: 'Aproximação direta',
+      viaWaypoints: 'Via {{count}} pontos de rota',
+      speed: 'Velocidade',
+      speedSources: {
+        SOG: 'Mediana da velocidade sobre o fundo reportada',
+        TRACK: 'Velocidade ao longo da trajetória recente',
+        DEFAULT: 'Navio parado: velocidade de serviço assumida',
+      },
+      position: 'Última posição',
+      computedAt: 'Calculada {{time}}',
     },
     // Customers
     customers: {